@@ -145,6 +145,142 @@ require('yargs')
                 Logger.error(err.message);
             });
     })
+    .command('format', 'rewrite model files in the canonical CTO format', (yargs) => {
+        yargs.demandOption(['model'], 'Please provide CTO models');
+        yargs.option('model', {
+            describe: 'array of concerto (cto) model files',
+            type: 'string',
+            array: true
+        });
+        yargs.option('check', {
+            describe: 'fail if a model file is not formatted, without rewriting it',
+            type: 'boolean',
+            default: false
+        });
+    }, (argv) => {
+        if (argv.verbose) {
+            Logger.info(`format the models ${argv.model}`);
+        }
+
+        const options = {};
+        options.check = argv.check;
+        return Commands.format(argv.model, options)
+            .then((result) => {
+                Logger.info(result);
+            })
+            .catch((err) => {
+                Logger.error(err.message);
+                process.exitCode = 1;
+            });
+    })
+    .command('compare', 'compare two versions of a set of models', (yargs) => {
+        yargs.demandOption(['old', 'new'], 'Please provide the old and new CTO models');
+        yargs.option('old', {
+            describe: 'array of concerto (cto) model files of the old version',
+            type: 'string',
+            array: true
+        });
+        yargs.option('new', {
+            describe: 'array of concerto (cto) model files of the new version',
+            type: 'string',
+            array: true
+        });
+        yargs.option('offline', {
+            describe: 'do not resolve external models',
+            type: 'boolean',
+            default: false
+        });
+    }, (argv) => {
+        if (argv.verbose) {
+            Logger.info(`compare the models ${argv.old} with the models ${argv.new}`);
+        }
+
+        const options = {};
+        options.offline = argv.offline;
+        return Commands.compare(argv.old, argv.new, options)
+            .then((result) => {
+                Logger.info(result);
+            })
+            .catch((err) => {
+                Logger.error(err.message);
+                process.exitCode = 1;
+            });
+    })
+    .command('lint', 'check models against the rules of the linter', (yargs) => {
+        yargs.demandOption(['model'], 'Please provide CTO models');
+        yargs.option('model', {
+            describe: 'array of concerto (cto) model files',
+            type: 'string',
+            array: true
+        });
+        yargs.option('format', {
+            describe: 'the format of the findings',
+            type: 'string',
+            choices: ['text', 'json'],
+            default: 'text'
+        });
+        yargs.option('config', {
+            describe: 'a JSON file configuring the severity of the rules',
+            type: 'string'
+        });
+        yargs.option('offline', {
+            describe: 'do not resolve external models',
+            type: 'boolean',
+            default: false
+        });
+    }, (argv) => {
+        if (argv.verbose) {
+            Logger.info(`lint the models ${argv.model}`);
+        }
+
+        const options = {};
+        options.format = argv.format;
+        options.config = argv.config;
+        options.offline = argv.offline;
+        return Commands.lint(argv.model, options)
+            .then((result) => {
+                Logger.info(result);
+            })
+            .catch((err) => {
+                Logger.error(err.message);
+                process.exitCode = 1;
+            });
+    })
+    .command('graph', 'report the dependencies between the namespaces of models', (yargs) => {
+        yargs.demandOption(['model'], 'Please provide CTO models');
+        yargs.option('model', {
+            describe: 'array of concerto (cto) model files',
+            type: 'string',
+            array: true
+        });
+        yargs.option('format', {
+            describe: 'the format of the graph',
+            type: 'string',
+            choices: ['dot', 'mermaid', 'order'],
+            default: 'dot'
+        });
+        yargs.option('offline', {
+            describe: 'do not resolve external models',
+            type: 'boolean',
+            default: false
+        });
+    }, (argv) => {
+        if (argv.verbose) {
+            Logger.info(`report the dependencies of the models ${argv.model}`);
+        }
+
+        const options = {};
+        options.format = argv.format;
+        options.offline = argv.offline;
+        return Commands.graph(argv.model, options)
+            .then((result) => {
+                Logger.info(result);
+            })
+            .catch((err) => {
+                Logger.error(err.message);
+                process.exitCode = 1;
+            });
+    })
     .option('verbose', {
         alias: 'v',
         default: false
@@ -20,6 +20,10 @@ const mkdirp = require('mkdirp');
 
 const Logger = require('@accordproject/concerto-core').Logger;
 const ModelLoader = require('@accordproject/concerto-core').ModelLoader;
+const ModelFile = require('@accordproject/concerto-core').ModelFile;
+const ModelManager = require('@accordproject/concerto-core').ModelManager;
+const ModelComparer = require('@accordproject/concerto-core').ModelComparer;
+const Linter = require('@accordproject/concerto-core').Linter;
 const Factory = require('@accordproject/concerto-core').Factory;
 const Serializer = require('@accordproject/concerto-core').Serializer;
 const Concerto = require('@accordproject/concerto-core').Concerto;
@@ -184,6 +188,142 @@ class Commands {
         modelManager.writeModelsToFileSystem(output);
         return `Loaded external models in '${output}'.`;
     }
+
+    /**
+     * Rewrites a set of model files in the canonical CTO format, or checks
+     * that they are already formatted. Each file is parsed on its own, so its
+     * imports are not resolved. The comments at the start of a file and the
+     * documentation comments are kept, and no file is rewritten if one of them
+     * has other comments, which the canonical format would remove.
+     *
+     * @param {string[]} ctoFiles - the CTO files to format
+     * @param {object} options - optional parameters
+     * @param {boolean} [options.check] - report the files that are not formatted instead of rewriting them
+     * @returns {string} a summary of the formatted files
+     */
+    static async format(ctoFiles, options) {
+        const modelFiles = ctoFiles.map((file) => {
+            const text = fs.readFileSync(file, 'utf8');
+            return { file, text, modelFile: new ModelFile(new ModelManager(), text, file) };
+        });
+
+        const commented = modelFiles
+            .map(({ file, modelFile }) => ({ file, lines: modelFile.getUnprintedComments().map((comment) => comment.location.start.line) }))
+            .filter(({ lines }) => lines.length > 0);
+        if (commented.length > 0) {
+            const files = commented.map(({ file, lines }) => `${file} (line ${lines.join(', ')})`);
+            throw new Error(`Model files have comments that formatting would remove: ${files.join(', ')}`);
+        }
+
+        const unformatted = modelFiles.filter(({ file, text, modelFile }) => {
+            const formatted = modelFile.toCTO();
+            if (formatted === text) {
+                return false;
+            }
+            if (!options.check) {
+                fs.writeFileSync(file, formatted);
+            }
+            return true;
+        }).map(({ file }) => file);
+
+        if (options.check) {
+            if (unformatted.length > 0) {
+                throw new Error(`Model files are not formatted: ${unformatted.join(', ')}`);
+            }
+            return 'All model files are formatted.';
+        }
+        return `Formatted ${unformatted.length} of ${ctoFiles.length} model files.`;
+    }
+
+    /**
+     * Compares two versions of a set of models, and reports each change with
+     * its classification, major, minor or patch
+     *
+     * @param {string[]} oldCtoFiles - the CTO files of the old version of the models
+     * @param {string[]} newCtoFiles - the CTO files of the new version of the models
+     * @param {object} options - optional parameters
+     * @param {boolean} [options.offline] - do not resolve external models
+     * @returns {string} the changes, if none of them is major
+     */
+    static async compare(oldCtoFiles, newCtoFiles, options) {
+        const oldModelManager = await ModelLoader.loadModelManager(oldCtoFiles, options);
+        const newModelManager = await ModelLoader.loadModelManager(newCtoFiles, options);
+        const comparison = ModelComparer.compare(oldModelManager, newModelManager);
+
+        if (comparison.classification === 'none') {
+            return 'There are no changes.';
+        }
+        const report = comparison.changes
+            .map((change) => `${change.classification}: ${change.message}`)
+            .concat(`The changes are ${comparison.classification}.`)
+            .join('\n');
+        if (comparison.classification === 'major') {
+            throw new Error(report);
+        }
+        return report;
+    }
+
+    /**
+     * Checks a set of models against the rules of the linter, and reports
+     * the findings as text, one line per finding, or as JSON
+     *
+     * @param {string[]} ctoFiles - the CTO files to check
+     * @param {object} options - optional parameters
+     * @param {string} [options.format] - the format of the report, text or json
+     * @param {string} [options.config] - a JSON file configuring the severity of the rules,
+     * for example { "rules": { "require-descriptions": "off" } }
+     * @param {boolean} [options.offline] - do not resolve external models
+     * @returns {string} the findings, if none of them is an error
+     */
+    static async lint(ctoFiles, options) {
+        const config = options && options.config ? JSON.parse(fs.readFileSync(options.config, 'utf8')) : {};
+        const linter = new Linter(config);
+        const modelManager = await ModelLoader.loadModelManager(ctoFiles, options);
+        const findings = linter.lint(modelManager);
+
+        let report;
+        if (options && options.format === 'json') {
+            report = JSON.stringify(findings, null, 2);
+        } else {
+            const count = (severity) => findings.filter((finding) => finding.severity === severity).length;
+            report = findings.map((finding) => {
+                const location = finding.location ? `:${finding.location.start.line}:${finding.location.start.column}` : '';
+                return `${finding.fileName}${location}: ${finding.severity}: ${finding.message} (${finding.rule})`;
+            }).concat(`errors: ${count('error')}, warnings: ${count('warning')}, info: ${count('info')}`).join('\n');
+        }
+        if (findings.some((finding) => finding.severity === 'error')) {
+            throw new Error(report);
+        }
+        return report;
+    }
+
+    /**
+     * Reports the dependencies between the namespaces of a set of models, as a
+     * graph in the DOT language of Graphviz or as a Mermaid flowchart, or as the
+     * namespaces ordered so that each namespace follows the namespaces it depends on
+     *
+     * @param {string[]} ctoFiles - the CTO files of the models
+     * @param {object} options - optional parameters
+     * @param {string} [options.format] - the format of the report, dot, mermaid or order
+     * @param {boolean} [options.offline] - do not resolve external models
+     * @returns {string} the dependencies between the namespaces
+     */
+    static async graph(ctoFiles, options) {
+        const modelManager = await ModelLoader.loadModelManager(ctoFiles, options);
+        const graph = modelManager.getDependencyGraph();
+
+        const format = options && options.format ? options.format : 'dot';
+        switch (format) {
+        case 'dot':
+            return graph.toDOT();
+        case 'mermaid':
+            return graph.toMermaid();
+        case 'order':
+            return graph.getTopologicalOrder().join('\n');
+        default:
+            throw new Error(`Unrecognised graph format ${format}`);
+        }
+    }
 }
 
 module.exports = Commands;
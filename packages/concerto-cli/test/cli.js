@@ -202,4 +202,251 @@ describe('cicero-cli', () => {
             dir.cleanup();
         });
     });
-});
\ No newline at end of file
+
+    describe('#format', () => {
+        const unformatted = `namespace org.acme
+import org.other.Money
+import org.other.Currency
+concept Price {
+        o Money amount
+    o Currency currency optional
+}`;
+        const formatted = `namespace org.acme
+
+import org.other.Currency
+import org.other.Money
+
+concept Price {
+  o Money amount
+  o Currency currency optional
+}
+`;
+
+        it('should rewrite the model files that are not formatted', async () => {
+            const dir = await tmp.dir({ unsafeCleanup: true});
+            const first = path.resolve(dir.path, 'first.cto');
+            const second = path.resolve(dir.path, 'second.cto');
+            fs.writeFileSync(first, unformatted);
+            fs.writeFileSync(second, formatted);
+            const result = await Commands.format([first, second], {});
+            result.should.equal('Formatted 1 of 2 model files.');
+            fs.readFileSync(first, 'utf8').should.equal(formatted);
+            fs.readFileSync(second, 'utf8').should.equal(formatted);
+            dir.cleanup();
+        });
+
+        it('should check that the model files are formatted', async () => {
+            const dir = await tmp.dir({ unsafeCleanup: true});
+            const file = path.resolve(dir.path, 'formatted.cto');
+            fs.writeFileSync(file, formatted);
+            const result = await Commands.format([file], { check: true });
+            result.should.equal('All model files are formatted.');
+            dir.cleanup();
+        });
+
+        it('should report the model files that are not formatted, without rewriting them', async () => {
+            const dir = await tmp.dir({ unsafeCleanup: true});
+            const file = path.resolve(dir.path, 'unformatted.cto');
+            fs.writeFileSync(file, unformatted);
+            await Commands.format([file], { check: true }).should.be.rejectedWith(`Model files are not formatted: ${file}`);
+            fs.readFileSync(file, 'utf8').should.equal(unformatted);
+            dir.cleanup();
+        });
+
+        it('should keep the comments at the start of a model file', async () => {
+            const dir = await tmp.dir({ unsafeCleanup: true});
+            const file = path.resolve(dir.path, 'header.cto');
+            fs.writeFileSync(file, `/*
+ * Licensed under the Apache License, Version 2.0
+ */
+
+${unformatted}`);
+            await Commands.format([file], {});
+            fs.readFileSync(file, 'utf8').should.equal(`/*
+ * Licensed under the Apache License, Version 2.0
+ */
+
+${formatted}`);
+            dir.cleanup();
+        });
+
+        it('should not rewrite model files that have comments the format would remove', async () => {
+            const dir = await tmp.dir({ unsafeCleanup: true});
+            const first = path.resolve(dir.path, 'first.cto');
+            const second = path.resolve(dir.path, 'second.cto');
+            const commented = unformatted.replace('concept Price {', '// the price\nconcept Price {');
+            fs.writeFileSync(first, unformatted);
+            fs.writeFileSync(second, commented);
+            await Commands.format([first, second], {}).should.be.rejectedWith(`Model files have comments that formatting would remove: ${second} (line 4)`);
+            fs.readFileSync(first, 'utf8').should.equal(unformatted);
+            fs.readFileSync(second, 'utf8').should.equal(commented);
+            dir.cleanup();
+        });
+
+        it('should fail to format a model file that does not parse', async () => {
+            await Commands.format([path.resolve(__dirname, 'models/parseerror.cto')], {}).should.be.rejectedWith('Expected');
+        });
+    });
+
+    describe('#compare', () => {
+        const oldModel = `namespace org.acme
+concept Address {
+  o String street
+  o String city optional
+}
+`;
+
+        /**
+         * Writes the old model and a new model to a temporary directory
+         * @param {string} newModel - the new model
+         * @return {object} the directory and the paths of the old and new models
+         */
+        async function writeModels(newModel) {
+            const dir = await tmp.dir({ unsafeCleanup: true});
+            const oldFile = path.resolve(dir.path, 'old.cto');
+            const newFile = path.resolve(dir.path, 'new.cto');
+            fs.writeFileSync(oldFile, oldModel);
+            fs.writeFileSync(newFile, newModel);
+            return { dir, oldFile, newFile };
+        }
+
+        it('should report that there are no changes', async () => {
+            const { dir, oldFile, newFile } = await writeModels(oldModel);
+            const result = await Commands.compare([oldFile], [newFile], { offline: true });
+            result.should.equal('There are no changes.');
+            dir.cleanup();
+        });
+
+        it('should report changes that are not breaking', async () => {
+            const { dir, oldFile, newFile } = await writeModels(oldModel.replace('o String street', 'o String street optional'));
+            const result = await Commands.compare([oldFile], [newFile], { offline: true });
+            result.should.equal('minor: The field org.acme.Address.street was made optional\nThe changes are minor.');
+            dir.cleanup();
+        });
+
+        it('should fail for breaking changes', async () => {
+            const { dir, oldFile, newFile } = await writeModels(oldModel.replace('o String city optional', ''));
+            await Commands.compare([oldFile], [newFile], { offline: true })
+                .should.be.rejectedWith('major: The field org.acme.Address.city was removed\nThe changes are major.');
+            dir.cleanup();
+        });
+    });
+
+    describe('#lint', () => {
+        const model = `namespace org.acme
+/** An address */
+concept Address {
+  o String street_name
+  o String city optional
+}
+`;
+
+        /**
+         * Writes a model and a configuration of the linter to a temporary directory
+         * @param {string} text - the model
+         * @param {object} config - the configuration of the linter
+         * @return {object} the directory and the paths of the model and of the configuration
+         */
+        async function writeModel(text, config) {
+            const dir = await tmp.dir({ unsafeCleanup: true});
+            const file = path.resolve(dir.path, 'model.cto');
+            const configFile = path.resolve(dir.path, 'config.json');
+            fs.writeFileSync(file, text);
+            fs.writeFileSync(configFile, JSON.stringify(config));
+            return { dir, file, configFile };
+        }
+
+        it('should report the findings as text', async () => {
+            const { dir, file } = await writeModel(model, {});
+            const result = await Commands.lint([file], { offline: true });
+            result.should.equal(`${file}:4:3: warning: The property org.acme.Address.street_name is not camelCase (camel-case-properties)
+errors: 0, warnings: 1, info: 0`);
+            dir.cleanup();
+        });
+
+        it('should report the findings as JSON', async () => {
+            const { dir, file } = await writeModel(model, {});
+            const result = JSON.parse(await Commands.lint([file], { offline: true, format: 'json' }));
+            result.length.should.equal(1);
+            result[0].rule.should.equal('camel-case-properties');
+            result[0].fileName.should.equal(file);
+            result[0].location.start.line.should.equal(4);
+            dir.cleanup();
+        });
+
+        it('should fail for findings whose severity is error', async () => {
+            const { dir, file, configFile } = await writeModel(model.replace('/** An address */\n', ''), {
+                rules: { 'camel-case-properties': 'off', 'require-descriptions': 'error' }
+            });
+            await Commands.lint([file], { offline: true, config: configFile })
+                .should.be.rejectedWith(`${file}:2:1: error: The declaration org.acme.Address has no description (require-descriptions)
+errors: 1, warnings: 0, info: 0`);
+            dir.cleanup();
+        });
+    });
+
+    describe('#graph', () => {
+        const models = {
+            'party.cto': 'namespace org.party\nconcept Party {}\n',
+            'order.cto': 'namespace org.order\nimport org.party.Party\nconcept Order {\n  o Party buyer\n}\n'
+        };
+
+        /**
+         * Writes models to a temporary directory
+         * @param {object} texts - the models, by file name
+         * @return {object} the directory and the paths of the models
+         */
+        async function writeModels(texts) {
+            const dir = await tmp.dir({ unsafeCleanup: true});
+            const files = Object.keys(texts).map((name) => {
+                const file = path.resolve(dir.path, name);
+                fs.writeFileSync(file, texts[name]);
+                return file;
+            });
+            return { dir, files };
+        }
+
+        it('should report the graph in the DOT language', async () => {
+            const { dir, files } = await writeModels(models);
+            const result = await Commands.graph(files, { offline: true });
+            result.should.equal(`digraph dependencies {
+  "org.order";
+  "org.party";
+  "org.order" -> "org.party" [label="import, field"];
+}
+`);
+            dir.cleanup();
+        });
+
+        it('should report the graph as a Mermaid flowchart', async () => {
+            const { dir, files } = await writeModels(models);
+            const result = await Commands.graph(files, { offline: true, format: 'mermaid' });
+            result.should.contain('n0 -->|import, field| n1');
+            dir.cleanup();
+        });
+
+        it('should report the namespaces in the order of their dependencies', async () => {
+            const { dir, files } = await writeModels(models);
+            const result = await Commands.graph(files, { offline: true, format: 'order' });
+            result.should.equal('org.party\norg.order');
+            dir.cleanup();
+        });
+
+        it('should fail for namespaces that depend on each other', async () => {
+            const { dir, files } = await writeModels({
+                'a.cto': 'namespace org.a\nimport org.b.B\nconcept A {\n  o B b optional\n}\n',
+                'b.cto': 'namespace org.b\nimport org.a.A\nconcept B {\n  o A a optional\n}\n'
+            });
+            await Commands.graph(files, { offline: true, format: 'order' })
+                .should.be.rejectedWith('The namespaces cannot be ordered because they depend on each other: org.a, org.b');
+            dir.cleanup();
+        });
+
+        it('should fail for an unrecognised format', async () => {
+            const { dir, files } = await writeModels(models);
+            await Commands.graph(files, { offline: true, format: 'svg' })
+                .should.be.rejectedWith('Unrecognised graph format svg');
+            dir.cleanup();
+        });
+    });
+});
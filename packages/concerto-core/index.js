@@ -27,11 +27,13 @@ module.exports.BaseFileException = require('./lib/basefileexception');
 module.exports.ParseException = require('./lib/introspect/parseexception');
 module.exports.SecurityException = require('./lib/securityexception');
 module.exports.IllegalModelException = require('./lib/introspect/illegalmodelexception');
+module.exports.ModelValidationException = require('./lib/introspect/modelvalidationexception');
 module.exports.TypeNotFoundException = require('./lib/typenotfoundexception');
 
 // Decorated
 module.exports.Decorator = require('./lib/introspect/decorator');
 module.exports.DecoratorFactory = require('./lib/introspect/decoratorfactory');
+module.exports.DecoratorSchema = require('./lib/introspect/decoratorschema');
 
 // ClassDeclarations
 module.exports.ClassDeclaration = require('./lib/introspect/classdeclaration');
@@ -42,6 +44,8 @@ module.exports.EnumValueDeclaration = require('./lib/introspect/enumvaluedeclara
 module.exports.EventDeclaration = require('./lib/introspect/eventdeclaration');
 module.exports.ParticipantDeclaration = require('./lib/introspect/participantdeclaration');
 module.exports.TransactionDeclaration = require('./lib/introspect/transactiondeclaration');
+module.exports.ScalarDeclaration = require('./lib/introspect/scalardeclaration');
+module.exports.Invariant = require('./lib/introspect/invariant');
 
 // Properties
 module.exports.Property = require('./lib/introspect/property');
@@ -72,9 +76,24 @@ module.exports.Introspector = require('./lib/introspect/introspector');
 // ModelFile
 module.exports.ModelFile = require('./lib/introspect/modelfile');
 
+// MetaModel
+module.exports.MetaModel = require('./lib/introspect/metamodel');
+
+// ModelBuilder
+module.exports.ModelBuilder = require('./lib/introspect/modelbuilder');
+
 // ModelManager
 module.exports.ModelManager = require('./lib/modelmanager');
 
+// DependencyGraph
+module.exports.DependencyGraph = require('./lib/dependencygraph');
+
+// ModelComparer
+module.exports.ModelComparer = require('./lib/modelcomparer');
+
+// Linter
+module.exports.Linter = require('./lib/linter');
+
 // Serializer
 module.exports.Serializer = require('./lib/serializer');
 
@@ -17,7 +17,11 @@
 const BaseException = require('./baseexception');
 
 /**
- * Exception throws when a Concerto file is semantically invalid
+ * Exception throws when a Concerto file is semantically invalid. The error is
+ * located in its file by getFileName and getFileLocation, whose start and end
+ * have the line and column of the tokens that cause the error, so that editors
+ * may underline them, and getShortMessage returns the message without the
+ * location appended to it.
  * @extends BaseException
  * @see {@link BaseException}
  * @class
@@ -27,21 +31,22 @@ class BaseFileException extends BaseException {
     /**
      * Create an BaseFileException
      * @param {string} message - the message for the exception
-     * @param {string} fileLocation - the optional file location associated with the exception
+     * @param {Object} [fileLocation] - the optional file location associated with the exception
      * @param {string} fullMessage - the optional full message text
      * @param {string} [fileName] - the file name
      * @param {string} [component] - the component which throws this error
      */
     constructor(message, fileLocation, fullMessage, fileName, component) {
         super(fullMessage ? fullMessage : message, component);
-        this.fileLocation = fileLocation;
+        this.fileLocation = fileLocation ? fileLocation : null;
         this.shortMessage = message;
         this.fileName = fileName;
     }
 
     /**
      * Returns the file location associated with the exception or null
-     * @return {string} the optional location associated with the exception
+     * @return {Object} the optional location associated with the exception, with
+     * the line and column of its start and end
      */
     getFileLocation() {
         return this.fileLocation;
@@ -17,6 +17,7 @@
 const URIJS = require('urijs');
 const RESOURCE_SCHEME = 'resource';
 const TypedStack = require('./serializer/typedstack');
+const ResourceId = require('./model/resourceid');
 const ObjectValidator = require('./serializer/objectvalidator');
 
 /**
@@ -38,6 +39,8 @@ class Concerto {
      * Validates the instance against its model.
      * @param {*} obj the input object
      * @param {*} [options] the validation options
+     * @param {boolean} [options.acceptEnumCodes] - accept the code of an enumerated value
+     * in the place of its name, false by default
      * @throws {Error} - if the instance if invalid with respect to the model
      */
     validate(obj, options) {
@@ -86,17 +89,18 @@ class Concerto {
     }
 
     /**
-     * Gets the identifier for an object
+     * Gets the identifier for an object. The identifier of an object with a
+     * composite identifier is made of the values of its identifying fields,
+     * separated by commas.
      * @param {*} obj the input object
      * @return {string} The identifier for this object
      */
     getIdentifier(obj) {
         const typeDeclaration = this.getTypeDeclaration(obj);
-        const idField = typeDeclaration.getIdentifierFieldName();
-        if (!idField) {
+        if (!typeDeclaration.isIdentified()) {
             throw new Error(`Object does not have an identifier: ${JSON.stringify(obj)}`);
         }
-        return obj[idField];
+        return ResourceId.getIdentifier(typeDeclaration, obj);
     }
 
     /**
@@ -106,7 +110,7 @@ class Concerto {
      */
     isIdentifiable(obj) {
         const typeDeclaration = this.getTypeDeclaration(obj);
-        return !typeDeclaration.isSystemIdentified() && typeDeclaration.getIdentifierFieldName() !== null;
+        return !typeDeclaration.isSystemIdentified() && typeDeclaration.isIdentified();
     }
 
     /**
@@ -129,9 +133,12 @@ class Concerto {
      */
     setIdentifier(obj, id) {
         const typeDeclaration = this.getTypeDeclaration(obj);
-        const idField = typeDeclaration.getIdentifierFieldName();
+        const idFields = typeDeclaration.getIdentifierFieldNames();
+        const values = ResourceId.decomposeIdentifier(id, idFields.length);
         const clone = JSON.parse(JSON.stringify(obj));
-        clone[idField] = id;
+        idFields.forEach((idField, index) => {
+            clone[idField] = values[index];
+        });
         return clone;
     }
 
@@ -24,6 +24,10 @@ dayjs.extend(minMax);
 const duration = require('dayjs/plugin/duration');
 dayjs.extend(duration);
 
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d{1,3})?)?$/;
+const DURATION_REGEX = /^P(?!$)(\d+(\.\d+)?Y)?(\d+(\.\d+)?M)?(\d+(\.\d+)?W)?(\d+(\.\d+)?D)?(T(?=\d)(\d+(\.\d+)?H)?(\d+(\.\d+)?M)?(\d+(\.\d+)?S)?)?$/;
+
 /**
  * Ensures there is a proper current time
  *
@@ -45,4 +49,48 @@ function setCurrentTime(currentTime, utcOffset) {
     };
 }
 
-module.exports = { setCurrentTime };
+/**
+ * Parses a Date value, an ISO 8601 calendar date without a time or a UTC offset,
+ * for example '1999-12-31'. The date is held at midnight UTC so that it is not
+ * shifted by the UTC offset used for DateTime values.
+ *
+ * @param {string} value - the date string
+ * @returns {object} the dayjs object for the date, or null if the value is not a valid date
+ */
+function parseDate(value) {
+    if (typeof value !== 'string' || !DATE_REGEX.test(value)) {
+        return null;
+    }
+    const result = dayjs.utc(value);
+    // reject dates such as '2021-02-30' which dayjs would roll over into the next month
+    return result.isValid() && result.format('YYYY-MM-DD') === value ? result : null;
+}
+
+/**
+ * Parses a Time value, an ISO 8601 time of day without a date or a UTC offset,
+ * for example '23:59' or '23:59:59.999'. The time is held on 1970-01-01 UTC.
+ *
+ * @param {string} value - the time string
+ * @returns {object} the dayjs object for the time, or null if the value is not a valid time
+ */
+function parseTime(value) {
+    if (typeof value !== 'string' || !TIME_REGEX.test(value)) {
+        return null;
+    }
+    return dayjs.utc(`1970-01-01T${value}Z`);
+}
+
+/**
+ * Parses a Duration value, an ISO 8601 duration, for example 'P1Y2M3DT4H5M6S'
+ *
+ * @param {string} value - the duration string
+ * @returns {object} the dayjs duration, or null if the value is not a valid duration
+ */
+function parseDuration(value) {
+    if (typeof value !== 'string' || !DURATION_REGEX.test(value)) {
+        return null;
+    }
+    return dayjs.duration(value);
+}
+
+module.exports = { setCurrentTime, parseDate, parseTime, parseDuration };
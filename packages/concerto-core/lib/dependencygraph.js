@@ -0,0 +1,318 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ModelUtil = require('./modelutil');
+const RelationshipDeclaration = require('./introspect/relationshipdeclaration');
+
+/**
+ * The types of the edges of the graph, in the order they are listed
+ * @private
+ */
+const EDGE_TYPES = ['import', 'extends', 'field', 'relationship'];
+
+/**
+ * DependencyGraph is the graph of the dependencies between the namespaces of
+ * the model files of a model manager. A namespace depends on another namespace
+ * if it imports one of its types (an import edge), if one of its classes
+ * extends or mixes in one of its classes (an extends edge), or if one of its
+ * properties is declared with one of its types, as the type of a field, a type
+ * argument or a map key (a field edge) or as the type of a relationship (a
+ * relationship edge). The system namespace, which every namespace depends on,
+ * is not part of the graph.
+ *
+ * The graph orders the namespaces so that each namespace follows the
+ * namespaces it depends on, finds the cycles of namespaces that depend on each
+ * other, and is exported in the DOT language of Graphviz or as a Mermaid flowchart.
+ * @class
+ * @memberof module:concerto-core
+ */
+class DependencyGraph {
+    /**
+     * Create the DependencyGraph of the model files of a model manager. Use
+     * {@link ModelManager#getDependencyGraph getDependencyGraph} to create it.
+     * @param {ModelManager} modelManager - the model manager
+     * @private
+     */
+    constructor(modelManager) {
+        this.namespaces = [];
+        this.edges = [];
+        this.dependencies = new Map();
+        modelManager.getModelFiles().forEach((modelFile) => this.addNamespace(modelFile.getNamespace()));
+        modelManager.getModelFiles().forEach((modelFile) => this.addModelFile(modelFile));
+        this.namespaces.sort();
+    }
+
+    /**
+     * Returns the namespaces of the graph
+     * @return {string[]} the namespaces, sorted by name
+     */
+    getNamespaces() {
+        return this.namespaces.slice();
+    }
+
+    /**
+     * Returns the edges of the graph, each with the namespace that depends on
+     * another (from), the namespace it depends on (to), the type of the edge
+     * (import, extends, field or relationship), the name of the element that
+     * refers to the other namespace (source) and the name of the type it refers to (target)
+     * @return {Object[]} the edges, in the order of the model files and of their elements
+     */
+    getEdges() {
+        return this.edges.map((edge) => Object.assign({}, edge));
+    }
+
+    /**
+     * Returns the namespaces that a namespace depends on
+     * @param {string} namespace - the namespace
+     * @param {boolean} [transitive] - also return the namespaces that they depend on, and so on
+     * @return {string[]} the namespaces that the namespace depends on, sorted by name
+     * @throws {Error} if the namespace is not in the graph
+     */
+    getDependencies(namespace, transitive) {
+        this.checkNamespace(namespace);
+        return this.reach(namespace, (ns) => Array.from(this.dependencies.get(ns)), transitive);
+    }
+
+    /**
+     * Returns the namespaces that depend on a namespace
+     * @param {string} namespace - the namespace
+     * @param {boolean} [transitive] - also return the namespaces that depend on them, and so on
+     * @return {string[]} the namespaces that depend on the namespace, sorted by name
+     * @throws {Error} if the namespace is not in the graph
+     */
+    getDependents(namespace, transitive) {
+        this.checkNamespace(namespace);
+        return this.reach(namespace, (ns) => this.namespaces.filter((other) => this.dependencies.get(other).has(ns)), transitive);
+    }
+
+    /**
+     * Returns true if a namespace depends on another, directly or through the
+     * namespaces it depends on
+     * @param {string} namespace - the namespace
+     * @param {string} other - the other namespace
+     * @return {boolean} true if the namespace depends on the other namespace
+     * @throws {Error} if the namespace is not in the graph
+     */
+    dependsOn(namespace, other) {
+        return this.getDependencies(namespace, true).includes(other);
+    }
+
+    /**
+     * Returns the cycles of the graph, each a set of namespaces that depend on
+     * each other, directly or through the other namespaces of the set
+     * @return {Array} the namespaces of each cycle, each sorted by name
+     */
+    getCycles() {
+        // Tarjan's algorithm finds the strongly connected components of the graph
+        const index = new Map();
+        const lowLink = new Map();
+        const stack = [];
+        const cycles = [];
+        const connect = (namespace) => {
+            index.set(namespace, index.size);
+            lowLink.set(namespace, index.get(namespace));
+            stack.push(namespace);
+            this.dependencies.get(namespace).forEach((dependency) => {
+                if (!index.has(dependency)) {
+                    connect(dependency);
+                    lowLink.set(namespace, Math.min(lowLink.get(namespace), lowLink.get(dependency)));
+                } else if (stack.includes(dependency)) {
+                    lowLink.set(namespace, Math.min(lowLink.get(namespace), index.get(dependency)));
+                }
+            });
+            if (lowLink.get(namespace) === index.get(namespace)) {
+                const component = stack.splice(stack.indexOf(namespace));
+                if (component.length > 1) {
+                    cycles.push(component.sort());
+                }
+            }
+        };
+        this.namespaces.filter((namespace) => !index.has(namespace)).forEach(connect);
+        return cycles.sort((a, b) => a[0].localeCompare(b[0]));
+    }
+
+    /**
+     * Returns true if the graph has a cycle of namespaces that depend on each other
+     * @return {boolean} true if the graph has a cycle
+     */
+    hasCycles() {
+        return this.getCycles().length > 0;
+    }
+
+    /**
+     * Returns the namespaces ordered so that each namespace follows the
+     * namespaces that it depends on, and otherwise by name
+     * @return {string[]} the namespaces in the order of their dependencies
+     * @throws {Error} if the graph has a cycle, which cannot be ordered
+     */
+    getTopologicalOrder() {
+        const cycles = this.getCycles();
+        if (cycles.length > 0) {
+            throw new Error(`The namespaces cannot be ordered because they depend on each other: ${cycles.map((cycle) => cycle.join(', ')).join('; ')}`);
+        }
+        const order = [];
+        while (order.length < this.namespaces.length) {
+            order.push(this.namespaces.find((namespace) => !order.includes(namespace) &&
+                Array.from(this.dependencies.get(namespace)).every((dependency) => order.includes(dependency))));
+        }
+        return order;
+    }
+
+    /**
+     * Returns the graph in the DOT language of Graphviz, with an edge from
+     * each namespace to each namespace it depends on, labelled with the types
+     * of the dependencies
+     * @return {string} the graph in the DOT language
+     */
+    toDOT() {
+        const lines = ['digraph dependencies {'];
+        this.namespaces.forEach((namespace) => lines.push(`  "${namespace}";`));
+        this.getNamespaceEdges().forEach((edge) => {
+            lines.push(`  "${edge.from}" -> "${edge.to}" [label="${edge.types.join(', ')}"];`);
+        });
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Returns the graph as a Mermaid flowchart, with an edge from each
+     * namespace to each namespace it depends on, labelled with the types of the dependencies
+     * @return {string} the graph as a Mermaid flowchart
+     */
+    toMermaid() {
+        // the nodes are named by their position, as namespaces are not valid Mermaid identifiers
+        const node = (namespace) => `n${this.namespaces.indexOf(namespace)}`;
+        const lines = ['graph LR'];
+        this.namespaces.forEach((namespace) => lines.push(`  ${node(namespace)}["${namespace}"]`));
+        this.getNamespaceEdges().forEach((edge) => {
+            lines.push(`  ${node(edge.from)} -->|${edge.types.join(', ')}| ${node(edge.to)}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Returns an edge for each namespace and each namespace it depends on,
+     * with the types of the edges between them
+     * @return {Object[]} the edges, sorted by namespace
+     * @private
+     */
+    getNamespaceEdges() {
+        const result = [];
+        this.namespaces.forEach((from) => {
+            Array.from(this.dependencies.get(from)).sort().forEach((to) => {
+                const types = EDGE_TYPES.filter((type) => this.edges.some((edge) => edge.from === from && edge.to === to && edge.type === type));
+                result.push({ from, to, types });
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Returns the namespaces reached from a namespace by following the edges of the graph
+     * @param {string} namespace - the namespace
+     * @param {Function} next - returns the namespaces reached from a namespace by a single edge
+     * @param {boolean} [transitive] - follow the edges of the namespaces that are reached, and so on
+     * @return {string[]} the namespaces that are reached, sorted by name
+     * @private
+     */
+    reach(namespace, next, transitive) {
+        const reached = new Set();
+        const visit = (ns) => {
+            next(ns).filter((other) => !reached.has(other)).forEach((other) => {
+                reached.add(other);
+                if (transitive) {
+                    visit(other);
+                }
+            });
+        };
+        visit(namespace);
+        // a namespace in a cycle reaches itself, but it does not depend on itself
+        reached.delete(namespace);
+        return Array.from(reached).sort();
+    }
+
+    /**
+     * Checks that a namespace is in the graph
+     * @param {string} namespace - the namespace
+     * @throws {Error} if the namespace is not in the graph
+     * @private
+     */
+    checkNamespace(namespace) {
+        if (!this.dependencies.has(namespace)) {
+            throw new Error(`Namespace ${namespace} is not in the dependency graph`);
+        }
+    }
+
+    /**
+     * Adds a namespace to the graph, if it is not already in the graph
+     * @param {string} namespace - the namespace
+     * @private
+     */
+    addNamespace(namespace) {
+        if (!this.dependencies.has(namespace)) {
+            this.namespaces.push(namespace);
+            this.dependencies.set(namespace, new Set());
+        }
+    }
+
+    /**
+     * Adds the edges of the imports and declarations of a model file
+     * @param {ModelFile} modelFile - the model file
+     * @private
+     */
+    addModelFile(modelFile) {
+        const namespace = modelFile.getNamespace();
+        modelFile.getImports().forEach((importName) => this.addEdge(namespace, 'import', namespace, importName));
+        modelFile.getAllDeclarations().forEach((declaration) => {
+            const name = declaration.getFullyQualifiedName();
+            [declaration.getSuperType()].concat(declaration.getMixins()).forEach((superType) => {
+                this.addEdge(namespace, 'extends', name, superType);
+            });
+            if (declaration.isEnum()) {
+                return;
+            }
+            declaration.getOwnProperties().forEach((property) => {
+                const type = property instanceof RelationshipDeclaration ? 'relationship' : 'field';
+                const typeArguments = property.getFullyQualifiedTypeArguments() || {};
+                [property.getFullyQualifiedTypeName(), property.getFullyQualifiedMapKeyTypeName()]
+                    .concat(Object.keys(typeArguments).map((typeParameter) => typeArguments[typeParameter]))
+                    .forEach((target) => this.addEdge(namespace, type, property.getFullyQualifiedName(), target));
+            });
+        });
+    }
+
+    /**
+     * Adds an edge from a namespace to the namespace of a type that one of its
+     * elements refers to, unless the type is a primitive type, in the system
+     * namespace or in the same namespace
+     * @param {string} namespace - the namespace that depends on the type
+     * @param {string} type - the type of the edge
+     * @param {string} source - the name of the element that refers to the type
+     * @param {string} target - the fully qualified name of the type, or null
+     * @private
+     */
+    addEdge(namespace, type, source, target) {
+        const to = target ? ModelUtil.getNamespace(target) : '';
+        if (to === '' || to === 'concerto' || to === namespace) {
+            return;
+        }
+        this.addNamespace(to);
+        this.dependencies.get(namespace).add(to);
+        this.edges.push({ from: namespace, to: to, type: type, source: source, target: target });
+    }
+}
+
+module.exports = DependencyGraph;
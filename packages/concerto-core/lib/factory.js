@@ -26,6 +26,7 @@ const TypedStack = require('./serializer/typedstack');
 
 const Relationship = require('./model/relationship');
 const Resource = require('./model/resource');
+const ResourceId = require('./model/resourceid');
 const ValidatedResource = require('./model/validatedresource');
 
 const TransactionDeclaration = require('./introspect/transactiondeclaration');
@@ -59,7 +60,12 @@ class Factory {
      * Create a new Resource with a given namespace, type name and id
      * @param {String} ns - the namespace of the Resource
      * @param {String} type - the type of the Resource
-     * @param {String} [id] - an optional string identifier
+     * @param {Object} [id] - an optional string identifier, for a composite identifier
+     * the values of the identifying fields separated by commas, in which a comma or a
+     * percent sign is percent-encoded as %2C or %25, for example EU,100%25. The values
+     * of the identifying fields may also be given, unencoded, as an array in the order of
+     * the fields, for example ['EU', '100%'], or as an object keyed by the names of the
+     * fields, for example { region: 'EU', accountNumber: '100%' }
      * @param {Object} [options] - an optional set of options
      * @param {boolean} [options.disableValidation] - pass true if you want the factory to
      * return a {@link Resource} instead of a {@link ValidatedResource}. Defaults to false.
@@ -86,11 +92,16 @@ class Factory {
             }));
         }
 
-        let idField = classDecl.getIdentifierFieldName();
+        const idFields = classDecl.getIdentifierFieldNames();
+        let idValues = null;
         if (classDecl.isSystemIdentified()) {
             id = id === null || id === undefined ? uuid.v4() : id;
         }
-        if (idField) {
+        if (idFields.length > 0) {
+            if (id !== null && typeof id === 'object') {
+                const values = Array.isArray(id) ? id : idFields.map((idField) => id[idField]);
+                id = values.length === idFields.length ? ResourceId.composeIdentifier(values) : null;
+            }
             if(typeof(id) !== 'string') {
                 let formatter = Globalize.messageFormatter('factory-newinstance-invalididentifier');
                 throw new Error(formatter({
@@ -99,7 +110,16 @@ class Factory {
                 }));
             }
 
-            if(id.trim().length === 0) {
+            try {
+                idValues = ResourceId.decomposeIdentifier(id, idFields.length);
+            } catch(err) {
+                let formatter = Globalize.messageFormatter('factory-newinstance-invalididentifier');
+                throw new Error(`${formatter({
+                    namespace: ns,
+                    type: type
+                })}: ${err.message}`);
+            }
+            if(idValues.some((value) => value.trim().length === 0)) {
                 let formatter = Globalize.messageFormatter('factory-newinstance-missingidentifier');
                 throw new Error(formatter({
                     namespace: ns,
@@ -124,9 +144,11 @@ class Factory {
         newObj.assignFieldDefaults();
         this.initializeNewObject(newObj, classDecl, options);
 
-        if (idField) {
-            // if we have an identifier, we set it now
-            newObj[idField] = id;
+        if (idValues) {
+            // if we have an identifier, we set its fields now
+            idFields.forEach((idField, index) => {
+                newObj[idField] = idValues[index];
+            });
         }
 
         debug(method, 'Factory.newResource created ', id || 'valid');
@@ -39,6 +39,15 @@ class AssetDeclaration extends IdentifiedDeclaration {
         this._isAssetDeclaration = true;
     }
 
+    /**
+     * Returns the kind of this declaration, the keyword that declares it
+     * @return {string} the kind of the declaration, asset
+     * @private
+     */
+    getKind() {
+        return 'asset';
+    }
+
     /**
      * Alternative instanceof that is reliable across different module instances
      * @see https://github.com/hyperledger/composer-concerto/issues/47
@@ -20,13 +20,17 @@ const Field = require('./field');
 const Globalize = require('../globalize');
 const IllegalModelException = require('./illegalmodelexception');
 const Introspector = require('./introspector');
+const Invariant = require('./invariant');
 const ModelUtil = require('../modelutil');
+const Property = require('./property');
 const RelationshipDeclaration = require('./relationshipdeclaration');
 
 /**
  * ClassDeclaration defines the structure (model/schema) of composite data.
- * It is composed of a set of Properties, may have an identifying field, and may
- * have a super-type.
+ * It is composed of a set of Properties, may have an identifying field, may
+ * have a super-type and may mix in the properties of concepts. A concept may
+ * be generic, with type parameters that its fields are declared with.
+ * Invariants relate the properties of a class, and must hold for its instances.
  * A ClassDeclaration is conceptually owned by a ModelFile which
  * defines all the classes that are part of a namespace.
  *
@@ -59,10 +63,16 @@ class ClassDeclaration extends Decorated {
         super.process();
 
         this.name = this.ast.id.name;
+        // the name of the class is known before its properties are processed, to report their errors
+        this.fqn = ModelUtil.getFullyQualifiedName(this.modelFile.getNamespace(), this.name);
         this.properties = [];
+        this.invariants = [];
         this.superType = null;
         this.superTypeDeclaration = null;
-        this.idField = null;
+        this.mixins = [];
+        this.mixinDeclarations = null;
+        this.typeParameters = this.ast.typeParameters ? this.ast.typeParameters : [];
+        this.idFields = [];
         this.timestamped = false;
         this.abstract = false;
 
@@ -77,11 +87,16 @@ class ClassDeclaration extends Decorated {
             this.superType = 'Concept';
         }
 
+        if (this.ast.mixins) {
+            this.mixins = this.ast.mixins.classes.map((mixin) => mixin.name);
+        }
+
         if (this.ast.idField) {
-            this.idField = this.ast.idField.name;
+            const idFields = this.ast.idField.type === 'CompositeIdentifier' ? this.ast.idField.fields : [this.ast.idField];
+            this.idFields = idFields.map((idField) => idField.name);
         }
 
-        if(this.idField === '$identifier') {
+        if(this.idFields[0] === '$identifier') {
             this.addIdentifierField();
         }
 
@@ -89,7 +104,7 @@ class ClassDeclaration extends Decorated {
             let thing = this.ast.body.declarations[n];
 
             if(thing.id && thing.id.name && thing.id.name.startsWith('$')) {
-                throw new IllegalModelException(`Invalid field name ${thing.id.name}`, this.modelFile, this.ast.location);
+                throw new IllegalModelException(`Invalid field name ${thing.id.name}`, this.modelFile, this.getClauseLocation(thing));
             }
 
             if (thing.type === 'FieldDeclaration') {
@@ -98,15 +113,16 @@ class ClassDeclaration extends Decorated {
                 this.properties.push(new RelationshipDeclaration(this, thing));
             } else if (thing.type === 'EnumPropertyDeclaration') {
                 this.properties.push(new EnumValueDeclaration(this, thing));
+            } else if (thing.type === 'InvariantDeclaration') {
+                this.invariants.push(new Invariant(this, thing));
             } else {
                 let formatter = Globalize.messageFormatter('classdeclaration-process-unrecmodelelem');
                 throw new IllegalModelException(formatter({
                     'type': thing.type
-                }), this.modelFile, this.ast.location);
+                }), this.modelFile, this.getClauseLocation(thing));
             }
         }
 
-        this.fqn = ModelUtil.getFullyQualifiedName(this.modelFile.getNamespace(), this.name);
         this._isClassDeclaration = true;
 
         if (this.fqn === 'concerto.Transaction' || this.fqn === 'concerto.Event') {
@@ -143,6 +159,19 @@ class ClassDeclaration extends Decorated {
         this.properties.push(new Field(this, definition));
     }
 
+    /**
+     * Returns the location of a part of this declaration, such as its super
+     * type, mixins or identifier, so that an error is reported at the part
+     * that causes it. Parts that are not declared in the model file, such as
+     * the default super type, are located at the declaration.
+     * @param {Object} [node] - the AST of the part of the declaration
+     * @return {Object} the location of the part, or of the declaration
+     * @private
+     */
+    getClauseLocation(node) {
+        return node && node.location ? node.location : this.ast.location;
+    }
+
     /**
      * Resolve the super type on this class and store it as an internal property.
      * @return {ClassDeclaration} The super type, or null if non specified.
@@ -162,18 +191,71 @@ class ClassDeclaration extends Decorated {
         }
 
         if (!classDecl) {
-            throw new IllegalModelException('Could not find super type ' + this.superType, this.modelFile, this.ast.location);
+            throw new IllegalModelException('Could not find super type ' + this.superType, this.modelFile, this.getClauseLocation(this.ast.classExtension));
         }
 
         // if super type is not a concept, then check that this type and the super type
         // are of the same type. E.g. an asset cannot extend a participant
-        if (classDecl.constructor.name !== 'ConceptDeclaration' && this.constructor.name !== classDecl.constructor.name) {
-            throw new IllegalModelException(`${this.constructor.name} (${this.getName()}) cannot extend ${classDecl.constructor.name} (${classDecl.getName()})`, this.modelFile, this.ast.location);
+        if (!classDecl.isConcept() && this.getKind() !== classDecl.getKind()) {
+            throw new IllegalModelException(`${this.getKindAndName()} cannot extend ${classDecl.getKindAndName()}`, this.modelFile, this.getClauseLocation(this.ast.classExtension));
+        }
+
+        // the type parameters of a generic type are only bound by the type arguments of a field
+        if (classDecl.isGeneric()) {
+            throw new IllegalModelException(`${this.getKindAndName()} cannot extend the generic type ${classDecl.getName()}`, this.modelFile, this.getClauseLocation(this.ast.classExtension));
         }
         this.superTypeDeclaration = classDecl;
         return classDecl;
     }
 
+    /**
+     * Resolve the mixins of this class and store them as an internal property.
+     * @return {ClassDeclaration[]} The mixins, in the order they are declared.
+     * @private
+     */
+    _resolveMixins() {
+        // Clear out any old resolved mixins, there are none while they are resolved
+        // so that a cycle of mixins is reported rather than followed.
+        this.mixinDeclarations = [];
+        const mixinDeclarations = this.mixins.map((mixin) => {
+            let classDecl = null;
+            if (this.getModelFile().isImportedType(mixin)) {
+                let fqnMixin = this.getModelFile().resolveImport(mixin);
+                classDecl = this.modelFile.getModelManager().getType(fqnMixin);
+            } else {
+                classDecl = this.getModelFile().getType(mixin);
+            }
+
+            if (!classDecl) {
+                throw new IllegalModelException('Could not find mixin ' + mixin, this.modelFile, this.getClauseLocation(this.ast.mixins));
+            }
+
+            // a mixin only contributes properties, so it must be a concept without an identifier
+            if (!classDecl.isConcept()) {
+                throw new IllegalModelException(`${this.getKindAndName()} cannot mix in ${classDecl.getKindAndName()}`, this.modelFile, this.getClauseLocation(this.ast.mixins));
+            }
+            if (classDecl.isIdentified()) {
+                throw new IllegalModelException(`${this.getKindAndName()} cannot mix in the identified concept ${classDecl.getName()}`, this.modelFile, this.getClauseLocation(this.ast.mixins));
+            }
+            if (classDecl.isGeneric()) {
+                throw new IllegalModelException(`${this.getKindAndName()} cannot mix in the generic type ${classDecl.getName()}`, this.modelFile, this.getClauseLocation(this.ast.mixins));
+            }
+            if (classDecl === this || classDecl.getAllSuperTypeDeclarations().includes(this)) {
+                throw new IllegalModelException(`${this.getKindAndName()} cannot mix in ${classDecl.getName()}, which derives from it`, this.modelFile, this.getClauseLocation(this.ast.mixins));
+            }
+            return classDecl;
+        });
+
+        mixinDeclarations.forEach((classDecl, index) => {
+            if (mixinDeclarations.indexOf(classDecl) !== index || classDecl === this.getSuperTypeDeclaration()) {
+                throw new IllegalModelException(`Duplicate mixin ${this.mixins[index]} of ${this.getName()}`, this.modelFile, this.getClauseLocation(this.ast.mixins));
+            }
+        });
+
+        this.mixinDeclarations = mixinDeclarations;
+        return mixinDeclarations;
+    }
+
     /**
      * Semantic validation of the structure of this class. Subclasses should
      * override this method to impose additional semantic constraints on the
@@ -185,17 +267,28 @@ class ClassDeclaration extends Decorated {
     validate() {
         super.validate();
 
+        // check that no declaration before this one has the same name,
+        // so that a duplicate name is reported once
         const declarations = this.getModelFile().getAllDeclarations();
-        for (let n = 0; n < declarations.length; n++) {
-            let declaration = declarations[n];
-
-            // check we don't have an asset with the same name
-            for (let i = n + 1; i < declarations.length; i++) {
-                let otherDeclaration = declarations[i];
-                if (declaration.getFullyQualifiedName() === otherDeclaration.getFullyQualifiedName()) {
-                    throw new IllegalModelException(`Duplicate class name ${declaration.getName()}`);
-                }
+        const previousDeclarations = declarations.slice(0, declarations.indexOf(this));
+        if (previousDeclarations.some((declaration) => declaration.getFullyQualifiedName() === this.getFullyQualifiedName())) {
+            throw new IllegalModelException(`Duplicate class name ${this.getName()}`, this.modelFile, this.ast.location);
+        }
+
+        // type parameters are referred to by name, so they must be distinct from each other and from primitive types
+        this.typeParameters.forEach((typeParameter, index) => {
+            if (this.typeParameters.indexOf(typeParameter) !== index) {
+                throw new IllegalModelException(`Duplicate type parameter ${typeParameter} of ${this.name}`, this.modelFile, this.ast.location);
             }
+            if (ModelUtil.isPrimitiveType(typeParameter)) {
+                throw new IllegalModelException(`The type parameter ${typeParameter} of ${this.name} cannot have the name of a primitive type`, this.modelFile, this.ast.location);
+            }
+        });
+
+        // the type parameters of a generic type are only bound by the type arguments of a field
+        if (this.ast.classExtension && this.ast.classExtension.typeArguments) {
+            const superType = this.superType + Property.getTypeArgumentsText(this.ast.classExtension.typeArguments);
+            throw new IllegalModelException(`${this.getKindAndName()} cannot extend ${superType}, generic super types are not supported`, this.modelFile, this.getClauseLocation(this.ast.classExtension));
         }
 
         // if we have a super type make sure it exists
@@ -203,49 +296,58 @@ class ClassDeclaration extends Decorated {
             this._resolveSuperType();
         }
 
-        if (this.idField) {
-            const idField = this.getProperty(this.idField);
+        // make sure the mixins exist and are concepts
+        this._resolveMixins();
+
+        // a composite identifier is made of several fields, each checked like a single identifying field
+        this.idFields.forEach((idFieldName, index) => {
+            if (this.idFields.indexOf(idFieldName) !== index) {
+                throw new IllegalModelException(`Class ${this.name} is identified by the field ${idFieldName} more than once.`, this.modelFile, this.getClauseLocation(this.ast.idField));
+            }
+            const idField = this.getProperty(idFieldName);
             if (!idField) {
                 let formatter = Globalize('en').messageFormatter('classdeclaration-validate-identifiernotproperty');
                 throw new IllegalModelException(formatter({
                     'class': this.name,
-                    'idField': this.idField
-                }), this.modelFile, this.ast.location);
-            } else {
-                // check that identifiers are strings
-                if (idField.getType() !== 'String') {
-                    let formatter = Globalize('en').messageFormatter('classdeclaration-validate-identifiernotstring');
-                    throw new IllegalModelException(formatter({
-                        'class': this.name,
-                        'idField': this.idField
-                    }), this.modelFile, this.ast.location);
-                }
+                    'idField': idFieldName
+                }), this.modelFile, this.getClauseLocation(this.ast.idField));
+            }
 
-                if (idField.isOptional()) {
-                    throw new IllegalModelException('Identifying fields cannot be optional.', this.modelFile, this.ast.location);
-                }
+            // check that identifiers are strings, or scalars that extend String
+            const idFieldType = idField instanceof Field && idField.isTypeScalar() ? idField.getScalarField().getType() : idField.getType();
+            if (idFieldType !== 'String') {
+                let formatter = Globalize('en').messageFormatter('classdeclaration-validate-identifiernotstring');
+                throw new IllegalModelException(formatter({
+                    'class': this.name,
+                    'idField': idFieldName
+                }), this.modelFile, this.getClauseLocation(this.ast.idField));
+            }
+
+            if (idField.isOptional()) {
+                throw new IllegalModelException('Identifying fields cannot be optional.', this.modelFile, this.getClauseLocation(this.ast.idField));
+            }
+        });
 
-                if(this.superType) {
-                    const superType = this.getModelFile().getType(this.superType);
-                    if (superType && superType.isIdentified() ) {
-                        if(this.isSystemIdentified()) {
-                            // check that the super type is also system identified
-                            if(!superType.isSystemIdentified()) {
-                                throw new IllegalModelException(`Super class ${superType.getFullyQualifiedName()} has an explicit identifier ${superType.getIdentifierFieldName()} that cannot be redeclared.`, this.modelFile, this.ast.location);
-                            }
-                        }
-                        else {
-                            if(superType.isExplicitlyIdentified()) {
-                                throw new IllegalModelException(`Super class ${superType.getFullyQualifiedName()} has an explicit identifier ${superType.getIdentifierFieldName()} that cannot be redeclared.`, this.modelFile, this.ast.location);
-                            }
-                        }
+        if (this.idFields.length > 0 && this.superType) {
+            const superType = this.getModelFile().getType(this.superType);
+            if (superType && superType.isIdentified() ) {
+                if(this.isSystemIdentified()) {
+                    // check that the super type is also system identified
+                    if(!superType.isSystemIdentified()) {
+                        throw new IllegalModelException(`Super class ${superType.getFullyQualifiedName()} has an explicit identifier ${superType.getIdentifierFieldNames().join(', ')} that cannot be redeclared.`, this.modelFile, this.getClauseLocation(this.ast.idField));
+                    }
+                }
+                else {
+                    if(superType.isExplicitlyIdentified()) {
+                        throw new IllegalModelException(`Super class ${superType.getFullyQualifiedName()} has an explicit identifier ${superType.getIdentifierFieldNames().join(', ')} that cannot be redeclared.`, this.modelFile, this.getClauseLocation(this.ast.idField));
                     }
                 }
             }
         }
 
-        // we also have to check fields defined in super classes
+        // we also have to check fields defined in super classes and mixins
         const properties = this.getProperties();
+        const mixinProperties = this.getMixinProperties();
         for (let n = 0; n < properties.length; n++) {
             let field = properties[n];
 
@@ -253,11 +355,16 @@ class ClassDeclaration extends Decorated {
             for (let i = n + 1; i < properties.length; i++) {
                 let otherField = properties[i];
                 if (field.getName() === otherField.getName()) {
+                    if (mixinProperties.includes(otherField)) {
+                        throw new IllegalModelException(`Class ${this.name} has conflicting definitions of the field ${field.getName()} in ${field.getParent().getName()} and ${otherField.getParent().getName()}`, this.modelFile, this.getClauseLocation(this.ast.mixins));
+                    }
+                    // the duplicate is reported where this class declares it, rather than in a super type
+                    const duplicate = [otherField, field].find((property) => property.getParent() === this);
                     let formatter = Globalize('en').messageFormatter('classdeclaration-validate-duplicatefieldname');
                     throw new IllegalModelException(formatter({
                         'class': this.name,
                         'fieldName': field.getName()
-                    }), this.modelFile, this.ast.location);
+                    }), this.modelFile, this.getClauseLocation(duplicate && duplicate.ast));
                 }
             }
 
@@ -272,6 +379,14 @@ class ClassDeclaration extends Decorated {
                 field.validate(classDecl);
             }
         }
+
+        // the invariants are type checked once the types of the properties they refer to are known
+        this.invariants.forEach((invariant, index) => {
+            if (this.invariants.findIndex((other) => other.getName() === invariant.getName()) !== index) {
+                throw new IllegalModelException(`Duplicate invariant ${invariant.getName()} of ${this.name}`, this.modelFile, invariant.ast.location);
+            }
+            invariant.validate();
+        });
     }
 
     /**
@@ -301,6 +416,25 @@ class ClassDeclaration extends Decorated {
         return false;
     }
 
+    /**
+     * Returns the kind of this declaration, the keyword that declares it, as
+     * it is named in the messages of errors and changes.
+     * @return {string} the kind of the declaration, for example asset or concept
+     * @private
+     */
+    getKind() {
+        return 'class';
+    }
+
+    /**
+     * Returns the kind and the name of this declaration, for the messages of errors
+     * @return {string} the kind and the name, for example Asset (Vehicle)
+     * @private
+     */
+    getKindAndName() {
+        return `${ModelUtil.capitalizeFirstLetter(this.getKind())} (${this.getName()})`;
+    }
+
     /**
      * Returns true if this class is the definition of an event.
      *
@@ -344,7 +478,7 @@ class ClassDeclaration extends Decorated {
      * @returns {Boolean} true if the class declaration includes an identifier
      */
     isIdentified() {
-        return !!(this.getIdentifierFieldName());
+        return this.getIdentifierFieldNames().length > 0;
     }
 
     /**
@@ -353,7 +487,8 @@ class ClassDeclaration extends Decorated {
      * @returns {Boolean} true if the class declaration includes a system identifier
      */
     isSystemIdentified() {
-        return this.getIdentifierFieldName() === '$identifier';
+        const idFields = this.getIdentifierFieldNames();
+        return idFields.length === 1 && idFields[0] === '$identifier';
     }
 
     /**
@@ -361,18 +496,46 @@ class ClassDeclaration extends Decorated {
      * @returns {Boolean} true if the class declaration includes an explicit identifier
      */
     isExplicitlyIdentified() {
-        return (!!this.idField && this.idField !== '$identifier');
+        return (this.idFields.length > 0 && this.idFields[0] !== '$identifier');
+    }
+
+    /**
+     * Returns true if this class declaration is identified by several fields,
+     * for example identified by region, accountNumber. Note that the
+     * identifying fields may come from a super type.
+     * @returns {Boolean} true if the class declaration has a composite identifier
+     */
+    isCompositeIdentified() {
+        return this.getIdentifierFieldNames().length > 1;
     }
 
     /**
      * Returns the name of the identifying field for this class. Note
-     * that the identifying field may come from a super type.
+     * that the identifying field may come from a super type. A class with
+     * a composite identifier has several identifying fields, which are
+     * returned by getIdentifierFieldNames.
      *
      * @return {string} the name of the id field for this class or null if it does not exist
+     * @throws {Error} if the class has a composite identifier
      */
     getIdentifierFieldName() {
-        if (this.idField) {
-            return this.idField;
+        const idFields = this.getIdentifierFieldNames();
+        if (idFields.length > 1) {
+            throw new Error(`The class ${this.getFullyQualifiedName()} is identified by several fields, ${idFields.join(', ')}, use getIdentifierFieldNames.`);
+        }
+        return idFields.length > 0 ? idFields[0] : null;
+    }
+
+    /**
+     * Returns the names of the identifying fields for this class, in the
+     * order that they are declared. Note that the identifying fields may
+     * come from a super type.
+     *
+     * @return {string[]} the names of the id fields for this class, empty if it is not identified
+     */
+    getIdentifierFieldNames() {
+        if (this.idFields.length > 0) {
+            return this.idFields;
         } else {
             if (this.getSuperType()) {
                 // we first check our own modelfile, as we may be called from validate
@@ -383,9 +546,9 @@ class ClassDeclaration extends Decorated {
                 if (!classDecl) {
                     classDecl = this.modelFile.getModelManager().getType(this.getSuperType());
                 }
-                return classDecl.getIdentifierFieldName();
+                return classDecl.getIdentifierFieldNames();
             } else {
-                return null;
+                return [];
             }
         }
     }
@@ -450,8 +613,93 @@ class ClassDeclaration extends Decorated {
         }
     }
 
+    /**
+     * Returns true if this class is generic, declared with type parameters,
+     * for example concept Page<T>. A generic class is only used as the type of
+     * a field whose type arguments are primitive or non-generic types, such as
+     * o Page<Order> orders: it cannot be extended or mixed in, be a type argument
+     * itself, as in Box<Page<Order>>, or be the class of a top-level instance.
+     *
+     * @return {boolean} true if the class is generic
+     */
+    isGeneric() {
+        return this.typeParameters.length > 0;
+    }
+
+    /**
+     * Returns the names of the type parameters of this class, in the order
+     * they are declared.
+     *
+     * @return {string[]} the names of the type parameters, empty if the class is not generic
+     */
+    getTypeParameters() {
+        return this.typeParameters;
+    }
+
+    /**
+     * Returns true if this class mixes in the properties of other classes.
+     *
+     * @return {boolean} true if the class has mixins
+     */
+    hasMixins() {
+        return this.mixins.length > 0;
+    }
+
+    /**
+     * Returns the FQNs of the mixins of this class, in the order they are
+     * declared. The mixins of the super types are not included.
+     *
+     * @return {string[]} the FQNs of the mixins
+     */
+    getMixins() {
+        return this.getMixinDeclarations().map((mixin) => mixin.getFullyQualifiedName());
+    }
+
+    /**
+     * Get the class declarations of the mixins of this class, in the order they
+     * are declared. The mixins of the super types are not included.
+     * @return {ClassDeclaration[]} the mixin declarations.
+     */
+    getMixinDeclarations() {
+        if (!this.mixinDeclarations) {
+            return this._resolveMixins();
+        }
+        return this.mixinDeclarations;
+    }
+
+    /**
+     * Returns the properties that this class mixes in: the properties of its
+     * mixins, including the properties that their own super types and mixins
+     * define. A property shared by several mixins, or that several mixins
+     * define identically, is returned once.
+     *
+     * @return {Property[]} the array of fields
+     */
+    getMixinProperties() {
+        const result = [];
+        this.getMixinDeclarations().forEach((mixin) => {
+            mixin.getProperties().forEach((property) => {
+                if (!result.some((other) => other === property || (other.getName() === property.getName() && other.hasSameDefinition(property)))) {
+                    result.push(property);
+                }
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Returns true if another class of the model manager mixes in this class.
+     *
+     * @return {boolean} true if the class is a mixin
+     */
+    isMixedIn() {
+        const introspector = new Introspector(this.getModelFile().getModelManager());
+        return introspector.getClassDeclarations().some((declaration) => declaration.getMixins().includes(this.getFullyQualifiedName()));
+    }
+
     /**
      * Get the class declarations for all subclasses of this class, including this class.
+     * The classes that mix in this class, and their subclasses, are also included.
      * @return {ClassDeclaration[]} subclass declarations.
      */
     getAssignableClassDeclarations() {
@@ -461,14 +709,15 @@ class ClassDeclaration extends Decorated {
         const allClassDeclarations = introspector.getClassDeclarations();
         const subclassMap = new Map();
 
-        // Build map of all direct subclasses relationships
+        // Build map of all direct subclasses relationships, a class being a subclass of its mixins
         allClassDeclarations.forEach((declaration) => {
             const superType = declaration.getSuperType();
-            if (superType) {
+            const superTypes = superType ? [superType].concat(declaration.getMixins()) : declaration.getMixins();
+            superTypes.forEach((superType) => {
                 const subclasses = subclassMap.get(superType) || new Set();
                 subclasses.add(declaration);
                 subclassMap.set(superType, subclasses);
-            }
+            });
         });
 
         // Recursive function to collect all direct and indirect subclasses of a given (set) of base classes.
@@ -489,7 +738,9 @@ class ClassDeclaration extends Decorated {
     }
 
     /**
-     * Get all the super-type declarations for this type.
+     * Get all the super-type declarations for this type. The super type chain
+     * comes first, followed by the mixins of this type and of its super types,
+     * with their own super types.
      * @return {ClassDeclaration[]} super-type declarations.
      */
     getAllSuperTypeDeclarations() {
@@ -499,6 +750,16 @@ class ClassDeclaration extends Decorated {
             results.push(type);
         }
 
+        [this].concat(results).forEach((type) => {
+            type.getMixinDeclarations().forEach((mixin) => {
+                [mixin].concat(mixin.getAllSuperTypeDeclarations()).forEach((mixinType) => {
+                    if (!results.includes(mixinType)) {
+                        results.push(mixinType);
+                    }
+                });
+            });
+        });
+
         return results;
     }
 
@@ -523,11 +784,17 @@ class ClassDeclaration extends Decorated {
             result = classDecl.getProperty(name);
         }
 
+        if (result === null) {
+            const mixin = this.getMixinDeclarations().find((mixin) => mixin.getProperty(name) !== null);
+            result = mixin ? mixin.getProperty(name) : null;
+        }
+
         return result;
     }
 
     /**
-     * Returns the properties defined in this class and all super classes.
+     * Returns the properties defined in this class, all super classes and all
+     * mixins.
      *
      * @return {Property[]} the array of fields
      */
@@ -543,7 +810,7 @@ class ClassDeclaration extends Decorated {
             }
 
             if (!classDecl) {
-                throw new IllegalModelException('Could not find super type ' + this.superType, this.modelFile, this.ast.location);
+                throw new IllegalModelException('Could not find super type ' + this.superType, this.modelFile, this.getClauseLocation(this.ast.classExtension));
             }
 
             // go get the fields from the super type
@@ -552,7 +819,28 @@ class ClassDeclaration extends Decorated {
             // console.log('No super type for ' + this.getName() );
         }
 
-        return result;
+        // a property that the super types already define is not mixed in twice
+        const mixinProperties = this.getMixinProperties().filter((property) => !result.includes(property));
+        return result.concat(mixinProperties);
+    }
+
+    /**
+     * Returns the invariants declared by this class
+     *
+     * @return {Invariant[]} the array of invariants
+     */
+    getOwnInvariants() {
+        return this.invariants;
+    }
+
+    /**
+     * Returns the invariants that the instances of this class must satisfy: the
+     * invariants declared by this class, its super types and its mixins.
+     *
+     * @return {Invariant[]} the array of invariants
+     */
+    getInvariants() {
+        return this.getAllSuperTypeDeclarations().reduce((result, type) => result.concat(type.getOwnInvariants()), this.getOwnInvariants());
     }
 
     /**
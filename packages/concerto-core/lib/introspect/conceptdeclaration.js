@@ -48,6 +48,15 @@ class ConceptDeclaration extends ClassDeclaration {
         return true;
     }
 
+    /**
+     * Returns the kind of this declaration, the keyword that declares it
+     * @return {string} the kind of the declaration, concept
+     * @private
+     */
+    getKind() {
+        return 'concept';
+    }
+
     /**
      * Alternative instanceof that is reliable across different module instances
      * @see https://github.com/hyperledger/composer-concerto/issues/47
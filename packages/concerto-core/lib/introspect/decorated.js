@@ -108,11 +108,19 @@ class Decorated {
             let decorator = this.decorators[n];
             decorator.validate();
 
+            // once decorator schemas are declared or imported, every decorator must match its schema
+            const schema = this.getModelFile().getDecoratorSchema(decorator.getName(), decorator.ast.location);
+            if(schema) {
+                schema.validate(this, decorator);
+            } else if(this.getModelFile().hasDecoratorSchemas()) {
+                throw new IllegalModelException(`Unknown decorator @${decorator.getName()}`, this.modelFile, decorator.ast.location);
+            }
+
             // check we don't have this decorator twice
             for(let i=n+1; i < this.decorators.length; i++) {
                 let otherDecorator = this.decorators[i];
-                if(decorator.getName() === otherDecorator.getName()) {
-                    throw new IllegalModelException(`Duplicate decorator ${decorator.getName()}`,this.modelFile, this.ast.location);
+                if(decorator.getName() === otherDecorator.getName() && !(schema && schema.isRepeatable())) {
+                    throw new IllegalModelException(`Duplicate decorator ${decorator.getName()}`,this.modelFile, otherDecorator.ast.location);
                 }
             }
         }
@@ -142,6 +150,15 @@ class Decorated {
 
         return null;
     }
+
+    /**
+     * Returns the text of the documentation comment that precedes this
+     * element in the model file, without the comment markers.
+     * @return {string} the description of this element, or null if it is not documented
+     */
+    getDescription() {
+        return this.ast.docs ? this.ast.docs : null;
+    }
 }
 
 module.exports = Decorated;
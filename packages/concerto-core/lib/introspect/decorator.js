@@ -14,6 +14,9 @@
 
 'use strict';
 
+const IllegalModelException = require('./illegalmodelexception');
+const ModelUtil = require('../modelutil');
+
 /**
  * Decorator encapsulates a decorator (annotation) on a class or property.
  * @class
@@ -60,23 +63,67 @@ class Decorator {
     process() {
         this.name = this.ast.name;
         this.arguments = [];
+        this.typeReferences = [];
 
         if (this.ast.arguments) {
             for (let n = 0; n < this.ast.arguments.list.length; n++) {
                 let thing = this.ast.arguments.list[n];
                 if (thing) {
-                    this.arguments.push(thing.value);
+                    this.arguments.push(this.processArgument(thing));
                 }
             }
         }
     }
 
     /**
-     * Validate the property
+     * Converts the AST of an argument to its value: arrays and objects are
+     * converted to JavaScript arrays and objects, and a type reference is
+     * converted to an object with the name of the type, whether it is an
+     * array, and its fully qualified name (or null if it cannot be resolved)
+     * @param {Object} thing - the AST of the argument
+     * @return {Object} the value of the argument
+     * @private
+     */
+    processArgument(thing) {
+        switch(thing.type) {
+        case 'Array':
+            return thing.value.map((item) => this.processArgument(item));
+        case 'Object':
+            return thing.value.reduce((result, property) => {
+                result[property.key] = this.processArgument(property.value);
+                return result;
+            }, {});
+        case 'Identifier': {
+            const reference = Object.assign({}, thing.value, {
+                fullyQualifiedName: this.getParent().getModelFile().resolveTypeReference(thing.value.name)
+            });
+            this.typeReferences.push(reference);
+            return reference;
+        }
+        default:
+            return thing.value;
+        }
+    }
+
+    /**
+     * Validate the decorator, checking that the types it refers to exist
      * @throws {IllegalModelException}
      * @private
      */
-    validate() {}
+    validate() {
+        const modelFile = this.getParent().getModelFile();
+        this.typeReferences.forEach((reference) => {
+            const fqn = reference.fullyQualifiedName;
+            if (fqn && !ModelUtil.isPrimitiveType(fqn)) {
+                // the model file may not have been added to its model manager yet
+                const namespace = ModelUtil.getNamespace(fqn);
+                const typeModelFile = namespace === modelFile.getNamespace() ? modelFile : modelFile.getModelManager().getModelFile(namespace);
+                if (!typeModelFile || !typeModelFile.isLocalType(fqn)) {
+                    throw new IllegalModelException(`Undeclared type ${reference.name} in decorator ${this.name}`, modelFile, this.ast.location);
+                }
+            }
+        });
+    }
 
     /**
      * Returns the name of a decorator
@@ -87,7 +134,11 @@ class Decorator {
     }
 
     /**
-     * Returns the arguments for this decorator
+     * Returns the arguments for this decorator. Strings, numbers and booleans
+     * are returned as is, arrays and objects as JavaScript arrays and objects,
+     * and a reference to a type as an object with the name of the type, whether
+     * it is an array, and the fully qualified name of the type (or null if the
+     * name cannot be resolved)
      * @return {object[]} the arguments for this decorator
      */
     getArguments() {
@@ -0,0 +1,235 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ClassDeclaration = require('./classdeclaration');
+const EnumValueDeclaration = require('./enumvaluedeclaration');
+const IllegalModelException = require('./illegalmodelexception');
+const RelationshipDeclaration = require('./relationshipdeclaration');
+const ScalarDeclaration = require('./scalardeclaration');
+
+/**
+ * The kinds of model elements that a decorator may be applied to. The
+ * 'declaration' kind stands for any declaration, and the 'property' kind
+ * for any field or relationship.
+ * @private
+ */
+const TARGETS = ['asset', 'participant', 'transaction', 'event', 'concept', 'enum', 'scalar',
+    'field', 'relationship', 'enumValue', 'declaration', 'property'];
+
+/**
+ * The types of the arguments of a decorator
+ * @private
+ */
+const ARGUMENT_TYPES = ['String', 'Number', 'Boolean', 'Array', 'Object', 'Type', 'Any'];
+
+/**
+ * DecoratorSchema declares the signature of a decorator: its name, the kinds
+ * of model elements it may be applied to, the types of its arguments and
+ * whether it may be applied more than once to the same model element.
+ *
+ * Once a decorator schema is added to a ModelManager, validating a model
+ * fails if the model uses a decorator that has no schema, or that does not
+ * match its schema.
+ *
+ * @class
+ * @memberof module:concerto-core
+ */
+class DecoratorSchema {
+    /**
+     * Create a DecoratorSchema.
+     * @param {string} name - the name of the decorator, without the @
+     * @param {Object} [options] - the signature of the decorator
+     * @param {string[]} [options.targets] - the kinds of model elements the decorator
+     * may be applied to: asset, participant, transaction, event, concept, enum, scalar,
+     * field, relationship, enumValue, declaration (any declaration) or property (any
+     * field or relationship). Defaults to any model element.
+     * @param {string[]} [options.arguments] - the types of the arguments of the decorator:
+     * String, Number, Boolean, Array, Object, Type (a reference to a type) or Any. A type
+     * followed by ? is an optional argument, which may only be followed by optional
+     * arguments. Defaults to no arguments.
+     * @param {boolean} [options.repeatable] - true if the decorator may be applied more
+     * than once to the same model element, false by default.
+     * @throws {Error} if the signature is not valid
+     */
+    constructor(name, options) {
+        if(!name || typeof name !== 'string') {
+            throw new Error('A decorator schema requires the name of the decorator.');
+        }
+        options = options || {};
+
+        this.name = name;
+        this.targets = options.targets ? options.targets : null;
+        this.repeatable = !!options.repeatable;
+        this.arguments = (options.arguments || []).map((type) => {
+            const optional = type.endsWith('?');
+            return { type: optional ? type.slice(0, -1) : type, optional };
+        });
+
+        if(this.targets) {
+            this.targets.forEach((target) => {
+                if(!TARGETS.includes(target)) {
+                    throw new Error(`Unknown target ${target} for decorator @${name}, expected one of ${TARGETS.join(', ')}.`);
+                }
+            });
+        }
+
+        this.arguments.forEach((argument, index) => {
+            if(!ARGUMENT_TYPES.includes(argument.type)) {
+                throw new Error(`Unknown argument type ${argument.type} for decorator @${name}, expected one of ${ARGUMENT_TYPES.join(', ')}.`);
+            }
+            if(!argument.optional && index > 0 && this.arguments[index - 1].optional) {
+                throw new Error(`The required argument ${index + 1} of decorator @${name} follows an optional argument.`);
+            }
+        });
+
+        this._isDecoratorSchema = true;
+    }
+
+    /**
+     * Returns the name of the decorator
+     * @return {string} the name of the decorator
+     */
+    getName() {
+        return this.name;
+    }
+
+    /**
+     * Returns the kinds of model elements the decorator may be applied to
+     * @return {string[]} the kinds of model elements, or null if the decorator
+     * may be applied to any model element
+     */
+    getTargets() {
+        return this.targets;
+    }
+
+    /**
+     * Returns true if the decorator may be applied more than once to the same
+     * model element
+     * @return {boolean} true if the decorator is repeatable
+     */
+    isRepeatable() {
+        return this.repeatable;
+    }
+
+    /**
+     * Check that a decorator matches this schema
+     * @param {Decorated} decorated - the model element the decorator is applied to
+     * @param {Decorator} decorator - the decorator
+     * @throws {IllegalModelException} if the decorator does not match this schema
+     * @private
+     */
+    validate(decorated, decorator) {
+        const modelFile = decorated.getModelFile();
+        const location = decorator.ast.location;
+
+        const kind = DecoratorSchema.getTargetKind(decorated);
+        if(this.targets && !this.targets.some((target) => DecoratorSchema.isTargetOfKind(target, kind))) {
+            throw new IllegalModelException(`Decorator @${this.name} cannot be applied to ${kind} ${decorated.getName()}, its targets are: ${this.targets.join(', ')}.`, modelFile, location);
+        }
+
+        const args = decorator.getArguments();
+        const min = this.arguments.filter((argument) => !argument.optional).length;
+        const max = this.arguments.length;
+        if(args.length < min || args.length > max) {
+            const expected = min === max ? `${max}` : `${min} to ${max}`;
+            throw new IllegalModelException(`Decorator @${this.name} expects ${expected} argument(s) but has ${args.length}.`, modelFile, location);
+        }
+
+        args.forEach((value, index) => {
+            const type = this.arguments[index].type;
+            if(!DecoratorSchema.isArgumentOfType(value, type)) {
+                throw new IllegalModelException(`Argument ${index + 1} of decorator @${this.name} must be ${type === 'Type' ? 'a reference to a declared type' : `of type ${type}`}.`, modelFile, location);
+            }
+        });
+    }
+
+    /**
+     * Returns the kind of a model element that a decorator is applied to
+     * @param {Decorated} decorated - the model element
+     * @return {string} the kind of the model element
+     * @private
+     */
+    static getTargetKind(decorated) {
+        if(decorated instanceof ClassDeclaration || decorated instanceof ScalarDeclaration) {
+            return decorated.getKind();
+        } else if(decorated instanceof EnumValueDeclaration) {
+            return 'enumValue';
+        } else if(decorated instanceof RelationshipDeclaration) {
+            return 'relationship';
+        }
+        return 'field';
+    }
+
+    /**
+     * Returns true if a target of a schema includes a kind of model element
+     * @param {string} target - the target of the schema
+     * @param {string} kind - the kind of the model element
+     * @return {boolean} true if the target includes the kind
+     * @private
+     */
+    static isTargetOfKind(target, kind) {
+        switch(target) {
+        case 'declaration':
+            return ['field', 'relationship', 'enumValue'].indexOf(kind) < 0;
+        case 'property':
+            return kind === 'field' || kind === 'relationship';
+        default:
+            return target === kind;
+        }
+    }
+
+    /**
+     * Returns true if the value of a decorator argument is of a type
+     * @param {Object} value - the value of the argument
+     * @param {string} type - the type of the argument in the schema
+     * @return {boolean} true if the value is of the type
+     * @private
+     */
+    static isArgumentOfType(value, type) {
+        const isReference = value !== null && typeof value === 'object' && value.type === 'Identifier' &&
+            Object.prototype.hasOwnProperty.call(value, 'fullyQualifiedName');
+
+        switch(type) {
+        case 'String':
+            return typeof value === 'string';
+        case 'Number':
+            return typeof value === 'number';
+        case 'Boolean':
+            return typeof value === 'boolean';
+        case 'Array':
+            return Array.isArray(value);
+        case 'Object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value) && !isReference;
+        case 'Type':
+            return isReference && value.fullyQualifiedName !== null;
+        default:
+            return true;
+        }
+    }
+
+    /**
+     * Alternative instanceof that is reliable across different module instances
+     * @see https://github.com/hyperledger/composer-concerto/issues/47
+     *
+     * @param {object} object - The object to test against
+     * @returns {boolean} - True, if the object is an instance of a DecoratorSchema
+     */
+    static [Symbol.hasInstance](object){
+        return typeof object !== 'undefined' && object !== null && Boolean(object._isDecoratorSchema);
+    }
+}
+
+module.exports = DecoratorSchema;
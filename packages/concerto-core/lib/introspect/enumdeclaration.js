@@ -15,6 +15,7 @@
 'use strict';
 
 const ClassDeclaration = require('./classdeclaration');
+const IllegalModelException = require('./illegalmodelexception');
 
 /**
  * EnumDeclaration defines an enumeration of static values.
@@ -45,6 +46,74 @@ class EnumDeclaration extends ClassDeclaration {
         return true;
     }
 
+    /**
+     * Returns true if any value of this enumeration declares an explicit code
+     *
+     * @return {boolean} true if a value declares a code
+     */
+    hasCodes() {
+        return this.getOwnProperties().some((property) => property.hasCode());
+    }
+
+    /**
+     * Semantic validation of the structure of this enumeration.
+     *
+     * @throws {IllegalModelException}
+     * @private
+     */
+    validate() {
+        super.validate();
+
+        // two values cannot share the same code, nor can a code be the name of
+        // another value, codes are compared by their text as map keys are text
+        const names = this.getOwnProperties().map((property) => property.getName());
+        const codes = new Set();
+        this.getOwnProperties().forEach((property) => {
+            if(property.hasCode()) {
+                const code = property.getCode();
+                const text = String(code);
+                if(codes.has(text)) {
+                    throw new IllegalModelException(`Enum ${this.getName()} has more than one value with the code ${JSON.stringify(code)}.`, this.modelFile, property.ast.location);
+                }
+                if(text !== property.getName() && names.includes(text)) {
+                    throw new IllegalModelException(`Enum ${this.getName()} has the value ${property.getName()} whose code ${JSON.stringify(code)} is the name of the value ${text}.`, this.modelFile, property.ast.location);
+                }
+                codes.add(text);
+            }
+        });
+    }
+
+    /**
+     * Returns the value of this enumeration that declares the given code. Codes
+     * are compared by their text, so that 9 and "9" both give the value with the
+     * code 9, as they do when the code is the key of a map.
+     *
+     * @param {string|number} code - the code of the value
+     * @return {EnumValueDeclaration} the value with the code, or null if no
+     * value declares the code
+     */
+    getPropertyByCode(code) {
+        if(typeof code !== 'string' && typeof code !== 'number') {
+            return null;
+        }
+        const property = this.getProperties().find((property) => property.hasCode() && String(property.getCode()) === String(code));
+        return property ? property : null;
+    }
+
+    /**
+     * Returns the value of this enumeration with the given name or, failing
+     * that, with the given code. This resolves both the values of enumerated
+     * properties and the keys of maps.
+     *
+     * @param {string|number} nameOrCode - the name or the code of the value
+     * @return {EnumValueDeclaration} the value, or null if no value has the
+     * name or the code
+     */
+    getPropertyByNameOrCode(nameOrCode) {
+        const property = typeof nameOrCode === 'string' ? this.getProperty(nameOrCode) : null;
+        return property ? property : this.getPropertyByCode(nameOrCode);
+    }
+
     /**
      * Returns the string representation of this class
      * @return {String} the string representation of the class
@@ -53,6 +122,15 @@ class EnumDeclaration extends ClassDeclaration {
         return 'EnumDeclaration {id=' + this.getFullyQualifiedName() + '}';
     }
 
+    /**
+     * Returns the kind of this declaration, the keyword that declares it
+     * @return {string} the kind of the declaration, enum
+     * @private
+     */
+    getKind() {
+        return 'enum';
+    }
+
     /**
      * Alternative instanceof that is reliable across different module instances
      * @see https://github.com/hyperledger/composer-concerto/issues/47
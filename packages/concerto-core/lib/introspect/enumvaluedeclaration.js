@@ -36,6 +36,34 @@ class EnumValueDeclaration extends Property {
         this._isEnumValueDeclaration = true;
     }
 
+    /**
+     * Process the AST and build the model
+     * @throws {IllegalModelException}
+     * @private
+     */
+    process() {
+        super.process();
+        this.code = (this.ast.code === undefined) ? null : this.ast.code;
+    }
+
+    /**
+     * Returns the explicit code of this enumerated value, for example
+     * "A" for the value declared as o ACTIVE = "A"
+     * @return {Object} the code of the value, a string or a number, or null
+     * if the value does not declare a code
+     */
+    getCode() {
+        return this.code;
+    }
+
+    /**
+     * Returns true if this enumerated value declares an explicit code
+     * @return {boolean} true if the value declares a code
+     */
+    hasCode() {
+        return this.code !== null;
+    }
+
     /**
      * Validate the property
      * @param {ClassDeclaration} classDecl the class declaration of the property
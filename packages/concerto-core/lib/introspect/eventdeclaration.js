@@ -53,6 +53,15 @@ class EventDeclaration extends IdentifiedDeclaration {
         return true;
     }
 
+    /**
+     * Returns the kind of this declaration, the keyword that declares it
+     * @return {string} the kind of the declaration, event
+     * @private
+     */
+    getKind() {
+        return 'event';
+    }
+
     /**
      * Alternative instanceof that is reliable across different module instances
      * @see https://github.com/hyperledger/composer-concerto/issues/47
@@ -14,9 +14,12 @@
 
 'use strict';
 
+const IllegalModelException = require('./illegalmodelexception');
+const NumberUtil = require('../numberutil');
 const Property = require('./property');
 const NumberValidator = require('./numbervalidator');
 const StringValidator = require('./stringvalidator');
+const StringLengthValidator = require('./stringlengthvalidator');
 
 /**
  * Class representing the definition of a Field. A Field is owned
@@ -49,11 +52,15 @@ class Field extends Property {
         super.process();
 
         this.validator = null;
+        this.lengthValidator = null;
+        this.scale = null;
+        this.scalarField = null;
 
         switch(this.getType()) {
         case 'Integer':
         case 'Double':
         case 'Long':
+        case 'Decimal':
             if(this.ast.range) {
                 this.validator = new NumberValidator(this, this.ast.range);
             }
@@ -62,6 +69,9 @@ class Field extends Property {
             if(this.ast.regex) {
                 this.validator = new StringValidator(this, this.ast.regex);
             }
+            if(this.ast.length) {
+                this.lengthValidator = new StringLengthValidator(this, this.ast.length);
+            }
             break;
         }
 
@@ -70,16 +80,157 @@ class Field extends Property {
         } else {
             this.defaultValue = null;
         }
+
+        // only a Decimal has a fixed scale, which its default value must fit
+        if(this.ast.scale) {
+            if(this.getType() !== 'Decimal') {
+                throw new IllegalModelException(`The field ${this.getFullyQualifiedName()} of type ${this.getType()} cannot declare a scale`, this.getModelFile(), this.ast.scale.location);
+            }
+            this.scale = parseInt(this.ast.scale.value);
+        }
+        if(this.scale !== null && this.defaultValue && NumberUtil.toScale(this.defaultValue, this.scale) === null) {
+            throw new IllegalModelException(`The default value ${this.defaultValue} of field ${this.getFullyQualifiedName()} has more than ${this.scale} decimal places`, this.getModelFile(), this.ast.location);
+        }
+    }
+
+    /**
+     * Validate the field
+     * @param {ClassDeclaration} classDecl the class declaration of the field
+     * @throws {IllegalModelException}
+     * @private
+     */
+    validate(classDecl) {
+        super.validate(classDecl);
+
+        if(this.type && !this.isTypeParameter()) {
+            this.validateTypeArguments(classDecl);
+        }
     }
 
     /**
-     * Returns the validator string for this field
+     * Returns the validator string for this field. For a field declared with
+     * a named scalar type this is the validator of the scalar.
      * @return {string} the validator for the field or null
      */
     getValidator() {
+        if(this.validator === null && this.isTypeScalar()) {
+            return this.getScalarField().getValidator();
+        }
         return this.validator;
     }
 
+    /**
+     * Returns the length validator for this String field. For a field declared
+     * with a named scalar type this is the length validator of the scalar.
+     * @return {StringLengthValidator} the length validator for the field or null
+     */
+    getLengthValidator() {
+        if(this.lengthValidator === null && this.isTypeScalar()) {
+            return this.getScalarField().getLengthValidator();
+        }
+        return this.lengthValidator;
+    }
+
+    /**
+     * Returns the scale of this Decimal field, the number of fractional digits
+     * of its values. For a field declared with a named scalar type this is the
+     * scale of the scalar.
+     * @return {number} the scale of the field or null
+     */
+    getScale() {
+        if(this.scale === null && this.isTypeScalar()) {
+            return this.getScalarField().getScale();
+        }
+        return this.scale;
+    }
+
+    /**
+     * Returns a field equivalent to this field, declared with the primitive
+     * type, validator and default value of its named scalar type. A default
+     * value declared on this field takes precedence over the scalar default,
+     * which only applies to single valued fields. The field is built when it
+     * is first used and kept, until the scalar declaration is replaced by an
+     * update of its model file.
+     * @return {Field} the field expanded from the scalar declaration
+     * @throws {Error} if the field is not declared with a scalar type
+     */
+    getScalarField() {
+        if(!this.isTypeScalar()) {
+            throw new Error(`Field ${this.getName()} is not declared with a scalar type.`);
+        }
+
+        const scalarDeclaration = this.getParent().getModelFile().getType(this.getType());
+        if(this.scalarField && this.scalarField.declaration === scalarDeclaration) {
+            return this.scalarField.field;
+        }
+
+        const ast = Object.assign({}, scalarDeclaration.ast, {
+            type: 'FieldDeclaration',
+            id: this.ast.id,
+            array: this.ast.array,
+            cardinality: this.ast.cardinality,
+            mapKeyType: this.ast.mapKeyType,
+            optional: this.ast.optional,
+            docs: this.ast.docs,
+            decorators: this.ast.decorators,
+            location: this.ast.location,
+        });
+        if(this.ast.default) {
+            ast.default = this.ast.default;
+        }
+        else if(this.ast.array || this.ast.mapKeyType) {
+            // the scalar default is a single value, so it cannot initialize a collection
+            ast.default = null;
+        }
+        this.scalarField = { declaration: scalarDeclaration, field: new Field(this.getParent(), ast) };
+        return this.scalarField.field;
+    }
+
+    /**
+     * Returns a field equivalent to this field, declared with the type bound
+     * to its type parameter, for example Order for the field o T[] items of
+     * the type Page<Order>.
+     * @param {Object} typeArguments - the fully qualified names of the types bound to
+     * the type parameters of the parent class, keyed by type parameter
+     * @return {Field} the field declared with the bound type
+     * @throws {Error} if the field is not declared with a type parameter, or no type is bound to it
+     */
+    getBoundField(typeArguments) {
+        if(!this.isTypeParameter()) {
+            throw new Error(`Field ${this.getName()} is not declared with a type parameter.`);
+        }
+
+        const type = this.getFullyQualifiedTypeName(typeArguments);
+        if(type === this.getType()) {
+            throw new Error(`No type is bound to the type parameter ${this.getType()} of field ${this.getFullyQualifiedName()}.`);
+        }
+        const ast = Object.assign({}, this.ast, {
+            propertyType: { name: type },
+        });
+        return new Field(this.getParent(), ast);
+    }
+
+    /**
+     * Returns the field that instances of this field are validated and
+     * generated as: the field declared with the type bound to its type
+     * parameter, expanded from its named scalar type.
+     * @param {Object} typeArguments - the fully qualified names of the types bound to
+     * the type parameters of the parent class, keyed by type parameter, or null to
+     * keep the type parameter of the field, as generic code does
+     * @return {Field} the resolved field, or this field if it needs no resolution
+     * @throws {Error} if no type is bound to the type parameter of the field
+     */
+    getResolvedField(typeArguments) {
+        let field = this;
+        if(typeArguments !== null && field.isTypeParameter()) {
+            field = field.getBoundField(typeArguments);
+        }
+        if(field.isTypeScalar()) {
+            field = field.getScalarField();
+        }
+        return field;
+    }
+
     /**
      * Returns the default value for the field or null
      * @return {string} the default value for the field or null
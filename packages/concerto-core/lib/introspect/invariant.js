@@ -0,0 +1,487 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const DateTimeUtil = require('../datetimeutil');
+const NumberUtil = require('../numberutil');
+const IllegalModelException = require('./illegalmodelexception');
+const RelationshipDeclaration = require('./relationshipdeclaration');
+const dayjs = require('dayjs');
+const duration = require('dayjs/plugin/duration');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(duration);
+dayjs.extend(utc);
+
+/**
+ * The types of the values of an invariant expression, by primitive type.
+ * Enumerated values are compared as strings, and the values of the other
+ * types (concepts, relationships, arrays and maps) may only be compared to null.
+ * Longs and Decimals have their own types, as their values are not held exactly
+ * by JavaScript numbers.
+ * @private
+ */
+const VALUE_TYPES = {
+    String: 'String',
+    Boolean: 'Boolean',
+    Integer: 'Number',
+    Long: 'Long',
+    Double: 'Number',
+    Decimal: 'Decimal',
+    DateTime: 'DateTime',
+    Date: 'Date',
+    Time: 'Time',
+    Duration: 'Duration'
+};
+
+/**
+ * The value types that are ordered, and may be compared with <, <=, > and >=
+ * @private
+ */
+const ORDERED_TYPES = ['String', 'Number', 'Long', 'Decimal', 'DateTime', 'Date', 'Time', 'Duration'];
+
+/**
+ * The numeric value types, which may be compared and combined with each other
+ * @private
+ */
+const NUMERIC_TYPES = ['Number', 'Long', 'Decimal'];
+
+/**
+ * Invariant is a side-effect-free boolean expression that relates the
+ * properties of a class, and must hold for each instance of the class and
+ * of its subclasses, for example:
+ *
+ *     invariant endAfterStart: endDate > startDate
+ *     invariant rateForLoans: type != "LOAN" || rate != null
+ *
+ * An expression refers to the properties of the class by name, and to the
+ * properties of a concept they hold by a dotted path, for example address.country.
+ * It may use null, boolean, number and string literals, the logical operators
+ * !, && and ||, the comparison operators ==, !=, <, <=, > and >=, the arithmetic
+ * operators +, -, * and /, and parentheses.
+ *
+ * Numbers are compared and computed exactly when a Long or a Decimal is
+ * involved: an operation on Longs, or on a Long and an integer literal, is
+ * computed with BigInt arithmetic, and the division of Longs is truncated. An
+ * operation on a Decimal, or on a Long and another number, is computed with
+ * decimal arithmetic, and may not be a division. The other numbers are
+ * JavaScript numbers.
+ *
+ * Like a check constraint in SQL, an invariant is only violated when it
+ * evaluates to false: a comparison or a computation with a property that is
+ * absent is unknown, and an invariant that is unknown holds. The operators
+ * == and != compare a property that is absent as null.
+ *
+ * @class
+ * @memberof module:concerto-core
+ */
+class Invariant {
+    /**
+     * Create an Invariant.
+     * @param {ClassDeclaration} parent - the class that declares the invariant
+     * @param {Object} ast - The AST created by the parser
+     */
+    constructor(parent, ast) {
+        this.ast = ast;
+        this.parent = parent;
+        this.name = ast.id.name;
+        this.expression = ast.expression;
+        this.source = ast.source;
+        this.operationTypes = null;
+        this._isInvariant = true;
+    }
+
+    /**
+     * Returns the class that declares this invariant
+     * @return {ClassDeclaration} the class declaration
+     */
+    getParent() {
+        return this.parent;
+    }
+
+    /**
+     * Returns the name of this invariant
+     * @return {string} the name of the invariant
+     */
+    getName() {
+        return this.name;
+    }
+
+    /**
+     * Returns the source text of the expression of this invariant
+     * @return {string} the expression, for example endDate > startDate
+     */
+    getExpression() {
+        return this.source;
+    }
+
+    /**
+     * Type-check the expression of this invariant against the properties of its class
+     * @throws {IllegalModelException} if the expression refers to a property that does
+     * not exist, applies an operator to operands of the wrong type, or is not boolean
+     * @private
+     */
+    validate() {
+        // the numeric type in which each operation on numbers is computed
+        this.operationTypes = new Map();
+        if (this.typeOf(this.expression) !== 'Boolean') {
+            this.reportError('is not a boolean expression.');
+        }
+    }
+
+    /**
+     * Returns true if an instance of the class satisfies this invariant
+     * @param {Object} obj - the instance, a Resource or its JSON object
+     * @return {boolean} false if the invariant evaluates to false for the instance
+     */
+    evaluate(obj) {
+        if (!this.operationTypes) {
+            this.validate();
+        }
+        return this.evaluateNode(this.expression, obj) !== false;
+    }
+
+    /**
+     * Returns the type of the value of a node of the expression
+     * @param {Object} node - the AST of the node
+     * @return {string} the value type: String, Boolean, Number, Long, Decimal,
+     * DateTime, Date, Time, Duration, Null or Object
+     * @throws {IllegalModelException} if the node is not well typed
+     * @private
+     */
+    typeOf(node) {
+        switch (node.type) {
+        case 'Literal':
+            return node.value === null ? 'Null' : typeof node.value === 'number' ? 'Number' : typeof node.value === 'boolean' ? 'Boolean' : 'String';
+        case 'PropertyPath':
+            return this.resolvePath(node.path);
+        case 'UnaryExpression': {
+            const type = this.typeOf(node.argument);
+            if (node.operator === '!' ? type !== 'Boolean' : !NUMERIC_TYPES.includes(type)) {
+                this.reportError(`applies the operator ${node.operator} to an operand of type ${type}.`);
+            }
+            this.operationTypes.set(node, type);
+            return type;
+        }
+        default: {
+            const left = this.typeOf(node.left);
+            const right = this.typeOf(node.right);
+            const numeric = NUMERIC_TYPES.includes(left) && NUMERIC_TYPES.includes(right);
+            if (numeric) {
+                this.operationTypes.set(node, this.getOperationType(node, left, right));
+            }
+            let valid;
+            let type = 'Boolean';
+            switch (node.operator) {
+            case '&&':
+            case '||':
+                valid = left === 'Boolean' && right === 'Boolean';
+                break;
+            case '==':
+            case '!=':
+                valid = (left === right && left !== 'Object') || left === 'Null' || right === 'Null' || numeric;
+                break;
+            case '<':
+            case '<=':
+            case '>':
+            case '>=':
+                valid = (left === right && ORDERED_TYPES.includes(left)) || numeric;
+                break;
+            default:
+                type = this.operationTypes.get(node);
+                valid = numeric && !(node.operator === '/' && type === 'Decimal');
+            }
+            if (!valid) {
+                this.reportError(`applies the operator ${node.operator} to operands of type ${left} and ${right}.`);
+            }
+            return type;
+        }
+        }
+    }
+
+    /**
+     * Returns the numeric type in which an operation on two numbers is
+     * computed. A number literal takes the type of the other operand.
+     * @param {Object} node - the AST of the binary expression
+     * @param {string} left - the value type of the left operand
+     * @param {string} right - the value type of the right operand
+     * @return {string} Number, Long or Decimal
+     * @private
+     */
+    getOperationType(node, left, right) {
+        const leftLiteral = Invariant.getLiteral(node.left);
+        const rightLiteral = Invariant.getLiteral(node.right);
+        if (leftLiteral !== null && rightLiteral !== null) {
+            return 'Number';
+        } else if (leftLiteral !== null || rightLiteral !== null) {
+            const type = leftLiteral !== null ? right : left;
+            const literal = leftLiteral !== null ? leftLiteral : rightLiteral;
+            return type === 'Long' && !NumberUtil.isLong(literal) ? 'Decimal' : type;
+        }
+        return left === right ? left : 'Decimal';
+    }
+
+    /**
+     * Returns the source text of a number literal, or of a negated number literal
+     * @param {Object} node - the AST of the node
+     * @return {string} the number, for example -1.5, or null if the node is not a number literal
+     * @private
+     */
+    static getLiteral(node) {
+        if (node.type === 'Literal' && typeof node.value === 'number') {
+            return /^0x/i.test(node.raw) ? BigInt(node.raw).toString() : node.raw;
+        }
+        if (node.type === 'UnaryExpression' && node.operator === '-') {
+            const literal = Invariant.getLiteral(node.argument);
+            return literal === null ? null : Invariant.negate(literal);
+        }
+        return null;
+    }
+
+    /**
+     * Negates a number given as a decimal string or a number literal
+     * @param {string} value - the number
+     * @return {string} the negated number
+     * @private
+     */
+    static negate(value) {
+        return value.startsWith('-') ? value.substring(1) : `-${value}`;
+    }
+
+    /**
+     * Returns the value type of the property that a path refers to
+     * @param {string[]} path - the names of the properties of the path
+     * @return {string} the value type of the property
+     * @throws {IllegalModelException} if the path does not refer to a property
+     * @private
+     */
+    resolvePath(path) {
+        let classDeclaration = this.parent;
+        let property = null;
+        path.forEach((name, index) => {
+            if (index > 0) {
+                if (property.isPrimitive() || property.isArray() || property.isMap() || property.isTypeParameter() ||
+                    property instanceof RelationshipDeclaration || property.isTypeEnum() || property.isTypeScalar()) {
+                    this.reportError(`refers to the property ${path.join('.')}, but ${path.slice(0, index).join('.')} is not a concept.`);
+                }
+                classDeclaration = property.getParent().getModelFile().getType(property.getType());
+            }
+            property = classDeclaration.getProperty(name);
+            if (!property) {
+                this.reportError(`refers to the unknown property ${path.join('.')}.`);
+            }
+        });
+
+        if (property.isArray() || property.isMap() || property.isTypeParameter() || property instanceof RelationshipDeclaration) {
+            return 'Object';
+        } else if (property.isTypeEnum()) {
+            return 'String';
+        }
+        const type = property.isTypeScalar() ? property.getScalarField().getType() : property.getType();
+        return VALUE_TYPES[type] || 'Object';
+    }
+
+    /**
+     * Evaluates a node of the expression for an instance. The value of a
+     * node is null when it is unknown.
+     * @param {Object} node - the AST of the node
+     * @param {Object} obj - the instance
+     * @return {*} the value of the node
+     * @private
+     */
+    evaluateNode(node, obj) {
+        switch (node.type) {
+        case 'Literal':
+            return node.value;
+        case 'PropertyPath':
+            return this.evaluatePath(node.path, obj);
+        case 'UnaryExpression': {
+            const value = this.evaluateNode(node.argument, obj);
+            if (value === null || node.operator === '!') {
+                return value === null ? null : !value;
+            }
+            return this.operationTypes.get(node) === 'Decimal' ? Invariant.negate(value) : -value;
+        }
+        }
+
+        const type = this.operationTypes.get(node);
+        const left = this.evaluateOperand(node.left, obj, type);
+        const right = this.evaluateOperand(node.right, obj, type);
+        const exact = type === 'Long' || type === 'Decimal';
+        switch (node.operator) {
+        case '&&':
+            return left === false || right === false ? false : left === null || right === null ? null : true;
+        case '||':
+            return left === true || right === true ? true : left === null || right === null ? null : false;
+        case '==':
+            return exact && left !== null && right !== null ? NumberUtil.compareNumbers(left, right) === 0 : left === right;
+        case '!=':
+            return exact && left !== null && right !== null ? NumberUtil.compareNumbers(left, right) !== 0 : left !== right;
+        }
+
+        if (left === null || right === null) {
+            return null;
+        }
+        if (exact) {
+            return this.evaluateExactOperation(node.operator, type, left, right);
+        }
+        switch (node.operator) {
+        case '<':
+            return left < right;
+        case '<=':
+            return left <= right;
+        case '>':
+            return left > right;
+        case '>=':
+            return left >= right;
+        case '+':
+            return left + right;
+        case '-':
+            return left - right;
+        case '*':
+            return left * right;
+        default:
+            return left / right;
+        }
+    }
+
+    /**
+     * Evaluates an operand of an operation for an instance, converted to the
+     * numeric type of the operation. A number literal is converted from its
+     * source text.
+     * @param {Object} node - the AST of the operand
+     * @param {Object} obj - the instance
+     * @param {string} type - the numeric type of the operation, or undefined
+     * if the operation is not on numbers
+     * @return {*} the value of the operand
+     * @private
+     */
+    evaluateOperand(node, obj, type) {
+        if (type !== 'Long' && type !== 'Decimal') {
+            return this.evaluateNode(node, obj);
+        }
+        const literal = Invariant.getLiteral(node);
+        const value = literal !== null ? literal : this.evaluateNode(node, obj);
+        if (value === null) {
+            return null;
+        }
+        return type === 'Long' ? BigInt(value) : NumberUtil.toDecimal(value.toString());
+    }
+
+    /**
+     * Evaluates an operation on Longs, given as BigInts, or on Decimals, given
+     * as decimal strings
+     * @param {string} operator - the operator
+     * @param {string} type - the numeric type of the operation, Long or Decimal
+     * @param {bigint|string} left - the left operand
+     * @param {bigint|string} right - the right operand
+     * @return {*} the value of the operation, null for a division by zero
+     * @private
+     */
+    evaluateExactOperation(operator, type, left, right) {
+        switch (operator) {
+        case '<':
+            return NumberUtil.compareNumbers(left, right) < 0;
+        case '<=':
+            return NumberUtil.compareNumbers(left, right) <= 0;
+        case '>':
+            return NumberUtil.compareNumbers(left, right) > 0;
+        case '>=':
+            return NumberUtil.compareNumbers(left, right) >= 0;
+        }
+        if (type === 'Decimal') {
+            return NumberUtil.computeNumbers(left, operator, right);
+        }
+        switch (operator) {
+        case '+':
+            return left + right;
+        case '-':
+            return left - right;
+        case '*':
+            return left * right;
+        default:
+            return right === BigInt(0) ? null : left / right;
+        }
+    }
+
+    /**
+     * Returns the value of the property that a path refers to, converted so that
+     * it may be compared: Integers and Doubles as JavaScript numbers, Longs as
+     * BigInts, Decimals as decimal strings, and dates, times and durations as
+     * numbers of milliseconds
+     * @param {string[]} path - the names of the properties of the path
+     * @param {Object} obj - the instance
+     * @return {*} the value, or null if it is absent
+     * @private
+     */
+    evaluatePath(path, obj) {
+        let value = obj;
+        for (let n = 0; n < path.length; n++) {
+            value = value[path[n]];
+            if (value === null || value === undefined) {
+                return null;
+            }
+        }
+
+        switch (this.resolvePath(path)) {
+        case 'Number':
+            return Number(value);
+        case 'Long':
+            return BigInt(value);
+        case 'Decimal':
+            return NumberUtil.toDecimal(value.toString());
+        case 'DateTime':
+            return typeof value === 'string' ? dayjs.utc(value).valueOf() : value.valueOf();
+        case 'Date':
+            return typeof value === 'string' ? DateTimeUtil.parseDate(value).valueOf() : value.valueOf();
+        case 'Time':
+            return typeof value === 'string' ? DateTimeUtil.parseTime(value).valueOf() : value.valueOf();
+        case 'Duration':
+            return typeof value === 'string' ? DateTimeUtil.parseDuration(value).asMilliseconds() : value.asMilliseconds();
+        default:
+            return value;
+        }
+    }
+
+    /**
+     * Throws an error for an invariant that is not valid
+     * @param {string} message - the reason the invariant is not valid
+     * @throws {IllegalModelException} the error
+     * @private
+     */
+    reportError(message) {
+        throw new IllegalModelException(`Invariant ${this.name} of ${this.parent.getFullyQualifiedName()} ${message}`, this.parent.getModelFile(), this.ast.location);
+    }
+
+    /**
+     * Returns a string representation of this invariant
+     * @return {string} the name and expression of the invariant
+     */
+    toString() {
+        return `Invariant {id=${this.name} expression=${this.source}}`;
+    }
+
+    /**
+     * Alternative instanceof that is reliable across different module instances
+     * @see https://github.com/hyperledger/composer-concerto/issues/47
+     *
+     * @param {object} object - The object to test against
+     * @returns {boolean} - True, if the object is an instance of an Invariant
+     */
+    static [Symbol.hasInstance](object){
+        return typeof object !== 'undefined' && object !== null && Boolean(object._isInvariant);
+    }
+}
+
+module.exports = Invariant;
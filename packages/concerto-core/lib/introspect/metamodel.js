@@ -0,0 +1,1135 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ModelUtil = require('../modelutil');
+const parser = require('./parser');
+
+/**
+ * The namespace of the metamodel
+ * @private
+ */
+const NAMESPACE = 'concerto.metamodel';
+
+/**
+ * The metamodel, as a Concerto model. The metamodel of a model file is an
+ * instance of its Model concept.
+ * @private
+ */
+const METAMODEL_CTO = `namespace ${NAMESPACE}
+
+/**
+ * A model file: its namespace, imports and declarations
+ */
+concept Model {
+  o String namespace
+  o String concertoVersion optional
+  o Import[] imports
+  o Declaration[] declarations
+  o DecoratorSchema[] decoratorSchemas optional
+}
+
+/**
+ * The model files of a model manager
+ */
+concept Models {
+  o Model[] models
+}
+
+abstract concept Import {
+  o String namespace
+  o String uri optional
+}
+
+/**
+ * Imports all the types of a namespace, import org.acme.*
+ */
+concept ImportAll extends Import {
+}
+
+/**
+ * Imports a type, import org.acme.Address or import org.acme.Address as PostalAddress
+ */
+concept ImportType extends Import {
+  o String name
+  o String alias optional
+}
+
+/**
+ * Imports a list of types, import org.acme.{Address, Person as Party}
+ */
+concept ImportTypes extends Import {
+  o ImportedType[] types
+}
+
+concept ImportedType {
+  o String name
+  o String alias optional
+}
+
+abstract concept DecoratorLiteral {
+}
+
+concept DecoratorString extends DecoratorLiteral {
+  o String value
+}
+
+concept DecoratorNumber extends DecoratorLiteral {
+  o Double value
+}
+
+concept DecoratorBoolean extends DecoratorLiteral {
+  o Boolean value
+}
+
+concept DecoratorTypeReference extends DecoratorLiteral {
+  o String name
+  o Boolean isArray
+}
+
+concept DecoratorArray extends DecoratorLiteral {
+  o DecoratorLiteral[] values
+}
+
+concept DecoratorObject extends DecoratorLiteral {
+  o DecoratorObjectProperty[] properties
+}
+
+concept DecoratorObjectProperty {
+  o String key
+  o DecoratorLiteral value
+}
+
+/**
+ * The signature of a decorator, decorator Label(String, Number?) on field repeatable
+ */
+concept DecoratorSchema {
+  o String name
+  o String[] arguments
+  o String[] targets optional
+  o Boolean repeatable
+  o String docs optional
+}
+
+/**
+ * A decorator, with no arguments when it has no parentheses
+ */
+concept Decorator {
+  o String name
+  o DecoratorLiteral[] arguments optional
+}
+
+abstract concept Declaration {
+  o String name
+  o Decorator[] decorators optional
+  o String docs optional
+}
+
+/**
+ * A class identified by the system generated $identifier field
+ */
+concept Identified {
+}
+
+/**
+ * A class identified by one or more of its fields
+ */
+concept IdentifiedBy extends Identified {
+  o String[] fields
+}
+
+concept Invariant {
+  o String name
+  o String expression
+  o String docs optional
+}
+
+/**
+ * A class declaration, with no super type when it extends the default super type of its kind
+ */
+abstract concept ClassDeclaration extends Declaration {
+  o Boolean isAbstract
+  o String superType optional
+  o String[] mixins optional
+  o Identified identified optional
+  o Property[] properties
+  o Invariant[] invariants optional
+}
+
+concept ConceptDeclaration extends ClassDeclaration {
+  o String[] typeParameters optional
+}
+
+concept AssetDeclaration extends ClassDeclaration {
+}
+
+concept ParticipantDeclaration extends ClassDeclaration {
+}
+
+concept TransactionDeclaration extends ClassDeclaration {
+}
+
+concept EventDeclaration extends ClassDeclaration {
+}
+
+concept EnumDeclaration extends Declaration {
+  o EnumValue[] values
+}
+
+concept EnumValue {
+  o String name
+  o String stringCode optional
+  o Integer integerCode optional
+  o Decorator[] decorators optional
+  o String docs optional
+}
+
+concept Cardinality {
+  o Integer lower optional
+  o Integer upper optional
+}
+
+abstract concept Property {
+  o String name
+  o Boolean isOptional
+  o Decorator[] decorators optional
+  o String docs optional
+}
+
+abstract concept ArrayableProperty extends Property {
+  o Boolean isArray
+  o Cardinality cardinality optional
+}
+
+concept StringRegexValidator {
+  o String pattern
+  o String flags
+}
+
+concept StringLengthValidator {
+  o Integer minLength optional
+  o Integer maxLength optional
+}
+
+concept IntegerDomainValidator {
+  o Integer lower optional
+  o Integer upper optional
+}
+
+concept LongDomainValidator {
+  o Long lower optional
+  o Long upper optional
+}
+
+concept DoubleDomainValidator {
+  o Double lower optional
+  o Double upper optional
+}
+
+/**
+ * The bounds of a Decimal are kept as strings so that they keep their precision
+ */
+concept DecimalDomainValidator {
+  o String lower optional
+  o String upper optional
+}
+
+concept StringProperty extends ArrayableProperty {
+  o String defaultValue optional
+  o StringRegexValidator validator optional
+  o StringLengthValidator lengthValidator optional
+}
+
+concept BooleanProperty extends ArrayableProperty {
+  o Boolean defaultValue optional
+}
+
+concept IntegerProperty extends ArrayableProperty {
+  o Integer defaultValue optional
+  o IntegerDomainValidator validator optional
+}
+
+concept LongProperty extends ArrayableProperty {
+  o Long defaultValue optional
+  o LongDomainValidator validator optional
+}
+
+concept DoubleProperty extends ArrayableProperty {
+  o Double defaultValue optional
+  o DoubleDomainValidator validator optional
+}
+
+concept DecimalProperty extends ArrayableProperty {
+  o String defaultValue optional
+  o DecimalDomainValidator validator optional
+  o Integer scale range=[0,] optional
+}
+
+concept DateTimeProperty extends ArrayableProperty {
+  o String defaultValue optional
+}
+
+concept DateProperty extends ArrayableProperty {
+  o String defaultValue optional
+}
+
+concept TimeProperty extends ArrayableProperty {
+  o String defaultValue optional
+}
+
+concept DurationProperty extends ArrayableProperty {
+  o String defaultValue optional
+}
+
+/**
+ * A field whose type is a class, an enumeration, a scalar or a type parameter
+ */
+concept ObjectProperty extends ArrayableProperty {
+  o String type
+  o String[] typeArguments optional
+  o String defaultValue optional
+}
+
+concept RelationshipProperty extends ArrayableProperty {
+  o String type
+  o String inverse optional
+}
+
+concept MapProperty extends Property {
+  o String keyType
+  o String valueType
+}
+
+concept StringScalar extends Declaration {
+  o String defaultValue optional
+  o StringRegexValidator validator optional
+  o StringLengthValidator lengthValidator optional
+}
+
+concept BooleanScalar extends Declaration {
+  o Boolean defaultValue optional
+}
+
+concept IntegerScalar extends Declaration {
+  o Integer defaultValue optional
+  o IntegerDomainValidator validator optional
+}
+
+concept LongScalar extends Declaration {
+  o Long defaultValue optional
+  o LongDomainValidator validator optional
+}
+
+concept DoubleScalar extends Declaration {
+  o Double defaultValue optional
+  o DoubleDomainValidator validator optional
+}
+
+concept DecimalScalar extends Declaration {
+  o String defaultValue optional
+  o DecimalDomainValidator validator optional
+  o Integer scale range=[0,] optional
+}
+
+concept DateTimeScalar extends Declaration {
+  o String defaultValue optional
+}
+
+concept DateScalar extends Declaration {
+  o String defaultValue optional
+}
+
+concept TimeScalar extends Declaration {
+  o String defaultValue optional
+}
+
+concept DurationScalar extends Declaration {
+  o String defaultValue optional
+}
+`;
+
+/**
+ * The primitive types, and the type of their default values in the metamodel
+ * @private
+ */
+const PRIMITIVE_TYPES = new Map([
+    ['String', 'String'],
+    ['Boolean', 'Boolean'],
+    ['Integer', 'Integer'],
+    ['Long', 'Long'],
+    ['Double', 'Double'],
+    ['Decimal', 'String'],
+    ['DateTime', 'String'],
+    ['Date', 'String'],
+    ['Time', 'String'],
+    ['Duration', 'String']
+]);
+
+/**
+ * The kinds of class declarations
+ * @private
+ */
+const CLASS_DECLARATIONS = ['ConceptDeclaration', 'AssetDeclaration', 'ParticipantDeclaration', 'TransactionDeclaration', 'EventDeclaration'];
+
+/**
+ * MetaModel converts between the AST of a model file and its metamodel, a
+ * JSON object that describes the model as data, so that it may be stored,
+ * compared and edited. The metamodel is itself a Concerto model, in the
+ * concerto.metamodel namespace, returned by getMetaModelCto: the metamodel
+ * of a model file is an instance of its Model concept, for example:
+ *
+ *     {
+ *       "$class": "concerto.metamodel.Model",
+ *       "namespace": "org.acme",
+ *       "imports": [],
+ *       "declarations": [{
+ *         "$class": "concerto.metamodel.ConceptDeclaration",
+ *         "name": "Address",
+ *         "isAbstract": false,
+ *         "properties": [{
+ *           "$class": "concerto.metamodel.StringProperty",
+ *           "name": "street",
+ *           "isOptional": false,
+ *           "isArray": false
+ *         }]
+ *       }]
+ *     }
+ *
+ * Type names are kept as they are written in the model, so they may be short
+ * names, imported names or aliases. The source locations of the declarations
+ * are not part of the metamodel.
+ *
+ * @class
+ * @memberof module:concerto-core
+ */
+class MetaModel {
+    /**
+     * Returns the metamodel as a Concerto model
+     * @return {string} the CTO of the concerto.metamodel namespace
+     */
+    static getMetaModelCto() {
+        return METAMODEL_CTO;
+    }
+
+    /**
+     * Returns the metamodel of a model file from its AST
+     * @param {Object} ast - the AST created by the parser
+     * @return {Object} the metamodel, a concerto.metamodel.Model object
+     * @private
+     */
+    static fromAst(ast) {
+        const model = {
+            $class: `${NAMESPACE}.Model`,
+            namespace: ast.namespace
+        };
+        if (ast.version) {
+            model.concertoVersion = ast.version.value;
+        }
+        model.imports = ast.imports.map((imp) => MetaModel.importFromAst(imp));
+        model.declarations = ast.body
+            .filter((thing) => thing.type !== 'DecoratorSchemaDeclaration')
+            .map((thing) => MetaModel.declarationFromAst(thing));
+        const decoratorSchemas = ast.body.filter((thing) => thing.type === 'DecoratorSchemaDeclaration');
+        if (decoratorSchemas.length > 0) {
+            model.decoratorSchemas = decoratorSchemas.map((thing) => MetaModel.decoratorSchemaFromAst(thing));
+        }
+        return model;
+    }
+
+    /**
+     * Returns the AST of a model file from its metamodel
+     * @param {Object} metaModel - the metamodel, a concerto.metamodel.Model object
+     * @return {Object} the AST, as created by the parser
+     * @throws {Error} if the metamodel is not a model, or has an element of an unrecognized type
+     * @private
+     */
+    static toAst(metaModel) {
+        MetaModel.checkClass(metaModel, ['Model']);
+        return {
+            type: 'Program',
+            version: metaModel.concertoVersion ? { type: 'Literal', value: metaModel.concertoVersion } : null,
+            namespace: metaModel.namespace,
+            imports: (metaModel.imports || []).map((imp) => MetaModel.importToAst(imp)),
+            body: (metaModel.decoratorSchemas || []).map((schema) => MetaModel.decoratorSchemaToAst(schema))
+                .concat((metaModel.declarations || []).map((declaration) => MetaModel.declarationToAst(declaration)))
+        };
+    }
+
+    /**
+     * Returns the metamodel of a decorator schema declaration
+     * @param {Object} thing - the AST of the decorator schema declaration
+     * @return {Object} the metamodel, a concerto.metamodel.DecoratorSchema object
+     * @private
+     */
+    static decoratorSchemaFromAst(thing) {
+        const result = {
+            $class: `${NAMESPACE}.DecoratorSchema`,
+            name: thing.id.name,
+            arguments: thing.arguments,
+            repeatable: thing.repeatable
+        };
+        if (thing.targets) {
+            result.targets = thing.targets;
+        }
+        if (thing.docs) {
+            result.docs = thing.docs;
+        }
+        return result;
+    }
+
+    /**
+     * Returns the AST of a decorator schema declaration from its metamodel
+     * @param {Object} schema - the metamodel, a concerto.metamodel.DecoratorSchema object
+     * @return {Object} the AST of the decorator schema declaration
+     * @throws {Error} if the metamodel is not a decorator schema
+     * @private
+     */
+    static decoratorSchemaToAst(schema) {
+        MetaModel.checkClass(schema, ['DecoratorSchema']);
+        return {
+            type: 'DecoratorSchemaDeclaration',
+            id: MetaModel.identifier(schema.name),
+            arguments: schema.arguments || [],
+            targets: schema.targets ? schema.targets : null,
+            repeatable: !!schema.repeatable,
+            docs: schema.docs ? schema.docs : null
+        };
+    }
+
+    /**
+     * Returns the short name of the metamodel type of an element, after
+     * checking that it is one of the expected types
+     * @param {Object} element - the element of the metamodel
+     * @param {string[]} [expected] - the short names of the expected types, any type if omitted
+     * @return {string} the short name of the type of the element
+     * @throws {Error} if the element is not one of the expected types
+     * @private
+     */
+    static checkClass(element, expected) {
+        const $class = element && element.$class;
+        const type = typeof $class === 'string' && ModelUtil.getNamespace($class) === NAMESPACE ? ModelUtil.getShortName($class) : null;
+        if (!type || (expected && !expected.includes(type))) {
+            throw new Error(`Unrecognized metamodel type ${$class}`);
+        }
+        return type;
+    }
+
+    /**
+     * Adds the decorators and the documentation of a declaration or property to its metamodel
+     * @param {Object} element - the metamodel of the declaration or property
+     * @param {Object} ast - the AST of the declaration or property
+     * @return {Object} the metamodel
+     * @private
+     */
+    static decoratedFromAst(element, ast) {
+        if (ast.decorators && ast.decorators.length > 0) {
+            element.decorators = ast.decorators.map((decorator) => MetaModel.decoratorFromAst(decorator));
+        }
+        if (ast.docs) {
+            element.docs = ast.docs;
+        }
+        return element;
+    }
+
+    /**
+     * Adds the decorators and the documentation of a declaration or property to its AST
+     * @param {Object} ast - the AST of the declaration or property
+     * @param {Object} element - the metamodel of the declaration or property
+     * @return {Object} the AST
+     * @private
+     */
+    static decoratedToAst(ast, element) {
+        ast.decorators = (element.decorators || []).map((decorator) => MetaModel.decoratorToAst(decorator));
+        ast.docs = element.docs ? element.docs : null;
+        return ast;
+    }
+
+    /**
+     * Returns the metamodel of an import
+     * @param {Object} imp - the AST of the import
+     * @return {Object} the metamodel of the import
+     * @private
+     */
+    static importFromAst(imp) {
+        let result;
+        if (imp.types) {
+            result = {
+                $class: `${NAMESPACE}.ImportTypes`,
+                namespace: imp.namespace,
+                types: imp.types.map((type) => {
+                    const result = { $class: `${NAMESPACE}.ImportedType`, name: type.name };
+                    if (type.alias) {
+                        result.alias = type.alias;
+                    }
+                    return result;
+                })
+            };
+        } else if (ModelUtil.isWildcardName(imp.namespace)) {
+            result = {
+                $class: `${NAMESPACE}.ImportAll`,
+                namespace: ModelUtil.getNamespace(imp.namespace)
+            };
+        } else {
+            result = {
+                $class: `${NAMESPACE}.ImportType`,
+                namespace: ModelUtil.getNamespace(imp.namespace),
+                name: ModelUtil.getShortName(imp.namespace)
+            };
+            if (imp.alias) {
+                result.alias = imp.alias;
+            }
+        }
+        if (imp.uri) {
+            result.uri = imp.uri;
+        }
+        return result;
+    }
+
+    /**
+     * Returns the AST of an import
+     * @param {Object} imp - the metamodel of the import
+     * @return {Object} the AST of the import
+     * @private
+     */
+    static importToAst(imp) {
+        let result;
+        switch (MetaModel.checkClass(imp, ['ImportAll', 'ImportType', 'ImportTypes'])) {
+        case 'ImportTypes':
+            result = {
+                namespace: imp.namespace,
+                types: imp.types.map((type) => type.alias ? { name: type.name, alias: type.alias } : { name: type.name })
+            };
+            break;
+        case 'ImportAll':
+            result = { namespace: `${imp.namespace}.*` };
+            break;
+        default:
+            result = { namespace: `${imp.namespace}.${imp.name}` };
+            if (imp.alias) {
+                result.alias = imp.alias;
+            }
+        }
+        if (imp.uri) {
+            result.uri = imp.uri;
+        }
+        return result;
+    }
+
+    /**
+     * Returns the metamodel of a decorator
+     * @param {Object} decorator - the AST of the decorator
+     * @return {Object} the metamodel of the decorator
+     * @private
+     */
+    static decoratorFromAst(decorator) {
+        const result = {
+            $class: `${NAMESPACE}.Decorator`,
+            name: decorator.name
+        };
+        if (decorator.arguments) {
+            // the arguments of @foo() are parsed as a single null argument
+            result.arguments = decorator.arguments.list.filter((argument) => argument).map((argument) => MetaModel.literalFromAst(argument));
+        }
+        return result;
+    }
+
+    /**
+     * Returns the AST of a decorator
+     * @param {Object} decorator - the metamodel of the decorator
+     * @return {Object} the AST of the decorator
+     * @private
+     */
+    static decoratorToAst(decorator) {
+        MetaModel.checkClass(decorator, ['Decorator']);
+        return {
+            type: 'Decorator',
+            name: decorator.name,
+            arguments: decorator.arguments ? {
+                type: 'DecoratorArguments',
+                list: decorator.arguments.map((argument) => MetaModel.literalToAst(argument))
+            } : null
+        };
+    }
+
+    /**
+     * Returns the metamodel of a decorator argument
+     * @param {Object} literal - the AST of the argument
+     * @return {Object} the metamodel of the argument
+     * @private
+     */
+    static literalFromAst(literal) {
+        switch (literal.type) {
+        case 'Identifier':
+            return {
+                $class: `${NAMESPACE}.DecoratorTypeReference`,
+                name: literal.value.name,
+                isArray: literal.value.array
+            };
+        case 'Array':
+            return {
+                $class: `${NAMESPACE}.DecoratorArray`,
+                values: literal.value.map((value) => MetaModel.literalFromAst(value))
+            };
+        case 'Object':
+            return {
+                $class: `${NAMESPACE}.DecoratorObject`,
+                properties: literal.value.map((property) => ({
+                    $class: `${NAMESPACE}.DecoratorObjectProperty`,
+                    key: property.key,
+                    value: MetaModel.literalFromAst(property.value)
+                }))
+            };
+        default:
+            return {
+                $class: `${NAMESPACE}.Decorator${literal.type}`,
+                value: literal.value
+            };
+        }
+    }
+
+    /**
+     * Returns the AST of a decorator argument
+     * @param {Object} literal - the metamodel of the argument
+     * @return {Object} the AST of the argument
+     * @private
+     */
+    static literalToAst(literal) {
+        switch (MetaModel.checkClass(literal, ['DecoratorString', 'DecoratorNumber', 'DecoratorBoolean', 'DecoratorTypeReference', 'DecoratorArray', 'DecoratorObject'])) {
+        case 'DecoratorTypeReference':
+            return {
+                type: 'Identifier',
+                value: { type: 'Identifier', name: literal.name, array: !!literal.isArray }
+            };
+        case 'DecoratorArray':
+            return {
+                type: 'Array',
+                value: literal.values.map((value) => MetaModel.literalToAst(value))
+            };
+        case 'DecoratorObject':
+            return {
+                type: 'Object',
+                value: literal.properties.map((property) => ({
+                    key: property.key,
+                    value: MetaModel.literalToAst(property.value)
+                }))
+            };
+        default:
+            return {
+                type: ModelUtil.getShortName(literal.$class).substring('Decorator'.length),
+                value: literal.value
+            };
+        }
+    }
+
+    /**
+     * Returns the metamodel of a declaration
+     * @param {Object} thing - the AST of the declaration
+     * @return {Object} the metamodel of the declaration
+     * @private
+     */
+    static declarationFromAst(thing) {
+        let result;
+        if (thing.type === 'EnumDeclaration') {
+            result = {
+                $class: `${NAMESPACE}.EnumDeclaration`,
+                name: thing.id.name,
+                values: thing.body.declarations.map((value) => {
+                    const enumValue = {
+                        $class: `${NAMESPACE}.EnumValue`,
+                        name: value.id.name
+                    };
+                    if (typeof value.code === 'string') {
+                        enumValue.stringCode = value.code;
+                    } else if (typeof value.code === 'number') {
+                        enumValue.integerCode = value.code;
+                    }
+                    return MetaModel.decoratedFromAst(enumValue, value);
+                })
+            };
+        } else if (thing.type === 'ScalarDeclaration') {
+            result = MetaModel.primitiveFromAst({
+                $class: `${NAMESPACE}.${thing.propertyType.name}Scalar`,
+                name: thing.id.name
+            }, thing);
+        } else {
+            result = {
+                $class: `${NAMESPACE}.${thing.type}`,
+                name: thing.id.name,
+                isAbstract: !!thing.abstract
+            };
+            if (thing.typeParameters) {
+                result.typeParameters = thing.typeParameters.slice();
+            }
+            if (thing.classExtension) {
+                result.superType = thing.classExtension.class.name;
+            }
+            if (thing.mixins) {
+                result.mixins = thing.mixins.classes.map((mixin) => mixin.name);
+            }
+            if (thing.idField) {
+                if (thing.idField.name === '$identifier') {
+                    result.identified = { $class: `${NAMESPACE}.Identified` };
+                } else {
+                    const fields = thing.idField.type === 'CompositeIdentifier' ? thing.idField.fields : [thing.idField];
+                    result.identified = {
+                        $class: `${NAMESPACE}.IdentifiedBy`,
+                        fields: fields.map((field) => field.name)
+                    };
+                }
+            }
+            const declarations = thing.body.declarations;
+            result.properties = declarations.filter((field) => field.type !== 'InvariantDeclaration').map((field) => MetaModel.propertyFromAst(field));
+            const invariants = declarations.filter((invariant) => invariant.type === 'InvariantDeclaration');
+            if (invariants.length > 0) {
+                result.invariants = invariants.map((invariant) => {
+                    const metaInvariant = {
+                        $class: `${NAMESPACE}.Invariant`,
+                        name: invariant.id.name,
+                        expression: invariant.source
+                    };
+                    if (invariant.docs) {
+                        metaInvariant.docs = invariant.docs;
+                    }
+                    return metaInvariant;
+                });
+            }
+        }
+        return MetaModel.decoratedFromAst(result, thing);
+    }
+
+    /**
+     * Returns the AST of a declaration
+     * @param {Object} declaration - the metamodel of the declaration
+     * @return {Object} the AST of the declaration
+     * @private
+     */
+    static declarationToAst(declaration) {
+        const type = MetaModel.checkClass(declaration);
+        let result;
+        if (type === 'EnumDeclaration') {
+            result = {
+                type: 'EnumDeclaration',
+                id: MetaModel.identifier(declaration.name),
+                body: {
+                    type: 'EnumDeclarationBody',
+                    declarations: declaration.values.map((value) => {
+                        MetaModel.checkClass(value, ['EnumValue']);
+                        let code = null;
+                        if (typeof value.stringCode === 'string') {
+                            code = value.stringCode;
+                        } else if (typeof value.integerCode === 'number') {
+                            code = value.integerCode;
+                        }
+                        return MetaModel.decoratedToAst({
+                            type: 'EnumPropertyDeclaration',
+                            id: MetaModel.identifier(value.name),
+                            code: code,
+                            optional: null
+                        }, value);
+                    })
+                }
+            };
+        } else if (type.endsWith('Scalar') && PRIMITIVE_TYPES.has(type.substring(0, type.length - 'Scalar'.length))) {
+            result = MetaModel.primitiveToAst({
+                type: 'ScalarDeclaration',
+                id: MetaModel.identifier(declaration.name),
+                propertyType: { name: type.substring(0, type.length - 'Scalar'.length) }
+            }, declaration);
+        } else if (CLASS_DECLARATIONS.includes(type)) {
+            let idField = null;
+            if (declaration.identified) {
+                if (MetaModel.checkClass(declaration.identified, ['Identified', 'IdentifiedBy']) === 'Identified') {
+                    idField = { name: '$identifier' };
+                } else if (declaration.identified.fields.length === 1) {
+                    idField = MetaModel.identifier(declaration.identified.fields[0]);
+                } else {
+                    idField = {
+                        type: 'CompositeIdentifier',
+                        fields: declaration.identified.fields.map((field) => MetaModel.identifier(field))
+                    };
+                }
+            }
+            const invariants = (declaration.invariants || []).map((invariant) => {
+                MetaModel.checkClass(invariant, ['Invariant']);
+                const source = invariant.expression.trim();
+                return {
+                    type: 'InvariantDeclaration',
+                    id: MetaModel.identifier(invariant.name),
+                    expression: parser.parse(source, { startRule: 'InvariantExpression' }).ast,
+                    source: source,
+                    docs: invariant.docs ? invariant.docs : null
+                };
+            });
+            result = {
+                type: type,
+                id: MetaModel.identifier(declaration.name),
+                classExtension: declaration.superType ? { type: 'ClassExtension', class: MetaModel.identifier(declaration.superType) } : null,
+                mixins: declaration.mixins ? { type: 'ClassMixins', classes: declaration.mixins.map((mixin) => MetaModel.identifier(mixin)) } : null,
+                idField: idField,
+                body: {
+                    type: 'ClassDeclarationBody',
+                    declarations: declaration.properties.map((property) => MetaModel.propertyToAst(property)).concat(invariants)
+                },
+                abstract: declaration.isAbstract ? true : null
+            };
+            if (type === 'ConceptDeclaration') {
+                result.typeParameters = declaration.typeParameters ? declaration.typeParameters.slice() : null;
+            }
+        } else {
+            throw new Error(`Unrecognized metamodel type ${declaration.$class}`);
+        }
+        return MetaModel.decoratedToAst(result, declaration);
+    }
+
+    /**
+     * Returns the metamodel of a field or a relationship
+     * @param {Object} field - the AST of the field or relationship
+     * @return {Object} the metamodel of the property
+     * @private
+     */
+    static propertyFromAst(field) {
+        const name = field.id.name;
+        const typeName = field.propertyType.name;
+        let result;
+        if (field.type === 'RelationshipDeclaration') {
+            result = {
+                $class: `${NAMESPACE}.RelationshipProperty`,
+                name: name,
+                type: typeName
+            };
+            if (field.inverse) {
+                result.inverse = field.inverse.name;
+            }
+        } else if (field.mapKeyType) {
+            result = {
+                $class: `${NAMESPACE}.MapProperty`,
+                name: name,
+                keyType: field.mapKeyType.name,
+                valueType: typeName
+            };
+        } else if (PRIMITIVE_TYPES.has(typeName)) {
+            result = MetaModel.primitiveFromAst({
+                $class: `${NAMESPACE}.${typeName}Property`,
+                name: name
+            }, field);
+        } else {
+            result = {
+                $class: `${NAMESPACE}.ObjectProperty`,
+                name: name,
+                type: typeName
+            };
+            if (field.typeArguments) {
+                result.typeArguments = field.typeArguments.map((argument) => argument.name);
+            }
+            if (typeof field.default === 'string') {
+                result.defaultValue = field.default;
+            }
+        }
+
+        result.isOptional = !!field.optional;
+        if (!field.mapKeyType) {
+            result.isArray = !!field.array;
+            if (field.cardinality) {
+                result.cardinality = MetaModel.boundsFromAst(`${NAMESPACE}.Cardinality`, field.cardinality, 'Integer');
+            }
+        }
+        return MetaModel.decoratedFromAst(result, field);
+    }
+
+    /**
+     * Returns the AST of a field or a relationship
+     * @param {Object} property - the metamodel of the property
+     * @return {Object} the AST of the field or relationship
+     * @private
+     */
+    static propertyToAst(property) {
+        const type = MetaModel.checkClass(property);
+        let result = {
+            type: 'FieldDeclaration',
+            id: MetaModel.identifier(property.name)
+        };
+        if (type === 'RelationshipProperty') {
+            result.type = 'RelationshipDeclaration';
+            result.propertyType = MetaModel.identifier(property.type);
+            result.inverse = property.inverse ? MetaModel.identifier(property.inverse) : null;
+        } else if (type === 'MapProperty') {
+            result.propertyType = MetaModel.typeArgument(property.valueType);
+            result.mapKeyType = MetaModel.typeArgument(property.keyType);
+        } else if (type === 'ObjectProperty') {
+            result.propertyType = MetaModel.identifier(property.type);
+            result.typeArguments = property.typeArguments ? property.typeArguments.map((argument) => MetaModel.typeArgument(argument)) : null;
+            result.default = typeof property.defaultValue === 'string' ? property.defaultValue : null;
+        } else if (type.endsWith('Property') && PRIMITIVE_TYPES.has(type.substring(0, type.length - 'Property'.length))) {
+            result.propertyType = { name: type.substring(0, type.length - 'Property'.length) };
+            result = MetaModel.primitiveToAst(result, property);
+        } else {
+            throw new Error(`Unrecognized metamodel type ${property.$class}`);
+        }
+
+        if (type !== 'MapProperty') {
+            result.array = property.isArray ? '[]' : null;
+            result.cardinality = null;
+            if (property.isArray && property.cardinality) {
+                result.cardinality = MetaModel.boundsToAst(property.cardinality);
+            }
+        }
+        result.optional = property.isOptional ? { type: 'Optional' } : null;
+        return MetaModel.decoratedToAst(result, property);
+    }
+
+    /**
+     * Adds the default value and the validators of a field or scalar of a primitive type to its metamodel
+     * @param {Object} element - the metamodel of the field or scalar
+     * @param {Object} ast - the AST of the field or scalar
+     * @return {Object} the metamodel
+     * @private
+     */
+    static primitiveFromAst(element, ast) {
+        const typeName = ast.propertyType.name;
+        const valueType = PRIMITIVE_TYPES.get(typeName);
+        if (typeof ast.default === 'string') {
+            element.defaultValue = MetaModel.valueFromAst(ast.default, valueType);
+        }
+        if (ast.regex) {
+            const slash = ast.regex.lastIndexOf('/');
+            element.validator = {
+                $class: `${NAMESPACE}.StringRegexValidator`,
+                pattern: ast.regex.substring(1, slash),
+                flags: ast.regex.substring(slash + 1)
+            };
+        }
+        if (ast.length) {
+            element.lengthValidator = { $class: `${NAMESPACE}.StringLengthValidator` };
+            if (ast.length.lower) {
+                element.lengthValidator.minLength = Number(ast.length.lower);
+            }
+            if (ast.length.upper) {
+                element.lengthValidator.maxLength = Number(ast.length.upper);
+            }
+        }
+        if (ast.range) {
+            element.validator = MetaModel.boundsFromAst(`${NAMESPACE}.${typeName}DomainValidator`, ast.range, valueType);
+        }
+        if (ast.scale) {
+            element.scale = Number(ast.scale.value);
+        }
+        return element;
+    }
+
+    /**
+     * Adds the default value and the validators of a field or scalar of a primitive type to its AST
+     * @param {Object} ast - the AST of the field or scalar
+     * @param {Object} element - the metamodel of the field or scalar
+     * @return {Object} the AST
+     * @private
+     */
+    static primitiveToAst(ast, element) {
+        const hasDefault = element.defaultValue !== undefined && element.defaultValue !== null;
+        ast.default = hasDefault ? String(element.defaultValue) : null;
+        ast.regex = null;
+        ast.length = null;
+        ast.range = null;
+        if (element.validator) {
+            if (MetaModel.checkClass(element.validator) === 'StringRegexValidator') {
+                ast.regex = `/${element.validator.pattern}/${element.validator.flags}`;
+            } else {
+                ast.range = MetaModel.boundsToAst(element.validator);
+            }
+        }
+        if (element.lengthValidator) {
+            ast.length = MetaModel.boundsToAst({ lower: element.lengthValidator.minLength, upper: element.lengthValidator.maxLength });
+        }
+        if (element.scale !== undefined && element.scale !== null) {
+            ast.scale = { value: String(element.scale) };
+        }
+        return ast;
+    }
+
+    /**
+     * Returns the metamodel of the lower and upper bounds of a cardinality or a validator
+     * @param {string} $class - the metamodel type of the bounds
+     * @param {Object} bounds - the AST of the bounds, with a lower and an upper bound that may be missing
+     * @param {string} valueType - the metamodel type of the bounds
+     * @return {Object} the metamodel of the bounds
+     * @private
+     */
+    static boundsFromAst($class, bounds, valueType) {
+        const result = { $class };
+        if (bounds.lower) {
+            result.lower = MetaModel.valueFromAst(bounds.lower, valueType);
+        }
+        if (bounds.upper) {
+            result.upper = MetaModel.valueFromAst(bounds.upper, valueType);
+        }
+        return result;
+    }
+
+    /**
+     * Returns the AST of the lower and upper bounds of a cardinality or a validator
+     * @param {Object} bounds - the metamodel of the bounds
+     * @return {Object} the AST of the bounds
+     * @private
+     */
+    static boundsToAst(bounds) {
+        const hasLower = bounds.lower !== undefined && bounds.lower !== null;
+        const hasUpper = bounds.upper !== undefined && bounds.upper !== null;
+        return {
+            lower: hasLower ? String(bounds.lower) : null,
+            upper: hasUpper ? String(bounds.upper) : null
+        };
+    }
+
+    /**
+     * Returns the value of a default value or a bound, as written in the model
+     * @param {string} text - the text of the value
+     * @param {string} valueType - the metamodel type of the value
+     * @return {*} the value, a string, a number or a boolean
+     * @private
+     */
+    static valueFromAst(text, valueType) {
+        switch (valueType) {
+        case 'Boolean':
+            return text === 'true';
+        case 'Integer':
+        case 'Long':
+        case 'Double':
+            return Number(text);
+        default:
+            return text;
+        }
+    }
+
+    /**
+     * Returns the AST of an identifier
+     * @param {string} name - the name
+     * @return {Object} the AST of the identifier
+     * @private
+     */
+    static identifier(name) {
+        return { type: 'Identifier', name: name };
+    }
+
+    /**
+     * Returns the AST of a type argument, or of the key or value type of a map
+     * @param {string} name - the name of the type
+     * @return {Object} the AST of the type
+     * @private
+     */
+    static typeArgument(name) {
+        return PRIMITIVE_TYPES.has(name) ? { name: name } : MetaModel.identifier(name);
+    }
+}
+
+module.exports = MetaModel;
@@ -0,0 +1,592 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ModelFile = require('./modelfile');
+const ModelUtil = require('../modelutil');
+
+/**
+ * The namespace of the metamodel
+ * @private
+ */
+const NAMESPACE = 'concerto.metamodel';
+
+/**
+ * ModelBuilder builds a model file programmatically, one declaration at a
+ * time, without writing or parsing CTO text. Each method returns the builder,
+ * so that calls can be chained:
+ *
+ *     const modelFile = ModelBuilder.namespace('org.acme')
+ *         .concept('Address')
+ *         .field('street', 'String', { optional: true })
+ *         .asset('Vehicle', { identifiedBy: 'vin' })
+ *         .field('vin', 'String')
+ *         .relationship('owner', 'Person')
+ *         .build(modelManager);
+ *     modelManager.addModelFile(modelFile);
+ *
+ * Fields, relationships, maps and invariants are added to the last class
+ * declaration, enum values to the last enum declaration, and decorators to the
+ * last declaration, property or enum value. The model file is built from its
+ * metamodel, and is validated like any other model file when it is added to
+ * a model manager.
+ * @class
+ * @memberof module:concerto-core
+ */
+class ModelBuilder {
+    /**
+     * Create a ModelBuilder for a namespace
+     * @param {string} namespace - the namespace of the model file
+     * @param {Object} [options] - the options of the model file
+     * @param {string} [options.concertoVersion] - the semver range of the compatible concerto versions
+     */
+    constructor(namespace, options) {
+        this.metaModel = {
+            $class: `${NAMESPACE}.Model`,
+            namespace: namespace,
+            imports: [],
+            declarations: []
+        };
+        if (options && options.concertoVersion) {
+            this.metaModel.concertoVersion = options.concertoVersion;
+        }
+        this.declaration = null;
+        this.element = null;
+    }
+
+    /**
+     * Returns a ModelBuilder for a namespace
+     * @param {string} namespace - the namespace of the model file
+     * @param {Object} [options] - the options of the model file
+     * @param {string} [options.concertoVersion] - the semver range of the compatible concerto versions
+     * @return {ModelBuilder} the builder
+     */
+    static namespace(namespace, options) {
+        return new ModelBuilder(namespace, options);
+    }
+
+    /**
+     * Adds an import, of a type such as org.other.Money, of all the types of
+     * a namespace such as org.other.*, or of a list of types of a namespace
+     * @param {string} name - the fully qualified name of the type, or the namespace followed by .* or by nothing for a list of types
+     * @param {Object} [options] - the options of the import
+     * @param {string} [options.uri] - the URI of the model file of the namespace
+     * @param {string} [options.alias] - the local name of the imported type
+     * @param {Array} [options.types] - the imported types, each a name or an object with a name and an alias
+     * @return {ModelBuilder} the builder
+     */
+    import(name, options) {
+        options = options || {};
+        let result;
+        if (options.types) {
+            result = {
+                $class: `${NAMESPACE}.ImportTypes`,
+                namespace: name,
+                types: options.types.map((type) => {
+                    const importedType = { $class: `${NAMESPACE}.ImportedType` };
+                    if (typeof type === 'string') {
+                        importedType.name = type;
+                    } else {
+                        importedType.name = type.name;
+                        if (type.alias) {
+                            importedType.alias = type.alias;
+                        }
+                    }
+                    return importedType;
+                })
+            };
+        } else if (ModelUtil.isWildcardName(name)) {
+            result = {
+                $class: `${NAMESPACE}.ImportAll`,
+                namespace: ModelUtil.getNamespace(name)
+            };
+        } else {
+            result = {
+                $class: `${NAMESPACE}.ImportType`,
+                namespace: ModelUtil.getNamespace(name),
+                name: ModelUtil.getShortName(name)
+            };
+            if (options.alias) {
+                result.alias = options.alias;
+            }
+        }
+        if (options.uri) {
+            result.uri = options.uri;
+        }
+        this.metaModel.imports.push(result);
+        return this;
+    }
+
+    /**
+     * Adds a concept declaration
+     * @param {string} name - the name of the concept
+     * @param {Object} [options] - the options of the declaration, see {@link ModelBuilder#asset}
+     * @param {string[]} [options.typeParameters] - the type parameters of a generic concept
+     * @return {ModelBuilder} the builder
+     */
+    concept(name, options) {
+        const declaration = this.classDeclaration('ConceptDeclaration', name, options);
+        if (options && options.typeParameters && options.typeParameters.length > 0) {
+            declaration.typeParameters = options.typeParameters.slice();
+        }
+        return this;
+    }
+
+    /**
+     * Adds an asset declaration
+     * @param {string} name - the name of the asset
+     * @param {Object} [options] - the options of the declaration
+     * @param {boolean} [options.abstract] - true if the declaration is abstract
+     * @param {string} [options.extends] - the name of the super type
+     * @param {string[]} [options.mixins] - the names of the mixins
+     * @param {string|string[]} [options.identifiedBy] - the name of the identifying field, or of the fields of a composite identifier
+     * @param {boolean} [options.identified] - true if the declaration has a system identifier
+     * @param {string} [options.description] - the documentation of the declaration
+     * @return {ModelBuilder} the builder
+     */
+    asset(name, options) {
+        this.classDeclaration('AssetDeclaration', name, options);
+        return this;
+    }
+
+    /**
+     * Adds a participant declaration
+     * @param {string} name - the name of the participant
+     * @param {Object} [options] - the options of the declaration, see {@link ModelBuilder#asset}
+     * @return {ModelBuilder} the builder
+     */
+    participant(name, options) {
+        this.classDeclaration('ParticipantDeclaration', name, options);
+        return this;
+    }
+
+    /**
+     * Adds a transaction declaration
+     * @param {string} name - the name of the transaction
+     * @param {Object} [options] - the options of the declaration, see {@link ModelBuilder#asset}
+     * @return {ModelBuilder} the builder
+     */
+    transaction(name, options) {
+        this.classDeclaration('TransactionDeclaration', name, options);
+        return this;
+    }
+
+    /**
+     * Adds an event declaration
+     * @param {string} name - the name of the event
+     * @param {Object} [options] - the options of the declaration, see {@link ModelBuilder#asset}
+     * @return {ModelBuilder} the builder
+     */
+    event(name, options) {
+        this.classDeclaration('EventDeclaration', name, options);
+        return this;
+    }
+
+    /**
+     * Adds an enum declaration, whose values are added with {@link ModelBuilder#value}
+     * @param {string} name - the name of the enum
+     * @param {Object} [options] - the options of the declaration
+     * @param {string} [options.description] - the documentation of the declaration
+     * @return {ModelBuilder} the builder
+     */
+    enum(name, options) {
+        this.addDeclaration({
+            $class: `${NAMESPACE}.EnumDeclaration`,
+            name: name,
+            values: []
+        }, options);
+        return this;
+    }
+
+    /**
+     * Adds a value to the last enum declaration
+     * @param {string} name - the name of the value
+     * @param {Object} [options] - the options of the value
+     * @param {string|number} [options.code] - the string or integer code of the value
+     * @param {string} [options.description] - the documentation of the value
+     * @return {ModelBuilder} the builder
+     */
+    value(name, options) {
+        options = options || {};
+        const declaration = this.getDeclaration('An enum value', ['EnumDeclaration']);
+        const value = {
+            $class: `${NAMESPACE}.EnumValue`,
+            name: name
+        };
+        if (typeof options.code === 'string') {
+            value.stringCode = options.code;
+        } else if (typeof options.code === 'number') {
+            value.integerCode = options.code;
+        }
+        declaration.values.push(ModelBuilder.describe(value, options));
+        this.element = value;
+        return this;
+    }
+
+    /**
+     * Adds a scalar declaration
+     * @param {string} name - the name of the scalar
+     * @param {string} type - the primitive type of the scalar
+     * @param {Object} [options] - the options of the scalar, see {@link ModelBuilder#field}
+     * @return {ModelBuilder} the builder
+     */
+    scalar(name, type, options) {
+        if (!ModelUtil.isPrimitiveType(type)) {
+            throw new Error(`The type of the scalar ${name} is not a primitive type: ${type}`);
+        }
+        this.addDeclaration(ModelBuilder.constraints({
+            $class: `${NAMESPACE}.${type}Scalar`,
+            name: name
+        }, type, options || {}), options);
+        return this;
+    }
+
+    /**
+     * Adds a field to the last class declaration. The field is of a primitive
+     * type, or of a type declared in this or an imported namespace.
+     * @param {string} name - the name of the field
+     * @param {string} type - the type of the field
+     * @param {Object} [options] - the options of the field
+     * @param {boolean} [options.optional] - true if the field is optional
+     * @param {boolean|number[]} [options.array] - true if the field is an array, or the lower and upper bounds of its number of items
+     * @param {*} [options.default] - the default value of the field
+     * @param {RegExp} [options.regex] - the regular expression that a String must match
+     * @param {number[]} [options.length] - the lower and upper bounds of the length of a String
+     * @param {Array} [options.range] - the lower and upper bounds of a number
+     * @param {number} [options.scale] - the number of fractional digits of a Decimal
+     * @param {string[]} [options.typeArguments] - the type arguments of a generic concept
+     * @param {string} [options.description] - the documentation of the field
+     * @return {ModelBuilder} the builder
+     */
+    field(name, type, options) {
+        options = options || {};
+        let property;
+        if (ModelUtil.isPrimitiveType(type)) {
+            property = ModelBuilder.constraints({ $class: `${NAMESPACE}.${type}Property` }, type, options);
+        } else {
+            property = {
+                $class: `${NAMESPACE}.ObjectProperty`,
+                type: type
+            };
+            if (options.typeArguments && options.typeArguments.length > 0) {
+                property.typeArguments = options.typeArguments.slice();
+            }
+            if (typeof options.default === 'string') {
+                property.defaultValue = options.default;
+            }
+        }
+        this.addProperty(name, property, options);
+        return this;
+    }
+
+    /**
+     * Adds a relationship to the last class declaration
+     * @param {string} name - the name of the relationship
+     * @param {string} type - the type of the related resource
+     * @param {Object} [options] - the options of the relationship
+     * @param {boolean} [options.optional] - true if the relationship is optional
+     * @param {boolean|number[]} [options.array] - true if the relationship is an array, or the lower and upper bounds of its number of items
+     * @param {string} [options.inverse] - the name of the relationship of the related resource back to this class
+     * @param {string} [options.description] - the documentation of the relationship
+     * @return {ModelBuilder} the builder
+     */
+    relationship(name, type, options) {
+        options = options || {};
+        const property = {
+            $class: `${NAMESPACE}.RelationshipProperty`,
+            type: type
+        };
+        if (options.inverse) {
+            property.inverse = options.inverse;
+        }
+        this.addProperty(name, property, options);
+        return this;
+    }
+
+    /**
+     * Adds a map field to the last class declaration
+     * @param {string} name - the name of the field
+     * @param {string} keyType - the type of the keys
+     * @param {string} valueType - the type of the values
+     * @param {Object} [options] - the options of the field
+     * @param {boolean} [options.optional] - true if the field is optional
+     * @param {string} [options.description] - the documentation of the field
+     * @return {ModelBuilder} the builder
+     */
+    map(name, keyType, valueType, options) {
+        this.addProperty(name, {
+            $class: `${NAMESPACE}.MapProperty`,
+            keyType: keyType,
+            valueType: valueType
+        }, options || {});
+        return this;
+    }
+
+    /**
+     * Adds an invariant to the last class declaration
+     * @param {string} name - the name of the invariant
+     * @param {string} expression - the expression of the invariant, for example endDate > startDate
+     * @param {Object} [options] - the options of the invariant
+     * @param {string} [options.description] - the documentation of the invariant
+     * @return {ModelBuilder} the builder
+     */
+    invariant(name, expression, options) {
+        const declaration = this.getDeclaration('An invariant');
+        if (!declaration.invariants) {
+            declaration.invariants = [];
+        }
+        declaration.invariants.push(ModelBuilder.describe({
+            $class: `${NAMESPACE}.Invariant`,
+            name: name,
+            expression: expression
+        }, options || {}));
+        return this;
+    }
+
+    /**
+     * Adds a decorator to the last declaration, property or enum value. The
+     * arguments are strings, numbers, booleans, and arrays and objects of
+     * these.
+     * @param {string} name - the name of the decorator
+     * @param {Array} [args] - the arguments of the decorator, or nothing for a decorator without parentheses
+     * @return {ModelBuilder} the builder
+     */
+    decorate(name, args) {
+        if (!this.element) {
+            throw new Error(`The decorator ${name} must follow a declaration`);
+        }
+        const decorator = {
+            $class: `${NAMESPACE}.Decorator`,
+            name: name
+        };
+        if (args) {
+            decorator.arguments = args.map((arg) => ModelBuilder.literal(arg));
+        }
+        if (!this.element.decorators) {
+            this.element.decorators = [];
+        }
+        this.element.decorators.push(decorator);
+        return this;
+    }
+
+    /**
+     * Returns the metamodel of the model file
+     * @return {Object} the metamodel, a concerto.metamodel.Model object
+     */
+    toMetamodel() {
+        return JSON.parse(JSON.stringify(this.metaModel));
+    }
+
+    /**
+     * Builds the model file. The model file is not validated until it is
+     * added to the model manager.
+     * @param {ModelManager} modelManager - the ModelManager that the model file is built for
+     * @param {string} [fileName] - an optional file name to associate with the model file
+     * @return {ModelFile} the model file
+     */
+    build(modelManager, fileName) {
+        return new ModelFile(modelManager, this.toMetamodel(), fileName);
+    }
+
+    /**
+     * Adds a class declaration
+     * @param {string} type - the metamodel type of the declaration
+     * @param {string} name - the name of the declaration
+     * @param {Object} [options] - the options of the declaration
+     * @return {Object} the metamodel of the declaration
+     * @private
+     */
+    classDeclaration(type, name, options) {
+        options = options || {};
+        const declaration = {
+            $class: `${NAMESPACE}.${type}`,
+            name: name,
+            isAbstract: !!options.abstract,
+            properties: []
+        };
+        if (options.extends) {
+            declaration.superType = options.extends;
+        }
+        if (options.mixins && options.mixins.length > 0) {
+            declaration.mixins = options.mixins.slice();
+        }
+        if (options.identifiedBy) {
+            declaration.identified = {
+                $class: `${NAMESPACE}.IdentifiedBy`,
+                fields: [].concat(options.identifiedBy)
+            };
+        } else if (options.identified) {
+            declaration.identified = { $class: `${NAMESPACE}.Identified` };
+        }
+        return this.addDeclaration(declaration, options);
+    }
+
+    /**
+     * Adds a declaration, which becomes the declaration that properties,
+     * values and decorators are added to
+     * @param {Object} declaration - the metamodel of the declaration
+     * @param {Object} [options] - the options of the declaration
+     * @return {Object} the metamodel of the declaration
+     * @private
+     */
+    addDeclaration(declaration, options) {
+        this.metaModel.declarations.push(ModelBuilder.describe(declaration, options || {}));
+        this.declaration = declaration;
+        this.element = declaration;
+        return declaration;
+    }
+
+    /**
+     * Returns the last declaration, checking its type
+     * @param {string} what - a description of the element added to the declaration, for the error message
+     * @param {string[]} [types] - the metamodel types that the declaration may have, all the class declarations by default
+     * @return {Object} the metamodel of the declaration
+     * @private
+     */
+    getDeclaration(what, types) {
+        const type = this.declaration ? ModelUtil.getShortName(this.declaration.$class) : null;
+        const allowed = types ? types.includes(type) : this.declaration && !!this.declaration.properties;
+        if (!allowed) {
+            throw new Error(`${what} must follow ${types ? 'an enum' : 'a class'} declaration`);
+        }
+        return this.declaration;
+    }
+
+    /**
+     * Adds a property to the last class declaration
+     * @param {string} name - the name of the property
+     * @param {Object} property - the metamodel of the property, without its name, optionality and cardinality
+     * @param {Object} options - the options of the property
+     * @private
+     */
+    addProperty(name, property, options) {
+        const declaration = this.getDeclaration(`The property ${name}`);
+        property.name = name;
+        property.isOptional = !!options.optional;
+        if (ModelUtil.getShortName(property.$class) !== 'MapProperty') {
+            property.isArray = !!options.array;
+            if (Array.isArray(options.array)) {
+                property.cardinality = ModelBuilder.bounds(`${NAMESPACE}.Cardinality`, options.array, 'lower', 'upper');
+            }
+        }
+        declaration.properties.push(ModelBuilder.describe(property, options));
+        this.element = property;
+    }
+
+    /**
+     * Adds the default value and the validators of a field or scalar of a primitive type to its metamodel
+     * @param {Object} element - the metamodel of the field or scalar
+     * @param {string} type - the primitive type
+     * @param {Object} options - the options of the field or scalar
+     * @return {Object} the metamodel
+     * @private
+     */
+    static constraints(element, type, options) {
+        // Decimal values are held as strings, so that they keep their precision
+        const value = (v) => type === 'Decimal' ? String(v) : v;
+        if (options.default !== undefined && options.default !== null) {
+            element.defaultValue = value(options.default);
+        }
+        if (options.regex) {
+            const regex = options.regex instanceof RegExp ? options.regex : new RegExp(options.regex);
+            element.validator = {
+                $class: `${NAMESPACE}.StringRegexValidator`,
+                pattern: regex.source,
+                flags: regex.flags
+            };
+        }
+        if (options.range) {
+            const range = options.range.map((bound) => bound !== undefined && bound !== null ? value(bound) : bound);
+            element.validator = ModelBuilder.bounds(`${NAMESPACE}.${type}DomainValidator`, range, 'lower', 'upper');
+        }
+        if (options.length) {
+            element.lengthValidator = ModelBuilder.bounds(`${NAMESPACE}.StringLengthValidator`, options.length, 'minLength', 'maxLength');
+        }
+        if (options.scale !== undefined && options.scale !== null) {
+            element.scale = options.scale;
+        }
+        return element;
+    }
+
+    /**
+     * Returns the metamodel of the lower and upper bounds of a cardinality or a validator
+     * @param {string} $class - the metamodel type of the bounds
+     * @param {Array} bounds - the lower and upper bounds, either of which may be null or undefined
+     * @param {string} lower - the name of the lower bound
+     * @param {string} upper - the name of the upper bound
+     * @return {Object} the metamodel of the bounds
+     * @private
+     */
+    static bounds($class, bounds, lower, upper) {
+        const result = { $class };
+        if (bounds[0] !== undefined && bounds[0] !== null) {
+            result[lower] = bounds[0];
+        }
+        if (bounds[1] !== undefined && bounds[1] !== null) {
+            result[upper] = bounds[1];
+        }
+        return result;
+    }
+
+    /**
+     * Adds the documentation of the options to the metamodel of an element
+     * @param {Object} element - the metamodel of the element
+     * @param {Object} options - the options of the element
+     * @return {Object} the metamodel
+     * @private
+     */
+    static describe(element, options) {
+        if (options.description) {
+            element.docs = options.description;
+        }
+        return element;
+    }
+
+    /**
+     * Returns the metamodel of a decorator argument
+     * @param {*} arg - the argument
+     * @return {Object} the metamodel of the argument
+     * @private
+     */
+    static literal(arg) {
+        if (Array.isArray(arg)) {
+            return {
+                $class: `${NAMESPACE}.DecoratorArray`,
+                values: arg.map((value) => ModelBuilder.literal(value))
+            };
+        }
+        if (arg !== null && typeof arg === 'object') {
+            return {
+                $class: `${NAMESPACE}.DecoratorObject`,
+                properties: Object.keys(arg).map((key) => ({
+                    $class: `${NAMESPACE}.DecoratorObjectProperty`,
+                    key: key,
+                    value: ModelBuilder.literal(arg[key])
+                }))
+            };
+        }
+        switch (typeof arg) {
+        case 'string':
+            return { $class: `${NAMESPACE}.DecoratorString`, value: arg };
+        case 'number':
+            return { $class: `${NAMESPACE}.DecoratorNumber`, value: arg };
+        case 'boolean':
+            return { $class: `${NAMESPACE}.DecoratorBoolean`, value: arg };
+        }
+        throw new Error(`Unsupported decorator argument: ${arg}`);
+    }
+}
+
+module.exports = ModelBuilder;
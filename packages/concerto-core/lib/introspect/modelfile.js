@@ -23,7 +23,12 @@ const ConceptDeclaration = require('./conceptdeclaration');
 const ParticipantDeclaration = require('./participantdeclaration');
 const TransactionDeclaration = require('./transactiondeclaration');
 const EventDeclaration = require('./eventdeclaration');
+const ScalarDeclaration = require('./scalardeclaration');
+const DecoratorSchema = require('./decoratorschema');
+const MetaModel = require('./metamodel');
+const Printer = require('./printer');
 const IllegalModelException = require('./illegalmodelexception');
+const ModelValidationException = require('./modelvalidationexception');
 const ParseException = require('./parseexception');
 const ModelUtil = require('../modelutil');
 const Globalize = require('../globalize');
@@ -41,24 +46,35 @@ class ModelFile {
      * Use the ModelManager to manage ModelFiles.
      * @param {ModelManager} modelManager - the ModelManager that manages this
      * ModelFile
-     * @param {string} definitions - The DSL model as a string.
+     * @param {string|Object} definitions - The DSL model as a string, or its metamodel as
+     * a concerto.metamodel.Model object, see {@link MetaModel}.
      * @param {string} [fileName] - The optional filename for this modelfile
+     * @param {Object} [options] - an optional set of options
+     * @param {boolean} [options.tolerant] - if true, the declarations that do not parse
+     * are skipped and their syntax errors are returned by getDiagnostics, rather than
+     * the first syntax error being thrown
      * @throws {IllegalModelException}
      */
-    constructor(modelManager, definitions, fileName) {
+    constructor(modelManager, definitions, fileName, options) {
         this.modelManager = modelManager;
         this.external = false;
         this.declarations = [];
+        this.scalarDeclarations = [];
+        this.decoratorSchemas = [];
         this.localTypes = new Map();
         this.imports = [];
         this.importShortNames = new Map();
+        this.importAliases = {};
         this.importWildcardNamespaces = [];
         this.importUriMap = {};
+        this.importLocations = {};
         this.fileName = 'UNKNOWN';
         this._isModelFile = true;
         this.concertoVersion = null;
+        this.diagnostics = [];
 
-        if(!definitions || typeof definitions !== 'string') {
+        const isMetaModel = !!definitions && typeof definitions === 'object' && !Array.isArray(definitions);
+        if(!definitions || (typeof definitions !== 'string' && !isMetaModel)) {
             throw new Error('ModelFile expects a Concerto model as a string as input.');
         }
         this.definitions = definitions;
@@ -72,8 +88,10 @@ class ModelFile {
             this.external = fileName.startsWith('@');
         }
 
+        const tolerant = !isMetaModel && !!(options && options.tolerant);
+
         try {
-            this.ast = parser.parse(definitions);
+            this.ast = isMetaModel ? MetaModel.toAst(definitions) : parser.parse(definitions, { tolerant });
             if (this.ast.version) {
                 if (semver.satisfies(packageJson.version, this.ast.version.value)) {
                     this.concertoVersion = this.ast.version.value;
@@ -91,29 +109,60 @@ class ModelFile {
             }
         }
 
+        if (tolerant) {
+            this.diagnoseInvalidDeclarations();
+        }
+
+        // the definitions of a model file created from its metamodel are printed from it
+        if (isMetaModel) {
+            this.definitions = this.toCTO();
+        }
+
         this.namespace = this.ast.namespace;
 
-        if(this.namespace !== 'concerto' && this.ast.imports) {
-            this.ast.imports.push( { namespace: 'concerto.Concept'} );
-            this.ast.imports.push( { namespace: 'concerto.Asset'} );
-            this.ast.imports.push( { namespace: 'concerto.Transaction'} );
-            this.ast.imports.push( { namespace: 'concerto.Participant'} );
-            this.ast.imports.push( { namespace: 'concerto.Event'} );
+        // the parser only accepts semantic versions, but a metamodel may have any namespace
+        const version = this.getVersion();
+        if (version !== null && !semver.valid(version)) {
+            throw new IllegalModelException(`Invalid semantic version ${version} of namespace ${this.namespace}`, this);
         }
 
-        if(this.ast.imports) {
-            this.ast.imports.forEach((imp) => {
-                this.imports.push(imp.namespace);
-                this.importShortNames.set(ModelUtil.getShortName(imp.namespace), imp.namespace);
-                if (ModelUtil.isWildcardName(imp.namespace)) {
-                    const wildcardNamespace = ModelUtil.getNamespace(imp.namespace);
+        // the system types are imported implicitly, without changing the AST
+        const imports = this.ast.imports ? this.ast.imports.slice() : [];
+        if(this.namespace !== 'concerto') {
+            imports.push( { namespace: 'concerto.Concept'} );
+            imports.push( { namespace: 'concerto.Asset'} );
+            imports.push( { namespace: 'concerto.Transaction'} );
+            imports.push( { namespace: 'concerto.Participant'} );
+            imports.push( { namespace: 'concerto.Event'} );
+        }
+
+        imports.forEach((imp) => {
+            // a list of types, org.acme.{Party, Address}, imports each of the types
+            const importedTypes = imp.types ? imp.types.map((type) => {
+                return { namespace: imp.namespace + '.' + type.name, alias: type.alias, location: type.location };
+            }) : [imp];
+
+            importedTypes.forEach((importedType) => {
+                const importName = importedType.namespace;
+                this.imports.push(importName);
+                this.importLocations[importName] = importedType.location;
+                // a type imported with an alias is only known by its alias
+                this.checkImportAlias(importedType);
+                if (importedType.alias) {
+                    this.importShortNames.set(importedType.alias, importName);
+                    this.importAliases[importedType.alias] = importName;
+                } else {
+                    this.importShortNames.set(ModelUtil.getShortName(importName), importName);
+                }
+                if (ModelUtil.isWildcardName(importName)) {
+                    const wildcardNamespace = ModelUtil.getNamespace(importName);
                     this.importWildcardNamespaces.push(wildcardNamespace);
                 }
                 if(imp.uri) {
-                    this.importUriMap[imp.namespace] = imp.uri;
+                    this.importUriMap[importName] = imp.uri;
                 }
             });
-        }
+        });
 
         for(let n=0; n < this.ast.body.length; n++ ) {
             let thing = this.ast.body[n];
@@ -121,28 +170,28 @@ class ModelFile {
             if(thing.type === 'AssetDeclaration') {
                 // Default super type for asset
                 if (!thing.classExtension) {
-                    thing.classExtension = { class: { name: 'Asset' } };
+                    thing = Object.assign({}, thing, { classExtension: { class: { name: 'Asset' } } });
                 }
                 this.declarations.push( new AssetDeclaration(this, thing) );
             }
             else if(thing.type === 'TransactionDeclaration') {
                 // Default super type for transaction
                 if (!thing.classExtension) {
-                    thing.classExtension = { class: { name: 'Transaction' } };
+                    thing = Object.assign({}, thing, { classExtension: { class: { name: 'Transaction' } } });
                 }
                 this.declarations.push( new TransactionDeclaration(this, thing) );
             }
             else if(thing.type === 'EventDeclaration') {
                 // Default super type for event
                 if (!thing.classExtension) {
-                    thing.classExtension = { class: { name: 'Event' } };
+                    thing = Object.assign({}, thing, { classExtension: { class: { name: 'Event' } } });
                 }
                 this.declarations.push( new EventDeclaration(this, thing) );
             }
             else if(thing.type === 'ParticipantDeclaration') {
                 // Default super type for participant
                 if (!thing.classExtension) {
-                    thing.classExtension = { class: { name: 'Participant' } };
+                    thing = Object.assign({}, thing, { classExtension: { class: { name: 'Participant' } } });
                 }
                 this.declarations.push( new ParticipantDeclaration(this, thing) );
             }
@@ -152,12 +201,18 @@ class ModelFile {
             else if(thing.type === 'ConceptDeclaration') {
                 this.declarations.push( new ConceptDeclaration(this, thing) );
             }
+            else if(thing.type === 'ScalarDeclaration') {
+                this.scalarDeclarations.push( new ScalarDeclaration(this, thing) );
+            }
+            else if(thing.type === 'DecoratorSchemaDeclaration') {
+                this.decoratorSchemas.push( this.newDecoratorSchema(thing) );
+            }
             else {
                 let formatter = Globalize('en').messageFormatter('modelfile-constructor-unrecmodelelem');
 
                 throw new IllegalModelException(formatter({
                     'type': thing.type,
-                }),this);
+                }),this, thing.location);
             }
         }
 
@@ -167,6 +222,104 @@ class ModelFile {
             let localType = this.getNamespace() + '.' + classDeclaration.getName();
             this.localTypes.set(localType, this.declarations[index]);
         }
+
+        // Scalars share the type namespace with class declarations
+        this.scalarDeclarations.forEach((scalarDeclaration) => {
+            this.localTypes.set(scalarDeclaration.getFullyQualifiedName(), scalarDeclaration);
+        });
+
+        // an alias may not hide a type declared in this model file
+        Object.keys(this.importAliases).forEach((alias) => {
+            if (this.localTypes.has(`${this.getNamespace()}.${alias}`)) {
+                const importName = this.importAliases[alias];
+                throw new IllegalModelException(`Import alias ${alias} of ${importName} clashes with the declaration ${alias}`, this, this.importLocations[importName]);
+            }
+        });
+    }
+
+    /**
+     * Checks that the name by which an imported type is known in this ModelFile
+     * is not an alias already given to another imported type, and that an alias
+     * is not the name of another imported type.
+     * @param {Object} importedType - the imported type, with its fully qualified
+     * name as namespace, its optional alias and its location
+     * @throws {IllegalModelException} if the alias or the name clashes with
+     * another import
+     * @private
+     */
+    checkImportAlias(importedType) {
+        const importName = importedType.namespace;
+        const name = importedType.alias || ModelUtil.getShortName(importName);
+        const previous = this.importShortNames.get(name);
+        if (!previous || previous === importName) {
+            return;
+        }
+        if (importedType.alias && this.importAliases[name]) {
+            throw new IllegalModelException(`Duplicate import alias ${name} of ${previous} and ${importName}`, this, importedType.location);
+        } else if (importedType.alias) {
+            throw new IllegalModelException(`Import alias ${name} of ${importName} clashes with the imported type ${previous}`, this, importedType.location);
+        } else if (this.importAliases[name]) {
+            throw new IllegalModelException(`Import alias ${name} of ${previous} clashes with the imported type ${importName}`, this, this.importLocations[previous]);
+        }
+    }
+
+    /**
+     * Creates the schema of a decorator declared in this ModelFile
+     * @param {Object} thing - the AST of the decorator schema declaration
+     * @return {DecoratorSchema} the decorator schema
+     * @throws {IllegalModelException} if the schema is not valid, or declares a
+     * decorator that already has a schema in this ModelFile
+     * @private
+     */
+    newDecoratorSchema(thing) {
+        const name = thing.id.name;
+        if(this.decoratorSchemas.some((schema) => schema.getName() === name)) {
+            throw new IllegalModelException(`Duplicate decorator schema @${name}`, this, thing.location);
+        }
+        try {
+            return new DecoratorSchema(name, {
+                arguments: thing.arguments,
+                targets: thing.targets,
+                repeatable: thing.repeatable
+            });
+        }
+        catch(err) {
+            throw new IllegalModelException(err.message, this, thing.location);
+        }
+    }
+
+    /**
+     * Removes the declarations skipped by a tolerant parse from the AST, and
+     * records their syntax errors as the strict parser reports them, once the
+     * invalid declarations that precede them have been blanked out.
+     * @private
+     */
+    diagnoseInvalidDeclarations() {
+        let definitions = this.definitions;
+        this.ast.body.filter((thing) => thing.type === 'InvalidDeclaration').forEach((thing) => {
+            try {
+                parser.parse(definitions);
+            }
+            catch(err) {
+                this.diagnostics.push(new ParseException(err.message, err.location, this.fileName));
+            }
+            // line terminators are kept, so that the locations of later errors are unchanged
+            const start = thing.location.start.offset;
+            const end = thing.location.end.offset;
+            definitions = definitions.substring(0, start) +
+                definitions.substring(start, end).replace(/[^\r\n]/g, ' ') +
+                definitions.substring(end);
+        });
+        this.ast.body = this.ast.body.filter((thing) => thing.type !== 'InvalidDeclaration');
+    }
+
+    /**
+     * Returns the syntax errors of the declarations that were skipped when this
+     * ModelFile was created with the tolerant option.
+     * @return {ParseException[]} the syntax errors, in the order of the declarations
+     */
+    getDiagnostics() {
+        return this.diagnostics;
     }
 
     /**
@@ -231,7 +384,10 @@ class ModelFile {
     }
 
     /**
-     * Returns the types that have been imported into this ModelFile.
+     * Returns the types that have been imported into this ModelFile. Each of the
+     * types of an import list, such as org.acme.{Party, Address}, is returned
+     * separately, and a type imported with an alias is returned by its fully
+     * qualified name.
      *
      * @return {string[]} The array of imports for this ModelFile
      */
@@ -239,23 +395,55 @@ class ModelFile {
         return this.imports;
     }
 
+    /**
+     * Returns the aliases of the types that have been imported into this ModelFile
+     * with an alias, such as import org.vendor.Address as VendorAddress.
+     *
+     * @return {Object} keys are aliases, values are the fully qualified names of the types
+     */
+    getImportAliases() {
+        return this.importAliases;
+    }
+
+    /**
+     * Returns true if the type is the alias of a type imported from another namespace
+     * @param {string} type - the short name of the type
+     * @return {boolean} - true if the type is the alias of an imported type
+     * @private
+     */
+    isImportAlias(type) {
+        return Object.prototype.hasOwnProperty.call(this.importAliases, type);
+    }
+
     /**
      * Validates the ModelFile.
      *
-     * @throws {IllegalModelException} if the model is invalid
+     * @throws {IllegalModelException} if the model is invalid, or a ModelValidationException
+     * with all the errors if it has more than one
      * @private
      */
     validate() {
+        // Validate all of the imports and declarations, rather than stopping at the first error
+        const errors = [];
+        const collect = (validation) => {
+            try {
+                validation();
+            }
+            catch(err) {
+                errors.push(err);
+            }
+        };
+
         // Validate all of the imports to check that they reference
         // namespaces or types that actually exist.
-        this.imports.forEach((importName) => {
+        this.imports.forEach((importName) => collect(() => {
             const importNamespace = ModelUtil.getNamespace(importName);
             const modelFile = this.getModelManager().getModelFile(importNamespace);
             if (!modelFile) {
                 let formatter = Globalize.messageFormatter('modelmanager-gettype-noregisteredns');
                 throw new IllegalModelException(formatter({
                     type: importName
-                }), this);
+                }), this, this.importLocations[importName]);
             }
             if (ModelUtil.isWildcardName(importName)) {
                 // This is a wildcard import, org.acme.*
@@ -263,21 +451,32 @@ class ModelFile {
                 return;
             }
             const importShortName = ModelUtil.getShortName(importName);
-            if (!modelFile.isLocalType(importShortName)) {
+            // a decorator schema is imported like a type
+            if (!modelFile.isLocalType(importShortName) && !this.findImportedDecoratorSchema(importNamespace, importShortName)) {
                 let formatter = Globalize.messageFormatter('modelmanager-gettype-notypeinns');
                 throw new IllegalModelException(formatter({
                     type: importShortName,
                     namespace: importNamespace
-                }), this);
+                }), this, this.importLocations[importName]);
             }
-        });
+        }));
 
         // Validate all of the types in this model file.
         for(let n=0; n < this.declarations.length; n++) {
             let classDeclaration = this.declarations[n];
-            classDeclaration.validate();
+            collect(() => classDeclaration.validate());
         }
 
+        this.scalarDeclarations.forEach((scalarDeclaration) => {
+            collect(() => scalarDeclaration.validate());
+        });
+
+        if(errors.length === 1) {
+            throw errors[0];
+        }
+        else if(errors.length > 1) {
+            throw new ModelValidationException(errors);
+        }
     }
 
     /**
@@ -308,11 +507,38 @@ class ModelFile {
             }
             else {
                 // check whether type is defined in another file
-                this.getModelManager().resolveType(context,this.resolveImport(type));
+                this.getModelManager().resolveType(context, this.resolveImport(type, fileLocation), this, fileLocation);
             }
         }
     }
 
+    /**
+     * Resolves a reference to a type, such as an argument of a decorator, to
+     * the fully qualified name of the type. The reference is resolved against
+     * the imports and the declarations in the AST, so that it may be resolved
+     * while the declarations of this model file are being processed.
+     * @param {string} type - the short or fully qualified name of the type
+     * @return {string} - the fully qualified name of the type, or null if the
+     * short name is neither imported nor declared in this model file
+     * @private
+     */
+    resolveTypeReference(type) {
+        if(ModelUtil.isPrimitiveType(type)) {
+            return type;
+        }
+
+        if(this.isImportedType(type)) {
+            return this.resolveImport(type);
+        }
+
+        if(this.ast.body.some((declaration) => declaration.type !== 'DecoratorSchemaDeclaration' && declaration.id.name === type)) {
+            return this.getNamespace() + '.' + type;
+        }
+
+        // a name that is already fully qualified
+        return ModelUtil.getNamespace(type) ? type : null;
+    }
+
     /**
      * Returns true if the type is defined in this namespace.
      * @param {string} type - the short name of the type
@@ -348,11 +574,12 @@ class ModelFile {
     /**
      * Returns the FQN for a type that is imported from another namespace
      * @param {string} type - the short name of the type
+     * @param {Object} [fileLocation] - the location of the reference to the type, reported if it is not imported
      * @return {string} - the FQN of the resolved import
      * @throws {Error} - if the type is not imported
      * @private
      */
-    resolveImport(type) {
+    resolveImport(type, fileLocation) {
         if (this.importShortNames.has(type)) {
             return this.importShortNames.get(type);
         } else {
@@ -371,7 +598,7 @@ class ModelFile {
             'type': type,
             'imports': this.imports,
             'namespace': this.getNamespace()
-        }),this);
+        }),this, fileLocation);
     }
 
     /**
@@ -397,7 +624,7 @@ class ModelFile {
             if(!this.isImportedType(type)) {
                 // is the type declared locally?
                 if(!this.isLocalType(type)) {
-                    return null;
+                    return this.getExternalType(type);
                 }
                 else {
                     return this.getLocalType(type);
@@ -434,7 +661,8 @@ class ModelFile {
             if(!this.isImportedType(type)) {
                 // is the type declared locally?
                 if(!this.isLocalType(type)) {
-                    return null;
+                    const externalType = this.getExternalType(type);
+                    return externalType ? externalType.getFullyQualifiedName() : null;
                 }
                 else {
                     return this.getLocalType(type).getFullyQualifiedName();
@@ -453,10 +681,26 @@ class ModelFile {
         }
     }
 
+    /**
+     * Returns the type with a fully qualified name in another namespace, which
+     * is not imported, such as a type bound to a type parameter of a generic type.
+     * @param {string} type - the fully qualified name of the type
+     * @return {ClassDeclaration} the ClassDeclaration (or ScalarDeclaration), or null if the type does not exist
+     * @private
+     */
+    getExternalType(type) {
+        const namespace = ModelUtil.getNamespace(type);
+        if(!namespace || namespace === this.getNamespace()) {
+            return null;
+        }
+        const modelFile = this.getModelManager().getModelFile(namespace);
+        return modelFile ? modelFile.getLocalType(type) : null;
+    }
+
     /**
      * Returns the type with the specified name or null
      * @param {string} type the short OR FQN name of the type
-     * @return {ClassDeclaration} the ClassDeclaration, or null if the type does not exist
+     * @return {ClassDeclaration} the ClassDeclaration (or ScalarDeclaration), or null if the type does not exist
      */
     getLocalType(type) {
         if(!type.startsWith(this.getNamespace())) {
@@ -528,13 +772,22 @@ class ModelFile {
 
 
     /**
-     * Get the Namespace for this model file.
+     * Get the Namespace for this model file. The namespace of a versioned model
+     * file includes its version, for example org.acme.loan@1.2.0
      * @return {string} The Namespace for this model file
      */
     getNamespace() {
         return this.namespace;
     }
 
+    /**
+     * Get the semantic version of the namespace of this model file
+     * @return {string} The version of the namespace, or null if it is not versioned
+     */
+    getVersion() {
+        return ModelUtil.parseNamespace(this.namespace).version;
+    }
+
     /**
      * Get the filename for this model file. Note that this may be null.
      * @return {string} The filename for this model file
@@ -591,6 +844,109 @@ class ModelFile {
         return this.getDeclarations(EnumDeclaration);
     }
 
+    /**
+     * Get the ScalarDeclarations defined in this ModelFile
+     * @return {ScalarDeclaration[]} the ScalarDeclarations defined in the model file
+     */
+    getScalarDeclarations() {
+        return this.scalarDeclarations;
+    }
+
+    /**
+     * Get the decorator schemas declared in this ModelFile
+     * @return {DecoratorSchema[]} the decorator schemas declared in the model file
+     */
+    getDecoratorSchemas() {
+        return this.decoratorSchemas;
+    }
+
+    /**
+     * Get the schema of a decorator used in this ModelFile. Decorator schemas are
+     * resolved like types: the schema declared in this ModelFile, else the schema
+     * imported by name, org.acme.Label, or with an alias, else the schema declared
+     * in a namespace imported with a wildcard, org.acme.*, else the schema added
+     * to its ModelManager.
+     * @param {string} name - the name of the decorator, without the @
+     * @param {Object} [fileLocation] - the location of the decorator, reported if its schema is ambiguous
+     * @return {DecoratorSchema} the decorator schema, or null if the decorator has no schema
+     * @throws {IllegalModelException} if several namespaces imported with a wildcard declare the schema
+     * @private
+     */
+    getDecoratorSchema(name, fileLocation) {
+        const resolved = this.resolveDecoratorSchema(name, fileLocation);
+        return resolved ? resolved.schema : null;
+    }
+
+    /**
+     * Resolves the schema of a decorator used in this ModelFile, as getDecoratorSchema
+     * @param {string} name - the name of the decorator, without the @
+     * @param {Object} [fileLocation] - the location of the decorator, reported if its schema is ambiguous
+     * @return {Object} the schema, with the namespace that declares it as it is
+     * imported or null for a schema added to the ModelManager, or null if the
+     * decorator has no schema
+     * @throws {IllegalModelException} if several namespaces imported with a wildcard declare the schema
+     * @private
+     */
+    resolveDecoratorSchema(name, fileLocation) {
+        const declared = this.decoratorSchemas.find((schema) => schema.getName() === name);
+        if (declared) {
+            return { namespace: this.getNamespace(), schema: declared };
+        }
+
+        const importName = this.importShortNames.get(name);
+        if (importName) {
+            const schema = this.findImportedDecoratorSchema(ModelUtil.getNamespace(importName), ModelUtil.getShortName(importName));
+            if (schema) {
+                return { namespace: ModelUtil.getNamespace(importName), schema };
+            }
+        }
+
+        const namespaces = this.importWildcardNamespaces.filter((namespace) => this.findImportedDecoratorSchema(namespace, name));
+        if (namespaces.length > 1) {
+            throw new IllegalModelException(`Ambiguous decorator @${name}, whose schema is declared in the imported namespaces ${namespaces.join(', ')}`, this, fileLocation);
+        } else if (namespaces.length === 1) {
+            return { namespace: namespaces[0], schema: this.findImportedDecoratorSchema(namespaces[0], name) };
+        }
+
+        const added = this.getModelManager().getAddedDecoratorSchemas().get(name);
+        return added ? { namespace: null, schema: added } : null;
+    }
+
+    /**
+     * Returns the schema of a decorator declared in an imported namespace
+     * @param {string} namespace - the imported namespace
+     * @param {string} name - the name of the decorator, without the @
+     * @return {DecoratorSchema} the decorator schema, or null if the namespace
+     * is not registered or does not declare the schema
+     * @private
+     */
+    findImportedDecoratorSchema(namespace, name) {
+        const modelFile = this.getModelManager().getModelFile(namespace);
+        const schema = modelFile ? modelFile.getDecoratorSchemas().find((schema) => schema.getName() === name) : null;
+        return schema ? schema : null;
+    }
+
+    /**
+     * Returns true if the decorators used in this ModelFile are checked against
+     * decorator schemas, declared or imported in this ModelFile, or added to its
+     * ModelManager.
+     * @return {boolean} true if the decorators have schemas
+     * @private
+     */
+    hasDecoratorSchemas() {
+        if (this.decoratorSchemas.length > 0 || this.getModelManager().getAddedDecoratorSchemas().size > 0) {
+            return true;
+        }
+        return this.imports.some((importName) => {
+            const namespace = ModelUtil.getNamespace(importName);
+            if (ModelUtil.isWildcardName(importName)) {
+                const modelFile = this.getModelManager().getModelFile(namespace);
+                return !!modelFile && modelFile.getDecoratorSchemas().length > 0;
+            }
+            return !!this.findImportedDecoratorSchema(namespace, ModelUtil.getShortName(importName));
+        });
+    }
+
     /**
      * Get the instances of a given type in this ModelFile
      * @param {Function} type - the type of the declaration
@@ -623,6 +979,59 @@ class ModelFile {
         return this.definitions;
     }
 
+    /**
+     * Get the metamodel of this model file, a JSON object that describes its
+     * imports and declarations as data. A ModelFile may be created from its
+     * metamodel, which is an instance of the concerto.metamodel.Model concept.
+     * @return {Object} the metamodel of this model file
+     */
+    toMetamodel() {
+        return MetaModel.fromAst(this.ast);
+    }
+
+    /**
+     * Get the canonical CTO text of this model file, printed from its
+     * declarations rather than echoing its definitions: the imports are sorted,
+     * the properties are indented by two spaces, and the documentation comments,
+     * decorators, defaults and validators are kept. The comments at the start
+     * of the file, such as a license header, are kept as they are written, but
+     * the other comments are not kept, see getUnprintedComments.
+     * @return {string} the CTO text of this model file
+     */
+    toCTO() {
+        const cto = Printer.toCTO(this.toMetamodel());
+        const leading = this.getComments().filter((comment) => comment.leading);
+        if (leading.length === 0) {
+            return cto;
+        }
+
+        // keep the blank line, if any, between the leading comments and the namespace
+        const start = leading[0].location.start.offset;
+        const end = leading[leading.length - 1].location.end.offset;
+        const gap = this.definitions.substring(end, this.ast.location.start.offset);
+        return this.definitions.substring(start, end) + (/\n\s*\n/.test(gap) ? '\n\n' : '\n') + cto;
+    }
+
+    /**
+     * Get the comments of this model file that its CTO text does not keep: the
+     * comments after the start of the file that are not the documentation
+     * comment of a declaration, property or enum value.
+     * @return {Object[]} the comments, with their text as value and their location
+     */
+    getUnprintedComments() {
+        return this.getComments().filter((comment) => !comment.leading && !comment.doc);
+    }
+
+    /**
+     * Get the comments of this model file, in the order they are written. A
+     * model file created from its metamodel has no comments.
+     * @return {Object[]} the comments, with their text as value and their location
+     * @private
+     */
+    getComments() {
+        return this.ast.comments || [];
+    }
+
     /**
      * Get the expected concerto version
      * @return {string} The semver range for compatible concerto versions
@@ -0,0 +1,55 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Globalize = require('../globalize');
+const IllegalModelException = require('./illegalmodelexception');
+
+/**
+ * Exception thrown when the validation of models finds more than one error.
+ * The message lists the message of each error, and the errors themselves,
+ * with their file names and locations, are returned by getErrors. It is an
+ * IllegalModelException, so that the code that handles a single error also
+ * handles several.
+ * @extends IllegalModelException
+ * @see See {@link IllegalModelException}
+ * @class
+ * @memberof module:concerto-core
+ */
+class ModelValidationException extends IllegalModelException {
+    /**
+     * Create a ModelValidationException.
+     * @param {Error[]} errors - the errors, in the order in which they were found
+     * @param {string} [component] - the component which throws this error
+     */
+    constructor(errors, component) {
+        const formatter = Globalize.messageFormatter('modelvalidationexception-errors');
+        const message = [formatter({ count: errors.length })].concat(errors.map((error) => error.message)).join('\n');
+        super(message, null, null, component);
+        // the errors are located in their own files, so the message has no location appended to it
+        this.message = message;
+        this.errors = errors;
+    }
+
+    /**
+     * Returns the errors found by the validation.
+     * @return {Error[]} the errors, in the order in which they were found
+     */
+    getErrors() {
+        return this.errors;
+    }
+}
+
+module.exports = ModelValidationException;
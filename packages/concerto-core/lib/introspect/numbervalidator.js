@@ -15,6 +15,7 @@
 'use strict';
 
 const Validator = require('./validator');
+const NumberUtil = require('../numberutil');
 
 /**
  * A Validator to enforce that non null numeric values are between two values.
@@ -47,12 +48,12 @@ class NumberValidator extends Validator{
 
         if(this.lowerBound === null && this.upperBound === null) {
             // can't specify no upper and lower value
-            this.reportError(null, 'Invalid range, lower and-or upper bound must be specified.');
+            this.reportModelError('Invalid range, lower and-or upper bound must be specified.');
         } else if (this.lowerBound === null || this.upperBound === null) {
             // this is fine and means that we don't need to check whether upper > lower
         } else {
             if(this.lowerBound > this.upperBound) {
-                this.reportError(null, 'Lower bound must be less than or equal to upper bound.');
+                this.reportModelError('Lower bound must be less than or equal to upper bound.');
             }
         }
     }
@@ -81,16 +82,33 @@ class NumberValidator extends Validator{
      */
     validate(identifier, value) {
         if(value !== null) {
-            if(this.lowerBound !== null && value < this.lowerBound) {
+            if(this.lowerBound !== null && this.compareToBound(value, this.validator.lower) < 0) {
                 this.reportError(identifier, 'Value is outside lower bound ' + value);
             }
 
-            if(this.upperBound !== null && value > this.upperBound) {
+            if(this.upperBound !== null && this.compareToBound(value, this.validator.upper) > 0) {
                 this.reportError(identifier, 'Value is outside upper bound ' + value);
             }
         }
     }
 
+    /**
+     * Compares a value to a bound. Long values held as a BigInt and Decimal
+     * values held as a string are compared exactly with the bound declared
+     * in the model.
+     * @param {Object} value the value to compare
+     * @param {string} bound the bound, as declared in the model
+     * @return {number} a negative number if the value is less than the bound,
+     * zero if they are equal and a positive number otherwise
+     * @private
+     */
+    compareToBound(value, bound) {
+        if(typeof value === 'bigint' || typeof value === 'string') {
+            return NumberUtil.compareNumbers(value, bound);
+        }
+        return value - parseFloat(bound);
+    }
+
     /**
      * Returns a string representation
      * @return {string} the string representation
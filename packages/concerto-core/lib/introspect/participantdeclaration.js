@@ -35,6 +35,15 @@ class ParticipantDeclaration extends IdentifiedDeclaration {
         this._isParticipantDeclaration = true;
     }
 
+    /**
+     * Returns the kind of this declaration, the keyword that declares it
+     * @return {string} the kind of the declaration, participant
+     * @private
+     */
+    getKind() {
+        return 'participant';
+    }
+
     /**
      * Alternative instanceof that is reliable across different module instances
      * @see https://github.com/hyperledger/composer-concerto/issues/47
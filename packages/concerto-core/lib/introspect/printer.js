@@ -0,0 +1,364 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ModelUtil = require('../modelutil');
+
+/**
+ * The indentation of the properties of a declaration
+ * @private
+ */
+const INDENT = '  ';
+
+/**
+ * The keywords of the class declarations, by metamodel type
+ * @private
+ */
+const CLASS_KEYWORDS = {
+    ConceptDeclaration: 'concept',
+    AssetDeclaration: 'asset',
+    ParticipantDeclaration: 'participant',
+    TransactionDeclaration: 'transaction',
+    EventDeclaration: 'event'
+};
+
+/**
+ * Printer renders the metamodel of a model file as canonical CTO text: the
+ * imports are sorted, the decorator schemas are printed after the imports, the
+ * declarations keep their order and are separated by a blank line, and the
+ * properties of a declaration are indented by two spaces.
+ * The documentation comments, decorators, defaults and validators of the model
+ * are printed, but its other comments are not part of the metamodel.
+ * @private
+ * @class
+ * @memberof module:concerto-core
+ */
+class Printer {
+    /**
+     * Returns the CTO text of a model file
+     * @param {Object} metaModel - the metamodel of the model file, a concerto.metamodel.Model object
+     * @return {string} the CTO text of the model file
+     * @private
+     */
+    static toCTO(metaModel) {
+        let result = '';
+        if (metaModel.concertoVersion) {
+            result += `concerto version ${JSON.stringify(metaModel.concertoVersion)}\n`;
+        }
+        result += `namespace ${metaModel.namespace}\n`;
+
+        const imports = (metaModel.imports || []).map((imp) => Printer.printImport(imp)).sort();
+        if (imports.length > 0) {
+            result += '\n' + imports.join('\n') + '\n';
+        }
+
+        const decoratorSchemas = (metaModel.decoratorSchemas || []).map((schema) => Printer.printDecoratorSchema(schema));
+        if (decoratorSchemas.length > 0) {
+            result += '\n' + decoratorSchemas.join('');
+        }
+
+        (metaModel.declarations || []).forEach((declaration) => {
+            result += '\n' + Printer.printDeclaration(declaration);
+        });
+        return result;
+    }
+
+    /**
+     * Returns the CTO text of a decorator schema
+     * @param {Object} schema - the metamodel of the decorator schema
+     * @return {string} the decorator schema declaration, ending with a new line
+     * @private
+     */
+    static printDecoratorSchema(schema) {
+        let result = Printer.printDecorated(schema, '') + `decorator ${schema.name}(${(schema.arguments || []).join(', ')})`;
+        if (schema.targets && schema.targets.length > 0) {
+            result += ` on ${schema.targets.join(', ')}`;
+        }
+        if (schema.repeatable) {
+            result += ' repeatable';
+        }
+        return result + '\n';
+    }
+
+    /**
+     * Returns the CTO text of an import
+     * @param {Object} imp - the metamodel of the import
+     * @return {string} the import statement
+     * @private
+     */
+    static printImport(imp) {
+        let result;
+        switch (ModelUtil.getShortName(imp.$class)) {
+        case 'ImportAll':
+            result = `import ${imp.namespace}.*`;
+            break;
+        case 'ImportTypes':
+            result = `import ${imp.namespace}.{${imp.types.map((type) => Printer.printImportedType(type)).join(', ')}}`;
+            break;
+        default:
+            result = `import ${imp.namespace}.${Printer.printImportedType(imp)}`;
+        }
+        if (imp.uri) {
+            result += ` from ${imp.uri}`;
+        }
+        return result;
+    }
+
+    /**
+     * Returns the CTO text of an imported type and its alias
+     * @param {Object} type - the metamodel of the type, with a name and an optional alias
+     * @return {string} the imported type
+     * @private
+     */
+    static printImportedType(type) {
+        return type.alias ? `${type.name} as ${type.alias}` : type.name;
+    }
+
+    /**
+     * Returns the CTO text of a declaration
+     * @param {Object} declaration - the metamodel of the declaration
+     * @return {string} the declaration, ending with a new line
+     * @private
+     */
+    static printDeclaration(declaration) {
+        const type = ModelUtil.getShortName(declaration.$class);
+        let result = Printer.printDecorated(declaration, '');
+
+        if (type === 'EnumDeclaration') {
+            result += `enum ${declaration.name} {\n`;
+            declaration.values.forEach((value) => {
+                result += Printer.printDecorated(value, INDENT) + `${INDENT}o ${value.name}`;
+                if (typeof value.stringCode === 'string') {
+                    result += ` = ${JSON.stringify(value.stringCode)}`;
+                } else if (typeof value.integerCode === 'number') {
+                    result += ` = ${value.integerCode}`;
+                }
+                result += '\n';
+            });
+            return result + '}\n';
+        }
+
+        if (!CLASS_KEYWORDS[type]) {
+            // scalars are named after their primitive type, for example DoubleScalar
+            const primitiveType = type.substring(0, type.length - 'Scalar'.length);
+            return result + `scalar ${declaration.name} extends ${primitiveType}${Printer.printConstraints(declaration, primitiveType)}\n`;
+        }
+
+        if (declaration.isAbstract) {
+            result += 'abstract ';
+        }
+        result += `${CLASS_KEYWORDS[type]} ${declaration.name}`;
+        if (declaration.typeParameters && declaration.typeParameters.length > 0) {
+            result += `<${declaration.typeParameters.join(', ')}>`;
+        }
+        if (declaration.identified) {
+            if (ModelUtil.getShortName(declaration.identified.$class) === 'IdentifiedBy') {
+                result += ` identified by ${declaration.identified.fields.join(', ')}`;
+            } else {
+                result += ' identified';
+            }
+        }
+        if (declaration.superType) {
+            result += ` extends ${declaration.superType}`;
+        }
+        if (declaration.mixins && declaration.mixins.length > 0) {
+            result += ` with ${declaration.mixins.join(', ')}`;
+        }
+        result += ' {\n';
+        declaration.properties.forEach((property) => {
+            result += Printer.printDecorated(property, INDENT) + INDENT + Printer.printProperty(property) + '\n';
+        });
+        (declaration.invariants || []).forEach((invariant) => {
+            result += Printer.printDecorated(invariant, INDENT) + `${INDENT}invariant ${invariant.name}: ${invariant.expression}\n`;
+        });
+        return result + '}\n';
+    }
+
+    /**
+     * Returns the CTO text of a property, without its decorators
+     * @param {Object} property - the metamodel of the property
+     * @return {string} the property
+     * @private
+     */
+    static printProperty(property) {
+        const type = ModelUtil.getShortName(property.$class);
+        let result;
+        if (type === 'MapProperty') {
+            result = `o Map<${property.keyType}, ${property.valueType}> ${property.name}`;
+        } else {
+            let typeName;
+            if (type === 'RelationshipProperty' || type === 'ObjectProperty') {
+                typeName = property.type;
+                if (property.typeArguments && property.typeArguments.length > 0) {
+                    typeName += `<${property.typeArguments.join(', ')}>`;
+                }
+            } else {
+                // primitive properties are named after their type, for example StringProperty
+                typeName = type.substring(0, type.length - 'Property'.length);
+            }
+
+            result = `${type === 'RelationshipProperty' ? '-->' : 'o'} ${typeName}${Printer.printArray(property)} ${property.name}`;
+            if (type === 'RelationshipProperty') {
+                if (property.inverse) {
+                    result += ` inverse ${property.inverse}`;
+                }
+            } else if (type === 'ObjectProperty') {
+                if (typeof property.defaultValue === 'string') {
+                    result += ` default=${JSON.stringify(property.defaultValue)}`;
+                }
+            } else {
+                result += Printer.printConstraints(property, typeName);
+            }
+        }
+        if (property.isOptional) {
+            result += ' optional';
+        }
+        return result;
+    }
+
+    /**
+     * Returns the CTO text of the array brackets and cardinality of a property
+     * @param {Object} property - the metamodel of the property
+     * @return {string} the brackets, for example [] or [1..10], or an empty string
+     * @private
+     */
+    static printArray(property) {
+        if (!property.isArray) {
+            return '';
+        }
+        if (!property.cardinality) {
+            return '[]';
+        }
+        return `[${Printer.printBound(property.cardinality.lower)}..${Printer.printBound(property.cardinality.upper)}]`;
+    }
+
+    /**
+     * Returns the CTO text of the default value and the validators of a
+     * property or scalar of a primitive type
+     * @param {Object} element - the metamodel of the property or scalar
+     * @param {string} primitiveType - the primitive type, for example String
+     * @return {string} the default value and validators, each preceded by a space
+     * @private
+     */
+    static printConstraints(element, primitiveType) {
+        let result = '';
+        if (element.defaultValue !== undefined && element.defaultValue !== null) {
+            result += ` default=${Printer.printValue(element.defaultValue, primitiveType)}`;
+        }
+        const validator = element.validator;
+        if (validator) {
+            if (ModelUtil.getShortName(validator.$class) === 'StringRegexValidator') {
+                result += ` regex=/${validator.pattern}/${validator.flags}`;
+            } else {
+                const lower = validator.lower !== undefined && validator.lower !== null ? Printer.printValue(validator.lower, primitiveType) : '';
+                const upper = validator.upper !== undefined && validator.upper !== null ? Printer.printValue(validator.upper, primitiveType) : '';
+                result += ` range=[${lower},${upper}]`;
+            }
+        }
+        if (element.lengthValidator) {
+            result += ` length=[${Printer.printBound(element.lengthValidator.minLength)},${Printer.printBound(element.lengthValidator.maxLength)}]`;
+        }
+        if (element.scale !== undefined && element.scale !== null) {
+            result += ` scale=${element.scale}`;
+        }
+        return result;
+    }
+
+    /**
+     * Returns the CTO text of a default value or of the bound of a range
+     * @param {*} value - the value
+     * @param {string} primitiveType - the primitive type of the value
+     * @return {string} the value, with a decimal point for a Double
+     * @private
+     */
+    static printValue(value, primitiveType) {
+        switch (primitiveType) {
+        case 'Double': {
+            const text = String(value);
+            return text.includes('.') ? text : text.replace(/^(-?\d+)/, '$1.0');
+        }
+        case 'Decimal':
+        case 'Integer':
+        case 'Long':
+        case 'Boolean':
+            return String(value);
+        default:
+            return JSON.stringify(value);
+        }
+    }
+
+    /**
+     * Returns the CTO text of an optional bound of a cardinality or length
+     * @param {number} [bound] - the bound
+     * @return {string} the bound, or an empty string if it is missing
+     * @private
+     */
+    static printBound(bound) {
+        return bound !== undefined && bound !== null ? String(bound) : '';
+    }
+
+    /**
+     * Returns the CTO text of the documentation comment and the decorators of an
+     * element, each on its own line
+     * @param {Object} element - the metamodel of the element
+     * @param {string} indent - the indentation of the element
+     * @return {string} the documentation comment and decorators
+     * @private
+     */
+    static printDecorated(element, indent) {
+        let result = '';
+        if (element.docs) {
+            const lines = element.docs.split('\n');
+            // a line that starts with * would lose it in a comment on a single line
+            if (lines.length === 1 && !lines[0].startsWith('*')) {
+                result += `${indent}/** ${lines[0]} */\n`;
+            } else {
+                result += `${indent}/**\n` + lines.map((line) => `${indent} *${line ? ' ' + line : ''}\n`).join('') + `${indent} */\n`;
+            }
+        }
+        (element.decorators || []).forEach((decorator) => {
+            result += `${indent}@${decorator.name}`;
+            if (decorator.arguments) {
+                result += `(${decorator.arguments.map((argument) => Printer.printLiteral(argument)).join(', ')})`;
+            }
+            result += '\n';
+        });
+        return result;
+    }
+
+    /**
+     * Returns the CTO text of a decorator argument
+     * @param {Object} literal - the metamodel of the argument
+     * @return {string} the argument
+     * @private
+     */
+    static printLiteral(literal) {
+        switch (ModelUtil.getShortName(literal.$class)) {
+        case 'DecoratorTypeReference':
+            return literal.isArray ? `${literal.name}[]` : literal.name;
+        case 'DecoratorArray':
+            return `[${literal.values.map((value) => Printer.printLiteral(value)).join(', ')}]`;
+        case 'DecoratorObject':
+            return `{${literal.properties.map((property) => {
+                const key = /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(property.key) ? property.key : JSON.stringify(property.key);
+                return `${key}: ${Printer.printLiteral(property.value)}`;
+            }).join(', ')}}`;
+        default:
+            return JSON.stringify(literal.value);
+        }
+    }
+}
+
+module.exports = Printer;
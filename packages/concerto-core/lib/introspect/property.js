@@ -16,6 +16,8 @@
 
 const Decorated = require('./decorated');
 const ModelUtil = require('../modelutil');
+const IllegalModelException = require('./illegalmodelexception');
+const ScalarDeclaration = require('./scalardeclaration');
 
 /**
  * Property representing an attribute of a class declaration,
@@ -68,11 +70,31 @@ class Property extends Decorated {
             this.type = null;
         }
         this.array = false;
+        this.minItems = null;
+        this.maxItems = null;
 
         if(this.ast.array) {
             this.array = true;
         }
 
+        if(this.ast.cardinality) {
+            this.processCardinality(this.ast.cardinality);
+        }
+
+        if(this.ast.mapKeyType) {
+            this.mapKeyType = this.ast.mapKeyType.name;
+        }
+        else {
+            this.mapKeyType = null;
+        }
+
+        if(this.ast.typeArguments) {
+            this.typeArguments = this.ast.typeArguments.map((typeArgument) => typeArgument.name);
+        }
+        else {
+            this.typeArguments = [];
+        }
+
         if(this.ast.optional) {
             this.optional = true;
         }
@@ -81,6 +103,29 @@ class Property extends Decorated {
         }
     }
 
+    /**
+     * Process the bounds on the number of items of an array property,
+     * for example Party[1..10]
+     * @param {Object} cardinality - the AST for the bounds, defined as [min..max] (inclusive)
+     * @throws {IllegalModelException}
+     * @private
+     */
+    processCardinality(cardinality) {
+        if(cardinality.lower) {
+            this.minItems = parseInt(cardinality.lower);
+        }
+
+        if(cardinality.upper) {
+            this.maxItems = parseInt(cardinality.upper);
+        }
+
+        if(this.minItems === null && this.maxItems === null) {
+            throw new IllegalModelException(`Invalid cardinality for property ${this.name}, a minimum and-or maximum number of items must be specified.`, this.modelFile, this.ast.location);
+        } else if(this.minItems !== null && this.maxItems !== null && this.minItems > this.maxItems) {
+            throw new IllegalModelException(`Invalid cardinality for property ${this.name}, the minimum number of items must be less than or equal to the maximum number of items.`, this.modelFile, this.ast.location);
+        }
+    }
+
     /**
      * Validate the property
      * @param {ClassDeclaration} classDecl the class declaration of the property
@@ -90,11 +135,60 @@ class Property extends Decorated {
     validate(classDecl) {
         super.validate();
 
-        if(this.type) {
-            classDecl.getModelFile().resolveType( 'property ' + this.getFullyQualifiedName(), this.type);
+        // a type parameter is bound by the type arguments of the field that uses the parent class
+        if(this.type && !this.isTypeParameter()) {
+            classDecl.getModelFile().resolveType( 'property ' + this.getFullyQualifiedName(), this.type, this.ast.location);
+        }
+
+        if(this.mapKeyType) {
+            // the key type is always resolved from the model file that declares the property
+            const modelFile = this.getParent().getModelFile();
+            modelFile.resolveType( 'property ' + this.getFullyQualifiedName(), this.mapKeyType, this.ast.location);
+
+            // map keys are serialized as JSON object keys, so they must be strings, scalars
+            // that extend String or enumerated values
+            const keyType = this.isMapKeyTypeScalar() ? modelFile.getType(this.mapKeyType).getType() : this.mapKeyType;
+            if(keyType !== 'String' && !this.isMapKeyTypeEnum()) {
+                throw new IllegalModelException(`Map key type ${this.mapKeyType} of property ${this.getFullyQualifiedName()} must be String, a scalar that extends String or an enumerated type.`, modelFile, this.ast.location);
+            }
         }
     }
 
+    /**
+     * Check that the type arguments of the property match the type parameters
+     * of its generic type
+     * @param {ClassDeclaration} classDecl the class declaration of the property
+     * @throws {IllegalModelException}
+     * @private
+     */
+    validateTypeArguments(classDecl) {
+        const modelFile = classDecl.getModelFile();
+
+        // a type argument is a primitive or non-generic type, so that the type arguments bound to the type parameters are a flat map
+        const nested = (this.ast.typeArguments || []).find((typeArgument) => typeArgument.typeArguments);
+        if(nested) {
+            const typeArgument = nested.name + Property.getTypeArgumentsText(nested.typeArguments);
+            throw new IllegalModelException(`The type argument ${typeArgument} of property ${this.getFullyQualifiedName()} cannot have type arguments, nested type arguments are not supported.`, modelFile, this.ast.location);
+        }
+        const type = this.isPrimitive() ? null : modelFile.getType(this.type);
+        const typeParameters = type && !(type instanceof ScalarDeclaration) && type.isGeneric() ? type.getTypeParameters() : [];
+
+        if(typeParameters.length !== this.typeArguments.length) {
+            throw new IllegalModelException(`Type ${this.type} of property ${this.getFullyQualifiedName()} expects ${typeParameters.length} type argument(s) but has ${this.typeArguments.length}.`, modelFile, this.ast.location);
+        }
+
+        this.typeArguments.forEach((typeArgument) => {
+            if(ModelUtil.isPrimitiveType(typeArgument) || this.isTypeParameterName(typeArgument)) {
+                return;
+            }
+            modelFile.resolveType('property ' + this.getFullyQualifiedName(), typeArgument, this.ast.location);
+            const argumentType = modelFile.getType(typeArgument);
+            if(!(argumentType instanceof ScalarDeclaration) && argumentType.isGeneric()) {
+                throw new IllegalModelException(`The type argument ${typeArgument} of property ${this.getFullyQualifiedName()} cannot be a generic type.`, modelFile, this.ast.location);
+            }
+        });
+    }
+
     /**
      * Returns the name of a property
      * @return {string} the name of this field
@@ -120,14 +214,60 @@ class Property extends Decorated {
     }
 
     /**
-     * Returns the fully qualified type name of a property
-     * @return {string} the fully qualified type of this property
+     * Returns true if the property is declared with a generic type and the
+     * type arguments it is instantiated with, for example Page<Order>
+     * @return {boolean} true if the property has type arguments
+     */
+    hasTypeArguments() {
+        return this.typeArguments.length > 0;
+    }
+
+    /**
+     * Returns the type arguments of a property declared with a generic type,
+     * for example ['Order'] for Page<Order>
+     * @return {string[]} the type arguments of this property, empty if its type is not generic
      */
-    getFullyQualifiedTypeName() {
+    getTypeArguments() {
+        return this.typeArguments;
+    }
+
+    /**
+     * Returns true if the property is declared with a type parameter of its
+     * parent class, for example T in concept Page<T>
+     * @return {boolean} true if the type of the property is a type parameter
+     */
+    isTypeParameter() {
+        return this.isTypeParameterName(this.type);
+    }
+
+    /**
+     * Returns true if a name is the name of a type parameter of the parent class
+     * @param {string} name - the name of a type
+     * @return {boolean} true if the name is a type parameter of the parent class
+     * @private
+     */
+    isTypeParameterName(name) {
+        const parent = this.getParent();
+        return parent !== null && parent.isGeneric() === true && parent.getTypeParameters().includes(name);
+    }
+
+    /**
+     * Returns the fully qualified type name of a property. The type of a property
+     * declared with a type parameter is the type bound to that parameter.
+     * @param {Object} [typeArguments] - the fully qualified names of the types bound to
+     * the type parameters of the parent class, keyed by type parameter
+     * @return {string} the fully qualified type of this property, or the name of the
+     * type parameter if no type is bound to it
+     */
+    getFullyQualifiedTypeName(typeArguments) {
         if(this.isPrimitive()) {
             return this.type;
         }
 
+        if(this.isTypeParameter()) {
+            return typeArguments && typeArguments[this.type] ? typeArguments[this.type] : this.type;
+        }
+
         const parent = this.getParent();
         if(!parent) {
             throw new Error('Property ' + this.name + ' does not have a parent.');
@@ -145,6 +285,38 @@ class Property extends Decorated {
         return result;
     }
 
+    /**
+     * Returns the types bound to the type parameters of the generic type of a
+     * property, for example { T: 'org.acme.Order' } for Page<Order>. A type argument
+     * that is a type parameter of the parent class is substituted with the type bound to it.
+     * @param {Object} [typeArguments] - the fully qualified names of the types bound to
+     * the type parameters of the parent class, keyed by type parameter
+     * @return {Object} the fully qualified names of the type arguments keyed by type
+     * parameter, or null if the type of the property is not generic
+     */
+    getFullyQualifiedTypeArguments(typeArguments) {
+        if(!this.hasTypeArguments()) {
+            return null;
+        }
+
+        const modelFile = this.getParent().getModelFile();
+        const typeParameters = modelFile.getType(this.type).getTypeParameters();
+        const result = {};
+        typeParameters.forEach((typeParameter, index) => {
+            const typeArgument = this.typeArguments[index];
+            if(this.isTypeParameterName(typeArgument)) {
+                result[typeParameter] = typeArguments && typeArguments[typeArgument] ? typeArguments[typeArgument] : typeArgument;
+            }
+            else if(ModelUtil.isPrimitiveType(typeArgument)) {
+                result[typeParameter] = typeArgument;
+            }
+            else {
+                result[typeParameter] = modelFile.getFullyQualifiedTypeName(typeArgument);
+            }
+        });
+        return result;
+    }
+
     /**
      * Returns the fully name of a property (ns + class name + property name)
      * @return {string} the fully qualified name of this property
@@ -169,13 +341,84 @@ class Property extends Decorated {
         return this.array;
     }
 
+    /**
+     * Returns the minimum number of items of an array property,
+     * for example 1 for Party[1..10]
+     * @return {number} the minimum number of items or null if not specified
+     */
+    getMinItems() {
+        return this.minItems;
+    }
+
+    /**
+     * Returns the maximum number of items of an array property,
+     * for example 10 for Party[1..10]
+     * @return {number} the maximum number of items or null if not specified
+     */
+    getMaxItems() {
+        return this.maxItems;
+    }
+
+
+    /**
+     * Returns true if the field is declared as a map, for example Map<String, Rate>.
+     * The type of the property is the type of the values of the map.
+     * @return {boolean} true if the property is a map
+     */
+    isMap() {
+        return this.mapKeyType !== null;
+    }
+
+    /**
+     * Returns the type of the keys of a map property
+     * @return {string} the key type of this map property, or null if the property is not a map
+     */
+    getMapKeyType() {
+        return this.mapKeyType;
+    }
+
+    /**
+     * Returns the fully qualified type name of the keys of a map property
+     * @return {string} the fully qualified key type of this map property, or null if the property is not a map
+     */
+    getFullyQualifiedMapKeyTypeName() {
+        if(!this.isMap() || ModelUtil.isPrimitiveType(this.mapKeyType)) {
+            return this.mapKeyType;
+        }
+        return this.getParent().getModelFile().getFullyQualifiedTypeName(this.mapKeyType);
+    }
+
+    /**
+     * Returns true if the field is declared as a map whose keys are enumerated values
+     * @return {boolean} true if the property is a map keyed by an enumerated type
+     */
+    isMapKeyTypeEnum() {
+        if(!this.isMap() || ModelUtil.isPrimitiveType(this.mapKeyType)) {
+            return false;
+        }
+        const type = this.getParent().getModelFile().getType(this.mapKeyType);
+        return type.isEnum();
+    }
+
+    /**
+     * Returns true if the field is declared as a map whose keys are of a named
+     * scalar type, for example Map<Sku, Integer> with scalar Sku extends String
+     * @return {boolean} true if the property is a map keyed by a scalar type
+     */
+    isMapKeyTypeScalar() {
+        if(!this.isMap() || ModelUtil.isPrimitiveType(this.mapKeyType)) {
+            return false;
+        }
+        const type = this.getParent().getModelFile().getType(this.mapKeyType);
+        return type instanceof ScalarDeclaration;
+    }
 
     /**
      * Returns true if the field is declared as an enumerated value
      * @return {boolean} true if the property is an enumerated value
      */
     isTypeEnum() {
-        if(this.isPrimitive()) {
+        if(this.isPrimitive() || this.isTypeParameter()) {
             return false;
         }
         else {
@@ -184,6 +427,35 @@ class Property extends Decorated {
         }
     }
 
+    /**
+     * Returns true if the field is declared with a named scalar type,
+     * for example: scalar Email extends String
+     * @return {boolean} true if the property is a scalar
+     */
+    isTypeScalar() {
+        if(this.isPrimitive() || this.isTypeParameter()) {
+            return false;
+        }
+        else {
+            const type = this.getParent().getModelFile().getType(this.getType());
+            return type instanceof ScalarDeclaration;
+        }
+    }
+
+    /**
+     * Returns true if the type of the property is the alias of an imported type,
+     * for example: import org.vendor.Address as VendorAddress
+     * @return {boolean} true if the type of the property is an alias
+     */
+    isTypeAliased() {
+        if(this.isPrimitive() || this.isTypeParameter()) {
+            return false;
+        }
+        else {
+            return this.getParent().getModelFile().isImportAlias(this.getType());
+        }
+    }
+
     /**
      * Returns true if this property is a primitive type.
      * @return {boolean} true if the property is a primitive type.
@@ -192,6 +464,35 @@ class Property extends Decorated {
         return ModelUtil.isPrimitiveType(this.getType());
     }
 
+    /**
+     * Returns true if another property has the same definition as this property,
+     * the same kind, name, type, modifiers, validators, default value and
+     * decorators. Their documentation and locations are not compared.
+     * @param {Property} other - the other property
+     * @return {boolean} true if the two properties have the same definition
+     * @private
+     */
+    hasSameDefinition(other) {
+        const definition = (property) => JSON.stringify(property.ast, (key, value) => key === 'location' || key === 'docs' ? undefined : value);
+        if (this.constructor !== other.constructor || definition(this) !== definition(other)) {
+            return false;
+        }
+        // the same type names only denote the same types in the same namespace
+        return this.getNamespace() === other.getNamespace() ||
+            (this.getFullyQualifiedTypeName() === other.getFullyQualifiedTypeName() &&
+            this.getFullyQualifiedMapKeyTypeName() === other.getFullyQualifiedMapKeyTypeName());
+    }
+
+    /**
+     * Returns the text of the type arguments of a type, as they are declared
+     * @param {Object[]} typeArguments - the AST of the type arguments
+     * @return {string} the type arguments, for example <String, List<Order>>
+     * @private
+     */
+    static getTypeArgumentsText(typeArguments) {
+        return `<${typeArguments.map((typeArgument) => typeArgument.name + (typeArgument.typeArguments ? Property.getTypeArgumentsText(typeArgument.typeArguments) : '')).join(', ')}>`;
+    }
+
     /**
      * Alternative instanceof that is reliable across different module instances
      * @see https://github.com/hyperledger/composer-concerto/issues/47
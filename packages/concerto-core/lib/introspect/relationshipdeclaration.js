@@ -16,10 +16,13 @@
 
 const Property = require('./property');
 const IllegalModelException = require('./illegalmodelexception');
+const ScalarDeclaration = require('./scalardeclaration');
 const ModelUtil = require('../modelutil');
 
 /**
- * Class representing a relationship between model elements
+ * Class representing a relationship between model elements. A relationship
+ * may declare its inverse, the relationship of the other type that refers back
+ * to it, for example --> Customer customer inverse orders.
  * @extends Property
  * @see See  {@link Property}
  *
@@ -35,6 +38,7 @@ class RelationshipDeclaration extends Property {
      */
     constructor(parent, ast) {
         super(parent, ast);
+        this.inverse = ast.inverse ? ast.inverse.name : null;
         this._isRelationshipDeclaration = true;
     }
 
@@ -56,6 +60,8 @@ class RelationshipDeclaration extends Property {
         // you can't have a relationship with a primitive...
         if(ModelUtil.isPrimitiveType(this.getType())) {
             throw new IllegalModelException('Relationship ' + this.getName() + ' cannot be to the primitive type ' + this.getType(), classDecl.getModelFile(), this.ast.location );
+        } else if(this.isTypeParameter()) {
+            throw new IllegalModelException('Relationship ' + this.getName() + ' cannot be to the type parameter ' + this.getType(), classDecl.getModelFile(), this.ast.location );
         } else {
             let namespace = this.getParent().getNamespace();
 
@@ -77,20 +83,88 @@ class RelationshipDeclaration extends Property {
                 throw new IllegalModelException('Relationship ' + this.getName() + ' points to a missing type ' + this.getFullyQualifiedTypeName(), classDecl.getModelFile(), this.ast.location);
             }
 
+            if (classDeclaration instanceof ScalarDeclaration) {
+                throw new IllegalModelException('Relationship ' + this.getName() + ' cannot be to the scalar type ' + this.getFullyQualifiedTypeName(), classDecl.getModelFile(), this.ast.location);
+            }
+
             if (classDeclaration.isIdentified()) {
                 // Relationship to a class with an identifier continue
             } else {
                 throw new IllegalModelException('Relationship ' + this.getName() + ' must be to a class that has an identifier, but this is to ' + this.getFullyQualifiedTypeName(), classDecl.getModelFile(), this.ast.location);
             }
+
+            if (this.inverse) {
+                this.validateInverse(classDecl, classDeclaration);
+            }
+        }
+    }
+
+    /**
+     * Validate the inverse of the relationship: it must be a relationship of the
+     * type this relationship is to, that refers back to the class of this relationship
+     * @param {ClassDeclaration} classDecl the class declaration of the property
+     * @param {ClassDeclaration} classDeclaration the class declaration of the type of the relationship
+     * @throws {IllegalModelException}
+     * @private
+     */
+    validateInverse(classDecl, classDeclaration) {
+        const prefix = 'Relationship ' + this.getName() + ' declares the inverse ' + this.inverse + ', but ';
+        const inverse = classDeclaration.getProperty(this.inverse);
+        if (!(inverse instanceof RelationshipDeclaration)) {
+            throw new IllegalModelException(prefix + classDeclaration.getFullyQualifiedName() + ' does not have a relationship ' + this.inverse, classDecl.getModelFile(), this.ast.location);
+        }
+        if (!ModelUtil.isAssignableTo(this.getParent().getModelFile(), this.getParent().getFullyQualifiedName(), inverse)) {
+            throw new IllegalModelException(prefix + 'it is to ' + inverse.getFullyQualifiedTypeName() + ' instead of ' + this.getParent().getFullyQualifiedName(), classDecl.getModelFile(), this.ast.location);
+        }
+        if (inverse.getInverse() && inverse.getInverse() !== this.getName()) {
+            throw new IllegalModelException(prefix + 'it declares the inverse ' + inverse.getInverse(), classDecl.getModelFile(), this.ast.location);
         }
     }
 
+    /**
+     * Returns the name of the inverse relationship declared by this relationship
+     * @return {string} the name of the relationship of the other type that refers back
+     * to this relationship, or null if this relationship does not declare an inverse
+     */
+    getInverse() {
+        return this.inverse;
+    }
+
+    /**
+     * Returns the inverse of this relationship, whether it is declared by this
+     * relationship or by the inverse relationship
+     * @return {RelationshipDeclaration} the relationship of the other type that refers
+     * back to this relationship, or null if it does not have an inverse
+     */
+    getInverseDeclaration() {
+        const classDeclaration = this.getParent().getModelFile().getType(this.getType());
+        if (this.inverse) {
+            return classDeclaration.getProperty(this.inverse);
+        }
+        const inverse = classDeclaration.getProperties().find((property) =>
+            property instanceof RelationshipDeclaration && property.getInverse() === this.getName() && property.getInverseDeclaration() === this);
+        return inverse ? inverse : null;
+    }
+
+    /**
+     * Returns the cardinality of this relationship: whether one or many instances of
+     * its class refer to the same instance, and whether it refers to one or many
+     * instances. Without an inverse, many instances may refer to the same instance.
+     * @return {string} one of one-to-one, one-to-many, many-to-one or many-to-many
+     */
+    getCardinality() {
+        const inverse = this.getInverseDeclaration();
+        const source = inverse && !inverse.isArray() ? 'one' : 'many';
+        const target = this.isArray() ? 'many' : 'one';
+        return source + '-to-' + target;
+    }
+
     /**
      * Returns a string representation of this property
      * @return {String} the string version of the property.
      */
     toString() {
-        return 'RelationshipDeclaration {name=' + this.name + ', type=' + this.getFullyQualifiedTypeName() + ', array=' + this.array + ', optional=' + this.optional +'}';
+        return 'RelationshipDeclaration {name=' + this.name + ', type=' + this.getFullyQualifiedTypeName() + ', array=' + this.array + ', optional=' + this.optional + (this.inverse ? ', inverse=' + this.inverse : '') + '}';
     }
 
     /**
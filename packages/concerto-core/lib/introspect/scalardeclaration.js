@@ -0,0 +1,243 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Decorated = require('./decorated');
+const IllegalModelException = require('./illegalmodelexception');
+const ModelUtil = require('../modelutil');
+const NumberUtil = require('../numberutil');
+const NumberValidator = require('./numbervalidator');
+const StringValidator = require('./stringvalidator');
+const StringLengthValidator = require('./stringlengthvalidator');
+
+/**
+ * ScalarDeclaration defines a named, reusable primitive type, optionally
+ * constrained by a validator and a default value. For example:
+ * scalar Email extends String regex=/.+@.+/
+ *
+ * @class
+ * @memberof module:concerto-core
+ */
+class ScalarDeclaration extends Decorated {
+    /**
+     * Create a ScalarDeclaration from an Abstract Syntax Tree. The AST is the
+     * result of parsing.
+     *
+     * @param {ModelFile} modelFile - the ModelFile for this scalar
+     * @param {Object} ast - the AST created by the parser
+     * @throws {IllegalModelException}
+     */
+    constructor(modelFile, ast) {
+        super(modelFile, ast);
+        this.process();
+        this._isScalarDeclaration = true;
+    }
+
+    /**
+     * Process the AST and build the model
+     *
+     * @throws {IllegalModelException}
+     * @private
+     */
+    process() {
+        super.process();
+
+        this.name = this.ast.id.name;
+        this.type = this.ast.propertyType.name;
+        this.fqn = ModelUtil.getFullyQualifiedName(this.modelFile.getNamespace(), this.name);
+        this.validator = null;
+        this.lengthValidator = null;
+        this.scale = null;
+
+        switch(this.type) {
+        case 'Integer':
+        case 'Double':
+        case 'Long':
+        case 'Decimal':
+            if(this.ast.range) {
+                this.validator = new NumberValidator(this, this.ast.range);
+            }
+            break;
+        case 'String':
+            if(this.ast.regex) {
+                this.validator = new StringValidator(this, this.ast.regex);
+            }
+            if(this.ast.length) {
+                this.lengthValidator = new StringLengthValidator(this, this.ast.length);
+            }
+            break;
+        }
+
+        if(this.ast.default) {
+            this.defaultValue = this.ast.default;
+        } else {
+            this.defaultValue = null;
+        }
+
+        // only a Decimal has a fixed scale, which its default value must fit
+        if(this.ast.scale) {
+            if(this.type !== 'Decimal') {
+                throw new IllegalModelException(`The scalar ${this.fqn} of type ${this.type} cannot declare a scale`, this.getModelFile(), this.ast.scale.location);
+            }
+            this.scale = parseInt(this.ast.scale.value);
+        }
+        if(this.scale !== null && this.defaultValue && NumberUtil.toScale(this.defaultValue, this.scale) === null) {
+            throw new IllegalModelException(`The default value ${this.defaultValue} of scalar ${this.fqn} has more than ${this.scale} decimal places`, this.getModelFile(), this.ast.location);
+        }
+    }
+
+    /**
+     * Semantic validation of the structure of this scalar.
+     *
+     * @throws {IllegalModelException}
+     * @private
+     */
+    validate() {
+        super.validate();
+
+        // a scalar with the same name as an earlier scalar reports the duplicate
+        const scalarDeclarations = this.getModelFile().getScalarDeclarations();
+        const declarations = this.getModelFile().getAllDeclarations().concat(scalarDeclarations.slice(0, scalarDeclarations.indexOf(this)));
+        const duplicate = declarations.find((declaration) => declaration.getName() === this.name);
+        if (duplicate) {
+            throw new IllegalModelException(`Duplicate class name ${this.name}`, this.modelFile, this.ast.location);
+        }
+    }
+
+    /**
+     * Returns the short name of a scalar. This name does not include the
+     * namespace from the owning ModelFile.
+     *
+     * @return {string} the short name of this scalar
+     */
+    getName() {
+        return this.name;
+    }
+
+    /**
+     * Return the namespace of this scalar.
+     * @return {string} namespace - a namespace.
+     */
+    getNamespace() {
+        return this.modelFile.getNamespace();
+    }
+
+    /**
+     * Returns the fully qualified name of this scalar.
+     * The name will include the namespace if present.
+     *
+     * @return {string} the fully-qualified name of this scalar
+     */
+    getFullyQualifiedName() {
+        return this.fqn;
+    }
+
+    /**
+     * Returns the primitive type that this scalar extends
+     * @return {string} the primitive type of this scalar
+     */
+    getType() {
+        return this.type;
+    }
+
+    /**
+     * Returns the validator for this scalar
+     * @return {Validator} the validator for the scalar or null
+     */
+    getValidator() {
+        return this.validator;
+    }
+
+    /**
+     * Returns the length validator for a String scalar
+     * @return {StringLengthValidator} the length validator for the scalar or null
+     */
+    getLengthValidator() {
+        return this.lengthValidator;
+    }
+
+    /**
+     * Returns the scale of a Decimal scalar, the number of fractional digits of its values
+     * @return {number} the scale of the scalar or null
+     */
+    getScale() {
+        return this.scale;
+    }
+
+    /**
+     * Returns the default value for the scalar or null
+     * @return {string} the default value for the scalar or null
+     */
+    getDefaultValue() {
+        return this.defaultValue;
+    }
+
+    /**
+     * Returns true if this declaration is an enumeration.
+     *
+     * @return {boolean} false, a scalar is never an enumerated type
+     */
+    isEnum() {
+        return false;
+    }
+
+    /**
+     * Returns true if this declaration is the definition of a concept.
+     *
+     * @return {boolean} false, a scalar is never a concept
+     */
+    isConcept() {
+        return false;
+    }
+
+    /**
+     * Returns the kind of this declaration, the keyword that declares it
+     * @return {string} the kind of the declaration, scalar
+     * @private
+     */
+    getKind() {
+        return 'scalar';
+    }
+
+    /**
+     * Returns the kind and the name of this declaration, for the messages of errors
+     * @return {string} the kind and the name, for example Scalar (Email)
+     * @private
+     */
+    getKindAndName() {
+        return `Scalar (${this.getName()})`;
+    }
+
+    /**
+     * Returns the string representation of this scalar
+     * @return {String} the string representation of the scalar
+     */
+    toString() {
+        return 'ScalarDeclaration {id=' + this.getFullyQualifiedName() + ', type=' + this.type + '}';
+    }
+
+    /**
+     * Alternative instanceof that is reliable across different module instances
+     * @see https://github.com/hyperledger/composer-concerto/issues/47
+     *
+     * @param {object} object - The object to test against
+     * @returns {boolean} - True, if the object is an instance of a ScalarDeclaration
+     */
+    static [Symbol.hasInstance](object){
+        return typeof object !== 'undefined' && object !== null && Boolean(object._isScalarDeclaration);
+    }
+}
+
+module.exports = ScalarDeclaration;
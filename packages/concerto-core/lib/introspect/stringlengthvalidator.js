@@ -0,0 +1,108 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Validator = require('./validator');
+
+/**
+ * A Validator to enforce that the length of non null string values is between two values.
+ * @private
+ * @class
+ * @memberof module:concerto-core
+ */
+class StringLengthValidator extends Validator{
+
+    /**
+     * Create a StringLengthValidator.
+     * @param {Field} field - the field this validator is attached to
+     * @param {Object} ast - The ast for the length defined as [min,max] (inclusive).
+     *
+     * @throws {IllegalModelException}
+     */
+    constructor(field, ast) {
+        super(field, ast);
+
+        this.minLength = null;
+        this.maxLength = null;
+
+        if(ast.lower) {
+            this.minLength = parseInt(ast.lower);
+        }
+
+        if(ast.upper) {
+            this.maxLength = parseInt(ast.upper);
+        }
+
+        if(this.minLength === null && this.maxLength === null) {
+            // can't specify no minimum and maximum length
+            this.reportModelError('Invalid length, minimum and-or maximum length must be specified.');
+        } else if(this.minLength !== null && this.maxLength !== null && this.minLength > this.maxLength) {
+            this.reportModelError('Minimum length must be less than or equal to maximum length.');
+        }
+    }
+
+    /**
+     * Returns the minimum length for this validator, or null if not specified
+     * @returns {number} the minimum length or null
+     */
+    getMinLength() {
+        return this.minLength;
+    }
+
+    /**
+     * Returns the maximum length for this validator, or null if not specified
+     * @returns {number} the maximum length or null
+     */
+    getMaxLength() {
+        return this.maxLength;
+    }
+
+    /**
+     * Returns true if the length of the value is within the bounds of this validator
+     * @param {string} value the value to test
+     * @returns {boolean} true if the value has a valid length
+     */
+    isValidLength(value) {
+        if(value === null) {
+            return true;
+        }
+        return (this.minLength === null || value.length >= this.minLength) &&
+            (this.maxLength === null || value.length <= this.maxLength);
+    }
+
+    /**
+     * Validate the property
+     * @param {string} identifier the identifier of the instance being validated
+     * @param {Object} value the value to validate
+     * @throws {IllegalModelException}
+     * @private
+     */
+    validate(identifier, value) {
+        if(!this.isValidLength(value)) {
+            this.reportError(identifier, 'Value \'' + value + '\' has a length outside the bounds ' + this.toString());
+        }
+    }
+
+    /**
+     * Returns a string representation
+     * @return {string} the string representation
+     * @private
+     */
+    toString() {
+        return 'StringLengthValidator min: ' + this.minLength + ' max: ' + this.maxLength;
+    }
+}
+
+module.exports = StringLengthValidator;
@@ -39,7 +39,7 @@ class StringValidator extends Validator{
             this.regex = new RegExp(validator.substring(1,validator.length-1));
         }
         catch(exception) {
-            this.reportError(exception.message);
+            this.reportModelError(exception.message);
         }
     }
 
@@ -35,6 +35,15 @@ class TransactionDeclaration extends IdentifiedDeclaration {
         this._isTransactionDeclaration = true;
     }
 
+    /**
+     * Returns the kind of this declaration, the keyword that declares it
+     * @return {string} the kind of the declaration, transaction
+     * @private
+     */
+    getKind() {
+        return 'transaction';
+    }
+
     /**
      * Alternative instanceof that is reliable across different module instances
      * @see https://github.com/hyperledger/composer-concerto/issues/47
@@ -14,6 +14,8 @@
 
 'use strict';
 
+const IllegalModelException = require('./illegalmodelexception');
+
 /**
  * An Abstract field validator. Extend this class and override the
  * validate method.
@@ -44,6 +46,19 @@ class Validator {
         throw new Error( 'Validator error for field ' + id + ' ' + this.getField().getFullyQualifiedName() + ': ' + msg );
     }
 
+    /**
+     * Reports an error in the definition of the validator in its model file,
+     * located at the validator, or at its field if the validator has no location
+     * @param {string} msg the exception message
+     * @throws {IllegalModelException} throws an exception to report the message
+     * @private
+     */
+    reportModelError(msg) {
+        const field = this.getField();
+        const location = this.validator && this.validator.location ? this.validator.location : field.ast && field.ast.location;
+        throw new IllegalModelException('Validator error for field ' + field.getFullyQualifiedName() + ': ' + msg, field.getModelFile(), location);
+    }
+
     /**
      * Visitor design pattern
      * @param {Object} visitor - the visitor
@@ -0,0 +1,198 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ClassDeclaration = require('./introspect/classdeclaration');
+const EnumValueDeclaration = require('./introspect/enumvaluedeclaration');
+const ModelFile = require('./introspect/modelfile');
+const ModelManager = require('./modelmanager');
+const Property = require('./introspect/property');
+const ScalarDeclaration = require('./introspect/scalardeclaration');
+const rules = require('./linter/rules');
+
+/**
+ * The severities of the findings of a rule
+ * @private
+ */
+const SEVERITIES = ['error', 'warning', 'info', 'off'];
+
+/**
+ * Linter checks the model files of a model manager against a set of rules,
+ * for example that property names are camelCase or that imports are used.
+ * The linter is a visitor of the model manager, which calls the rules for
+ * each model file, declaration, property and enum value.
+ *
+ * A rule is an object with an id, a description, a default severity (error,
+ * warning, info or off) and one or more of the functions modelFile,
+ * declaration, property and enumValue, which are called with the element and
+ * a context. The context has the model file of the element and a
+ * report(element, message, [location]) function that adds a finding for the
+ * element, located at the location of the element in its model file unless
+ * another location is given.
+ *
+ * Each finding has the id of its rule, its severity, a message, the
+ * namespace and file name of its model file, the name of the element and
+ * the location of the element, with the line and column of its start and end.
+ * @class
+ * @memberof module:concerto-core
+ */
+class Linter {
+    /**
+     * Create a Linter with the default rules
+     * @param {Object} [options] - the options of the linter
+     * @param {Object} [options.rules] - the severity of the rules, keyed by rule id,
+     * for example { 'require-descriptions': 'off' }
+     * @throws {Error} if a severity is not error, warning, info or off
+     */
+    constructor(options) {
+        this.rules = [];
+        this.severities = Object.assign({}, options && options.rules);
+        Object.keys(this.severities).forEach((id) => Linter.checkSeverity(id, this.severities[id]));
+        rules.forEach((rule) => this.addRule(rule));
+    }
+
+    /**
+     * Adds a rule to the linter
+     * @param {Object} rule - the rule, with an id, a description, a default
+     * severity and the functions that check the elements of the models
+     * @throws {Error} if the linter already has a rule with the same id
+     */
+    addRule(rule) {
+        if (this.rules.some((existing) => existing.id === rule.id)) {
+            throw new Error(`Duplicate lint rule ${rule.id}`);
+        }
+        Linter.checkSeverity(rule.id, rule.severity);
+        this.rules.push(rule);
+    }
+
+    /**
+     * Returns the rules of the linter
+     * @return {Object[]} the rules, each with its id, description and configured severity
+     */
+    getRules() {
+        return this.rules.map((rule) => ({
+            id: rule.id,
+            description: rule.description,
+            severity: this.getSeverity(rule)
+        }));
+    }
+
+    /**
+     * Checks the model files of a model manager. The external model files,
+     * which are downloaded from their URIs, are not checked.
+     * @param {ModelManager} modelManager - the model manager
+     * @return {Object[]} the findings, in the order of the model files and of their elements
+     * @throws {Error} if a severity is configured for a rule that the linter does not have
+     */
+    lint(modelManager) {
+        Object.keys(this.severities).forEach((id) => {
+            if (!this.rules.some((rule) => rule.id === id)) {
+                throw new Error(`Unknown lint rule ${id}`);
+            }
+        });
+        const parameters = { findings: [] };
+        modelManager.accept(this, parameters);
+        return parameters.findings;
+    }
+
+    /**
+     * Visitor design pattern
+     * @param {Object} thing - the object being visited
+     * @param {Object} parameters - the parameter
+     * @private
+     */
+    visit(thing, parameters) {
+        if (thing instanceof ModelManager) {
+            thing.getModelFiles().filter((modelFile) => !modelFile.isExternal()).forEach((modelFile) => {
+                modelFile.accept(this, parameters);
+            });
+        } else if (thing instanceof ModelFile) {
+            this.check('modelFile', thing, thing, parameters);
+            thing.getAllDeclarations().concat(thing.getScalarDeclarations()).forEach((declaration) => {
+                declaration.accept(this, parameters);
+            });
+        } else if (thing instanceof ScalarDeclaration) {
+            this.check('declaration', thing, thing.getModelFile(), parameters);
+        } else if (thing instanceof ClassDeclaration) {
+            this.check('declaration', thing, thing.getModelFile(), parameters);
+            thing.getOwnProperties().filter((property) => !property.getName().startsWith('$')).forEach((property) => {
+                property.accept(this, parameters);
+            });
+        } else if (thing instanceof EnumValueDeclaration) {
+            this.check('enumValue', thing, thing.getParent().getModelFile(), parameters);
+        } else if (thing instanceof Property) {
+            this.check('property', thing, thing.getParent().getModelFile(), parameters);
+        } else {
+            throw new Error('Unrecognised ' + JSON.stringify(thing));
+        }
+    }
+
+    /**
+     * Calls the rules that check a kind of element
+     * @param {string} kind - the kind of element, modelFile, declaration, property or enumValue
+     * @param {Object} element - the element
+     * @param {ModelFile} modelFile - the model file of the element
+     * @param {Object} parameters - the parameters of the visitor, with the findings
+     * @private
+     */
+    check(kind, element, modelFile, parameters) {
+        this.rules.filter((rule) => typeof rule[kind] === 'function' && this.getSeverity(rule) !== 'off').forEach((rule) => {
+            const context = {
+                modelFile: modelFile,
+                report: (target, message, location) => {
+                    const isModelFile = target instanceof ModelFile;
+                    if (!location) {
+                        location = !isModelFile && target.ast && target.ast.location ? target.ast.location : null;
+                    }
+                    parameters.findings.push({
+                        rule: rule.id,
+                        severity: this.getSeverity(rule),
+                        message: message,
+                        namespace: modelFile.getNamespace(),
+                        fileName: modelFile.getName() || null,
+                        element: isModelFile ? target.getNamespace() : target.getFullyQualifiedName(),
+                        location: location
+                    });
+                }
+            };
+            rule[kind](element, context);
+        });
+    }
+
+    /**
+     * Returns the configured severity of a rule
+     * @param {Object} rule - the rule
+     * @return {string} the severity of the rule
+     * @private
+     */
+    getSeverity(rule) {
+        return this.severities[rule.id] || rule.severity;
+    }
+
+    /**
+     * Checks that a severity is error, warning, info or off
+     * @param {string} id - the id of the rule
+     * @param {string} severity - the severity
+     * @throws {Error} if the severity is not error, warning, info or off
+     * @private
+     */
+    static checkSeverity(id, severity) {
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Invalid severity ${severity} for lint rule ${id}, expected one of ${SEVERITIES.join(', ')}`);
+        }
+    }
+}
+
+module.exports = Linter;
@@ -0,0 +1,132 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ModelUtil = require('../modelutil');
+
+/**
+ * Adds the fully qualified names of the decorator schemas of the decorators of
+ * a declaration or property, and of the types referenced by their arguments
+ * @param {Decorated} decorated - the declaration or property
+ * @param {Set} used - the fully qualified names of the used types
+ * @private
+ */
+function addDecoratorTypes(decorated, used) {
+    const addArgument = (argument) => {
+        if (Array.isArray(argument)) {
+            argument.forEach(addArgument);
+        } else if (argument && typeof argument === 'object') {
+            if (argument.fullyQualifiedName) {
+                used.add(argument.fullyQualifiedName);
+            } else {
+                Object.keys(argument).forEach((key) => addArgument(argument[key]));
+            }
+        }
+    };
+    decorated.getDecorators().forEach((decorator) => {
+        const resolved = decorated.getModelFile().resolveDecoratorSchema(decorator.getName());
+        if (resolved && resolved.namespace) {
+            used.add(`${resolved.namespace}.${resolved.schema.getName()}`);
+        }
+        decorator.getArguments().forEach(addArgument);
+    });
+}
+
+/**
+ * Returns the fully qualified names of the types used by the declarations of a model file
+ * @param {ModelFile} modelFile - the model file
+ * @return {Set} the fully qualified names of the used types
+ * @private
+ */
+function getUsedTypes(modelFile) {
+    const used = new Set();
+    modelFile.getScalarDeclarations().forEach((scalar) => addDecoratorTypes(scalar, used));
+    modelFile.getAllDeclarations().forEach((declaration) => {
+        addDecoratorTypes(declaration, used);
+        used.add(declaration.getSuperType());
+        declaration.getMixins().forEach((mixin) => used.add(mixin));
+        declaration.getOwnProperties().forEach((property) => {
+            addDecoratorTypes(property, used);
+            if (declaration.isEnum()) {
+                return;
+            }
+            used.add(property.getFullyQualifiedTypeName());
+            const typeArguments = property.getFullyQualifiedTypeArguments();
+            if (typeArguments) {
+                Object.keys(typeArguments).forEach((typeParameter) => used.add(typeArguments[typeParameter]));
+            }
+            if (property.isMap()) {
+                used.add(property.getFullyQualifiedMapKeyTypeName());
+            }
+        });
+    });
+    return used;
+}
+
+/**
+ * The default rules of the linter
+ * @private
+ */
+module.exports = [{
+    id: 'camel-case-properties',
+    description: 'The names of fields and relationships are camelCase',
+    severity: 'warning',
+    property: (property, context) => {
+        if (!/^[a-z][a-zA-Z0-9]*$/.test(property.getName())) {
+            context.report(property, `The property ${property.getFullyQualifiedName()} is not camelCase`);
+        }
+    }
+}, {
+    id: 'singular-declaration-names',
+    description: 'The names of declarations are singular',
+    severity: 'warning',
+    declaration: (declaration, context) => {
+        const name = declaration.getName();
+        if (/[^su]s$/.test(name) && !/is$/.test(name)) {
+            context.report(declaration, `The name of ${declaration.getFullyQualifiedName()} is plural`);
+        }
+    }
+}, {
+    id: 'no-unused-imports',
+    description: 'Every imported type is used',
+    severity: 'warning',
+    modelFile: (modelFile, context) => {
+        const imports = modelFile.ast.imports;
+        if (imports.length === 0) {
+            return;
+        }
+        const used = getUsedTypes(modelFile);
+        imports.forEach((imp) => {
+            const names = imp.types ? imp.types.map((type) => imp.namespace + '.' + type.name) : [imp.namespace];
+            names.forEach((name) => {
+                const isUsed = ModelUtil.isWildcardName(name)
+                    ? Array.from(used).some((type) => ModelUtil.getNamespace(type) === ModelUtil.getNamespace(name))
+                    : used.has(name);
+                if (!isUsed) {
+                    context.report(modelFile, `The import ${name} is not used`, imp.location);
+                }
+            });
+        });
+    }
+}, {
+    id: 'require-descriptions',
+    description: 'Every declaration has a description',
+    severity: 'info',
+    declaration: (declaration, context) => {
+        if (!declaration.getDescription()) {
+            context.report(declaration, `The declaration ${declaration.getFullyQualifiedName()} has no description`);
+        }
+    }
+}];
@@ -65,15 +65,19 @@ class Identifiable extends Typed {
     }
 
     /**
-     * Set the identifier of this instance
+     * Set the identifier of this instance. The identifier of an instance with
+     * a composite identifier sets each of its identifying fields.
      * @param {string} id - the new identifier for this object
      */
     setIdentifier(id) {
-        this.$identifier = id;
         const modelFile = this.$modelManager.getModelFile(this.getNamespace());
         const typeDeclaration = modelFile.getType(this.getFullyQualifiedType());
-        const idField = typeDeclaration.getIdentifierFieldName();
-        this[idField] = id;
+        const idFields = typeDeclaration.getIdentifierFieldNames();
+        const values = ResourceId.decomposeIdentifier(id, idFields.length);
+        this.$identifier = id;
+        idFields.forEach((idField, index) => {
+            this[idField] = values[index];
+        });
     }
 
     /**
@@ -17,6 +17,7 @@
 const Identifiable = require('./identifiable');
 const ModelUtil = require('../modelutil');
 const ResourceId = require('./resourceid');
+const ValidationException = require('../serializer/validationexception');
 
 /**
  * A Relationship is a typed pointer to an instance. I.e the relationship
@@ -77,11 +78,19 @@ class Relationship extends Identifiable {
      * @param {String} [defaultNamespace] - default namespace to use for backwards compatability
      * @param {String} [defaultType] - default type to use for backwards compatability
      * @return {Relationship} the relationship
+     * @throws {ValidationException} if the identifier does not have a value for each field of a composite identifier
      */
     static fromURI(modelManager, uriAsString, defaultNamespace, defaultType) {
         const resourceId = ResourceId.fromURI(uriAsString, defaultNamespace, defaultType);
         let fqt = ModelUtil.getFullyQualifiedName(resourceId.namespace, resourceId.type);
         let classDeclaration = modelManager.getType(fqt);
+        if (classDeclaration.isCompositeIdentified()) {
+            try {
+                ResourceId.decomposeIdentifier(resourceId.id, classDeclaration.getIdentifierFieldNames().length);
+            } catch (err) {
+                throw new ValidationException(`Invalid relationship ${uriAsString}: ${err.message}`);
+            }
+        }
         let relationship = new Relationship(modelManager, classDeclaration, resourceId.namespace, resourceId.type, resourceId.id);
         return relationship;
     }
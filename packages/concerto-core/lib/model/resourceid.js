@@ -110,6 +110,63 @@ class ResourceId {
         return RESOURCE_SCHEME + ':' +  qualifiedType + '#' + encodeURI(this.id);
     }
 
+    /**
+     * Returns the identifier made of the values of the identifying fields of an
+     * instance. The values of a composite identifier are separated by commas, and
+     * the commas and percent signs that they contain are percent-encoded, for
+     * example EU,12345 for the values EU and 12345.
+     * @param {String[]} values - The values of the identifying fields.
+     * @return {String} The identifier, or null if a value of a composite identifier is missing or empty.
+     */
+    static composeIdentifier(values) {
+        if (values.length <= 1) {
+            return values[0];
+        }
+        if (values.some((value) => typeof value !== 'string' || value.trim().length === 0)) {
+            return null;
+        }
+        return values.map((value) => value.replace(/%/g, '%25').replace(/,/g, '%2C')).join(',');
+    }
+
+    /**
+     * Returns the identifier of an instance, made of the values of its identifying fields.
+     * @param {ClassDeclaration} classDeclaration - The class of the instance.
+     * @param {Object} obj - The instance, a Resource or its JSON object.
+     * @return {String} The identifier, or null if a value of a composite identifier is missing or empty.
+     */
+    static getIdentifier(classDeclaration, obj) {
+        return ResourceId.composeIdentifier(classDeclaration.getIdentifierFieldNames().map((idField) => obj[idField]));
+    }
+
+    /**
+     * Returns the values of the identifying fields that an identifier is made of.
+     * A composite identifier is given encoded, as it is created using
+     * composeIdentifier: its values are percent-decoded, so that a value with a
+     * comma or a percent sign is given as %2C or %25, for example EU,100%25 for
+     * the values EU and 100%. The identifier of a single identifying field is
+     * its raw value, which is not decoded.
+     * @param {String} id - The identifier, created using composeIdentifier.
+     * @param {Number} count - The number of identifying fields.
+     * @return {String[]} The values of the identifying fields.
+     * @throws {Error} - If the identifier does not have a value for each identifying field, or a value is not percent-encoded.
+     */
+    static decomposeIdentifier(id, count) {
+        if (count === 1) {
+            return [id];
+        }
+        const values = id.split(',');
+        if (values.length !== count) {
+            throw new Error(`Invalid composite identifier ${id}, expected ${count} values separated by commas`);
+        }
+        return values.map((value) => {
+            try {
+                return decodeURIComponent(value);
+            } catch (err) {
+                throw new Error(`Invalid composite identifier ${id}, the value ${value} is not percent-encoded`);
+            }
+        });
+    }
+
 }
 
 module.exports = ResourceId;
@@ -14,7 +14,9 @@
 
 'use strict';
 
+const DateTimeUtil = require('../datetimeutil');
 const Field = require('../introspect/field');
+const NumberUtil = require('../numberutil');
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
 dayjs.extend(utc);
@@ -136,6 +138,7 @@ class Typed {
         for (let n = 0; n < fields.length; n++) {
             let field = fields[n];
             if (field instanceof Field) {
+                field = field.getResolvedField(null);
                 let defaultValue = field.getDefaultValue();
 
                 if (defaultValue) {
@@ -144,7 +147,10 @@ class Typed {
                     } else if (field.getType() === 'Integer') {
                         this.setPropertyValue(field.getName(), parseInt(defaultValue));
                     } else if (field.getType() === 'Long') {
-                        this.setPropertyValue(field.getName(), parseInt(defaultValue));
+                        this.setPropertyValue(field.getName(), NumberUtil.toLong(defaultValue));
+                    } else if (field.getType() === 'Decimal') {
+                        const scale = field.getScale();
+                        this.setPropertyValue(field.getName(), scale === null ? NumberUtil.toDecimal(defaultValue) : NumberUtil.toScale(defaultValue, scale));
                     } else if (field.getType() === 'Double') {
                         this.setPropertyValue(field.getName(), parseFloat(defaultValue));
                     } else if (field.getType() === 'Boolean') {
@@ -152,6 +158,12 @@ class Typed {
                     } else if (field.getType() === 'DateTime') {
                         const dateTime = dayjs.utc(defaultValue);
                         this.setPropertyValue(field.getName(), dateTime);
+                    } else if (field.getType() === 'Date') {
+                        this.setPropertyValue(field.getName(), DateTimeUtil.parseDate(defaultValue));
+                    } else if (field.getType() === 'Time') {
+                        this.setPropertyValue(field.getName(), DateTimeUtil.parseTime(defaultValue));
+                    } else if (field.getType() === 'Duration') {
+                        this.setPropertyValue(field.getName(), DateTimeUtil.parseDuration(defaultValue));
                     } else {
                         // following precident set in jsonpopulator.js - if we get this far the field should be an enum
                         this.setPropertyValue(field.getName(), defaultValue);
@@ -174,15 +186,8 @@ class Typed {
         if (classDeclaration.getFullyQualifiedName() === fqt) {
             return true;
         }
-        // Now walk the class hierachy looking to see if it's an instance of the specified type.
-        let superTypeDeclaration = classDeclaration.getSuperTypeDeclaration();
-        while (superTypeDeclaration) {
-            if (superTypeDeclaration.getFullyQualifiedName() === fqt) {
-                return true;
-            }
-            superTypeDeclaration = superTypeDeclaration.getSuperTypeDeclaration();
-        }
-        return false;
+        // Now walk the class hierachy and the mixins looking to see if it's an instance of the specified type.
+        return classDeclaration.getAllSuperTypeDeclarations().some((superTypeDeclaration) => superTypeDeclaration.getFullyQualifiedName() === fqt);
     }
 
     /**
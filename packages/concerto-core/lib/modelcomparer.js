@@ -0,0 +1,587 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const RelationshipDeclaration = require('./introspect/relationshipdeclaration');
+const ModelUtil = require('./modelutil');
+
+/**
+ * The classifications of changes, from the least to the most severe
+ * @private
+ */
+const CLASSIFICATIONS = ['none', 'patch', 'minor', 'major'];
+
+/**
+ * The numeric types, whose validators are ranges
+ * @private
+ */
+const NUMERIC_TYPES = ['Integer', 'Long', 'Double', 'Decimal'];
+
+/**
+ * ModelComparer reports the differences between two versions of a set of
+ * models, and classifies each difference by its effect on the instances of
+ * the models:
+ *
+ * - major: an instance of the old models may not be valid for the new models,
+ *   for example a declaration, field, enum value or mixin was removed, a field
+ *   was made required, its type changed, a validator or the scale of a
+ *   Decimal was narrowed, a mixin with required fields or invariants was
+ *   added, a type parameter was added or removed, or an invariant was added
+ *   or changed
+ * - minor: every instance of the old models is valid for the new models, for
+ *   example a declaration, optional field or enum value was added, a
+ *   validator was widened, or an invariant was removed
+ * - patch: the instances are not affected, for example a default value,
+ *   decorator, documentation comment or the name of a type parameter changed
+ *
+ * A field that moves between a class and its super types or mixins is
+ * compared with the field that the class inherits, rather than reported as
+ * removed or added.
+ *
+ * Namespaces are compared without their versions, using the latest version of
+ * each namespace, so that org.acme@1.0.0 and org.acme@1.1.0 are compared with
+ * each other.
+ * @class
+ * @memberof module:concerto-core
+ */
+class ModelComparer {
+    /**
+     * Compares two versions of a set of models
+     * @param {ModelManager} oldModelManager - the old version of the models
+     * @param {ModelManager} newModelManager - the new version of the models
+     * @return {Object} the comparison, with the classification of the most
+     * severe change (major, minor, patch or none) and the changes, each with
+     * an element (namespace, declaration, field, validator, enum-value,
+     * supertype, mixin, identifier, type-parameters, invariant, default,
+     * inverse, decorator or documentation),
+     * an action (added, removed or changed), the name of the element, its
+     * classification and a message
+     */
+    static compare(oldModelManager, newModelManager) {
+        const changes = [];
+        const oldModelFiles = ModelComparer.getModelFiles(oldModelManager);
+        const newModelFiles = ModelComparer.getModelFiles(newModelManager);
+        const namespaces = Array.from(new Set(Object.keys(oldModelFiles).concat(Object.keys(newModelFiles)))).sort();
+
+        namespaces.forEach((namespace) => {
+            const oldModelFile = oldModelFiles[namespace];
+            const newModelFile = newModelFiles[namespace];
+            if (!newModelFile) {
+                ModelComparer.addChange(changes, 'major', 'namespace', 'removed', namespace, `The namespace ${namespace} was removed`);
+            } else if (!oldModelFile) {
+                ModelComparer.addChange(changes, 'minor', 'namespace', 'added', namespace, `The namespace ${namespace} was added`);
+            } else {
+                ModelComparer.compareModelFiles(oldModelFile, newModelFile, namespace, changes);
+            }
+        });
+
+        const classification = changes.reduce((result, change) =>
+            CLASSIFICATIONS.indexOf(change.classification) > CLASSIFICATIONS.indexOf(result) ? change.classification : result, 'none');
+        return { classification, changes };
+    }
+
+    /**
+     * Returns the model files of a model manager, keyed by their namespace
+     * without its version. The latest version of a versioned namespace is used.
+     * @param {ModelManager} modelManager - the model manager
+     * @return {Object} the model files, keyed by namespace
+     * @private
+     */
+    static getModelFiles(modelManager) {
+        const result = {};
+        const versions = {};
+        modelManager.getModelFiles().forEach((modelFile) => {
+            const parsed = ModelUtil.parseNamespace(modelFile.getNamespace());
+            const previous = versions[parsed.name];
+            if (!result[parsed.name] || (parsed.version && (!previous || ModelUtil.compareVersions(parsed.version, previous) > 0))) {
+                result[parsed.name] = modelFile;
+                versions[parsed.name] = parsed.version;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Compares the declarations of two versions of a model file
+     * @param {ModelFile} oldModelFile - the old version of the model file
+     * @param {ModelFile} newModelFile - the new version of the model file
+     * @param {string} namespace - the namespace of the model file, without its version
+     * @param {Object[]} changes - the changes, to which the differences are added
+     * @private
+     */
+    static compareModelFiles(oldModelFile, newModelFile, namespace, changes) {
+        const byName = (modelFile) => {
+            const result = new Map();
+            modelFile.getAllDeclarations().concat(modelFile.getScalarDeclarations()).forEach((declaration) => {
+                result.set(declaration.getName(), declaration);
+            });
+            return result;
+        };
+        const oldDeclarations = byName(oldModelFile);
+        const newDeclarations = byName(newModelFile);
+
+        oldDeclarations.forEach((oldDeclaration, name) => {
+            const fqn = `${namespace}.${name}`;
+            const newDeclaration = newDeclarations.get(name);
+            if (!newDeclaration) {
+                ModelComparer.addChange(changes, 'major', 'declaration', 'removed', fqn, `The ${oldDeclaration.getKind()} ${fqn} was removed`);
+            } else {
+                ModelComparer.compareDeclarations(oldDeclaration, newDeclaration, fqn, changes);
+            }
+        });
+        newDeclarations.forEach((newDeclaration, name) => {
+            if (!oldDeclarations.has(name)) {
+                const fqn = `${namespace}.${name}`;
+                ModelComparer.addChange(changes, 'minor', 'declaration', 'added', fqn, `The ${newDeclaration.getKind()} ${fqn} was added`);
+            }
+        });
+    }
+
+    /**
+     * Compares two versions of a declaration
+     * @param {Object} oldDeclaration - the old version of the class, enum or scalar declaration
+     * @param {Object} newDeclaration - the new version of the declaration
+     * @param {string} fqn - the fully qualified name of the declaration, without the version of its namespace
+     * @param {Object[]} changes - the changes, to which the differences are added
+     * @private
+     */
+    static compareDeclarations(oldDeclaration, newDeclaration, fqn, changes) {
+        const oldKind = oldDeclaration.getKind();
+        const newKind = newDeclaration.getKind();
+        if (oldKind !== newKind) {
+            ModelComparer.addChange(changes, 'major', 'declaration', 'changed', fqn, `The declaration ${fqn} changed from ${oldKind} to ${newKind}`);
+            return;
+        }
+
+        ModelComparer.compareDecorated(oldDeclaration, newDeclaration, fqn, changes);
+
+        if (oldKind === 'scalar') {
+            if (oldDeclaration.getType() !== newDeclaration.getType()) {
+                ModelComparer.addChange(changes, 'major', 'declaration', 'changed', fqn, `The type of the scalar ${fqn} changed from ${oldDeclaration.getType()} to ${newDeclaration.getType()}`);
+                return;
+            }
+            ModelComparer.compareDefaults(oldDeclaration, newDeclaration, fqn, changes);
+            ModelComparer.compareValidators(oldDeclaration, newDeclaration, fqn, changes);
+            return;
+        }
+
+        if (oldKind === 'enum') {
+            ModelComparer.compareEnumValues(oldDeclaration, newDeclaration, fqn, changes);
+            return;
+        }
+
+        const oldSuperType = ModelComparer.getTypeName(oldDeclaration.getSuperType());
+        const newSuperType = ModelComparer.getTypeName(newDeclaration.getSuperType());
+        if (oldSuperType !== newSuperType) {
+            ModelComparer.addValueChange(changes, 'major', 'supertype', fqn, `The super type of ${fqn}`, oldSuperType, newSuperType);
+        }
+
+        if (!oldDeclaration.isAbstract() && newDeclaration.isAbstract()) {
+            ModelComparer.addChange(changes, 'major', 'declaration', 'changed', fqn, `The declaration ${fqn} was made abstract`);
+        } else if (oldDeclaration.isAbstract() && !newDeclaration.isAbstract()) {
+            ModelComparer.addChange(changes, 'minor', 'declaration', 'changed', fqn, `The declaration ${fqn} is no longer abstract`);
+        }
+
+        const oldIdentifier = oldDeclaration.getIdentifierFieldNames().join(', ') || null;
+        const newIdentifier = newDeclaration.getIdentifierFieldNames().join(', ') || null;
+        if (oldIdentifier !== newIdentifier) {
+            ModelComparer.addValueChange(changes, 'major', 'identifier', fqn, `The identifier of ${fqn}`, oldIdentifier, newIdentifier);
+        }
+
+        // the fields that use a generic class declare a type argument for each of its type parameters
+        const typeParameters = (declaration) => declaration.isGeneric() ? `<${declaration.getTypeParameters().join(', ')}>` : null;
+        const oldTypeParameters = typeParameters(oldDeclaration);
+        const newTypeParameters = typeParameters(newDeclaration);
+        if (oldTypeParameters !== newTypeParameters) {
+            const classification = oldDeclaration.getTypeParameters().length === newDeclaration.getTypeParameters().length ? 'patch' : 'major';
+            ModelComparer.addValueChange(changes, classification, 'type-parameters', fqn, `The type parameters of ${fqn}`, oldTypeParameters, newTypeParameters);
+        }
+
+        ModelComparer.compareMixins(oldDeclaration, newDeclaration, fqn, changes);
+        ModelComparer.compareProperties(oldDeclaration, newDeclaration, fqn, changes);
+        ModelComparer.compareInvariants(oldDeclaration, newDeclaration, fqn, changes);
+    }
+
+    /**
+     * Compares the mixins of two versions of a class declaration. A removed
+     * mixin removes its fields, and an added mixin is a major change if its
+     * instances must have a field that the old class does not have, or satisfy
+     * an invariant that the instances of the old class may not.
+     * @param {ClassDeclaration} oldDeclaration - the old version of the class declaration
+     * @param {ClassDeclaration} newDeclaration - the new version of the class declaration
+     * @param {string} fqn - the fully qualified name of the class, without the version of its namespace
+     * @param {Object[]} changes - the changes, to which the differences are added
+     * @private
+     */
+    static compareMixins(oldDeclaration, newDeclaration, fqn, changes) {
+        const oldMixins = oldDeclaration.getMixins().map((mixin) => ModelComparer.getTypeName(mixin));
+        oldMixins.forEach((mixin) => {
+            if (!newDeclaration.getMixins().some((newMixin) => ModelComparer.getTypeName(newMixin) === mixin)) {
+                ModelComparer.addChange(changes, 'major', 'mixin', 'removed', fqn, `The mixin ${mixin} of ${fqn} was removed`);
+            }
+        });
+        newDeclaration.getMixinDeclarations().forEach((newMixin) => {
+            const mixin = ModelComparer.getTypeName(newMixin.getFullyQualifiedName());
+            if (oldMixins.includes(mixin)) {
+                return;
+            }
+            // a field that the old class already has is compared with the fields of the class
+            const isRequired = (property) => !property.getName().startsWith('$') && !property.isOptional() &&
+                !oldDeclaration.getProperties().some((oldProperty) => oldProperty.getName() === property.getName());
+            if (newMixin.getProperties().some(isRequired) || newMixin.getInvariants().length > 0) {
+                ModelComparer.addChange(changes, 'major', 'mixin', 'added', fqn, `The mixin ${mixin} of ${fqn} was added, with required fields or invariants`);
+            } else {
+                ModelComparer.addChange(changes, 'minor', 'mixin', 'added', fqn, `The mixin ${mixin} of ${fqn} was added`);
+            }
+        });
+    }
+
+    /**
+     * Compares the invariants declared by two versions of a class declaration,
+     * by name. An invariant that is added or whose expression changes may reject
+     * the instances of the old class.
+     * @param {ClassDeclaration} oldDeclaration - the old version of the class declaration
+     * @param {ClassDeclaration} newDeclaration - the new version of the class declaration
+     * @param {string} fqn - the fully qualified name of the class, without the version of its namespace
+     * @param {Object[]} changes - the changes, to which the differences are added
+     * @private
+     */
+    static compareInvariants(oldDeclaration, newDeclaration, fqn, changes) {
+        const byName = (declaration, name) => declaration.getOwnInvariants().find((invariant) => invariant.getName() === name);
+        oldDeclaration.getOwnInvariants().forEach((oldInvariant) => {
+            const name = `${fqn}.${oldInvariant.getName()}`;
+            const newInvariant = byName(newDeclaration, oldInvariant.getName());
+            if (!newInvariant) {
+                ModelComparer.addChange(changes, 'minor', 'invariant', 'removed', name, `The invariant ${name} was removed`);
+            } else if (oldInvariant.getExpression() !== newInvariant.getExpression()) {
+                ModelComparer.addValueChange(changes, 'major', 'invariant', name, `The expression of the invariant ${name}`, oldInvariant.getExpression(), newInvariant.getExpression());
+            }
+        });
+        newDeclaration.getOwnInvariants().forEach((newInvariant) => {
+            if (!byName(oldDeclaration, newInvariant.getName())) {
+                const name = `${fqn}.${newInvariant.getName()}`;
+                ModelComparer.addChange(changes, 'major', 'invariant', 'added', name, `The invariant ${name} was added`);
+            }
+        });
+    }
+
+    /**
+     * Compares the values of two versions of an enum declaration
+     * @param {EnumDeclaration} oldDeclaration - the old version of the enum declaration
+     * @param {EnumDeclaration} newDeclaration - the new version of the enum declaration
+     * @param {string} fqn - the fully qualified name of the enum, without the version of its namespace
+     * @param {Object[]} changes - the changes, to which the differences are added
+     * @private
+     */
+    static compareEnumValues(oldDeclaration, newDeclaration, fqn, changes) {
+        oldDeclaration.getOwnProperties().forEach((oldValue) => {
+            const name = `${fqn}.${oldValue.getName()}`;
+            const newValue = newDeclaration.getOwnProperty(oldValue.getName());
+            if (!newValue) {
+                ModelComparer.addChange(changes, 'major', 'enum-value', 'removed', name, `The enum value ${name} was removed`);
+                return;
+            }
+            if (oldValue.getCode() !== newValue.getCode()) {
+                ModelComparer.addValueChange(changes, 'major', 'enum-value', name, `The code of the enum value ${name}`, oldValue.getCode(), newValue.getCode());
+            }
+            ModelComparer.compareDecorated(oldValue, newValue, name, changes);
+        });
+        newDeclaration.getOwnProperties().forEach((newValue) => {
+            if (!oldDeclaration.getOwnProperty(newValue.getName())) {
+                const name = `${fqn}.${newValue.getName()}`;
+                ModelComparer.addChange(changes, 'minor', 'enum-value', 'added', name, `The enum value ${name} was added`);
+            }
+        });
+    }
+
+    /**
+     * Compares the fields and relationships declared by two versions of a
+     * class declaration. The system fields, such as $identifier, are compared
+     * with the identifier of the class. A field that one version declares and
+     * the other inherits from a super type or mixin is compared with the
+     * inherited field.
+     * @param {ClassDeclaration} oldDeclaration - the old version of the class declaration
+     * @param {ClassDeclaration} newDeclaration - the new version of the class declaration
+     * @param {string} fqn - the fully qualified name of the class, without the version of its namespace
+     * @param {Object[]} changes - the changes, to which the differences are added
+     * @private
+     */
+    static compareProperties(oldDeclaration, newDeclaration, fqn, changes) {
+        const isModelled = (property) => !property.getName().startsWith('$');
+        const findProperty = (declaration, name) => declaration.getProperties().find((property) => property.getName() === name);
+        oldDeclaration.getOwnProperties().filter(isModelled).forEach((oldProperty) => {
+            const name = `${fqn}.${oldProperty.getName()}`;
+            const newProperty = findProperty(newDeclaration, oldProperty.getName());
+            if (!newProperty) {
+                ModelComparer.addChange(changes, 'major', 'field', 'removed', name, `The field ${name} was removed`);
+            } else {
+                ModelComparer.compareProperty(oldProperty, newProperty, name, changes);
+            }
+        });
+        newDeclaration.getOwnProperties().filter(isModelled).forEach((newProperty) => {
+            if (oldDeclaration.getOwnProperty(newProperty.getName())) {
+                return;
+            }
+            const name = `${fqn}.${newProperty.getName()}`;
+            const oldProperty = findProperty(oldDeclaration, newProperty.getName());
+            if (oldProperty) {
+                ModelComparer.compareProperty(oldProperty, newProperty, name, changes);
+            } else if (newProperty.isOptional()) {
+                ModelComparer.addChange(changes, 'minor', 'field', 'added', name, `The optional field ${name} was added`);
+            } else {
+                ModelComparer.addChange(changes, 'major', 'field', 'added', name, `The required field ${name} was added`);
+            }
+        });
+    }
+
+    /**
+     * Compares two versions of a field or relationship
+     * @param {Property} oldProperty - the old version of the property
+     * @param {Property} newProperty - the new version of the property
+     * @param {string} name - the fully qualified name of the property, without the version of its namespace
+     * @param {Object[]} changes - the changes, to which the differences are added
+     * @private
+     */
+    static compareProperty(oldProperty, newProperty, name, changes) {
+        const isRelationship = oldProperty instanceof RelationshipDeclaration;
+        if (isRelationship !== newProperty instanceof RelationshipDeclaration) {
+            ModelComparer.addChange(changes, 'major', 'field', 'changed', name,
+                `The field ${name} changed from ${isRelationship ? 'a relationship to a field' : 'a field to a relationship'}`);
+            return;
+        }
+
+        const oldType = ModelComparer.getPropertyTypeName(oldProperty);
+        const newType = ModelComparer.getPropertyTypeName(newProperty);
+        if (oldType !== newType) {
+            ModelComparer.addChange(changes, 'major', 'field', 'changed', name, `The type of the field ${name} changed from ${oldType} to ${newType}`);
+            return;
+        }
+
+        if (oldProperty.isArray() !== newProperty.isArray()) {
+            ModelComparer.addChange(changes, 'major', 'field', 'changed', name,
+                `The field ${name} changed from ${oldProperty.isArray() ? 'an array to a single value' : 'a single value to an array'}`);
+        } else if (oldProperty.isArray()) {
+            const classification = ModelComparer.compareBounds(oldProperty.getMinItems(), oldProperty.getMaxItems(), newProperty.getMinItems(), newProperty.getMaxItems());
+            if (classification) {
+                ModelComparer.addChange(changes, classification, 'field', 'changed', name,
+                    `The number of items of the field ${name} was ${classification === 'major' ? 'narrowed' : 'widened'}`);
+            }
+        }
+
+        if (!oldProperty.isOptional() && newProperty.isOptional()) {
+            ModelComparer.addChange(changes, 'minor', 'field', 'changed', name, `The field ${name} was made optional`);
+        } else if (oldProperty.isOptional() && !newProperty.isOptional()) {
+            ModelComparer.addChange(changes, 'major', 'field', 'changed', name, `The field ${name} was made required`);
+        }
+
+        if (isRelationship) {
+            if (oldProperty.getInverse() !== newProperty.getInverse()) {
+                ModelComparer.addValueChange(changes, 'patch', 'inverse', name, `The inverse of the relationship ${name}`, oldProperty.getInverse(), newProperty.getInverse());
+            }
+        } else {
+            ModelComparer.compareDefaults(oldProperty, newProperty, name, changes);
+            // the validators of a scalar are compared with the scalar declaration
+            if (!oldProperty.isTypeScalar()) {
+                ModelComparer.compareValidators(oldProperty, newProperty, name, changes);
+            }
+        }
+
+        ModelComparer.compareDecorated(oldProperty, newProperty, name, changes);
+    }
+
+    /**
+     * Compares the default values of two versions of a field or scalar
+     * @param {Object} oldElement - the old version of the field or scalar
+     * @param {Object} newElement - the new version of the field or scalar
+     * @param {string} name - the fully qualified name of the field or scalar
+     * @param {Object[]} changes - the changes, to which the differences are added
+     * @private
+     */
+    static compareDefaults(oldElement, newElement, name, changes) {
+        const oldDefault = oldElement.getDefaultValue();
+        const newDefault = newElement.getDefaultValue();
+        if (oldDefault !== newDefault) {
+            ModelComparer.addValueChange(changes, 'patch', 'default', name, `The default value of ${name}`, oldDefault, newDefault);
+        }
+    }
+
+    /**
+     * Compares the validators of two versions of a field or scalar of the same
+     * type. A regular expression that changes is a major change, as its values
+     * cannot be compared.
+     * @param {Object} oldElement - the old version of the field or scalar
+     * @param {Object} newElement - the new version of the field or scalar
+     * @param {string} name - the fully qualified name of the field or scalar
+     * @param {Object[]} changes - the changes, to which the differences are added
+     * @private
+     */
+    static compareValidators(oldElement, newElement, name, changes) {
+        const oldValidator = oldElement.getValidator();
+        const newValidator = newElement.getValidator();
+
+        if (oldElement.getType() === 'String') {
+            const regex = (validator) => validator ? `/${validator.getRegex().source}/` : null;
+            if (regex(oldValidator) !== regex(newValidator)) {
+                ModelComparer.addValueChange(changes, newValidator ? 'major' : 'minor', 'validator', name,
+                    `The regular expression of ${name}`, regex(oldValidator), regex(newValidator));
+            }
+
+            const oldLength = oldElement.getLengthValidator();
+            const newLength = newElement.getLengthValidator();
+            const classification = ModelComparer.compareBounds(
+                oldLength ? oldLength.getMinLength() : null, oldLength ? oldLength.getMaxLength() : null,
+                newLength ? newLength.getMinLength() : null, newLength ? newLength.getMaxLength() : null);
+            if (classification) {
+                ModelComparer.addChange(changes, classification, 'validator', ModelComparer.getAction(oldLength, newLength), name,
+                    `The length of ${name} was ${classification === 'major' ? 'narrowed' : 'widened'}`);
+            }
+        } else if (NUMERIC_TYPES.includes(oldElement.getType())) {
+            const classification = ModelComparer.compareBounds(
+                oldValidator ? oldValidator.getLowerBound() : null, oldValidator ? oldValidator.getUpperBound() : null,
+                newValidator ? newValidator.getLowerBound() : null, newValidator ? newValidator.getUpperBound() : null);
+            if (classification) {
+                ModelComparer.addChange(changes, classification, 'validator', ModelComparer.getAction(oldValidator, newValidator), name,
+                    `The range of ${name} was ${classification === 'major' ? 'narrowed' : 'widened'}`);
+            }
+
+            // a smaller scale rejects the values with more fractional digits
+            const oldScale = oldElement.getType() === 'Decimal' ? oldElement.getScale() : null;
+            const newScale = newElement.getType() === 'Decimal' ? newElement.getScale() : null;
+            if (oldScale !== newScale) {
+                const narrowed = newScale !== null && (oldScale === null || newScale < oldScale);
+                ModelComparer.addValueChange(changes, narrowed ? 'major' : 'minor', 'validator', name, `The scale of ${name}`, oldScale, newScale);
+            }
+        }
+    }
+
+    /**
+     * Compares two versions of the lower and upper bounds of a range, a length
+     * or a number of items, where a missing bound is unbounded
+     * @param {number} oldLower - the old lower bound, or null
+     * @param {number} oldUpper - the old upper bound, or null
+     * @param {number} newLower - the new lower bound, or null
+     * @param {number} newUpper - the new upper bound, or null
+     * @return {string} major if the bounds were narrowed, minor if they were only widened, or null if they are the same
+     * @private
+     */
+    static compareBounds(oldLower, oldUpper, newLower, newUpper) {
+        const isSet = (bound) => bound !== null && bound !== undefined;
+        if (isSet(oldLower) === isSet(newLower) && isSet(oldUpper) === isSet(newUpper) && oldLower === newLower && oldUpper === newUpper) {
+            return null;
+        }
+        const narrowed = (isSet(newLower) && (!isSet(oldLower) || newLower > oldLower)) ||
+            (isSet(newUpper) && (!isSet(oldUpper) || newUpper < oldUpper));
+        return narrowed ? 'major' : 'minor';
+    }
+
+    /**
+     * Compares the documentation and the decorators of two versions of a
+     * declaration, property or enum value
+     * @param {Decorated} oldElement - the old version of the element
+     * @param {Decorated} newElement - the new version of the element
+     * @param {string} name - the fully qualified name of the element
+     * @param {Object[]} changes - the changes, to which the differences are added
+     * @private
+     */
+    static compareDecorated(oldElement, newElement, name, changes) {
+        if (oldElement.getDescription() !== newElement.getDescription()) {
+            ModelComparer.addChange(changes, 'patch', 'documentation', ModelComparer.getAction(oldElement.getDescription(), newElement.getDescription()), name,
+                `The documentation of ${name} changed`);
+        }
+        const decorators = (element) => JSON.stringify(element.getDecorators().map((decorator) => [decorator.getName(), decorator.getArguments()]));
+        if (decorators(oldElement) !== decorators(newElement)) {
+            ModelComparer.addChange(changes, 'patch', 'decorator', 'changed', name, `The decorators of ${name} changed`);
+        }
+    }
+
+    /**
+     * Returns the type of a property, with its type arguments or the key type of a map
+     * @param {Property} property - the property
+     * @return {string} the fully qualified type, without the versions of the namespaces
+     * @private
+     */
+    static getPropertyTypeName(property) {
+        const type = ModelComparer.getTypeName(property.getFullyQualifiedTypeName());
+        if (property.isMap()) {
+            return `Map<${ModelComparer.getTypeName(property.getFullyQualifiedMapKeyTypeName())}, ${type}>`;
+        }
+        if (property.hasTypeArguments()) {
+            const typeArguments = property.getFullyQualifiedTypeArguments();
+            return `${type}<${Object.keys(typeArguments).map((key) => ModelComparer.getTypeName(typeArguments[key])).join(', ')}>`;
+        }
+        return type;
+    }
+
+    /**
+     * Returns a fully qualified type name without the version of its namespace
+     * @param {string} fqn - the fully qualified type name, a primitive type, or null
+     * @return {string} the type name, without the version of its namespace
+     * @private
+     */
+    static getTypeName(fqn) {
+        if (!fqn || fqn.indexOf('.') < 0) {
+            return fqn;
+        }
+        return `${ModelUtil.parseNamespace(ModelUtil.getNamespace(fqn)).name}.${ModelUtil.getShortName(fqn)}`;
+    }
+
+    /**
+     * Returns the action of a change of a value that may be missing in either version
+     * @param {*} oldValue - the old value, or null
+     * @param {*} newValue - the new value, or null
+     * @return {string} added, removed or changed
+     * @private
+     */
+    static getAction(oldValue, newValue) {
+        if (oldValue === null || oldValue === undefined) {
+            return 'added';
+        }
+        return newValue === null || newValue === undefined ? 'removed' : 'changed';
+    }
+
+    /**
+     * Adds the change of a value that may be missing in either version, such
+     * as a super type or a default value
+     * @param {Object[]} changes - the changes
+     * @param {string} classification - the classification of the change, major, minor or patch
+     * @param {string} element - the kind of element that changed
+     * @param {string} name - the fully qualified name of the element
+     * @param {string} description - a description of the value, for example The super type of org.acme.Car
+     * @param {*} oldValue - the old value, or null
+     * @param {*} newValue - the new value, or null
+     * @private
+     */
+    static addValueChange(changes, classification, element, name, description, oldValue, newValue) {
+        const display = (value) => value === null || value === undefined ? 'none' : value;
+        ModelComparer.addChange(changes, classification, element, ModelComparer.getAction(oldValue, newValue), name,
+            `${description} changed from ${display(oldValue)} to ${display(newValue)}`);
+    }
+
+    /**
+     * Adds a change to the changes
+     * @param {Object[]} changes - the changes
+     * @param {string} classification - the classification of the change, major, minor or patch
+     * @param {string} element - the kind of element that changed
+     * @param {string} action - added, removed or changed
+     * @param {string} name - the fully qualified name of the element
+     * @param {string} message - a description of the change
+     * @private
+     */
+    static addChange(changes, classification, element, action, name, message) {
+        changes.push({ element, action, name, classification, message });
+    }
+}
+
+module.exports = ModelComparer;
@@ -19,11 +19,13 @@ const fsPath = require('path');
 const slash = require('slash');
 
 const DefaultModelFileLoader = require('./introspect/loaders/defaultmodelfileloader');
+const DependencyGraph = require('./dependencygraph');
 const Factory = require('./factory');
 const Globalize = require('./globalize');
 const IllegalModelException = require('./introspect/illegalmodelexception');
 const ModelFile = require('./introspect/modelfile');
 const ModelFileDownloader = require('./introspect/loaders/modelfiledownloader');
+const ModelValidationException = require('./introspect/modelvalidationexception');
 const ModelUtil = require('./modelutil');
 const Serializer = require('./serializer');
 const TypeNotFoundException = require('./typenotfoundexception');
@@ -50,12 +52,18 @@ class ModelManager {
     /**
      * Create the ModelManager.
      * @param {object} [options] - Serializer options
+     * @param {boolean} [options.tolerant] - if true, the model files added as strings are
+     * parsed tolerantly, skipping the declarations that do not parse, whose syntax errors
+     * are returned by getDiagnostics
      */
     constructor(options) {
+        this.tolerant = !!(options && options.tolerant);
         this.modelFiles = {};
         this.factory = new Factory(this);
         this.serializer = new Serializer(this.factory, this, options);
         this.decoratorFactories = [];
+        this.decoratorSchemas = new Map();
+        this.declaredDecoratorSchemas = null;
         this._isModelManager = true;
         this.addRootModel();
     }
@@ -97,13 +105,25 @@ abstract concept Event {}
      */
     validateModelFile(modelFile, fileName) {
         if (typeof modelFile === 'string') {
-            let m = new ModelFile(this, modelFile, fileName);
+            let m = this.newModelFile(modelFile, fileName);
             m.validate();
         } else {
             modelFile.validate();
         }
     }
 
+    /**
+     * Creates a model file from its definitions, parsed tolerantly if this
+     * ModelManager was created with the tolerant option.
+     * @param {string} definitions - the Concerto file as a string
+     * @param {string} [fileName] - a file name to associate with the model file
+     * @return {ModelFile} the model file
+     * @private
+     */
+    newModelFile(definitions, fileName) {
+        return new ModelFile(this, definitions, fileName, { tolerant: this.tolerant });
+    }
+
     /**
      * Throws an error with details about the existing namespace.
      * @param {ModelFile} modelFile The model file that is trying to declare an existing namespace
@@ -138,7 +158,7 @@ abstract concept Event {}
         let m = null;
 
         if (typeof modelFile === 'string') {
-            m = new ModelFile(this, modelFile, fileName);
+            m = this.newModelFile(modelFile, fileName);
         } else {
             m = modelFile;
         }
@@ -148,6 +168,7 @@ abstract concept Event {}
                 m.validate();
             }
             this.modelFiles[m.getNamespace()] = m;
+            this.declaredDecoratorSchemas = null;
         } else {
             this._throwAlreadyExists(m);
         }
@@ -170,7 +191,7 @@ abstract concept Event {}
         const NAME = 'updateModelFile';
         debug(NAME, 'updateModelFile', modelFile, fileName);
         if (typeof modelFile === 'string') {
-            let m = new ModelFile(this, modelFile, fileName);
+            let m = this.newModelFile(modelFile, fileName);
             return this.updateModelFile(m,fileName,disableValidation);
         } else {
             let existing = this.modelFiles[modelFile.getNamespace()];
@@ -182,6 +203,7 @@ abstract concept Event {}
             }
         }
         this.modelFiles[modelFile.getNamespace()] = modelFile;
+        this.declaredDecoratorSchemas = null;
         return modelFile;
     }
 
@@ -194,6 +216,7 @@ abstract concept Event {}
             throw new Error('Model file does not exist');
         } else {
             delete this.modelFiles[namespace];
+            this.declaredDecoratorSchemas = null;
         }
     }
 
@@ -221,9 +244,10 @@ abstract concept Event {}
                     fileName = fileNames[n];
                 }
 
-                const m = typeof modelFile === 'string' ? new ModelFile(this, modelFile, fileName) : modelFile;
+                const m = typeof modelFile === 'string' ? this.newModelFile(modelFile, fileName) : modelFile;
                 if (!this.modelFiles[m.getNamespace()]) {
                     this.modelFiles[m.getNamespace()] = m;
+                    this.declaredDecoratorSchemas = null;
                     newModelFiles.push(m);
                 } else {
                     this._throwAlreadyExists(m);
@@ -239,6 +263,7 @@ abstract concept Event {}
             return newModelFiles;
         } catch (err) {
             this.modelFiles = {};
+            this.declaredDecoratorSchemas = null;
             Object.assign(this.modelFiles, originalModelFiles);
             throw err;
         } finally {
@@ -248,11 +273,25 @@ abstract concept Event {}
 
 
     /**
-     * Validates all models files in this model manager
+     * Validates all models files in this model manager. The errors of all the
+     * model files are reported together, rather than stopping at the first.
+     * @throws {IllegalModelException} if the models have an error, or a ModelValidationException
+     * with all the errors if they have more than one
      */
     validateModelFiles() {
+        let errors = [];
         for (let ns in this.modelFiles) {
-            this.modelFiles[ns].validate();
+            try {
+                this.modelFiles[ns].validate();
+            } catch (err) {
+                errors = errors.concat(err instanceof ModelValidationException ? err.getErrors() : [err]);
+            }
+        }
+
+        if (errors.length === 1) {
+            throw errors[0];
+        } else if (errors.length > 1) {
+            throw new ModelValidationException(errors);
         }
     }
 
@@ -280,10 +319,11 @@ abstract concept Event {}
                     try {
                         this.validateModelFiles();
                         return [];
-                    } catch (validationError){
+                    } catch (validationErrors){
                         // The validation error tells us the first model that is missing from the model manager, but the dependency download
                         // will fail at the first external model, regardless of whether there is already a local copy.
                         // As a hint to the user we display the URL of the external model that can't be found.
+                        const validationError = validationErrors instanceof ModelValidationException ? validationErrors.getErrors()[0] : validationErrors;
                         const modelFile = this.getModelFileByFileName(validationError.fileName);
                         const namespaces = modelFile.getExternalImports();
                         const missingNs = Object.keys(namespaces).find((ns) => validationError.shortMessage.includes(ns));
@@ -315,6 +355,7 @@ abstract concept Event {}
             return externalModelFiles;
         } catch (err) {
             this.modelFiles = {};
+            this.declaredDecoratorSchemas = null;
             Object.assign(this.modelFiles, originalModelFiles);
             throw err;
         }
@@ -368,6 +409,16 @@ abstract concept Event {}
         return result;
     }
 
+    /**
+     * Returns the syntax errors of the declarations that were skipped when the
+     * model files of this ModelManager were parsed with the tolerant option.
+     * @return {ParseException[]} the syntax errors, in the order of the model files
+     * and of their declarations
+     */
+    getDiagnostics() {
+        return this.getModelFiles().reduce((diagnostics, modelFile) => diagnostics.concat(modelFile.getDiagnostics()), []);
+    }
+
     /**
      * Gets all the Concerto models
      * @param {Object} [options] - Options object
@@ -398,31 +449,45 @@ abstract concept Event {}
         return models;
     }
 
+    /**
+     * Gets the metamodel of all the Concerto models, except the system model
+     * @return {Object} the metamodel, a concerto.metamodel.Models object with
+     * the metamodel of each model file
+     */
+    toMetamodel() {
+        return {
+            $class: 'concerto.metamodel.Models',
+            models: this.getModelFiles().map((modelFile) => modelFile.toMetamodel())
+        };
+    }
+
     /**
      * Check that the type is valid and returns the FQN of the type.
      * @param {string} context - error reporting context
      * @param {string} type - fully qualified type name
+     * @param {ModelFile} [modelFile] - the model file that refers to the type, reported if the type is not defined
+     * @param {Object} [fileLocation] - the location of the reference to the type in the model file
      * @return {string} - the resolved type name (fully qualified)
      * @throws {IllegalModelException} - if the type is not defined
      * @private
      */
-    resolveType(context, type) {
+    resolveType(context, type, modelFile, fileLocation) {
         // is the type a primitive?
         if (ModelUtil.isPrimitiveType(type)) {
             return type;
         }
 
         let ns = ModelUtil.getNamespace(type);
-        let modelFile = this.getModelFile(ns);
-        if (!modelFile) {
+        let typeModelFile = this.getModelFile(ns);
+        if (!typeModelFile) {
             let formatter = Globalize.messageFormatter('modelmanager-resolvetype-nonsfortype');
             throw new IllegalModelException(formatter({
                 type: type,
                 context: context
-            }));
+            }), modelFile, fileLocation);
         }
 
-        if (modelFile.isLocalType(type)) {
+        if (typeModelFile.isLocalType(type)) {
             return type;
         }
 
@@ -430,8 +495,8 @@ abstract concept Event {}
         throw new IllegalModelException(formatter({
             context: context,
             type: type,
-            namespace: modelFile.getNamespace()
-        }));
+            namespace: typeModelFile.getNamespace()
+        }), modelFile, fileLocation);
     }
 
     /**
@@ -439,6 +504,7 @@ abstract concept Event {}
      */
     clearModelFiles() {
         this.modelFiles = {};
+        this.declaredDecoratorSchemas = null;
         this.addRootModel();
     }
 
@@ -471,6 +537,29 @@ abstract concept Event {}
         return Object.keys(this.modelFiles);
     }
 
+    /**
+     * Get the versions of a namespace registered with the ModelManager,
+     * for example 1.2.0 and 2.0.0 for org.acme.loan@1.2.0 and org.acme.loan@2.0.0
+     * @param {string} namespace - the name of the namespace, without a version
+     * @return {string[]} versions - the registered versions of the namespace, in ascending order
+     */
+    getNamespaceVersions(namespace) {
+        return Object.keys(this.modelFiles)
+            .map((ns) => ModelUtil.parseNamespace(ns))
+            .filter((parsed) => parsed.name === namespace && parsed.version)
+            .map((parsed) => parsed.version)
+            .sort(ModelUtil.compareVersions);
+    }
+
+    /**
+     * Get the graph of the dependencies between the namespaces registered with
+     * the ModelManager, through their imports, super types, fields and relationships.
+     * @return {DependencyGraph} the dependency graph of the namespaces, except the system namespace
+     */
+    getDependencyGraph() {
+        return new DependencyGraph(this);
+    }
+
     /**
      * Look up a type in all registered namespaces.
      *
@@ -595,6 +684,84 @@ abstract concept Event {}
         this.decoratorFactories.push(factory);
     }
 
+    /**
+     * Get the decorator schemas for this model manager: the schemas added to
+     * this model manager, and those declared in its model files.
+     * @return {DecoratorSchema[]} The decorator schemas for this model manager.
+     */
+    getDecoratorSchemas() {
+        const schemas = [];
+        this.getDeclaredDecoratorSchemas().forEach((declared, name) => {
+            if(!this.decoratorSchemas.has(name)) {
+                declared.forEach((entry) => schemas.push(entry.schema));
+            }
+        });
+        return schemas.concat(Array.from(this.decoratorSchemas.values()));
+    }
+
+    /**
+     * Get the decorator schema for a decorator. A schema added to this model
+     * manager takes precedence over a schema declared in a model file. The
+     * models of a model file only use the schemas that it declares or imports,
+     * and those added to this model manager.
+     * @param {string} name The name of the decorator, without the @.
+     * @return {DecoratorSchema} The decorator schema, or null if the decorator
+     * has no schema.
+     * @throws {Error} if the schema is declared in the model files of several namespaces
+     */
+    getDecoratorSchema(name) {
+        if(this.decoratorSchemas.has(name)) {
+            return this.decoratorSchemas.get(name);
+        }
+        const declared = this.getDeclaredDecoratorSchemas().get(name) || [];
+        if(declared.length > 1) {
+            throw new Error(`Ambiguous decorator @${name}, whose schema is declared in the namespaces ${declared.map((entry) => entry.namespace).join(', ')}`);
+        }
+        return declared.length === 1 ? declared[0].schema : null;
+    }
+
+    /**
+     * Returns the decorator schemas declared in the model files of this model
+     * manager, by the name of their decorator, with the namespaces that declare
+     * them. They are collected once, until a model file is added, updated or deleted.
+     * @return {Map<string, Object[]>} the declared schemas of each decorator
+     * @private
+     */
+    getDeclaredDecoratorSchemas() {
+        if(!this.declaredDecoratorSchemas) {
+            this.declaredDecoratorSchemas = new Map();
+            this.getModelFiles().forEach((modelFile) => {
+                modelFile.getDecoratorSchemas().forEach((schema) => {
+                    const declared = this.declaredDecoratorSchemas.get(schema.getName()) || [];
+                    declared.push({ namespace: modelFile.getNamespace(), schema });
+                    this.declaredDecoratorSchemas.set(schema.getName(), declared);
+                });
+            });
+        }
+        return this.declaredDecoratorSchemas;
+    }
+
+    /**
+     * Returns the decorator schemas added to this model manager, which apply
+     * to the models of every model file
+     * @return {Map<string, DecoratorSchema>} the added schemas, by the name of their decorator
+     * @private
+     */
+    getAddedDecoratorSchemas() {
+        return this.decoratorSchemas;
+    }
+
+    /**
+     * Add a decorator schema to this model manager. Once a schema is added, the
+     * models subsequently added to this model manager may only use decorators
+     * that have a schema, and that match their schema.
+     * @param {DecoratorSchema} schema The decorator schema to add to this model manager,
+     * which replaces any schema for a decorator with the same name.
+     */
+    addDecoratorSchema(schema) {
+        this.decoratorSchemas.set(schema.getName(), schema);
+    }
+
     /**
      * Checks if this fully qualified type name is derived from another.
      * @param {string} fqt1 The fully qualified type name to check.
@@ -604,14 +771,12 @@ abstract concept Event {}
      */
     derivesFrom(fqt1, fqt2) {
         // Check to see if this is an exact instance of the specified type.
-        let typeDeclaration = this.getType(fqt1);
-        while (typeDeclaration) {
-            if (typeDeclaration.getFullyQualifiedName() === fqt2) {
-                return true;
-            }
-            typeDeclaration = typeDeclaration.getSuperTypeDeclaration();
+        const typeDeclaration = this.getType(fqt1);
+        if (typeDeclaration.getFullyQualifiedName() === fqt2) {
+            return true;
         }
-        return false;
+        // Now look for the specified type in the super types and mixins.
+        return typeDeclaration.getAllSuperTypeDeclarations().some((superTypeDeclaration) => superTypeDeclaration.getFullyQualifiedName() === fqt2);
     }
 
     /**
@@ -15,6 +15,8 @@
 'use strict';
 
 const Globalize = require('./globalize');
+const ValidationException = require('./serializer/validationexception');
+const semver = require('semver');
 
 /**
  * Internal Model Utility Class
@@ -116,6 +118,34 @@ class ModelUtil {
         return result;
     }
 
+    /**
+     * Splits a namespace into its name and its semantic version, for example
+     * org.acme.loan@1.2.0 into org.acme.loan and 1.2.0
+     * @param {string} namespace - the namespace, which may have a version
+     * @return {{name: string, version: string}} - the name of the namespace and
+     * its version, or null if the namespace is not versioned
+     * @private
+     */
+    static parseNamespace(namespace) {
+        const atIndex = namespace.indexOf('@');
+        if (atIndex > -1) {
+            return { name: namespace.substr(0, atIndex), version: namespace.substr(atIndex + 1) };
+        }
+        return { name: namespace, version: null };
+    }
+
+    /**
+     * Compares two semantic versions by their precedence, see https://semver.org
+     * @param {string} version1 - the first version
+     * @param {string} version2 - the second version
+     * @return {number} - a negative number if the first version precedes the second,
+     * a positive number if it follows the second and 0 if they have the same precedence
+     * @private
+     */
+    static compareVersions(version1, version2) {
+        return semver.compare(version1, version2);
+    }
+
     /**
      * Returns true if the type is a primitive type
      * @param {string} typeName - the name of the type
@@ -123,7 +153,7 @@ class ModelUtil {
      * @private
      */
     static isPrimitiveType(typeName) {
-        const primitiveTypes = ['Boolean', 'String', 'DateTime', 'Double', 'Integer', 'Long'];
+        const primitiveTypes = ['Boolean', 'String', 'DateTime', 'Date', 'Time', 'Duration', 'Double', 'Integer', 'Long', 'Decimal'];
         return (primitiveTypes.indexOf(typeName) >= 0);
     }
 
@@ -176,6 +206,25 @@ class ModelUtil {
         return (typeDeclaration !== null && typeDeclaration.isEnum());
     }
 
+    /**
+     * Returns the field that the values of a field of an instance are validated,
+     * serialized and generated as, for the types bound to the type parameters of
+     * its class.
+     * @param {Field} field - the field
+     * @param {Object} [typeArguments] - the fully qualified names of the types bound to
+     * the type parameters of the class of the field, keyed by type parameter
+     * @return {Field} the resolved field
+     * @throws {ValidationException} if no type is bound to the type parameter of the
+     * field, as for an instance of a generic type that is not the value of a field
+     * @private
+     */
+    static getResolvedField(field, typeArguments) {
+        if (field.isTypeParameter() && field.getFullyQualifiedTypeName(typeArguments) === field.getType()) {
+            throw new ValidationException(`No type is bound to the type parameter ${field.getType()} of field ${field.getFullyQualifiedName()}, an instance of the generic type ${field.getParent().getFullyQualifiedName()} must be the value of a field that declares its type arguments.`);
+        }
+        return field.getResolvedField(typeArguments);
+    }
+
     /**
      * Get the fully qualified name of a type.
      * @param {string} namespace - namespace of the type.
@@ -0,0 +1,176 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const DECIMAL_REGEX = /^[+-]?\d+(\.\d+)?$/;
+const INTEGER_REGEX = /^[+-]?\d+$/;
+const NUMBER_LITERAL_REGEX = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Returns true if the value is a Decimal, encoded as a fixed-point string,
+ * for example '-1234.50'
+ *
+ * @param {*} value - the value to test
+ * @returns {boolean} true if the value is a decimal string
+ * @private
+ */
+function isDecimal(value) {
+    return typeof value === 'string' && DECIMAL_REGEX.test(value);
+}
+
+/**
+ * Returns true if the value can be held by a Long: a safe integer, a BigInt
+ * or a string of decimal digits. A number outside the safe integer range is
+ * rejected, as it may already have been rounded when its JSON was parsed.
+ *
+ * @param {*} value - the value to test
+ * @returns {boolean} true if the value is a Long
+ * @private
+ */
+function isLong(value) {
+    switch (typeof value) {
+    case 'number':
+        return Number.isSafeInteger(value);
+    case 'bigint':
+        return true;
+    case 'string':
+        return INTEGER_REGEX.test(value);
+    default:
+        return false;
+    }
+}
+
+/**
+ * Converts a Long value to a number when it can be represented exactly,
+ * and to a BigInt otherwise
+ *
+ * @param {number|bigint|string} value - an integral number, a BigInt or a string of decimal digits
+ * @returns {number|bigint} the Long value
+ * @private
+ */
+function toLong(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const result = BigInt(value);
+    if (result >= Number.MIN_SAFE_INTEGER && result <= Number.MAX_SAFE_INTEGER) {
+        return Number(result);
+    }
+    return result;
+}
+
+/**
+ * Parses a number literal, with an optional fraction and exponent,
+ * into an exact BigInt mantissa and a decimal scale
+ *
+ * @param {string} value - the number literal
+ * @returns {object} the mantissa and scale, such that value = mantissa * 10^-scale
+ * @private
+ */
+function parseNumberLiteral(value) {
+    const match = NUMBER_LITERAL_REGEX.exec(value);
+    if (!match || (!match[2] && !match[3])) {
+        throw new Error(`Invalid number ${value}`);
+    }
+    const fraction = match[3] || '';
+    return {
+        mantissa: BigInt(`${match[1]}${match[2] || '0'}${fraction}`),
+        scale: fraction.length - parseInt(match[4] || '0')
+    };
+}
+
+/**
+ * Converts a number literal, such as a default value declared in a model,
+ * to a Decimal fixed-point string that keeps the scale of the literal
+ *
+ * @param {string} value - the number literal, for example '+1.50' or '2.5e3'
+ * @returns {string} the decimal string, for example '1.50' or '2500'
+ * @private
+ */
+function toDecimal(value) {
+    const { mantissa, scale } = parseNumberLiteral(value.toString());
+    if (scale <= 0) {
+        return (mantissa * (BigInt(10) ** BigInt(-scale))).toString();
+    }
+    const sign = mantissa < BigInt(0) ? '-' : '';
+    const digits = (mantissa < BigInt(0) ? -mantissa : mantissa).toString().padStart(scale + 1, '0');
+    return `${sign}${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+}
+
+/**
+ * Converts a Decimal value to a fixed-point string with exactly the given
+ * number of fractional digits, padding its fraction with zeros
+ *
+ * @param {string} value - the decimal string or number literal, for example '1.5'
+ * @param {number} scale - the number of fractional digits, for example 2
+ * @returns {string} the decimal string, for example '1.50', or null if the value
+ * has more non-zero fractional digits than the scale
+ * @private
+ */
+function toScale(value, scale) {
+    const literal = parseNumberLiteral(value.toString());
+    let mantissa = literal.mantissa;
+    if (literal.scale > scale) {
+        const factor = BigInt(10) ** BigInt(literal.scale - scale);
+        if (mantissa % factor !== BigInt(0)) {
+            return null;
+        }
+        mantissa = mantissa / factor;
+    } else {
+        mantissa = mantissa * (BigInt(10) ** BigInt(scale - literal.scale));
+    }
+    return toDecimal(`${mantissa}e-${scale}`);
+}
+
+/**
+ * Compares two numbers exactly, without converting them to floating point
+ *
+ * @param {number|bigint|string} a - the first number, a number, a BigInt or a number literal
+ * @param {number|bigint|string} b - the second number, a number, a BigInt or a number literal
+ * @returns {number} -1 if a is less than b, 0 if they are equal and 1 if a is greater than b
+ * @private
+ */
+function compareNumbers(a, b) {
+    const x = parseNumberLiteral(a.toString());
+    const y = parseNumberLiteral(b.toString());
+    const scale = Math.max(x.scale, y.scale);
+    const left = x.mantissa * (BigInt(10) ** BigInt(scale - x.scale));
+    const right = y.mantissa * (BigInt(10) ** BigInt(scale - y.scale));
+    return left < right ? -1 : (left > right ? 1 : 0);
+}
+
+/**
+ * Adds, subtracts or multiplies two numbers exactly, without converting them
+ * to floating point
+ *
+ * @param {number|bigint|string} a - the first number, a number, a BigInt or a number literal
+ * @param {string} operator - the operator, +, - or *
+ * @param {number|bigint|string} b - the second number, a number, a BigInt or a number literal
+ * @returns {string} the result, as a decimal string
+ * @private
+ */
+function computeNumbers(a, operator, b) {
+    const x = parseNumberLiteral(a.toString());
+    const y = parseNumberLiteral(b.toString());
+    if (operator === '*') {
+        return toDecimal(`${x.mantissa * y.mantissa}e${-(x.scale + y.scale)}`);
+    }
+    const scale = Math.max(x.scale, y.scale);
+    const left = x.mantissa * (BigInt(10) ** BigInt(scale - x.scale));
+    const right = y.mantissa * (BigInt(10) ** BigInt(scale - y.scale));
+    return toDecimal(`${operator === '+' ? left + right : left - right}e${-scale}`);
+}
+
+module.exports = { isDecimal, isLong, toLong, toDecimal, toScale, compareNumbers, computeNumbers };
@@ -21,6 +21,7 @@ const DateTimeUtil = require('./datetimeutil');
 const Globalize = require('./globalize');
 const JSONGenerator = require('./serializer/jsongenerator');
 const JSONPopulator = require('./serializer/jsonpopulator');
+const ResourceId = require('./model/resourceid');
 const Typed = require('./model/typed');
 const ResourceValidator = require('./serializer/resourcevalidator');
 const TransactionDeclaration = require('./introspect/transactiondeclaration');
@@ -88,6 +89,8 @@ class Serializer {
      * @param {boolean} [options.convertResourcesToId] - Convert resources that
      * are specified for relationship fields into their id, false by default.
      * @param {number} [options.utcOffset] - UTC Offset for DateTime values.
+     * @param {boolean} [options.acceptEnumCodes] - Accept the code of an enumerated
+     * value in the place of its name, false by default.
      * @return {Object} - The Javascript Object that represents the resource
      * @throws {Error} - throws an exception if resource is not an instance of
      * Resource or fails validation.
@@ -143,6 +146,8 @@ class Serializer {
      * @param {boolean} options.validate - validate the structure of the Resource
      * with its model prior to serialization (default to true)
      * @param {number} [options.utcOffset] - UTC Offset for DateTime values.
+     * @param {boolean} [options.acceptEnumCodes] - Accept the code of an enumerated
+     * value in the place of its name, which is held as the name, false by default.
      * @return {Resource} The new populated resource
      */
     fromJSON(jsonObject, options) {
@@ -161,25 +166,26 @@ class Serializer {
         const classDeclaration = this.modelManager.getType(jsonObject.$class);
 
         // create a new instance, using the identifier field name as the ID.
+        const id = ResourceId.getIdentifier(classDeclaration, jsonObject);
         let resource;
         if (classDeclaration instanceof TransactionDeclaration) {
             resource = this.factory.newTransaction(classDeclaration.getNamespace(),
                 classDeclaration.getName(),
-                jsonObject[classDeclaration.getIdentifierFieldName()] );
+                id );
         } else if (classDeclaration instanceof EventDeclaration) {
             resource = this.factory.newEvent(classDeclaration.getNamespace(),
                 classDeclaration.getName(),
-                jsonObject[classDeclaration.getIdentifierFieldName()] );
+                id );
         } else if (classDeclaration instanceof ConceptDeclaration) {
             resource = this.factory.newConcept(classDeclaration.getNamespace(),
                 classDeclaration.getName(),
-                jsonObject[classDeclaration.getIdentifierFieldName()] );
+                id );
         } else if (classDeclaration instanceof EnumDeclaration) {
             throw new Error('Attempting to create an ENUM declaration is not supported.');
         } else {
             resource = this.factory.newResource( classDeclaration.getNamespace(),
                 classDeclaration.getName(),
-                jsonObject[classDeclaration.getIdentifierFieldName()] );
+                id );
         }
 
         // populate the resource based on the jsonObject
@@ -189,7 +195,7 @@ class Serializer {
         parameters.resourceStack = new TypedStack(resource);
         parameters.modelManager = this.modelManager;
         parameters.factory = this.factory;
-        const populator = new JSONPopulator(options.acceptResourcesForRelationships === true, options.ergo === true, options.utcOffset);
+        const populator = new JSONPopulator(options.acceptResourcesForRelationships === true, options.ergo === true, options.utcOffset, options.acceptEnumCodes === true);
         classDeclaration.accept(populator, parameters);
 
         // validate the resource against the model
@@ -18,7 +18,9 @@ const ClassDeclaration = require('../introspect/classdeclaration');
 const EnumDeclaration = require('../introspect/enumdeclaration');
 const Field = require('../introspect/field');
 const ModelUtil = require('../modelutil');
+const NumberUtil = require('../numberutil');
 const RelationshipDeclaration = require('../introspect/relationshipdeclaration');
+const ResourceId = require('../model/resourceid');
 const Util = require('../util');
 const Globalize = require('../globalize');
 
@@ -81,6 +83,12 @@ class InstanceGenerator {
      * @private
      */
     visitField(field, parameters) {
+        field = ModelUtil.getResolvedField(field, parameters.typeArguments);
+
+        if(field.isMap()) {
+            // an empty map is valid whatever the key and value types
+            return {};
+        }
         if(!field.isPrimitive()){
             let type = field.getFullyQualifiedTypeName();
             let classDeclaration = parameters.modelManager.getType(type);
@@ -102,7 +110,7 @@ class InstanceGenerator {
         let result;
         if (field.isArray()) {
             const valueSupplier = () => this.getFieldValue(field, parameters);
-            result =  parameters.valueGenerator.getArray(valueSupplier);
+            result =  parameters.valueGenerator.getArray(valueSupplier, field.getMinItems(), field.getMaxItems());
         } else {
             result = this.getFieldValue(field, parameters);
         }
@@ -124,6 +132,12 @@ class InstanceGenerator {
             switch(type) {
             case 'DateTime':
                 return parameters.valueGenerator.getDateTime();
+            case 'Date':
+                return parameters.valueGenerator.getDate();
+            case 'Time':
+                return parameters.valueGenerator.getTime();
+            case 'Duration':
+                return parameters.valueGenerator.getDuration();
             case 'Integer':
                 if(field.validator){
                     return parameters.valueGenerator.getRange(field.validator.lowerBound, field.validator.upperBound, type);
@@ -139,14 +153,31 @@ class InstanceGenerator {
                     return parameters.valueGenerator.getRange(field.validator.lowerBound, field.validator.upperBound, type);
                 }
                 return parameters.valueGenerator.getDouble();
+            case 'Decimal': {
+                const value = field.validator
+                    ? parameters.valueGenerator.getRange(field.validator.lowerBound, field.validator.upperBound, type)
+                    : parameters.valueGenerator.getDecimal();
+                const scale = field.getScale();
+                if(scale === null) {
+                    return value;
+                }
+                // truncate the generated fraction to the fixed scale of the field, padding it if needed
+                const [integer, fraction] = value.split('.');
+                return NumberUtil.toScale(`${integer}.${fraction.slice(0, scale)}`, scale);
+            }
             case 'Boolean':
                 return parameters.valueGenerator.getBoolean();
-            default:
+            default: {
                 if(field.validator){
                     return parameters.valueGenerator.getRegex(field.validator.regex);
                 }
+                const lengthValidator = field.getLengthValidator();
+                if(lengthValidator){
+                    return parameters.valueGenerator.getString(lengthValidator.getMinLength(), lengthValidator.getMaxLength());
+                }
                 return parameters.valueGenerator.getString();
             }
+            }
         }
 
         let classDeclaration = parameters.modelManager.getType(type);
@@ -163,8 +194,14 @@ class InstanceGenerator {
             id = this.generateRandomId(classDeclaration);
         }
         let resource = parameters.factory.newResource(classDeclaration.getNamespace(), classDeclaration.getName(), id);
+
+        // the type parameters of a generic type are bound to the type arguments of the field
+        const typeArguments = parameters.typeArguments;
+        parameters.typeArguments = field.getFullyQualifiedTypeArguments(typeArguments);
         parameters.stack.push(resource);
-        return classDeclaration.accept(this, parameters);
+        const result = classDeclaration.accept(this, parameters);
+        parameters.typeArguments = typeArguments;
+        return result;
     }
 
     /**
@@ -211,7 +248,7 @@ class InstanceGenerator {
             return factory.newRelationship(classDeclaration.getNamespace(), classDeclaration.getName(), id);
         };
         if (relationshipDeclaration.isArray()) {
-            return parameters.valueGenerator.getArray(valueSupplier);
+            return parameters.valueGenerator.getArray(valueSupplier, relationshipDeclaration.getMinItems(), relationshipDeclaration.getMaxItems());
         } else {
             return valueSupplier();
         }
@@ -224,9 +261,13 @@ class InstanceGenerator {
      * @return {String} an ID.
      */
     generateRandomId(classDeclaration) {
-        let id = Math.round(Math.random() * 9999).toString();
-        id = id.padStart(4, '0');
-        return id;
+        // a composite identifier has a value for each of its identifying fields
+        const values = classDeclaration.getIdentifierFieldNames().map(() => {
+            let id = Math.round(Math.random() * 9999).toString();
+            id = id.padStart(4, '0');
+            return id;
+        });
+        return ResourceId.composeIdentifier(values);
     }
 
 }
@@ -20,6 +20,7 @@ const RelationshipDeclaration = require('../introspect/relationshipdeclaration')
 const Resource = require('../model/resource');
 const Typed = require('../model/typed');
 const ModelUtil = require('../modelutil');
+const NumberUtil = require('../numberutil');
 const Util = require('../util');
 
 /**
@@ -145,18 +146,18 @@ class JSONGenerator {
     visitField(field, parameters) {
         const obj = parameters.stack.pop();
         let result;
-        if (field.isArray()) {
+        field = ModelUtil.getResolvedField(field, parameters.typeArguments);
+
+        if (field.isMap()) {
+            result = {};
+            for (let key of Object.keys(obj)) {
+                result[key] = this.convertItem(field, obj[key], parameters);
+            }
+        } else if (field.isArray()) {
             let array = [];
             // Walk the object
             for (let index in obj) {
-                const item = obj[index];
-                if (!field.isPrimitive() && !ModelUtil.isEnum(field)) {
-                    parameters.stack.push(item, Typed);
-                    const classDeclaration = parameters.modelManager.getType(item.getFullyQualifiedType());
-                    array.push(classDeclaration.accept(this, parameters));
-                } else {
-                    array.push(this.convertToJSON(field, item));
-                }
+                array.push(this.convertItem(field, obj[index], parameters));
             }
             if (this.ergo) {
                 result = {
@@ -190,7 +191,7 @@ class JSONGenerator {
         } else {
             parameters.stack.push(obj);
             const classDeclaration = parameters.modelManager.getType(obj.getFullyQualifiedType());
-            result = classDeclaration.accept(this, parameters);
+            result = this.convertObject(field, classDeclaration, parameters);
         }
         if (field.isOptional()) {
             if (this.ergo) {
@@ -204,6 +205,43 @@ class JSONGenerator {
         return result;
     }
 
+    /**
+     * Converts an item of an array or map field to JSON.
+     *
+     * @param {Field} field - the field declaration of the item
+     * @param {Object} item - the item to convert
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the JSON representation of the item
+     * @private
+     */
+    convertItem(field, item, parameters) {
+        if (!field.isPrimitive() && !ModelUtil.isEnum(field)) {
+            parameters.stack.push(item, Typed);
+            const classDeclaration = parameters.modelManager.getType(item.getFullyQualifiedType());
+            return this.convertObject(field, classDeclaration, parameters);
+        } else {
+            return this.convertToJSON(field, item);
+        }
+    }
+
+    /**
+     * Converts the object of a field, on the top of the stack, to JSON. The type
+     * parameters of a generic type are bound to the type arguments of the field.
+     *
+     * @param {Field} field - the field declaration of the object
+     * @param {ClassDeclaration} classDeclaration - the class declaration of the object
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the JSON representation of the object
+     * @private
+     */
+    convertObject(field, classDeclaration, parameters) {
+        const typeArguments = parameters.typeArguments;
+        parameters.typeArguments = field.getFullyQualifiedTypeArguments(typeArguments);
+        const result = classDeclaration.accept(this, parameters);
+        parameters.typeArguments = typeArguments;
+        return result;
+    }
+
     /**
      * Converts to JSON safe format.
      *
@@ -223,14 +261,33 @@ class JSONGenerator {
                 return objWithOffset.format(`YYYY-MM-DDTHH:mm:ss.SSS${inZ ? '[Z]': 'Z'}`);
             }
         }
-        case 'Integer':
-        case 'Long': {
+        case 'Date':
+            return obj.format('YYYY-MM-DD');
+        case 'Time':
+            return obj.format('HH:mm:ss.SSS');
+        case 'Duration':
+            return obj.toISOString();
+        case 'Integer': {
             if (this.ergo) {
                 return { $nat: obj };
             } else {
                 return obj;
             }
         }
+        case 'Long': {
+            // a BigInt cannot be represented exactly by a JSON number
+            const num = typeof obj === 'bigint' ? obj.toString() : obj;
+            if (this.ergo) {
+                return { $nat: num };
+            } else {
+                return num;
+            }
+        }
+        case 'Decimal': {
+            // a Decimal with a fixed scale is written with exactly that number of fractional digits
+            const scale = field.getScale();
+            return scale !== null && NumberUtil.isDecimal(obj) ? NumberUtil.toScale(obj, scale) || obj : obj;
+        }
         case 'Double':
         case 'Boolean':
         default:
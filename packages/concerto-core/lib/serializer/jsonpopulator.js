@@ -15,11 +15,14 @@
 'use strict';
 
 const ClassDeclaration = require('../introspect/classdeclaration');
+const DateTimeUtil = require('../datetimeutil');
 const Field = require('../introspect/field');
 const RelationshipDeclaration = require('../introspect/relationshipdeclaration');
 const Relationship = require('../model/relationship');
+const ResourceId = require('../model/resourceid');
 const Util = require('../util');
 const ModelUtil = require('../modelutil');
+const NumberUtil = require('../numberutil');
 const ValidationException = require('./validationexception');
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
@@ -89,11 +92,14 @@ class JSONPopulator {
      * place of relationships, false by default.
      * @param {boolean} [ergo] target ergo.
      * @param {number} [utcOffset] - UTC Offset for DateTime values.
+     * @param {boolean} [acceptEnumCodes] - accept the code of an enumerated value
+     * in the place of its name, false by default.
      */
-    constructor(acceptResourcesForRelationships, ergo, utcOffset) {
+    constructor(acceptResourcesForRelationships, ergo, utcOffset, acceptEnumCodes) {
         this.acceptResourcesForRelationships = acceptResourcesForRelationships;
         this.ergo = ergo;
         this.utcOffset = utcOffset || 0; // Defaults to UTC
+        this.acceptEnumCodes = acceptEnumCodes;
     }
 
     /**
@@ -158,8 +164,21 @@ class JSONPopulator {
     visitField(field, parameters) {
         let jsonObj = parameters.jsonStack.pop();
         let result = null;
+        field = ModelUtil.getResolvedField(field, parameters.typeArguments);
 
-        if(field.isArray()) {
+        if(field.isMap()) {
+            if (typeof jsonObj !== 'object' || jsonObj instanceof Array) {
+                throw new ValidationException(`Expected value ${JSON.stringify(jsonObj)} to be of type Map<${field.getMapKeyType()}, ${field.getType()}>`);
+            }
+            const keyEnumDeclaration = this.acceptEnumCodes && field.isMapKeyTypeEnum() ? field.getParent().getModelFile().getType(field.getMapKeyType()) : null;
+            result = {};
+            Object.keys(jsonObj).forEach((key) => {
+                // a key given as the code of an enumerated value is held as its name
+                const value = keyEnumDeclaration ? keyEnumDeclaration.getPropertyByNameOrCode(key) : null;
+                result[value ? value.getName() : key] = this.convertItem(field,jsonObj[key], parameters);
+            });
+        }
+        else if(field.isArray()) {
             if (this.ergo) {
                 if (Object.prototype.hasOwnProperty.call(jsonObj,'$coll')) {
                     jsonObj = jsonObj.$coll.slice(0,jsonObj.$length);
@@ -211,7 +230,7 @@ class JSONPopulator {
             // if this is identifiable, then we create a resource
             if(classDeclaration.isIdentified()) {
                 subResource = parameters.factory.newResource(classDeclaration.getNamespace(),
-                    classDeclaration.getName(), jsonItem[classDeclaration.getIdentifierFieldName()] );
+                    classDeclaration.getName(), ResourceId.getIdentifier(classDeclaration, jsonItem) );
             }
             else {
                 // otherwise we create a concept
@@ -219,10 +238,14 @@ class JSONPopulator {
                     classDeclaration.getName() );
             }
 
+            // the type parameters of a generic type are bound to the type arguments of the field
+            const typeArguments = parameters.typeArguments;
+            parameters.typeArguments = field.getFullyQualifiedTypeArguments(typeArguments);
             result = subResource;
             parameters.resourceStack.push(subResource);
             parameters.jsonStack.push(jsonItem);
             classDeclaration.accept(this, parameters);
+            parameters.typeArguments = typeArguments;
         }
         else {
             result = this.convertToObject(field,jsonItem);
@@ -255,8 +278,41 @@ class JSONPopulator {
             }
         }
             break;
-        case 'Integer':
-        case 'Long': {
+        case 'Date': {
+            // dates are not adjusted by the UTC offset, so that they never shift to another day
+            if (json && typeof json === 'object' && typeof json.isBefore === 'function') {
+                result = json;
+            } else {
+                result = DateTimeUtil.parseDate(json);
+            }
+            if (!result) {
+                throw new ValidationException(`Expected value ${JSON.stringify(json)} to be of type ${field.getType()}`);
+            }
+        }
+            break;
+        case 'Time': {
+            if (json && typeof json === 'object' && typeof json.isBefore === 'function') {
+                result = json;
+            } else {
+                result = DateTimeUtil.parseTime(json);
+            }
+            if (!result) {
+                throw new ValidationException(`Expected value ${JSON.stringify(json)} to be of type ${field.getType()}`);
+            }
+        }
+            break;
+        case 'Duration': {
+            if (dayjs.isDuration(json)) {
+                result = json;
+            } else {
+                result = DateTimeUtil.parseDuration(json);
+            }
+            if (!result) {
+                throw new ValidationException(`Expected value ${JSON.stringify(json)} to be of type ${field.getType()}`);
+            }
+        }
+            break;
+        case 'Integer': {
             const num = this.ergo ? json.$nat : json;
             if (typeof num === 'number') {
                 if (Math.trunc(num) !== num) {
@@ -269,6 +325,34 @@ class JSONPopulator {
             }
         }
             break;
+        case 'Long': {
+            // values outside the safe integer range are held as a BigInt, and
+            // must be given as a string of digits to avoid losing precision in JSON
+            const num = this.ergo ? json.$nat : json;
+            if (NumberUtil.isLong(num)) {
+                result = NumberUtil.toLong(num);
+            } else if (Number.isInteger(num)) {
+                throw new ValidationException(`Expected value ${JSON.stringify(json)} of type ${field.getType()} to be a safe integer, larger values must be given as a string`);
+            } else {
+                throw new ValidationException(`Expected value ${JSON.stringify(json)} to be of type ${field.getType()}`);
+            }
+        }
+            break;
+        case 'Decimal': {
+            // a Decimal with a fixed scale is held with exactly that number of fractional digits
+            const scale = field.getScale();
+            if (NumberUtil.isDecimal(json) && scale !== null) {
+                result = NumberUtil.toScale(json, scale);
+                if (result === null) {
+                    throw new ValidationException(`Expected value ${JSON.stringify(json)} of type ${field.getType()} to have at most ${scale} decimal places`);
+                }
+            } else if (NumberUtil.isDecimal(json)) {
+                result = json;
+            } else {
+                throw new ValidationException(`Expected value ${JSON.stringify(json)} to be of type ${field.getType()}`);
+            }
+        }
+            break;
         case 'Double': {
             if (typeof json === 'number') {
                 result = parseFloat(json);
@@ -301,6 +385,11 @@ class JSONPopulator {
                     current = current.$right;
                 }
                 result = current.$left;
+            } else if (this.acceptEnumCodes) {
+                // a value given as its code is held as its name
+                const enumDeclaration = field.getParent().getModelFile().getType(field.getType());
+                const value = enumDeclaration.getPropertyByNameOrCode(json);
+                result = value ? value.getName() : json;
             } else {
                 result = json;
             }
@@ -357,7 +446,7 @@ class JSONPopulator {
 
                     // create a new instance, using the identifier field name as the ID.
                     let subResource = parameters.factory.newResource(classDeclaration.getNamespace(),
-                        classDeclaration.getName(), jsonItem[classDeclaration.getIdentifierFieldName()] );
+                        classDeclaration.getName(), ResourceId.getIdentifier(classDeclaration, jsonItem) );
                     parameters.jsonStack.push(jsonItem);
                     parameters.resourceStack.push(subResource);
                     classDeclaration.accept(this, parameters);
@@ -387,7 +476,7 @@ class JSONPopulator {
 
                 // create a new instance, using the identifier field name as the ID.
                 let subResource = parameters.factory.newResource(classDeclaration.getNamespace(),
-                    classDeclaration.getName(), jsonObj[classDeclaration.getIdentifierFieldName()] );
+                    classDeclaration.getName(), ResourceId.getIdentifier(classDeclaration, jsonObj) );
                 parameters.jsonStack.push(jsonObj);
                 parameters.resourceStack.push(subResource);
                 classDeclaration.accept(this, parameters);
@@ -15,11 +15,14 @@
 'use strict';
 
 const ClassDeclaration = require('../introspect/classdeclaration');
+const DateTimeUtil = require('../datetimeutil');
 const Field = require('../introspect/field');
 const RelationshipDeclaration = require('../introspect/relationshipdeclaration');
 const EnumDeclaration = require('../introspect/enumdeclaration');
 const Util = require('../util');
 const ModelUtil = require('../modelutil');
+const ResourceId = require('../model/resourceid');
+const NumberUtil = require('../numberutil');
 const ValidationException = require('./validationexception');
 const Globalize = require('../globalize');
 const dayjs = require('dayjs');
@@ -55,6 +58,8 @@ class ObjectValidator {
      * @param {boolean} [options.convertResourcesToRelationships] - Convert resources that
      * are specified for relationship fields into relationships, false by default.
      * @param {boolean} [options.permitResourcesForRelationships] - Permit resources in the
+     * @param {boolean} [options.acceptEnumCodes] - Accept the code of an enumerated value
+     * in the place of its name, false by default.
      */
     constructor(concerto, options) {
         this.options = options || {};
@@ -104,6 +109,11 @@ class ObjectValidator {
             }
         }
 
+        // or, when the option is set, the code of one of the enum values
+        if(!found && this.options.acceptEnumCodes) {
+            found = enumDeclaration.getPropertyByCode(obj) !== null;
+        }
+
         if(!found) {
             ObjectValidator.reportInvalidEnumValue( parameters.rootResourceIdentifier, enumDeclaration, obj );
         }
@@ -125,6 +135,8 @@ class ObjectValidator {
         if(this.concerto.isIdentifiable(obj)) {
             parameters.rootResourceIdentifier = this.concerto.getFullyQualifiedIdentifier(obj);
         }
+        // the nested instances that are validated change the identifier reported in errors
+        const resourceIdentifier = parameters.rootResourceIdentifier;
 
         const toBeAssignedClassDeclaration = this.concerto.getModelManager().getType(obj.$class);
         const toBeAssignedClassDecName = toBeAssignedClassDeclaration.getFullyQualifiedName();
@@ -180,6 +192,15 @@ class ObjectValidator {
                 }
             }
         }
+
+        // then check the invariants that relate the properties
+        const invariants = toBeAssignedClassDeclaration.getInvariants();
+        for(let n=0; n < invariants.length; n++) {
+            const invariant = invariants[n];
+            if(!invariant.evaluate(obj)) {
+                ObjectValidator.reportInvariantViolation(resourceIdentifier, invariant);
+            }
+        }
         return null;
     }
 
@@ -203,6 +224,7 @@ class ObjectValidator {
      */
     visitField(field, parameters) {
         const obj = parameters.stack.pop();
+        field = ModelUtil.getResolvedField(field, parameters.typeArguments);
 
         let dataType = typeof(obj);
         let propName = field.getName();
@@ -211,7 +233,10 @@ class ObjectValidator {
             ObjectValidator.reportFieldTypeViolation(parameters.rootResourceIdentifier, propName, obj, field, this.concerto);
         }
 
-        if(field.isTypeEnum()) {
+        if(field.isMap()) {
+            this.checkMap(obj, field,parameters);
+        }
+        else if(field.isTypeEnum()) {
             this.checkEnum(obj, field,parameters);
         }
         else {
@@ -242,6 +267,7 @@ class ObjectValidator {
         const enumDeclaration = field.getParent().getModelFile().getType(field.getType());
 
         if(field.isArray()) {
+            this.checkArraySize(obj, field, parameters);
             for(let n=0; n < obj.length; n++) {
                 const item = obj[n];
                 parameters.stack.push(item);
@@ -255,6 +281,47 @@ class ObjectValidator {
         }
     }
 
+    /**
+     * Check a Field that is declared as a Map.
+     * @param {Object} obj - the object being validated
+     * @param {Field} field - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    checkMap(obj,field,parameters) {
+
+        if(typeof obj !== 'object' || obj instanceof Array) {
+            ObjectValidator.reportFieldTypeViolation(parameters.rootResourceIdentifier, field.getName(), obj, field, this.concerto);
+        }
+
+        const keyEnumDeclaration = field.isMapKeyTypeEnum() ? field.getParent().getModelFile().getType(field.getMapKeyType()) : null;
+        const keyScalarDeclaration = field.isMapKeyTypeScalar() ? field.getParent().getModelFile().getType(field.getMapKeyType()) : null;
+        const valueEnumDeclaration = field.isTypeEnum() ? field.getParent().getModelFile().getType(field.getType()) : null;
+
+        Object.keys(obj).forEach((key) => {
+            if(keyEnumDeclaration && !(this.options.acceptEnumCodes ? keyEnumDeclaration.getPropertyByNameOrCode(key) : keyEnumDeclaration.getProperty(key))) {
+                ObjectValidator.reportInvalidMapKey(parameters.rootResourceIdentifier, field, key);
+            }
+            // a key of a scalar type must match the regex and the length of the scalar
+            if(keyScalarDeclaration) {
+                const keyValidator = keyScalarDeclaration.getValidator();
+                const keyLengthValidator = keyScalarDeclaration.getLengthValidator();
+                if((keyValidator && !keyValidator.getRegex().test(key)) || (keyLengthValidator && !keyLengthValidator.isValidLength(key))) {
+                    ObjectValidator.reportInvalidMapKey(parameters.rootResourceIdentifier, field, key);
+                }
+            }
+
+            const item = obj[key];
+            if(valueEnumDeclaration) {
+                parameters.stack.push(item);
+                valueEnumDeclaration.accept(this, parameters);
+            }
+            else {
+                this.checkItem(item, field, parameters);
+            }
+        });
+    }
+
     /**
      * Check a Field that is declared as an Array.
      * @param {Object} obj - the object being validated
@@ -268,12 +335,28 @@ class ObjectValidator {
             ObjectValidator.reportFieldTypeViolation(parameters.rootResourceIdentifier, field.getName(), obj, field, this.concerto);
         }
 
+        this.checkArraySize(obj, field, parameters);
         for(let n=0; n < obj.length; n++) {
             const item = obj[n];
             this.checkItem(item, field, parameters);
         }
     }
 
+    /**
+     * Check the number of items of a Field or Relationship that is declared as an Array.
+     * @param {Array} obj - the array being validated
+     * @param {Property} property - the property being visited
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    checkArraySize(obj, property, parameters) {
+        const minItems = property.getMinItems();
+        const maxItems = property.getMaxItems();
+        if((minItems !== null && obj.length < minItems) || (maxItems !== null && obj.length > maxItems)) {
+            ObjectValidator.reportInvalidArraySize(parameters.rootResourceIdentifier, property, obj);
+        }
+    }
+
     /**
      * Check a single (non-array) field.
      * @param {Object} obj - the object being validated
@@ -299,12 +382,21 @@ class ObjectValidator {
                 }
                 break;
             case 'Double':
-            case 'Long':
             case 'Integer':
                 if(dataType !== 'number') {
                     invalid = true;
                 }
                 break;
+            case 'Long':
+                if(!NumberUtil.isLong(obj)) {
+                    invalid = true;
+                }
+                break;
+            case 'Decimal':
+                if(!NumberUtil.isDecimal(obj) || (field.getScale() !== null && NumberUtil.toScale(obj, field.getScale()) === null)) {
+                    invalid = true;
+                }
+                break;
             case 'Boolean':
                 if(dataType !== 'boolean') {
                     invalid = true;
@@ -315,6 +407,21 @@ class ObjectValidator {
                     invalid = true;
                 }
                 break;
+            case 'Date':
+                if(!DateTimeUtil.parseDate(obj)) {
+                    invalid = true;
+                }
+                break;
+            case 'Time':
+                if(!DateTimeUtil.parseTime(obj)) {
+                    invalid = true;
+                }
+                break;
+            case 'Duration':
+                if(!DateTimeUtil.parseDuration(obj)) {
+                    invalid = true;
+                }
+                break;
             }
             if (invalid) {
                 ObjectValidator.reportFieldTypeViolation(parameters.rootResourceIdentifier, propName, obj, field, this.concerto);
@@ -323,6 +430,10 @@ class ObjectValidator {
                 if(field.getValidator() !== null) {
                     field.getValidator().validate(parameters.currentIdentifier, obj);
                 }
+                const lengthValidator = field.getLengthValidator();
+                if(lengthValidator !== null && !lengthValidator.isValidLength(obj)) {
+                    ObjectValidator.reportInvalidStringLength(parameters.rootResourceIdentifier, field, obj);
+                }
             }
         }
         else {
@@ -339,9 +450,12 @@ class ObjectValidator {
                 ObjectValidator.reportInvalidFieldAssignment(parameters.rootResourceIdentifier, propName, obj, field);
             }
 
-            // recurse
+            // recurse, binding the type parameters of a generic type to the type arguments of the field
+            const typeArguments = parameters.typeArguments;
+            parameters.typeArguments = field.getFullyQualifiedTypeArguments(typeArguments);
             parameters.stack.push(obj);
             classDeclaration.accept(this, parameters);
+            parameters.typeArguments = typeArguments;
         }
     }
 
@@ -360,6 +474,7 @@ class ObjectValidator {
                 ObjectValidator.reportInvalidFieldAssignment(parameters.rootResourceIdentifier, relationshipDeclaration.getName(), obj, relationshipDeclaration);
             }
 
+            this.checkArraySize(obj, relationshipDeclaration, parameters);
             for(let n=0; n < obj.length; n++) {
                 const item = obj[n];
                 this.checkRelationship(parameters, relationshipDeclaration, item);
@@ -387,10 +502,19 @@ class ObjectValidator {
             ObjectValidator.reportNotRelationshipViolation(parameters.rootResourceIdentifier, relationshipDeclaration, obj);
         }
 
-        const relationshipType = this.concerto.isRelationship(obj) ? this.concerto.fromURI(obj).typeDeclaration
-            : this.concerto.getTypeDeclaration(obj);
+        const relationship = this.concerto.isRelationship(obj) ? this.concerto.fromURI(obj) : null;
+        const relationshipType = relationship ? relationship.typeDeclaration : this.concerto.getTypeDeclaration(obj);
+
+        // the identifier of a relationship to a class with a composite identifier has a value for each identifying field
+        if (relationship && relationshipType.isCompositeIdentified()) {
+            try {
+                ResourceId.decomposeIdentifier(relationship.id, relationshipType.getIdentifierFieldNames().length);
+            } catch (err) {
+                throw new ValidationException(`Invalid relationship ${obj}: ${err.message}`);
+            }
+        }
 
-        if(!relationshipType.getIdentifierFieldName()) {
+        if(!relationshipType.isIdentified()) {
             throw new Error('Relationship can only be to identified types.');
         }
 
@@ -411,6 +535,7 @@ class ObjectValidator {
      */
     static reportFieldTypeViolation(id, propName, value, field, concerto) {
         let isArray = field.isArray() ? '[]' : '';
+        let fieldType = field.isMap() ? `Map<${field.getMapKeyType()}, ${field.getType()}>` : field.getType() + isArray;
         let typeOfValue = typeof value;
 
         if( concerto.isObject(value) && concerto.isIdentifiable(value)) {
@@ -432,7 +557,7 @@ class ObjectValidator {
         throw new ValidationException(formatter({
             resourceId: id,
             propertyName: propName,
-            fieldType: field.getType() + isArray,
+            fieldType: fieldType,
             value: value,
             typeOfValue: typeOfValue
         }));
@@ -497,6 +622,77 @@ class ObjectValidator {
         }));
     }
 
+    /**
+     * Throw a new error for a map key that is not a value of the enumerated key type.
+     * @param {string} id - the identifier of this instance.
+     * @param {Field} field - the map field
+     * @param {string} key - the invalid key
+     * @private
+     */
+    static reportInvalidMapKey(id, field, key) {
+        let formatter = Globalize.messageFormatter('resourcevalidator-invalidmapkey');
+        throw new ValidationException(formatter({
+            resourceId: id,
+            key: key,
+            fieldName: field.getName(),
+            keyType: field.getMapKeyType()
+        }));
+    }
+
+    /**
+     * Throw a new error for a string value with a length outside the bounds of the field.
+     * @param {string} id - the identifier of this instance.
+     * @param {Field} field - the String field
+     * @param {string} value - the invalid value
+     * @private
+     */
+    static reportInvalidStringLength(id, field, value) {
+        const lengthValidator = field.getLengthValidator();
+        let formatter = Globalize.messageFormatter('resourcevalidator-invalidstringlength');
+        throw new ValidationException(formatter({
+            resourceId: id,
+            value: value,
+            length: value.length,
+            fieldName: field.getName(),
+            minLength: lengthValidator.getMinLength() === null ? '' : lengthValidator.getMinLength(),
+            maxLength: lengthValidator.getMaxLength() === null ? '' : lengthValidator.getMaxLength()
+        }));
+    }
+
+    /**
+     * Throw a new error for an array with a number of items outside the bounds of the property.
+     * @param {string} id - the identifier of this instance.
+     * @param {Property} property - the Field or Relationship declared as an array
+     * @param {Array} value - the invalid array
+     * @private
+     */
+    static reportInvalidArraySize(id, property, value) {
+        let formatter = Globalize.messageFormatter('resourcevalidator-invalidarraysize');
+        throw new ValidationException(formatter({
+            resourceId: id,
+            size: value.length,
+            fieldName: property.getName(),
+            minItems: property.getMinItems() === null ? '' : property.getMinItems(),
+            maxItems: property.getMaxItems() === null ? '' : property.getMaxItems()
+        }));
+    }
+
+    /**
+     * Throw a new error for an instance that violates an invariant of its class.
+     * @param {string} id - the identifier of this instance.
+     * @param {Invariant} invariant - the invariant that is violated
+     * @private
+     */
+    static reportInvariantViolation(id, invariant) {
+        let formatter = Globalize.messageFormatter('resourcevalidator-invariantviolation');
+        throw new ValidationException(formatter({
+            resourceId: id,
+            invariantName: invariant.getName(),
+            className: invariant.getParent().getFullyQualifiedName(),
+            expression: invariant.getExpression()
+        }));
+    }
+
     /**
      * Throw a validation exception for an abstract class
      * @param {ClassDeclaration} classDeclaration - the class declaration
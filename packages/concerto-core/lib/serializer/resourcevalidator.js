@@ -23,8 +23,12 @@ const Resource = require('../model/resource');
 const Identifiable = require('../model/identifiable');
 const Util = require('../util');
 const ModelUtil = require('../modelutil');
+const NumberUtil = require('../numberutil');
 const ValidationException = require('./validationexception');
 const Globalize = require('../globalize');
+const dayjs = require('dayjs');
+const duration = require('dayjs/plugin/duration');
+dayjs.extend(duration);
 
 /**
  * <p>
@@ -54,6 +58,8 @@ class ResourceValidator {
      * @param {boolean} options.convertResourcesToRelationships - Convert resources that
      * are specified for relationship fields into relationships, false by default.
      * @param {boolean} options.permitResourcesForRelationships - Permit resources in the
+     * @param {boolean} options.acceptEnumCodes - Accept the code of an enumerated value
+     * in the place of its name, false by default.
      */
     constructor(options) {
         this.options = options || {};
@@ -99,6 +105,11 @@ class ResourceValidator {
             }
         }
 
+        // or, when the option is set, the code of one of the enum values
+        if(!found && this.options.acceptEnumCodes) {
+            found = enumDeclaration.getPropertyByCode(obj) !== null;
+        }
+
         if(!found) {
             ResourceValidator.reportInvalidEnumValue(parameters.rootResourceIdentifier, enumDeclaration, obj);
         }
@@ -125,6 +136,8 @@ class ResourceValidator {
         if(obj instanceof Identifiable) {
             parameters.rootResourceIdentifier = obj.getFullyQualifiedIdentifier();
         }
+        // the nested instances that are validated change the identifier reported in errors
+        const resourceIdentifier = parameters.rootResourceIdentifier;
 
         const toBeAssignedClassDeclaration = parameters.modelManager.getType(obj.getFullyQualifiedType());
         const toBeAssignedClassDecName = toBeAssignedClassDeclaration.getFullyQualifiedName();
@@ -179,6 +192,15 @@ class ResourceValidator {
                 }
             }
         }
+
+        // then check the invariants that relate the properties
+        const invariants = toBeAssignedClassDeclaration.getInvariants();
+        for(let n=0; n < invariants.length; n++) {
+            const invariant = invariants[n];
+            if(!invariant.evaluate(obj)) {
+                ResourceValidator.reportInvariantViolation(resourceIdentifier, invariant);
+            }
+        }
         return null;
     }
 
@@ -202,6 +224,7 @@ class ResourceValidator {
      */
     visitField(field, parameters) {
         const obj = parameters.stack.pop();
+        field = ModelUtil.getResolvedField(field, parameters.typeArguments);
 
         let dataType = typeof(obj);
         let propName = field.getName();
@@ -210,7 +233,10 @@ class ResourceValidator {
             ResourceValidator.reportFieldTypeViolation(parameters.rootResourceIdentifier, propName, obj, field);
         }
 
-        if(field.isTypeEnum()) {
+        if(field.isMap()) {
+            this.checkMap(obj, field,parameters);
+        }
+        else if(field.isTypeEnum()) {
             this.checkEnum(obj, field,parameters);
         }
         else {
@@ -241,6 +267,7 @@ class ResourceValidator {
         const enumDeclaration = field.getParent().getModelFile().getType(field.getType());
 
         if(field.isArray()) {
+            this.checkArraySize(obj, field, parameters);
             for(let n=0; n < obj.length; n++) {
                 const item = obj[n];
                 parameters.stack.push(item);
@@ -254,6 +281,47 @@ class ResourceValidator {
         }
     }
 
+    /**
+     * Check a Field that is declared as a Map.
+     * @param {Object} obj - the object being validated
+     * @param {Field} field - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    checkMap(obj,field,parameters) {
+
+        if(typeof obj !== 'object' || obj instanceof Array) {
+            ResourceValidator.reportFieldTypeViolation(parameters.rootResourceIdentifier, field.getName(), obj, field);
+        }
+
+        const keyEnumDeclaration = field.isMapKeyTypeEnum() ? field.getParent().getModelFile().getType(field.getMapKeyType()) : null;
+        const keyScalarDeclaration = field.isMapKeyTypeScalar() ? field.getParent().getModelFile().getType(field.getMapKeyType()) : null;
+        const valueEnumDeclaration = field.isTypeEnum() ? field.getParent().getModelFile().getType(field.getType()) : null;
+
+        Object.keys(obj).forEach((key) => {
+            if(keyEnumDeclaration && !(this.options.acceptEnumCodes ? keyEnumDeclaration.getPropertyByNameOrCode(key) : keyEnumDeclaration.getProperty(key))) {
+                ResourceValidator.reportInvalidMapKey(parameters.rootResourceIdentifier, field, key);
+            }
+            // a key of a scalar type must match the regex and the length of the scalar
+            if(keyScalarDeclaration) {
+                const keyValidator = keyScalarDeclaration.getValidator();
+                const keyLengthValidator = keyScalarDeclaration.getLengthValidator();
+                if((keyValidator && !keyValidator.getRegex().test(key)) || (keyLengthValidator && !keyLengthValidator.isValidLength(key))) {
+                    ResourceValidator.reportInvalidMapKey(parameters.rootResourceIdentifier, field, key);
+                }
+            }
+
+            const item = obj[key];
+            if(valueEnumDeclaration) {
+                parameters.stack.push(item);
+                valueEnumDeclaration.accept(this, parameters);
+            }
+            else {
+                this.checkItem(item, field, parameters);
+            }
+        });
+    }
+
     /**
      * Check a Field that is declared as an Array.
      * @param {Object} obj - the object being validated
@@ -267,12 +335,28 @@ class ResourceValidator {
             ResourceValidator.reportFieldTypeViolation(parameters.rootResourceIdentifier, field.getName(), obj, field);
         }
 
+        this.checkArraySize(obj, field, parameters);
         for(let n=0; n < obj.length; n++) {
             const item = obj[n];
             this.checkItem(item, field, parameters);
         }
     }
 
+    /**
+     * Check the number of items of a Field or Relationship that is declared as an Array.
+     * @param {Array} obj - the array being validated
+     * @param {Property} property - the property being visited
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    checkArraySize(obj, property, parameters) {
+        const minItems = property.getMinItems();
+        const maxItems = property.getMaxItems();
+        if((minItems !== null && obj.length < minItems) || (maxItems !== null && obj.length > maxItems)) {
+            ResourceValidator.reportInvalidArraySize(parameters.rootResourceIdentifier, property, obj);
+        }
+    }
+
     /**
      * Check a single (non-array) field.
      * @param {Object} obj - the object being validated
@@ -297,7 +381,6 @@ class ResourceValidator {
                     invalid = true;
                 }
                 break;
-            case 'Long':
             case 'Integer':
             case 'Double': {
                 if(dataType !== 'number') {
@@ -308,16 +391,33 @@ class ResourceValidator {
                 }
             }
                 break;
+            case 'Long':
+                if(dataType !== 'bigint' && (dataType !== 'number' || !isFinite(obj))) {
+                    invalid = true;
+                }
+                break;
+            case 'Decimal':
+                if(!NumberUtil.isDecimal(obj) || (field.getScale() !== null && NumberUtil.toScale(obj, field.getScale()) === null)) {
+                    invalid = true;
+                }
+                break;
             case 'Boolean':
                 if(dataType !== 'boolean') {
                     invalid = true;
                 }
                 break;
             case 'DateTime':
+            case 'Date':
+            case 'Time':
                 if(!(typeof obj === 'object' && typeof obj.isBefore === 'function')) {
                     invalid = true;
                 }
                 break;
+            case 'Duration':
+                if(!dayjs.isDuration(obj)) {
+                    invalid = true;
+                }
+                break;
             }
             if (invalid) {
                 ResourceValidator.reportFieldTypeViolation(parameters.rootResourceIdentifier, propName, obj, field);
@@ -326,6 +426,10 @@ class ResourceValidator {
                 if(field.getValidator() !== null) {
                     field.getValidator().validate(parameters.currentIdentifier, obj);
                 }
+                const lengthValidator = field.getLengthValidator();
+                if(lengthValidator !== null && !lengthValidator.isValidLength(obj)) {
+                    ResourceValidator.reportInvalidStringLength(parameters.rootResourceIdentifier, field, obj);
+                }
             }
         }
         else {
@@ -344,9 +448,12 @@ class ResourceValidator {
                 }
             }
 
-            // recurse
+            // recurse, binding the type parameters of a generic type to the type arguments of the field
+            const typeArguments = parameters.typeArguments;
+            parameters.typeArguments = field.getFullyQualifiedTypeArguments(typeArguments);
             parameters.stack.push(obj);
             classDeclaration.accept(this, parameters);
+            parameters.typeArguments = typeArguments;
         }
     }
 
@@ -365,6 +472,7 @@ class ResourceValidator {
                 ResourceValidator.reportInvalidFieldAssignment(parameters.rootResourceIdentifier, relationshipDeclaration.getName(), obj, relationshipDeclaration);
             }
 
+            this.checkArraySize(obj, relationshipDeclaration, parameters);
             for(let n=0; n < obj.length; n++) {
                 const item = obj[n];
                 this.checkRelationship(parameters, relationshipDeclaration, item);
@@ -394,7 +502,7 @@ class ResourceValidator {
 
         const relationshipType = parameters.modelManager.getType(obj.getFullyQualifiedType());
 
-        if(!relationshipType.getIdentifierFieldName()) {
+        if(!relationshipType.isIdentified()) {
             throw new Error('Cannot have a relationship to a field that is not identifiable.');
         }
 
@@ -414,6 +522,7 @@ class ResourceValidator {
      */
     static reportFieldTypeViolation(id, propName, value, field) {
         let isArray = field.isArray() ? '[]' : '';
+        let fieldType = field.isMap() ? `Map<${field.getMapKeyType()}, ${field.getType()}>` : field.getType() + isArray;
         let typeOfValue = typeof value;
 
         if(value instanceof Identifiable) {
@@ -439,7 +548,7 @@ class ResourceValidator {
         throw new ValidationException(formatter({
             resourceId: id,
             propertyName: propName,
-            fieldType: field.getType() + isArray,
+            fieldType: fieldType,
             value: value,
             typeOfValue: typeOfValue
         }));
@@ -520,6 +629,77 @@ class ResourceValidator {
         }));
     }
 
+    /**
+     * Throw a new error for a map key that is not a value of the enumerated key type.
+     * @param {string} id - the identifier of this instance.
+     * @param {Field} field - the map field
+     * @param {string} key - the invalid key
+     * @private
+     */
+    static reportInvalidMapKey(id, field, key) {
+        let formatter = Globalize.messageFormatter('resourcevalidator-invalidmapkey');
+        throw new ValidationException(formatter({
+            resourceId: id,
+            key: key,
+            fieldName: field.getName(),
+            keyType: field.getMapKeyType()
+        }));
+    }
+
+    /**
+     * Throw a new error for a string value with a length outside the bounds of the field.
+     * @param {string} id - the identifier of this instance.
+     * @param {Field} field - the String field
+     * @param {string} value - the invalid value
+     * @private
+     */
+    static reportInvalidStringLength(id, field, value) {
+        const lengthValidator = field.getLengthValidator();
+        let formatter = Globalize.messageFormatter('resourcevalidator-invalidstringlength');
+        throw new ValidationException(formatter({
+            resourceId: id,
+            value: value,
+            length: value.length,
+            fieldName: field.getName(),
+            minLength: lengthValidator.getMinLength() === null ? '' : lengthValidator.getMinLength(),
+            maxLength: lengthValidator.getMaxLength() === null ? '' : lengthValidator.getMaxLength()
+        }));
+    }
+
+    /**
+     * Throw a new error for an array with a number of items outside the bounds of the property.
+     * @param {string} id - the identifier of this instance.
+     * @param {Property} property - the Field or Relationship declared as an array
+     * @param {Array} value - the invalid array
+     * @private
+     */
+    static reportInvalidArraySize(id, property, value) {
+        let formatter = Globalize.messageFormatter('resourcevalidator-invalidarraysize');
+        throw new ValidationException(formatter({
+            resourceId: id,
+            size: value.length,
+            fieldName: property.getName(),
+            minItems: property.getMinItems() === null ? '' : property.getMinItems(),
+            maxItems: property.getMaxItems() === null ? '' : property.getMaxItems()
+        }));
+    }
+
+    /**
+     * Throw a new error for an instance that violates an invariant of its class.
+     * @param {string} id - the identifier of this instance.
+     * @param {Invariant} invariant - the invariant that is violated
+     * @private
+     */
+    static reportInvariantViolation(id, invariant) {
+        let formatter = Globalize.messageFormatter('resourcevalidator-invariantviolation');
+        throw new ValidationException(formatter({
+            resourceId: id,
+            invariantName: invariant.getName(),
+            className: invariant.getParent().getFullyQualifiedName(),
+            expression: invariant.getExpression()
+        }));
+    }
+
     /**
      * Throw a validation exception for an abstract class
      * @param {ClassDeclaration} classDeclaration - the class declaration
@@ -19,6 +19,8 @@ const RandExp = require('randexp');
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
 dayjs.extend(utc);
+const duration = require('dayjs/plugin/duration');
+dayjs.extend(duration);
 
 /**
  * Generate a random number within a given range with
@@ -51,8 +53,8 @@ const randomNumberInRangeWithPrecision = function (userMin, userMax, precision,
  * @param {number} lowerBound the lower bound on the range, inclusive.
  * @param {number} upperBound the upper bound on the range, inclusive.
  * @param {string} type the number type for the range,
- *  `'Long'`, `'Double'`, or `'Integer'`
- * @return {number} a number.
+ *  `'Long'`, `'Double'`, `'Decimal'` or `'Integer'`
+ * @return {number} a number, or a decimal string for a `'Decimal'` range.
  * @private
  */
 const getRange = (lowerBound, upperBound, type) => {
@@ -80,11 +82,45 @@ const getRange = (lowerBound, upperBound, type) => {
                 .toFixed(3)
         );
     }
+    case 'Decimal': {
+        // round down so that the value does not exceed the upper bound
+        const value = randomNumberInRangeWithPrecision(min, max, 0.01, -Math.pow(2, 16), Math.pow(2, 16));
+        return (Math.floor(value * 100) / 100).toFixed(2);
+    }
     default:
         return 0;
     }
 };
 
+/**
+ * Truncate a string to a maximum length.
+ * @param {string} value the string value.
+ * @param {number} maxLength the maximum length, inclusive, or null.
+ * @return {string} the string, truncated to the maximum length.
+ * @private
+ */
+const truncate = (value, maxLength) => {
+    if (maxLength !== null && maxLength !== undefined && value.length > maxLength) {
+        return value.substring(0, maxLength);
+    }
+    return value;
+};
+
+/**
+ * Get an array of values using the supplied callback
+ * @param {Function} valueSupplier - callback to obtain values
+ * @param {number} count - the number of values
+ * @return {Array} an array of values
+ * @private
+ */
+const getItems = (valueSupplier, count) => {
+    const result = [];
+    for (let n = 0; n < count; n++) {
+        result.push(valueSupplier());
+    }
+    return result;
+};
+
 /**
  * Empty value generator.
  * @private
@@ -106,6 +142,30 @@ class EmptyValueGenerator {
         return this.currentDate;
     }
 
+    /**
+     * Get a default Date value.
+     * @return {object} a date value, today at midnight UTC.
+     */
+    getDate() {
+        return this.currentDate.startOf('day');
+    }
+
+    /**
+     * Get a default Time value.
+     * @return {object} a time value, midnight on 1970-01-01 UTC.
+     */
+    getTime() {
+        return dayjs.utc(0);
+    }
+
+    /**
+     * Get a default Duration value.
+     * @return {object} a duration value of zero.
+     */
+    getDuration() {
+        return dayjs.duration(0);
+    }
+
     /**
      * Get a default Integer value.
      * @return {number} an Integer value.
@@ -130,6 +190,14 @@ class EmptyValueGenerator {
         return 0.000;
     }
 
+    /**
+     * Get a default Decimal value.
+     * @return {string} a Decimal value.
+     */
+    getDecimal() {
+        return '0.00';
+    }
+
     /**
      * Get a default Boolean value.
      * @return {boolean} a Boolean value.
@@ -140,10 +208,12 @@ class EmptyValueGenerator {
 
     /**
      * Get a default String value.
+     * @param {number} [minLength] the minimum length of the string, inclusive.
+     * @param {number} [maxLength] the maximum length of the string, inclusive.
      * @return {string} a String value.
      */
-    getString() {
-        return '';
+    getString(minLength, maxLength) {
+        return minLength ? ' '.repeat(minLength) : '';
     }
 
     /**
@@ -158,10 +228,11 @@ class EmptyValueGenerator {
     /**
      * Get an array using the supplied callback to obtain array values.
      * @param {Function} valueSupplier - callback to obtain values.
-     * @return {Array} an array
+     * @param {number} [minItems] - the minimum number of items, if any.
+     * @return {Array} an array with the minimum number of items.
      */
-    getArray(valueSupplier) {
-        return [];
+    getArray(valueSupplier, minItems) {
+        return getItems(valueSupplier, minItems || 0);
     }
 
     /**
@@ -178,8 +249,8 @@ class EmptyValueGenerator {
      * @param {number} lowerBound the lower bound on the range, inclusive.
      * @param {number} upperBound the upper bound on the range, inclusive.
      * @param {string} type the number type for the range,
-     *  `'Long'`, `'Double'`, or `'Integer'`
-     * @return {number} a number.
+     *  `'Long'`, `'Double'`, `'Decimal'` or `'Integer'`
+     * @return {number} a number, or a decimal string for a `'Decimal'` range.
      */
     getRange(lowerBound, upperBound, type) {
         return getRange(lowerBound, upperBound, type);
@@ -223,6 +294,30 @@ class SampleValueGenerator extends EmptyValueGenerator {
         return Number((Math.random() * Math.pow(2, 8)).toFixed(3));
     }
 
+    /**
+     * Get a randomly generated sample Time value.
+     * @return {object} a time value on 1970-01-01 UTC.
+     */
+    getTime() {
+        return dayjs.utc(Math.floor(Math.random() * 24 * 60) * 60 * 1000);
+    }
+
+    /**
+     * Get a randomly generated sample Duration value.
+     * @return {object} a duration value of a whole number of minutes, up to one week.
+     */
+    getDuration() {
+        return dayjs.duration(Math.floor(Math.random() * 7 * 24 * 60), 'minutes');
+    }
+
+    /**
+     * Get a randomly generated sample Decimal value.
+     * @return {string} a Decimal value.
+     */
+    getDecimal() {
+        return (Math.random() * Math.pow(2, 16)).toFixed(2);
+    }
+
     /**
      * Get a randomly generated sample Boolean value.
      * @return {boolean} a Boolean value.
@@ -233,16 +328,23 @@ class SampleValueGenerator extends EmptyValueGenerator {
 
     /**
      * Get a randomly generated sample String value.
+     * @param {number} [minLength] the minimum length of the string, inclusive.
+     * @param {number} [maxLength] the maximum length of the string, inclusive.
      * @return {string} a String value.
      */
-    getString() {
-        return loremIpsum({
-            count: 1                        // Number of words, sentences, or paragraphs to generate.
-            , units: 'sentences'            // Generate words, sentences, or paragraphs.
-            , sentenceLowerBound: 1         // Minimum words per sentence.
-            , sentenceUpperBound: 5         // Maximum words per sentence.
+    getString(minLength, maxLength) {
+        let value = '';
+        do {
+            const sentence = loremIpsum({
+                count: 1                        // Number of words, sentences, or paragraphs to generate.
+                , units: 'sentences'            // Generate words, sentences, or paragraphs.
+                , sentenceLowerBound: 1         // Minimum words per sentence.
+                , sentenceUpperBound: 5         // Maximum words per sentence.
 
-        });
+            });
+            value = value ? value + ' ' + sentence : sentence;
+        } while (minLength && value.length < minLength);
+        return truncate(value, maxLength);
     }
 
 
@@ -258,10 +360,16 @@ class SampleValueGenerator extends EmptyValueGenerator {
     /**
      * Get an array using the supplied callback to obtain array values.
      * @param {Function} valueSupplier - callback to obtain values.
-     * @return {Array} an array
+     * @param {number} [minItems] - the minimum number of items, if any.
+     * @param {number} [maxItems] - the maximum number of items, if any.
+     * @return {Array} an array with one item, or the minimum number of items if greater.
      */
-    getArray(valueSupplier) {
-        return [valueSupplier()];
+    getArray(valueSupplier, minItems, maxItems) {
+        let count = Math.max(minItems || 0, 1);
+        if (typeof maxItems === 'number') {
+            count = Math.min(count, maxItems);
+        }
+        return getItems(valueSupplier, count);
     }
 
     /**
@@ -278,8 +386,8 @@ class SampleValueGenerator extends EmptyValueGenerator {
      * @param {number} lowerBound the lower bound on the range, inclusive.
      * @param {number} upperBound the upper bound on the range, inclusive.
      * @param {string} type the number type for the range,
-     *  `'Long'`, `'Double'`, or `'Integer'`
-     * @return {number} a number.
+     *  `'Long'`, `'Double'`, `'Decimal'` or `'Integer'`
+     * @return {number} a number, or a decimal string for a `'Decimal'` range.
      */
     getRange(lowerBound, upperBound, type) {
         return getRange(lowerBound, upperBound, type);
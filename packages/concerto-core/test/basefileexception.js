@@ -40,6 +40,11 @@ describe('BaseFileException', function () {
             exc.getFileLocation().should.deep.equal({start: 1, end: 2});
         });
 
+        it('should have a null fileLocation if it has no location', function () {
+            let exc = new BaseFileException('message');
+            (exc.getFileLocation() === null).should.equal(true);
+        });
+
         it('should have a short message', function () {
             let exc = new BaseFileException('message', {start: 1, end: 2}, 'full message');
             exc.getShortMessage().should.equal('message');
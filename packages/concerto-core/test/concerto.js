@@ -24,6 +24,7 @@ chai.use(require('chai-as-promised'));
 
 const ModelManager = require('../lib/modelmanager');
 const Concerto = require('../lib/concerto');
+const ValidationException = require('../lib/serializer/validationexception');
 
 describe('concerto', () => {
 
@@ -76,6 +77,16 @@ describe('concerto', () => {
             ssn.should.equal('123456789');
         });
 
+        it('should return a composite identifier', () => {
+            const obj = {
+                $class : 'org.accordproject.test.Account',
+                region: 'EU',
+                accountNumber: '12,345'
+            };
+
+            concerto.getIdentifier(obj).should.equal('EU,12%2C345');
+        });
+
         it('should not return the identifier', () => {
             const obj = {
                 $class : 'org.accordproject.test.Product',
@@ -102,6 +113,43 @@ describe('concerto', () => {
             const clone = concerto.setIdentifier(obj, 'abcdefg');
             clone.ssn.should.equal('abcdefg');
         });
+
+        it('should set the fields of a composite identifier', () => {
+            const obj = {
+                $class : 'org.accordproject.test.Account',
+                region: 'EU',
+                accountNumber: '12345'
+            };
+
+            const clone = concerto.setIdentifier(obj, 'US,12%2C345');
+            clone.region.should.equal('US');
+            clone.accountNumber.should.equal('12,345');
+            obj.region.should.equal('EU');
+        });
+
+        it('should fail to set a composite identifier with the wrong number of values', () => {
+            const obj = {
+                $class : 'org.accordproject.test.Account',
+                region: 'EU',
+                accountNumber: '12345'
+            };
+
+            (() => {
+                concerto.setIdentifier(obj, 'US');
+            }).should.throw(/Invalid composite identifier US, expected 2 values separated by commas/);
+        });
+
+        it('should fail to set a composite identifier whose values are not percent-encoded', () => {
+            const obj = {
+                $class : 'org.accordproject.test.Account',
+                region: 'EU',
+                accountNumber: '12345'
+            };
+
+            (() => {
+                concerto.setIdentifier(obj, 'EU,100%');
+            }).should.throw(/Invalid composite identifier EU,100%, the value 100% is not percent-encoded/);
+        });
     });
 
     describe('#getFullyQualifiedIdentifier', () => {
@@ -146,6 +194,20 @@ describe('concerto', () => {
             result.typeDeclaration.getName().should.equal('Person');
             result.id.should.equal('123456789');
         });
+
+        it('should be able to roundtrip toURI and fromURI with a composite identifier', () => {
+            const obj = {
+                $class : 'org.accordproject.test.Account',
+                region: 'E,U',
+                accountNumber: '12 345'
+            };
+
+            const uri = concerto.toURI(obj);
+            uri.should.equal('resource:org.accordproject.test.Account#E%252CU,12%20345');
+            const result = concerto.fromURI(uri);
+            result.typeDeclaration.getName().should.equal('Account');
+            concerto.setIdentifier({ $class: 'org.accordproject.test.Account' }, result.id).should.deep.equal(obj);
+        });
     });
 
     describe('#getTypeDeclaration', () => {
@@ -321,6 +383,42 @@ describe('concerto', () => {
             }).should.throw(/Instance org.accordproject.test.Customer# has an empty identifier./);
         });
 
+        it('should validate a relationship to an instance with a composite identifier', () => {
+            const obj = {
+                $class : 'org.accordproject.test.Account',
+                region: 'EU',
+                accountNumber: '12345',
+                parent: 'resource:org.accordproject.test.Account#EU,1'
+            };
+
+            concerto.validate(obj);
+        });
+
+        it('should fail with a relationship whose composite identifier has the wrong number of values', () => {
+            const obj = {
+                $class : 'org.accordproject.test.Account',
+                region: 'EU',
+                accountNumber: '12345',
+                parent: 'resource:org.accordproject.test.Account#EU'
+            };
+
+            (() => {
+                concerto.validate(obj);
+            }).should.throw(ValidationException, /Invalid relationship resource:org.accordproject.test.Account#EU: Invalid composite identifier EU, expected 2 values separated by commas/);
+        });
+
+        it('should fail with an empty value of a composite identifier', () => {
+            const obj = {
+                $class : 'org.accordproject.test.Account',
+                region: 'EU',
+                accountNumber: ' '
+            };
+
+            (() => {
+                concerto.validate(obj);
+            }).should.throw(/Instance org.accordproject.test.Account#null has an empty identifier./);
+        });
+
         it('should fail with missing required property', () => {
             const obj = {
                 $class : 'org.accordproject.test.Customer',
@@ -346,6 +444,35 @@ describe('concerto', () => {
             }).should.throw(/Model violation in instance org.accordproject.test.Employee#001 field pets has value/);
         });
 
+        it('should compare decimals exactly in invariants', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            concept I {
+                o Decimal a
+                o Decimal b
+                invariant lt: a < b
+            }`, 'invariant.cto');
+            const concerto = new Concerto(modelManager);
+
+            concerto.validate({ $class: 'org.acme.I', a: '12345678901234567890.1', b: '12345678901234567890.2' });
+            (() => {
+                concerto.validate({ $class: 'org.acme.I', a: '12345678901234567890.2', b: '12345678901234567890.1' });
+            }).should.throw(/violates the invariant lt of org.acme.I: a < b/);
+        });
+
+        it('should fail with a top-level instance of a generic type', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            concept Page<T> {
+                o T[] items
+            }`, 'page.cto');
+            const concerto = new Concerto(modelManager);
+
+            (() => {
+                concerto.validate({ $class: 'org.acme.Page', items: ['a'] });
+            }).should.throw(ValidationException, /No type is bound to the type parameter T of field org.acme.Page.items/);
+        });
+
         it('should fail with abstract type', () => {
             const obj = {
                 $class : 'org.accordproject.test.Person',
@@ -43,3 +43,37 @@ describe('Initialize current time', () => {
         return currentTime.format().should.not.be.null;
     });
 });
+
+describe('Parse dates, times and durations', () => {
+    it('Should parse a date at midnight UTC', function () {
+        DateTimeUtil.parseDate('1999-12-31').format().should.equal('1999-12-31T00:00:00Z');
+        DateTimeUtil.parseDate('2020-02-29').format('YYYY-MM-DD').should.equal('2020-02-29');
+    });
+    it('Should not parse an invalid date', function () {
+        (DateTimeUtil.parseDate('2021-02-30') === null).should.be.true;
+        (DateTimeUtil.parseDate('1999-12-31T00:00:00Z') === null).should.be.true;
+        (DateTimeUtil.parseDate('99-1-1') === null).should.be.true;
+        (DateTimeUtil.parseDate(19991231) === null).should.be.true;
+    });
+    it('Should parse a time on 1970-01-01 UTC', function () {
+        DateTimeUtil.parseTime('23:59').format().should.equal('1970-01-01T23:59:00Z');
+        DateTimeUtil.parseTime('23:59:59.999').format('HH:mm:ss.SSS').should.equal('23:59:59.999');
+    });
+    it('Should not parse an invalid time', function () {
+        (DateTimeUtil.parseTime('24:00') === null).should.be.true;
+        (DateTimeUtil.parseTime('12:00:00Z') === null).should.be.true;
+        (DateTimeUtil.parseTime('12:00:00.1234') === null).should.be.true;
+        (DateTimeUtil.parseTime(null) === null).should.be.true;
+    });
+    it('Should parse an ISO 8601 duration', function () {
+        DateTimeUtil.parseDuration('P1Y2M3DT4H5M6S').toISOString().should.equal('P1Y2M3DT4H5M6S');
+        DateTimeUtil.parseDuration('PT1.5S').asMilliseconds().should.equal(1500);
+        DateTimeUtil.parseDuration('P1W').asDays().should.equal(7);
+    });
+    it('Should not parse an invalid duration', function () {
+        (DateTimeUtil.parseDuration('P') === null).should.be.true;
+        (DateTimeUtil.parseDuration('P1DT') === null).should.be.true;
+        (DateTimeUtil.parseDuration('1 day') === null).should.be.true;
+        (DateTimeUtil.parseDuration(86400) === null).should.be.true;
+    });
+});
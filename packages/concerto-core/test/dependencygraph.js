@@ -0,0 +1,204 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const DependencyGraph = require('../lib/dependencygraph');
+const ModelManager = require('../lib/modelmanager');
+
+require('chai').should();
+
+describe('DependencyGraph', () => {
+
+    const party = `namespace org.party
+    abstract participant Party identified by id {
+        o String id
+    }
+    concept Auditable {
+        o DateTime created optional
+    }`;
+    const money = `namespace org.money
+    enum Currency {
+        o EUR
+        o USD
+    }
+    concept Money {
+        o Double amount
+        o Currency currency
+    }`;
+    const order = `namespace org.order
+    import org.party.{Party, Auditable}
+    import org.money.*
+    import org.product.Product
+    concept Page<T> {
+        o T[] items
+    }
+    participant Customer extends Party with Auditable {
+        --> Order[] orders optional
+    }
+    asset Order identified by number {
+        o String number
+        --> Customer customer
+        o Money total
+        o Map<Currency, Integer> quantities
+        o Page<Product> products
+    }`;
+    const product = `namespace org.product
+    asset Product identified by sku {
+        o String sku
+    }`;
+
+    let modelManager;
+
+    beforeEach(() => {
+        modelManager = new ModelManager();
+        modelManager.addModelFiles([party, money, product, order]);
+    });
+
+    describe('#getDependencyGraph', () => {
+
+        it('should return the dependency graph of the model manager', () => {
+            modelManager.getDependencyGraph().should.be.an.instanceOf(DependencyGraph);
+        });
+    });
+
+    describe('#getNamespaces', () => {
+
+        it('should return the namespaces, without the system namespace', () => {
+            modelManager.getDependencyGraph().getNamespaces().should.deep.equal(['org.money', 'org.order', 'org.party', 'org.product']);
+        });
+
+        it('should add the namespaces that are referred to but not registered', () => {
+            modelManager = new ModelManager();
+            modelManager.addModelFile('namespace org.acme import org.missing.Thing', null, true);
+            modelManager.getDependencyGraph().getNamespaces().should.deep.equal(['org.acme', 'org.missing']);
+        });
+    });
+
+    describe('#getEdges', () => {
+
+        it('should return the typed edges between namespaces', () => {
+            modelManager.getDependencyGraph().getEdges().map((edge) => `${edge.from} -${edge.type}-> ${edge.to}: ${edge.source} ${edge.target}`).should.deep.equal([
+                'org.order -import-> org.party: org.order org.party.Party',
+                'org.order -import-> org.party: org.order org.party.Auditable',
+                'org.order -import-> org.money: org.order org.money.*',
+                'org.order -import-> org.product: org.order org.product.Product',
+                'org.order -extends-> org.party: org.order.Customer org.party.Party',
+                'org.order -extends-> org.party: org.order.Customer org.party.Auditable',
+                'org.order -field-> org.money: org.order.Order.total org.money.Money',
+                'org.order -field-> org.money: org.order.Order.quantities org.money.Currency',
+                'org.order -field-> org.product: org.order.Order.products org.product.Product'
+            ]);
+        });
+    });
+
+    describe('#getDependencies', () => {
+
+        it('should return the namespaces that a namespace depends on', () => {
+            const graph = modelManager.getDependencyGraph();
+            graph.getDependencies('org.order').should.deep.equal(['org.money', 'org.party', 'org.product']);
+            graph.getDependencies('org.party').should.deep.equal([]);
+        });
+
+        it('should return the transitive dependencies of a namespace', () => {
+            modelManager.addModelFile(`namespace org.shop
+            import org.order.Order
+            concept Basket {
+                --> Order order
+            }`);
+            const graph = modelManager.getDependencyGraph();
+            graph.getEdges().pop().type.should.equal('relationship');
+            graph.getDependencies('org.shop').should.deep.equal(['org.order']);
+            graph.getDependencies('org.shop', true).should.deep.equal(['org.money', 'org.order', 'org.party', 'org.product']);
+            graph.dependsOn('org.shop', 'org.party').should.equal(true);
+            graph.dependsOn('org.party', 'org.shop').should.equal(false);
+        });
+
+        it('should throw for a namespace that is not in the graph', () => {
+            (() => {
+                modelManager.getDependencyGraph().getDependencies('org.missing');
+            }).should.throw(/Namespace org.missing is not in the dependency graph/);
+        });
+    });
+
+    describe('#getDependents', () => {
+
+        it('should return the namespaces that depend on a namespace', () => {
+            modelManager.addModelFile('namespace org.shop import org.order.Order concept Basket { o Order order }');
+            const graph = modelManager.getDependencyGraph();
+            graph.getDependents('org.party').should.deep.equal(['org.order']);
+            graph.getDependents('org.party', true).should.deep.equal(['org.order', 'org.shop']);
+            graph.getDependents('org.shop').should.deep.equal([]);
+        });
+    });
+
+    describe('#getTopologicalOrder', () => {
+
+        it('should order the namespaces after the namespaces they depend on', () => {
+            const graph = modelManager.getDependencyGraph();
+            graph.hasCycles().should.equal(false);
+            graph.getTopologicalOrder().should.deep.equal(['org.money', 'org.party', 'org.product', 'org.order']);
+        });
+
+        it('should throw for namespaces that depend on each other', () => {
+            modelManager = new ModelManager();
+            modelManager.addModelFiles([
+                'namespace org.a import org.b.B concept A { o B b optional }',
+                'namespace org.b import org.c.C concept B { o C c optional }',
+                'namespace org.c import org.a.A concept C { o A a optional }',
+                'namespace org.d import org.e.E concept D { o E e optional }',
+                'namespace org.e import org.d.D concept E { o D d optional }',
+                'namespace org.f import org.a.A concept F { o A a }'
+            ]);
+            const graph = modelManager.getDependencyGraph();
+            graph.hasCycles().should.equal(true);
+            graph.getCycles().should.deep.equal([['org.a', 'org.b', 'org.c'], ['org.d', 'org.e']]);
+            graph.getDependencies('org.a', true).should.deep.equal(['org.b', 'org.c']);
+            (() => {
+                graph.getTopologicalOrder();
+            }).should.throw(/The namespaces cannot be ordered because they depend on each other: org.a, org.b, org.c; org.d, org.e/);
+        });
+    });
+
+    describe('#toDOT', () => {
+
+        it('should export the graph in the DOT language', () => {
+            modelManager.getDependencyGraph().toDOT().should.equal(`digraph dependencies {
+  "org.money";
+  "org.order";
+  "org.party";
+  "org.product";
+  "org.order" -> "org.money" [label="import, field"];
+  "org.order" -> "org.party" [label="import, extends"];
+  "org.order" -> "org.product" [label="import, field"];
+}
+`);
+        });
+    });
+
+    describe('#toMermaid', () => {
+
+        it('should export the graph as a Mermaid flowchart', () => {
+            modelManager.getDependencyGraph().toMermaid().should.equal(`graph LR
+  n0["org.money"]
+  n1["org.order"]
+  n2["org.party"]
+  n3["org.product"]
+  n1 -->|import, field| n0
+  n1 -->|import, extends| n2
+  n1 -->|import, field| n3
+`);
+        });
+    });
+});
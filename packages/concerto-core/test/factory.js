@@ -58,6 +58,11 @@ describe('Factory', function() {
         event MyEvent identified by eventId {
             o String eventId
             o String value
+        }
+        asset MyAccount identified by region, accountNumber {
+            o String region
+            o String accountNumber
+            --> MyAccount parent optional
         }`);
         factory = new Factory(modelManager);
     });
@@ -102,6 +107,67 @@ describe('Factory', function() {
             resource.assetId.should.equal('MY_ID_1');
         });
 
+        it('should create a new instance with a composite identifier', function() {
+            const resource = factory.newResource(namespace, 'MyAccount', 'EU,12%2C345');
+            resource.region.should.equal('EU');
+            resource.accountNumber.should.equal('12,345');
+            resource.getIdentifier().should.equal('EU,12%2C345');
+            resource.toURI().should.equal('resource:org.acme.test.MyAccount#EU,12%252C345');
+        });
+
+        it('should throw creating a new instance with a composite identifier with the wrong number of values', function() {
+            (() => {
+                factory.newResource(namespace, 'MyAccount', 'EU');
+            }).should.throw(/Invalid composite identifier EU, expected 2 values separated by commas/);
+        });
+
+        it('should throw creating a new instance with a composite identifier that is not percent-encoded', function() {
+            (() => {
+                factory.newResource(namespace, 'MyAccount', 'EU,100%');
+            }).should.throw(/Invalid or missing identifier for Type MyAccount in namespace org.acme.test: Invalid composite identifier EU,100%, the value 100% is not percent-encoded/);
+            factory.newResource(namespace, 'MyAccount', 'EU,100%25').accountNumber.should.equal('100%');
+        });
+
+        it('should create a new instance with the values of a composite identifier', function() {
+            const resource = factory.newResource(namespace, 'MyAccount', ['EU', '12,345']);
+            resource.accountNumber.should.equal('12,345');
+            resource.getIdentifier().should.equal('EU,12%2C345');
+
+            const other = factory.newResource(namespace, 'MyAccount', { accountNumber: '100%', region: 'EU' });
+            other.region.should.equal('EU');
+            other.getIdentifier().should.equal('EU,100%25');
+
+            factory.newResource(namespace, assetName, ['MY_ID_1']).assetId.should.equal('MY_ID_1');
+        });
+
+        it('should throw creating a new instance with missing values of a composite identifier', function() {
+            (() => {
+                factory.newResource(namespace, 'MyAccount', ['EU']);
+            }).should.throw(/Invalid or missing identifier for Type MyAccount in namespace org.acme.test/);
+            (() => {
+                factory.newResource(namespace, 'MyAccount', { region: 'EU' });
+            }).should.throw(/Invalid or missing identifier for Type MyAccount in namespace org.acme.test/);
+            (() => {
+                factory.newResource(namespace, 'MyAccount', ['EU', 12345]);
+            }).should.throw(/Invalid or missing identifier for Type MyAccount in namespace org.acme.test/);
+        });
+
+        it('should not decode a single identifier', function() {
+            factory.newResource(namespace, assetName, '100%').assetId.should.equal('100%');
+        });
+
+        it('should throw creating a new instance with a composite identifier with an empty value', function() {
+            (() => {
+                factory.newResource(namespace, 'MyAccount', 'EU, ');
+            }).should.throw(/Missing identifier/);
+        });
+
+        it('should generate sample values for a composite identifier', function() {
+            const resource = factory.newResource(namespace, 'MyAccount', 'EU,12345', { generate: 'sample', includeOptionalFields: true });
+            resource.parent.getIdentifier().should.match(/^\d{4},\d{4}$/);
+            resource.validate();
+        });
+
         it('should create a new validating instance by default', function() {
             const resource = factory.newResource(namespace, assetName, 'MY_ID_1');
             should.not.equal(resource.validate, undefined);
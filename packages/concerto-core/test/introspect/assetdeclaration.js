@@ -36,6 +36,7 @@ describe('AssetDeclaration', () => {
         mockSystemAsset = sinon.createStubInstance(AssetDeclaration);
         mockSystemAsset.getFullyQualifiedName.returns('org.hyperledger.composer.system.Asset');
         mockClassDeclaration = sinon.createStubInstance(AssetDeclaration);
+        mockClassDeclaration.getKind.returns('asset');
         mockModelManager.getType.returns(mockClassDeclaration);
         mockClassDeclaration.getProperties.returns([]);
     });
@@ -377,6 +377,404 @@ describe('ClassDeclaration', () => {
         });
     });
 
+    describe('#mixins', () => {
+
+        beforeEach(() => {
+            modelManager.addModelFile(`namespace org.other
+            concept Addressable {
+                o String street
+            }`, 'other.cto');
+        });
+
+        const addModel = (declarations) => {
+            return modelManager.addModelFile(`namespace org.acme
+            import org.other.Addressable
+
+            abstract concept Base {
+                o String note optional
+            }
+
+            concept Auditable extends Base {
+                o DateTime createdAt
+            }
+
+            concept Named extends Base {
+                o String name
+            }
+
+            ${declarations}`, 'acme.cto');
+        };
+
+        it('should merge the properties of the mixins', () => {
+            addModel(`participant Party identified by id {
+                o String id
+            }
+
+            participant Person extends Party with Auditable, Named, Addressable {
+                o Integer age
+            }`);
+            const person = modelManager.getType('org.acme.Person');
+            person.hasMixins().should.be.true;
+            person.getMixins().should.deep.equal(['org.acme.Auditable', 'org.acme.Named', 'org.other.Addressable']);
+            person.getMixinDeclarations().map((mixin) => mixin.getName()).should.deep.equal(['Auditable', 'Named', 'Addressable']);
+            person.getProperties().map((property) => property.getName()).should.deep.equal(['age', 'id', '$identifier', 'createdAt', 'note', 'name', 'street']);
+            person.getMixinProperties().map((property) => property.getName()).should.deep.equal(['createdAt', 'note', 'name', 'street']);
+            person.getProperty('street').getParent().getName().should.equal('Addressable');
+            should.equal(person.getProperty('missing'), null);
+            person.getIdentifierFieldName().should.equal('id');
+            modelManager.getType('org.acme.Party').hasMixins().should.be.false;
+            modelManager.getType('org.other.Addressable').isMixedIn().should.be.true;
+            modelManager.getType('org.acme.Base').isMixedIn().should.be.false;
+            person.isMixedIn().should.be.false;
+        });
+
+        it('should treat the mixins as super types', () => {
+            addModel(`concept Person with Auditable {
+                o Integer age
+            }
+
+            concept Employee extends Person {
+            }`);
+            modelManager.getType('org.acme.Employee').getAllSuperTypeDeclarations().map((type) => type.getName())
+                .should.deep.equal(['Person', 'Concept', 'Auditable', 'Base']);
+            modelManager.derivesFrom('org.acme.Employee', 'org.acme.Auditable').should.be.true;
+            modelManager.derivesFrom('org.acme.Employee', 'org.acme.Base').should.be.true;
+            modelManager.derivesFrom('org.acme.Employee', 'org.acme.Named').should.be.false;
+            modelManager.getType('org.acme.Auditable').getAssignableClassDeclarations().map((type) => type.getName())
+                .should.have.same.members(['Auditable', 'Person', 'Employee']);
+        });
+
+        it('should throw for a mixin that does not exist', () => {
+            (() => {
+                addModel('concept Person with Missing {}');
+            }).should.throw(/Could not find mixin Missing/);
+        });
+
+        it('should throw for a mixin that is not a concept', () => {
+            (() => {
+                addModel(`event Moved {}
+                concept Person with Moved {}`);
+            }).should.throw(/Concept \(Person\) cannot mix in Event \(Moved\)/);
+        });
+
+        it('should throw for a mixin or a super type that is a scalar', () => {
+            (() => {
+                addModel(`scalar Email extends String
+                concept Person with Email {}`);
+            }).should.throw(/Concept \(Person\) cannot mix in Scalar \(Email\)/);
+            (() => {
+                addModel(`scalar Email extends String
+                asset Mailbox extends Email {}`);
+            }).should.throw(/Asset \(Mailbox\) cannot extend Scalar \(Email\)/);
+        });
+
+        it('should throw for a super type of another kind of declaration', () => {
+            (() => {
+                addModel(`participant Person identified {}
+                asset Account extends Person {}`);
+            }).should.throw(/Asset \(Account\) cannot extend Participant \(Person\)/);
+        });
+
+        it('should throw for a mixin that is identified', () => {
+            (() => {
+                addModel(`concept Tagged identified by tag {
+                    o String tag
+                }
+                concept Person with Tagged {}`);
+            }).should.throw(/Concept \(Person\) cannot mix in the identified concept Tagged/);
+        });
+
+        it('should throw for a cycle of mixins', () => {
+            (() => {
+                addModel(`concept Left with Right {}
+                concept Right with Left {}`);
+            }).should.throw(/cannot mix in (Left|Right), which derives from it/);
+        });
+
+        it('should throw for a duplicate mixin', () => {
+            (() => {
+                addModel('concept Person extends Named with Auditable, Named {}');
+            }).should.throw(/Duplicate mixin Named of Person/);
+        });
+
+        it('should throw for conflicting definitions of a field', () => {
+            (() => {
+                addModel(`concept Titled {
+                    o Integer name
+                }
+                concept Person with Named, Titled {}`);
+            }).should.throw(/Class Person has conflicting definitions of the field name in Named and Titled/);
+        });
+
+        it('should merge a field that several mixins define identically', () => {
+            addModel(`concept Titled {
+                o String name
+                @Indexed
+                o Integer rank range=[0,] optional
+            }
+            concept Ranked {
+                /** The rank */
+                @Indexed
+                o Integer rank range=[0,] optional
+            }
+            concept Located {
+                o String street
+            }
+            concept Person with Named, Titled, Ranked, Addressable, Located {}`);
+            const person = modelManager.getType('org.acme.Person');
+            person.getProperties().map((property) => property.getName()).should.deep.equal(['name', 'note', 'rank', 'street']);
+            person.getProperty('rank').getParent().getName().should.equal('Titled');
+        });
+
+        it('should throw for fields that mixins define with different validators', () => {
+            (() => {
+                addModel(`concept Titled {
+                    o String name regex=/[A-Z].*/
+                }
+                concept Person with Named, Titled {}`);
+            }).should.throw(/Class Person has conflicting definitions of the field name in Named and Titled/);
+        });
+
+        it('should throw for fields that mixins define with different modifiers', () => {
+            (() => {
+                addModel(`concept Titled {
+                    o String name optional
+                }
+                concept Person with Named, Titled {}`);
+            }).should.throw(/Class Person has conflicting definitions of the field name in Named and Titled/);
+        });
+
+        it('should throw for fields of types with the same name in different namespaces', () => {
+            modelManager.addModelFile(`namespace org.other.places
+            concept Address {
+                o String street
+            }
+            concept Located {
+                o Address address
+            }`, 'places.cto');
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.places
+                import org.other.places.Located
+                concept Address {
+                    o String street
+                }
+                concept Residence {
+                    o Address address
+                }
+                concept Person with Residence, Located {}`, 'acme.places.cto');
+            }).should.throw(/Class Person has conflicting definitions of the field address in Residence and Located/);
+        });
+
+        it('should throw for a field that a super type redeclares identically', () => {
+            (() => {
+                addModel(`concept Titled {
+                    o String name
+                }
+                concept Person extends Titled with Named {}`);
+            }).should.throw(/Class Person has conflicting definitions of the field name in Titled and Named/);
+        });
+
+        it('should throw for a field that conflicts with a mixin', () => {
+            (() => {
+                addModel(`concept Person with Auditable {
+                    o String createdAt
+                }`);
+            }).should.throw(/Class Person has conflicting definitions of the field createdAt in Person and Auditable/);
+        });
+    });
+
+    describe('#generics', () => {
+
+        beforeEach(() => {
+            modelManager.addModelFile(`namespace org.other
+            concept Money {
+                o Double amount
+            }`, 'other.cto');
+        });
+
+        const addModel = (declarations) => {
+            return modelManager.addModelFile(`namespace org.acme
+            import org.other.Money
+
+            concept Page<T> {
+                o T[] items
+                o Integer total
+            }
+
+            concept Pair<K, V> {
+                o K key
+                o V value
+                o Page<V> more optional
+            }
+
+            concept Order {
+                o String ref
+            }
+
+            ${declarations}`, 'acme.cto');
+        };
+
+        it('should bind the type parameters to the type arguments of a field', () => {
+            addModel(`asset Shop identified by id {
+                o String id
+                o Page<Order> orders
+                o Pair<String, Money> price
+            }`);
+            const page = modelManager.getType('org.acme.Page');
+            page.isGeneric().should.be.true;
+            page.getTypeParameters().should.deep.equal(['T']);
+            modelManager.getType('org.acme.Order').isGeneric().should.be.false;
+            modelManager.getType('org.acme.Order').getTypeParameters().should.deep.equal([]);
+
+            const items = page.getProperty('items');
+            items.isTypeParameter().should.be.true;
+            items.isTypeEnum().should.be.false;
+            items.isTypeScalar().should.be.false;
+            items.isTypeAliased().should.be.false;
+            items.getFullyQualifiedTypeName().should.equal('T');
+            items.getFullyQualifiedTypeName({ T: 'org.acme.Order' }).should.equal('org.acme.Order');
+            page.getProperty('total').isTypeParameter().should.be.false;
+
+            const shop = modelManager.getType('org.acme.Shop');
+            const orders = shop.getProperty('orders');
+            orders.getTypeArguments().should.deep.equal(['Order']);
+            orders.getFullyQualifiedTypeArguments().should.deep.equal({ T: 'org.acme.Order' });
+            should.equal(shop.getProperty('id').getFullyQualifiedTypeArguments(), null);
+
+            const price = shop.getProperty('price');
+            const typeArguments = price.getFullyQualifiedTypeArguments();
+            typeArguments.should.deep.equal({ K: 'String', V: 'org.other.Money' });
+            modelManager.getType('org.acme.Pair').getProperty('more').getFullyQualifiedTypeArguments(typeArguments)
+                .should.deep.equal({ T: 'org.other.Money' });
+            modelManager.getType('org.acme.Pair').getProperty('more').getFullyQualifiedTypeArguments()
+                .should.deep.equal({ T: 'V' });
+
+            const bound = items.getBoundField({ T: 'org.other.Money' });
+            bound.getName().should.equal('items');
+            bound.isArray().should.be.true;
+            bound.isTypeParameter().should.be.false;
+            bound.getFullyQualifiedTypeName().should.equal('org.other.Money');
+            bound.isTypeEnum().should.be.false;
+        });
+
+        it('should resolve the fully qualified name of a type bound from another namespace', () => {
+            const modelFile = addModel('');
+            modelFile.getType('org.other.Money').getName().should.equal('Money');
+            modelFile.getFullyQualifiedTypeName('org.other.Money').should.equal('org.other.Money');
+            should.equal(modelFile.getType('org.unknown.Money'), null);
+            should.equal(modelFile.getFullyQualifiedTypeName('org.unknown.Money'), null);
+        });
+
+        it('should throw for a field bound without a type', () => {
+            addModel('');
+            const page = modelManager.getType('org.acme.Page');
+            (() => {
+                page.getProperty('items').getBoundField({});
+            }).should.throw(/No type is bound to the type parameter T of field org.acme.Page.items./);
+            (() => {
+                page.getProperty('total').getBoundField({ T: 'String' });
+            }).should.throw(/Field total is not declared with a type parameter./);
+        });
+
+        it('should throw for a duplicate type parameter', () => {
+            (() => {
+                addModel('concept Box<T, T> {}');
+            }).should.throw(/Duplicate type parameter T of Box/);
+        });
+
+        it('should throw for a type parameter named after a primitive type', () => {
+            (() => {
+                addModel('concept Box<String> {}');
+            }).should.throw(/The type parameter String of Box cannot have the name of a primitive type/);
+        });
+
+        it('should throw for the wrong number of type arguments', () => {
+            (() => {
+                addModel(`concept Shop {
+                    o Pair<String> price
+                }`);
+            }).should.throw(/Type Pair of property org.acme.Shop.price expects 2 type argument\(s\) but has 1./);
+        });
+
+        it('should throw for a generic type without type arguments', () => {
+            (() => {
+                addModel(`concept Shop {
+                    o Page orders
+                }`);
+            }).should.throw(/Type Page of property org.acme.Shop.orders expects 1 type argument\(s\) but has 0./);
+        });
+
+        it('should throw for type arguments of a type that is not generic', () => {
+            (() => {
+                addModel(`concept Shop {
+                    o Order<String> order
+                }`);
+            }).should.throw(/Type Order of property org.acme.Shop.order expects 0 type argument\(s\) but has 1./);
+        });
+
+        it('should throw for a type argument that does not exist', () => {
+            (() => {
+                addModel(`concept Shop {
+                    o Page<Missing> orders
+                }`);
+            }).should.throw(/Undeclared type Missing in property org.acme.Shop.orders/);
+        });
+
+        it('should throw for a generic type argument', () => {
+            (() => {
+                addModel(`concept Shop {
+                    o Page<Page> orders
+                }`);
+            }).should.throw(/The type argument Page of property org.acme.Shop.orders cannot be a generic type./);
+        });
+
+        it('should throw for nested type arguments', () => {
+            try {
+                addModel(`concept Shop {
+                    o Pair<String, Page<Order>> orders
+                }`);
+                throw new Error('should have thrown');
+            } catch (err) {
+                err.should.be.an.instanceOf(IllegalModelException);
+                err.getShortMessage().should.equal('The type argument Page<Order> of property org.acme.Shop.orders cannot have type arguments, nested type arguments are not supported.');
+                err.getFileLocation().start.line.should.equal(20);
+            }
+            (() => {
+                addModel(`concept Shop {
+                    o Page<Pair<String, Page<Order>>>[] orders
+                }`);
+            }).should.throw(/The type argument Pair<String, Page<Order>> of property org.acme.Shop.orders cannot have type arguments/);
+        });
+
+        it('should throw for a generic super type', () => {
+            try {
+                addModel('concept Book extends Page<String> {}');
+                throw new Error('should have thrown');
+            } catch (err) {
+                err.should.be.an.instanceOf(IllegalModelException);
+                err.getShortMessage().should.equal('Concept (Book) cannot extend Page<String>, generic super types are not supported');
+                err.getFileLocation().start.column.should.equal(26);
+            }
+        });
+
+        it('should throw for a super type or a mixin that is generic', () => {
+            (() => {
+                addModel('concept Book extends Page {}');
+            }).should.throw(/Concept \(Book\) cannot extend the generic type Page/);
+            (() => {
+                addModel('concept Book with Page {}');
+            }).should.throw(/Concept \(Book\) cannot mix in the generic type Page/);
+        });
+
+        it('should throw for a relationship to a type parameter', () => {
+            (() => {
+                addModel(`concept Link<T> {
+                    --> T target
+                }`);
+            }).should.throw(/Relationship target cannot be to the type parameter T/);
+        });
+    });
+
     describe('#isEvent', () => {
         const modelFileNames = [
             'test/data/parser/classdeclaration.participantwithparents.parent.cto',
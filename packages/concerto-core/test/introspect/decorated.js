@@ -16,8 +16,11 @@
 
 const Decorated = require('../../lib/introspect/decorated');
 const ModelFile = require('../../lib/introspect/modelfile');
+const ModelManager = require('../../lib/modelmanager');
 
-require('chai').should();
+const fs = require('fs');
+const path = require('path');
+const should = require('chai').should();
 const sinon = require('sinon');
 
 describe('Decorated', () => {
@@ -54,4 +57,58 @@ describe('Decorated', () => {
 
     });
 
+    describe('#getDescription', () => {
+
+        it('should return null if there is no documentation comment', () => {
+            should.equal(decorated.getDescription(), null);
+        });
+
+        it('should return the documentation comment from the AST', () => {
+            decorated = new Decorated(modelFile, { docs: 'A decorated element' });
+            decorated.getDescription().should.equal('A decorated element');
+        });
+
+        describe('parsed from a model file', () => {
+
+            let modelFile;
+
+            beforeEach(() => {
+                const modelManager = new ModelManager();
+                const model = fs.readFileSync(path.resolve(__dirname, '../data/model/documented.cto'), 'utf8');
+                modelFile = modelManager.addModelFile(model, 'documented.cto');
+            });
+
+            it('should return the documentation of declarations', () => {
+                modelFile.getType('Email').getDescription().should.equal('An email address');
+                modelFile.getType('Customer').getDescription().should.equal('A customer of the business.\n\nCustomers are identified by their email address.');
+                modelFile.getType('Status').getDescription().should.equal('The status of a customer');
+                should.equal(modelFile.getType('Order').getDescription(), null);
+            });
+
+            it('should return the documentation of properties', () => {
+                const customer = modelFile.getType('Customer');
+                customer.getProperty('email').getDescription().should.equal('The primary contact address');
+                customer.getProperty('email').getScalarField().getDescription().should.equal('The primary contact address');
+                customer.getProperty('names').getDescription().should.equal('The names of the customer');
+                customer.getProperty('orders').getDescription().should.equal('The most recent orders of the customer');
+                customer.getProperty('status').getDescription().should.equal('The status of the customer');
+            });
+
+            it('should ignore comments that are not documentation comments', () => {
+                const customer = modelFile.getType('Customer');
+                should.equal(customer.getProperty('age').getDescription(), null);
+                should.equal(customer.getProperty('registered').getDescription(), null);
+                should.equal(modelFile.getType('Order').getProperty('note').getDescription(), null);
+            });
+
+            it('should return the documentation of enum values', () => {
+                const status = modelFile.getType('Status');
+                status.getProperty('ACTIVE').getDescription().should.equal('A customer who may place orders');
+                should.equal(status.getProperty('SUSPENDED').getDescription(), null);
+            });
+
+        });
+
+    });
+
 });
@@ -133,28 +133,32 @@ describe('Decorators', () => {
             tx1.getDecorator('returns').getArguments()[0].should.deep.equal({
                 name: 'MyConcept',
                 type: 'Identifier',
-                array: false
+                array: false,
+                fullyQualifiedName: 'org.acme.MyConcept'
             });
 
             const tx2 = introspector.getClassDeclaration('org.acme.MyTransactionIdentifier2');
             tx2.getDecorator('returns').getArguments()[0].should.deep.equal({
                 name: 'MyConcept',
                 type: 'Identifier',
-                array: true
+                array: true,
+                fullyQualifiedName: 'org.acme.MyConcept'
             });
 
             const tx3 = introspector.getClassDeclaration('org.acme.MyTransactionIdentifier3');
             tx3.getDecorator('returns').getArguments()[0].should.deep.equal({
                 name: 'String',
                 type: 'Identifier',
-                array: false
+                array: false,
+                fullyQualifiedName: 'String'
             });
 
             const tx4 = introspector.getClassDeclaration('org.acme.MyTransactionIdentifier4');
             tx4.getDecorator('returns').getArguments()[0].should.deep.equal({
                 name: 'String',
                 type: 'Identifier',
-                array: true
+                array: true,
+                fullyQualifiedName: 'String'
             });
 
             const tx5 = introspector.getClassDeclaration('org.acme.MyTransactionIdentifier5');
@@ -162,6 +166,91 @@ describe('Decorators', () => {
         });
     });
 
+    describe('#arguments', () => {
+
+        let modelManager;
+
+        beforeEach(() => {
+            modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.other
+            concept Address {
+                o String street
+            }`, 'other.cto');
+        });
+
+        it('should return array and object arguments as arrays and objects', () => {
+            modelManager.addModelFile(`namespace org.acme
+            @ui({ label: "Name", "max-width": 10, tags: ["a", "b"], nested: { visible: true }, })
+            @options([1, -2.5, "three", [], {}])
+            concept Person {
+                o String name
+            }`, 'acme.cto');
+
+            const person = modelManager.getType('org.acme.Person');
+            person.getDecorator('ui').getArguments().should.deep.equal([{
+                label: 'Name',
+                'max-width': 10,
+                tags: ['a', 'b'],
+                nested: { visible: true }
+            }]);
+            person.getDecorator('options').getArguments().should.deep.equal([[1, -2.5, 'three', [], {}]]);
+        });
+
+        it('should resolve type references against the model file', () => {
+            modelManager.addModelFile(`namespace org.acme
+            import org.other.Address as OtherAddress
+            @local(Person)
+            @aliased(OtherAddress[])
+            @qualified(org.other.Address)
+            @unknown(SOMETHING)
+            @nested({ target: Person, all: [Person, org.other.Address] })
+            concept Person {
+                o String name
+            }`, 'acme.cto');
+
+            const person = modelManager.getType('org.acme.Person');
+            person.getDecorator('local').getArguments()[0].should.deep.equal({ type: 'Identifier', name: 'Person', array: false, fullyQualifiedName: 'org.acme.Person' });
+            person.getDecorator('aliased').getArguments()[0].should.deep.equal({ type: 'Identifier', name: 'OtherAddress', array: true, fullyQualifiedName: 'org.other.Address' });
+            person.getDecorator('qualified').getArguments()[0].should.deep.equal({ type: 'Identifier', name: 'org.other.Address', array: false, fullyQualifiedName: 'org.other.Address' });
+            person.getDecorator('unknown').getArguments()[0].should.deep.equal({ type: 'Identifier', name: 'SOMETHING', array: false, fullyQualifiedName: null });
+
+            const nested = person.getDecorator('nested').getArguments()[0];
+            nested.target.fullyQualifiedName.should.equal('org.acme.Person');
+            nested.all.map(reference => reference.fullyQualifiedName).should.deep.equal(['org.acme.Person', 'org.other.Address']);
+        });
+
+        it('should resolve type references through wildcard imports', () => {
+            modelManager.addModelFile(`namespace org.acme
+            import org.other.*
+            @address(Address)
+            concept Person {
+                o String name
+            }`, 'acme.cto');
+
+            modelManager.getType('org.acme.Person').getDecorator('address').getArguments()[0].fullyQualifiedName.should.equal('org.other.Address');
+        });
+
+        it('should throw if a fully qualified type reference is not declared', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme
+                concept Person {
+                    @link({ to: [org.other.Missing] })
+                    o String name
+                }`, 'acme.cto');
+            }).should.throw(/Undeclared type org.other.Missing in decorator link/);
+        });
+
+        it('should throw if a type reference to an unknown namespace is not declared', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme
+                @link(org.unknown.Missing)
+                concept Person {
+                    o String name
+                }`, 'acme.cto');
+            }).should.throw(/Undeclared type org.unknown.Missing in decorator link/);
+        });
+    });
+
     describe('#validate', () => {
 
         it('should prevent attaching the same decorator twice', () => {
@@ -0,0 +1,301 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const DecoratorSchema = require('../../lib/introspect/decoratorschema');
+const IllegalModelException = require('../../lib/introspect/illegalmodelexception');
+const ModelManager = require('../../lib/modelmanager');
+
+require('chai').should();
+
+describe('DecoratorSchema', () => {
+
+    let modelManager;
+
+    beforeEach(() => {
+        modelManager = new ModelManager();
+        modelManager.addModelFile(`namespace org.other
+        concept Address {
+            o String street
+        }`, 'other.cto');
+    });
+
+    describe('#constructor', () => {
+
+        it('should store the signature', () => {
+            const schema = new DecoratorSchema('Description', { targets: ['concept', 'property'], arguments: ['String'], repeatable: true });
+            schema.getName().should.equal('Description');
+            schema.getTargets().should.deep.equal(['concept', 'property']);
+            schema.isRepeatable().should.be.true;
+            (schema instanceof DecoratorSchema).should.be.true;
+        });
+
+        it('should default to any target, no arguments and not repeatable', () => {
+            const schema = new DecoratorSchema('Flag');
+            (schema.getTargets() === null).should.be.true;
+            schema.isRepeatable().should.be.false;
+        });
+
+        it('should throw without a name', () => {
+            (() => {
+                new DecoratorSchema();
+            }).should.throw(/A decorator schema requires the name of the decorator./);
+        });
+
+        it('should throw for an unknown target', () => {
+            (() => {
+                new DecoratorSchema('Description', { targets: ['class'] });
+            }).should.throw(/Unknown target class for decorator @Description/);
+        });
+
+        it('should throw for an unknown argument type', () => {
+            (() => {
+                new DecoratorSchema('Description', { arguments: ['Text'] });
+            }).should.throw(/Unknown argument type Text for decorator @Description/);
+        });
+
+        it('should throw for a required argument after an optional argument', () => {
+            (() => {
+                new DecoratorSchema('Description', { arguments: ['String?', 'Number'] });
+            }).should.throw(/The required argument 2 of decorator @Description follows an optional argument./);
+        });
+    });
+
+    describe('#validate', () => {
+
+        beforeEach(() => {
+            modelManager.addDecoratorSchema(new DecoratorSchema('Description', { arguments: ['String'] }));
+            modelManager.addDecoratorSchema(new DecoratorSchema('Form', { targets: ['property'], arguments: ['Object', 'Array?', 'Boolean?'] }));
+            modelManager.addDecoratorSchema(new DecoratorSchema('Returns', { targets: ['transaction'], arguments: ['Type'] }));
+            modelManager.addDecoratorSchema(new DecoratorSchema('Tag', { targets: ['declaration', 'enumValue'], arguments: ['Any', 'Number?'], repeatable: true }));
+        });
+
+        it('should accept decorators that match their schema', () => {
+            modelManager.addModelFile(`namespace org.acme
+            import org.other.Address
+
+            @Description("A person")
+            @Tag("a", 1)
+            @Tag(true)
+            concept Person {
+                @Form({ width: 10 }, ["a"], false)
+                o String name
+                @Form({})
+                --> Owner owner
+            }
+
+            @Tag(Person)
+            participant Owner identified by id {
+                o String id
+            }
+
+            @Returns(Address)
+            transaction Move {
+            }
+
+            @Tag([])
+            enum Status {
+                @Tag({})
+                o ACTIVE
+            }
+
+            @Tag(1)
+            scalar Email extends String
+
+            @Tag(1)
+            asset Car identified by vin {
+                o String vin
+            }
+
+            @Tag(1)
+            event Moved {
+            }`, 'acme.cto');
+        });
+
+        it('should throw for an unknown decorator', () => {
+            try {
+                modelManager.addModelFile(`namespace org.acme
+                concept Person {
+                    @Descripton("The name")
+                    o String name
+                }`, 'acme.cto');
+                throw new Error('should have thrown');
+            } catch (error) {
+                error.should.be.an.instanceOf(IllegalModelException);
+                error.message.should.match(/^Unknown decorator @Descripton File 'acme.cto': line 3 column 21/);
+            }
+        });
+
+        it('should throw for a decorator applied to a kind of model element it does not target', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme
+                @Form({})
+                concept Person {
+                    o String name
+                }`, 'acme.cto');
+            }).should.throw(/Decorator @Form cannot be applied to concept Person, its targets are: property. File 'acme.cto': line 2 column 17/);
+        });
+
+        it('should throw for an enum value that is not targeted as a declaration or a property', () => {
+            modelManager.addDecoratorSchema(new DecoratorSchema('Label', { targets: ['declaration', 'property'] }));
+            (() => {
+                modelManager.addModelFile(`namespace org.acme
+                enum Status {
+                    @Label
+                    o ACTIVE
+                }`, 'acme.cto');
+            }).should.throw(/Decorator @Label cannot be applied to enumValue ACTIVE, its targets are: declaration, property./);
+        });
+
+        it('should throw for a missing argument', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme
+                @Description
+                concept Person {
+                    o String name
+                }`, 'acme.cto');
+            }).should.throw(/Decorator @Description expects 1 argument\(s\) but has 0./);
+        });
+
+        it('should throw for too many arguments', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme
+                concept Person {
+                    @Form({}, [], true, 1)
+                    o String name
+                }`, 'acme.cto');
+            }).should.throw(/Decorator @Form expects 1 to 3 argument\(s\) but has 4./);
+        });
+
+        it('should throw for an argument of the wrong type', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme
+                @Description(1)
+                concept Person {
+                    o String name
+                }`, 'acme.cto');
+            }).should.throw(/Argument 1 of decorator @Description must be of type String./);
+        });
+
+        it('should throw for a type reference given as an object argument', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme
+                concept Person {
+                    @Form(Person)
+                    o String name
+                }`, 'acme.cto');
+            }).should.throw(/Argument 1 of decorator @Form must be of type Object./);
+        });
+
+        it('should throw for a type reference that cannot be resolved', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme
+                @Returns(Unknown)
+                transaction Move {
+                }`, 'acme.cto');
+            }).should.throw(/Argument 1 of decorator @Returns must be a reference to a declared type./);
+        });
+
+        it('should check the decorators against the schemas imported from a model file', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.decorators
+            decorator Label(String) on property repeatable`, 'decorators.cto');
+            modelManager.addModelFile(`namespace org.acme
+            import org.decorators.Label
+            decorator Hidden() on declaration
+            @Hidden
+            concept Person {
+                @Label("name")
+                @Label("nom")
+                o String name
+            }`, 'acme.cto');
+            (() => {
+                modelManager.addModelFile(`namespace org.other
+                import org.decorators.*
+                concept Person {
+                    @Label(1)
+                    o String name
+                }`, 'other.cto');
+            }).should.throw(IllegalModelException, /Argument 1 of decorator @Label must be of type String. File 'other.cto': line 4 column 21/);
+            (() => {
+                modelManager.addModelFile(`namespace org.other
+                import org.decorators.{Label as Caption}
+                @Description("A person")
+                concept Person {
+                    @Caption("name")
+                    o String name
+                }`, 'other.cto');
+            }).should.throw(IllegalModelException, /Unknown decorator @Description File 'other.cto': line 3 column 17/);
+        });
+
+        it('should not apply the schemas of a model file that is not imported', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.decorators
+            decorator Label(String) on property`, 'decorators.cto');
+            modelManager.addModelFile(`namespace org.acme
+            @Description("A person")
+            concept Person {
+                @Label(1)
+                o String name
+            }`, 'acme.cto');
+        });
+
+        it('should throw for a decorator whose schema is declared in several namespaces imported with a wildcard', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.a
+            decorator Label(String)`, 'a.cto');
+            modelManager.addModelFile(`namespace org.b
+            decorator Label(Number)`, 'b.cto');
+            (() => {
+                modelManager.addModelFile(`namespace org.acme
+                import org.a.*
+                import org.b.*
+                concept Person {
+                    @Label("name")
+                    o String name
+                }`, 'acme.cto');
+            }).should.throw(IllegalModelException, /Ambiguous decorator @Label, whose schema is declared in the imported namespaces org.a, org.b File 'acme.cto': line 5 column 21/);
+            modelManager.addModelFile(`namespace org.acme
+            import org.a.*
+            import org.b.Label
+            concept Person {
+                @Label(1)
+                o String name
+            }`, 'acme.cto');
+        });
+
+        it('should check the decorators of a model file against the schemas it declares', () => {
+            const modelManager = new ModelManager();
+            (() => {
+                modelManager.addModelFile(`namespace org.acme
+                decorator Hidden() on property
+                @Hidden
+                concept Person {
+                }`, 'acme.cto');
+            }).should.throw(IllegalModelException, /Decorator @Hidden cannot be applied to concept Person, its targets are: property. File 'acme.cto': line 3 column 17/);
+        });
+
+        it('should throw for a repeated decorator that is not repeatable', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme
+                @Description("A person")
+                @Description("Someone")
+                concept Person {
+                    o String name
+                }`, 'acme.cto');
+            }).should.throw(/Duplicate decorator Description/);
+        });
+    });
+});
@@ -60,6 +60,98 @@ describe('EnumDeclaration', () => {
     afterEach(() => {
     });
 
+    describe('#codes', () => {
+        let declaration;
+
+        beforeEach(() => {
+            modelManager.addModelFile(`namespace org.acme
+            enum Status {
+                o ACTIVE = "A"
+                o CLOSED = 9
+                o PENDING
+            }
+            enum Plain {
+                o ONE
+                o TWO
+            }`, 'codes.cto');
+            declaration = modelManager.getType('org.acme.Status');
+        });
+
+        it('should return the codes of the values', () => {
+            declaration.getProperties().map(property => property.getCode()).should.deep.equal(['A', 9, null]);
+            declaration.getProperties().map(property => property.hasCode()).should.deep.equal([true, true, false]);
+        });
+
+        it('should return whether a value declares a code', () => {
+            declaration.hasCodes().should.be.true;
+            modelManager.getType('org.acme.Plain').hasCodes().should.be.false;
+        });
+
+        it('should return the value with a code', () => {
+            declaration.getPropertyByCode('A').getName().should.equal('ACTIVE');
+            declaration.getPropertyByCode(9).getName().should.equal('CLOSED');
+            declaration.getPropertyByCode('9').getName().should.equal('CLOSED');
+            (declaration.getPropertyByCode('PENDING') === null).should.be.true;
+            (declaration.getPropertyByCode(true) === null).should.be.true;
+        });
+
+        it('should return the value with a name or a code', () => {
+            declaration.getPropertyByNameOrCode('PENDING').getName().should.equal('PENDING');
+            declaration.getPropertyByNameOrCode('A').getName().should.equal('ACTIVE');
+            declaration.getPropertyByNameOrCode(9).getName().should.equal('CLOSED');
+            declaration.getPropertyByNameOrCode('9').getName().should.equal('CLOSED');
+            (declaration.getPropertyByNameOrCode('B') === null).should.be.true;
+        });
+
+        it('should parse negative numeric codes', () => {
+            modelManager.addModelFile(`namespace org.acme.negative
+            enum Delta {
+                o DOWN = -1
+                o UP = +1
+            }`, 'negative.cto');
+            modelManager.getType('org.acme.negative.Delta').getProperties().map(property => property.getCode()).should.deep.equal([-1, 1]);
+        });
+
+        it('should throw if two values have the same code', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.duplicate
+                enum Status {
+                    o ACTIVE = "A"
+                    o ARCHIVED = "A"
+                }`, 'duplicate.cto');
+            }).should.throw(/Enum Status has more than one value with the code "A". File .duplicate.cto.: line 4/);
+        });
+
+        it('should throw if two values have codes with the same text', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.duplicate
+                enum Status {
+                    o ACTIVE = 1
+                    o ARCHIVED = "1"
+                }`, 'duplicate.cto');
+            }).should.throw(/Enum Status has more than one value with the code "1". File .duplicate.cto.: line 4/);
+        });
+
+        it('should throw if the code of a value is the name of another value', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.clash
+                enum Status {
+                    o ACTIVE = "ARCHIVED"
+                    o ARCHIVED
+                }`, 'clash.cto');
+            }).should.throw(/Enum Status has the value ACTIVE whose code "ARCHIVED" is the name of the value ARCHIVED. File .clash.cto.: line 3/);
+        });
+
+        it('should accept a value whose code is its own name', () => {
+            modelManager.addModelFile(`namespace org.acme.same
+            enum Status {
+                o ACTIVE = "ACTIVE"
+                o ARCHIVED = "A"
+            }`, 'same.cto');
+            modelManager.getType('org.acme.same.Status').getPropertyByNameOrCode('ACTIVE').getName().should.equal('ACTIVE');
+        });
+    });
+
     describe('#toString', () => {
         it('should give the correct value', () => {
             let declaration = loadLastDeclaration('test/data/model/enum.cto', EnumDeclaration);
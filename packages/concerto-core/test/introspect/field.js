@@ -17,6 +17,8 @@
 const ClassDeclaration = require('../../lib/introspect/classdeclaration');
 const Field = require('../../lib/introspect/field');
 const ModelFile = require('../../lib/introspect/modelfile');
+const ModelManager = require('../../lib/modelmanager');
+const fs = require('fs');
 
 const should = require('chai').should();
 const sinon = require('sinon');
@@ -96,6 +98,222 @@ describe('Field', () => {
 
     });
 
+    describe('#getScalarField', () => {
+
+        let modelManager;
+
+        beforeEach(() => {
+            modelManager = new ModelManager();
+            modelManager.addModelFile(fs.readFileSync('test/data/model/scalar.cto', 'utf8'), 'scalar.cto');
+        });
+
+        it('should expand a field declared with a scalar type', () => {
+            const field = modelManager.getType('org.acme.scalars.Order').getProperty('contact');
+            const scalarField = field.getScalarField();
+
+            scalarField.should.be.an.instanceOf(Field);
+            scalarField.getName().should.equal('contact');
+            scalarField.getType().should.equal('String');
+            scalarField.getParent().should.equal(field.getParent());
+            scalarField.getDefaultValue().should.equal('nobody@example.com');
+            scalarField.getValidator().validate('id', 'someone@example.com');
+            (() => {
+                scalarField.getValidator().validate('id', 'someone');
+            }).should.throw(/org.acme.scalars.Order.contact: Value \+ 'someone' failed to match validation regex/);
+        });
+
+        it('should prefer the default value declared on the field', () => {
+            const field = modelManager.getType('org.acme.scalars.Order').getProperty('priority');
+            field.getScalarField().getDefaultValue().should.equal('5');
+        });
+
+        it('should not apply the scalar default value to arrays and maps', () => {
+            const order = modelManager.getType('org.acme.scalars.Order');
+
+            const copies = order.getProperty('copies').getScalarField();
+            copies.isArray().should.equal(true);
+            copies.isOptional().should.equal(true);
+            should.equal(copies.getDefaultValue(), null);
+
+            const contacts = order.getProperty('contacts').getScalarField();
+            contacts.isMap().should.equal(true);
+            should.equal(contacts.getDefaultValue(), null);
+        });
+
+        it('should keep the bounds on the number of items of an array', () => {
+            modelManager.addModelFile(`namespace org.acme.bounds
+            import org.acme.scalars.Email
+            concept Mailing {
+              o Email[1..5] recipients
+            }`);
+            const scalarField = modelManager.getType('org.acme.bounds.Mailing').getProperty('recipients').getScalarField();
+            scalarField.getMinItems().should.equal(1);
+            scalarField.getMaxItems().should.equal(5);
+        });
+
+        it('should build the expanded field once', () => {
+            const field = modelManager.getType('org.acme.scalars.Order').getProperty('quantity');
+            const scalarField = field.getScalarField();
+            field.getScalarField().should.equal(scalarField);
+            field.getValidator().should.equal(scalarField.getValidator());
+            field.getResolvedField(null).should.equal(scalarField);
+        });
+
+        it('should expand the field again when the scalar declaration is updated', () => {
+            modelManager.addModelFile(`namespace org.acme.units
+            scalar Count extends Integer range=[0,10]`, 'units.cto');
+            modelManager.addModelFile(`namespace org.acme.stock
+            import org.acme.units.Count
+            concept Stock {
+              o Count count
+            }`, 'stock.cto');
+            const field = modelManager.getType('org.acme.stock.Stock').getProperty('count');
+            field.getValidator().getUpperBound().should.equal(10);
+
+            modelManager.updateModelFile(`namespace org.acme.units
+            scalar Count extends Integer range=[0,20]`, 'units.cto');
+            field.getValidator().getUpperBound().should.equal(20);
+        });
+
+        it('should throw for a field that is not declared with a scalar type', () => {
+            const field = modelManager.getType('org.acme.scalars.Customer').getProperty('$identifier');
+            (() => {
+                field.getScalarField();
+            }).should.throw(/Field \$identifier is not declared with a scalar type./);
+        });
+    });
+
+    describe('#getResolvedField', () => {
+
+        let page;
+
+        beforeEach(() => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(fs.readFileSync('test/data/model/scalar.cto', 'utf8'), 'scalar.cto');
+            modelManager.addModelFile(`namespace org.acme.pages
+            import org.acme.scalars.Email
+            concept Page<T> {
+              o T[] items
+              o Email contact
+              o Integer total
+            }`);
+            page = modelManager.getType('org.acme.pages.Page');
+        });
+
+        it('should bind the type parameter of a field and expand its scalar type', () => {
+            const items = page.getProperty('items').getResolvedField({ T: 'org.acme.scalars.Email' });
+            items.getType().should.equal('String');
+            items.isArray().should.equal(true);
+        });
+
+        it('should expand the scalar type of a field', () => {
+            page.getProperty('contact').getResolvedField(null).getType().should.equal('String');
+        });
+
+        it('should keep the type parameter of a field for null type arguments', () => {
+            page.getProperty('items').getResolvedField(null).getType().should.equal('T');
+        });
+
+        it('should return a field that needs no resolution', () => {
+            const total = page.getProperty('total');
+            total.getResolvedField({ T: 'String' }).should.equal(total);
+        });
+
+        it('should throw for a type parameter that is not bound', () => {
+            (() => {
+                page.getProperty('items').getResolvedField(undefined);
+            }).should.throw(/No type is bound to the type parameter T of field org.acme.pages.Page.items./);
+        });
+    });
+
+    describe('#getValidator', () => {
+
+        it('should resolve the validator of a scalar type', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(fs.readFileSync('test/data/model/scalar.cto', 'utf8'), 'scalar.cto');
+            const order = modelManager.getType('org.acme.scalars.Order');
+
+            const validator = order.getProperty('quantity').getValidator();
+            validator.getLowerBound().should.equal(1);
+            validator.getUpperBound().should.equal(100);
+            validator.getField().getFullyQualifiedName().should.equal('org.acme.scalars.Order.quantity');
+            should.equal(order.getProperty('flagged').getValidator(), null);
+        });
+    });
+
+    describe('#getScale', () => {
+
+        let modelManager;
+
+        beforeEach(() => {
+            modelManager = new ModelManager();
+        });
+
+        it('should return the scale of a Decimal field or of its scalar type', () => {
+            modelManager.addModelFile(`namespace org.acme.scale
+            scalar Price extends Decimal scale=2
+            concept Order {
+                o Decimal rate default=0.5 scale=3
+                o Price price
+                o Decimal amount
+            }`);
+            const order = modelManager.getType('org.acme.scale.Order');
+            order.getProperty('rate').getScale().should.equal(3);
+            order.getProperty('price').getScale().should.equal(2);
+            should.equal(order.getProperty('amount').getScale(), null);
+        });
+
+        it('should throw for a scale on a field that is not a Decimal', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.scale
+                concept Order {
+                    o Double rate scale=2
+                }`);
+            }).should.throw(/The field org.acme.scale.Order.rate of type Double cannot declare a scale/);
+        });
+
+        it('should throw for a default value with more decimal places than the scale', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.scale
+                concept Order {
+                    o Decimal rate default=0.125 scale=2
+                }`);
+            }).should.throw(/The default value 0.125 of field org.acme.scale.Order.rate has more than 2 decimal places/);
+        });
+    });
+
+    describe('#getLengthValidator', () => {
+
+        it('should return the length validator of a String field', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme.length
+            concept Person {
+                o String name length=[1,255]
+                o String nickname regex=/^[a-z]+$/ length=[,10] optional
+                o Integer age
+            }`);
+            const person = modelManager.getType('org.acme.length.Person');
+
+            const validator = person.getProperty('name').getLengthValidator();
+            validator.getMinLength().should.equal(1);
+            validator.getMaxLength().should.equal(255);
+            should.equal(person.getProperty('nickname').getLengthValidator().getMinLength(), null);
+            person.getProperty('nickname').getValidator().getRegex().toString().should.equal('/^[a-z]+$/');
+            should.equal(person.getProperty('age').getLengthValidator(), null);
+        });
+
+        it('should resolve the length validator of a scalar type', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(fs.readFileSync('test/data/model/scalar.cto', 'utf8'), 'scalar.cto');
+            const order = modelManager.getType('org.acme.scalars.Order');
+
+            const validator = order.getProperty('username').getLengthValidator();
+            validator.getMinLength().should.equal(3);
+            validator.getMaxLength().should.equal(16);
+            should.equal(order.getProperty('contact').getLengthValidator(), null);
+        });
+    });
+
     describe('#toString',()=>{
         it('regular toString',()=>{
             let f = new Field(mockClassDeclaration, {
@@ -207,4 +207,124 @@ asset Order identified by sku {
         });
 
     });
+
+    describe('#composite', () => {
+
+        it('should allow declaring a composite identifier', () => {
+            const mm = new ModelManager();
+            mm.addModelFile( `
+namespace test
+
+scalar Region extends String
+
+asset Account identified by region, accountNumber {
+    o Region region
+    o String accountNumber
+    o Double balance
+}
+
+asset SavingsAccount extends Account {
+}
+
+asset Order identified by sku {
+    o String sku
+}
+            `, 'test.cto');
+
+            const account = mm.getType('test.Account');
+            account.getIdentifierFieldNames().should.deep.equal(['region', 'accountNumber']);
+            (() => {
+                account.getIdentifierFieldName();
+            }).should.throw(/The class test.Account is identified by several fields, region, accountNumber, use getIdentifierFieldNames./);
+            account.isCompositeIdentified().should.be.true;
+            account.isExplicitlyIdentified().should.be.true;
+            account.isSystemIdentified().should.be.false;
+
+            const savingsAccount = mm.getType('test.SavingsAccount');
+            savingsAccount.getIdentifierFieldNames().should.deep.equal(['region', 'accountNumber']);
+            savingsAccount.isCompositeIdentified().should.be.true;
+
+            const order = mm.getType('test.Order');
+            order.getIdentifierFieldNames().should.deep.equal(['sku']);
+            order.isCompositeIdentified().should.be.false;
+            mm.getType('concerto.Concept').getIdentifierFieldNames().should.deep.equal([]);
+        });
+
+        it('should not allow a field to be repeated in a composite identifier', () => {
+            const mm = new ModelManager();
+
+            (() => {
+                mm.addModelFile( `
+                namespace test
+
+                asset Account identified by region, accountNumber, region {
+                    o String region
+                    o String accountNumber
+                }
+                `, 'test.cto');
+            }).should.throw(/Class Account is identified by the field region more than once./);
+        });
+
+        it('should not allow a composite identifier with a missing field', () => {
+            const mm = new ModelManager();
+
+            (() => {
+                mm.addModelFile( `
+                namespace test
+
+                asset Account identified by region, accountNumber {
+                    o String region
+                }
+                `, 'test.cto');
+            }).should.throw(/Class Account is identified by field \(accountNumber\) but does not contain this property./);
+        });
+
+        it('should not allow a composite identifier with a field that is not a string', () => {
+            const mm = new ModelManager();
+
+            (() => {
+                mm.addModelFile( `
+                namespace test
+
+                asset Account identified by region, accountNumber {
+                    o String region
+                    o Integer accountNumber
+                }
+                `, 'test.cto');
+            }).should.throw(/Class Account is identified by field \(accountNumber\) but the type of the field is not String./);
+        });
+
+        it('should not allow a composite identifier with an optional field', () => {
+            const mm = new ModelManager();
+
+            (() => {
+                mm.addModelFile( `
+                namespace test
+
+                asset Account identified by region, accountNumber {
+                    o String region optional
+                    o String accountNumber
+                }
+                `, 'test.cto');
+            }).should.throw(/Identifying fields cannot be optional./);
+        });
+
+        it('should not allow overriding a composite identifier', () => {
+            const mm = new ModelManager();
+
+            (() => {
+                mm.addModelFile( `
+                namespace test
+
+                asset Account identified by region, accountNumber {
+                    o String region
+                    o String accountNumber
+                }
+
+                asset SavingsAccount identified by accountNumber extends Account {
+                }
+                `, 'test.cto');
+            }).should.throw(/Super class test.Account has an explicit identifier region, accountNumber that cannot be redeclared./);
+        });
+    });
 });
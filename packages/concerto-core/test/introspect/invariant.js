@@ -0,0 +1,323 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const IllegalModelException = require('../../lib/introspect/illegalmodelexception');
+const Invariant = require('../../lib/introspect/invariant');
+const ModelManager = require('../../lib/modelmanager');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+require('chai').should();
+
+describe('Invariant', () => {
+
+    let modelManager;
+
+    const addModel = (body) => {
+        modelManager.addModelFile(`namespace org.acme
+        enum Kind {
+            o LOAN
+            o GRANT
+        }
+        scalar Percentage extends Double range=[0.0,100.0]
+        concept Address {
+            o String country
+        }
+        participant Person identified by email {
+            o String email
+        }
+        concept Loan {
+            o Kind kind
+            o Percentage rate optional
+            o Integer term optional
+            o Long amount optional
+            o Decimal fee optional
+            o Boolean secured optional
+            o DateTime startDate optional
+            o DateTime endDate optional
+            o Date signed optional
+            o Time opening optional
+            o Duration grace optional
+            o Address address optional
+            o String[] notes optional
+            --> Person borrower optional
+            ${body}
+        }`, 'acme.cto');
+    };
+
+    const invariantOf = (expression) => {
+        modelManager = new ModelManager();
+        addModel(`invariant check: ${expression}`);
+        return modelManager.getType('org.acme.Loan').getOwnInvariants()[0];
+    };
+
+    const loan = (properties) => Object.assign({ $class: 'org.acme.Loan', kind: 'GRANT' }, properties);
+
+    beforeEach(() => {
+        modelManager = new ModelManager();
+    });
+
+    describe('#constructor', () => {
+
+        it('should validate the expression before it is first evaluated', () => {
+            addModel('');
+            const invariant = new Invariant(modelManager.getType('org.acme.Loan'), {
+                id: { name: 'check' },
+                expression: { type: 'PropertyPath', path: ['secured'] }
+            });
+            invariant.evaluate(loan({ secured: false })).should.be.false;
+        });
+
+        it('should store the name and the source of the expression', () => {
+            addModel(`invariant endAfterStart: endDate > startDate
+            o String reference optional
+            invariant rateForLoans: kind != "LOAN" || rate != null`);
+            const classDeclaration = modelManager.getType('org.acme.Loan');
+            const invariants = classDeclaration.getOwnInvariants();
+            invariants.length.should.equal(2);
+            invariants[0].getName().should.equal('endAfterStart');
+            invariants[0].getExpression().should.equal('endDate > startDate');
+            invariants[0].getParent().should.equal(classDeclaration);
+            invariants[1].getExpression().should.equal('kind != "LOAN" || rate != null');
+            invariants[1].toString().should.equal('Invariant {id=rateForLoans expression=kind != "LOAN" || rate != null}');
+            (invariants[0] instanceof Invariant).should.be.true;
+            classDeclaration.getProperty('reference').should.not.be.null;
+        });
+    });
+
+    describe('#getInvariants', () => {
+
+        it('should return the invariants of the class, its super types and its mixins', () => {
+            modelManager.addModelFile(`namespace org.acme
+            concept Dated {
+                o DateTime startDate
+                o DateTime endDate
+                invariant endAfterStart: endDate > startDate
+            }
+            abstract concept Priced {
+                o Double price
+                invariant positivePrice: price > 0
+            }
+            concept Offer extends Priced with Dated {
+                o Double discount
+                invariant discountBelowPrice: discount < price
+            }`, 'acme.cto');
+            const offer = modelManager.getType('org.acme.Offer');
+            offer.getOwnInvariants().map((invariant) => invariant.getName()).should.deep.equal(['discountBelowPrice']);
+            offer.getInvariants().map((invariant) => invariant.getName()).should.deep.equal(['discountBelowPrice', 'positivePrice', 'endAfterStart']);
+        });
+    });
+
+    describe('#validate', () => {
+
+        it('should accept well typed expressions', () => {
+            addModel(`invariant a: !(endDate <= startDate) && signed != null
+            invariant b: (term + 1) * 2 - amount / 2 >= -1 && fee < 10.5 && rate <= 100
+            invariant c: kind == "LOAN" || secured == true || secured == false
+            invariant d: opening < opening || grace >= grace || address.country != "UK"
+            invariant e: notes == null || borrower != null || address != null`);
+            modelManager.getType('org.acme.Loan').getOwnInvariants().length.should.equal(5);
+        });
+
+        it('should throw for an unknown property', () => {
+            try {
+                addModel('invariant check: endDat > startDate');
+                throw new Error('should have thrown');
+            } catch (error) {
+                error.should.be.an.instanceOf(IllegalModelException);
+                error.message.should.match(/^Invariant check of org.acme.Loan refers to the unknown property endDat. File 'acme.cto': line 28 column 13/);
+            }
+        });
+
+        it('should throw for an unknown nested property', () => {
+            (() => {
+                addModel('invariant check: address.city == "Paris"');
+            }).should.throw(/Invariant check of org.acme.Loan refers to the unknown property address.city./);
+        });
+
+        it('should throw for a path through a property that is not a concept', () => {
+            (() => {
+                addModel('invariant check: borrower.email == "alice@example.com"');
+            }).should.throw(/Invariant check of org.acme.Loan refers to the property borrower.email, but borrower is not a concept./);
+        });
+
+        it('should throw for operands of different types', () => {
+            (() => {
+                addModel('invariant check: endDate > signed');
+            }).should.throw(/Invariant check of org.acme.Loan applies the operator > to operands of type DateTime and Date./);
+        });
+
+        it('should throw for a logical operator applied to numbers', () => {
+            (() => {
+                addModel('invariant check: term && secured');
+            }).should.throw(/applies the operator && to operands of type Number and Boolean./);
+        });
+
+        it('should throw for the comparison of a concept to another value than null', () => {
+            (() => {
+                addModel('invariant check: address == address');
+            }).should.throw(/applies the operator == to operands of type Object and Object./);
+        });
+
+        it('should throw for an ordering of booleans', () => {
+            (() => {
+                addModel('invariant check: secured < true');
+            }).should.throw(/applies the operator < to operands of type Boolean and Boolean./);
+        });
+
+        it('should throw for a unary operator applied to an operand of the wrong type', () => {
+            (() => {
+                addModel('invariant check: !kind');
+            }).should.throw(/applies the operator ! to an operand of type String./);
+            (() => {
+                addModel('invariant check: -secured');
+            }).should.throw(/applies the operator - to an operand of type Boolean./);
+        });
+
+        it('should throw for the division of a decimal', () => {
+            (() => {
+                addModel('invariant check: fee / 2 > 1');
+            }).should.throw(/applies the operator \/ to operands of type Decimal and Number./);
+        });
+
+        it('should throw for an expression that is not boolean', () => {
+            (() => {
+                addModel('invariant check: term + 1');
+            }).should.throw(/Invariant check of org.acme.Loan is not a boolean expression./);
+        });
+
+        it('should throw for a duplicate invariant', () => {
+            (() => {
+                addModel(`invariant check: term > 0
+                invariant check: term < 10`);
+            }).should.throw(/Duplicate invariant check of Loan/);
+        });
+    });
+
+    describe('#evaluate', () => {
+
+        it('should compare numbers, including longs and decimals', () => {
+            const invariant = invariantOf('amount * 2 > term && fee <= 10.5 && rate / 2 == 25');
+            invariant.evaluate(loan({ amount: BigInt('9007199254740993'), term: 12, fee: '10.50', rate: 50 })).should.be.true;
+            invariant.evaluate(loan({ amount: 5, term: 12, fee: '10.50', rate: 50 })).should.be.false;
+            invariant.evaluate(loan({ amount: 50, term: 12, fee: '10.51', rate: 50 })).should.be.false;
+        });
+
+        it('should compare longs and decimals beyond the precision of a double', () => {
+            const greater = invariantOf('amount > 9007199254740992');
+            greater.evaluate(loan({ amount: '9007199254740993' })).should.be.true;
+            greater.evaluate(loan({ amount: BigInt('9007199254740993') })).should.be.true;
+            greater.evaluate(loan({ amount: '9007199254740992' })).should.be.false;
+
+            const equal = invariantOf('amount == 9007199254740993');
+            equal.evaluate(loan({ amount: '9007199254740992' })).should.be.false;
+            equal.evaluate(loan({ amount: '9007199254740993' })).should.be.true;
+
+            const less = invariantOf('fee < 12345678901234567890.2');
+            less.evaluate(loan({ fee: '12345678901234567890.1' })).should.be.true;
+            less.evaluate(loan({ fee: '12345678901234567890.20' })).should.be.false;
+        });
+
+        it('should compute longs and decimals exactly', () => {
+            invariantOf('amount + 1 == 9007199254740994').evaluate(loan({ amount: '9007199254740993' })).should.be.true;
+            invariantOf('amount - 0x10 == 9007199254740977').evaluate(loan({ amount: '9007199254740993' })).should.be.true;
+            invariantOf('amount / 2 == 4503599627370496').evaluate(loan({ amount: '9007199254740993' })).should.be.true;
+            invariantOf('fee * 3 == 0.3').evaluate(loan({ fee: '0.1' })).should.be.true;
+            invariantOf('fee + amount == 9007199254740993.5').evaluate(loan({ fee: '0.5', amount: '9007199254740993' })).should.be.true;
+            invariantOf('-fee < 0').evaluate(loan({ fee: '0.5' })).should.be.true;
+            invariantOf('-fee < 0').evaluate(loan({ fee: '-0.5' })).should.be.false;
+            invariantOf('amount < -1').evaluate(loan({ amount: '-2' })).should.be.true;
+            invariantOf('amount * 2 >= 18014398509481986 && fee - 0.25 <= 0.25').evaluate(loan({ amount: '9007199254740993', fee: '0.5' })).should.be.true;
+        });
+
+        it('should compute numbers as doubles', () => {
+            invariantOf('term - 1 <= 11 && term >= 1 && 1 < 2').evaluate(loan({ term: 12 })).should.be.true;
+            invariantOf('term - 1 <= 11 && term >= 1 && 1 < 2').evaluate(loan({ term: 13 })).should.be.false;
+        });
+
+        it('should compare longs to doubles and fractions', () => {
+            invariantOf('amount > rate').evaluate(loan({ amount: '9007199254740993', rate: 50 })).should.be.true;
+            invariantOf('amount < 2.5').evaluate(loan({ amount: '2' })).should.be.true;
+            invariantOf('amount != fee').evaluate(loan({ amount: '2', fee: '2.00' })).should.be.false;
+        });
+
+        it('should hold when a long is divided by zero', () => {
+            invariantOf('amount / 0 > 0').evaluate(loan({ amount: '1' })).should.be.true;
+        });
+
+        it('should compare enumerated values as strings', () => {
+            const invariant = invariantOf('kind != "LOAN" || rate != null');
+            invariant.evaluate(loan({ kind: 'LOAN', rate: 5 })).should.be.true;
+            invariant.evaluate(loan({ kind: 'GRANT' })).should.be.true;
+            invariant.evaluate(loan({ kind: 'LOAN' })).should.be.false;
+        });
+
+        it('should compare date times given as strings or as dayjs objects', () => {
+            const invariant = invariantOf('endDate > startDate');
+            invariant.evaluate(loan({ startDate: '2020-01-01T00:00:00Z', endDate: '2020-01-01T01:00:00+02:00' })).should.be.false;
+            invariant.evaluate(loan({ startDate: '2020-01-01T00:00:00Z', endDate: '2020-01-01T01:00:00Z' })).should.be.true;
+            invariant.evaluate(loan({ startDate: dayjs.utc('2020-01-01'), endDate: dayjs.utc('2019-12-31') })).should.be.false;
+        });
+
+        it('should compare dates, times and durations', () => {
+            const invariant = invariantOf('signed == signed && (opening < opening) == false && grace >= grace');
+            invariant.evaluate(loan({ signed: '2020-01-01', opening: '08:30:00', grace: 'P1D' })).should.be.true;
+
+            const durations = invariantOf('grace > grace');
+            durations.evaluate(loan({ grace: 'PT1H' })).should.be.false;
+        });
+
+        it('should follow the properties of nested concepts', () => {
+            const invariant = invariantOf('address == null || address.country == "UK"');
+            invariant.evaluate(loan({})).should.be.true;
+            invariant.evaluate(loan({ address: { $class: 'org.acme.Address', country: 'UK' } })).should.be.true;
+            invariant.evaluate(loan({ address: { $class: 'org.acme.Address', country: 'FR' } })).should.be.false;
+        });
+
+        it('should hold when a comparison with an absent property is unknown', () => {
+            const invariant = invariantOf('endDate > startDate');
+            invariant.evaluate(loan({ startDate: '2020-01-01T00:00:00Z' })).should.be.true;
+
+            const negated = invariantOf('!(term > 0)');
+            negated.evaluate(loan({})).should.be.true;
+            negated.evaluate(loan({ term: 1 })).should.be.false;
+
+            const arithmetic = invariantOf('-term < 0');
+            arithmetic.evaluate(loan({})).should.be.true;
+            arithmetic.evaluate(loan({ term: -1 })).should.be.false;
+        });
+
+        it('should combine unknown values with three-valued logic', () => {
+            const and = invariantOf('term > 0 && secured');
+            and.evaluate(loan({ secured: false })).should.be.false;
+            and.evaluate(loan({ secured: true })).should.be.true;
+            and.evaluate(loan({ term: 1, secured: true })).should.be.true;
+
+            const or = invariantOf('term > 0 || secured');
+            or.evaluate(loan({ secured: false })).should.be.true;
+            or.evaluate(loan({ term: 0, secured: false })).should.be.false;
+            or.evaluate(loan({ term: 0, secured: true })).should.be.true;
+        });
+
+        it('should compare absent properties to null', () => {
+            const invariant = invariantOf('borrower != null && notes == null');
+            invariant.evaluate(loan({ borrower: 'resource:org.acme.Person#alice@example.com' })).should.be.true;
+            invariant.evaluate(loan({ borrower: 'resource:org.acme.Person#alice@example.com', notes: [] })).should.be.false;
+            invariant.evaluate(loan({})).should.be.false;
+        });
+    });
+});
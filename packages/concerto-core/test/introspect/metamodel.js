@@ -0,0 +1,424 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Factory = require('../../lib/factory');
+const IllegalModelException = require('../../lib/introspect/illegalmodelexception');
+const MetaModel = require('../../lib/introspect/metamodel');
+const ModelFile = require('../../lib/introspect/modelfile');
+const ModelManager = require('../../lib/modelmanager');
+const ParseException = require('../../lib/introspect/parseexception');
+const Serializer = require('../../lib/serializer');
+const fs = require('fs');
+const path = require('path');
+
+require('chai').should();
+
+describe('MetaModel', () => {
+
+    const otherModel = `namespace org.other
+    concept Money {
+        o Double amount
+    }
+    concept Tag {
+        o String value
+    }`;
+
+    const acmeModel = `concerto version ">= 1.0.0"
+    namespace org.acme
+    import org.other.Money
+    import org.other.{Tag as Label} from https://example.com/other.cto
+    import org.other.*
+
+    /** A postal address */
+    @Doc("address", 1.5, true, Money, Money[], [1, "a"], {key: "value", "list": [false]})
+    concept Address {
+        @Empty()
+        @NoArguments
+        o String street default="Main Street" regex=/^[A-Z]\\/[a-z]*$/i length=[1,100] optional
+        o Integer number default=-3 range=[,500]
+        o Long reference range=[-1,]
+        o Double latitude default=1.5 range=[-90.0,90.0]
+        o Decimal fee default=1.50 range=[0.10,] scale=2
+        o Boolean verified default=true
+        o DateTime since default="2020-01-01T00:00:00Z" optional
+        o Date opened optional
+        o Time opening optional
+        o Duration grace optional
+        o String[2..5] lines
+        o Integer[] codes
+        o Kind kind default="HOME"
+        o Map<String, Money> prices optional
+        o Label label optional
+    }
+
+    enum Kind {
+        /** A home */
+        o HOME = "home"
+        @Deprecated
+        o OFFICE = 2
+        o OTHER
+    }
+
+    scalar Percentage extends Double default=1.0 range=[0.0,100.0]
+    /** A name */
+    scalar Name extends String regex=/^[a-z]+$/ length=[1,]
+    scalar Count extends Integer default=0 range=[0,]
+    scalar Big extends Long range=[0,10]
+    scalar Price extends Decimal default=0.00 range=[0.00,] scale=3
+    scalar Flag extends Boolean default=false
+    scalar Moment extends DateTime
+    scalar Day extends Date
+    scalar Hour extends Time
+    scalar Period extends Duration default="P1D"
+
+    concept Page<T> {
+        o T[] items
+    }
+
+    asset Shop identified by region, code {
+        o String region
+        o String code
+        o Page<Money> takings
+        --> Person owner inverse shops optional
+    }
+
+    participant Person identified by email {
+        o String email
+        --> Shop[] shops inverse owner
+        o Integer minimum
+        /** The maximum is above the minimum */
+        invariant ordered: minimum < maximum
+        o Integer maximum
+    }
+
+    abstract transaction Sale {
+    }
+
+    event Moved extends Dated with Located {
+    }
+
+    abstract concept Dated {
+        o DateTime at optional
+    }
+
+    concept Located {
+        o Address address optional
+    }
+
+    concept Thing identified {
+        o String name
+    }`;
+
+    let modelManager;
+
+    beforeEach(() => {
+        modelManager = new ModelManager();
+        modelManager.addModelFiles([otherModel, acmeModel], ['other.cto', 'acme.cto']);
+    });
+
+    const declaration = (name) => modelManager.getModelFile('org.acme').toMetamodel().declarations.find((declaration) => declaration.name === name);
+
+    describe('#getMetaModelCto', () => {
+
+        it('should be a valid model of the metamodel', () => {
+            const metaModelManager = new ModelManager();
+            metaModelManager.addModelFile(MetaModel.getMetaModelCto(), 'metamodel.cto');
+            metaModelManager.getType('concerto.metamodel.Model').should.not.be.null;
+        });
+
+        it('should describe the metamodel of models', () => {
+            const metaModelManager = new ModelManager();
+            metaModelManager.addModelFile(MetaModel.getMetaModelCto(), 'metamodel.cto');
+            const serializer = new Serializer(new Factory(metaModelManager), metaModelManager);
+            const models = serializer.fromJSON(modelManager.toMetamodel());
+            models.getFullyQualifiedType().should.equal('concerto.metamodel.Models');
+            models.models.length.should.equal(2);
+        });
+    });
+
+    describe('#fromAst', () => {
+
+        it('should describe the namespace, version and imports', () => {
+            const metaModel = modelManager.getModelFile('org.acme').toMetamodel();
+            metaModel.$class.should.equal('concerto.metamodel.Model');
+            metaModel.namespace.should.equal('org.acme');
+            metaModel.concertoVersion.should.equal('>= 1.0.0');
+            metaModel.imports.should.deep.equal([{
+                $class: 'concerto.metamodel.ImportType',
+                namespace: 'org.other',
+                name: 'Money'
+            }, {
+                $class: 'concerto.metamodel.ImportTypes',
+                namespace: 'org.other',
+                types: [{ $class: 'concerto.metamodel.ImportedType', name: 'Tag', alias: 'Label' }],
+                uri: 'https://example.com/other.cto'
+            }, {
+                $class: 'concerto.metamodel.ImportAll',
+                namespace: 'org.other'
+            }]);
+        });
+
+        it('should describe the properties, with their defaults and validators', () => {
+            const address = declaration('Address');
+            address.docs.should.equal('A postal address');
+            address.isAbstract.should.be.false;
+            address.properties.map((property) => property.$class.split('.').pop()).should.deep.equal([
+                'StringProperty', 'IntegerProperty', 'LongProperty', 'DoubleProperty', 'DecimalProperty', 'BooleanProperty',
+                'DateTimeProperty', 'DateProperty', 'TimeProperty', 'DurationProperty', 'StringProperty', 'IntegerProperty',
+                'ObjectProperty', 'MapProperty', 'ObjectProperty'
+            ]);
+            const [street, number, reference, latitude, fee, verified] = address.properties;
+            street.should.deep.equal({
+                $class: 'concerto.metamodel.StringProperty',
+                name: 'street',
+                defaultValue: 'Main Street',
+                validator: { $class: 'concerto.metamodel.StringRegexValidator', pattern: '^[A-Z]\\/[a-z]*$', flags: 'i' },
+                lengthValidator: { $class: 'concerto.metamodel.StringLengthValidator', minLength: 1, maxLength: 100 },
+                isOptional: true,
+                isArray: false,
+                decorators: [
+                    { $class: 'concerto.metamodel.Decorator', name: 'Empty', arguments: [] },
+                    { $class: 'concerto.metamodel.Decorator', name: 'NoArguments' }
+                ]
+            });
+            number.defaultValue.should.equal(-3);
+            number.validator.should.deep.equal({ $class: 'concerto.metamodel.IntegerDomainValidator', upper: 500 });
+            reference.validator.should.deep.equal({ $class: 'concerto.metamodel.LongDomainValidator', lower: -1 });
+            latitude.defaultValue.should.equal(1.5);
+            latitude.validator.should.deep.equal({ $class: 'concerto.metamodel.DoubleDomainValidator', lower: -90, upper: 90 });
+            fee.defaultValue.should.equal('1.50');
+            fee.validator.should.deep.equal({ $class: 'concerto.metamodel.DecimalDomainValidator', lower: '0.10' });
+            fee.scale.should.equal(2);
+            verified.defaultValue.should.be.true;
+            address.properties[10].cardinality.should.deep.equal({ $class: 'concerto.metamodel.Cardinality', lower: 2, upper: 5 });
+            address.properties[11].isArray.should.be.true;
+            address.properties[12].should.deep.equal({
+                $class: 'concerto.metamodel.ObjectProperty',
+                name: 'kind',
+                type: 'Kind',
+                defaultValue: 'HOME',
+                isOptional: false,
+                isArray: false
+            });
+            address.properties[13].should.deep.equal({
+                $class: 'concerto.metamodel.MapProperty',
+                name: 'prices',
+                keyType: 'String',
+                valueType: 'Money',
+                isOptional: true
+            });
+        });
+
+        it('should describe the arguments of decorators', () => {
+            declaration('Address').decorators[0].arguments.should.deep.equal([
+                { $class: 'concerto.metamodel.DecoratorString', value: 'address' },
+                { $class: 'concerto.metamodel.DecoratorNumber', value: 1.5 },
+                { $class: 'concerto.metamodel.DecoratorBoolean', value: true },
+                { $class: 'concerto.metamodel.DecoratorTypeReference', name: 'Money', isArray: false },
+                { $class: 'concerto.metamodel.DecoratorTypeReference', name: 'Money', isArray: true },
+                { $class: 'concerto.metamodel.DecoratorArray', values: [
+                    { $class: 'concerto.metamodel.DecoratorNumber', value: 1 },
+                    { $class: 'concerto.metamodel.DecoratorString', value: 'a' }
+                ] },
+                { $class: 'concerto.metamodel.DecoratorObject', properties: [
+                    { $class: 'concerto.metamodel.DecoratorObjectProperty', key: 'key', value: { $class: 'concerto.metamodel.DecoratorString', value: 'value' } },
+                    { $class: 'concerto.metamodel.DecoratorObjectProperty', key: 'list', value: { $class: 'concerto.metamodel.DecoratorArray', values: [
+                        { $class: 'concerto.metamodel.DecoratorBoolean', value: false }
+                    ] } }
+                ] }
+            ]);
+        });
+
+        it('should describe enumerations and their codes', () => {
+            declaration('Kind').should.deep.equal({
+                $class: 'concerto.metamodel.EnumDeclaration',
+                name: 'Kind',
+                values: [
+                    { $class: 'concerto.metamodel.EnumValue', name: 'HOME', stringCode: 'home', docs: 'A home' },
+                    { $class: 'concerto.metamodel.EnumValue', name: 'OFFICE', integerCode: 2, decorators: [{ $class: 'concerto.metamodel.Decorator', name: 'Deprecated' }] },
+                    { $class: 'concerto.metamodel.EnumValue', name: 'OTHER' }
+                ]
+            });
+        });
+
+        it('should describe scalars', () => {
+            declaration('Percentage').should.deep.equal({
+                $class: 'concerto.metamodel.DoubleScalar',
+                name: 'Percentage',
+                defaultValue: 1,
+                validator: { $class: 'concerto.metamodel.DoubleDomainValidator', lower: 0, upper: 100 }
+            });
+            declaration('Name').should.deep.equal({
+                $class: 'concerto.metamodel.StringScalar',
+                name: 'Name',
+                validator: { $class: 'concerto.metamodel.StringRegexValidator', pattern: '^[a-z]+$', flags: '' },
+                lengthValidator: { $class: 'concerto.metamodel.StringLengthValidator', minLength: 1 },
+                docs: 'A name'
+            });
+            declaration('Price').scale.should.equal(3);
+            declaration('Flag').defaultValue.should.be.false;
+            declaration('Period').defaultValue.should.equal('P1D');
+        });
+
+        it('should describe identifiers, super types, mixins and type parameters', () => {
+            declaration('Shop').identified.should.deep.equal({ $class: 'concerto.metamodel.IdentifiedBy', fields: ['region', 'code'] });
+            declaration('Person').identified.should.deep.equal({ $class: 'concerto.metamodel.IdentifiedBy', fields: ['email'] });
+            declaration('Thing').identified.should.deep.equal({ $class: 'concerto.metamodel.Identified' });
+            declaration('Shop').should.not.have.property('superType');
+            declaration('Sale').isAbstract.should.be.true;
+            declaration('Moved').superType.should.equal('Dated');
+            declaration('Moved').mixins.should.deep.equal(['Located']);
+            declaration('Page').typeParameters.should.deep.equal(['T']);
+            declaration('Shop').properties[2].typeArguments.should.deep.equal(['Money']);
+        });
+
+        it('should describe relationships and invariants', () => {
+            declaration('Shop').properties[3].should.deep.equal({
+                $class: 'concerto.metamodel.RelationshipProperty',
+                name: 'owner',
+                type: 'Person',
+                inverse: 'shops',
+                isOptional: true,
+                isArray: false
+            });
+            declaration('Person').invariants.should.deep.equal([{
+                $class: 'concerto.metamodel.Invariant',
+                name: 'ordered',
+                expression: 'minimum < maximum',
+                docs: 'The maximum is above the minimum'
+            }]);
+        });
+    });
+
+    describe('#toAst', () => {
+
+        it('should create model files that have the same metamodel', () => {
+            const metaModel = modelManager.toMetamodel();
+            const copy = new ModelManager();
+            copy.addModelFiles(metaModel.models.map((model) => new ModelFile(copy, model)));
+            copy.toMetamodel().should.deep.equal(metaModel);
+        });
+
+        it('should create model files that behave as the model', () => {
+            const copy = new ModelManager();
+            copy.addModelFiles(modelManager.toMetamodel().models.map((model) => new ModelFile(copy, model)));
+            const address = copy.getType('org.acme.Address');
+            address.getDescription().should.equal('A postal address');
+            address.getDecorator('Doc').getArguments()[3].fullyQualifiedName.should.equal('org.other.Money');
+            address.getProperty('street').getValidator().regex.should.deep.equal(modelManager.getType('org.acme.Address').getProperty('street').getValidator().regex);
+            (() => copy.getType('org.acme.Name').getValidator().validate('id', 'A')).should.throw(/failed to match validation regex/);
+            address.getProperty('number').getDefaultValue().should.equal('-3');
+            address.getProperty('fee').getScale().should.equal(2);
+            copy.getType('org.acme.Price').getScale().should.equal(3);
+            address.getProperty('lines').getMinItems().should.equal(2);
+            copy.getType('org.acme.Shop').getIdentifierFieldNames().should.deep.equal(['region', 'code']);
+            copy.getType('org.acme.Shop').getSuperType().should.equal('concerto.Asset');
+            copy.getType('org.acme.Thing').getIdentifierFieldName().should.equal('$identifier');
+            copy.getType('org.acme.Person').getOwnInvariants()[0].evaluate({ minimum: 1, maximum: 0 }).should.be.false;
+            copy.getType('org.acme.Kind').getProperty('OFFICE').getCode().should.equal(2);
+            copy.getType('org.acme.Shop').getProperty('owner').getInverseDeclaration().getName().should.equal('shops');
+            copy.getModelFile('org.acme').getImportURI('org.other.Tag').should.equal('https://example.com/other.cto');
+            copy.getModelFile('org.acme').getConcertoVersion().should.equal('>= 1.0.0');
+        });
+
+        it('should round trip the models of the test data', () => {
+            const directory = path.resolve(__dirname, '../data/model');
+            fs.readdirSync(directory).filter((file) => file.endsWith('.cto') && !file.startsWith('invalid') && !file.startsWith('version')).forEach((file) => {
+                const modelFile = new ModelFile(modelManager, fs.readFileSync(path.join(directory, file), 'utf8'), file);
+                const metaModel = modelFile.toMetamodel();
+                new ModelFile(modelManager, metaModel, file).toMetamodel().should.deep.equal(metaModel);
+            });
+        });
+
+        it('should throw for a metamodel that is not a model', () => {
+            (() => {
+                new ModelFile(modelManager, { $class: 'concerto.metamodel.Models', models: [] });
+            }).should.throw(/Unrecognized metamodel type concerto.metamodel.Models/);
+            (() => {
+                new ModelFile(modelManager, { $class: 'org.acme.Model', namespace: 'org.acme' });
+            }).should.throw(/Unrecognized metamodel type org.acme.Model/);
+        });
+
+        it('should throw for elements of unrecognized types', () => {
+            const metaModel = modelManager.getModelFile('org.acme').toMetamodel();
+            const withDeclaration = (declaration) => Object.assign({}, metaModel, { declarations: [declaration] });
+            (() => {
+                new ModelFile(modelManager, withDeclaration({ $class: 'concerto.metamodel.ObjectScalar', name: 'Thing' }));
+            }).should.throw(/Unrecognized metamodel type concerto.metamodel.ObjectScalar/);
+            (() => {
+                new ModelFile(modelManager, withDeclaration({ $class: 'concerto.metamodel.ConceptDeclaration', name: 'Thing', properties: [
+                    { $class: 'concerto.metamodel.ThingProperty', name: 'thing' }
+                ] }));
+            }).should.throw(/Unrecognized metamodel type concerto.metamodel.ThingProperty/);
+            (() => {
+                new ModelFile(modelManager, withDeclaration({ $class: 'concerto.metamodel.ConceptDeclaration', name: 'Thing', properties: [], decorators: [
+                    { $class: 'concerto.metamodel.Decorator', name: 'Thing', arguments: [{ $class: 'concerto.metamodel.DecoratorDate', value: 'today' }] }
+                ] }));
+            }).should.throw(/Unrecognized metamodel type concerto.metamodel.DecoratorDate/);
+            (() => {
+                new ModelFile(modelManager, Object.assign({}, metaModel, { imports: [{ namespace: 'org.other' }] }));
+            }).should.throw(/Unrecognized metamodel type undefined/);
+        });
+
+        it('should throw a ParseException for an invariant that does not parse', () => {
+            const metaModel = modelManager.getModelFile('org.acme').toMetamodel();
+            metaModel.declarations.find((declaration) => declaration.name === 'Person').invariants[0].expression = 'minimum <';
+            (() => {
+                new ModelFile(modelManager, metaModel, 'acme.json');
+            }).should.throw(ParseException, /Expected/);
+        });
+
+        it('should throw for a namespace whose version is not a semantic version', () => {
+            (() => {
+                new ModelFile(modelManager, { $class: 'concerto.metamodel.Model', namespace: 'org.empty@1.x' }, 'empty.json');
+            }).should.throw(IllegalModelException, /Invalid semantic version 1.x of namespace org.empty@1.x/);
+        });
+
+        it('should round trip the decorator schemas of a model', () => {
+            const modelFile = new ModelFile(modelManager, `namespace org.decorators
+            /** A label */
+            decorator Label(String, Number?) on field, relationship repeatable
+            concept Thing {
+            }
+            decorator Hidden()`);
+            const metaModel = modelFile.toMetamodel();
+            metaModel.decoratorSchemas.should.deep.equal([{
+                $class: 'concerto.metamodel.DecoratorSchema',
+                name: 'Label',
+                arguments: ['String', 'Number?'],
+                targets: ['field', 'relationship'],
+                repeatable: true,
+                docs: 'A label'
+            }, {
+                $class: 'concerto.metamodel.DecoratorSchema',
+                name: 'Hidden',
+                arguments: [],
+                repeatable: false
+            }]);
+            metaModel.declarations.map((declaration) => declaration.name).should.deep.equal(['Thing']);
+            const copy = new ModelFile(modelManager, metaModel);
+            copy.getDecoratorSchemas().map((schema) => schema.getName()).should.deep.equal(['Label', 'Hidden']);
+            copy.toMetamodel().should.deep.equal(metaModel);
+        });
+
+        it('should create an empty model from a minimal metamodel', () => {
+            const modelFile = new ModelFile(modelManager, { $class: 'concerto.metamodel.Model', namespace: 'org.empty' });
+            modelFile.getNamespace().should.equal('org.empty');
+            modelFile.getAllDeclarations().should.deep.equal([]);
+            modelFile.toMetamodel().should.deep.equal({ $class: 'concerto.metamodel.Model', namespace: 'org.empty', imports: [], declarations: [] });
+        });
+    });
+});
@@ -0,0 +1,322 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const AssetDeclaration = require('../../lib/introspect/assetdeclaration');
+const Factory = require('../../lib/factory');
+const Field = require('../../lib/introspect/field');
+const IllegalModelException = require('../../lib/introspect/illegalmodelexception');
+const ModelBuilder = require('../../lib/introspect/modelbuilder');
+const ModelFile = require('../../lib/introspect/modelfile');
+const ModelManager = require('../../lib/modelmanager');
+const RelationshipDeclaration = require('../../lib/introspect/relationshipdeclaration');
+const Serializer = require('../../lib/serializer');
+const parser = require('../../lib/introspect/parser');
+
+require('chai').should();
+const sinon = require('sinon');
+
+describe('ModelBuilder', () => {
+
+    let modelManager;
+    let sandbox;
+
+    beforeEach(() => {
+        modelManager = new ModelManager();
+        modelManager.addModelFile(`namespace org.other
+        concept Money {
+            o Double amount
+        }
+        concept Tag {
+            o String value
+        }`);
+        sandbox = sinon.createSandbox();
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    describe('#build', () => {
+
+        it('should build a model file without parsing CTO text', () => {
+            sandbox.stub(parser, 'parse').throws(new Error('parsed'));
+            const modelFile = ModelBuilder.namespace('org.acme')
+                .concept('Address')
+                .field('street', 'String', { optional: true })
+                .asset('Vehicle', { identifiedBy: 'vin' })
+                .field('vin', 'String')
+                .build(modelManager, 'acme.cto');
+
+            modelFile.should.be.an.instanceOf(ModelFile);
+            modelFile.getName().should.equal('acme.cto');
+            modelManager.addModelFile(modelFile);
+            const vehicle = modelManager.getType('org.acme.Vehicle');
+            vehicle.should.be.an.instanceOf(AssetDeclaration);
+            vehicle.getIdentifierFieldName().should.equal('vin');
+            const street = modelManager.getType('org.acme.Address').getProperty('street');
+            street.should.be.an.instanceOf(Field);
+            street.isOptional().should.equal(true);
+            street.getType().should.equal('String');
+        });
+
+        it('should build every kind of declaration and property', () => {
+            const modelFile = ModelBuilder.namespace('org.acme', { concertoVersion: '>= 1.0.0' })
+                .import('org.other.Money')
+                .import('org.other', { types: [{ name: 'Tag', alias: 'Label' }] })
+                .import('org.other.*')
+                .concept('Address', { description: 'A postal address' })
+                .decorate('Doc', ['address', 1.5, true, [1, 'a'], { key: 'value' }])
+                .field('street', 'String', { default: 'Main Street', regex: /^[A-Z]/i, length: [1, 100] })
+                .decorate('Empty', [])
+                .decorate('NoArguments')
+                .field('number', 'Integer', { range: [null, 500] })
+                .field('fee', 'Decimal', { default: 1.5, range: [0.1], scale: 2 })
+                .field('lines', 'String', { array: [2, 5] })
+                .field('codes', 'Integer', { array: true })
+                .field('kind', 'Kind', { default: 'HOME' })
+                .map('prices', 'String', 'Money', { optional: true })
+                .field('label', 'Label', { optional: true })
+                .enum('Kind')
+                .value('HOME', { code: 'home', description: 'A home' })
+                .value('OFFICE', { code: 2 })
+                .decorate('Deprecated')
+                .value('OTHER')
+                .scalar('Percentage', 'Double', { default: 1, range: [0, 100] })
+                .scalar('Name', 'String', { regex: '^[a-z]+$' })
+                .concept('Page', { typeParameters: ['T'] })
+                .field('items', 'T', { array: true })
+                .asset('Shop', { identifiedBy: ['region', 'code'] })
+                .field('region', 'String')
+                .field('code', 'String')
+                .field('takings', 'Page', { typeArguments: ['Money'] })
+                .relationship('owner', 'Person', { optional: true, inverse: 'shops' })
+                .participant('Person', { identifiedBy: 'email' })
+                .field('email', 'String')
+                .relationship('shops', 'Shop', { array: true, inverse: 'owner' })
+                .field('minimum', 'Integer')
+                .field('maximum', 'Integer')
+                .invariant('ordered', 'minimum < maximum', { description: 'The maximum is above the minimum' })
+                .transaction('Sale', { abstract: true })
+                .event('Moved', { extends: 'Dated', mixins: ['Located'] })
+                .concept('Dated', { abstract: true })
+                .concept('Located')
+                .concept('Thing', { identified: true })
+                .field('name', 'String')
+                .build(modelManager);
+
+            modelManager.addModelFile(modelFile);
+            modelFile.toCTO().should.equal(`concerto version ">= 1.0.0"
+namespace org.acme
+
+import org.other.*
+import org.other.Money
+import org.other.{Tag as Label}
+
+/** A postal address */
+@Doc("address", 1.5, true, [1, "a"], {key: "value"})
+concept Address {
+  @Empty()
+  @NoArguments
+  o String street default="Main Street" regex=/^[A-Z]/i length=[1,100]
+  o Integer number range=[,500]
+  o Decimal fee default=1.5 range=[0.1,] scale=2
+  o String[2..5] lines
+  o Integer[] codes
+  o Kind kind default="HOME"
+  o Map<String, Money> prices optional
+  o Label label optional
+}
+
+enum Kind {
+  /** A home */
+  o HOME = "home"
+  @Deprecated
+  o OFFICE = 2
+  o OTHER
+}
+
+scalar Percentage extends Double default=1.0 range=[0.0,100.0]
+
+scalar Name extends String regex=/^[a-z]+$/
+
+concept Page<T> {
+  o T[] items
+}
+
+asset Shop identified by region, code {
+  o String region
+  o String code
+  o Page<Money> takings
+  --> Person owner inverse shops optional
+}
+
+participant Person identified by email {
+  o String email
+  --> Shop[] shops inverse owner
+  o Integer minimum
+  o Integer maximum
+  /** The maximum is above the minimum */
+  invariant ordered: minimum < maximum
+}
+
+abstract transaction Sale {
+}
+
+event Moved extends Dated with Located {
+}
+
+abstract concept Dated {
+}
+
+concept Located {
+}
+
+concept Thing identified {
+  o String name
+}
+`);
+            const owner = modelManager.getType('org.acme.Shop').getProperty('owner');
+            owner.should.be.an.instanceOf(RelationshipDeclaration);
+            owner.getInverseDeclaration().getName().should.equal('shops');
+            modelManager.getType('org.acme.Shop').getIdentifierFieldNames().should.deep.equal(['region', 'code']);
+            modelManager.getType('org.acme.Person').getInvariants().map((invariant) => invariant.getName()).should.deep.equal(['ordered']);
+        });
+
+        it('should build a model file whose instances are validated', () => {
+            const modelFile = ModelBuilder.namespace('org.acme')
+                .asset('Vehicle', { identifiedBy: 'vin' })
+                .field('vin', 'String')
+                .field('year', 'Integer', { range: [1900, null] })
+                .build(modelManager);
+            modelManager.addModelFile(modelFile);
+            const serializer = new Serializer(new Factory(modelManager), modelManager);
+            serializer.fromJSON({ $class: 'org.acme.Vehicle', vin: 'ABC', year: 2020 }).getIdentifier().should.equal('ABC');
+            (() => {
+                serializer.fromJSON({ $class: 'org.acme.Vehicle', vin: 'ABC', year: 1800 });
+            }).should.throw(/1800/);
+        });
+
+        it('should build a model file that is validated when it is added to the model manager', () => {
+            const modelFile = ModelBuilder.namespace('org.acme')
+                .concept('Address')
+                .field('country', 'Country')
+                .build(modelManager);
+            (() => {
+                modelManager.addModelFile(modelFile);
+            }).should.throw(IllegalModelException, /Country/);
+        });
+    });
+
+    describe('#toMetamodel', () => {
+
+        it('should return a copy of the metamodel', () => {
+            const builder = ModelBuilder.namespace('org.acme').concept('Address');
+            const metaModel = builder.toMetamodel();
+            metaModel.should.deep.equal({
+                $class: 'concerto.metamodel.Model',
+                namespace: 'org.acme',
+                imports: [],
+                declarations: [{
+                    $class: 'concerto.metamodel.ConceptDeclaration',
+                    name: 'Address',
+                    isAbstract: false,
+                    properties: []
+                }]
+            });
+            metaModel.declarations.pop();
+            builder.toMetamodel().declarations.length.should.equal(1);
+        });
+
+        it('should build elements without options', () => {
+            const modelFile = ModelBuilder.namespace('org.acme')
+                .import('org.other', { types: ['Money', { name: 'Tag' }] })
+                .scalar('Name', 'String')
+                .concept('Range')
+                .field('low', 'Integer')
+                .field('high', 'Integer')
+                .map('amounts', 'String', 'Money')
+                .invariant('ordered', 'low <= high')
+                .invariant('positive', 'low >= 0')
+                .build(modelManager);
+            modelManager.addModelFile(modelFile);
+            modelFile.toCTO().should.equal(`namespace org.acme
+
+import org.other.{Money, Tag}
+
+scalar Name extends String
+
+concept Range {
+  o Integer low
+  o Integer high
+  o Map<String, Money> amounts
+  invariant ordered: low <= high
+  invariant positive: low >= 0
+}
+`);
+        });
+
+        it('should add the URI of an import', () => {
+            ModelBuilder.namespace('org.acme')
+                .import('org.other.Money', { uri: 'https://example.com/other.cto', alias: 'Cash' })
+                .toMetamodel().imports.should.deep.equal([{
+                    $class: 'concerto.metamodel.ImportType',
+                    namespace: 'org.other',
+                    name: 'Money',
+                    alias: 'Cash',
+                    uri: 'https://example.com/other.cto'
+                }]);
+        });
+    });
+
+    describe('#errors', () => {
+
+        it('should throw for a property outside a class declaration', () => {
+            (() => {
+                ModelBuilder.namespace('org.acme').field('street', 'String');
+            }).should.throw(/The property street must follow a class declaration/);
+            (() => {
+                ModelBuilder.namespace('org.acme').enum('Kind').relationship('owner', 'Person');
+            }).should.throw(/The property owner must follow a class declaration/);
+            (() => {
+                ModelBuilder.namespace('org.acme').invariant('ordered', 'a < b');
+            }).should.throw(/An invariant must follow a class declaration/);
+        });
+
+        it('should throw for an enum value outside an enum declaration', () => {
+            (() => {
+                ModelBuilder.namespace('org.acme').concept('Address').value('HOME');
+            }).should.throw(/An enum value must follow an enum declaration/);
+        });
+
+        it('should throw for a decorator before any declaration', () => {
+            (() => {
+                ModelBuilder.namespace('org.acme').decorate('Doc');
+            }).should.throw(/The decorator Doc must follow a declaration/);
+        });
+
+        it('should throw for a decorator argument that is not a literal', () => {
+            (() => {
+                ModelBuilder.namespace('org.acme').concept('Address').decorate('Doc', [null]);
+            }).should.throw(/Unsupported decorator argument: null/);
+        });
+
+        it('should throw for a scalar of a type that is not primitive', () => {
+            (() => {
+                ModelBuilder.namespace('org.acme').scalar('Cash', 'Money');
+            }).should.throw(/The type of the scalar Cash is not a primitive type: Money/);
+        });
+    });
+});
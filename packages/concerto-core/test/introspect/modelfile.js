@@ -22,7 +22,9 @@ const EnumDeclaration = require('../../lib/introspect/enumdeclaration');
 const IllegalModelException = require('../../lib/introspect/illegalmodelexception');
 const ModelFile = require('../../lib/introspect/modelfile');
 const ModelManager = require('../../lib/modelmanager');
+const ModelValidationException = require('../../lib/introspect/modelvalidationexception');
 const ParseException = require('../../lib/introspect/parseexception');
+const ScalarDeclaration = require('../../lib/introspect/scalardeclaration');
 const parser = require('../../lib/introspect/parser');
 const fs = require('fs');
 const path = require('path');
@@ -260,6 +262,106 @@ describe('ModelFile', () => {
             (() => modelFile2.validate()).should.not.throw();
         });
 
+        it('should throw all the errors of the imports and declarations', () => {
+            const model = `
+            namespace org.acme
+            import org.acme.ext.MyAsset2
+            asset MyAsset identified by assetId {
+                o String assetId
+                o Missing missing
+            }
+            concept MyConcept {
+                o Unknown unknown
+            }`;
+            let modelFile = new ModelFile(modelManager, model);
+            try {
+                modelFile.validate();
+                throw new Error('should not get here');
+            } catch (err) {
+                err.should.be.an.instanceOf(ModelValidationException);
+                err.getErrors().should.all.be.an.instanceOf(IllegalModelException);
+                err.getErrors().map(error => error.getShortMessage()).should.deep.equal([
+                    'Namespace is not defined for type org.acme.ext.MyAsset2',
+                    'Undeclared type Missing in property org.acme.MyAsset.missing',
+                    'Undeclared type Unknown in property org.acme.MyConcept.unknown'
+                ]);
+            }
+        });
+
+        it('should throw a duplicate class name once', () => {
+            const model = `
+            namespace org.acme
+            concept A {}
+            concept Twice {}
+            concept B {}
+            concept Twice {}`;
+            let modelFile = new ModelFile(modelManager, model);
+            (() => {
+                modelFile.validate();
+            }).should.throw(IllegalModelException, /Duplicate class name Twice Line 6/);
+        });
+
+    });
+
+    describe('#getDiagnostics', () => {
+
+        const invalidModel = `namespace org.acme
+
+concept A {
+  o String a regex=abc
+}
+
+/** B is valid */
+@resource
+concept B {
+  o String b
+}
+
+concept C {
+  o Strin
+}
+
+concept D {
+  o String d
+`;
+
+        it('should return no diagnostics for a model parsed strictly', () => {
+            let modelFile = new ModelFile(modelManager, carLeaseModel);
+            modelFile.getDiagnostics().should.be.empty;
+        });
+
+        it('should throw the first syntax error of a model parsed strictly', () => {
+            (() => {
+                new ModelFile(modelManager, invalidModel, 'invalid.cto');
+            }).should.throw(ParseException, /File invalid.cto line 4 column 20/);
+        });
+
+        it('should skip the declarations that do not parse in a tolerant parse', () => {
+            let modelFile = new ModelFile(modelManager, invalidModel, 'invalid.cto', { tolerant: true });
+            modelFile.getAllDeclarations().map(decl => decl.getName()).should.deep.equal(['B']);
+            const b = modelFile.getLocalType('B');
+            b.getDescription().should.equal('B is valid');
+            b.getDecorator('resource').should.not.be.null;
+            b.getProperty('b').getType().should.equal('String');
+        });
+
+        it('should return the located syntax error of each declaration that does not parse', () => {
+            let modelFile = new ModelFile(modelManager, invalidModel, 'invalid.cto', { tolerant: true });
+            const diagnostics = modelFile.getDiagnostics();
+            diagnostics.should.all.be.an.instanceOf(ParseException);
+            diagnostics.map(diagnostic => diagnostic.getFileName()).should.deep.equal(['invalid.cto', 'invalid.cto', 'invalid.cto']);
+            diagnostics.map(diagnostic => diagnostic.getFileLocation().start.line).should.deep.equal([4, 15, 19]);
+            diagnostics[0].message.should.match(/but "a" found. File invalid.cto line 4 column 20/);
+            diagnostics[1].message.should.match(/but "}" found. File invalid.cto line 15 column 1/);
+            diagnostics[2].message.should.match(/but end of input found/);
+        });
+
+        it('should return the syntax error of an import that does not parse in a tolerant parse', () => {
+            let modelFile = new ModelFile(modelManager, 'namespace org.acme\nimport', 'invalid.cto', { tolerant: true });
+            modelFile.getDiagnostics().length.should.equal(1);
+            modelFile.getDiagnostics()[0].message.should.match(/File invalid.cto line 2 column 7/);
+        });
+
     });
 
     describe('#getDefinitions', () => {
@@ -447,6 +549,26 @@ describe('ModelFile', () => {
             }).should.throw(/Coin/);
         });
 
+        it('should find the fully qualified name of a type imported with an alias', () => {
+            const model = `
+            namespace org.acme
+            import org.doge.Coin as DogeCoin`;
+            let modelFile = new ModelFile(modelManager, model);
+            modelFile.resolveImport('DogeCoin').should.equal('org.doge.Coin');
+            (() => {
+                modelFile.resolveImport('Coin');
+            }).should.throw(/Coin/);
+        });
+
+        it('should find the fully qualified names of the types of an import list', () => {
+            const model = `
+            namespace org.acme
+            import org.doge.{Coin, Wow as DogeWow}`;
+            let modelFile = new ModelFile(modelManager, model);
+            modelFile.resolveImport('Coin').should.equal('org.doge.Coin');
+            modelFile.resolveImport('DogeWow').should.equal('org.doge.Wow');
+        });
+
         it('relatioship to an asset that does not exist', () => {
             const model2 = `
             namespace org.acme
@@ -465,6 +587,205 @@ describe('ModelFile', () => {
 
     });
 
+    describe('#getImports', () => {
+
+        it('should return the fully qualified names of the imported types', () => {
+            const model = `
+            namespace org.acme
+            import org.vendor.Address as VendorAddress
+            import org.acme.base.{Party, Address}
+            import org.acme.ext.*
+            import org.remote.{Remote as Far} from https://example.com/remote.cto`;
+            let modelFile = new ModelFile(modelManager, model);
+            modelFile.getImports().should.deep.equal([
+                'org.vendor.Address',
+                'org.acme.base.Party',
+                'org.acme.base.Address',
+                'org.acme.ext.*',
+                'org.remote.Remote',
+                'concerto.Concept',
+                'concerto.Asset',
+                'concerto.Transaction',
+                'concerto.Participant',
+                'concerto.Event'
+            ]);
+            modelFile.getExternalImports().should.deep.equal({
+                'org.remote.Remote': 'https://example.com/remote.cto'
+            });
+        });
+
+    });
+
+    describe('#getVersion', () => {
+
+        it('should return the version of a versioned namespace', () => {
+            let modelFile = new ModelFile(modelManager, 'namespace org.acme.loan@1.2.0-beta.1+build.5');
+            modelFile.getNamespace().should.equal('org.acme.loan@1.2.0-beta.1+build.5');
+            modelFile.getVersion().should.equal('1.2.0-beta.1+build.5');
+        });
+
+        it('should return null for a namespace that is not versioned', () => {
+            let modelFile = new ModelFile(modelManager, 'namespace org.acme.loan');
+            should.equal(modelFile.getVersion(), null);
+        });
+
+        it('should not parse an invalid version', () => {
+            (() => {
+                new ModelFile(modelManager, 'namespace org.acme.loan@1.2');
+            }).should.throw(ParseException);
+        });
+
+        it('should return the imports of versioned namespaces', () => {
+            const model = `
+            namespace org.acme
+            import org.acme.loan@1.2.0.Loan
+            import org.acme.party@2.0.0-rc.1.Party as RcParty
+            import org.acme.address@1.0.0.{Address}
+            import org.acme.ext@3.0.0+build.7.*`;
+            let modelFile = new ModelFile(modelManager, model);
+            modelFile.getImports().slice(0, 4).should.deep.equal([
+                'org.acme.loan@1.2.0.Loan',
+                'org.acme.party@2.0.0-rc.1.Party',
+                'org.acme.address@1.0.0.Address',
+                'org.acme.ext@3.0.0+build.7.*'
+            ]);
+            modelFile.resolveImport('RcParty').should.equal('org.acme.party@2.0.0-rc.1.Party');
+        });
+
+    });
+
+    describe('#getImportAliases', () => {
+
+        it('should return the aliases of the imported types', () => {
+            const model = `
+            namespace org.acme
+            import org.vendor.Address as VendorAddress
+            import org.acme.base.{Party, Address as BaseAddress}
+            import org.acme.ext.Other`;
+            let modelFile = new ModelFile(modelManager, model);
+            modelFile.getImportAliases().should.deep.equal({
+                VendorAddress: 'org.vendor.Address',
+                BaseAddress: 'org.acme.base.Address'
+            });
+            modelFile.isImportAlias('VendorAddress').should.equal(true);
+            modelFile.isImportAlias('Address').should.equal(false);
+            modelFile.isImportAlias('Other').should.equal(false);
+        });
+
+        it('should resolve the types that have the same name in different namespaces', () => {
+            modelManager.addModelFiles([`
+            namespace org.vendor
+            concept Address identified by street {
+                o String street
+            }`, `
+            namespace org.acme.base
+            concept Address {
+                o String line1
+            }`]);
+            const model = `
+            namespace org.acme
+            import org.vendor.Address as VendorAddress
+            import org.acme.base.{Address}
+            concept Order {
+                o VendorAddress shipTo
+                o Address billTo
+                --> VendorAddress[] addresses
+            }`;
+            let modelFile = new ModelFile(modelManager, model);
+            modelFile.validate();
+            const order = modelFile.getLocalType('Order');
+            order.getProperty('shipTo').getFullyQualifiedTypeName().should.equal('org.vendor.Address');
+            order.getProperty('shipTo').isTypeAliased().should.equal(true);
+            order.getProperty('billTo').getFullyQualifiedTypeName().should.equal('org.acme.base.Address');
+            order.getProperty('billTo').isTypeAliased().should.equal(false);
+            order.getProperty('addresses').getFullyQualifiedTypeName().should.equal('org.vendor.Address');
+            modelFile.getType('VendorAddress').getFullyQualifiedName().should.equal('org.vendor.Address');
+        });
+
+        it('should not resolve an aliased type by its name', () => {
+            modelManager.addModelFile(`
+            namespace org.vendor
+            concept Address {
+                o String street
+            }`);
+            const model = `
+            namespace org.acme
+            import org.vendor.Address as VendorAddress
+            concept Order {
+                o Address shipTo
+            }`;
+            let modelFile = new ModelFile(modelManager, model);
+            (() => {
+                modelFile.validate();
+            }).should.throw(IllegalModelException, /Undeclared type Address/);
+        });
+
+        it('should throw for a duplicate alias', () => {
+            const model = `
+            namespace org.acme
+            import a.X as Y
+            import b.Z as Y`;
+            try {
+                new ModelFile(modelManager, model);
+                throw new Error('should have thrown');
+            } catch (err) {
+                err.should.be.an.instanceOf(IllegalModelException);
+                err.getShortMessage().should.equal('Duplicate import alias Y of a.X and b.Z');
+                err.getFileLocation().start.line.should.equal(4);
+            }
+        });
+
+        it('should throw for an alias that clashes with an imported type', () => {
+            (() => {
+                new ModelFile(modelManager, `
+                namespace org.acme
+                import a.Y
+                import b.Z as Y`);
+            }).should.throw(IllegalModelException, /Import alias Y of b.Z clashes with the imported type a.Y/);
+
+            try {
+                new ModelFile(modelManager, `
+                namespace org.acme
+                import b.Z as Y
+                import a.{Y}`);
+                throw new Error('should have thrown');
+            } catch (err) {
+                err.should.be.an.instanceOf(IllegalModelException);
+                err.getShortMessage().should.equal('Import alias Y of b.Z clashes with the imported type a.Y');
+                err.getFileLocation().start.line.should.equal(3);
+            }
+
+            (() => {
+                new ModelFile(modelManager, `
+                namespace org.acme
+                import b.Z as Concept`);
+            }).should.throw(IllegalModelException, /Import alias Concept of b.Z clashes with the imported type concerto.Concept/);
+        });
+
+        it('should throw for an alias that clashes with a declaration', () => {
+            try {
+                new ModelFile(modelManager, `
+                namespace org.acme
+                import b.Z as Y
+                concept Y {}`);
+                throw new Error('should have thrown');
+            } catch (err) {
+                err.should.be.an.instanceOf(IllegalModelException);
+                err.getShortMessage().should.equal('Import alias Y of b.Z clashes with the declaration Y');
+                err.getFileLocation().start.line.should.equal(3);
+            }
+        });
+
+        it('should accept the same type imported twice with the same alias', () => {
+            const modelFile = new ModelFile(modelManager, `
+            namespace org.acme
+            import b.Z as Y
+            import b.{Z as Y}`);
+            modelFile.resolveImport('Y').should.equal('b.Z');
+        });
+
+    });
+
     describe('#isDefined', () => {
 
         let modelManager;
@@ -614,6 +935,217 @@ describe('ModelFile', () => {
 
     });
 
+    describe('#getScalarDeclarations', () => {
+
+        it('should return the scalar declarations', () => {
+            const scalarModel = fs.readFileSync(path.resolve(__dirname, '../data/model/scalar.cto'), 'utf8');
+            let modelFile = new ModelFile(modelManager, scalarModel);
+            let decls = modelFile.getScalarDeclarations();
+            decls.should.all.be.an.instanceOf(ScalarDeclaration);
+            decls.map(decl => decl.getName()).should.deep.equal(['Email', 'Amount', 'Quantity', 'Flag', 'Moment', 'Username']);
+            modelFile.getLocalType('Email').should.equal(decls[0]);
+            modelFile.getFullyQualifiedTypeName('Email').should.equal('org.acme.scalars.Email');
+            modelFile.getAllDeclarations().should.not.include(decls[0]);
+        });
+
+        it('should return no scalar declarations for a model without scalars', () => {
+            let modelFile = new ModelFile(modelManager, carLeaseModel);
+            modelFile.getScalarDeclarations().should.be.empty;
+        });
+
+    });
+
+    describe('#getDecoratorSchemas', () => {
+
+        it('should return the decorator schemas declared in the model file', () => {
+            let modelFile = new ModelFile(modelManager, `namespace org.acme
+            decorator Label(String, Number?) on field, relationship repeatable
+            decorator Hidden()
+            concept Label {
+                o String name
+            }`);
+            const schemas = modelFile.getDecoratorSchemas();
+            schemas.map(schema => schema.getName()).should.deep.equal(['Label', 'Hidden']);
+            schemas[0].getTargets().should.deep.equal(['field', 'relationship']);
+            schemas[0].isRepeatable().should.be.true;
+            should.equal(schemas[1].getTargets(), null);
+            modelFile.getAllDeclarations().map(decl => decl.getName()).should.deep.equal(['Label']);
+        });
+
+        it('should not resolve the name of a decorator schema as a type', () => {
+            let modelFile = new ModelFile(modelManager, `namespace org.acme
+            decorator Hidden()`);
+            should.equal(modelFile.resolveTypeReference('Hidden'), null);
+        });
+
+        it('should not resolve a decorator schema imported from a namespace that is not registered', () => {
+            let modelFile = new ModelFile(modelManager, `namespace org.acme
+            import org.missing.Label
+            import org.absent.*`);
+            should.equal(modelFile.getDecoratorSchema('Label'), null);
+            modelFile.hasDecoratorSchemas().should.be.false;
+        });
+
+        it('should throw a located error for a decorator schema that is not valid', () => {
+            (() => {
+                new ModelFile(modelManager, `namespace org.acme
+                decorator Label(Text)`, 'acme.cto');
+            }).should.throw(IllegalModelException, /Unknown argument type Text for decorator @Label, expected one of String, Number, Boolean, Array, Object, Type, Any. File 'acme.cto': line 2 column 17/);
+        });
+
+        it('should throw for a decorator schema declared twice', () => {
+            (() => {
+                new ModelFile(modelManager, `namespace org.acme
+                decorator Label(String)
+                decorator Label()`, 'acme.cto');
+            }).should.throw(IllegalModelException, /Duplicate decorator schema @Label File 'acme.cto': line 3 column 17/);
+        });
+
+        it('should parse the declarations after a decorator schema that does not parse in a tolerant parse', () => {
+            let modelFile = new ModelFile(modelManager, `namespace org.acme
+decorator Label(String
+decorator Hidden()
+concept A {
+  o String a
+}`, 'acme.cto', { tolerant: true });
+            modelFile.getDecoratorSchemas().map(schema => schema.getName()).should.deep.equal(['Hidden']);
+            modelFile.getAllDeclarations().map(decl => decl.getName()).should.deep.equal(['A']);
+            modelFile.getDiagnostics().map(diagnostic => diagnostic.getFileLocation().start.line).should.deep.equal([3]);
+        });
+
+    });
+
+    describe('#toMetamodel', () => {
+
+        it('should return the metamodel of the model file', () => {
+            const modelFile = new ModelFile(modelManager, `namespace org.acme
+            import org.hyperledger.composer.system.Participant
+            asset Vehicle identified by vin extends Asset {
+                o String vin
+            }`);
+            modelFile.toMetamodel().should.deep.equal({
+                $class: 'concerto.metamodel.Model',
+                namespace: 'org.acme',
+                imports: [{
+                    $class: 'concerto.metamodel.ImportType',
+                    namespace: 'org.hyperledger.composer.system',
+                    name: 'Participant'
+                }],
+                declarations: [{
+                    $class: 'concerto.metamodel.AssetDeclaration',
+                    name: 'Vehicle',
+                    isAbstract: false,
+                    superType: 'Asset',
+                    identified: { $class: 'concerto.metamodel.IdentifiedBy', fields: ['vin'] },
+                    properties: [{
+                        $class: 'concerto.metamodel.StringProperty',
+                        name: 'vin',
+                        isOptional: false,
+                        isArray: false
+                    }]
+                }]
+            });
+        });
+
+        it('should create a model file from its metamodel', () => {
+            const metaModel = new ModelFile(modelManager, carLeaseModel).toMetamodel();
+            const modelFile = new ModelFile(modelManager, metaModel, 'carlease.json');
+            modelFile.getNamespace().should.equal('org.acme');
+            modelFile.getName().should.equal('carlease.json');
+            modelFile.getDefinitions().should.equal(modelFile.toCTO());
+            modelFile.getEventDeclaration('TestEvent').getSuperType().should.equal('concerto.Event');
+            modelFile.toMetamodel().should.deep.equal(metaModel);
+        });
+    });
+
+    describe('#toCTO', () => {
+
+        it('should return the canonical CTO text of the model file', () => {
+            const modelFile = new ModelFile(modelManager, `namespace org.acme
+            import org.hyperledger.composer.system.Participant
+            // a comment that is not kept
+            asset Vehicle   identified by vin extends Asset{
+                    o String vin
+            }`);
+            modelFile.toCTO().should.equal(`namespace org.acme
+
+import org.hyperledger.composer.system.Participant
+
+asset Vehicle identified by vin extends Asset {
+  o String vin
+}
+`);
+        });
+
+        it('should return CTO text that parses into the same model file', () => {
+            const modelFile = new ModelFile(modelManager, carLeaseModel);
+            const formatted = new ModelFile(modelManager, modelFile.toCTO());
+            formatted.toMetamodel().should.deep.equal(modelFile.toMetamodel());
+            formatted.toCTO().should.equal(modelFile.toCTO());
+        });
+
+        it('should keep the comments at the start of the model file', () => {
+            const modelFile = new ModelFile(modelManager, `/*
+ * Licensed under the Apache License, Version 2.0
+ */
+
+// the vehicles
+/** The vehicles of the fleet */
+namespace org.acme
+asset Vehicle identified by vin {
+  o String vin
+}`);
+            modelFile.toCTO().should.equal(`/*
+ * Licensed under the Apache License, Version 2.0
+ */
+
+// the vehicles
+/** The vehicles of the fleet */
+namespace org.acme
+
+asset Vehicle identified by vin {
+  o String vin
+}
+`);
+        });
+
+        it('should not add a blank line after the comments at the start of the model file', () => {
+            const modelFile = new ModelFile(modelManager, `// the vehicles
+namespace org.acme`);
+            modelFile.toCTO().should.equal(`// the vehicles
+namespace org.acme
+`);
+        });
+    });
+
+    describe('#getUnprintedComments', () => {
+
+        it('should return the comments that the CTO text does not keep', () => {
+            const modelFile = new ModelFile(modelManager, `// the vehicles
+namespace org.acme // the namespace
+/** A vehicle */
+asset Vehicle identified by vin {
+  /** The vehicle identification number */
+  o String vin regex=/^[A-Z0-9\\/]+$/ // seventeen characters
+  /* the owner */ o String owner
+}
+// the end`);
+            modelFile.getUnprintedComments().map((comment) => [comment.value, comment.location.start.line]).should.deep.equal([
+                ['// the namespace', 2],
+                ['// seventeen characters', 6],
+                ['/* the owner */', 7],
+                ['// the end', 9],
+            ]);
+        });
+
+        it('should return no comments for a model file created from its metamodel', () => {
+            const metaModel = new ModelFile(modelManager, `namespace org.acme
+            // a comment
+            concept Person {}`).toMetamodel();
+            new ModelFile(modelManager, metaModel).getUnprintedComments().should.deep.equal([]);
+        });
+    });
+
     describe('#getFullyQualifiedTypeName', () => {
         it('should return null if not prmative, imported or local type', () => {
             const ast = {
@@ -627,6 +1159,19 @@ describe('ModelFile', () => {
             should.not.exist(mf.getFullyQualifiedTypeName('TNTAsset'));
         });
 
+        it('should return the fully qualified name of a type imported with an alias', () => {
+            modelManager.addModelFile(`
+            namespace org.vendor
+            concept Address {
+                o String street
+            }`);
+            const model = `
+            namespace org.acme
+            import org.vendor.Address as VendorAddress`;
+            let modelFile = new ModelFile(modelManager, model);
+            modelFile.getFullyQualifiedTypeName('VendorAddress').should.equal('org.vendor.Address');
+        });
+
         it('should return the type name if its a primative type', () => {
             const ast = {
                 namespace: 'org.acme',
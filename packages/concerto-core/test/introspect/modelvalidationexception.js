@@ -0,0 +1,65 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const BaseException = require('../../lib/baseexception');
+const IllegalModelException = require('../../lib/introspect/illegalmodelexception');
+const ModelValidationException = require('../../lib/introspect/modelvalidationexception');
+
+require('chai').should();
+
+describe('ModelValidationException', function () {
+
+    const errors = [
+        new IllegalModelException('first error'),
+        new IllegalModelException('second error')
+    ];
+
+    describe('#constructor', function () {
+
+        it('should return an instance of BaseException', function () {
+            let exc = new ModelValidationException(errors);
+            exc.should.be.an.instanceOf(BaseException);
+        });
+
+        it('should return an instance of IllegalModelException', function () {
+            let exc = new ModelValidationException(errors);
+            exc.should.be.an.instanceOf(IllegalModelException);
+            (exc.getFileLocation() === null).should.be.true;
+            exc.getShortMessage().should.equal(exc.message);
+        });
+
+        it('should list the message of each error', function () {
+            let exc = new ModelValidationException(errors);
+            exc.message.should.equal(`Found 2 errors in the models:\n${errors[0].message}\n${errors[1].message}`);
+        });
+
+        it('should have a component', function () {
+            let exc = new ModelValidationException(errors, 'component');
+            exc.component.should.equal('component');
+        });
+
+    });
+
+    describe('#getErrors', function () {
+
+        it('should return the errors', function () {
+            let exc = new ModelValidationException(errors);
+            exc.getErrors().should.deep.equal(errors);
+        });
+
+    });
+
+});
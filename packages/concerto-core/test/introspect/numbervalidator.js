@@ -115,6 +115,31 @@ describe('NumberValidator', () => {
             }).should.throw(/org.acme.myField: Value is outside upper bound 101/);
         });
 
+        it('should compare a BigInt exactly', () => {
+            let v = new NumberValidator(mockField, {'lower' : '0', 'upper' : '9007199254740992' });
+            v.validate('id', 9007199254740992n);
+
+            (() => {
+                v.validate('id', 9007199254740993n);
+            }).should.throw(/org.acme.myField: Value is outside upper bound 9007199254740993/);
+            (() => {
+                v.validate('id', -1n);
+            }).should.throw(/org.acme.myField: Value is outside lower bound -1/);
+        });
+
+        it('should compare a decimal string exactly', () => {
+            let v = new NumberValidator(mockField, {'lower' : '0.10', 'upper' : '100.0' });
+            v.validate('id', '0.1');
+            v.validate('id', '100.00');
+
+            (() => {
+                v.validate('id', '0.09999999999999999999');
+            }).should.throw(/org.acme.myField: Value is outside lower bound 0.09999999999999999999/);
+            (() => {
+                v.validate('id', '100.00000000000000001');
+            }).should.throw(/org.acme.myField: Value is outside upper bound 100.00000000000000001/);
+        });
+
         it('should do nothing if no value is given', () => {
             let v = new NumberValidator(mockField, VALID_UPPER_AND_LOWER_BOUND_AST);
             v.validate('id',null);
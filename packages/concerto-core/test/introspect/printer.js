@@ -0,0 +1,244 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ModelFile = require('../../lib/introspect/modelfile');
+const ModelManager = require('../../lib/modelmanager');
+const Printer = require('../../lib/introspect/printer');
+const fs = require('fs');
+const path = require('path');
+
+require('chai').should();
+
+describe('Printer', () => {
+
+    const otherModel = `namespace org.other
+    concept Money {
+        o Double amount
+    }
+    concept Tag {
+        o String value
+    }`;
+
+    const acmeModel = `concerto version ">= 1.0.0"
+namespace org.acme
+
+import org.other.*
+import org.other.Money
+import org.other.{Tag as Label} from https://example.com/other.cto
+
+/** A postal address */
+@Doc("address", 1.5, true, Money, Money[], [1, "a"], {key: "value", "a-b": [false]})
+concept Address {
+  @Empty()
+  @NoArguments
+  o String street default="Main Street" regex=/^[A-Z]\\/[a-z]*$/i length=[1,100] optional
+  o Integer number default=-3 range=[,500]
+  o Long reference range=[-1,]
+  o Double latitude default=1.5 range=[-90.0,90.0]
+  o Decimal fee default=1.50 range=[0.10,] scale=2
+  o Boolean verified default=true
+  o DateTime since default="2020-01-01T00:00:00Z" optional
+  o String[2..5] lines
+  o Integer[] codes
+  o Kind kind default="HOME"
+  o Map<String, Money> prices optional
+  o Label label optional
+}
+
+enum Kind {
+  /** A home */
+  o HOME = "home"
+  @Deprecated
+  o OFFICE = 2
+  o OTHER
+}
+
+/**
+ * A percentage
+ * between 0 and 100
+ */
+scalar Percentage extends Double default=1.0 range=[0.0,100.0]
+
+concept Page<T> {
+  o T[] items
+}
+
+asset Shop identified by region, code {
+  o String region
+  o String code
+  o Page<Money> takings
+  --> Person owner inverse shops optional
+}
+
+participant Person identified by email {
+  o String email
+  --> Shop[] shops inverse owner
+  o Integer minimum
+  o Integer maximum
+  /** The maximum is above the minimum */
+  invariant ordered: minimum < maximum
+}
+
+abstract transaction Sale {
+}
+
+event Moved extends Dated with Located {
+}
+
+abstract concept Dated {
+  o DateTime at optional
+}
+
+concept Located {
+  o Address address optional
+}
+
+concept Thing identified {
+  o String name
+}
+`;
+
+    let modelManager;
+
+    beforeEach(() => {
+        modelManager = new ModelManager();
+        modelManager.addModelFile(otherModel);
+    });
+
+    describe('#toCTO', () => {
+
+        it('should print a canonical model unchanged', () => {
+            const modelFile = new ModelFile(modelManager, acmeModel);
+            Printer.toCTO(modelFile.toMetamodel()).should.equal(acmeModel);
+        });
+
+        it('should sort the imports and normalize the layout', () => {
+            const modelFile = new ModelFile(modelManager, `namespace org.acme
+            import org.other.{Tag}
+            import org.other.Money
+            /**A documented concept*/
+            concept   Wallet{
+                    o Money[] money
+                o Tag tag    optional
+                o Double balance default=1.0 range=[-10.5,]
+            }
+            enum Kind { o HOME }`);
+            Printer.toCTO(modelFile.toMetamodel()).should.equal(`namespace org.acme
+
+import org.other.Money
+import org.other.{Tag}
+
+/** A documented concept */
+concept Wallet {
+  o Money[] money
+  o Tag tag optional
+  o Double balance default=1.0 range=[-10.5,]
+}
+
+enum Kind {
+  o HOME
+}
+`);
+        });
+
+        it('should print documentation that starts with a star as a block', () => {
+            Printer.toCTO({
+                $class: 'concerto.metamodel.Model',
+                namespace: 'org.acme',
+                imports: [],
+                declarations: [{
+                    $class: 'concerto.metamodel.ConceptDeclaration',
+                    name: 'Starred',
+                    docs: '* starred',
+                    isAbstract: false,
+                    properties: []
+                }]
+            }).should.equal(`namespace org.acme
+
+/**
+ * * starred
+ */
+concept Starred {
+}
+`);
+        });
+
+        it('should print whole doubles with a decimal point', () => {
+            Printer.toCTO({
+                $class: 'concerto.metamodel.Model',
+                namespace: 'org.acme',
+                declarations: [{
+                    $class: 'concerto.metamodel.ConceptDeclaration',
+                    name: 'Balance',
+                    isAbstract: false,
+                    properties: [{
+                        $class: 'concerto.metamodel.DoubleProperty',
+                        name: 'amount',
+                        isOptional: false,
+                        isArray: false,
+                        defaultValue: 1,
+                        validator: { $class: 'concerto.metamodel.DoubleDomainValidator', lower: -10, upper: 2.5 }
+                    }]
+                }]
+            }).should.equal(`namespace org.acme
+
+concept Balance {
+  o Double amount default=1.0 range=[-10.0,2.5]
+}
+`);
+        });
+
+        it('should print the decorator schemas after the imports', () => {
+            const modelFile = new ModelFile(modelManager, `namespace org.acme
+            import org.other.Tag
+            concept Thing {
+            }
+            /** A label */
+            decorator Label(String,Number?) on field,relationship repeatable
+            decorator Hidden()`);
+            Printer.toCTO(modelFile.toMetamodel()).should.equal(`namespace org.acme
+
+import org.other.Tag
+
+/** A label */
+decorator Label(String, Number?) on field, relationship repeatable
+decorator Hidden()
+
+concept Thing {
+}
+`);
+        });
+
+        it('should print a model without imports or declarations', () => {
+            Printer.toCTO({
+                $class: 'concerto.metamodel.Model',
+                namespace: 'org.acme'
+            }).should.equal('namespace org.acme\n');
+        });
+
+        it('should print the test models as CTO that parses into the same declarations', () => {
+            const dir = path.resolve(__dirname, '../data/model');
+            const files = fs.readdirSync(dir).filter((file) => file.endsWith('.cto') && !file.startsWith('version') && !file.startsWith('invalid'));
+            files.forEach((file) => {
+                const modelFile = new ModelFile(modelManager, fs.readFileSync(path.resolve(dir, file), 'utf8'), file);
+                const cto = modelFile.toCTO();
+                const formatted = new ModelFile(modelManager, cto, file);
+                formatted.toMetamodel().declarations.should.deep.equal(modelFile.toMetamodel().declarations, file);
+                formatted.toCTO().should.equal(cto, file);
+            });
+        });
+    });
+});
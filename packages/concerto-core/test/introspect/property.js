@@ -83,6 +83,133 @@ describe('Property', () => {
             p.array.should.equal(true);
         });
 
+        it('should not have bounds on the number of items by default', () => {
+            let p = new Property(mockClassDeclaration, {
+                id: {
+                    name: 'property',
+                },
+                array: '[]'
+            });
+            should.equal(p.getMinItems(), null);
+            should.equal(p.getMaxItems(), null);
+        });
+
+        it('should save the bounds on the number of items', () => {
+            let p = new Property(mockClassDeclaration, {
+                id: {
+                    name: 'property',
+                },
+                array: '[]',
+                cardinality: { lower: '1', upper: '10' }
+            });
+            p.getMinItems().should.equal(1);
+            p.getMaxItems().should.equal(10);
+        });
+
+        it('should save a minimum number of items without a maximum', () => {
+            let p = new Property(mockClassDeclaration, {
+                id: {
+                    name: 'property',
+                },
+                array: '[]',
+                cardinality: { lower: '1', upper: null }
+            });
+            p.getMinItems().should.equal(1);
+            should.equal(p.getMaxItems(), null);
+        });
+
+        it('should throw for bounds without a minimum or maximum number of items', () => {
+            (() => {
+                new Property(mockClassDeclaration, {
+                    id: {
+                        name: 'property',
+                    },
+                    array: '[]',
+                    cardinality: { lower: null, upper: null }
+                });
+            }).should.throw(/Invalid cardinality for property property, a minimum and-or maximum number of items must be specified./);
+        });
+
+        it('should throw for a minimum number of items greater than the maximum', () => {
+            (() => {
+                new Property(mockClassDeclaration, {
+                    id: {
+                        name: 'property',
+                    },
+                    array: '[]',
+                    cardinality: { lower: '10', upper: '1' }
+                });
+            }).should.throw(/the minimum number of items must be less than or equal to the maximum number of items./);
+        });
+
+        it('should not be a map by default', () => {
+            let p = new Property(mockClassDeclaration, {
+                id: {
+                    name: 'property',
+                }
+            });
+            p.isMap().should.equal(false);
+            should.equal(p.getMapKeyType(), null);
+            should.equal(p.getFullyQualifiedMapKeyTypeName(), null);
+            p.isMapKeyTypeEnum().should.equal(false);
+        });
+
+        it('should save the incoming map key type', () => {
+            let p = new Property(mockClassDeclaration, {
+                id: {
+                    name: 'property',
+                }, propertyType: {
+                    name: 'Double'
+                }, mapKeyType: {
+                    name: 'String'
+                }
+            });
+            p.isMap().should.equal(true);
+            p.getMapKeyType().should.equal('String');
+            p.getFullyQualifiedMapKeyTypeName().should.equal('String');
+            p.isMapKeyTypeEnum().should.equal(false);
+        });
+
+    });
+
+    describe('#isTypeAliased', () => {
+
+        it('should return false for a primitive type', () => {
+            let p = new Property(mockClassDeclaration, {
+                id: {
+                    name: 'property',
+                }, propertyType: {
+                    name: 'String'
+                }
+            });
+            p.isTypeAliased().should.equal(false);
+            sinon.assert.notCalled(mockModelFile.isImportAlias);
+        });
+
+        it('should return true for the alias of an imported type', () => {
+            mockModelFile.isImportAlias.withArgs('VendorAddress').returns(true);
+            let p = new Property(mockClassDeclaration, {
+                id: {
+                    name: 'property',
+                }, propertyType: {
+                    name: 'VendorAddress'
+                }
+            });
+            p.isTypeAliased().should.equal(true);
+        });
+
+        it('should return false for a type that is not an alias', () => {
+            mockModelFile.isImportAlias.withArgs('Address').returns(false);
+            let p = new Property(mockClassDeclaration, {
+                id: {
+                    name: 'property',
+                }, propertyType: {
+                    name: 'Address'
+                }
+            });
+            p.isTypeAliased().should.equal(false);
+        });
+
     });
 
     describe('#hasInstance', () => {
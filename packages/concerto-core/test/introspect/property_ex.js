@@ -86,4 +86,173 @@ describe('Property', function () {
             field.toString().should.equal('RelationshipDeclaration {name=owner, type=org.acme.l1.Person, array=false, optional=false}');
         });
     });
+
+    describe('#getMinItems', function() {
+        it('should expose the bounds on the number of items of an array', function () {
+            modelManager.addModelFile(`namespace org.acme.l2
+            import org.acme.l1.Person
+            concept Contract {
+              o Person[1..10] signatories
+              o String[..3] notes
+              --> Person[1..] witnesses
+              o Integer[] scores
+            }`);
+            const contract = modelManager.getType('org.acme.l2.Contract');
+
+            const signatories = contract.getProperty('signatories');
+            signatories.isArray().should.equal(true);
+            signatories.getMinItems().should.equal(1);
+            signatories.getMaxItems().should.equal(10);
+
+            const notes = contract.getProperty('notes');
+            (notes.getMinItems() === null).should.equal(true);
+            notes.getMaxItems().should.equal(3);
+
+            const witnesses = contract.getProperty('witnesses');
+            witnesses.getMinItems().should.equal(1);
+            (witnesses.getMaxItems() === null).should.equal(true);
+
+            const scores = contract.getProperty('scores');
+            scores.isArray().should.equal(true);
+            (scores.getMinItems() === null).should.equal(true);
+            (scores.getMaxItems() === null).should.equal(true);
+        });
+
+        it('should throw if the minimum number of items is greater than the maximum', function () {
+            (function () {
+                modelManager.addModelFile(`namespace org.acme.l2
+                concept Contract {
+                  o String[10..1] notes
+                }`);
+            }).should.throw(/Invalid cardinality for property notes, the minimum number of items must be less than or equal to the maximum number of items. Line 3/);
+        });
+    });
+
+    describe('#isMap', function() {
+        const mapModel = `namespace org.acme.l2
+        import org.acme.l1.Person
+        enum Currency {
+          o USD
+          o EUR
+        }
+        concept Rate {
+          o Double value
+        }
+        concept Rates {
+          o Map<String, Rate> byName
+          o Map<Currency, Double> byCurrency
+          o Map<String, Person> people optional
+        }
+        `;
+
+        it('should expose the key and value types of a map', function () {
+            modelManager.addModelFile(mapModel);
+            const rates = modelManager.getType('org.acme.l2.Rates');
+
+            const byName = rates.getProperty('byName');
+            byName.isMap().should.equal(true);
+            byName.isArray().should.equal(false);
+            byName.getType().should.equal('Rate');
+            byName.getFullyQualifiedTypeName().should.equal('org.acme.l2.Rate');
+            byName.getMapKeyType().should.equal('String');
+            byName.isMapKeyTypeEnum().should.equal(false);
+
+            const byCurrency = rates.getProperty('byCurrency');
+            byCurrency.isMap().should.equal(true);
+            byCurrency.isPrimitive().should.equal(true);
+            byCurrency.getMapKeyType().should.equal('Currency');
+            byCurrency.getFullyQualifiedMapKeyTypeName().should.equal('org.acme.l2.Currency');
+            byCurrency.isMapKeyTypeEnum().should.equal(true);
+        });
+
+        it('should throw if the map key type is not declared', function () {
+            (function () {
+                modelManager.addModelFile(`namespace org.acme.l2
+                concept Rates {
+                  o Map<Currency, Double> byCurrency
+                }`);
+            }).should.throw(/Undeclared type Currency in property org.acme.l2.Rates.byCurrency/);
+        });
+
+        it('should accept a scalar that extends String as the map key type', function () {
+            modelManager.addModelFile(`namespace org.acme.l2
+            scalar Sku extends String regex=/^[A-Z]+$/
+            concept Stock {
+              o Map<Sku, Integer> counts
+              o Map<String, Integer> byName
+            }`);
+            const stock = modelManager.getType('org.acme.l2.Stock');
+            stock.getProperty('counts').isMapKeyTypeScalar().should.equal(true);
+            stock.getProperty('counts').isMapKeyTypeEnum().should.equal(false);
+            stock.getProperty('byName').isMapKeyTypeScalar().should.equal(false);
+            stock.getProperty('counts').getFullyQualifiedMapKeyTypeName().should.equal('org.acme.l2.Sku');
+        });
+
+        it('should throw if the map key type is a scalar that does not extend String', function () {
+            (function () {
+                modelManager.addModelFile(`namespace org.acme.l2
+                scalar Code extends Integer
+                concept Rates {
+                  o Map<Code, Double> byCode
+                }`);
+            }).should.throw(/Map key type Code of property org.acme.l2.Rates.byCode must be String, a scalar that extends String or an enumerated type./);
+        });
+
+        it('should throw if the map key type is not String or an enum', function () {
+            (function () {
+                modelManager.addModelFile(`namespace org.acme.l2
+                concept Rates {
+                  o Map<Integer, Double> byCode
+                }`);
+            }).should.throw(/Map key type Integer of property org.acme.l2.Rates.byCode must be String, a scalar that extends String or an enumerated type./);
+        });
+
+        it('should throw if the map key type is a concept', function () {
+            (function () {
+                modelManager.addModelFile(`namespace org.acme.l2
+                concept Code {
+                  o String code
+                }
+                concept Rates {
+                  o Map<Code, Double> byCode
+                }`);
+            }).should.throw(/Map key type Code of property org.acme.l2.Rates.byCode must be String, a scalar that extends String or an enumerated type./);
+        });
+    });
+
+    describe('#isTypeScalar', function() {
+        const scalarModel = `namespace org.acme.l2
+        import org.acme.l1.Person
+        scalar SSN extends String regex=/^[0-9]{9}$/
+        concept Record {
+          o SSN ssn
+          o String name
+          o Person person
+        }
+        `;
+
+        it('should return true only for properties declared with a scalar type', function () {
+            modelManager.addModelFile(scalarModel);
+            const record = modelManager.getType('org.acme.l2.Record');
+
+            record.getProperty('ssn').isTypeScalar().should.equal(true);
+            record.getProperty('ssn').isTypeEnum().should.equal(false);
+            record.getProperty('ssn').getFullyQualifiedTypeName().should.equal('org.acme.l2.SSN');
+            record.getProperty('name').isTypeScalar().should.equal(false);
+            record.getProperty('person').isTypeScalar().should.equal(false);
+        });
+
+        it('should resolve scalar types imported from another namespace', function () {
+            modelManager.addModelFile(scalarModel);
+            modelManager.addModelFile(`namespace org.acme.l3
+            import org.acme.l2.SSN
+            concept Employee {
+              o SSN ssn
+            }`);
+            const ssn = modelManager.getType('org.acme.l3.Employee').getProperty('ssn');
+
+            ssn.isTypeScalar().should.equal(true);
+            ssn.getFullyQualifiedTypeName().should.equal('org.acme.l2.SSN');
+        });
+    });
 });
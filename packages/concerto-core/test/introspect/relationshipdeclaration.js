@@ -112,4 +112,124 @@ describe('RelationshipDeclaration', function () {
             }).should.throw(/Relationship owner must be to a class that has an identifier/);
         });
     });
+
+    describe('#inverse', () => {
+
+        const inverseModel = `namespace org.acme.shop
+        participant Party identified by id {
+          o String id
+          --> Order[] orders optional
+        }
+        participant Customer extends Party {
+          o String name
+        }
+        asset Order identified by orderId {
+          o String orderId
+          --> Customer customer inverse orders
+          --> Product[] products
+        }
+        asset Product identified by sku {
+          o String sku
+          --> Product replacement inverse replaced optional
+          --> Product replaced inverse replacement optional
+        }
+        participant Person identified by ssn {
+          o String ssn
+          --> Person spouse inverse spouse optional
+        }
+        `;
+
+        it('should pair a relationship with the inverse it declares', () => {
+            modelManager.addModelFile(inverseModel);
+            const customer = modelManager.getType('org.acme.shop.Order').getProperty('customer');
+            const orders = modelManager.getType('org.acme.shop.Party').getProperty('orders');
+            customer.getInverse().should.equal('orders');
+            customer.getInverseDeclaration().should.equal(orders);
+            customer.getCardinality().should.equal('many-to-one');
+            customer.toString().should.equal('RelationshipDeclaration {name=customer, type=org.acme.shop.Customer, array=false, optional=false, inverse=orders}');
+        });
+
+        it('should pair a relationship with the inverse that declares it', () => {
+            modelManager.addModelFile(inverseModel);
+            const customer = modelManager.getType('org.acme.shop.Order').getProperty('customer');
+            const orders = modelManager.getType('org.acme.shop.Customer').getProperty('orders');
+            (orders.getInverse() === null).should.be.true;
+            orders.getInverseDeclaration().should.equal(customer);
+            orders.getCardinality().should.equal('one-to-many');
+        });
+
+        it('should pair relationships that declare each other as their inverse', () => {
+            modelManager.addModelFile(inverseModel);
+            const product = modelManager.getType('org.acme.shop.Product');
+            product.getProperty('replacement').getInverseDeclaration().should.equal(product.getProperty('replaced'));
+            product.getProperty('replaced').getInverseDeclaration().should.equal(product.getProperty('replacement'));
+            product.getProperty('replaced').getCardinality().should.equal('one-to-one');
+            const spouse = modelManager.getType('org.acme.shop.Person').getProperty('spouse');
+            spouse.getInverseDeclaration().should.equal(spouse);
+        });
+
+        it('should not pair a relationship without an inverse', () => {
+            modelManager.addModelFile(inverseModel);
+            const products = modelManager.getType('org.acme.shop.Order').getProperty('products');
+            (products.getInverseDeclaration() === null).should.be.true;
+            products.getCardinality().should.equal('many-to-many');
+            products.toString().should.equal('RelationshipDeclaration {name=products, type=org.acme.shop.Product, array=true, optional=false}');
+        });
+
+        it('should throw if the inverse is not a relationship of the type', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.shop
+                participant Customer identified by id {
+                  o String id
+                  o String[] orders
+                }
+                asset Order identified by orderId {
+                  o String orderId
+                  --> Customer customer inverse orders
+                }`);
+            }).should.throw(/Relationship customer declares the inverse orders, but org.acme.shop.Customer does not have a relationship orders/);
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.shop
+                participant Customer identified by id {
+                  o String id
+                }
+                asset Order identified by orderId {
+                  o String orderId
+                  --> Customer customer inverse orders
+                }`);
+            }).should.throw(/Relationship customer declares the inverse orders, but org.acme.shop.Customer does not have a relationship orders/);
+        });
+
+        it('should throw if the inverse is not to the class of the relationship', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.shop
+                participant Customer identified by id {
+                  o String id
+                  --> Invoice[] orders
+                }
+                asset Invoice identified by invoiceId {
+                  o String invoiceId
+                }
+                asset Order identified by orderId {
+                  o String orderId
+                  --> Customer customer inverse orders
+                }`);
+            }).should.throw(/Relationship customer declares the inverse orders, but it is to org.acme.shop.Invoice instead of org.acme.shop.Order/);
+        });
+
+        it('should throw if the inverse declares another inverse', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.shop
+                participant Customer identified by id {
+                  o String id
+                  --> Order[] orders inverse buyer
+                }
+                asset Order identified by orderId {
+                  o String orderId
+                  --> Customer customer inverse orders
+                  --> Customer buyer inverse orders
+                }`);
+            }).should.throw(/Relationship customer declares the inverse orders, but it declares the inverse buyer/);
+        });
+    });
 });
@@ -0,0 +1,185 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const IllegalModelException = require('../../lib/introspect/illegalmodelexception');
+const ModelManager = require('../../lib/modelmanager');
+const NumberValidator = require('../../lib/introspect/numbervalidator');
+const ScalarDeclaration = require('../../lib/introspect/scalardeclaration');
+const StringValidator = require('../../lib/introspect/stringvalidator');
+const fs = require('fs');
+
+const should = require('chai').should();
+
+describe('ScalarDeclaration', () => {
+
+    const scalarModel = fs.readFileSync('test/data/model/scalar.cto', 'utf8');
+    let modelManager;
+    let modelFile;
+
+    beforeEach(() => {
+        modelManager = new ModelManager();
+        modelFile = modelManager.addModelFile(scalarModel, 'scalar.cto');
+    });
+
+    const getScalar = (name) => {
+        return modelFile.getLocalType(name);
+    };
+
+    describe('#getters', () => {
+
+        it('should return the name, namespace and type of a scalar', () => {
+            const scalar = getScalar('Email');
+            scalar.getName().should.equal('Email');
+            scalar.getNamespace().should.equal('org.acme.scalars');
+            scalar.getFullyQualifiedName().should.equal('org.acme.scalars.Email');
+            scalar.getType().should.equal('String');
+            scalar.getModelFile().should.equal(modelFile);
+            scalar.isEnum().should.be.false;
+        });
+
+        it('should return the decorators of a scalar', () => {
+            getScalar('Email').getDecorator('pii').getName().should.equal('pii');
+        });
+
+        it('should return a string validator for a string scalar', () => {
+            const validator = getScalar('Email').getValidator();
+            validator.should.be.an.instanceOf(StringValidator);
+            validator.getRegex().toString().should.equal('/^[^@]+@[^@]+$/');
+        });
+
+        it('should return a number validator for a numeric scalar', () => {
+            const validator = getScalar('Quantity').getValidator();
+            validator.should.be.an.instanceOf(NumberValidator);
+            validator.getLowerBound().should.equal(1);
+            validator.getUpperBound().should.equal(100);
+        });
+
+        it('should return a length validator for a string scalar', () => {
+            const validator = getScalar('Username').getLengthValidator();
+            validator.getMinLength().should.equal(3);
+            validator.getMaxLength().should.equal(16);
+            should.equal(getScalar('Email').getLengthValidator(), null);
+        });
+
+        it('should not have a validator for a scalar without constraints', () => {
+            should.equal(getScalar('Flag').getValidator(), null);
+            should.equal(getScalar('Moment').getValidator(), null);
+        });
+
+        it('should allow a scalar to extend the Date, Time and Duration types', () => {
+            const temporalFile = modelManager.addModelFile(`namespace org.acme.temporal
+            scalar Birthday extends Date
+            scalar Opening extends Time default="09:00"
+            scalar Notice extends Duration default="P30D"`);
+            temporalFile.getLocalType('Birthday').getType().should.equal('Date');
+            temporalFile.getLocalType('Opening').getDefaultValue().should.equal('09:00');
+            temporalFile.getLocalType('Notice').getType().should.equal('Duration');
+        });
+
+        it('should return the default value of a scalar', () => {
+            getScalar('Email').getDefaultValue().should.equal('nobody@example.com');
+            getScalar('Quantity').getDefaultValue().should.equal('1');
+            should.equal(getScalar('Amount').getDefaultValue(), null);
+        });
+
+        it('should return the scale of a decimal scalar', () => {
+            const decimalFile = modelManager.addModelFile(`namespace org.acme.decimal
+            scalar Price extends Decimal default=1.5 range=[0.00,] scale=2
+            scalar Rate extends Decimal`);
+            decimalFile.getLocalType('Price').getScale().should.equal(2);
+            should.equal(decimalFile.getLocalType('Rate').getScale(), null);
+            should.equal(getScalar('Amount').getScale(), null);
+        });
+    });
+
+    describe('#validate', () => {
+
+        it('should throw when a scalar has the same name as a class declaration', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.dupe
+                scalar Person extends String
+                concept Person {}`);
+            }).should.throw(IllegalModelException, /Duplicate class name Person/);
+        });
+
+        it('should throw when two scalars have the same name', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.dupe
+                scalar Name extends String
+                scalar Name extends Integer`);
+            }).should.throw(IllegalModelException, /Duplicate class name Name/);
+        });
+
+        it('should throw for an invalid range', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.range
+                scalar Bad extends Integer range=[10,1]`);
+            }).should.throw(/Lower bound must be less than or equal to upper bound/);
+        });
+
+        it('should throw for a scale on a scalar that is not a Decimal', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.scale
+                scalar Bad extends Double scale=2`);
+            }).should.throw(IllegalModelException, /The scalar org.acme.scale.Bad of type Double cannot declare a scale/);
+        });
+
+        it('should throw for a default value with more decimal places than the scale', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.scale
+                scalar Bad extends Decimal default=1.005 scale=2`);
+            }).should.throw(IllegalModelException, /The default value 1.005 of scalar org.acme.scale.Bad has more than 2 decimal places/);
+        });
+
+        it('should allow a class to be identified by a field declared with a string scalar', () => {
+            modelManager.getType('org.acme.scalars.Customer').getIdentifierFieldName().should.equal('email');
+        });
+
+        it('should throw when a class is identified by a field declared with a numeric scalar', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.id
+                import org.acme.scalars.Quantity
+                asset Part identified by number {
+                    o Quantity number
+                }`);
+            }).should.throw(IllegalModelException, /identified by field \(number\) but the type of the field is not String/);
+        });
+
+        it('should throw for a relationship to a scalar', () => {
+            (() => {
+                modelManager.addModelFile(`namespace org.acme.rel
+                import org.acme.scalars.Email
+                asset Letter identified by id {
+                    o String id
+                    --> Email sender
+                }`);
+            }).should.throw(IllegalModelException, /cannot be to the scalar type org.acme.scalars.Email/);
+        });
+    });
+
+    describe('#toString', () => {
+        it('should give the correct value', () => {
+            getScalar('Amount').toString().should.equal('ScalarDeclaration {id=org.acme.scalars.Amount, type=Double}');
+        });
+    });
+
+    describe('#hasInstance', () => {
+        it('should return true for a ScalarDeclaration', () => {
+            (getScalar('Amount') instanceof ScalarDeclaration).should.be.true;
+            (modelFile.getLocalType('Order') instanceof ScalarDeclaration).should.be.false;
+        });
+    });
+});
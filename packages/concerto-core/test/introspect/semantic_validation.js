@@ -14,6 +14,8 @@
 
 'use strict';
 
+const IllegalModelException = require('../../lib/introspect/illegalmodelexception');
+const ModelBuilder = require('../../lib/introspect/modelbuilder');
 const ModelFile = require('../../lib/introspect/modelfile');
 const ModelManager = require('../../lib/modelmanager');
 const fs = require('fs');
@@ -44,10 +46,124 @@ describe('ModelFile semantic validation', () => {
             catch(error) {
                 error.fileName.should.equal('invalid.cto');
                 error.getFileLocation().start.line.should.equal(22);
-                error.getFileLocation().start.column.should.equal(1);
-                error.getFileLocation().end.line.should.equal(24);
-                error.getFileLocation().end.column.should.equal(2);
+                error.getFileLocation().start.column.should.equal(12);
+                error.getFileLocation().end.line.should.equal(22);
+                error.getFileLocation().end.column.should.equal(33);
             }
         });
     });
+
+    describe('#locations', () => {
+
+        /**
+         * Adds a model to the model manager and returns the error that it throws
+         * @param {string} model - the model
+         * @return {Error} the error
+         */
+        function validate(model) {
+            modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.other
+concept Money {}
+concept Thing identified by id {
+  o String id
+}`, 'other.cto');
+            try {
+                modelManager.addModelFile(model, 'acme.cto');
+            }
+            catch(error) {
+                return error;
+            }
+            throw new Error('The model is valid');
+        }
+
+        /**
+         * Returns the start of the location of an error as line:column
+         * @param {Error} error - the error
+         * @return {string} the start of the location of the error
+         */
+        function start(error) {
+            const location = error.getFileLocation();
+            return `${location.start.line}:${location.start.column}`;
+        }
+
+        it('should locate an imported type that does not exist', () => {
+            const error = validate(`namespace org.acme
+import org.other.{Money, Missing}`);
+            error.getShortMessage().should.equal('Type Missing is not defined in namespace org.other');
+            error.getFileName().should.equal('acme.cto');
+            error.getFileLocation().start.should.deep.equal({ offset: 44, line: 2, column: 26 });
+            error.getFileLocation().end.should.deep.equal({ offset: 51, line: 2, column: 33 });
+        });
+
+        it('should locate each of the errors of a model', () => {
+            const error = validate(`namespace org.acme
+import org.unknown.Thing
+concept Order {
+  o Thing thing
+}`);
+            error.getErrors().map((error) => error.getShortMessage()).should.deep.equal([
+                'Namespace is not defined for type org.unknown.Thing',
+                'No registered namespace for type org.unknown.Thing in property org.acme.Order.thing'
+            ]);
+            error.getErrors().map(start).should.deep.equal(['2:8', '4:3']);
+        });
+
+        it('should locate a super type and a mixin that do not exist', () => {
+            start(validate(`namespace org.acme
+concept Order extends Missing {}`)).should.equal('2:15');
+            start(validate(`namespace org.acme
+concept Order with Missing {}`)).should.equal('2:15');
+        });
+
+        it('should locate the identifier of a class', () => {
+            const error = validate(`namespace org.acme
+asset Order identified by number {
+  o String number optional
+}`);
+            error.getShortMessage().should.equal('Identifying fields cannot be optional.');
+            start(error).should.equal('2:13');
+        });
+
+        it('should locate a duplicate field where the class declares it', () => {
+            start(validate(`namespace org.acme
+concept Order {
+  o String number
+  o String number
+}`)).should.equal('4:3');
+            start(validate(`namespace org.acme
+import org.other.Thing
+asset Order extends Thing {
+  o String notes
+  o String id
+}`)).should.equal('5:3');
+        });
+
+        it('should locate a duplicate decorator', () => {
+            start(validate(`namespace org.acme
+@Doc("order")
+@Doc("again")
+concept Order {}`)).should.equal('3:1');
+        });
+
+        it('should locate an invalid validator', () => {
+            const error = validate(`namespace org.acme
+concept Order {
+  o Integer quantity range=[10,1]
+  o String code length=[5,2]
+}`);
+            error.getShortMessage().should.equal('Validator error for field org.acme.Order.quantity: Lower bound must be less than or equal to upper bound.');
+            start(error).should.equal('3:22');
+        });
+
+        it('should report an invalid regular expression of a model built without parsing', () => {
+            const metaModel = ModelBuilder.namespace('org.acme')
+                .concept('Order')
+                .field('code', 'String', { regex: 'a' })
+                .toMetamodel();
+            metaModel.declarations[0].properties[0].validator.pattern = 'a{2,1}';
+            (() => {
+                new ModelFile(modelManager, metaModel);
+            }).should.throw(IllegalModelException, /Validator error for field org.acme.Order.code: Invalid regular expression/);
+        });
+    });
 });
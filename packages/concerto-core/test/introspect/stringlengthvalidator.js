@@ -0,0 +1,130 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Field = require('../../lib/introspect/field');
+const StringLengthValidator = require('../../lib/introspect/stringlengthvalidator');
+
+require('chai').should();
+const chai = require('chai'), should = chai.should();
+
+const sinon = require('sinon');
+
+describe('StringLengthValidator', () => {
+
+    let mockField;
+
+    // valid test parms
+    let VALID_MIN_AND_MAX_AST = {'lower' : '1', 'upper' : '5' };
+    let NO_MIN_AST = {'lower' : null, 'upper' : '5' };
+    let NO_MAX_AST = {'lower' : '1' , 'upper' : null };
+
+    // error parms
+    let NO_PARMS_IN_AST = {'lower' : null, 'upper' : null };
+    let MIN_IS_HIGHER_THAN_MAX = {'lower' : '10', 'upper' : '5' };
+
+    beforeEach(() => {
+        mockField = sinon.createStubInstance(Field);
+        mockField.getFullyQualifiedName.returns('org.acme.myField');
+    });
+
+    describe('#constructor', () => {
+        it('should accept valid constructor parms VALID_MIN_AND_MAX_AST', () => {
+            let validator = new StringLengthValidator(mockField, VALID_MIN_AND_MAX_AST);
+            validator.getMinLength().should.equal(1);
+            validator.getMaxLength().should.equal(5);
+        });
+
+        it('should accept valid constructor parms NO_MIN_AST', () => {
+            let validator = new StringLengthValidator(mockField, NO_MIN_AST);
+            should.equal(validator.getMinLength(), null);
+            validator.getMaxLength().should.equal(5);
+        });
+
+        it('should accept valid constructor parms NO_MAX_AST', () => {
+            let validator = new StringLengthValidator(mockField, NO_MAX_AST);
+            validator.getMinLength().should.equal(1);
+            should.equal(validator.getMaxLength(), null);
+        });
+
+        it('should throw an error for constructor parms NO_PARMS_IN_AST', () => {
+            (() => {
+                new StringLengthValidator(mockField, NO_PARMS_IN_AST);
+            }).should.throw(/Invalid length, minimum and-or maximum length must be specified./);
+        });
+
+        it('should throw an error for constructor parms MIN_IS_HIGHER_THAN_MAX', () => {
+            (() => {
+                new StringLengthValidator(mockField, MIN_IS_HIGHER_THAN_MAX);
+            }).should.throw(/Minimum length must be less than or equal to maximum length./);
+        });
+    });
+
+    describe('#isValidLength', () => {
+
+        it('should accept values within the bounds', () => {
+            let v = new StringLengthValidator(mockField, VALID_MIN_AND_MAX_AST);
+            v.isValidLength('a').should.be.true;
+            v.isValidLength('abcde').should.be.true;
+        });
+
+        it('should reject values outside the bounds', () => {
+            let v = new StringLengthValidator(mockField, VALID_MIN_AND_MAX_AST);
+            v.isValidLength('').should.be.false;
+            v.isValidLength('abcdef').should.be.false;
+        });
+
+        it('should ignore a missing maximum length', () => {
+            let v = new StringLengthValidator(mockField, NO_MAX_AST);
+            v.isValidLength('a'.repeat(1000)).should.be.true;
+            v.isValidLength('').should.be.false;
+        });
+
+        it('should ignore a missing minimum length', () => {
+            let v = new StringLengthValidator(mockField, NO_MIN_AST);
+            v.isValidLength('').should.be.true;
+            v.isValidLength('abcdef').should.be.false;
+        });
+
+        it('should accept a null value', () => {
+            let v = new StringLengthValidator(mockField, VALID_MIN_AND_MAX_AST);
+            v.isValidLength(null).should.be.true;
+        });
+    });
+
+    describe('#validate', () => {
+
+        it('should validate', () => {
+            let v = new StringLengthValidator(mockField, VALID_MIN_AND_MAX_AST);
+            v.validate('id', 'abc');
+            v.validate('id', null);
+        });
+
+        it('should detect a length violation', () => {
+            let v = new StringLengthValidator(mockField, VALID_MIN_AND_MAX_AST);
+
+            (() => {
+                v.validate('id', 'abcdef');
+            }).should.throw(/org.acme.myField: Value 'abcdef' has a length outside the bounds StringLengthValidator min: 1 max: 5/);
+        });
+    });
+
+    describe('#toString', () => {
+        it('should return the correct string', () => {
+            let v = new StringLengthValidator(mockField, VALID_MIN_AND_MAX_AST);
+            v.toString().should.equal('StringLengthValidator min: 1 max: 5');
+        });
+    });
+});
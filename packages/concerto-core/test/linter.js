@@ -0,0 +1,155 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Linter = require('../lib/linter');
+const ModelManager = require('../lib/modelmanager');
+
+require('chai').should();
+
+describe('Linter', () => {
+
+    let modelManager;
+
+    beforeEach(() => {
+        modelManager = new ModelManager();
+        modelManager.addModelFile(`namespace org.acme
+        /** A vehicle */
+        asset Vehicle identified by vin {
+            o String vin
+            o String make_name
+        }
+        /** A color */
+        enum Color {
+            o RED
+            o GREEN
+        }`, 'acme.cto');
+    });
+
+    describe('#constructor', () => {
+
+        it('should configure the severities of the rules', () => {
+            const linter = new Linter({ rules: { 'camel-case-properties': 'error', 'require-descriptions': 'off' } });
+            linter.getRules().should.deep.equal([
+                { id: 'camel-case-properties', description: 'The names of fields and relationships are camelCase', severity: 'error' },
+                { id: 'singular-declaration-names', description: 'The names of declarations are singular', severity: 'warning' },
+                { id: 'no-unused-imports', description: 'Every imported type is used', severity: 'warning' },
+                { id: 'require-descriptions', description: 'Every declaration has a description', severity: 'off' }
+            ]);
+        });
+
+        it('should throw for an invalid severity', () => {
+            (() => {
+                new Linter({ rules: { 'camel-case-properties': 'fatal' } });
+            }).should.throw(/Invalid severity fatal for lint rule camel-case-properties, expected one of error, warning, info, off/);
+        });
+    });
+
+    describe('#addRule', () => {
+
+        it('should throw for a duplicate rule', () => {
+            (() => {
+                new Linter().addRule({ id: 'no-unused-imports', description: 'Unused imports', severity: 'error' });
+            }).should.throw(/Duplicate lint rule no-unused-imports/);
+        });
+
+        it('should throw for a rule with an invalid severity', () => {
+            (() => {
+                new Linter().addRule({ id: 'my-rule', description: 'My rule' });
+            }).should.throw(/Invalid severity undefined for lint rule my-rule/);
+        });
+    });
+
+    describe('#lint', () => {
+
+        it('should return located findings', () => {
+            new Linter().lint(modelManager).should.deep.equal([{
+                rule: 'camel-case-properties',
+                severity: 'warning',
+                message: 'The property org.acme.Vehicle.make_name is not camelCase',
+                namespace: 'org.acme',
+                fileName: 'acme.cto',
+                element: 'org.acme.Vehicle.make_name',
+                location: {
+                    start: { offset: 123, line: 5, column: 13 },
+                    end: { offset: 150, line: 6, column: 9 }
+                }
+            }]);
+        });
+
+        it('should call a rule for every element of the models', () => {
+            const visited = [];
+            const linter = new Linter({ rules: { 'camel-case-properties': 'off', 'require-descriptions': 'off' } });
+            linter.addRule({
+                id: 'visit',
+                description: 'Visits every element',
+                severity: 'error',
+                modelFile: (modelFile, context) => {
+                    visited.push(`model file ${modelFile.getNamespace()}`);
+                    context.report(modelFile, 'A model file');
+                },
+                declaration: (declaration) => visited.push(`declaration ${declaration.getName()}`),
+                property: (property) => visited.push(`property ${property.getName()}`),
+                enumValue: (enumValue, context) => {
+                    visited.push(`enum value ${enumValue.getName()}`);
+                    context.report(enumValue, 'An enum value', { start: { line: 1, column: 1 } });
+                }
+            });
+            modelManager.addModelFile('namespace org.acme.other scalar SSN extends String');
+            const findings = linter.lint(modelManager);
+
+            visited.should.deep.equal([
+                'model file org.acme',
+                'declaration Vehicle',
+                'property vin',
+                'property make_name',
+                'declaration Color',
+                'enum value RED',
+                'enum value GREEN',
+                'model file org.acme.other',
+                'declaration SSN'
+            ]);
+            findings.map((finding) => `${finding.severity} ${finding.element}`).should.deep.equal([
+                'error org.acme',
+                'error org.acme.Color.RED',
+                'error org.acme.Color.GREEN',
+                'error org.acme.other'
+            ]);
+            (findings[0].location === null).should.equal(true);
+            findings[1].location.should.deep.equal({ start: { line: 1, column: 1 } });
+            (findings[3].fileName === null).should.equal(true);
+        });
+
+        it('should not check external model files', () => {
+            modelManager.getModelFile('org.acme').external = true;
+            new Linter().lint(modelManager).should.deep.equal([]);
+        });
+
+        it('should throw for the severity of an unknown rule', () => {
+            (() => {
+                new Linter({ rules: { 'my-rule': 'error' } }).lint(modelManager);
+            }).should.throw(/Unknown lint rule my-rule/);
+        });
+    });
+
+    describe('#visit', () => {
+
+        it('should throw for an unrecognised thing', () => {
+            (() => {
+                new Linter().visit({ name: 'thing' }, {});
+            }).should.throw(/Unrecognised {"name":"thing"}/);
+        });
+    });
+});
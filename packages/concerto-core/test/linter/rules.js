@@ -0,0 +1,182 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Linter = require('../../lib/linter');
+const ModelManager = require('../../lib/modelmanager');
+
+require('chai').should();
+
+describe('rules', () => {
+
+    let modelManager;
+
+    beforeEach(() => {
+        modelManager = new ModelManager();
+        modelManager.addModelFile(`namespace org.other
+        /** Money */
+        concept Money {}
+        /** A tag */
+        concept Tag {}
+        /** A kind */
+        enum Kind { o ONE }
+        /** A page */
+        concept Page<T> {
+            o T[] items
+        }
+        /** A thing */
+        concept Thing {}`, 'other.cto');
+    });
+
+    /**
+     * Lints a model file with a single rule
+     * @param {string} id - the id of the rule
+     * @param {string} model - the model file
+     * @return {string[]} the messages of the findings
+     */
+    function lint(id, model) {
+        modelManager.addModelFile(model, 'acme.cto');
+        const severities = {};
+        new Linter().getRules().forEach((rule) => {
+            severities[rule.id] = rule.id === id ? 'error' : 'off';
+        });
+        return new Linter({ rules: severities }).lint(modelManager).map((finding) => finding.message);
+    }
+
+    describe('camel-case-properties', () => {
+
+        it('should report fields and relationships that are not camelCase', () => {
+            lint('camel-case-properties', `namespace org.acme
+            participant Person identified by email {
+                o String email
+                o String FirstName
+                o String last_name
+                o Integer age2
+                --> Person best_friend optional
+            }
+            enum Color {
+                o DARK_RED
+            }`).should.deep.equal([
+                'The property org.acme.Person.FirstName is not camelCase',
+                'The property org.acme.Person.last_name is not camelCase',
+                'The property org.acme.Person.best_friend is not camelCase'
+            ]);
+        });
+    });
+
+    describe('singular-declaration-names', () => {
+
+        it('should report declarations whose names are plural', () => {
+            lint('singular-declaration-names', `namespace org.acme
+            concept Orders {}
+            concept Address {}
+            concept Status {}
+            concept Analysis {}
+            enum Colors { o RED }
+            scalar Names extends String`).should.deep.equal([
+                'The name of org.acme.Orders is plural',
+                'The name of org.acme.Colors is plural',
+                'The name of org.acme.Names is plural'
+            ]);
+        });
+    });
+
+    describe('no-unused-imports', () => {
+
+        it('should report imports whose types are not used', () => {
+            modelManager.addModelFile(`namespace org.third
+            /** A size */
+            concept Size {}`);
+            const findings = lint('no-unused-imports', `namespace org.acme
+            import org.other.{Money, Tag as Label}
+            import org.other.Kind
+            import org.third.*
+            concept Order {
+                o Money total
+            }`);
+            findings.should.deep.equal([
+                'The import org.other.Tag is not used',
+                'The import org.other.Kind is not used',
+                'The import org.third.* is not used'
+            ]);
+        });
+
+        it('should locate the findings at the imports', () => {
+            modelManager.addModelFile(`namespace org.acme
+import org.other.Kind
+concept Order {}`, 'acme.cto');
+            const findings = new Linter({ rules: { 'require-descriptions': 'off' } }).lint(modelManager);
+            findings.length.should.equal(1);
+            findings[0].element.should.equal('org.acme');
+            findings[0].location.start.should.deep.equal({ offset: 26, line: 2, column: 8 });
+        });
+
+        it('should count the types used by super types, mixins, type arguments, maps and decorators', () => {
+            lint('no-unused-imports', `namespace org.acme
+            import org.other.{Money, Tag, Kind, Page, Thing}
+            @Type(Thing)
+            concept Order extends Money with Tag {
+                o Page<Money> pages
+                o Map<Kind, String> kinds
+            }
+            @Doc("code", [{ type: Thing }])
+            scalar Code extends String
+            enum Color {
+                @Type(Thing)
+                o RED
+            }`).should.deep.equal([]);
+        });
+
+        it('should count the decorator schemas used by decorators', () => {
+            modelManager.addModelFile(`namespace org.decorators
+            decorator Label(String)
+            decorator Hidden()`, 'decorators.cto');
+            lint('no-unused-imports', `namespace org.acme
+            import org.decorators.{Label as Caption, Hidden}
+            @Hidden
+            concept Order {
+                @Caption("total")
+                o String total
+            }`).should.deep.equal([]);
+        });
+
+        it('should count the types of a wildcard import', () => {
+            lint('no-unused-imports', `namespace org.acme
+            import org.other.*
+            concept Order {
+                o Money total
+            }`).should.deep.equal([]);
+        });
+
+        it('should not report a model file without imports', () => {
+            lint('no-unused-imports', `namespace org.acme
+            concept Order {}`).should.deep.equal([]);
+        });
+    });
+
+    describe('require-descriptions', () => {
+
+        it('should report declarations without a description', () => {
+            lint('require-descriptions', `namespace org.acme
+            /** An order */
+            concept Order {}
+            concept Line {}
+            scalar Code extends String`).should.deep.equal([
+                'The declaration org.acme.Line has no description',
+                'The declaration org.acme.Code has no description'
+            ]);
+        });
+    });
+});
@@ -32,6 +32,10 @@ describe('Identifiable', function () {
         modelManager.addModelFile(`namespace com.composer
         participant Farmer identified by farmerId {
             o String farmerId
+        }
+        participant Grower identified by region, growerId {
+            o String region
+            o String growerId
         }`);
         classDecl = modelManager.getType('com.composer.Farmer');
     });
@@ -55,6 +59,14 @@ describe('Identifiable', function () {
             id.setIdentifier('321');
             id.getIdentifier().should.equal('321');
         });
+
+        it('should set the fields of a composite identifier', function () {
+            let id = new Identifiable(modelManager, modelManager.getType('com.composer.Grower'), 'com.composer', 'Grower', 'EU,123' );
+            id.setIdentifier('US,3%2C21');
+            id.getIdentifier().should.equal('US,3%2C21');
+            id.region.should.equal('US');
+            id.growerId.should.equal('3,21');
+        });
     });
 
     describe('#accept', () => {
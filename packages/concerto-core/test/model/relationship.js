@@ -16,6 +16,7 @@
 
 const ModelManager = require('../../lib/modelmanager');
 const Relationship = require('../../lib/model/relationship');
+const ValidationException = require('../../lib/serializer/validationexception');
 const Util = require('../composer/composermodelutility');
 
 const chai = require('chai');
@@ -32,6 +33,10 @@ describe('Relationship', function () {
     o String vin
     -->Person owner
   }
+  asset Account identified by region, accountNumber {
+    o String region
+    o String accountNumber
+  }
   `;
 
     let modelManager = null;
@@ -176,6 +181,20 @@ describe('Relationship', function () {
                 Relationship.fromURI(modelManager, '', 'org.acme.l1', 'Person');
             }).should.throw();
         });
+
+        it('should create a relationship with a composite identifier', function() {
+            const rel = Relationship.fromURI(modelManager, 'resource:org.acme.l1.Account#EU,12%252C345');
+            rel.getIdentifier().should.equal('EU,12%2C345');
+        });
+
+        it('should error on a composite identifier with the wrong number of values', function() {
+            (function () {
+                Relationship.fromURI(modelManager, 'resource:org.acme.l1.Account#EU');
+            }).should.throw(ValidationException, /Invalid relationship resource:org.acme.l1.Account#EU: Invalid composite identifier EU, expected 2 values separated by commas/);
+            (function () {
+                Relationship.fromURI(modelManager, 'resource:org.acme.l1.Account#EU,1,2');
+            }).should.throw(ValidationException, /expected 2 values/);
+        });
     });
 
     describe('#toString', function() {
@@ -113,6 +113,58 @@ describe('Typed', () => {
 
         });
 
+        it('should assign exact default values for the Long and Decimal types', () => {
+            modelManager.addModelFile(`
+            namespace org.acme.defaults
+            asset DefaultAsset identified by assetId {
+                o String assetId
+                o Long small default=42
+                o Long large default=9007199254740993
+                o Decimal amount default=10.50
+                o Decimal exponent default=+1.5e3
+            }`);
+            const classDecl = modelManager.getType('org.acme.defaults.DefaultAsset');
+            const typed = new Typed(modelManager, classDecl, 'org.acme.defaults', 'DefaultAsset');
+            typed.assignFieldDefaults();
+            typed.small.should.equal(42);
+            typed.large.should.equal(9007199254740993n);
+            typed.amount.should.equal('10.50');
+            typed.exponent.should.equal('1500');
+        });
+
+        it('should assign Decimal default values with the scale of the field', () => {
+            modelManager.addModelFile(`
+            namespace org.acme.defaults
+            scalar Price extends Decimal default=1.0 scale=2
+            asset DefaultAsset identified by assetId {
+                o String assetId
+                o Decimal amount default=10.5 scale=3
+                o Price price
+            }`);
+            const classDecl = modelManager.getType('org.acme.defaults.DefaultAsset');
+            const typed = new Typed(modelManager, classDecl, 'org.acme.defaults', 'DefaultAsset');
+            typed.assignFieldDefaults();
+            typed.amount.should.equal('10.500');
+            typed.price.should.equal('1.00');
+        });
+
+        it('should assign default values for the Date, Time and Duration types', () => {
+            modelManager.addModelFile(`
+            namespace org.acme.defaults
+            asset DefaultAsset identified by assetId {
+                o String assetId
+                o Date birthday default="2000-01-01"
+                o Time opening default="09:30"
+                o Duration term default="P1Y"
+            }`);
+            const classDecl = modelManager.getType('org.acme.defaults.DefaultAsset');
+            const typed = new Typed(modelManager, classDecl, 'org.acme.defaults', 'DefaultAsset');
+            typed.assignFieldDefaults();
+            typed.birthday.format('YYYY-MM-DD').should.equal('2000-01-01');
+            typed.opening.format('HH:mm').should.equal('09:30');
+            typed.term.toISOString().should.equal('P1Y');
+        });
+
     });
 
 });
@@ -0,0 +1,379 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ModelComparer = require('../lib/modelcomparer');
+const ModelManager = require('../lib/modelmanager');
+
+require('chai').should();
+
+describe('ModelComparer', () => {
+
+    /**
+     * Compares two versions of a set of models
+     * @param {string[]} oldModels - the old models
+     * @param {string[]} newModels - the new models
+     * @return {Object} the comparison
+     */
+    function compare(oldModels, newModels) {
+        const oldModelManager = new ModelManager();
+        oldModelManager.addModelFiles(oldModels);
+        const newModelManager = new ModelManager();
+        newModelManager.addModelFiles(newModels);
+        return ModelComparer.compare(oldModelManager, newModelManager);
+    }
+
+    /**
+     * Returns the changes of a comparison as classification: message strings
+     * @param {Object} comparison - the comparison
+     * @return {string[]} the changes
+     */
+    function messages(comparison) {
+        return comparison.changes.map((change) => `${change.classification}: ${change.message}`);
+    }
+
+    const base = `namespace org.acme
+    enum Color {
+        o RED
+        o GREEN
+    }
+    scalar SSN extends String regex=/\\d{3}-\\d{2}-\\d{4}/
+    abstract asset Base identified by id {
+        o String id
+    }
+    asset Vehicle extends Base {
+        o String model
+        o Integer year range=[1900,2100]
+        o String plate length=[1,10] optional
+        o Color color default="RED"
+        o String[1..4] owners
+        --> Person driver optional
+    }
+    participant Person identified by ssn {
+        o SSN ssn
+    }`;
+
+    describe('#compare', () => {
+
+        it('should report no changes for the same models', () => {
+            const comparison = compare([base], [base]);
+            comparison.should.deep.equal({ classification: 'none', changes: [] });
+        });
+
+        it('should report added and removed namespaces', () => {
+            const other = 'namespace org.other concept Thing {}';
+            const comparison = compare([base, other], [base, 'namespace org.third concept Thing {}']);
+            comparison.classification.should.equal('major');
+            comparison.changes.should.deep.equal([{
+                element: 'namespace',
+                action: 'removed',
+                name: 'org.other',
+                classification: 'major',
+                message: 'The namespace org.other was removed'
+            }, {
+                element: 'namespace',
+                action: 'added',
+                name: 'org.third',
+                classification: 'minor',
+                message: 'The namespace org.third was added'
+            }]);
+        });
+
+        it('should report added, removed and changed declarations', () => {
+            const comparison = compare([`namespace org.acme
+            concept Address {}
+            asset Car identified by vin { o String vin }
+            scalar Name extends String
+            participant Payer identified by id { o String id }
+            enum Color { o RED }`], [`namespace org.acme
+            concept Location {}
+            concept Car {}
+            scalar Name extends Integer
+            transaction Payer {}
+            enum Color { o RED }`]);
+            messages(comparison).should.deep.equal([
+                'major: The concept org.acme.Address was removed',
+                'major: The declaration org.acme.Car changed from asset to concept',
+                'major: The declaration org.acme.Payer changed from participant to transaction',
+                'major: The type of the scalar org.acme.Name changed from String to Integer',
+                'minor: The concept org.acme.Location was added'
+            ]);
+        });
+
+        it('should classify the changes of fields', () => {
+            const comparison = compare([base], [base
+                .replace('o String model', 'o String[] model')
+                .replace('o Integer year range=[1900,2100]', 'o Long year')
+                .replace('o String plate length=[1,10] optional', 'o String plate length=[1,20]')
+                .replace('o String[1..4] owners', 'o String[0..4] owners')
+                .replace('o Color color default="RED"', 'o Color color default="GREEN" optional\n o String vin optional\n o String make')
+                .replace('--> Person driver optional', 'o Person driver optional')]);
+            comparison.classification.should.equal('major');
+            messages(comparison).should.deep.equal([
+                'major: The field org.acme.Vehicle.model changed from a single value to an array',
+                'major: The type of the field org.acme.Vehicle.year changed from Integer to Long',
+                'major: The field org.acme.Vehicle.plate was made required',
+                'minor: The length of org.acme.Vehicle.plate was widened',
+                'minor: The field org.acme.Vehicle.color was made optional',
+                'patch: The default value of org.acme.Vehicle.color changed from RED to GREEN',
+                'minor: The number of items of the field org.acme.Vehicle.owners was widened',
+                'major: The field org.acme.Vehicle.driver changed from a relationship to a field',
+                'minor: The optional field org.acme.Vehicle.vin was added',
+                'major: The required field org.acme.Vehicle.make was added'
+            ]);
+        });
+
+        it('should report a removed field', () => {
+            messages(compare([base], [base.replace('o String model', '')])).should.deep.equal([
+                'major: The field org.acme.Vehicle.model was removed'
+            ]);
+        });
+
+        it('should classify the changes of validators', () => {
+            messages(compare([base], [base.replace('range=[1900,2100]', 'range=[1950,2100]')])).should.deep.equal([
+                'major: The range of org.acme.Vehicle.year was narrowed'
+            ]);
+            messages(compare([base], [base.replace('range=[1900,2100]', 'range=[1900,]')])).should.deep.equal([
+                'minor: The range of org.acme.Vehicle.year was widened'
+            ]);
+            const comparison = compare([base], [base.replace('range=[1900,2100]', '')]);
+            comparison.changes[0].action.should.equal('removed');
+            comparison.classification.should.equal('minor');
+            messages(compare([base], [base.replace('length=[1,10]', 'length=[2,]')])).should.deep.equal([
+                'major: The length of org.acme.Vehicle.plate was narrowed'
+            ]);
+            messages(compare([base], [base.replace('o String model', 'o String model regex=/[A-Z]+/')])).should.deep.equal([
+                'major: The regular expression of org.acme.Vehicle.model changed from none to /[A-Z]+/'
+            ]);
+            messages(compare([base], [base.replace('regex=/\\d{3}-\\d{2}-\\d{4}/', '')])).should.deep.equal([
+                'minor: The regular expression of org.acme.SSN changed from /\\d{3}-\\d{2}-\\d{4}/ to none'
+            ]);
+            messages(compare([base], [base.replace('o String[1..4] owners', 'o String[1..3] owners')])).should.deep.equal([
+                'major: The number of items of the field org.acme.Vehicle.owners was narrowed'
+            ]);
+            messages(compare([base], [base.replace('o String[1..4] owners', 'o String owners')])).should.deep.equal([
+                'major: The field org.acme.Vehicle.owners changed from an array to a single value'
+            ]);
+            messages(compare([base.replace(' range=[1900,2100]', '').replace(' length=[1,10]', '')], [base])).should.deep.equal([
+                'major: The range of org.acme.Vehicle.year was narrowed',
+                'major: The length of org.acme.Vehicle.plate was narrowed'
+            ]);
+        });
+
+        it('should classify the changes of the scale of decimals', () => {
+            const priced = (price) => base.replace('o String model', `o String model\n o Decimal price ${price}`);
+            messages(compare([priced('')], [priced('scale=2')])).should.deep.equal([
+                'major: The scale of org.acme.Vehicle.price changed from none to 2'
+            ]);
+            messages(compare([priced('scale=2')], [priced('scale=1')])).should.deep.equal([
+                'major: The scale of org.acme.Vehicle.price changed from 2 to 1'
+            ]);
+            messages(compare([priced('scale=2')], [priced('scale=4')])).should.deep.equal([
+                'minor: The scale of org.acme.Vehicle.price changed from 2 to 4'
+            ]);
+            messages(compare([priced('scale=2')], [priced('')])).should.deep.equal([
+                'minor: The scale of org.acme.Vehicle.price changed from 2 to none'
+            ]);
+        });
+
+        it('should classify the changes of enum values', () => {
+            messages(compare([base], [base.replace('o GREEN', 'o BLUE')])).should.deep.equal([
+                'major: The enum value org.acme.Color.GREEN was removed',
+                'minor: The enum value org.acme.Color.BLUE was added'
+            ]);
+            messages(compare([base], [base.replace('o GREEN', 'o GREEN = "G"')])).should.deep.equal([
+                'major: The code of the enum value org.acme.Color.GREEN changed from none to G'
+            ]);
+        });
+
+        it('should classify the changes of super types, abstract declarations and identifiers', () => {
+            const comparison = compare([base], [base
+                .replace('abstract asset Base identified by id', 'asset Base identified by id')
+                .replace('asset Vehicle extends Base {', 'abstract asset Vehicle identified by model {')]);
+            messages(comparison).should.deep.equal([
+                'minor: The declaration org.acme.Base is no longer abstract',
+                'major: The super type of org.acme.Vehicle changed from org.acme.Base to concerto.Asset',
+                'major: The declaration org.acme.Vehicle was made abstract',
+                'major: The identifier of org.acme.Vehicle changed from id to model'
+            ]);
+        });
+
+        it('should classify the changes of mixins', () => {
+            const model = (mixins) => `namespace org.acme
+            concept Audited {
+                o DateTime updated
+            }
+            concept Tagged {
+                o String[] tags optional
+            }
+            concept Ranked {
+                o Integer rank optional
+                invariant positive: rank == null || rank > 0
+            }
+            concept Person ${mixins} {
+                o String name
+            }`;
+            messages(compare([model('')], [model('with Tagged')])).should.deep.equal([
+                'minor: The mixin org.acme.Tagged of org.acme.Person was added'
+            ]);
+            messages(compare([model('')], [model('with Audited, Ranked')])).should.deep.equal([
+                'major: The mixin org.acme.Audited of org.acme.Person was added, with required fields or invariants',
+                'major: The mixin org.acme.Ranked of org.acme.Person was added, with required fields or invariants'
+            ]);
+            const comparison = compare([model('with Tagged, Audited')], [model('with Audited')]);
+            comparison.classification.should.equal('major');
+            comparison.changes.should.deep.equal([{
+                element: 'mixin',
+                action: 'removed',
+                name: 'org.acme.Person',
+                classification: 'major',
+                message: 'The mixin org.acme.Tagged of org.acme.Person was removed'
+            }]);
+        });
+
+        it('should compare a field that moves to or from a super type or mixin with the inherited field', () => {
+            const model = (base, vehicle) => `namespace org.acme
+            abstract asset Base identified by id {
+                o String id
+                ${base}
+            }
+            asset Vehicle extends Base {
+                ${vehicle}
+            }`;
+            messages(compare([model('', 'o String model')], [model('o String model', '')])).should.deep.equal([
+                'major: The required field org.acme.Base.model was added'
+            ]);
+            messages(compare([model('', 'o String model')], [model('o String model optional', '')])).should.deep.equal([
+                'minor: The optional field org.acme.Base.model was added',
+                'minor: The field org.acme.Vehicle.model was made optional'
+            ]);
+            messages(compare([model('o String model optional', '')], [model('', 'o String model')])).should.deep.equal([
+                'major: The field org.acme.Base.model was removed',
+                'major: The field org.acme.Vehicle.model was made required'
+            ]);
+
+            const mixin = (mixins, name) => `namespace org.acme
+            concept Named {
+                o String name
+            }
+            concept Person ${mixins} {
+                ${name}
+            }`;
+            messages(compare([mixin('', 'o String name')], [mixin('with Named', '')])).should.deep.equal([
+                'minor: The mixin org.acme.Named of org.acme.Person was added'
+            ]);
+            messages(compare([mixin('with Named', '')], [mixin('', 'o String name')])).should.deep.equal([
+                'major: The mixin org.acme.Named of org.acme.Person was removed'
+            ]);
+        });
+
+        it('should classify the changes of type parameters', () => {
+            const model = (parameters) => `namespace org.acme
+            concept Box${parameters} {
+                o String label
+            }`;
+            const comparison = compare([model('')], [model('<T>')]);
+            comparison.classification.should.equal('major');
+            comparison.changes.should.deep.equal([{
+                element: 'type-parameters',
+                action: 'added',
+                name: 'org.acme.Box',
+                classification: 'major',
+                message: 'The type parameters of org.acme.Box changed from none to <T>'
+            }]);
+            messages(compare([model('<T>')], [model('<T, U>')])).should.deep.equal([
+                'major: The type parameters of org.acme.Box changed from <T> to <T, U>'
+            ]);
+            messages(compare([model('<T>')], [model('')])).should.deep.equal([
+                'major: The type parameters of org.acme.Box changed from <T> to none'
+            ]);
+            messages(compare([model('<T>')], [model('<U>')])).should.deep.equal([
+                'patch: The type parameters of org.acme.Box changed from <T> to <U>'
+            ]);
+        });
+
+        it('should classify the changes of invariants', () => {
+            const model = (invariants) => `namespace org.acme
+            concept Loan {
+                o Double rate
+                o Double amount
+                ${invariants}
+            }`;
+            const positive = 'invariant positive: amount > 0';
+            messages(compare([model('')], [model(positive)])).should.deep.equal([
+                'major: The invariant org.acme.Loan.positive was added'
+            ]);
+            messages(compare([model(positive)], [model('')])).should.deep.equal([
+                'minor: The invariant org.acme.Loan.positive was removed'
+            ]);
+            messages(compare([model(positive)], [model('invariant positive: amount > 0 && rate > 0')])).should.deep.equal([
+                'major: The expression of the invariant org.acme.Loan.positive changed from amount > 0 to amount > 0 && rate > 0'
+            ]);
+            compare([model(positive)], [model(positive)]).classification.should.equal('none');
+        });
+
+        it('should report patch changes of documentation, decorators and inverse relationships', () => {
+            const oldModel = `namespace org.acme
+            asset Thing identified by id {
+                o String id
+                --> Person owner optional
+            }
+            participant Person identified by email {
+                o String email
+                --> Thing[] things optional
+            }`;
+            const newModel = oldModel
+                .replace('asset Thing', '/** A thing */ @Doc("thing") asset Thing')
+                .replace('--> Thing[] things optional', '--> Thing[] things inverse owner optional');
+            const comparison = compare([oldModel], [newModel]);
+            comparison.classification.should.equal('patch');
+            messages(comparison).should.deep.equal([
+                'patch: The documentation of org.acme.Thing changed',
+                'patch: The decorators of org.acme.Thing changed',
+                'patch: The inverse of the relationship org.acme.Person.things changed from none to owner'
+            ]);
+        });
+
+        it('should compare the latest versions of versioned namespaces', () => {
+            const model = (version, type) => `namespace org.acme@${version}
+            concept Address {
+                o ${type} street
+            }`;
+            const oldModelManager = new ModelManager();
+            oldModelManager.addModelFiles([model('1.0.0', 'Integer'), model('1.1.0', 'String')]);
+            const newModelManager = new ModelManager();
+            newModelManager.addModelFiles([model('1.2.0', 'String'), model('1.1.1', 'Integer')]);
+            ModelComparer.compare(oldModelManager, newModelManager).should.deep.equal({ classification: 'none', changes: [] });
+        });
+
+        it('should compare the types of generic and map fields', () => {
+            const model = (type) => `namespace org.acme
+            concept Page<T> {
+                o T[] items
+            }
+            concept Money {}
+            enum Currency { o EUR }
+            concept Order {
+                o ${type} things
+            }`;
+            messages(compare([model('Page<Money>')], [model('Page<Order>')])).should.deep.equal([
+                'major: The type of the field org.acme.Order.things changed from org.acme.Page<org.acme.Money> to org.acme.Page<org.acme.Order>'
+            ]);
+            messages(compare([model('Map<String, Money>')], [model('Map<Currency, Money>')])).should.deep.equal([
+                'major: The type of the field org.acme.Order.things changed from Map<String, org.acme.Money> to Map<org.acme.Currency, org.acme.Money>'
+            ]);
+        });
+    });
+});
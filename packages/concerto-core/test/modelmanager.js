@@ -19,12 +19,16 @@ const fs = require('fs');
 const AssetDeclaration = require('../lib/introspect/assetdeclaration');
 const ConceptDeclaration = require('../lib/introspect/conceptdeclaration');
 const DecoratorFactory = require('../lib/introspect/decoratorfactory');
+const DecoratorSchema = require('../lib/introspect/decoratorschema');
 const EnumDeclaration = require('../lib/introspect/enumdeclaration');
 const EventDeclaration = require('../lib/introspect/eventdeclaration');
 const Factory = require('../lib/factory');
+const IllegalModelException = require('../lib/introspect/illegalmodelexception');
 const ModelFile = require('../lib/introspect/modelfile');
 const ModelFileDownloader = require('../lib/introspect/loaders/modelfiledownloader');
 const ModelManager = require('../lib/modelmanager');
+const ModelValidationException = require('../lib/introspect/modelvalidationexception');
+const ParseException = require('../lib/introspect/parseexception');
 const ParticipantDeclaration = require('../lib/introspect/participantdeclaration');
 const Serializer = require('../lib/serializer');
 const TypeNotFoundException = require('../lib/typenotfoundexception');
@@ -230,8 +234,10 @@ describe('ModelManager', () => {
         it('should add model files from objects', () => {
             let mf1 = sinon.createStubInstance(ModelFile);
             mf1.getNamespace.returns('org.doge');
+            mf1.getDecoratorSchemas.returns([]);
             let mf2 = sinon.createStubInstance(ModelFile);
             mf2.getNamespace.returns('org.fry');
+            mf2.getDecoratorSchemas.returns([]);
             let res = modelManager.addModelFiles([mf1, mf2]);
             sinon.assert.calledOnce(mf1.validate);
             sinon.assert.calledOnce(mf2.validate);
@@ -255,11 +261,13 @@ describe('ModelManager', () => {
         it('should add to existing model files from objects', () => {
             let mf1 = sinon.createStubInstance(ModelFile);
             mf1.getNamespace.returns('org.doge');
+            mf1.getDecoratorSchemas.returns([]);
             modelManager.addModelFiles([mf1]);
             sinon.assert.calledOnce(mf1.validate);
             modelManager.modelFiles['org.doge'].should.equal(mf1);
             let mf2 = sinon.createStubInstance(ModelFile);
             mf2.getNamespace.returns('org.fry');
+            mf2.getDecoratorSchemas.returns([]);
             modelManager.addModelFiles([mf2]);
             sinon.assert.calledTwice(mf1.validate);
             sinon.assert.calledOnce(mf2.validate);
@@ -285,12 +293,14 @@ describe('ModelManager', () => {
         it('should restore existing model files on validation error', () => {
             let mf1 = sinon.createStubInstance(ModelFile);
             mf1.getNamespace.returns('org.doge');
+            mf1.getDecoratorSchemas.returns([]);
             modelManager.addModelFiles([mf1]);
             sinon.assert.calledOnce(mf1.validate);
             modelManager.modelFiles['org.doge'].should.equal(mf1);
             let mf2 = sinon.createStubInstance(ModelFile);
             mf2.validate.throws(new Error('validation error'));
             mf2.getNamespace.returns('org.fry');
+            mf2.getDecoratorSchemas.returns([]);
             (() => {
                 modelManager.addModelFiles([mf2]);
             }).should.throw(/validation error/);
@@ -315,8 +325,10 @@ describe('ModelManager', () => {
         it('should return an error for duplicate namespace from objects', () => {
             let mf1 = sinon.createStubInstance(ModelFile);
             mf1.getNamespace.returns('org.doge');
+            mf1.getDecoratorSchemas.returns([]);
             let mf2 = sinon.createStubInstance(ModelFile);
             mf2.getNamespace.returns('org.doge.base');
+            mf2.getDecoratorSchemas.returns([]);
             modelManager.addModelFiles([mf1,mf2]);
             (() => {
                 modelManager.addModelFiles([mf1]);
@@ -326,12 +338,15 @@ describe('ModelManager', () => {
         it('should return an error for duplicate namespace from objects, with filenames', () => {
             let mf1 = sinon.createStubInstance(ModelFile);
             mf1.getNamespace.returns('org.doge');
+            mf1.getDecoratorSchemas.returns([]);
             mf1.getName.returns('mf1');
             let mf2 = sinon.createStubInstance(ModelFile);
             mf2.getNamespace.returns('org.doge.base');
+            mf2.getDecoratorSchemas.returns([]);
             mf2.getName.returns('mf2');
             let mf3 = sinon.createStubInstance(ModelFile);
             mf3.getNamespace.returns('org.doge');
+            mf3.getDecoratorSchemas.returns([]);
             mf3.getName.returns('mf1-again');
             modelManager.addModelFiles([mf1,mf2]);
             (() => {
@@ -416,6 +431,59 @@ describe('ModelManager', () => {
 
     });
 
+    describe('#validateModelFiles', () => {
+
+        it('should throw the error of a single invalid model file', () => {
+            modelManager.addModelFiles([new ModelFile(modelManager, 'namespace foo concept Foo{o Missing m}', 'foo.cto')], null, true);
+            (() => {
+                modelManager.validateModelFiles();
+            }).should.throw(IllegalModelException, /Undeclared type Missing in property foo.Foo.m/);
+        });
+
+        it('should throw the errors of all the invalid model files', () => {
+            modelManager.addModelFiles([
+                new ModelFile(modelManager, 'namespace foo concept Foo{o Missing m}', 'foo.cto'),
+                new ModelFile(modelManager, 'namespace bar concept Bar{o Unknown u} concept Baz{o Other o}', 'bar.cto'),
+            ], null, true);
+            try {
+                modelManager.validateModelFiles();
+                throw new Error('should not get here');
+            } catch (err) {
+                err.should.be.an.instanceOf(ModelValidationException);
+                err.should.be.an.instanceOf(IllegalModelException);
+                err.getErrors().map(error => error.getShortMessage()).should.deep.equal([
+                    'Undeclared type Missing in property foo.Foo.m',
+                    'Undeclared type Unknown in property bar.Bar.u',
+                    'Undeclared type Other in property bar.Baz.o'
+                ]);
+            }
+        });
+
+    });
+
+    describe('#getDiagnostics', () => {
+
+        it('should return the syntax errors of the model files parsed with the tolerant option', () => {
+            const tolerantModelManager = new ModelManager({ tolerant: true });
+            tolerantModelManager.addModelFile('namespace foo concept Foo{o String s} concept Bad{o}', 'foo.cto');
+            tolerantModelManager.addModelFiles(['namespace bar concept Bar{o String s} asset', 'namespace baz concept Baz{}'], ['bar.cto', 'baz.cto']);
+            tolerantModelManager.updateModelFile('namespace baz concept Baz{} concept {}', 'baz.cto');
+            tolerantModelManager.getType('foo.Foo').getName().should.equal('Foo');
+            tolerantModelManager.getType('bar.Bar').getName().should.equal('Bar');
+            tolerantModelManager.getDiagnostics().map(diagnostic => diagnostic.getFileName()).should.deep.equal(['foo.cto', 'bar.cto', 'baz.cto']);
+            tolerantModelManager.getDiagnostics().should.all.be.an.instanceOf(ParseException);
+        });
+
+        it('should have no syntax errors without the tolerant option', () => {
+            modelManager.addModelFile('namespace foo concept Foo{}', 'foo.cto');
+            modelManager.getDiagnostics().should.deep.equal([]);
+            (() => {
+                modelManager.addModelFile('namespace bar concept Bar{o}', 'bar.cto');
+            }).should.throw(ParseException);
+        });
+
+    });
+
     describe('#updateModelFile', () => {
 
         it('throw if the namespace from an object does not exist', () => {
@@ -757,6 +825,16 @@ concept Bar {
         });
     });
 
+    describe('#toMetamodel', () => {
+        it('should return the metamodel of each model file, without the system model', () => {
+            modelManager.addModelFile(modelBase);
+            const metaModel = modelManager.toMetamodel();
+            metaModel.$class.should.equal('concerto.metamodel.Models');
+            metaModel.models.map((model) => model.namespace).should.deep.equal(['system', 'org.acme.base']);
+            metaModel.models[1].should.deep.equal(modelManager.getModelFile('org.acme.base').toMetamodel());
+        });
+    });
+
     describe('#getNamespaces', () => {
 
         it('should list all of the namespaces', () => {
@@ -773,6 +851,97 @@ concept Bar {
 
     });
 
+    describe('#getNamespaceVersions', () => {
+
+        it('should return the registered versions of a namespace in ascending order', () => {
+            modelManager.addModelFiles([
+                'namespace org.acme.loan@2.0.0 concept Loan {}',
+                'namespace org.acme.loan@1.10.0 concept Loan {}',
+                'namespace org.acme.loan@1.2.0 concept Loan {}',
+                'namespace org.acme.loan concept Loan {}',
+                'namespace org.acme.loans@3.0.0 concept Loan {}'
+            ]);
+            modelManager.getNamespaceVersions('org.acme.loan').should.deep.equal(['1.2.0', '1.10.0', '2.0.0']);
+        });
+
+        it('should return no versions for a namespace that is not registered', () => {
+            modelManager.getNamespaceVersions('org.acme.loan').should.deep.equal([]);
+        });
+
+    });
+
+    describe('#versioned namespaces', () => {
+
+        const loan1 = `namespace org.acme.loan@1.2.0
+        asset Loan identified by loanId {
+            o String loanId
+            o Double amount
+        }`;
+        const loan2 = `namespace org.acme.loan@2.0.0
+        asset Loan identified by loanId {
+            o String loanId
+            o Double amount
+            o String currency
+        }`;
+
+        it('should register the versions of a namespace side by side', () => {
+            modelManager.addModelFiles([loan1, loan2]);
+            modelManager.getModelFile('org.acme.loan@1.2.0').getVersion().should.equal('1.2.0');
+            modelManager.getModelFile('org.acme.loan@2.0.0').getVersion().should.equal('2.0.0');
+            modelManager.getType('org.acme.loan@1.2.0.Loan').getProperties().length.should.equal(3);
+            modelManager.getType('org.acme.loan@2.0.0.Loan').getProperties().length.should.equal(4);
+        });
+
+        it('should not register the same version of a namespace twice', () => {
+            modelManager.addModelFile(loan1, 'loan1.cto');
+            (() => {
+                modelManager.addModelFile(loan1, 'loan1-copy.cto');
+            }).should.throw(/Namespace org.acme.loan@1.2.0 specified in file loan1-copy.cto is already declared in file loan1.cto/);
+        });
+
+        it('should validate instances of each version', () => {
+            modelManager.addModelFiles([loan1, loan2]);
+            const serializer = modelManager.getSerializer();
+            const loan = serializer.fromJSON({ $class: 'org.acme.loan@2.0.0.Loan', loanId: 'L1', amount: 10, currency: 'EUR' });
+            loan.getFullyQualifiedType().should.equal('org.acme.loan@2.0.0.Loan');
+            serializer.toJSON(loan).$class.should.equal('org.acme.loan@2.0.0.Loan');
+            (() => {
+                serializer.fromJSON({ $class: 'org.acme.loan@1.2.0.Loan', loanId: 'L1', amount: 10, currency: 'EUR' });
+            }).should.throw(/Unexpected properties for type org.acme.loan@1.2.0.Loan: currency/);
+        });
+
+        it('should resolve the types imported from a version of a namespace', () => {
+            modelManager.addModelFiles([loan1, loan2, `namespace org.acme.app
+            import org.acme.loan@2.0.0.Loan
+            import org.acme.loan@1.2.0.{Loan as LegacyLoan}
+            concept Application {
+                --> Loan loan
+                o LegacyLoan legacy
+            }`]);
+            const application = modelManager.getType('org.acme.app.Application');
+            application.getProperty('loan').getFullyQualifiedTypeName().should.equal('org.acme.loan@2.0.0.Loan');
+            application.getProperty('legacy').getFullyQualifiedTypeName().should.equal('org.acme.loan@1.2.0.Loan');
+            const serializer = modelManager.getSerializer();
+            const json = {
+                $class: 'org.acme.app.Application',
+                loan: 'resource:org.acme.loan@2.0.0.Loan#L1',
+                legacy: { $class: 'org.acme.loan@1.2.0.Loan', loanId: 'L2', amount: 5, $identifier: 'L2' }
+            };
+            serializer.toJSON(serializer.fromJSON(json)).should.deep.equal(json);
+        });
+
+        it('should not resolve a type imported from a version of a namespace that is not registered', () => {
+            (() => {
+                modelManager.addModelFiles([loan1, `namespace org.acme.app
+                import org.acme.loan@2.0.0.Loan
+                concept Application {
+                    --> Loan loan
+                }`]);
+            }).should.throw(/org.acme.loan@2.0.0/);
+        });
+
+    });
+
     describe('#getDeclarations', () => {
         const numberModelBaseAssets = 13;
         const numberModelBaseEnums = 2;
@@ -953,6 +1122,84 @@ concept Bar {
 
     });
 
+    describe('#addDecoratorSchema', () => {
+
+        it('should return no schemas by default', () => {
+            modelManager.getDecoratorSchemas().should.deep.equal([]);
+            (modelManager.getDecoratorSchema('Description') === null).should.be.true;
+        });
+
+        it('should add schemas, replacing a schema with the same name', () => {
+            const schema1 = new DecoratorSchema('Description', { arguments: ['String'] });
+            const schema2 = new DecoratorSchema('Hidden');
+            const schema3 = new DecoratorSchema('Description', { arguments: ['String', 'String'] });
+            modelManager.addDecoratorSchema(schema1);
+            modelManager.addDecoratorSchema(schema2);
+            modelManager.addDecoratorSchema(schema3);
+            modelManager.getDecoratorSchemas().should.deep.equal([schema3, schema2]);
+            modelManager.getDecoratorSchema('Description').should.equal(schema3);
+        });
+
+        it('should return the schemas declared in model files, unless a schema with the same name is added', () => {
+            modelManager.addModelFile(`namespace org.decorators
+            decorator Description(String)
+            decorator Hidden()`, 'decorators.cto');
+            const schema = new DecoratorSchema('Description', { arguments: ['String', 'String?'] });
+            modelManager.getDecoratorSchemas().map((schema) => schema.getName()).should.deep.equal(['Description', 'Hidden']);
+            modelManager.getDecoratorSchema('Hidden').getName().should.equal('Hidden');
+            modelManager.addDecoratorSchema(schema);
+            modelManager.getDecoratorSchemas().length.should.equal(2);
+            modelManager.getDecoratorSchema('Description').should.equal(schema);
+        });
+
+        it('should throw for a schema declared in the model files of several namespaces', () => {
+            modelManager.addModelFiles([`namespace org.a
+            decorator Label(String)`, `namespace org.b
+            decorator Label(Number)`]);
+            modelManager.getDecoratorSchemas().length.should.equal(2);
+            (() => {
+                modelManager.getDecoratorSchema('Label');
+            }).should.throw(/Ambiguous decorator @Label, whose schema is declared in the namespaces org.a, org.b/);
+            const schema = new DecoratorSchema('Label');
+            modelManager.addDecoratorSchema(schema);
+            modelManager.getDecoratorSchema('Label').should.equal(schema);
+        });
+
+        it('should collect the schemas declared in model files once, until a model file is added, updated or deleted', () => {
+            modelManager.addModelFile(`namespace org.decorators
+            decorator Description(String)`, 'decorators.cto');
+            const spy = sinon.spy(modelManager, 'getModelFiles');
+            modelManager.getDecoratorSchema('Description').getName().should.equal('Description');
+            modelManager.getDecoratorSchema('Description');
+            spy.callCount.should.equal(1);
+
+            modelManager.updateModelFile(`namespace org.decorators
+            decorator Hidden()`, 'decorators.cto');
+            (modelManager.getDecoratorSchema('Description') === null).should.be.true;
+            modelManager.getDecoratorSchema('Hidden').getName().should.equal('Hidden');
+            spy.callCount.should.equal(2);
+
+            modelManager.addModelFile(`namespace org.other
+            decorator Label()`, 'other.cto');
+            modelManager.getDecoratorSchemas().map((schema) => schema.getName()).should.deep.equal(['Hidden', 'Label']);
+            modelManager.deleteModelFile('org.other');
+            modelManager.getDecoratorSchemas().map((schema) => schema.getName()).should.deep.equal(['Hidden']);
+            modelManager.clearModelFiles();
+            modelManager.getDecoratorSchemas().should.deep.equal([]);
+            spy.callCount.should.equal(5);
+            spy.restore();
+        });
+
+        it('should not check the decorators of the models when no schemas are declared', () => {
+            modelManager.addModelFile(`namespace org.acme
+            @Descripton("A person")
+            concept Person {
+                o String name
+            }`, 'acme.cto');
+        });
+
+    });
+
     describe('#hasInstance', () => {
         it('should return true for a valid ModelManager', () => {
             (modelManager instanceof ModelManager).should.be.true;
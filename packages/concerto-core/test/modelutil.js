@@ -42,7 +42,11 @@ describe('ModelUtil', function () {
             ModelUtil.isPrimitiveType('Boolean').should.equal(true);
             ModelUtil.isPrimitiveType('Integer').should.equal(true);
             ModelUtil.isPrimitiveType('Long').should.equal(true);
+            ModelUtil.isPrimitiveType('Decimal').should.equal(true);
             ModelUtil.isPrimitiveType('DateTime').should.equal(true);
+            ModelUtil.isPrimitiveType('Date').should.equal(true);
+            ModelUtil.isPrimitiveType('Time').should.equal(true);
+            ModelUtil.isPrimitiveType('Duration').should.equal(true);
             ModelUtil.isPrimitiveType('String').should.equal(true);
         });
     });
@@ -162,6 +166,44 @@ describe('ModelUtil', function () {
             ModelUtil.getNamespace('org.acme.baz.Foo').should.equal('org.acme.baz');
             ModelUtil.getNamespace('Foo').should.equal('');
         });
+
+        it('check getNamespace of a versioned namespace', function() {
+            ModelUtil.getNamespace('org.acme.baz@1.2.0.Foo').should.equal('org.acme.baz@1.2.0');
+            ModelUtil.getNamespace('org.acme.baz@1.2.0-beta.1.Foo').should.equal('org.acme.baz@1.2.0-beta.1');
+        });
+    });
+
+    describe('#parseNamespace', function() {
+        it('should return the name and version of a versioned namespace', function() {
+            ModelUtil.parseNamespace('org.acme.loan@1.2.0-rc.1+build.5').should.deep.equal({ name: 'org.acme.loan', version: '1.2.0-rc.1+build.5' });
+        });
+
+        it('should return a null version for a namespace that is not versioned', function() {
+            ModelUtil.parseNamespace('org.acme.loan').should.deep.equal({ name: 'org.acme.loan', version: null });
+        });
+    });
+
+    describe('#compareVersions', function() {
+        it('should order versions by their precedence', function() {
+            const versions = ['1.0.0', '2.0.0', '1.10.0', '1.2.0', '1.0.0-rc.1', '1.0.0-beta.11', '1.0.0-beta.2', '1.0.0-beta',
+                '1.0.0-alpha.beta', '1.0.0-alpha.1', '1.0.0-alpha', '1.0.1'];
+            versions.sort(ModelUtil.compareVersions).should.deep.equal(['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta',
+                '1.0.0-beta', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0', '1.0.1', '1.2.0', '1.10.0', '2.0.0']);
+        });
+
+        it('should ignore the build metadata', function() {
+            ModelUtil.compareVersions('1.0.0+build.1', '1.0.0+build.2').should.equal(0);
+            ModelUtil.compareVersions('1.0.0-rc.1+build.1', '1.0.0').should.be.below(0);
+        });
+
+        it('should order numeric identifiers before alphanumeric identifiers', function() {
+            ModelUtil.compareVersions('1.0.0-1', '1.0.0-a').should.be.below(0);
+            ModelUtil.compareVersions('1.0.0-a', '1.0.0-1').should.be.above(0);
+        });
+
+        it('should throw for a version that is not a semantic version', function() {
+            (() => ModelUtil.compareVersions('1.0', '1.0.0')).should.throw(/Invalid Version: 1.0/);
+        });
     });
 
     describe('#capitalizeFirstLetter', () => {
@@ -0,0 +1,134 @@
+/*
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const NumberUtil = require('../lib/numberutil');
+
+const chai = require('chai');
+
+const should = chai.should();
+
+describe('NumberUtil', () => {
+
+    describe('#isDecimal', () => {
+        it('should accept fixed-point strings', () => {
+            NumberUtil.isDecimal('0').should.be.true;
+            NumberUtil.isDecimal('-1234.50').should.be.true;
+            NumberUtil.isDecimal('+0.001').should.be.true;
+        });
+
+        it('should reject other values', () => {
+            NumberUtil.isDecimal(1.5).should.be.false;
+            NumberUtil.isDecimal('1.5e3').should.be.false;
+            NumberUtil.isDecimal('1.').should.be.false;
+            NumberUtil.isDecimal('abc').should.be.false;
+            NumberUtil.isDecimal(null).should.be.false;
+        });
+    });
+
+    describe('#isLong', () => {
+        it('should accept integral numbers, BigInts and strings of digits', () => {
+            NumberUtil.isLong(42).should.be.true;
+            NumberUtil.isLong(2n ** 64n).should.be.true;
+            NumberUtil.isLong('-9007199254740993').should.be.true;
+        });
+
+        it('should reject other values', () => {
+            NumberUtil.isLong(4.2).should.be.false;
+            NumberUtil.isLong(9007199254740992).should.be.false;
+            NumberUtil.isLong('4.2').should.be.false;
+            NumberUtil.isLong(true).should.be.false;
+            NumberUtil.isLong(null).should.be.false;
+        });
+    });
+
+    describe('#toLong', () => {
+        it('should return a number for a safe integer', () => {
+            NumberUtil.toLong(42).should.equal(42);
+            NumberUtil.toLong('-42').should.equal(-42);
+            NumberUtil.toLong(42n).should.equal(42);
+        });
+
+        it('should return a BigInt for an unsafe integer', () => {
+            NumberUtil.toLong('9007199254740993').should.equal(9007199254740993n);
+            NumberUtil.toLong(-(2n ** 64n)).should.equal(-(2n ** 64n));
+        });
+    });
+
+    describe('#toDecimal', () => {
+        it('should keep the scale of a literal', () => {
+            NumberUtil.toDecimal('10.50').should.equal('10.50');
+            NumberUtil.toDecimal('+1.50').should.equal('1.50');
+            NumberUtil.toDecimal('-0.05').should.equal('-0.05');
+            NumberUtil.toDecimal('12').should.equal('12');
+        });
+
+        it('should expand an exponent', () => {
+            NumberUtil.toDecimal('2.5e3').should.equal('2500');
+            NumberUtil.toDecimal('1.5E-3').should.equal('0.0015');
+        });
+
+        it('should throw for an invalid literal', () => {
+            (() => NumberUtil.toDecimal('abc')).should.throw('Invalid number abc');
+            (() => NumberUtil.toDecimal('.')).should.throw('Invalid number .');
+        });
+    });
+
+    describe('#toScale', () => {
+        it('should pad the fraction of a decimal to the scale', () => {
+            NumberUtil.toScale('1.5', 2).should.equal('1.50');
+            NumberUtil.toScale('-12', 1).should.equal('-12.0');
+            NumberUtil.toScale('2.5e3', 1).should.equal('2500.0');
+            NumberUtil.toScale('7', 0).should.equal('7');
+        });
+
+        it('should drop trailing zeros beyond the scale', () => {
+            NumberUtil.toScale('-1.500', 2).should.equal('-1.50');
+            NumberUtil.toScale('3.000', 0).should.equal('3');
+        });
+
+        it('should return null for a decimal with more non-zero fractional digits than the scale', () => {
+            should.equal(NumberUtil.toScale('1.005', 2), null);
+            should.equal(NumberUtil.toScale('0.5', 0), null);
+        });
+    });
+
+    describe('#compareNumbers', () => {
+        it('should compare decimals exactly', () => {
+            NumberUtil.compareNumbers('1.10', '1.1').should.equal(0);
+            NumberUtil.compareNumbers('0.1', '0.10000000000000000001').should.equal(-1);
+            NumberUtil.compareNumbers('-0.5', '-1.0').should.equal(1);
+        });
+
+        it('should compare BigInts and numbers exactly', () => {
+            NumberUtil.compareNumbers(9007199254740993n, '9007199254740992').should.equal(1);
+            NumberUtil.compareNumbers(2n ** 64n, '1.0e19').should.equal(1);
+            NumberUtil.compareNumbers(5, '5.0').should.equal(0);
+        });
+    });
+
+    describe('#computeNumbers', () => {
+        it('should add and subtract decimals exactly', () => {
+            NumberUtil.computeNumbers('0.1', '+', '0.2').should.equal('0.3');
+            NumberUtil.computeNumbers('12345678901234567890.2', '-', '0.1').should.equal('12345678901234567890.1');
+            NumberUtil.computeNumbers(9007199254740993n, '+', '.5').should.equal('9007199254740993.5');
+        });
+
+        it('should multiply decimals exactly', () => {
+            NumberUtil.computeNumbers('0.1', '*', 3).should.equal('0.3');
+            NumberUtil.computeNumbers('-1.5e2', '*', '2').should.equal('-300');
+        });
+    });
+});
@@ -20,6 +20,7 @@ const Relationship = require('../lib/model/relationship');
 const Resource = require('../lib/model/resource');
 const Serializer = require('../lib/serializer');
 const TypeNotFoundException = require('../lib/typenotfoundexception');
+const ValidationException = require('../lib/serializer/validationexception');
 const Util = require('./composer/composermodelutility');
 
 const should = require('chai').should();
@@ -65,12 +66,84 @@ describe('Serializer', () => {
             o Double elevation
         }
 
+        enum Currency {
+            o USD
+            o EUR
+        }
+
+        concept PriceList {
+            o Map<Currency, Double> rates
+            o Map<String, Address> offices optional
+            o Map<String, Currency> preferred optional
+        }
+
+        enum AccountStatus {
+            o ACTIVE = "A"
+            o CLOSED = 9
+            o PENDING
+        }
+
+        concept Account {
+            o AccountStatus status
+            o AccountStatus[] history optional
+            o Map<AccountStatus, Double> balances optional
+        }
+
+        concept Auditable {
+            o String createdBy
+        }
+
+        concept Memo with Auditable {
+            o String text
+        }
+
+        concept Archive {
+            o Auditable[] items
+        }
+
+        concept Page<T> {
+            o T[] items
+            o Integer total
+        }
+
+        concept Catalog {
+            o Page<Address> addresses
+            o Page<Email> emails optional
+        }
+
+        scalar Email extends String regex=/^[^@]+@[^@]+$/
+        scalar Percentage extends Double default=10.0 range=[0.0,100.0]
+
+        concept Contact {
+            o Email email
+            o Email[] others optional
+            o Percentage discount
+        }
+
+        concept Payment {
+            o Decimal amount range=[0.00,1000000.00]
+            o Long reference
+            o Decimal[] fees optional
+        }
+
+        concept Person {
+            o Date birthDate
+            o Time wakeUp optional
+            o Duration notice optional
+        }
+
         event SampleEvent identified by eventId {
         o String eventId
         --> SampleAsset asset
         o String newValue
         }
 
+        asset Ledger identified by region, accountNumber {
+            o String region
+            o String accountNumber
+            --> Ledger parent optional
+        }
+
         `);
         factory = new Factory(modelManager);
         serializer = new Serializer(factory, modelManager);
@@ -223,6 +296,106 @@ describe('Serializer', () => {
             });
         });
 
+        it('should generate a concept with map fields', () => {
+            let office = factory.newConcept('org.acme.sample', 'Address');
+            office.city = 'Winchester';
+            office.country = 'UK';
+            office.elevation = 3.14;
+            let priceList = factory.newConcept('org.acme.sample', 'PriceList');
+            priceList.rates = { USD: 1.0, EUR: 0.85 };
+            priceList.offices = { head: office };
+            priceList.preferred = { UK: 'EUR' };
+            const json = serializer.toJSON(priceList);
+            json.should.deep.equal({
+                $class: 'org.acme.sample.PriceList',
+                rates: { USD: 1.0, EUR: 0.85 },
+                offices: {
+                    head: {
+                        $class: 'org.acme.sample.Address',
+                        city: 'Winchester',
+                        country: 'UK',
+                        elevation: 3.14
+                    }
+                },
+                preferred: { UK: 'EUR' }
+            });
+        });
+
+        it('should generate a concept with enum values given as their codes if the acceptEnumCodes option is set', () => {
+            let account = factory.newConcept('org.acme.sample', 'Account');
+            account.status = 'A';
+            account.history = [9, 'PENDING'];
+            account.balances = { '9': 0.0, ACTIVE: 10.0 };
+            const json = serializer.toJSON(account, { acceptEnumCodes: true });
+            json.should.deep.equal({
+                $class: 'org.acme.sample.Account',
+                status: 'A',
+                history: [9, 'PENDING'],
+                balances: { '9': 0.0, ACTIVE: 10.0 }
+            });
+        });
+
+        it('should throw validation errors for enum values given as their codes by default', () => {
+            let account = factory.newConcept('org.acme.sample', 'Account');
+            account.status = 'A';
+            (() => {
+                serializer.toJSON(account);
+            }).should.throw(/invalid enum value A for field AccountStatus/);
+        });
+
+        it('should throw validation errors for map keys given as enum codes by default', () => {
+            let account = factory.newConcept('org.acme.sample', 'Account');
+            account.status = 'ACTIVE';
+            account.balances = { '9': 0.0 };
+            (() => {
+                serializer.toJSON(account);
+            }).should.throw(/invalid map key 9 for field balances/);
+        });
+
+        it('should generate a concept with scalar fields', () => {
+            let contact = factory.newConcept('org.acme.sample', 'Contact');
+            contact.email = 'alice@example.com';
+            contact.others = ['bob@example.com'];
+            const json = serializer.toJSON(contact);
+            json.should.deep.equal({
+                $class: 'org.acme.sample.Contact',
+                email: 'alice@example.com',
+                others: ['bob@example.com'],
+                discount: 10.0
+            });
+        });
+
+        it('should throw validation errors for scalar fields', () => {
+            let contact = factory.newConcept('org.acme.sample', 'Contact');
+            contact.email = 'alice';
+            (() => {
+                serializer.toJSON(contact);
+            }).should.throw(/org.acme.sample.Contact.email: Value \+ 'alice' failed to match validation regex/);
+        });
+
+        it('should generate a concept with Decimal and Long fields', () => {
+            let payment = factory.newConcept('org.acme.sample', 'Payment');
+            payment.amount = '1234.50';
+            payment.reference = 9007199254740993n;
+            payment.fees = ['0.10', '2.00'];
+            const json = serializer.toJSON(payment);
+            json.should.deep.equal({
+                $class: 'org.acme.sample.Payment',
+                amount: '1234.50',
+                reference: '9007199254740993',
+                fees: ['0.10', '2.00']
+            });
+        });
+
+        it('should throw validation errors for a Decimal field that is not a decimal string', () => {
+            let payment = factory.newConcept('org.acme.sample', 'Payment');
+            payment.amount = 1234.5;
+            payment.reference = 1;
+            (() => {
+                serializer.toJSON(payment);
+            }).should.throw(/field amount has value 1234.5 \(number\) expected type Decimal/);
+        });
+
         it('should generate a field if an empty string is specififed', () => {
             let resource = factory.newResource('org.acme.sample', 'SampleAsset', '1');
             resource.owner = factory.newRelationship('org.acme.sample', 'SampleParticipant', 'alice@email.com');
@@ -277,6 +450,35 @@ describe('Serializer', () => {
             resource.doubleValue.should.equal(3.14);
         });
 
+        it('should round trip an asset with a composite identifier and a relationship', () => {
+            let json = {
+                $class: 'org.acme.sample.Ledger',
+                region: 'E,U',
+                accountNumber: '1',
+                parent: 'resource:org.acme.sample.Ledger#EU,2'
+            };
+            let resource = serializer.fromJSON(json);
+            resource.$identifier.should.equal('E%2CU,1');
+            resource.toURI().should.equal('resource:org.acme.sample.Ledger#E%252CU,1');
+            resource.parent.should.be.an.instanceOf(Relationship);
+            resource.parent.getIdentifier().should.equal('EU,2');
+            const result = serializer.toJSON(resource);
+            result.should.deep.equal(Object.assign({ $identifier: 'E%2CU,1' }, json));
+            serializer.fromJSON(result).getIdentifier().should.equal('E%2CU,1');
+        });
+
+        it('should throw for a relationship whose composite identifier has the wrong number of values', () => {
+            let json = {
+                $class: 'org.acme.sample.Ledger',
+                region: 'EU',
+                accountNumber: '1',
+                parent: 'resource:org.acme.sample.Ledger#EU'
+            };
+            (() => {
+                serializer.fromJSON(json);
+            }).should.throw(ValidationException, /Invalid relationship resource:org.acme.sample.Ledger#EU: Invalid composite identifier EU, expected 2 values separated by commas/);
+        });
+
         it('should deserialize a valid transaction', () => {
             let json = {
                 $class: 'org.acme.sample.SampleTransaction',
@@ -321,6 +523,285 @@ describe('Serializer', () => {
             resource.elevation.should.equal(3.14);
         });
 
+        it('should deserialize a valid concept with map fields', () => {
+            let json = {
+                $class: 'org.acme.sample.PriceList',
+                rates: { USD: 1.0, EUR: 0.85 },
+                offices: {
+                    head: {
+                        $class: 'org.acme.sample.Address',
+                        city: 'Winchester',
+                        country: 'UK',
+                        elevation: 3.14
+                    }
+                },
+                preferred: { UK: 'EUR' }
+            };
+            let resource = serializer.fromJSON(json);
+            resource.should.be.an.instanceOf(Resource);
+            resource.rates.should.deep.equal({ USD: 1.0, EUR: 0.85 });
+            resource.offices.head.should.be.an.instanceOf(Resource);
+            resource.offices.head.city.should.equal('Winchester');
+            resource.preferred.UK.should.equal('EUR');
+            serializer.toJSON(resource).should.deep.equal(json);
+        });
+
+        it('should throw if a map field is not an object', () => {
+            let json = {
+                $class: 'org.acme.sample.PriceList',
+                rates: [1.0, 0.85]
+            };
+            (() => {
+                serializer.fromJSON(json);
+            }).should.throw(/Expected value \[1,0.85\] to be of type Map<Currency, Double>/);
+        });
+
+        it('should throw validation errors for invalid map keys', () => {
+            let json = {
+                $class: 'org.acme.sample.PriceList',
+                rates: { GBP: 1.17 }
+            };
+            (() => {
+                serializer.fromJSON(json);
+            }).should.throw(/invalid map key GBP for field rates/);
+        });
+
+        it('should deserialize enum values given as their codes as their names if the acceptEnumCodes option is set', () => {
+            let json = {
+                $class: 'org.acme.sample.Account',
+                status: 'A',
+                history: [9, 'PENDING', 'ACTIVE', '9'],
+                balances: { '9': 0.0, A: 10.0 }
+            };
+            let resource = serializer.fromJSON(json, { acceptEnumCodes: true });
+            resource.status.should.equal('ACTIVE');
+            resource.history.should.deep.equal(['CLOSED', 'PENDING', 'ACTIVE', 'CLOSED']);
+            resource.balances.should.deep.equal({ CLOSED: 0.0, ACTIVE: 10.0 });
+        });
+
+        it('should throw validation errors for unknown enum codes if the acceptEnumCodes option is set', () => {
+            let json = {
+                $class: 'org.acme.sample.Account',
+                status: 'B'
+            };
+            (() => {
+                serializer.fromJSON(json, { acceptEnumCodes: true });
+            }).should.throw(/invalid enum value B for field AccountStatus/);
+        });
+
+        it('should throw validation errors for enum values given as their codes by default', () => {
+            let json = {
+                $class: 'org.acme.sample.Account',
+                status: 9
+            };
+            (() => {
+                serializer.fromJSON(json);
+            }).should.throw(/invalid enum value 9 for field AccountStatus/);
+        });
+
+        it('should deserialize a concept in a field whose type is one of its mixins', () => {
+            let json = {
+                $class: 'org.acme.sample.Archive',
+                items: [{
+                    $class: 'org.acme.sample.Memo',
+                    createdBy: 'alice',
+                    text: 'Hello'
+                }]
+            };
+            let resource = serializer.fromJSON(json);
+            resource.items[0].instanceOf('org.acme.sample.Auditable').should.be.true;
+            resource.items[0].createdBy.should.equal('alice');
+            serializer.toJSON(resource).should.deep.equal(json);
+        });
+
+        it('should deserialize a concept with a field of a generic type', () => {
+            let json = {
+                $class: 'org.acme.sample.Catalog',
+                addresses: {
+                    $class: 'org.acme.sample.Page',
+                    items: [{
+                        $class: 'org.acme.sample.Address',
+                        city: 'Winchester',
+                        country: 'UK',
+                        elevation: 3.14
+                    }],
+                    total: 1
+                },
+                emails: {
+                    $class: 'org.acme.sample.Page',
+                    items: ['alice@example.com'],
+                    total: 1
+                }
+            };
+            let resource = serializer.fromJSON(json);
+            resource.addresses.items[0].getFullyQualifiedType().should.equal('org.acme.sample.Address');
+            resource.emails.items.should.deep.equal(['alice@example.com']);
+            serializer.toJSON(resource).should.deep.equal(json);
+        });
+
+        it('should throw validation errors for an item that is not of the type bound to a type parameter', () => {
+            let json = {
+                $class: 'org.acme.sample.Catalog',
+                addresses: {
+                    $class: 'org.acme.sample.Page',
+                    items: [{
+                        $class: 'org.acme.sample.Memo',
+                        createdBy: 'alice',
+                        text: 'Hello'
+                    }],
+                    total: 1
+                }
+            };
+            (() => {
+                serializer.fromJSON(json);
+            }).should.throw(/Memo that is not derived from org.acme.sample.Address/);
+        });
+
+        it('should validate an item against the scalar type bound to a type parameter', () => {
+            let json = {
+                $class: 'org.acme.sample.Catalog',
+                addresses: {
+                    $class: 'org.acme.sample.Page',
+                    items: [],
+                    total: 0
+                },
+                emails: {
+                    $class: 'org.acme.sample.Page',
+                    items: ['alice'],
+                    total: 1
+                }
+            };
+            (() => {
+                serializer.fromJSON(json);
+            }).should.throw(/org.acme.sample.Page.items: Value \+ 'alice' failed to match validation regex/);
+        });
+
+        it('should throw for a top-level instance of a generic type', () => {
+            let json = {
+                $class: 'org.acme.sample.Page',
+                items: ['alice@example.com'],
+                total: 1
+            };
+            (() => {
+                serializer.fromJSON(json);
+            }).should.throw(ValidationException, /No type is bound to the type parameter T of field org.acme.sample.Page.items, an instance of the generic type org.acme.sample.Page must be the value of a field that declares its type arguments./);
+
+            const resource = factory.newConcept('org.acme.sample', 'Page', null, { disableValidation: true });
+            resource.items = ['alice@example.com'];
+            resource.total = 1;
+            (() => {
+                serializer.toJSON(resource, { validate: false });
+            }).should.throw(ValidationException, /No type is bound to the type parameter T of field org.acme.sample.Page.items/);
+            (() => {
+                serializer.toJSON(resource);
+            }).should.throw(ValidationException, /No type is bound to the type parameter T of field org.acme.sample.Page.items/);
+            (() => {
+                factory.newConcept('org.acme.sample', 'Page', null, { generate: 'sample' });
+            }).should.throw(ValidationException, /No type is bound to the type parameter T of field org.acme.sample.Page.items/);
+        });
+
+        it('should deserialize a valid concept with scalar fields', () => {
+            let json = {
+                $class: 'org.acme.sample.Contact',
+                email: 'alice@example.com',
+                discount: 12.5
+            };
+            let resource = serializer.fromJSON(json);
+            resource.should.be.an.instanceOf(Resource);
+            resource.email.should.equal('alice@example.com');
+            resource.discount.should.equal(12.5);
+            serializer.toJSON(resource).should.deep.equal(json);
+        });
+
+        it('should throw validation errors for scalar values out of range', () => {
+            let json = {
+                $class: 'org.acme.sample.Contact',
+                email: 'alice@example.com',
+                discount: 120.0
+            };
+            (() => {
+                serializer.fromJSON(json);
+            }).should.throw(/org.acme.sample.Contact.discount: Value is outside upper bound 120/);
+        });
+
+        it('should deserialize Decimal and Long fields without losing precision', () => {
+            let json = {
+                $class: 'org.acme.sample.Payment',
+                amount: '999999.99',
+                reference: '9007199254740993'
+            };
+            let resource = serializer.fromJSON(json);
+            resource.amount.should.equal('999999.99');
+            resource.reference.should.equal(9007199254740993n);
+            serializer.toJSON(resource).should.deep.equal(json);
+        });
+
+        it('should deserialize a Long given as a string within the safe integer range as a number', () => {
+            let resource = serializer.fromJSON({
+                $class: 'org.acme.sample.Payment',
+                amount: '1.00',
+                reference: '42'
+            });
+            resource.reference.should.equal(42);
+            serializer.toJSON(resource).reference.should.equal(42);
+        });
+
+        it('should throw validation errors for Decimal values out of range', () => {
+            let json = {
+                $class: 'org.acme.sample.Payment',
+                amount: '1000000.001',
+                reference: 1
+            };
+            (() => {
+                serializer.fromJSON(json);
+            }).should.throw(/org.acme.sample.Payment.amount: Value is outside upper bound 1000000.001/);
+        });
+
+        it('should deserialize Date, Time and Duration fields without shifting them by the UTC offset', () => {
+            let json = {
+                $class: 'org.acme.sample.Person',
+                birthDate: '1990-01-01',
+                wakeUp: '06:30:00.000',
+                notice: 'P1M'
+            };
+            let resource = serializer.fromJSON(json, { utcOffset: -300 });
+            resource.birthDate.format('YYYY-MM-DD').should.equal('1990-01-01');
+            resource.notice.asMonths().should.equal(1);
+            serializer.toJSON(resource, { utcOffset: 540 }).should.deep.equal(json);
+        });
+
+        it('should throw validation errors for a Date field with a time', () => {
+            let json = {
+                $class: 'org.acme.sample.Person',
+                birthDate: '1990-01-01T00:00:00Z'
+            };
+            (() => {
+                serializer.fromJSON(json);
+            }).should.throw(/Expected value "1990-01-01T00:00:00Z" to be of type Date/);
+        });
+
+        it('should throw validation errors for a Long that is not an integer', () => {
+            let json = {
+                $class: 'org.acme.sample.Payment',
+                amount: '1.00',
+                reference: '1.5'
+            };
+            (() => {
+                serializer.fromJSON(json);
+            }).should.throw(/Expected value "1.5" to be of type Long/);
+        });
+
+        it('should throw validation errors for a Long given as a number outside the safe integer range', () => {
+            let json = {
+                $class: 'org.acme.sample.Payment',
+                amount: '1.00',
+                reference: 9007199254740993
+            };
+            (() => {
+                serializer.fromJSON(json);
+            }).should.throw(/Expected value 9007199254740992 of type Long to be a safe integer/);
+        });
+
         it('should throw validation errors if the validate flag is not specified', () => {
             let json = {
                 $class: 'org.acme.sample.SampleAsset',
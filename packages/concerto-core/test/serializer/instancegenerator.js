@@ -23,6 +23,8 @@ const Util = require('../composer/composermodelutility');
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
 dayjs.extend(utc);
+const duration = require('dayjs/plugin/duration');
+dayjs.extend(duration);
 
 const chai = require('chai');
 const should = chai.should();
@@ -88,6 +90,27 @@ describe('InstanceGenerator', () => {
             resource.theValue.should.be.a('string');
         });
 
+        it('should generate a value for a string property with a length', () => {
+            let resource = test(`namespace org.acme.test
+            asset MyAsset identified by assetId {
+                o String assetId
+                o String theValue length=[100,120]
+                o String theShortValue length=[,3]
+            }`);
+            resource.theValue.length.should.be.within(100, 120);
+            resource.theShortValue.length.should.be.at.most(3);
+        });
+
+        it('should generate an empty value for a string property with a length', () => {
+            useEmptyGenerator();
+            let resource = test(`namespace org.acme.test
+            asset MyAsset identified by assetId {
+                o String assetId
+                o String theValue length=[5,10]
+            }`);
+            resource.theValue.should.equal('     ');
+        });
+
         it('should not throw a recursion error', () => {
             let resource = test(`namespace org.acme.test
             participant MyParticipant identified by participantId{
@@ -112,6 +135,18 @@ describe('InstanceGenerator', () => {
             }`);
             resource.theValues.should.be.a('Array').that.is.empty;
         });
+        it('should generate an empty map for a map property', () => {
+            let resource = test(`namespace org.acme.test
+            concept Rate {
+                o Double value
+            }
+            asset MyAsset identified by assetId {
+                o String assetId
+                o Map<String, Rate> theValues
+            }`);
+            resource.theValues.should.deep.equal({});
+        });
+
         it('should return null for optional recursive field ', () => {
             parameters.includeOptionalFields = true;
             let resource = test(`namespace org.acme.test
@@ -164,6 +199,20 @@ describe('InstanceGenerator', () => {
             resource.theValue.should.be.an.instanceOf(dayjs);
         });
 
+        it('should generate the minimum number of values for a bounded array property', () => {
+            let resource = test(`namespace org.acme.test
+            participant Person identified by id {
+                o String id
+            }
+            asset MyAsset identified by assetId {
+                o String assetId
+                o String[2..5] theValues
+                --> Person[3..] theOwners
+            }`);
+            resource.theValues.should.be.a('Array').and.have.lengthOf(2);
+            resource.theOwners.should.be.a('Array').and.have.lengthOf(3);
+        });
+
         it('should generate one default value for a date/time array property', () => {
             let resource = test(`namespace org.acme.test
             asset MyAsset identified by assetId {
@@ -174,6 +223,21 @@ describe('InstanceGenerator', () => {
             resource.theValues[0].should.be.an.instanceOf(dayjs);
         });
 
+        it('should generate default values for date, time and duration properties', () => {
+            let resource = test(`namespace org.acme.test
+            asset MyAsset identified by assetId {
+                o String assetId
+                o Date theDate
+                o Time theTime
+                o Duration theDuration
+            }`);
+            resource.theDate.should.be.an.instanceOf(dayjs);
+            resource.theDate.format('HH:mm:ss.SSS').should.equal('00:00:00.000');
+            resource.theTime.should.be.an.instanceOf(dayjs);
+            resource.theTime.format('YYYY-MM-DD').should.equal('1970-01-01');
+            dayjs.isDuration(resource.theDuration).should.be.true;
+        });
+
         it('should generate a default value for an integer property', () => {
             let resource = test(`namespace org.acme.test
             asset MyAsset identified by assetId {
@@ -192,6 +256,37 @@ describe('InstanceGenerator', () => {
             resource.theValue.should.be.a('number');
         });
 
+        it('should generate a value for a scalar property that satisfies its validator', () => {
+            let resource = test(`namespace org.acme.test
+            scalar Percentage extends Integer range=[0,100]
+            scalar Code extends String regex=/^[A-Z]{3}$/
+            asset MyAsset identified by assetId {
+                o String assetId
+                o Percentage theValue
+                o Code[] theCodes
+            }`);
+            resource.theValue.should.be.within(0, 100);
+            resource.theCodes.should.have.lengthOf(1);
+            resource.theCodes[0].should.match(/^[A-Z]{3}$/);
+        });
+
+        it('should generate values of the types bound to the type parameters of a generic property', () => {
+            let resource = test(`namespace org.acme.test
+            scalar Code extends String regex=/^[A-Z]{3}$/
+            concept Pair<K, V> {
+                o K key
+                o V[] values
+            }
+            asset MyAsset identified by assetId {
+                o String assetId
+                o Pair<Code, Integer> thePair
+            }`);
+            resource.thePair.getFullyQualifiedType().should.equal('org.acme.test.Pair');
+            resource.thePair.key.should.match(/^[A-Z]{3}$/);
+            resource.thePair.values.should.have.lengthOf(1);
+            resource.thePair.values[0].should.be.a('number');
+        });
+
         it('should generate a default value for an integer array property', () => {
             let resource = test(`namespace org.acme.test
             asset MyAsset identified by assetId {
@@ -258,6 +353,38 @@ describe('InstanceGenerator', () => {
             resource.theValues[0].should.be.a('Number');
         });
 
+        it('should generate a default value for a decimal property', () => {
+            let resource = test(`namespace org.acme.test
+            asset MyAsset identified by assetId {
+                o String assetId
+                o Decimal theValue
+            }`);
+            resource.theValue.should.match(/^\d+\.\d{2}$/);
+        });
+
+        it('should generate a default value for a decimal property with a range', () => {
+            let resource = test(`namespace org.acme.test
+            asset MyAsset identified by assetId {
+                o String assetId
+                o Decimal theValue range = [1.00,2.50]
+            }`);
+            parseFloat(resource.theValue).should.be.within(1, 2.5);
+        });
+
+        it('should generate a default value with the scale of a decimal property', () => {
+            let resource = test(`namespace org.acme.test
+            asset MyAsset identified by assetId {
+                o String assetId
+                o Decimal theValue scale=4
+                o Decimal theRange range = [1.00,2.50] scale=1
+                o Decimal theInteger scale=0
+            }`);
+            resource.theValue.should.match(/^\d+\.\d{4}$/);
+            resource.theRange.should.match(/^\d\.\d$/);
+            parseFloat(resource.theRange).should.be.within(1, 2.5);
+            resource.theInteger.should.match(/^\d+$/);
+        });
+
         it('should generate a default value for a boolean property', () => {
             let resource = test(`namespace org.acme.test
             asset MyAsset identified by assetId {
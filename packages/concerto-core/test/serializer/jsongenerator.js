@@ -23,6 +23,8 @@ const Util = require('../composer/composermodelutility');
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
 dayjs.extend(utc);
+const duration = require('dayjs/plugin/duration');
+dayjs.extend(duration);
 
 let chai = require('chai'), should = chai.should();
 const sinon = require('sinon');
@@ -146,6 +148,21 @@ describe('JSONGenerator', () => {
             ergoJsonGenerator.convertToJSON({ getType: () => { return 'Long'; } }, 1234567890).$nat.should.equal(1234567890);
         });
 
+        it('should convert a long held as a BigInt to a string', () => {
+            jsonGenerator.convertToJSON({ getType: () => { return 'Long'; } }, 9007199254740993n).should.equal('9007199254740993');
+            ergoJsonGenerator.convertToJSON({ getType: () => { return 'Long'; } }, 9007199254740993n).$nat.should.equal('9007199254740993');
+        });
+
+        it('should pass through a decimal string', () => {
+            jsonGenerator.convertToJSON({ getType: () => { return 'Decimal'; }, getScale: () => { return null; } }, '1234.50').should.equal('1234.50');
+        });
+
+        it('should pad a decimal string to the scale of the field', () => {
+            jsonGenerator.convertToJSON({ getType: () => { return 'Decimal'; }, getScale: () => { return 3; } }, '1234.5').should.equal('1234.500');
+            jsonGenerator.convertToJSON({ getType: () => { return 'Decimal'; }, getScale: () => { return 1; } }, '1234.55').should.equal('1234.55');
+            jsonGenerator.convertToJSON({ getType: () => { return 'Decimal'; }, getScale: () => { return 2; } }, 'invalid').should.equal('invalid');
+        });
+
         it('should pass through a string object', () => {
             jsonGenerator.convertToJSON({ getType: () => { return 'String'; } }, 'hello world').should.equal('hello world');
             jsonGenerator.convertToJSON({ getType: () => { return 'String'; } }, 'hello"world').should.equal('hello"world');
@@ -163,6 +180,21 @@ describe('JSONGenerator', () => {
             ergoJsonGenerator.convertToJSON({ getType: () => { return 'DateTime'; } }, date).format('YYYY-MM-DDTHH:mm:ss.SSS[Z]').should.equal('1995-08-09T05:00:00.000Z');
         });
 
+        it('should convert a date object to an ISO 8601 calendar date', () => {
+            let date = dayjs.utc('1999-12-31');
+            jsonGenerator.convertToJSON({ getType: () => { return 'Date'; } }, date).should.equal('1999-12-31');
+        });
+
+        it('should convert a time object to an ISO 8601 time', () => {
+            let time = dayjs.utc('1970-01-01T13:45:30.250Z');
+            jsonGenerator.convertToJSON({ getType: () => { return 'Time'; } }, time).should.equal('13:45:30.250');
+        });
+
+        it('should convert a duration object to an ISO 8601 duration', () => {
+            let duration = dayjs.duration(36, 'hours');
+            jsonGenerator.convertToJSON({ getType: () => { return 'Duration'; } }, duration).should.equal('P1DT12H');
+        });
+
         it('should pass through a boolean object', () => {
             jsonGenerator.convertToJSON({ getType: () => { return 'Boolean'; } }, true).should.equal(true);
             jsonGenerator.convertToJSON({ getType: () => { return 'Boolean'; } }, false).should.equal(false);
@@ -353,9 +385,16 @@ describe('JSONGenerator', () => {
             isEnumStub = sandbox.stub(ModelUtil,'isEnum');
         });
 
+        after(() => {
+            isEnumStub.restore();
+        });
+
         it('should populate if a primitive string', () => {
             let field = {
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return true;},
                 'getType':function(){return 'String';}
@@ -374,6 +413,9 @@ describe('JSONGenerator', () => {
         it('should populate if an optional primitive string', () => {
             let field = {
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return true;},
                 'isPrimitive':function(){return true;},
                 'getType':function(){return 'String';}
@@ -392,6 +434,9 @@ describe('JSONGenerator', () => {
         it('should populate if an optional primitive string (null)', () => {
             let field = {
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return true;},
                 'isPrimitive':function(){return true;},
                 'getType':function(){return 'String';}
@@ -410,6 +455,9 @@ describe('JSONGenerator', () => {
         it('should populate if an optional primitive string (Ergo)', () => {
             let field = {
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return true;},
                 'isPrimitive':function(){return true;},
                 'getType':function(){return 'String';}
@@ -428,6 +476,9 @@ describe('JSONGenerator', () => {
         it('should populate if an optional primitive string (null) (Ergo)', () => {
             let field = {
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return true;},
                 'isPrimitive':function(){return true;},
                 'getType':function(){return 'String';}
@@ -446,6 +497,9 @@ describe('JSONGenerator', () => {
         it('should populate if a primitive integer', () => {
             let field = {
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return true;},
                 'getType':function(){return 'Integer';}
@@ -464,6 +518,9 @@ describe('JSONGenerator', () => {
         it('should populate if a primitive integer (Ergo)', () => {
             let field = {
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return true;},
                 'getType':function(){return 'Integer';}
@@ -482,6 +539,9 @@ describe('JSONGenerator', () => {
         it('should populate if a primitive double', () => {
             let field = {
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return true;},
                 'getType':function(){return 'Double';}
@@ -500,6 +560,9 @@ describe('JSONGenerator', () => {
         it('should populate if a primitive Long', () => {
             let field = {
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return true;},
                 'getType':function(){return 'Long';}
@@ -518,6 +581,9 @@ describe('JSONGenerator', () => {
         it('should populate if a primitive Long', () => {
             let field = {
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return true;},
                 'getType':function(){return 'Long';}
@@ -536,6 +602,9 @@ describe('JSONGenerator', () => {
         it('should populate if a primitive Boolean', () => {
             let field = {
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return true;},
                 'getType':function(){return 'Boolean';}
@@ -554,6 +623,9 @@ describe('JSONGenerator', () => {
         it('should populate if an Enum', () => {
             let field = {
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return false;},
                 'getType':function(){return 'String';}
@@ -573,6 +645,9 @@ describe('JSONGenerator', () => {
         it('should populate if an Enum (Ergo)', () => {
             let field = {
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return false;},
                 'getType':function(){return 'String';},
@@ -618,6 +693,10 @@ describe('JSONGenerator', () => {
             let field = {
                 'getName':function(){return 'vehicle';},
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
+                'getFullyQualifiedTypeArguments':function(){return null;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return false;},
                 'getParent':function(){return 'vehicle';},
@@ -651,6 +730,10 @@ describe('JSONGenerator', () => {
             let field = {
                 'getName':function(){return 'vehicle';},
                 'isArray':function(){return false;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
+                'getFullyQualifiedTypeArguments':function(){return null;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return false;},
                 'getParent':function(){return 'vehicle';},
@@ -684,6 +767,9 @@ describe('JSONGenerator', () => {
         it('should populate an array if array contains primitives', () => {
             let field = {
                 'isArray':function(){return true;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return true;},
                 'getType':function(){return 'String';}
@@ -705,6 +791,9 @@ describe('JSONGenerator', () => {
             let field = {
                 'getName':function(){return 'vehicle';},
                 'isArray':function(){return true;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return false;},
                 'getParent':function(){return 'vehicle';},
@@ -731,6 +820,10 @@ describe('JSONGenerator', () => {
             let field = {
                 'getName':function(){return 'vehicle';},
                 'isArray':function(){return true;},
+                'isMap':function(){return false;},
+                'getResolvedField':function(){return this;},
+                'isTypeParameter':function(){return false;},
+                'getFullyQualifiedTypeArguments':function(){return null;},
                 'isOptional':function(){return false;},
                 'isPrimitive':function(){return false;},
                 'getParent':function(){return 'vehicle';},
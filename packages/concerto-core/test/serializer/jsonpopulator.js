@@ -150,6 +150,61 @@ describe('JSONPopulator', () => {
             }).should.throw(ValidationException, /Expected value "abc" to be of type DateTime/);
         });
 
+        it('should convert to dates from ISO 8601 calendar dates', () => {
+            let field = sinon.createStubInstance(Field);
+            field.getType.returns('Date');
+            let value = jsonPopulator.convertToObject(field, '1999-12-31');
+            value.format('YYYY-MM-DD').should.equal('1999-12-31');
+            value.utcOffset().should.equal(0);
+            jsonPopulator.convertToObject(field, value).should.equal(value);
+        });
+
+        it('should not convert to dates from date times or invalid dates', () => {
+            let field = sinon.createStubInstance(Field);
+            field.getType.returns('Date');
+            (() => {
+                jsonPopulator.convertToObject(field, '1999-12-31T00:00:00Z');
+            }).should.throw(ValidationException, /Expected value "1999-12-31T00:00:00Z" to be of type Date/);
+            (() => {
+                jsonPopulator.convertToObject(field, '2021-02-30');
+            }).should.throw(ValidationException, /Expected value "2021-02-30" to be of type Date/);
+        });
+
+        it('should convert to times from ISO 8601 times', () => {
+            let field = sinon.createStubInstance(Field);
+            field.getType.returns('Time');
+            let value = jsonPopulator.convertToObject(field, '13:45:30.250');
+            value.format('HH:mm:ss.SSS').should.equal('13:45:30.250');
+            jsonPopulator.convertToObject(field, value).should.equal(value);
+        });
+
+        it('should not convert to times from invalid times', () => {
+            let field = sinon.createStubInstance(Field);
+            field.getType.returns('Time');
+            (() => {
+                jsonPopulator.convertToObject(field, '25:00');
+            }).should.throw(ValidationException, /Expected value "25:00" to be of type Time/);
+            (() => {
+                jsonPopulator.convertToObject(field, 1234);
+            }).should.throw(ValidationException, /Expected value 1234 to be of type Time/);
+        });
+
+        it('should convert to durations from ISO 8601 durations', () => {
+            let field = sinon.createStubInstance(Field);
+            field.getType.returns('Duration');
+            let value = jsonPopulator.convertToObject(field, 'P1DT12H');
+            value.asHours().should.equal(36);
+            jsonPopulator.convertToObject(field, value).should.equal(value);
+        });
+
+        it('should not convert to durations from invalid durations', () => {
+            let field = sinon.createStubInstance(Field);
+            field.getType.returns('Duration');
+            (() => {
+                jsonPopulator.convertToObject(field, '36 hours');
+            }).should.throw(ValidationException, /Expected value "36 hours" to be of type Duration/);
+        });
+
         it('should not convert to integers from strings', () => {
             let field = sinon.createStubInstance(Field);
             field.getType.returns('Integer');
@@ -183,12 +238,20 @@ describe('JSONPopulator', () => {
             value.should.equal(32768);
         });
 
-        it('should not convert to longs from strings', () => {
+        it('should not convert to longs from strings that are not integers', () => {
             let field = sinon.createStubInstance(Field);
             field.getType.returns('Long');
             (() => {
-                jsonPopulator.convertToObject(field, '32768');
-            }).should.throw(ValidationException, /Expected value "32768" to be of type Long/);
+                jsonPopulator.convertToObject(field, '32.768');
+            }).should.throw(ValidationException, /Expected value "32.768" to be of type Long/);
+        });
+
+        it('should convert to longs from strings of digits', () => {
+            let field = sinon.createStubInstance(Field);
+            field.getType.returns('Long');
+            jsonPopulator.convertToObject(field, '32768').should.equal(32768);
+            jsonPopulator.convertToObject(field, '-9007199254740993').should.equal(-9007199254740993n);
+            ergoJsonPopulator.convertToObject(field, {'$nat':'9007199254740993'}).should.equal(9007199254740993n);
         });
 
         it('should not convert to long from null', () => {
@@ -216,6 +279,14 @@ describe('JSONPopulator', () => {
             value.should.equal(32768);
         });
 
+        it('should not convert to longs from numbers outside the safe integer range', () => {
+            let field = sinon.createStubInstance(Field);
+            field.getType.returns('Long');
+            (() => {
+                jsonPopulator.convertToObject(field, 9007199254740993);
+            }).should.throw(ValidationException, /Expected value 9007199254740992 of type Long to be a safe integer, larger values must be given as a string/);
+        });
+
         it('should not convert to longs from numbers that are not integers', () => {
             let field = sinon.createStubInstance(Field);
             field.getType.returns('Long');
@@ -224,6 +295,35 @@ describe('JSONPopulator', () => {
             }).should.throw(ValidationException, /Expected value 32.768 to be of type Long/);
         });
 
+        it('should convert to decimals from decimal strings', () => {
+            let field = sinon.createStubInstance(Field);
+            field.getType.returns('Decimal');
+            field.getScale.returns(null);
+            jsonPopulator.convertToObject(field, '-1234.50').should.equal('-1234.50');
+        });
+
+        it('should convert to decimals with the scale of the field', () => {
+            let field = sinon.createStubInstance(Field);
+            field.getType.returns('Decimal');
+            field.getScale.returns(2);
+            jsonPopulator.convertToObject(field, '-1234.5').should.equal('-1234.50');
+            jsonPopulator.convertToObject(field, '1234.500').should.equal('1234.50');
+            (() => {
+                jsonPopulator.convertToObject(field, '1234.505');
+            }).should.throw(ValidationException, /Expected value "1234.505" of type Decimal to have at most 2 decimal places/);
+        });
+
+        it('should not convert to decimals from numbers', () => {
+            let field = sinon.createStubInstance(Field);
+            field.getType.returns('Decimal');
+            (() => {
+                jsonPopulator.convertToObject(field, 32.768);
+            }).should.throw(ValidationException, /Expected value 32.768 to be of type Decimal/);
+            (() => {
+                jsonPopulator.convertToObject(field, '1e3');
+            }).should.throw(ValidationException, /Expected value "1e3" to be of type Decimal/);
+        });
+
         it('should not convert to doubles from strings', () => {
             let field = sinon.createStubInstance(Field);
             field.getType.returns('Double');
@@ -36,6 +36,21 @@ describe('ObjectValidator', function () {
             o String brand
         }
 
+        concept Box<T> {
+            o T content
+        }
+
+        concept Loan {
+            o String kind
+            o Double rate optional
+            o DateTime startDate
+            o DateTime endDate
+            o Wheel collateral optional
+            invariant endAfterStart: endDate > startDate
+            invariant rateForLoans: kind != "LOAN" || rate != null
+            invariant michelinOnly: collateral == null || collateral.brand == "Michelin"
+        }
+
         participant Person identified by email {
             o String email
         }
@@ -44,10 +59,12 @@ describe('ObjectValidator', function () {
             o String name
         }
 
+        scalar Sku extends String regex=/^[A-Z]+-[0-9]+$/ length=[3,8]
+
         enum TestEnum {
             o ONE
-            o TWO
-            o THREE
+            o TWO = "T2"
+            o THREE = 3
         }
 
         concept Vehicle {
@@ -58,10 +75,25 @@ describe('ObjectValidator', function () {
             o Boolean booleanProperty optional
             o DateTime dateTimeProperty optional
             o String validatedStringProperty regex=/good/ optional
+            o String code length=[2,4] optional
+            o Long serialNumber optional
+            o Decimal price optional
+            o Decimal discount scale=2 optional
+            o Date registered optional
+            o Time serviceTime optional
+            o Duration warranty optional
+            o String[..2] tags optional
+            o TestEnum[1..] grades optional
+            --> Person[1..2] drivers optional
             o Person owner optional
             --> Person[] previousOwners optional
             o TestEnum[] testEnums optional
             --> Person lastOwner optional
+            o Map<String, Wheel> spareWheels optional
+            o Map<TestEnum, Integer> counts optional
+            o Map<String, TestEnum> ratings optional
+            o Map<Sku, Integer> stock optional
+            o Box<Wheel> boxedWheel optional
         }
         `, 'test.cto');
     });
@@ -108,6 +140,487 @@ describe('ObjectValidator', function () {
             parameters.stack = new TypedStack(data);
             objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
         });
+
+        it('should accept the codes of enum values with the acceptEnumCodes option', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                testEnums : ['ONE', 'T2', 3]
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+            new ObjectValidator(concerto, { acceptEnumCodes: true }).visit(concerto.getTypeDeclaration(data), parameters);
+        });
+
+        it('should fail for the codes of enum values without the acceptEnumCodes option', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                testEnums : ['T2']
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/invalid enum value T2 for field TestEnum/);
+        });
+    });
+
+    describe('#checkNumbers', () => {
+        it('should pass', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                serialNumber : '9007199254740993',
+                price : '19999.99'
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+            objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+        });
+
+        it('should fail if a Long is not an integer', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                serialNumber : 'ABC'
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/field serialNumber has value "ABC" \(string\) expected type Long/);
+        });
+
+        it('should fail if a Long is a number outside the safe integer range', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                serialNumber : 9007199254740993
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/field serialNumber has value 9007199254740992 \(number\) expected type Long/);
+        });
+
+        it('should fail if a Decimal is not a decimal string', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                price : 19999.99
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/field price has value 19999.99 \(number\) expected type Decimal/);
+        });
+
+        it('should fail if a Decimal has more decimal places than its scale', () => {
+            const parameters = {};
+            parameters.stack = new TypedStack({ $class : 'test.Vehicle', discount : '10.50' });
+            objectValidator.visit(concerto.getTypeDeclaration({ $class : 'test.Vehicle' }), parameters);
+
+            const data = {
+                $class : 'test.Vehicle',
+                discount : '10.505'
+            };
+            parameters.stack = new TypedStack(data);
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/field discount has value "10.505" \(string\) expected type Decimal/);
+        });
+    });
+
+    describe('#checkTemporal', () => {
+        it('should pass', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                registered : '2019-06-30',
+                serviceTime : '08:30:00',
+                warranty : 'P3Y'
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+            objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+        });
+
+        it('should fail if a Date has a time', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                registered : '2019-06-30T00:00:00Z'
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/field registered has value "2019-06-30T00:00:00Z" \(string\) expected type Date/);
+        });
+
+        it('should fail if a Time is not a time of day', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                serviceTime : '8.30am'
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/field serviceTime has value "8.30am" \(string\) expected type Time/);
+        });
+
+        it('should fail if a Duration is not an ISO 8601 duration', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                warranty : 3
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/field warranty has value 3 \(number\) expected type Duration/);
+        });
+    });
+
+    describe('#checkArraySize', () => {
+        it('should pass', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                tags : ['fast', 'red'],
+                grades : ['ONE'],
+                drivers : ['resource:test.Person#alice@example.com']
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+            objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+        });
+
+        it('should fail if an array has too many items', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                tags : ['fast', 'red', 'new']
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/invalid number of items 3 for field tags, expected a number of items in the range \[..2\]/);
+        });
+
+        it('should fail if an array of enumerated values has too few items', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                grades : []
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/invalid number of items 0 for field grades, expected a number of items in the range \[1..\]/);
+        });
+
+        it('should fail if an array of relationships has too few items', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                drivers : []
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/invalid number of items 0 for field drivers, expected a number of items in the range \[1..2\]/);
+        });
+    });
+
+    describe('#checkStringLength', () => {
+        it('should pass', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                code : 'ABC'
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+            objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+        });
+
+        it('should fail if a string is too long', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                code : 'ABCDE'
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/invalid value ABCDE of length 5 for field code, expected a length in the range \[2,4\]/);
+        });
+
+        it('should fail if a string is too short', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                code : 'A'
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/invalid value A of length 1 for field code, expected a length in the range \[2,4\]/);
+        });
+    });
+
+    describe('#checkMap', () => {
+        it('should pass', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                spareWheels : {
+                    front: {
+                        $class : 'test.Wheel',
+                        brand : 'Michelin'
+                    }
+                },
+                counts : {
+                    ONE: 1,
+                    THREE: 3
+                },
+                ratings : {
+                    comfort: 'TWO'
+                }
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+            objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+        });
+
+        it('should fail if instance is not an object', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                counts : [1, 2]
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/field counts has value \[1,2\] \(object\) expected type Map<TestEnum, Integer>/);
+        });
+
+        it('should fail if a key is not a value of the key enum', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                counts : {
+                    FOUR: 4
+                }
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/invalid map key FOUR for field counts, expected a value of TestEnum/);
+        });
+
+        it('should accept the keys of a scalar keyed map that match the scalar', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                stock : {
+                    'AB-1': 4,
+                    'XYZ-123': 0
+                }
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+            objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+        });
+
+        it('should fail if a key does not match the regex of the key scalar', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                stock : {
+                    'ab-1': 4
+                }
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/invalid map key ab-1 for field stock, expected a value of Sku/);
+        });
+
+        it('should fail if a key does not have the length of the key scalar', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                stock : {
+                    'ABCDEF-12': 4
+                }
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/invalid map key ABCDEF-12 for field stock, expected a value of Sku/);
+        });
+
+        it('should fail if a value has the wrong type', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                counts : {
+                    ONE: 'one'
+                }
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/field counts has value "one" \(string\) expected type Map<TestEnum, Integer>/);
+        });
+
+        it('should fail if a value is not a value of the value enum', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                ratings : {
+                    comfort: 'FOUR'
+                }
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/invalid enum value FOUR for field TestEnum/);
+        });
+
+        it('should accept the codes of enum values as keys and values with the acceptEnumCodes option', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                counts : {
+                    T2: 1,
+                    3: 2
+                },
+                ratings : {
+                    comfort: 3
+                }
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+            new ObjectValidator(concerto, { acceptEnumCodes: true }).visit(concerto.getTypeDeclaration(data), parameters);
+
+            parameters.stack = new TypedStack(data);
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/invalid map key (T2|3) for field counts, expected a value of TestEnum/);
+        });
+
+        it('should fail if a concept value has the wrong type', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                spareWheels : {
+                    front: {
+                        $class : 'test.Manager',
+                        name : 'Dan'
+                    }
+                }
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/with type test.Manager that is not derived from test.Wheel/);
+        });
+    });
+
+    describe('#checkTypeParameter', () => {
+        it('should pass for a value of the type bound to a type parameter', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                boxedWheel : {
+                    $class : 'test.Box',
+                    content : {
+                        $class : 'test.Wheel',
+                        brand : 'Michelin'
+                    }
+                }
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+            objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+        });
+
+        it('should fail for a value that is not of the type bound to a type parameter', () => {
+            const data = {
+                $class : 'test.Vehicle',
+                boxedWheel : {
+                    $class : 'test.Box',
+                    content : {
+                        $class : 'test.Manager',
+                        name : 'Alice'
+                    }
+                }
+            };
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/property content with type test.Manager that is not derived from test.Wheel/);
+        });
+    });
+
+    describe('#checkInvariants', () => {
+        const loan = {
+            $class : 'test.Loan',
+            kind : 'GRANT',
+            startDate : '2020-01-01T00:00:00Z',
+            endDate : '2021-01-01T00:00:00Z'
+        };
+
+        it('should pass for an instance that satisfies the invariants of its class', () => {
+            const data = Object.assign({}, loan, { kind : 'LOAN', rate : 0.05, collateral : { $class : 'test.Wheel', brand : 'Michelin' } });
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+            objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+        });
+
+        it('should fail for an instance that violates an invariant comparing date times', () => {
+            const data = Object.assign({}, loan, { endDate : '2019-01-01T00:00:00Z' });
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/violates the invariant endAfterStart of test.Loan: endDate > startDate/);
+        });
+
+        it('should fail for an instance that violates an invariant with an absent property', () => {
+            const data = Object.assign({}, loan, { kind : 'LOAN' });
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/violates the invariant rateForLoans of test.Loan: kind != "LOAN" \|\| rate != null/);
+        });
+
+        it('should fail for an instance that violates an invariant of a nested property', () => {
+            const data = Object.assign({}, loan, { collateral : { $class : 'test.Wheel', brand : 'Pirelli' } });
+            const parameters = {};
+            parameters.stack = new TypedStack(data);
+
+            (function () {
+                objectValidator.visit(concerto.getTypeDeclaration(data), parameters);
+            }).should.throw(/violates the invariant michelinOnly of test.Loan/);
+        });
     });
 
     describe('#checkItem', () => {
@@ -27,7 +27,9 @@ const ClassDeclaration = require('../../lib/introspect/classdeclaration');
 const Util = require('../composer/composermodelutility');
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
+const duration = require('dayjs/plugin/duration');
 dayjs.extend(utc);
+dayjs.extend(duration);
 
 const sinon = require('sinon');
 const chai = require('chai');
@@ -76,6 +78,7 @@ describe('ResourceValidator', function () {
     asset Vehicle extends Base  {
       o Integer numberOfWheels
       o Double milage
+      invariant positiveWheels: numberOfWheels > 0
     }
     participant PrivateOwner extends Person {
       o String employeeId
@@ -86,6 +89,7 @@ describe('ResourceValidator', function () {
     import org.acme.l2.Vehicle
     import org.acme.l1.VehicleType
     import org.acme.l1.Person
+    scalar Plate extends String regex=/^[A-Z0-9]+$/ length=[2,8]
     concept TestConcept {
       o String name
     }
@@ -97,6 +101,21 @@ describe('ResourceValidator', function () {
       --> Person[] owners optional
       o Person[] containment optional
       o Person singlePerson optional
+      o Map<String, Person> contacts optional
+      o Map<VehicleType, String> registrations optional
+      o Map<Plate, String> ownerNames optional
+      o String plate length=[,8] optional
+      o String[] nicknames length=[1,] optional
+      o Long odometer optional
+      o Decimal price optional
+      o Decimal discount scale=2 optional
+      o Date registered optional
+      o Duration warranty optional
+      o String[1..3] drivers optional
+      o VehicleType[..1] classes optional
+      --> Person[..1] keyHolders optional
+      o Date delivered optional
+      invariant deliveredOnceRegistered: delivered >= registered
     }`;
 
     const abstractLevelThreeModel = `namespace org.acme.l3
@@ -308,8 +327,237 @@ describe('ResourceValidator', function () {
             field.accept(resourceValidator,parameters);
         });
 
+        it('should allow assigning a map of resources', function () {
+            const employee = factory.newResource('org.acme.l1', 'Employee', 'DAN');
+            const typedStack = new TypedStack( { manager: employee } );
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('contacts');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+            field.accept(resourceValidator,parameters );
+        });
+
+        it('should detect assigning an incompatible resource type to a map', function () {
+            const base = factory.newResource('org.acme.l1', 'Base', 'DAN');
+            const typedStack = new TypedStack( { manager: base } );
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('contacts');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Instance TEST has property contacts with type org.acme.l1.Base that is not derived from org.acme.l1.Person/);
+        });
+
+        it('should detect using an array for a map field', function () {
+            const typedStack = new TypedStack( ['FOO'] );
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('registrations');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Model violation in instance TEST field registrations has value \["FOO"\] \(object\) expected type Map<VehicleType, String>/);
+        });
+
+        it('should detect an invalid key for an enum keyed map', function () {
+            const typedStack = new TypedStack( { CAR: 'ABC123', BOAT: 'XYZ' } );
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('registrations');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Instance TEST invalid map key BOAT for field registrations, expected a value of VehicleType/);
+        });
+
+        it('should detect an invalid key for a scalar keyed map', function () {
+            const typedStack = new TypedStack( { AB123: 'Alice', X: 'Bob' } );
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('ownerNames');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Instance TEST invalid map key X for field ownerNames, expected a value of Plate/);
+
+            parameters.stack = new TypedStack( { 'ab-12': 'Carol' } );
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Instance TEST invalid map key ab-12 for field ownerNames, expected a value of Plate/);
+        });
+
+        it('should detect an invalid value for an enum keyed map', function () {
+            const typedStack = new TypedStack( { CAR: 1 } );
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('registrations');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Model violation in instance TEST field registrations has value 1 \(number\) expected type Map<VehicleType, String>/);
+        });
+
+        it('should allow a string with a valid length', function () {
+            const typedStack = new TypedStack('AB12CDE');
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('plate');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+            field.accept(resourceValidator,parameters );
+        });
+
+        it('should detect a string longer than the maximum length', function () {
+            const typedStack = new TypedStack('AB12CDE-XYZ');
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('plate');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Instance TEST invalid value AB12CDE-XYZ of length 11 for field plate, expected a length in the range \[,8\]/);
+        });
+
+        it('should detect a string shorter than the minimum length in an array', function () {
+            const typedStack = new TypedStack(['Herbie', '']);
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('nicknames');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Instance TEST invalid value {2}of length 0 for field nicknames, expected a length in the range \[1,\]/);
+        });
+
+        it('should allow an array with a valid number of items', function () {
+            const typedStack = new TypedStack(['Alice', 'Bob']);
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('drivers');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+            field.accept(resourceValidator,parameters );
+        });
+
+        it('should detect an array with too few items', function () {
+            const typedStack = new TypedStack([]);
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('drivers');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Instance TEST invalid number of items 0 for field drivers, expected a number of items in the range \[1..3\]/);
+        });
+
+        it('should detect an array of enumerated values with too many items', function () {
+            const typedStack = new TypedStack(['CAR', 'CAR']);
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('classes');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Instance TEST invalid number of items 2 for field classes, expected a number of items in the range \[..1\]/);
+        });
+
+        it('should detect an array of relationships with too many items', function () {
+            const typedStack = new TypedStack([
+                factory.newRelationship('org.acme.l1', 'Person', 'alice'),
+                factory.newRelationship('org.acme.l1', 'Person', 'bob')
+            ]);
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const relationship = vehicleDeclaration.getProperty('keyHolders');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                relationship.accept(resourceValidator,parameters );
+            }).should.throw(/Instance TEST invalid number of items 2 for field keyHolders, expected a number of items in the range \[..1\]/);
+        });
+
+        it('should allow a Long held as a BigInt', function () {
+            const typedStack = new TypedStack(9007199254740993n);
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('odometer');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+            field.accept(resourceValidator,parameters );
+        });
+
+        it('should detect using a string for a Long field', function () {
+            const typedStack = new TypedStack('42');
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('odometer');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Model violation in instance TEST field odometer has value "42" \(string\) expected type Long/);
+        });
+
+        it('should allow a decimal string for a Decimal field', function () {
+            const typedStack = new TypedStack('19999.99');
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('price');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+            field.accept(resourceValidator,parameters );
+        });
+
+        it('should detect using a number for a Decimal field', function () {
+            const typedStack = new TypedStack(19999.99);
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('price');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Model violation in instance TEST field price has value 19999.99 \(number\) expected type Decimal/);
+        });
+
+        it('should detect a decimal string with more decimal places than the scale of a Decimal field', function () {
+            const field = modelManager.getType('org.acme.l3.Car').getProperty('discount');
+            field.accept(resourceValidator, { stack : new TypedStack('10.5'), 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' });
+
+            (function () {
+                field.accept(resourceValidator, { stack : new TypedStack('10.505'), 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' });
+            }).should.throw(/Model violation in instance TEST field discount has value "10.505" \(string\) expected type Decimal/);
+        });
+
+        it('should allow a date object for a Date field', function () {
+            const typedStack = new TypedStack(dayjs.utc('2019-06-30'));
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('registered');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+            field.accept(resourceValidator,parameters );
+        });
+
+        it('should detect using a string for a Date field', function () {
+            const typedStack = new TypedStack('2019-06-30');
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('registered');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Model violation in instance TEST field registered has value "2019-06-30" \(string\) expected type Date/);
+        });
+
+        it('should allow a duration object for a Duration field', function () {
+            const typedStack = new TypedStack(dayjs.duration(3, 'years'));
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('warranty');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+            field.accept(resourceValidator,parameters );
+        });
+
+        it('should detect using a date object for a Duration field', function () {
+            const typedStack = new TypedStack(dayjs.utc('2019-06-30'));
+            const vehicleDeclaration = modelManager.getType('org.acme.l3.Car');
+            const field = vehicleDeclaration.getProperty('warranty');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'TEST' };
+
+            (function () {
+                field.accept(resourceValidator,parameters );
+            }).should.throw(/Model violation in instance TEST field warranty has value .* expected type Duration/);
+        });
+
         it('should throw if dataType is undefined', () => {
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField.getName.returns('propName');
             (() => {
                 resourceValidator.visitField(mockField, {stack: {pop: () => {return undefined;}}});
@@ -435,6 +683,50 @@ describe('ResourceValidator', function () {
             }).should.throw(/Model violation in instance org.acme.l3.Car#42 field milage has value NaN/);
         });
 
+        it('should accept an instance that satisfies the invariants of its class and super types', function () {
+            const vehicle = factory.newResource('org.acme.l3', 'Car', '42');
+            vehicle.model = 'Ford';
+            vehicle.numberOfWheels = 4;
+            vehicle.milage = 3.14;
+            vehicle.registered = dayjs.utc('2019-06-30');
+            vehicle.delivered = dayjs.utc('2019-07-01');
+            const typedStack = new TypedStack(vehicle);
+            const assetDeclaration = modelManager.getType('org.acme.l3.Car');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'ABC' };
+
+            assetDeclaration.accept(resourceValidator,parameters);
+        });
+
+        it('should detect an instance that violates an invariant of a super type', function () {
+            const vehicle = factory.newResource('org.acme.l3', 'Car', '42');
+            vehicle.model = 'Ford';
+            vehicle.numberOfWheels = 0;
+            vehicle.milage = 3.14;
+            const typedStack = new TypedStack(vehicle);
+            const assetDeclaration = modelManager.getType('org.acme.l3.Car');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'ABC' };
+
+            (() => {
+                assetDeclaration.accept(resourceValidator,parameters);
+            }).should.throw(/Instance org.acme.l3.Car#42 violates the invariant positiveWheels of org.acme.l2.Vehicle: numberOfWheels > 0/);
+        });
+
+        it('should detect an instance that violates an invariant comparing dates', function () {
+            const vehicle = factory.newResource('org.acme.l3', 'Car', '42');
+            vehicle.model = 'Ford';
+            vehicle.numberOfWheels = 4;
+            vehicle.milage = 3.14;
+            vehicle.registered = dayjs.utc('2019-06-30');
+            vehicle.delivered = dayjs.utc('2019-06-29');
+            const typedStack = new TypedStack(vehicle);
+            const assetDeclaration = modelManager.getType('org.acme.l3.Car');
+            const parameters = { stack : typedStack, 'modelManager' : modelManager, rootResourceIdentifier : 'ABC' };
+
+            (() => {
+                assetDeclaration.accept(resourceValidator,parameters);
+            }).should.throw(/violates the invariant deliveredOnceRegistered of org.acme.l3.Car: delivered >= registered/);
+        });
+
         it('should report undeclared field if not identifiable', () => {
             const data = factory.newConcept('org.acme.l1', 'Data');
             data.name = 'name';
@@ -512,7 +804,7 @@ describe('ResourceValidator', function () {
             mockResource = sinon.createStubInstance(Resource);
             mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
             mockClassDeclaration.isConcept.returns(false);
-            mockClassDeclaration.getIdentifierFieldName.returns('$identifier');
+            mockClassDeclaration.isIdentified.returns(true);
             parameters = {rootResourceIdentifier: 'identifier', modelManager: {getType: () => {return mockClassDeclaration;}}};
             sandbox.stub(ModelUtil, 'isAssignableTo').returns(true);
         });
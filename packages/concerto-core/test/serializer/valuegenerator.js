@@ -46,6 +46,18 @@ describe('ValueGenerator', function() {
             assertFunctionReturnsType('getDateTime', 'Object');
         });
 
+        it('getDate should return a Date', function() {
+            assertFunctionReturnsType('getDate', 'Object');
+        });
+
+        it('getTime should return a Time', function() {
+            assertFunctionReturnsType('getTime', 'Object');
+        });
+
+        it('getDuration should return a Duration', function() {
+            assertFunctionReturnsType('getDuration', 'Object');
+        });
+
         it('getInteger should return a number', function() {
             assertFunctionReturnsType('getInteger', 'number');
         });
@@ -58,6 +70,10 @@ describe('ValueGenerator', function() {
             assertFunctionReturnsType('getDouble', 'number');
         });
 
+        it('getDecimal should return a decimal string', function() {
+            assertFunctionReturnsType('getDecimal', 'string');
+        });
+
         it('getBoolean should return a boolean', function() {
             assertFunctionReturnsType('getBoolean', 'boolean');
         });
@@ -87,6 +103,16 @@ describe('ValueGenerator', function() {
             expect(output).to.be.a('Array').that.is.empty;
         });
 
+        it('getArray should return an array with the minimum number of items', function() {
+            const output = ValueGeneratorFactory.empty().getArray(() => '', 2, 10);
+            expect(output).to.be.a('Array').and.deep.equal(['', '']);
+        });
+
+        it('getString should return a string of the minimum length', function() {
+            expect(ValueGeneratorFactory.empty().getString(3, 5)).to.equal('   ');
+            expect(ValueGeneratorFactory.empty().getString(null, 5)).to.equal('');
+        });
+
         it('getRegex should return a string that matches the regex', function() {
             const regex = /\S+\.(zip|docx)$/;
             const output = ValueGeneratorFactory.empty().getRegex(regex);
@@ -145,6 +171,24 @@ describe('ValueGenerator', function() {
         });
     });
 
+    describe('Decimal values', function() {
+        it('getDecimal should return a decimal string', function() {
+            expect(ValueGeneratorFactory.empty().getDecimal()).to.equal('0.00');
+            expect(ValueGeneratorFactory.sample().getDecimal()).to.match(/^\d+\.\d{2}$/);
+        });
+
+        it('getRange should return a Decimal in range', function() {
+            const output = ValueGeneratorFactory.sample().getRange(0.5, 0.75, 'Decimal');
+            expect(output).to.match(/^\d+\.\d{2}$/);
+            expect(parseFloat(output)).to.be.at.least(0.5);
+            expect(parseFloat(output)).to.be.at.most(0.75);
+
+            const output2 = ValueGeneratorFactory.sample().getRange(null, -10, 'Decimal');
+            expect(parseFloat(output2)).to.be.at.least(-Math.pow(2, 16));
+            expect(parseFloat(output2)).to.be.at.most(-10);
+        });
+    });
+
     describe('SampleValueGenerator', function() {
         it('getEnum should return one of the input values', function() {
             const inputs = ['One', 'Two', 'Three'];
@@ -158,6 +202,20 @@ describe('ValueGenerator', function() {
             expect(output).to.be.a('Array').and.deep.equal([value]);
         });
 
+        it('getArray should return an array within the bounds on the number of items', function() {
+            const value = 'TEST_VALUE';
+            expect(ValueGeneratorFactory.sample().getArray(() => value, 3, 10)).to.deep.equal([value, value, value]);
+            expect(ValueGeneratorFactory.sample().getArray(() => value, null, 0)).to.deep.equal([]);
+        });
+
+        it('getString should return a string within the length bounds', function() {
+            const output = ValueGeneratorFactory.sample().getString(200, 210);
+            expect(output.length).to.be.within(200, 210);
+
+            const output2 = ValueGeneratorFactory.sample().getString(null, 2);
+            expect(output2.length).to.be.at.most(2);
+        });
+
         it('getRegex should return a string that matches the regex', function() {
             const regex = /\S+\.(zip|docx)$/;
             const output = ValueGeneratorFactory.sample().getRegex(regex);
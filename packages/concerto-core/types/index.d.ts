@@ -2,12 +2,14 @@ declare module '@accordproject/concerto-core' {
   // Exceptions
   interface FileLocation {
     start: {
-      line: string;
-      column: string;
+      offset?: number;
+      line: number;
+      column: number;
     }
     end: {
-      line: string;
-      column: string;
+      offset?: number;
+      line: number;
+      column: number;
     }
   }
 
@@ -16,14 +18,14 @@ declare module '@accordproject/concerto-core' {
   }
 
   export class BaseFileException extends BaseException {
-    constructor(message: string, fileLocation?: string, fullMessage?: string, fileName?: string, component?: string);
-    getFileLocation(): string | null;
+    constructor(message: string, fileLocation?: FileLocation, fullMessage?: string, fileName?: string, component?: string);
+    getFileLocation(): FileLocation | null;
     getShortMessage(): string;
     getFileName(): string | null;
   }
 
   export class ParseException extends BaseFileException {
-    constructor(message: string, fileLocation?: string, fileName?: string, fullMessageOverride?: string, component?: string);
+    constructor(message: string, fileLocation?: FileLocation, fileName?: string, fullMessageOverride?: string, component?: string);
   }
 
   export class SecurityException extends BaseException {
@@ -35,6 +37,11 @@ declare module '@accordproject/concerto-core' {
     getModelFile(): ModelFile | null;
   }
 
+  export class ModelValidationException extends IllegalModelException {
+    constructor(errors: Error[], component?: string);
+    getErrors(): Error[];
+  }
+
   export class TypeNotFoundException extends BaseException {
     constructor(typeName: string, message?: string, component?: string);
     getTypeName(): string;
@@ -49,6 +56,7 @@ declare module '@accordproject/concerto-core' {
     private validate(): void;
     getDecorators(): Decorator[];
     getDecorator(name: string): Decorator | null;
+    getDescription(): string | null;
   }
 
   export class Decorator {
@@ -56,6 +64,7 @@ declare module '@accordproject/concerto-core' {
     private accept(visitor: any, parameters: any): any;
     getParent(): ClassDeclaration | Property;
     private process(): void;
+    private processArgument(thing: any): any;
     private validate(): void;
     getName(): string;
     getArguments(): any[];
@@ -65,13 +74,27 @@ declare module '@accordproject/concerto-core' {
     abstract newDecorator(parent: ClassDeclaration | Property, ast: any): Decorator;
   }
 
+  export class DecoratorSchema {
+    constructor(name: string, options?: { targets?: string[]; arguments?: string[]; repeatable?: boolean });
+    getName(): string;
+    getTargets(): string[] | null;
+    isRepeatable(): boolean;
+    private validate(decorated: Decorated, decorator: Decorator): void;
+    private static getTargetKind(decorated: Decorated): string;
+    private static isTargetOfKind(target: string, kind: string): boolean;
+    private static isArgumentOfType(value: any, type: string): boolean;
+    static [Symbol.hasInstance](object: any): boolean;
+  }
+
   // ClassDeclarations
   export abstract class ClassDeclaration extends Decorated {
     constructor(modelFile: ModelFile, ast: any);
     private process(): void;
     private addTimestampField(): void;
     private addIdentifierField(): void;
+    private getClauseLocation(node?: any): FileLocation;
     _resolveSuperType(): ClassDeclaration | null;
+    private _resolveMixins(): ClassDeclaration[];
     private validate(): void;
     isAbstract(): boolean;
     isEnum(): boolean;
@@ -83,27 +106,58 @@ declare module '@accordproject/concerto-core' {
     isIdentified(): boolean;
     isSystemIdentified(): boolean;
     isExplicitlyIdentified(): boolean;
+    isCompositeIdentified(): boolean;
     getIdentifierFieldName(): string | null;
+    getIdentifierFieldNames(): string[];
     getOwnProperty(name: string): Property | null;
     getOwnProperties(): Property[];
     getSuperType(): string | null;
     getSuperTypeDeclaration(): ClassDeclaration | null;
+    isGeneric(): boolean;
+    getTypeParameters(): string[];
+    hasMixins(): boolean;
+    getMixins(): string[];
+    getMixinDeclarations(): ClassDeclaration[];
+    getMixinProperties(): Property[];
+    isMixedIn(): boolean;
     getAssignableClassDeclarations(): ClassDeclaration[];
     getAllSuperTypeDeclarations(): ClassDeclaration[];
     getProperty(name: string): Property | null;
     getProperties(): Property[];
+    getOwnInvariants(): Invariant[];
+    getInvariants(): Invariant[];
     getNestedProperty(propertyPath: string): Property;
     toString(): string;
     static [Symbol.hasInstance](object: any): boolean;
   }
 
+  export class Invariant {
+    constructor(parent: ClassDeclaration, ast: any);
+    getParent(): ClassDeclaration;
+    getName(): string;
+    getExpression(): string;
+    private validate(): void;
+    evaluate(obj: any): boolean;
+    private typeOf(node: any): string;
+    private resolvePath(path: string[]): string;
+    private evaluateNode(node: any, obj: any): any;
+    private evaluatePath(path: string[], obj: any): any;
+    private reportError(message: string): void;
+    toString(): string;
+    static [Symbol.hasInstance](object: any): boolean;
+  }
+
   export class IdentifiedDeclaration extends ClassDeclaration { }
 
   export class AssetDeclaration extends IdentifiedDeclaration { }
 
   export class ConceptDeclaration extends ClassDeclaration { }
 
-  export class EnumDeclaration extends ClassDeclaration { }
+  export class EnumDeclaration extends ClassDeclaration {
+    hasCodes(): boolean;
+    getPropertyByCode(code: string | number): EnumValueDeclaration | null;
+    getPropertyByNameOrCode(nameOrCode: string | number): EnumValueDeclaration | null;
+  }
 
   export class EventDeclaration extends IdentifiedDeclaration { }
 
@@ -111,33 +165,84 @@ declare module '@accordproject/concerto-core' {
 
   export class TransactionDeclaration extends IdentifiedDeclaration { }
 
+  export class ScalarDeclaration extends Decorated {
+    constructor(modelFile: ModelFile, ast: any);
+    private process(): void;
+    private validate(): void;
+    getName(): string;
+    getNamespace(): string;
+    getFullyQualifiedName(): string;
+    getType(): string;
+    getValidator(): string | null;
+    getLengthValidator(): StringLengthValidator | null;
+    getScale(): number | null;
+    getDefaultValue(): string | null;
+    isEnum(): boolean;
+    isConcept(): boolean;
+    toString(): string;
+    static [Symbol.hasInstance](object: any): boolean;
+  }
+
+  interface StringLengthValidator {
+    getMinLength(): number | null;
+    getMaxLength(): number | null;
+    isValidLength(value: string | null): boolean;
+  }
+
   // Properties
   export class Property extends Decorated {
     constructor(parent: ClassDeclaration, ast: any);
     getParent(): ClassDeclaration;
     private process(): void;
     private validate(classDecl?: ClassDeclaration): void;
+    private validateTypeArguments(classDecl: ClassDeclaration): void;
     getName(): string;
     getType(): string;
     isOptional(): boolean;
-    getFullyQualifiedTypeName(): string;
+    hasTypeArguments(): boolean;
+    getTypeArguments(): string[];
+    isTypeParameter(): boolean;
+    private isTypeParameterName(name: string): boolean;
+    getFullyQualifiedTypeName(typeArguments?: { [typeParameter: string]: string }): string;
+    getFullyQualifiedTypeArguments(typeArguments?: { [typeParameter: string]: string }): { [typeParameter: string]: string } | null;
     getFullyQualifiedName(): string;
     getNamespace(): string;
     isArray(): boolean;
+    getMinItems(): number | null;
+    getMaxItems(): number | null;
+    isMap(): boolean;
+    getMapKeyType(): string | null;
+    getFullyQualifiedMapKeyTypeName(): string | null;
+    isMapKeyTypeEnum(): boolean;
+    isMapKeyTypeScalar(): boolean;
     isTypeEnum(): boolean;
+    isTypeScalar(): boolean;
+    isTypeAliased(): boolean;
     isPrimitive(): boolean;
     static [Symbol.hasInstance](object: any): boolean;
   }
 
   export class Field extends Property {
     getValidator(): string | null;
+    getLengthValidator(): StringLengthValidator | null;
+    getScale(): number | null;
+    getScalarField(): Field;
+    getBoundField(typeArguments: { [typeParameter: string]: string }): Field;
+    getResolvedField(typeArguments: { [typeParameter: string]: string } | null): Field;
     getDefaultValue(): string | null;
     toString(): string;
   }
 
-  export class EnumValueDeclaration extends Property { }
+  export class EnumValueDeclaration extends Property {
+    getCode(): string | number | null;
+    hasCode(): boolean;
+  }
 
   export class RelationshipDeclaration extends Property {
+    private validateInverse(classDecl: ClassDeclaration, classDeclaration: ClassDeclaration): void;
+    getInverse(): string | null;
+    getInverseDeclaration(): RelationshipDeclaration | null;
+    getCardinality(): string;
     toString(): string;
   }
 
@@ -217,7 +322,7 @@ declare module '@accordproject/concerto-core' {
 
   export class Factory {
     constructor(modelManager: ModelManager);
-    newResource(ns: string, type: string, id: string, options?: NewResourceOptions): Resource;
+    newResource(ns: string, type: string, id: string | string[] | { [field: string]: string }, options?: NewResourceOptions): Resource;
     newConcept(ns: string, type: string, id: string, options?: NewConceptOptions): Resource;
     newRelationship(ns: string, type: string, id: string): Relationship;
     newTransaction(ns: string, type: string, id?: string, options?: NewTransactionOptions): Resource;
@@ -244,9 +349,47 @@ declare module '@accordproject/concerto-core' {
     private getModelManager(): ModelManager;
   }
 
+  // MetaModel
+  export class MetaModel {
+    static getMetaModelCto(): string;
+    private static fromAst(ast: any): object;
+    private static toAst(metaModel: object): any;
+  }
+
+  // ModelBuilder
+  export class ModelBuilder {
+    constructor(namespace: string, options?: { concertoVersion?: string });
+    static namespace(namespace: string, options?: { concertoVersion?: string }): ModelBuilder;
+    import(name: string, options?: { uri?: string; alias?: string; types?: (string | { name: string; alias?: string })[] }): ModelBuilder;
+    concept(name: string, options?: any): ModelBuilder;
+    asset(name: string, options?: any): ModelBuilder;
+    participant(name: string, options?: any): ModelBuilder;
+    transaction(name: string, options?: any): ModelBuilder;
+    event(name: string, options?: any): ModelBuilder;
+    enum(name: string, options?: { description?: string }): ModelBuilder;
+    value(name: string, options?: { code?: string | number; description?: string }): ModelBuilder;
+    scalar(name: string, type: string, options?: any): ModelBuilder;
+    field(name: string, type: string, options?: any): ModelBuilder;
+    relationship(name: string, type: string, options?: any): ModelBuilder;
+    map(name: string, keyType: string, valueType: string, options?: { optional?: boolean; description?: string }): ModelBuilder;
+    invariant(name: string, expression: string, options?: { description?: string }): ModelBuilder;
+    decorate(name: string, args?: any[]): ModelBuilder;
+    toMetamodel(): object;
+    build(modelManager: ModelManager, fileName?: string): ModelFile;
+    private classDeclaration(type: string, name: string, options?: any): object;
+    private addDeclaration(declaration: object, options?: any): object;
+    private getDeclaration(what: string, types?: string[]): object;
+    private addProperty(name: string, property: object, options: any): void;
+    private static constraints(element: object, type: string, options: any): object;
+    private static bounds($class: string, bounds: any[], lower: string, upper: string): object;
+    private static describe(element: object, options: any): object;
+    private static literal(arg: any): object;
+  }
+
   // ModelFile
   export class ModelFile {
-    constructor(modelManager: ModelManager, definitions: string, fileName?: string);
+    constructor(modelManager: ModelManager, definitions: string | object, fileName?: string, options?: { tolerant?: boolean });
+    getDiagnostics(): ParseException[];
     isSystemModelFile(): boolean;
     isExternal(): boolean;
     private getImportURI(namespace: string): string | null;
@@ -254,20 +397,25 @@ declare module '@accordproject/concerto-core' {
     private accept(visitor: any, parameters: any): any;
     getModelManager(): ModelManager;
     getImports(): string[];
+    getImportAliases(): { [alias: string]: string };
+    private isImportAlias(type: string): boolean;
     private validate(): void;
     private resolveType(context: string, type: string, fileLocation: FileLocation): void;
+    private resolveTypeReference(type: string): string | null;
     private isLocalType(type: string): boolean;
     private isImportedType(type: string): boolean;
-    private resolveImport(type: string): string;
+    private resolveImport(type: string, fileLocation?: FileLocation): string;
     isDefined(type: string): boolean;
     private getType(type: string): string | ClassDeclaration;
     private getFullyQualifiedTypeName(type: string): string;
-    getLocalType(type: string): ClassDeclaration | null;
+    private getExternalType(type: string): ClassDeclaration | ScalarDeclaration | null;
+    getLocalType(type: string): ClassDeclaration | ScalarDeclaration | null;
     getAssetDeclaration(name: string): AssetDeclaration | null;
     getTransactionDeclaration(name: string): TransactionDeclaration | null;
     getEventDeclaration(name: string): EventDeclaration | null;
     getParticipantDeclaration(name: string): ParticipantDeclaration | null;
     getNamespace(): string;
+    getVersion(): string | null;
     getName(): string;
     getAssetDeclarations(): AssetDeclaration[];
     getTransactionDeclarations(): TransactionDeclaration[];
@@ -276,8 +424,13 @@ declare module '@accordproject/concerto-core' {
     getConceptDeclarations(): ConceptDeclaration[];
     getEnumDeclarations(): EnumDeclaration[];
     getDeclarations(type: (...params: any[]) => any): ClassDeclaration[];
+    getScalarDeclarations(): ScalarDeclaration[];
+    getDecoratorSchemas(): DecoratorSchema[];
     getAllDeclarations(): ClassDeclaration[];
     getDefinitions(): string;
+    toMetamodel(): object;
+    toCTO(): string;
+    getUnprintedComments(): any[];
     getConcertoVersion(): string;
     static [Symbol.hasInstance](object: any): boolean;
   }
@@ -293,6 +446,7 @@ declare module '@accordproject/concerto-core' {
     private addRootModel(): void;
     accept(visitor: any, parameters: any): any;
     validateModelFile(modelFile: string, fileName?: string): void;
+    private newModelFile(definitions: string, fileName?: string): ModelFile;
     private _throwAlreadyExists(modelFile: ModelFile): void;
     addModelFile(modelFile: string, fileName?: string, disableValidation?: boolean): any;
     updateModelFile(modelFile: string, fileName?: string, disableValidation?: boolean): any;
@@ -302,13 +456,17 @@ declare module '@accordproject/concerto-core' {
     updateExternalModels(options?: any, modelFileDownloader?: ModelFileDownloader): Promise<ModelFile[]>;
     writeModelsToFileSystem(path: string, options?: IncludeModelsOptions): void;
     private getModelFiles(): ModelFile[];
+    getDiagnostics(): ParseException[];
     private getSystemModelFiles(): ModelFile[];
     getModels(options?: IncludeModelsOptions): { name: string; content: string }[];
-    private resolveType(context: string, type: string): string;
+    toMetamodel(): object;
+    private resolveType(context: string, type: string, modelFile?: ModelFile, fileLocation?: FileLocation): string;
     clearModelFiles(): void;
     getModelFile(namespace: string): ModelFile | null;
     private getModelFileByFileName(fileName: string): ModelFile | null;
     getNamespaces(): string[];
+    getNamespaceVersions(namespace: string): string[];
+    getDependencyGraph(): DependencyGraph;
     getType(qualifiedName: string): ClassDeclaration;
     getSystemTypes(): ClassDeclaration[];
     getAssetDeclarations(): AssetDeclaration[];
@@ -321,10 +479,120 @@ declare module '@accordproject/concerto-core' {
     getSerializer(): Serializer;
     getDecoratorFactories(): DecoratorFactory[];
     addDecoratorFactory(factory: DecoratorFactory): void;
+    getDecoratorSchemas(): DecoratorSchema[];
+    getDecoratorSchema(name: string): DecoratorSchema | null;
+    addDecoratorSchema(schema: DecoratorSchema): void;
     derivesFrom(fqt1: string, fqt2: string): boolean;
     static [Symbol.hasInstance](object: any): boolean;
   }
 
+  // DependencyGraph
+  export interface DependencyEdge {
+    from: string;
+    to: string;
+    type: 'import' | 'extends' | 'field' | 'relationship';
+    source: string;
+    target: string;
+  }
+
+  export class DependencyGraph {
+    private constructor(modelManager: ModelManager);
+    private namespaces: string[];
+    private edges: DependencyEdge[];
+    private dependencies: Map<string, Set<string>>;
+    getNamespaces(): string[];
+    getEdges(): DependencyEdge[];
+    getDependencies(namespace: string, transitive?: boolean): string[];
+    getDependents(namespace: string, transitive?: boolean): string[];
+    dependsOn(namespace: string, other: string): boolean;
+    getCycles(): string[][];
+    hasCycles(): boolean;
+    getTopologicalOrder(): string[];
+    toDOT(): string;
+    toMermaid(): string;
+    private getNamespaceEdges(): { from: string; to: string; types: string[] }[];
+    private reach(namespace: string, next: (namespace: string) => string[], transitive?: boolean): string[];
+    private checkNamespace(namespace: string): void;
+    private addNamespace(namespace: string): void;
+    private addModelFile(modelFile: ModelFile): void;
+    private addEdge(namespace: string, type: string, source: string, target: string | null): void;
+  }
+
+  // ModelComparer
+  export interface ModelChange {
+    element: string;
+    action: 'added' | 'removed' | 'changed';
+    name: string;
+    classification: 'major' | 'minor' | 'patch';
+    message: string;
+  }
+
+  export interface ModelComparison {
+    classification: 'major' | 'minor' | 'patch' | 'none';
+    changes: ModelChange[];
+  }
+
+  export class ModelComparer {
+    static compare(oldModelManager: ModelManager, newModelManager: ModelManager): ModelComparison;
+    private static getModelFiles(modelManager: ModelManager): { [namespace: string]: ModelFile };
+    private static compareModelFiles(oldModelFile: ModelFile, newModelFile: ModelFile, namespace: string, changes: ModelChange[]): void;
+    private static compareDeclarations(oldDeclaration: any, newDeclaration: any, fqn: string, changes: ModelChange[]): void;
+    private static compareEnumValues(oldDeclaration: EnumDeclaration, newDeclaration: EnumDeclaration, fqn: string, changes: ModelChange[]): void;
+    private static compareProperties(oldDeclaration: ClassDeclaration, newDeclaration: ClassDeclaration, fqn: string, changes: ModelChange[]): void;
+    private static compareProperty(oldProperty: Property, newProperty: Property, name: string, changes: ModelChange[]): void;
+    private static compareDefaults(oldElement: any, newElement: any, name: string, changes: ModelChange[]): void;
+    private static compareValidators(oldElement: any, newElement: any, name: string, changes: ModelChange[]): void;
+    private static compareBounds(oldLower: number, oldUpper: number, newLower: number, newUpper: number): string;
+    private static compareDecorated(oldElement: Decorated, newElement: Decorated, name: string, changes: ModelChange[]): void;
+    private static getKind(declaration: any): string;
+    private static getPropertyTypeName(property: Property): string;
+    private static getTypeName(fqn: string): string;
+    private static getAction(oldValue: any, newValue: any): string;
+    private static addValueChange(changes: ModelChange[], classification: string, element: string, name: string, description: string, oldValue: any, newValue: any): void;
+    private static addChange(changes: ModelChange[], classification: string, element: string, action: string, name: string, message: string): void;
+  }
+
+  // Linter
+  export type LintSeverity = 'error' | 'warning' | 'info' | 'off';
+
+  export interface LintContext {
+    modelFile: ModelFile;
+    report(element: any, message: string, location?: any): void;
+  }
+
+  export interface LintRule {
+    id: string;
+    description: string;
+    severity: LintSeverity;
+    modelFile?(modelFile: ModelFile, context: LintContext): void;
+    declaration?(declaration: any, context: LintContext): void;
+    property?(property: Property, context: LintContext): void;
+    enumValue?(enumValue: EnumValueDeclaration, context: LintContext): void;
+  }
+
+  export interface LintFinding {
+    rule: string;
+    severity: LintSeverity;
+    message: string;
+    namespace: string;
+    fileName: string | null;
+    element: string;
+    location: any;
+  }
+
+  export class Linter {
+    constructor(options?: { rules?: { [id: string]: LintSeverity } });
+    private rules: LintRule[];
+    private severities: { [id: string]: LintSeverity };
+    addRule(rule: LintRule): void;
+    getRules(): { id: string; description: string; severity: LintSeverity }[];
+    lint(modelManager: ModelManager): LintFinding[];
+    private visit(thing: any, parameters: any): void;
+    private check(kind: string, element: any, modelFile: ModelFile, parameters: any): void;
+    private getSeverity(rule: LintRule): LintSeverity;
+    private static checkSeverity(id: string, severity: string): void;
+  }
+
   // Serializer
   interface SerializerToJSONOptions {
     validate?: boolean;
@@ -333,12 +601,14 @@ declare module '@accordproject/concerto-core' {
     deduplicateResources?: boolean;
     convertResourcesToId?: boolean;
     utcOffset: number;
+    acceptEnumCodes?: boolean;
   }
 
   interface SerializerFromJSONOptions {
     acceptResourcesForRelationships: boolean;
     validate: boolean;
     utcOffset: number;
+    acceptEnumCodes?: boolean;
   }
 
   export class Serializer {
@@ -356,6 +626,8 @@ declare module '@accordproject/concerto-core' {
     private static isRecursiveWildcardName(fqn: string): boolean;
     private static isMatchingType(type: Typed, fqn: string): boolean;
     private static getNamespace(fqn: string): string;
+    private static parseNamespace(namespace: string): { name: string, version: string | null };
+    private static compareVersions(version1: string, version2: string): number;
     private static isPrimitiveType(typeName: string): boolean;
     private static isAssignableTo(modelFile: ModelFile, typeName: string, property: Property): boolean;
     private static capitalizeFirstLetter(string: string): string;
@@ -418,6 +690,9 @@ declare module '@accordproject/concerto-core' {
 
   export namespace DateTimeUtil {
     function setCurrentTime(currentTime?: string, utcOffset?: number): CurrentTime;
+    function parseDate(value: string): any;
+    function parseTime(value: string): any;
+    function parseDuration(value: string): any;
   }
 
   // TypedStack
@@ -65,8 +65,14 @@ function inferType(definition, context) {
         switch (definition.type) {
             case 'string':
                 if (definition.format) {
-                    if (definition.format === 'date-time' || definition.format === 'date') {
+                    if (definition.format === 'date-time') {
                         return 'DateTime';
+                    } else if (definition.format === 'date') {
+                        return 'Date';
+                    } else if (definition.format === 'time') {
+                        return 'Time';
+                    } else if (definition.format === 'duration') {
+                        return 'Duration';
                     } else {
                         throw new Error(`Format '${definition.format}' in '${name}' is not supported`);
                     }
@@ -23,6 +23,7 @@ const Field = require('@accordproject/concerto-core').Field;
 const ModelFile = require('@accordproject/concerto-core').ModelFile;
 const ModelManager = require('@accordproject/concerto-core').ModelManager;
 const RelationshipDeclaration = require('@accordproject/concerto-core').RelationshipDeclaration;
+const ScalarDeclaration = require('@accordproject/concerto-core').ScalarDeclaration;
 const TransactionDeclaration = require('@accordproject/concerto-core').TransactionDeclaration;
 const util = require('util');
 const ModelUtil = require('@accordproject/concerto-core').ModelUtil;
@@ -133,12 +134,23 @@ class GoLangVisitor {
      */
     visitEnumDeclaration(enumDeclaration, parameters) {
 
-        parameters.fileWriter.writeLine(0, 'type ' + enumDeclaration.getName() + ' int' );
+        // the values of an enumeration with codes are given explicitly, as integers if
+        // every value declares a numeric code and otherwise as strings (the code or the name)
+        let valueParameters = parameters;
+        let type = 'int';
+        if(enumDeclaration.hasCodes()) {
+            const numeric = enumDeclaration.getOwnProperties().every((property) => property.hasCode() && typeof property.getCode() === 'number');
+            type = numeric ? 'int' : 'string';
+            valueParameters = Object.assign({}, parameters, {enumCodeType: type});
+        }
+
+        this.writeDescription(enumDeclaration, 0, parameters);
+        parameters.fileWriter.writeLine(0, 'type ' + enumDeclaration.getName() + ' ' + type );
 
         parameters.fileWriter.writeLine(0, 'const (' );
 
         enumDeclaration.getOwnProperties().forEach((property) => {
-            property.accept(this,parameters);
+            property.accept(this,valueParameters);
         });
 
         parameters.fileWriter.writeLine(0, ')' );
@@ -153,7 +165,14 @@ class GoLangVisitor {
      * @private
      */
     visitClassDeclaration(classDeclaration, parameters) {
-        parameters.fileWriter.writeLine(0, 'type ' + classDeclaration.getName() + ' struct {' );
+        // a generic struct is declared with its type parameters
+        let typeParameters = '';
+        if(classDeclaration.isGeneric()) {
+            typeParameters = '[' + classDeclaration.getTypeParameters().join(', ') + ' any]';
+        }
+
+        this.writeDescription(classDeclaration, 0, parameters);
+        parameters.fileWriter.writeLine(0, 'type ' + classDeclaration.getName() + typeParameters + ' struct {' );
 
         //embed the super-type, because Go Lang does not have 'extends'
         if(classDeclaration.getSuperType()) {
@@ -176,14 +195,32 @@ class GoLangVisitor {
      * @private
      */
     visitField(field, parameters) {
+        // named scalars are generated as their primitive type
+        field = field.getResolvedField(null);
+
         let array = '';
 
         if(field.isArray()) {
             array = '[]';
         }
 
+        // maps are serialized as JSON objects, keyed by string
+        if(field.isMap()) {
+            array = 'map[string]';
+        }
+
+        // a type imported with an alias is referred to by the name of its declaration
+        const type = field.isTypeAliased() ? ModelUtil.getShortName(field.getFullyQualifiedTypeName()) : field.getType();
+
+        // a generic type is instantiated with the type arguments of the field
+        let typeArguments = '';
+        if(field.hasTypeArguments()) {
+            typeArguments = '[' + field.getTypeArguments().map((typeArgument) => this.toGoTypeArgument(field, typeArgument)).join(', ') + ']';
+        }
+
         // we export all fields by capitalizing them
-        parameters.fileWriter.writeLine(1, ModelUtil.capitalizeFirstLetter(field.getName()) + ' ' + array + this.toGoType(field.getType()) + ' `json:"' + field.getName() + '"`' );
+        this.writeDescription(field, 1, parameters);
+        parameters.fileWriter.writeLine(1, ModelUtil.capitalizeFirstLetter(field.getName()) + ' ' + array + this.toGoType(type) + typeArguments + ' `json:"' + field.getName() + '"`' );
         return null;
     }
 
@@ -196,6 +233,14 @@ class GoLangVisitor {
      */
     visitEnumValueDeclaration(enumValueDeclaration, parameters) {
 
+        if(parameters.enumCodeType) {
+            const value = enumValueDeclaration.hasCode() ? enumValueDeclaration.getCode() : enumValueDeclaration.getName();
+            const literal = parameters.enumCodeType === 'int' ? String(value) : JSON.stringify(String(value));
+            this.writeDescription(enumValueDeclaration, 1, parameters);
+            parameters.fileWriter.writeLine(1, ModelUtil.capitalizeFirstLetter(enumValueDeclaration.getName()) + ' ' + enumValueDeclaration.getParent().getName() + ' = ' + literal );
+            return null;
+        }
+
         // is this the first enum value?
         // if yes, we need to use 'iota' to set the value to zero
         const isFirstValue = enumValueDeclaration.getParent().getOwnProperties()[0].getName() === enumValueDeclaration.getName();
@@ -206,6 +251,7 @@ class GoLangVisitor {
         }
 
         // we export all fields by capitalizing them
+        this.writeDescription(enumValueDeclaration, 1, parameters);
         parameters.fileWriter.writeLine(1, ModelUtil.capitalizeFirstLetter(enumValueDeclaration.getName()) + iota );
         return null;
     }
@@ -225,10 +271,27 @@ class GoLangVisitor {
         }
 
         // we export all relationships by capitalizing them
+        this.writeDescription(relationship, 1, parameters);
         parameters.fileWriter.writeLine(1, ModelUtil.capitalizeFirstLetter(relationship.getName()) + ' ' + array + 'Relationship `json:"' + relationship.getName() + '"`' );
         return null;
     }
 
+    /**
+     * Writes the description of a documented model element as a Go comment.
+     * @param {Decorated} decorated - the model element
+     * @param {number} indent - the indentation of the comment
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    writeDescription(decorated, indent, parameters) {
+        const description = decorated.getDescription();
+        if(description) {
+            description.split('\n').forEach((line) => {
+                parameters.fileWriter.writeLine(indent, line ? '// ' + line : '//');
+            });
+        }
+    }
+
     /**
      * Returns true if the ModelFile contains a class that has a DateTime
      * field.
@@ -263,6 +326,11 @@ class GoLangVisitor {
         switch(type) {
         case 'DateTime':
             return 'time.Time';
+        case 'Date':
+        case 'Time':
+        case 'Duration':
+            // encoded as ISO 8601 strings, which the time package cannot unmarshal
+            return 'string';
         case 'Boolean':
             return 'bool';
         case 'String':
@@ -271,6 +339,9 @@ class GoLangVisitor {
             return 'float64';
         case 'Long':
             return 'int64';
+        case 'Decimal':
+            // decimals are encoded as strings to preserve their precision
+            return 'string';
         case 'Integer':
             return 'int32';
         default:
@@ -278,6 +349,28 @@ class GoLangVisitor {
         }
     }
 
+    /**
+     * Converts a type argument of a field to a Go type. A named scalar is converted
+     * to its primitive type, and a type imported with an alias is referred to by the
+     * name of its declaration.
+     * @param {Field} field - the field declared with the type argument
+     * @param {string} typeArgument - the type argument
+     * @return {string} the corresponding type in Go Lang
+     * @private
+     */
+    toGoTypeArgument(field, typeArgument) {
+        const parent = field.getParent();
+        if(ModelUtil.isPrimitiveType(typeArgument) || parent.getTypeParameters().includes(typeArgument)) {
+            return this.toGoType(typeArgument);
+        }
+
+        const type = parent.getModelFile().getType(typeArgument);
+        if(type instanceof ScalarDeclaration) {
+            return this.toGoType(type.getType());
+        }
+        return type.getName();
+    }
+
     /**
      * Converts a Concerto namespace to a Go package name.
      * @param {string} namespace  - the concerto type
@@ -15,6 +15,7 @@
 'use strict';
 
 const util = require('util');
+const ModelUtil = require('@accordproject/concerto-core').ModelUtil;
 
 const ModelFile = require('@accordproject/concerto-core').ModelFile;
 const ModelManager = require('@accordproject/concerto-core').ModelManager;
@@ -78,17 +79,41 @@ class GraphQLVisitor {
     */
     visitModelManager(modelManager, parameters) {
         parameters.decorators = {};
+        parameters.directives = {};
+        parameters.expandedTypes = {};
 
         parameters.fileWriter.openFile('model.gql');
         parameters.fileWriter.writeLine(0, 'scalar DateTime' );
+        parameters.fileWriter.writeLine(0, 'scalar Date' );
+        parameters.fileWriter.writeLine(0, 'scalar Time' );
+        parameters.fileWriter.writeLine(0, 'scalar Duration' );
 
         modelManager.getModelFiles().forEach((decl) => {
             decl.accept(this, parameters);
         });
 
+        // GraphQL has no generic types, so a generic type is expanded for each of the
+        // combinations of type arguments it is used with. Writing an expanded type
+        // may use further combinations, which are written in turn
+        const written = new Set();
+        let pending = Object.keys(parameters.expandedTypes);
+        while(pending.length > 0) {
+            pending.forEach((typeName) => {
+                written.add(typeName);
+                const expandedType = parameters.expandedTypes[typeName];
+                expandedType.classDeclaration.accept(this, Object.assign({}, parameters, {
+                    typeName, typeArguments: expandedType.typeArguments
+                }));
+            });
+            pending = Object.keys(parameters.expandedTypes).filter((typeName) => !written.has(typeName));
+        }
+
         Object.keys(parameters.decorators).forEach( decoratorName => {
             parameters.fileWriter.writeBeforeLine( 0, this.decoratorAsDirectiveString(parameters.decorators[decoratorName], parameters) );
         });
+        Object.keys(parameters.directives).forEach( directiveName => {
+            parameters.fileWriter.writeBeforeLine( 0, parameters.directives[directiveName] );
+        });
         parameters.fileWriter.closeFile();
         return null;
     }
@@ -116,11 +141,25 @@ class GraphQLVisitor {
     * @private
     */
     visitClassDeclaration(classDeclaration, parameters) {
-        const type = classDeclaration.isEnum() ? 'enum ' : 'type ';
+        // a generic class is only written as the types expanded from it
+        if(classDeclaration.isGeneric() && !parameters.typeArguments) {
+            return null;
+        }
+
+        // a class that other classes mix in is an interface, implemented by the classes
+        // that mix it in, directly or through their super types or mixins
+        let type = classDeclaration.isEnum() ? 'enum ' : 'type ';
+        if(classDeclaration.isMixedIn()) {
+            type = 'interface ';
+        }
 
-        const typeName = this.toGraphQLName(this.namespaces ? classDeclaration.getFullyQualifiedName() : classDeclaration.getName());
+        const toTypeName = (declaration) => this.toGraphQLName(this.namespaces ? declaration.getFullyQualifiedName() : declaration.getName());
+        const typeName = parameters.typeName ? parameters.typeName : toTypeName(classDeclaration);
+        const interfaces = classDeclaration.getAllSuperTypeDeclarations().filter((declaration) => declaration.isMixedIn());
+        const implementsInterfaces = interfaces.length > 0 ? ' implements ' + interfaces.map(toTypeName).join(' & ') : '';
         let decorators = this.decoratorsAsString(classDeclaration.getDecorators(), parameters);
-        parameters.fileWriter.writeLine(0, type + typeName + decorators + ' {' );
+        this.writeDescription(classDeclaration, 0, parameters);
+        parameters.fileWriter.writeLine(0, type + typeName + implementsInterfaces + decorators + ' {' );
 
         classDeclaration.getProperties().forEach((property) => {
             property.accept(this, parameters);
@@ -145,7 +184,20 @@ class GraphQLVisitor {
     * @private
     */
     visitField(field, parameters) {
-        let type = this.toGraphQLType( this.namespaces ? field.getFullyQualifiedTypeName() : field.getType() );
+        // a type parameter is generated as the type bound to it, and a named scalar as its primitive type
+        field = field.getResolvedField(parameters.typeArguments);
+
+        // a type imported with an alias, or bound to a type parameter, is referred to by the name of its declaration
+        const typeName = field.isTypeAliased() ? ModelUtil.getShortName(field.getFullyQualifiedTypeName()) : ModelUtil.getShortName(field.getType());
+        let type = this.toGraphQLType( this.namespaces ? field.getFullyQualifiedTypeName() : typeName );
+
+        // a generic type is referred to by the type expanded for the type arguments of the field
+        const typeArguments = field.getFullyQualifiedTypeArguments(parameters.typeArguments);
+        if(typeArguments) {
+            const classDeclaration = field.getParent().getModelFile().getType(field.getType());
+            type = this.toExpandedTypeName(classDeclaration, typeArguments);
+            parameters.expandedTypes[type] = { classDeclaration, typeArguments };
+        }
 
         if(field.isArray()) {
             type = `[${type}]`;
@@ -157,6 +209,7 @@ class GraphQLVisitor {
 
         const fieldName = this.toGraphQLName(field.getName());
         let decorators = this.decoratorsAsString(field.getDecorators(), parameters);
+        this.writeDescription(field, 1, parameters);
         parameters.fileWriter.writeLine(1, `${fieldName}: ${type}${decorators}`);
         return null;
     }
@@ -169,6 +222,7 @@ class GraphQLVisitor {
     * @private
     */
     visitEnumValueDeclaration(enumValueDeclaration, parameters) {
+        this.writeDescription(enumValueDeclaration, 1, parameters);
         parameters.fileWriter.writeLine(1, enumValueDeclaration.getName());
         return null;
     }
@@ -191,10 +245,43 @@ class GraphQLVisitor {
             type = `${type}!`;
         }
 
-        parameters.fileWriter.writeLine(1, `${relationship.getName()}: ${type} # ${relationship.getType()}`);
+        // a type imported with an alias is referred to by the name of its declaration
+        const typeName = relationship.isTypeAliased() ? ModelUtil.getShortName(relationship.getFullyQualifiedTypeName()) : relationship.getType();
+
+        // the inverse of a relationship is the field of the other type that refers back to it
+        let inverse = '';
+        const inverseDeclaration = relationship.getInverseDeclaration();
+        if(inverseDeclaration) {
+            inverse = ` @inverse(field: "${inverseDeclaration.getName()}")`;
+            if(parameters.directives) {
+                parameters.directives.inverse = 'directive @inverse(field: String!) on FIELD_DEFINITION';
+            }
+        }
+
+        this.writeDescription(relationship, 1, parameters);
+        parameters.fileWriter.writeLine(1, `${relationship.getName()}: ${type}${inverse} # ${typeName}`);
         return null;
     }
 
+    /**
+    * Writes the description of a documented model element as a GraphQL
+    * block string, placed before the definition of the type or field
+    * @param {Decorated} decorated - the model element
+    * @param {number} indent - the indentation of the description
+    * @param {Object} parameters  - the parameters
+    * @private
+    */
+    writeDescription(decorated, indent, parameters) {
+        const description = decorated.getDescription();
+        if(description) {
+            parameters.fileWriter.writeLine(indent, '"""');
+            description.split('\n').forEach((line) => {
+                parameters.fileWriter.writeLine(indent, line.replace(/"""/g, '\\"""'));
+            });
+            parameters.fileWriter.writeLine(indent, '"""');
+        }
+    }
+
     /**
     * Converts a Decorator to a GraphQL directive string, to be placed
     * on a type or a field
@@ -210,15 +297,9 @@ class GraphQLVisitor {
         if(args.length > 1 && args.length % 2 === 0) {
             argsAsText += '(';
             for(let n=0; n < args.length; n=n+2) {
-                const name = args[n].toString();
+                const name = this.toGraphQLName(args[n].toString());
                 const value = args[n+1];
-                if(typeof value === 'object') {
-                    const array = value.array ? '[]' : '';
-                    argsAsText = argsAsText + `${name}: "${value.name}${array}"`;
-                }
-                else {
-                    argsAsText = argsAsText + `${name}: ${JSON.stringify(value)}`;
-                }
+                argsAsText = argsAsText + `${name}: ${this.decoratorArgumentAsString(value)}`;
                 if(n < args.length-2) {
                     argsAsText += ',';
                 }
@@ -245,25 +326,9 @@ class GraphQLVisitor {
         if(args.length > 1 && args.length % 2 === 0) {
             argsAsText += '(';
             for(let n=0; n < args.length; n=n+2) {
-                const name = args[n].toString();
+                const name = this.toGraphQLName(args[n].toString());
                 const value = args[n+1];
-                switch(typeof value) {
-                case 'number':
-                    if(Number.isInteger(value)) {
-                        argsAsText += `${name}: Int`;
-                    }
-                    else {
-                        argsAsText += `${name}: Float`;
-                    }
-                    break;
-                case 'boolean':
-                    argsAsText += `${name}: Boolean`;
-                    break;
-                case 'object':
-                case 'string':
-                    argsAsText += `${name}: String`;
-                    break;
-                }
+                argsAsText += `${name}: ${this.decoratorArgumentType(value)}`;
                 if(n < args.length-2) {
                     argsAsText += '\n';
                 }
@@ -272,6 +337,50 @@ class GraphQLVisitor {
         }
         return (`directive @${decorator.getName()}${argsAsText} on OBJECT | FIELD_DEFINITION`);
     }
+    /**
+    * Converts the value of a decorator argument to a GraphQL value. Arrays
+    * and objects are converted to GraphQL lists and input objects, and
+    * a reference to a type to the name of the type as a string.
+    * @param {Object} value - the value of the argument
+    * @return {String} the value as a GraphQL string
+    * @private
+    */
+    decoratorArgumentAsString(value) {
+        if(Array.isArray(value)) {
+            return '[' + value.map((item) => this.decoratorArgumentAsString(item)).join(', ') + ']';
+        }
+        else if(value !== null && typeof value === 'object') {
+            if(value.type === 'Identifier') {
+                const array = value.array ? '[]' : '';
+                return `"${value.name}${array}"`;
+            }
+            return '{' + Object.keys(value).map((key) => `${this.toGraphQLName(key)}: ${this.decoratorArgumentAsString(value[key])}`).join(', ') + '}';
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+    * Infers the GraphQL type of the value of a decorator argument. A list
+    * takes the type of its first item, and objects and references to types
+    * are typed as strings.
+    * @param {Object} value - the value of the argument
+    * @return {String} the GraphQL type of the value
+    * @private
+    */
+    decoratorArgumentType(value) {
+        if(Array.isArray(value)) {
+            return '[' + (value.length > 0 ? this.decoratorArgumentType(value[0]) : 'String') + ']';
+        }
+        switch(typeof value) {
+        case 'number':
+            return Number.isInteger(value) ? 'Int' : 'Float';
+        case 'boolean':
+            return 'Boolean';
+        default:
+            return 'String';
+        }
+    }
+
     /**
     * @param {Decorator[]} decorators - the decorators
     * @param {Object} parameters  - the parameters
@@ -298,19 +407,39 @@ class GraphQLVisitor {
             return 'Int';
         case 'Double':
             return 'Float';
+        case 'Decimal':
+            // decimals are encoded as strings to preserve their precision
+            return 'String';
         default:
             return this.toGraphQLName(type);
         }
     }
 
     /**
-     * Escapes characters in a Concerto name to make them legal in GraphQL
+     * Returns the name of the type expanded from a generic type for a combination
+     * of type arguments, for example Page_Order for Page<Order>
+     * @param {ClassDeclaration} classDeclaration the generic type
+     * @param {Object} typeArguments the fully qualified names of the type arguments, keyed by type parameter
+     * @returns {string} the name of the expanded type
+     * @private
+     */
+    toExpandedTypeName(classDeclaration, typeArguments) {
+        const typeNames = [classDeclaration.getFullyQualifiedName()]
+            .concat(classDeclaration.getTypeParameters().map((typeParameter) => typeArguments[typeParameter]));
+        return this.toGraphQLName(typeNames.map((typeName) => this.namespaces ? typeName : ModelUtil.getShortName(typeName)).join('_'));
+    }
+
+    /**
+     * Escapes characters in a Concerto name, or in the key of an object
+     * argument of a decorator, to make them legal in GraphQL
      * @param {string} name Concerto name
      * @returns {string} a GraphQL legal name
      */
     toGraphQLName(name) {
-        // $ is unfortunately a restricted character in GraphQL!
-        return name.replace('$', '_').replace(/\./g, '_');
+        // $ is unfortunately a restricted character in GraphQL, as are the dots
+        // of qualified names and the other characters that a quoted key may have
+        const result = name.replace(/[^_0-9A-Za-z]/g, '_');
+        return /^[0-9]/.test(result) ? `_${result}` : result;
     }
 }
 
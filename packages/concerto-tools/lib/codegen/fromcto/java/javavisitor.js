@@ -23,6 +23,7 @@ const Field = require('@accordproject/concerto-core').Field;
 const RelationshipDeclaration = require('@accordproject/concerto-core').RelationshipDeclaration;
 const EnumDeclaration = require('@accordproject/concerto-core').EnumDeclaration;
 const EnumValueDeclaration = require('@accordproject/concerto-core').EnumValueDeclaration;
+const ScalarDeclaration = require('@accordproject/concerto-core').ScalarDeclaration;
 const util = require('util');
 
 /**
@@ -165,14 +166,35 @@ public abstract class Resource
         this.startClassFile(enumDeclaration, parameters);
 
         parameters.fileWriter.writeLine(0, 'import com.fasterxml.jackson.annotation.JsonIgnoreProperties;');
+        this.writeDescription(enumDeclaration, 0, parameters);
         parameters.fileWriter.writeLine(0, '@JsonIgnoreProperties({"$class"})');
         this.plugin.addEnumAnnotations(enumDeclaration, parameters);
         parameters.fileWriter.writeLine(0, 'public enum ' + enumDeclaration.getName() + ' {' );
 
+        // the values of an enumeration with codes are constructed with their code, an int if
+        // every value declares a numeric code and otherwise a String (the code or the name)
+        let codeType = null;
+        if(enumDeclaration.hasCodes()) {
+            const numeric = enumDeclaration.getOwnProperties().every((property) => property.hasCode() && typeof property.getCode() === 'number');
+            codeType = numeric ? 'int' : 'String';
+        }
+        const valueParameters = codeType ? Object.assign({}, parameters, {enumCodeType: codeType}) : parameters;
+
         enumDeclaration.getOwnProperties().forEach((property) => {
-            property.accept(this, parameters);
+            property.accept(this, valueParameters);
         });
 
+        if(codeType) {
+            parameters.fileWriter.writeLine(1, ';');
+            parameters.fileWriter.writeLine(1, 'private final ' + codeType + ' code;');
+            parameters.fileWriter.writeLine(1, 'private ' + enumDeclaration.getName() + '(' + codeType + ' code) {');
+            parameters.fileWriter.writeLine(2, 'this.code = code;');
+            parameters.fileWriter.writeLine(1, '}');
+            parameters.fileWriter.writeLine(1, 'public ' + codeType + ' getCode() {');
+            parameters.fileWriter.writeLine(2, 'return this.code;');
+            parameters.fileWriter.writeLine(1, '}');
+        }
+
         parameters.fileWriter.writeLine(0, '}' );
 
         this.endClassFile(enumDeclaration, parameters);
@@ -191,13 +213,21 @@ public abstract class Resource
 
         this.startClassFile(classDeclaration, parameters);
 
-        classDeclaration.getModelFile().getImports().forEach((imported) => {
-            parameters.fileWriter.writeLine(0, 'import ' + imported + ';' );
-        });
+        const modelFile = classDeclaration.getModelFile();
+        // a type imported with an alias is referred to by its fully qualified name, so that it
+        // may have the same name as another imported type
+        const aliasedImports = Object.values(modelFile.getImportAliases());
+        this.writeImports(modelFile, parameters);
 
         if(classDeclaration.isConcept()) {
             parameters.fileWriter.writeLine(0, 'import com.fasterxml.jackson.annotation.JsonIgnoreProperties;');
             parameters.fileWriter.writeLine(0, '');
+        }
+
+        // the Javadoc precedes the annotations of the class
+        this.writeDescription(classDeclaration, 0, parameters);
+
+        if(classDeclaration.isConcept()) {
             parameters.fileWriter.writeLine(0, '@JsonIgnoreProperties({"$class"})');
         }
 
@@ -212,36 +242,69 @@ public abstract class Resource
         let superType = '';
 
         if(classDeclaration.getSuperType()) {
-            superType = ' extends ' + ModelUtil.getShortName(classDeclaration.getSuperType());
+            const superTypeName = classDeclaration.getSuperType();
+            superType = ' extends ' + (aliasedImports.includes(superTypeName) ? superTypeName : ModelUtil.getShortName(superTypeName));
+        }
+
+        // the mixins of the class, and the class itself if other classes mix it in, are
+        // generated as interfaces. Java classes have a single super class, so the class
+        // declares the properties it mixes in unless its super class already declares them
+        let properties = classDeclaration.getOwnProperties();
+        let interfaces = classDeclaration.isMixedIn() ? [classDeclaration] : [];
+        if(classDeclaration.hasMixins()) {
+            interfaces = classDeclaration.getMixinDeclarations().concat(interfaces);
+            const superTypeDeclaration = classDeclaration.getSuperTypeDeclaration();
+            const inherited = superTypeDeclaration ? superTypeDeclaration.getProperties() : [];
+            properties = properties.concat(classDeclaration.getMixinProperties().filter((property) => !inherited.includes(property)));
+        }
+        const mixins = interfaces.length > 0 ? ' implements ' + interfaces.map((mixin) => this.toInterfaceName(mixin, classDeclaration)).join(', ') : '';
+
+        // a generic class is declared with its type parameters
+        let typeParameters = '';
+        if(classDeclaration.isGeneric()) {
+            typeParameters = '<' + classDeclaration.getTypeParameters().join(', ') + '>';
         }
 
         this.plugin.addClassAnnotations(classDeclaration, parameters);
-        parameters.fileWriter.writeLine(0, 'public ' + isAbstract + 'class ' + classDeclaration.getName() + superType + ' {' );
+        parameters.fileWriter.writeLine(0, 'public ' + isAbstract + 'class ' + classDeclaration.getName() + typeParameters + superType + mixins + ' {' );
 
         // add the getID abstract type
-        if(classDeclaration.getIdentifierFieldName()) {
-            const getterName = 'get' + this.capitalizeFirstLetter(classDeclaration.getIdentifierFieldName());
+        const idFields = classDeclaration.getIdentifierFieldNames();
+        if(idFields.length === 1) {
+            const getterName = 'get' + this.capitalizeFirstLetter(idFields[0]);
             parameters.fileWriter.writeLine(1, `
    // the accessor for the identifying field
    public String getID() {
       return this.${getterName}();
    }
+`
+            );
+        } else if(idFields.length > 1) {
+            // the values of a composite identifier are joined as ResourceId.composeIdentifier does
+            const getters = idFields.map((idField) => 'this.get' + this.capitalizeFirstLetter(idField) + '()').join(', ');
+            parameters.fileWriter.writeLine(1, `
+   // the accessor for the identifying fields, separated by commas
+   public String getID() {
+      return java.util.stream.Stream.of(${getters})
+         .map((value) -> value.replace("%", "%25").replace(",", "%2C"))
+         .collect(java.util.stream.Collectors.joining(","));
+   }
 `
             );
         }
 
         // add the properties
-        classDeclaration.getOwnProperties().forEach((property) => {
+        properties.forEach((property) => {
             property.accept(this, Object.assign({}, parameters, {mode: 'field'}));
         });
 
         // add getters
-        classDeclaration.getOwnProperties().forEach((property) => {
+        properties.forEach((property) => {
             property.accept(this, Object.assign({}, parameters, {mode: 'getter'}));
         });
 
         // add setters
-        classDeclaration.getOwnProperties().forEach((property) => {
+        properties.forEach((property) => {
             property.accept(this, Object.assign({}, parameters, {mode: 'setter'}));
         });
 
@@ -251,9 +314,61 @@ public abstract class Resource
         parameters.fileWriter.writeLine(0, '}' );
         this.endClassFile(classDeclaration, parameters);
 
+        if(classDeclaration.isMixedIn()) {
+            this.writeMixinInterface(classDeclaration, parameters);
+        }
+
         return null;
     }
 
+    /**
+     * Write the Java interface of a class that other classes mix in. The interface
+     * declares the accessors of all the properties of the class, and extends the
+     * interfaces of the mixins of the class.
+     * @param {ClassDeclaration} clazz - the clazz being visited
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    writeMixinInterface(clazz, parameters) {
+        const modelFile = clazz.getModelFile();
+        parameters.fileWriter.openFile( modelFile.getNamespace().replace(/\./g, '/') + '/' + this.toInterfaceName(clazz, clazz) + '.java');
+        parameters.fileWriter.writeLine(0, '// this code is generated and should not be modified');
+        parameters.fileWriter.writeLine(0, 'package ' + modelFile.getNamespace() + ';');
+        parameters.fileWriter.writeLine(0, '');
+        parameters.fileWriter.writeLine(0, 'import org.hyperledger.composer.system.*;');
+        this.writeImports(modelFile, parameters);
+
+        let mixins = '';
+        if(clazz.hasMixins()) {
+            mixins = ' extends ' + clazz.getMixinDeclarations().map((mixin) => this.toInterfaceName(mixin, clazz)).join(', ');
+        }
+
+        this.writeDescription(clazz, 0, parameters);
+        parameters.fileWriter.writeLine(0, 'public interface ' + this.toInterfaceName(clazz, clazz) + mixins + ' {' );
+        clazz.getProperties().forEach((property) => {
+            property.accept(this, Object.assign({}, parameters, {mode: 'interface'}));
+        });
+        parameters.fileWriter.writeLine(0, '}' );
+        parameters.fileWriter.closeFile();
+    }
+
+    /**
+     * Write the imports of a Java class file, from the imports of its model file
+     * @param {ModelFile} modelFile - the model file of the class
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    writeImports(modelFile, parameters) {
+        // a type imported with an alias is referred to by its fully qualified name
+        const aliasedImports = Object.values(modelFile.getImportAliases());
+        modelFile.getImports().filter((imported) => {
+            // named scalars are generated as their primitive type, so there is no class to import
+            return !(modelFile.getType(ModelUtil.getShortName(imported)) instanceof ScalarDeclaration) && !aliasedImports.includes(imported);
+        }).forEach((imported) => {
+            parameters.fileWriter.writeLine(0, 'import ' + imported + ';' );
+        });
+    }
+
     /**
      * Visitor design pattern
      * @param {Field} field - the object being visited
@@ -262,13 +377,30 @@ public abstract class Resource
      * @private
      */
     visitField(field, parameters) {
+        // named scalars are generated as their primitive type
+        field = field.getResolvedField(null);
+
         let array = '';
 
         if(field.isArray()) {
             array = '[]';
         }
 
-        const fieldType = this.toJavaType(field.getType()) + array;
+        // a type imported with an alias is referred to by its fully qualified name
+        let type = field.isTypeAliased() ? field.getFullyQualifiedTypeName() : field.getType();
+
+        // a generic type is instantiated with the type arguments of the field
+        if(field.hasTypeArguments()) {
+            type += '<' + field.getTypeArguments().map((typeArgument) => this.toJavaTypeArgument(field, typeArgument)).join(', ') + '>';
+        }
+
+        let fieldType = this.toJavaType(type) + array;
+
+        if(field.isMap()) {
+            // a scalar key type is generated as the String it extends
+            const keyType = field.isMapKeyTypeScalar() ? 'String' : field.getMapKeyType();
+            fieldType = 'java.util.Map<' + this.toJavaObjectType(keyType) + ', ' + this.toJavaObjectType(type) + '>';
+        }
 
         const fieldName = field.getName();
         const getterName = 'get' + this.capitalizeFirstLetter(fieldName);
@@ -286,10 +418,16 @@ public abstract class Resource
                 parameters.fileWriter.writeLine(2, 'this.' + fieldName + ' = ' + fieldName + ';');
                 parameters.fileWriter.writeLine(1, '}');
                 break;
+            case 'interface':
+                parameters.fileWriter.writeLine(1, 'public ' + fieldType + ' ' + getterName + '();');
+                parameters.fileWriter.writeLine(1, 'public void ' + setterName + '(' + fieldType + ' ' + fieldName + ');');
+                break;
             default:
+                this.writeDescription(field, 1, parameters);
                 parameters.fileWriter.writeLine(1, 'private ' + fieldType + ' ' + fieldName + ';' );
             }
         } else {
+            this.writeDescription(field, 1, parameters);
             parameters.fileWriter.writeLine(1, 'private ' + fieldType + ' ' + fieldName + ';' );
         }
         return null;
@@ -303,7 +441,14 @@ public abstract class Resource
      * @private
      */
     visitEnumValueDeclaration(enumValueDeclaration, parameters) {
-        parameters.fileWriter.writeLine(1, enumValueDeclaration.getName() + ',' );
+        let code = '';
+        if(parameters.enumCodeType) {
+            const value = enumValueDeclaration.hasCode() ? enumValueDeclaration.getCode() : enumValueDeclaration.getName();
+            code = '(' + (parameters.enumCodeType === 'int' ? String(value) : JSON.stringify(String(value))) + ')';
+        }
+
+        this.writeDescription(enumValueDeclaration, 1, parameters);
+        parameters.fileWriter.writeLine(1, enumValueDeclaration.getName() + code + ',' );
         return null;
     }
 
@@ -321,7 +466,9 @@ public abstract class Resource
             array = '[]';
         }
 
-        const relationshipType = this.toJavaType(relationship.getType()) + array;
+        // a type imported with an alias is referred to by its fully qualified name
+        const type = relationship.isTypeAliased() ? relationship.getFullyQualifiedTypeName() : relationship.getType();
+        const relationshipType = this.toJavaType(type) + array;
 
         const relationshipName = relationship.getName();
         const getterName = 'get' + this.capitalizeFirstLetter(relationshipName);
@@ -339,15 +486,39 @@ public abstract class Resource
                 parameters.fileWriter.writeLine(2, 'this.' + relationshipName + ' = ' + relationshipName + ';');
                 parameters.fileWriter.writeLine(1, '}');
                 break;
+            case 'interface':
+                parameters.fileWriter.writeLine(1, 'public ' + relationshipType + ' ' + getterName + '();');
+                parameters.fileWriter.writeLine(1, 'public void ' + setterName + '(' + relationshipType + ' ' + relationshipName + ');');
+                break;
             default:
+                this.writeDescription(relationship, 1, parameters);
                 parameters.fileWriter.writeLine(1, 'private ' + relationshipType + ' ' + relationshipName + ';' );
             }
         } else {
+            this.writeDescription(relationship, 1, parameters);
             parameters.fileWriter.writeLine(1, 'private ' + relationshipType + ' ' + relationshipName + ';' );
         }
         return null;
     }
 
+    /**
+     * Writes the description of a documented model element as a Javadoc comment.
+     * @param {Decorated} decorated - the model element
+     * @param {number} indent - the indentation of the comment
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    writeDescription(decorated, indent, parameters) {
+        const description = decorated.getDescription();
+        if(description) {
+            parameters.fileWriter.writeLine(indent, '/**');
+            description.split('\n').forEach((line) => {
+                parameters.fileWriter.writeLine(indent, line ? ' * ' + line : ' *');
+            });
+            parameters.fileWriter.writeLine(indent, ' */');
+        }
+    }
+
     /**
      * Converts a Concerto type to a Java type. Primitive types are converted
      * everything else is passed through unchanged.
@@ -359,6 +530,12 @@ public abstract class Resource
         switch(type) {
         case 'DateTime':
             return 'java.util.Date';
+        case 'Date':
+            return 'java.time.LocalDate';
+        case 'Time':
+            return 'java.time.LocalTime';
+        case 'Duration':
+            return 'java.time.Duration';
         case 'Boolean':
             return 'boolean';
         case 'String':
@@ -367,6 +544,8 @@ public abstract class Resource
             return 'double';
         case 'Long':
             return 'long';
+        case 'Decimal':
+            return 'java.math.BigDecimal';
         case 'Integer':
             return 'int';
         default:
@@ -374,6 +553,62 @@ public abstract class Resource
         }
     }
 
+    /**
+     * Converts a Concerto type to a Java reference type, boxing primitive types
+     * so that they may be used as type arguments (for example of a java.util.Map).
+     * @param {string} type  - the concerto type
+     * @return {string} the corresponding reference type in Java
+     * @private
+     */
+    toJavaObjectType(type) {
+        switch(type) {
+            case 'Boolean':
+            case 'Double':
+            case 'Long':
+            case 'Integer':
+                return type;
+            default:
+                return this.toJavaType(type);
+        }
+    }
+
+    /**
+     * Converts a type argument of a field to a Java reference type. A named scalar
+     * is converted to its primitive type, and a type imported with an alias is
+     * referred to by its fully qualified name.
+     * @param {Field} field - the field declared with the type argument
+     * @param {string} typeArgument - the type argument
+     * @return {string} the corresponding reference type in Java
+     * @private
+     */
+    toJavaTypeArgument(field, typeArgument) {
+        const parent = field.getParent();
+        if(ModelUtil.isPrimitiveType(typeArgument) || parent.getTypeParameters().includes(typeArgument)) {
+            return this.toJavaObjectType(typeArgument);
+        }
+
+        const modelFile = parent.getModelFile();
+        const type = modelFile.getType(typeArgument);
+        if(type instanceof ScalarDeclaration) {
+            return this.toJavaObjectType(type.getType());
+        }
+        return modelFile.getImportAliases()[typeArgument] ? type.getFullyQualifiedName() : typeArgument;
+    }
+
+    /**
+     * Returns the name of the Java interface of a mixin, as referred to from a class.
+     * The interface of a mixin in another namespace is referred to by its fully
+     * qualified name.
+     * @param {ClassDeclaration} mixin - the mixin
+     * @param {ClassDeclaration} clazz - the class referring to the interface
+     * @return {string} the name of the interface
+     * @private
+     */
+    toInterfaceName(mixin, clazz) {
+        const name = 'I' + mixin.getName();
+        return mixin.getNamespace() === clazz.getNamespace() ? name : mixin.getNamespace() + '.' + name;
+    }
+
     /**
      * Capitalize the first letter of a string
      * @param {string} s - the input string
@@ -22,6 +22,7 @@ const EnumValueDeclaration = require('@accordproject/concerto-core').EnumValueDe
 const Field = require('@accordproject/concerto-core').Field;
 const ModelFile = require('@accordproject/concerto-core').ModelFile;
 const ModelManager = require('@accordproject/concerto-core').ModelManager;
+const ModelUtil = require('@accordproject/concerto-core').ModelUtil;
 const RelationshipDeclaration = require('@accordproject/concerto-core').RelationshipDeclaration;
 const TransactionDeclaration = require('@accordproject/concerto-core').TransactionDeclaration;
 const debug = require('debug')('concerto-core:jsonschemavisitor');
@@ -64,6 +65,22 @@ class JSONSchemaVisitor {
             : null;
     }
 
+    /**
+     * Adds the bounds on the number of items of an array property, for
+     * example Party[1..10], to the JSON Schema of the array.
+     * @param {object} jsonSchema the JSON Schema of the array
+     * @param {object} property a Field or a RelationshipDeclaration
+     * @private
+     */
+    addArrayBounds(jsonSchema, property) {
+        if(typeof property.getMinItems() === 'number') {
+            jsonSchema.minItems = property.getMinItems();
+        }
+        if(typeof property.getMaxItems() === 'number') {
+            jsonSchema.maxItems = property.getMaxItems();
+        }
+    }
+
     /**
      * Returns true if the class declaration contains recursive references.
      *
@@ -73,11 +90,26 @@ class JSONSchemaVisitor {
      * }
      *
      * @param {object} classDeclaration the class being visited
+     * @param {object} [typeArguments] the types bound to the type parameters of a generic class
      * @returns {boolean} true if the model is recursive
      */
-    isModelRecursive(classDeclaration) {
+    isModelRecursive(classDeclaration, typeArguments) {
         const visitor = new RecursionDetectionVisitor();
-        return classDeclaration.accept( visitor, {stack : []} );
+        return classDeclaration.accept( visitor, {stack : [], typeArguments} );
+    }
+
+    /**
+     * Returns the identifier of the type expanded from a generic type for a combination
+     * of type arguments, for example org.acme.Page_Order for Page<Order>
+     * @param {ClassDeclaration} classDeclaration the generic type
+     * @param {object} typeArguments the fully qualified names of the type arguments, keyed by type parameter
+     * @returns {string} the identifier of the expanded type
+     * @private
+     */
+    toExpandedTypeName(classDeclaration, typeArguments) {
+        return [classDeclaration.getFullyQualifiedName()]
+            .concat(classDeclaration.getTypeParameters().map((typeParameter) => ModelUtil.getShortName(typeArguments[typeParameter])))
+            .join('_');
     }
 
     /**
@@ -128,11 +160,25 @@ class JSONSchemaVisitor {
             $schema : 'http://json-schema.org/draft-07/schema#', // default for https://github.com/ajv-validator/ajv
             definitions: {}
         };
+        parameters.expandedTypes = {};
         modelManager.getModelFiles().forEach((modelFile) => {
             const schema = modelFile.accept(this, parameters);
             result.definitions = { ... result.definitions, ... schema.definitions };
         });
 
+        // JSON Schema has no generic types, so a generic type is expanded for each of the
+        // combinations of type arguments it is used with. Defining an expanded type may
+        // use further combinations, which are defined in turn
+        let pending = Object.keys(parameters.expandedTypes);
+        while(pending.length > 0) {
+            pending.forEach((id) => {
+                const expandedType = parameters.expandedTypes[id];
+                const type = expandedType.classDeclaration.accept(this, Object.assign({}, parameters, { typeArguments: expandedType.typeArguments }));
+                result.definitions[type.$id] = type.schema;
+            });
+            pending = Object.keys(parameters.expandedTypes).filter((id) => !result.definitions[id]);
+        }
+
         if(parameters.rootType) {
             const classDecl = modelManager.getType(parameters.rootType);
             const schema = classDecl.accept(this, parameters);
@@ -163,8 +209,9 @@ class JSONSchemaVisitor {
         let result = {
             definitions : {}
         };
+        // generic declarations are only defined as the types expanded from them
         modelFile.getAllDeclarations().filter((declaration) => {
-            return !declaration.isAbstract();
+            return !declaration.isAbstract() && !declaration.isGeneric();
         }).
             forEach((declaration) => {
                 const type = declaration.accept(this, parameters);
@@ -233,13 +280,13 @@ class JSONSchemaVisitor {
     visitClassDeclarationCommon(classDeclaration, parameters) {
         debug('entering visitClassDeclarationCommon', classDeclaration.getName());
 
-        parameters.inlineTypes = parameters.inlineTypes ? !this.isModelRecursive(classDeclaration) : false;
+        parameters.inlineTypes = parameters.inlineTypes ? !this.isModelRecursive(classDeclaration, parameters.typeArguments) : false;
 
         const result = {
-            $id: classDeclaration.getFullyQualifiedName(),
+            $id: parameters.typeArguments ? this.toExpandedTypeName(classDeclaration, parameters.typeArguments) : classDeclaration.getFullyQualifiedName(),
             schema: {
                 title: classDeclaration.getName(),
-                description : `An instance of ${classDeclaration.getFullyQualifiedName()}`,
+                description : classDeclaration.getDescription() || `An instance of ${classDeclaration.getFullyQualifiedName()}`,
                 type: 'object',
                 properties: {},
                 required: []
@@ -290,6 +337,9 @@ class JSONSchemaVisitor {
     visitField(field, parameters) {
         debug('entering visitField', field.getName());
 
+        // a type parameter is generated as the type bound to it, and a named scalar as its primitive type
+        field = field.getResolvedField(parameters.typeArguments);
+
         // Is this a primitive typed property?
         let jsonSchema;
         if (field.isPrimitive()) {
@@ -321,9 +371,23 @@ class JSONSchemaVisitor {
                     }
                 }
                 break;
+            case 'Decimal': {
+                // decimals are encoded as strings to preserve their precision, with at most
+                // as many fractional digits as their scale, followed by trailing zeros
+                const scale = field.getScale();
+                const fraction = scale === null ? '\\d+' : (scale > 0 ? `\\d{1,${scale}}0*` : '0+');
+                jsonSchema.type = 'string';
+                jsonSchema.pattern = `^[+-]?\\d+(\\.${fraction})?$`;
+                break;
+            }
             case 'Integer':
             case 'Long':
                 jsonSchema.type = 'integer';
+                if(field.getType() === 'Long') {
+                    // values outside the safe integer range are encoded as strings
+                    jsonSchema.type = ['integer', 'string'];
+                    jsonSchema.pattern = '^[+-]?\\d+$';
+                }
                 if(validator) {
                     if(validator.getLowerBound() !== null) {
                         jsonSchema.minimum = Math.trunc(validator.getLowerBound());
@@ -337,18 +401,41 @@ class JSONSchemaVisitor {
                 jsonSchema.format = 'date-time';
                 jsonSchema.type = 'string';
                 break;
+            case 'Date':
+                jsonSchema.format = 'date';
+                jsonSchema.type = 'string';
+                break;
+            case 'Time':
+                jsonSchema.format = 'time';
+                jsonSchema.type = 'string';
+                break;
+            case 'Duration':
+                jsonSchema.format = 'duration';
+                jsonSchema.type = 'string';
+                break;
             case 'Boolean':
                 jsonSchema.type = 'boolean';
                 break;
             }
 
+            // If this is a String field with a length, add its bounds.
+            const lengthValidator = field.getLengthValidator();
+            if (lengthValidator) {
+                if (lengthValidator.getMinLength() !== null) {
+                    jsonSchema.minLength = lengthValidator.getMinLength();
+                }
+                if (lengthValidator.getMaxLength() !== null) {
+                    jsonSchema.maxLength = lengthValidator.getMaxLength();
+                }
+            }
+
             // If this field has a default value, add it.
             if (field.getDefaultValue()) {
                 jsonSchema.default = field.getDefaultValue();
             }
 
-            // If this is the identifying field, mark it as such.
-            if (field.getName() === field.getParent().getIdentifierFieldName()) {
+            // If this is an identifying field, mark it as such.
+            if (field.getParent().getIdentifierFieldNames().includes(field.getName())) {
                 jsonSchema.description = 'The instance identifier for this type';
             }
 
@@ -356,11 +443,19 @@ class JSONSchemaVisitor {
         } else {
             // Look up the type of the property.
             let type = field.getParent().getModelFile().getModelManager().getType(field.getFullyQualifiedTypeName());
+
+            // a generic type is referred to by the type expanded for the type arguments of the field
+            const typeArguments = field.getFullyQualifiedTypeArguments(parameters.typeArguments);
             if(!parameters.inlineTypes) {
-                jsonSchema = { $ref: `#/definitions/${type.getFullyQualifiedName()}` };
+                let id = type.getFullyQualifiedName();
+                if(typeArguments) {
+                    id = this.toExpandedTypeName(type, typeArguments);
+                    parameters.expandedTypes[id] = { classDeclaration: type, typeArguments };
+                }
+                jsonSchema = { $ref: `#/definitions/${id}` };
             } else {
                 // inline the schema
-                jsonSchema = this.visit( type, parameters ).schema;
+                jsonSchema = this.visit( type, Object.assign({}, parameters, { typeArguments }) ).schema;
             }
         }
 
@@ -370,6 +465,45 @@ class JSONSchemaVisitor {
                 type: 'array',
                 items: jsonSchema
             };
+            this.addArrayBounds(jsonSchema, field);
+        }
+
+        // Is the type a map? The schema above describes the values of the map.
+        if (field.isMap()) {
+            jsonSchema = {
+                type: 'object',
+                additionalProperties: jsonSchema
+            };
+
+            // keys of an enumerated type are restricted to the values of the enumeration
+            if (field.isMapKeyTypeEnum()) {
+                const keyType = field.getParent().getModelFile().getModelManager().getType(field.getFullyQualifiedMapKeyTypeName());
+                jsonSchema.propertyNames = parameters.inlineTypes ? this.visit(keyType, parameters).schema : { $ref: `#/definitions/${keyType.getFullyQualifiedName()}` };
+            }
+
+            // keys of a scalar type are restricted to the regex and the length of the scalar
+            if (field.isMapKeyTypeScalar()) {
+                const keyType = field.getParent().getModelFile().getModelManager().getType(field.getFullyQualifiedMapKeyTypeName());
+                const propertyNames = {};
+                if (keyType.getValidator()) {
+                    propertyNames.pattern = `^${keyType.getValidator().getRegex().toString().slice(1,-1)}$`;
+                }
+                const lengthValidator = keyType.getLengthValidator();
+                if (lengthValidator && lengthValidator.getMinLength() !== null) {
+                    propertyNames.minLength = lengthValidator.getMinLength();
+                }
+                if (lengthValidator && lengthValidator.getMaxLength() !== null) {
+                    propertyNames.maxLength = lengthValidator.getMaxLength();
+                }
+                if (Object.keys(propertyNames).length > 0) {
+                    jsonSchema.propertyNames = propertyNames;
+                }
+            }
+        }
+
+        // the documentation of the field takes precedence over any generated description
+        if (field.getDescription()) {
+            jsonSchema.description = field.getDescription();
         }
 
         // add the decorators
@@ -396,7 +530,7 @@ class JSONSchemaVisitor {
             $id: enumDeclaration.getFullyQualifiedName(),
             schema: {
                 title: enumDeclaration.getName(),
-                description : `An instance of ${enumDeclaration.getFullyQualifiedName()}`,
+                description : enumDeclaration.getDescription() || `An instance of ${enumDeclaration.getFullyQualifiedName()}`,
                 enum: []
             }};
 
@@ -405,6 +539,15 @@ class JSONSchemaVisitor {
             result.schema.enum.push(property.accept(this, parameters));
         });
 
+        // the codes of the values are also accepted in the place of their names
+        if(enumDeclaration.hasCodes()) {
+            enumDeclaration.getProperties().filter((property) => property.hasCode()).forEach((property) => {
+                if(!result.schema.enum.includes(property.getCode())) {
+                    result.schema.enum.push(property.getCode());
+                }
+            });
+        }
+
         // add the decorators
         const decorators = this.getDecorators(enumDeclaration);
         if(decorators) {
@@ -452,6 +595,17 @@ class JSONSchemaVisitor {
                 type: 'array',
                 items: jsonSchema
             };
+            this.addArrayBounds(jsonSchema, relationshipDeclaration);
+        }
+
+        if (relationshipDeclaration.getDescription()) {
+            jsonSchema.description = relationshipDeclaration.getDescription();
+        }
+
+        // the inverse of a relationship is the property of the other type that refers back to it
+        const inverse = relationshipDeclaration.getInverseDeclaration();
+        if (inverse) {
+            jsonSchema.$inverse = inverse.getName();
         }
 
         // add the decorators
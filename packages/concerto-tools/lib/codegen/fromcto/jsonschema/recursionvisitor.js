@@ -92,7 +92,10 @@ class RecursionDetectionVisitor {
      */
     visitField(field, parameters) {
         debug('entering visitField', field.getName());
-        if(field.isPrimitive()) {
+        if(field.isTypeParameter()) {
+            field = field.getBoundField(parameters.typeArguments);
+        }
+        if(field.isPrimitive() || field.isTypeScalar()) {
             return false;
         }
 
@@ -104,7 +107,12 @@ class RecursionDetectionVisitor {
             return true;
         }
         else {
-            return this.visit(type, parameters);
+            // the type parameters of a generic type are bound to the type arguments of the field
+            const typeArguments = parameters.typeArguments;
+            parameters.typeArguments = field.getFullyQualifiedTypeArguments(typeArguments);
+            const result = this.visit(type, parameters);
+            parameters.typeArguments = typeArguments;
+            return result;
         }
     }
 
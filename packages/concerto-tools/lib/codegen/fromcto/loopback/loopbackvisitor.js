@@ -20,6 +20,7 @@ const ConceptDeclaration = require('@accordproject/concerto-core').ConceptDeclar
 const EnumDeclaration = require('@accordproject/concerto-core').EnumDeclaration;
 const EnumValueDeclaration = require('@accordproject/concerto-core').EnumValueDeclaration;
 const EventDeclaration = require('@accordproject/concerto-core').EventDeclaration;
+const ModelUtil = require('@accordproject/concerto-core').ModelUtil;
 const Field = require('@accordproject/concerto-core').Field;
 const ModelFile = require('@accordproject/concerto-core').ModelFile;
 const ModelManager = require('@accordproject/concerto-core').ModelManager;
@@ -378,12 +379,14 @@ class LoopbackVisitor {
         });
 
         // For transaction declarations, we need to change the model slightly.
-        if (classDeclaration.getIdentifierFieldName()) {
-            // The ID field will be supplied at submission time, not by the client.
+        const identifierFieldNames = classDeclaration.getIdentifierFieldNames();
+        if (identifierFieldNames.length > 0) {
+            // The ID fields will be supplied at submission time, not by the client.
             jsonSchema.forceId = true;
-            const identifierFieldName = classDeclaration.getIdentifierFieldName();
-            jsonSchema.properties[identifierFieldName].generated = true;
-            jsonSchema.properties[identifierFieldName].required = false;
+            identifierFieldNames.forEach((identifierFieldName) => {
+                jsonSchema.properties[identifierFieldName].generated = true;
+                jsonSchema.properties[identifierFieldName].required = false;
+            });
         }
 
         // If this is a top level schema, now we need to write it to disk.
@@ -416,6 +419,7 @@ class LoopbackVisitor {
 
         switch (type) {
         case 'String':
+        case 'Decimal':
             result = 'string';
             break;
         case 'Double':
@@ -444,6 +448,9 @@ class LoopbackVisitor {
     visitField(field, parameters) {
         debug('entering visitField', field.getName());
 
+        // named scalars are generated as their primitive type
+        field = field.getResolvedField(null);
+
         // Is this a primitive typed property?
         let jsonSchema;
         if (field.isPrimitive()) {
@@ -457,9 +464,12 @@ class LoopbackVisitor {
                 jsonSchema.default = field.getDefaultValue();
             }
 
-            // If this is the identifying field, mark it as such.
-            if (field.getName() === field.getParent().getIdentifierFieldName()) {
-                jsonSchema.id = true;
+            // If this is an identifying field, mark it as such, a field of a composite
+            // identifier by its position in the identifier.
+            const identifierFieldNames = field.getParent().getIdentifierFieldNames();
+            const idIndex = identifierFieldNames.indexOf(field.getName());
+            if (idIndex >= 0) {
+                jsonSchema.id = identifierFieldNames.length > 1 ? idIndex + 1 : true;
                 jsonSchema.description = 'The instance identifier for this type';
             }
 
@@ -480,8 +490,12 @@ class LoopbackVisitor {
         // Not primitive, so must be a class!
         } else {
 
-            // Render the type as JSON Schema.
+            // Render the type as JSON Schema. A type imported with an alias is
+            // referred to by the name of its declaration.
             let typeName = this.namespaces ? field.getFullyQualifiedTypeName() : field.getType();
+            if (!this.namespaces && field.isTypeAliased()) {
+                typeName = ModelUtil.getShortName(field.getFullyQualifiedTypeName());
+            }
             jsonSchema = {
                 type: loopbackify(typeName)
             };
@@ -25,6 +25,7 @@ const EnumDeclaration = require('@accordproject/concerto-core').EnumDeclaration;
 const Field = require('@accordproject/concerto-core').Field;
 const RelationshipDeclaration = require('@accordproject/concerto-core').RelationshipDeclaration;
 const EnumValueDeclaration = require('@accordproject/concerto-core').EnumValueDeclaration;
+const ModelUtil = require('@accordproject/concerto-core').ModelUtil;
 
 /**
  * Convert the contents of a ModelManager
@@ -127,6 +128,7 @@ class PlantUMLVisitor {
         if(classDeclaration.getSuperType()) {
             parameters.fileWriter.writeLine(0, classDeclaration.getFullyQualifiedName() + ' --|> ' + classDeclaration.getSuperType());
         }
+        this.writeAssociations(classDeclaration, parameters);
 
         return null;
     }
@@ -173,6 +175,7 @@ class PlantUMLVisitor {
         if(classDeclaration.getSuperType()) {
             parameters.fileWriter.writeLine(0, classDeclaration.getFullyQualifiedName() + ' --|> ' + classDeclaration.getSuperType());
         }
+        this.writeAssociations(classDeclaration, parameters);
 
         return null;
     }
@@ -196,6 +199,7 @@ class PlantUMLVisitor {
         if(classDeclaration.getSuperType()) {
             parameters.fileWriter.writeLine(0, classDeclaration.getFullyQualifiedName() + ' --|> ' + classDeclaration.getSuperType());
         }
+        this.writeAssociations(classDeclaration, parameters);
 
         return null;
     }
@@ -209,7 +213,13 @@ class PlantUMLVisitor {
      * @private
      */
     visitClassDeclaration(classDeclaration, parameters) {
-        parameters.fileWriter.writeLine(0, 'class ' + classDeclaration.getFullyQualifiedName() + ' {' );
+        // a generic class is drawn with its type parameters
+        let typeParameters = '';
+        if(classDeclaration.isGeneric()) {
+            typeParameters = '<' + classDeclaration.getTypeParameters().join(', ') + '>';
+        }
+
+        parameters.fileWriter.writeLine(0, 'class ' + classDeclaration.getFullyQualifiedName() + typeParameters + ' {' );
 
         classDeclaration.getOwnProperties().forEach((property) => {
             property.accept(this, parameters);
@@ -220,6 +230,7 @@ class PlantUMLVisitor {
         if(classDeclaration.getSuperType()) {
             parameters.fileWriter.writeLine(0, classDeclaration.getFullyQualifiedName() + ' --|> ' + classDeclaration.getSuperType());
         }
+        this.writeAssociations(classDeclaration, parameters);
 
         return null;
     }
@@ -238,7 +249,14 @@ class PlantUMLVisitor {
             array = '[]';
         }
 
-        parameters.fileWriter.writeLine(1, '+ ' + field.getType() + array + ' ' + field.getName());
+        // a type imported with an alias is referred to by the name of its declaration
+        let type = field.isTypeAliased() ? ModelUtil.getShortName(field.getFullyQualifiedTypeName()) : field.getType();
+
+        // a generic type is drawn with the type arguments of the field
+        if(field.hasTypeArguments()) {
+            type += '<' + field.getTypeArguments().join(', ') + '>';
+        }
+        parameters.fileWriter.writeLine(1, '+ ' + type + array + ' ' + field.getName());
         return null;
     }
 
@@ -268,10 +286,57 @@ class PlantUMLVisitor {
             array = '[]';
         }
 
+        // a type imported with an alias is referred to by the name of its declaration
+        const type = relationship.isTypeAliased() ? ModelUtil.getShortName(relationship.getFullyQualifiedTypeName()) : relationship.getType();
+
         // we export all relationships by capitalizing them
-        parameters.fileWriter.writeLine(1, '+ ' + relationship.getType() + array + ' ' + relationship.getName());
+        parameters.fileWriter.writeLine(1, '+ ' + type + array + ' ' + relationship.getName());
         return null;
     }
+
+    /**
+     * Writes an association for each relationship of a class that has an inverse,
+     * with the multiplicity of each of its ends. The association is written once,
+     * for the relationship of the pair whose qualified name comes first.
+     * @param {ClassDeclaration} classDeclaration - the class declaration
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    writeAssociations(classDeclaration, parameters) {
+        classDeclaration.getOwnProperties().forEach((property) => {
+            if(!(property instanceof RelationshipDeclaration)) {
+                return;
+            }
+            const inverse = property.getInverseDeclaration();
+            if(!inverse) {
+                return;
+            }
+            const name = classDeclaration.getFullyQualifiedName() + '.' + property.getName();
+            const inverseName = inverse.getParent().getFullyQualifiedName() + '.' + inverse.getName();
+            if(name <= inverseName) {
+                parameters.fileWriter.writeLine(0, `${classDeclaration.getFullyQualifiedName()} "${this.getMultiplicity(inverse)}" -- "${this.getMultiplicity(property)}" ${property.getFullyQualifiedTypeName()} : ${property.getName()} / ${inverse.getName()}`);
+            }
+        });
+    }
+
+    /**
+     * Returns the multiplicity of a relationship, for example 0..1 for an
+     * optional relationship or 1..10 for an array of 1 to 10 items
+     * @param {RelationshipDeclaration} relationship - the relationship
+     * @return {string} the multiplicity
+     * @private
+     */
+    getMultiplicity(relationship) {
+        if(!relationship.isArray()) {
+            return relationship.isOptional() ? '0..1' : '1';
+        }
+        const min = relationship.getMinItems() ? relationship.getMinItems() : 0;
+        const max = relationship.getMaxItems() ? relationship.getMaxItems() : '*';
+        if(min === max) {
+            return `${min}`;
+        }
+        return min === 0 && max === '*' ? '*' : `${min}..${max}`;
+    }
 }
 
 module.exports = PlantUMLVisitor;
\ No newline at end of file
@@ -22,6 +22,7 @@ const Field = require('@accordproject/concerto-core').Field;
 const RelationshipDeclaration = require('@accordproject/concerto-core').RelationshipDeclaration;
 const EnumDeclaration = require('@accordproject/concerto-core').EnumDeclaration;
 const EnumValueDeclaration = require('@accordproject/concerto-core').EnumValueDeclaration;
+const ScalarDeclaration = require('@accordproject/concerto-core').ScalarDeclaration;
 const util = require('util');
 
 /**
@@ -57,6 +58,8 @@ class TypescriptVisitor {
             return this.visitRelationship(thing, parameters);
         } else if (thing instanceof EnumValueDeclaration) {
             return this.visitEnumValueDeclaration(thing, parameters);
+        } else if (thing instanceof ScalarDeclaration) {
+            return this.visitScalarDeclaration(thing, parameters);
         } else {
             throw new Error('Unrecognised type: ' + typeof thing + ', value: ' + util.inspect(thing, {
                 showHidden: true,
@@ -95,7 +98,7 @@ class TypescriptVisitor {
         modelFile.getAllDeclarations()
             .filter(v => !v.isEnum())
             .forEach(classDeclaration => classDeclaration.getProperties().forEach(property => {
-                if (!property.isPrimitive()) {
+                if (!property.isPrimitive() && !property.isTypeParameter()) {
                     const fullyQualifiedTypeName = property.getFullyQualifiedTypeName();
                     const lastIndexOfDot = fullyQualifiedTypeName.lastIndexOf(dot);
                     const propertyNamespace = fullyQualifiedTypeName.substring(0, lastIndexOfDot);
@@ -103,10 +106,43 @@ class TypescriptVisitor {
                     if (!properties.has(propertyNamespace)) {
                         properties.set(propertyNamespace, new Set());
                     }
-                    properties.get(propertyNamespace).add(propertyTypeName);
+                    // a type imported with an alias is imported under its alias
+                    properties.get(propertyNamespace).add(property.isTypeAliased() ? `${propertyTypeName} as ${property.getType()}` : propertyTypeName);
                 }
             }));
 
+        // Import the type arguments of generic types that are imported from other cto files.
+        modelFile.getAllDeclarations()
+            .filter(v => !v.isEnum())
+            .forEach(classDeclaration => classDeclaration.getProperties().filter(property => property.hasTypeArguments()).forEach(property => {
+                const parent = property.getParent();
+                property.getTypeArguments()
+                    .filter(typeArgument => !ModelUtil.isPrimitiveType(typeArgument) && !parent.getTypeParameters().includes(typeArgument))
+                    .forEach(typeArgument => {
+                        const fullyQualifiedTypeName = parent.getModelFile().getFullyQualifiedTypeName(typeArgument);
+                        const propertyNamespace = ModelUtil.getNamespace(fullyQualifiedTypeName);
+                        const propertyTypeName = ModelUtil.getShortName(fullyQualifiedTypeName);
+                        if (!properties.has(propertyNamespace)) {
+                            properties.set(propertyNamespace, new Set());
+                        }
+                        // a type imported with an alias is imported under its alias
+                        properties.get(propertyNamespace).add(propertyTypeName !== typeArgument ? `${propertyTypeName} as ${typeArgument}` : propertyTypeName);
+                    });
+            }));
+
+        // Import the mixins that are imported from other cto files.
+        const aliases = modelFile.getImportAliases();
+        modelFile.getAllDeclarations()
+            .filter(v => v.hasMixins())
+            .forEach(classDeclaration => classDeclaration.getMixins().forEach(mixin => {
+                const mixinNamespace = ModelUtil.getNamespace(mixin);
+                const alias = Object.keys(aliases).find((alias) => aliases[alias] === mixin);
+                if (!properties.has(mixinNamespace)) {
+                    properties.set(mixinNamespace, new Set());
+                }
+                properties.get(mixinNamespace).add(alias ? `${ModelUtil.getShortName(mixin)} as ${alias}` : ModelUtil.getShortName(mixin));
+            }));
+
         modelFile.getImports().map(importString => {
             const lastIndexOfDot = importString.lastIndexOf(dot);
             const namespace = importString.substring(0, lastIndexOfDot);
@@ -123,6 +159,10 @@ class TypescriptVisitor {
 
         parameters.fileWriter.writeLine(0, '// export namespace ' + modelFile.getNamespace() + '{');
 
+        modelFile.getScalarDeclarations().forEach((decl) => {
+            decl.accept(this, parameters);
+        });
+
         modelFile.getAllDeclarations().forEach((decl) => {
             decl.accept(this, parameters);
         });
@@ -133,6 +173,20 @@ class TypescriptVisitor {
         return null;
     }
 
+    /**
+     * Visitor design pattern
+     * @param {ScalarDeclaration} scalarDeclaration - the object being visited
+     * @param {Object} parameters  - the parameter
+     * @return {Object} the result of visiting or null
+     * @private
+     */
+    visitScalarDeclaration(scalarDeclaration, parameters) {
+        // named scalars are generated as type aliases of their primitive type
+        this.writeDescription(scalarDeclaration, 1, parameters);
+        parameters.fileWriter.writeLine(1, 'export type ' + scalarDeclaration.getName() + ' = ' + this.toTsType(scalarDeclaration.getType()) + ';');
+        return null;
+    }
+
     /**
      * Visitor design pattern
      * @param {EnumDeclaration} enumDeclaration - the object being visited
@@ -142,10 +196,13 @@ class TypescriptVisitor {
      */
     visitEnumDeclaration(enumDeclaration, parameters) {
 
+        this.writeDescription(enumDeclaration, 1, parameters);
         parameters.fileWriter.writeLine(1, 'export enum ' + enumDeclaration.getName() + ' {');
 
+        // once a value declares a code, the values without a code are initialized with their name
+        const valueParameters = enumDeclaration.hasCodes() ? Object.assign({}, parameters, {enumCodes: true}) : parameters;
         enumDeclaration.getOwnProperties().forEach((property) => {
-            property.accept(this, parameters);
+            property.accept(this, valueParameters);
         });
 
         parameters.fileWriter.writeLine(1, '}');
@@ -169,14 +226,39 @@ class TypescriptVisitor {
             isAbstract = 'export ';
         }
 
+        // a type imported with an alias is referred to by its alias
+        const toTypeName = (typeName) => {
+            const aliases = classDeclaration.getModelFile().getImportAliases();
+            const alias = Object.keys(aliases).find((alias) => aliases[alias] === typeName);
+            return alias ? alias : ModelUtil.getShortName(typeName);
+        };
+
         let superType = '';
         if (classDeclaration.getSuperType()) {
-            superType = ' extends ' + ModelUtil.getShortName(classDeclaration.getSuperType());
+            superType = ' extends ' + toTypeName(classDeclaration.getSuperType());
         }
 
-        parameters.fileWriter.writeLine(1, isAbstract + 'class ' + classDeclaration.getName() + superType + ' {');
+        // the class implements its mixins, so it declares the properties they mix in
+        // unless its super type already declares them
+        let mixins = '';
+        let properties = classDeclaration.getOwnProperties();
+        if (classDeclaration.hasMixins()) {
+            mixins = ' implements ' + classDeclaration.getMixins().map(toTypeName).join(', ');
+            const superTypeDeclaration = classDeclaration.getSuperTypeDeclaration();
+            const inherited = superTypeDeclaration ? superTypeDeclaration.getProperties() : [];
+            properties = properties.concat(classDeclaration.getMixinProperties().filter((property) => !inherited.includes(property)));
+        }
+
+        // a generic class is declared with its type parameters
+        let typeParameters = '';
+        if (classDeclaration.isGeneric()) {
+            typeParameters = '<' + classDeclaration.getTypeParameters().join(', ') + '>';
+        }
 
-        classDeclaration.getOwnProperties().forEach((property) => {
+        this.writeDescription(classDeclaration, 1, parameters);
+        parameters.fileWriter.writeLine(1, isAbstract + 'class ' + classDeclaration.getName() + typeParameters + superType + mixins + ' {');
+
+        properties.forEach((property) => {
             property.accept(this, parameters);
         });
 
@@ -198,7 +280,22 @@ class TypescriptVisitor {
             array = '[]';
         }
 
-        parameters.fileWriter.writeLine(2, field.getName() + ': ' + this.toTsType(field.getType()) + array + ';');
+        let tsType = this.toTsType(field.getType());
+
+        // a generic type is instantiated with the type arguments of the field
+        if (field.hasTypeArguments()) {
+            tsType += '<' + field.getTypeArguments().map((typeArgument) => this.toTsType(typeArgument)).join(', ') + '>';
+        }
+
+        tsType += array;
+
+        // maps are serialized as JSON objects, keyed by string
+        if (field.isMap()) {
+            tsType = '{ [key: string]: ' + this.toTsType(field.getType()) + ' }';
+        }
+
+        this.writeDescription(field, 2, parameters);
+        parameters.fileWriter.writeLine(2, field.getName() + ': ' + tsType + ';');
         return null;
     }
 
@@ -210,7 +307,15 @@ class TypescriptVisitor {
      * @private
      */
     visitEnumValueDeclaration(enumValueDeclaration, parameters) {
-        parameters.fileWriter.writeLine(2, enumValueDeclaration.getName() + ',');
+        let initializer = '';
+        if(enumValueDeclaration.hasCode()) {
+            initializer = ' = ' + JSON.stringify(enumValueDeclaration.getCode());
+        } else if(parameters.enumCodes) {
+            initializer = ' = ' + JSON.stringify(enumValueDeclaration.getName());
+        }
+
+        this.writeDescription(enumValueDeclaration, 2, parameters);
+        parameters.fileWriter.writeLine(2, enumValueDeclaration.getName() + initializer + ',');
         return null;
     }
 
@@ -229,10 +334,29 @@ class TypescriptVisitor {
         }
 
         // we export all relationships by capitalizing them
+        this.writeDescription(relationship, 2, parameters);
         parameters.fileWriter.writeLine(2, relationship.getName() + ': ' + this.toTsType(relationship.getType()) + array + ';');
         return null;
     }
 
+    /**
+     * Writes the description of a documented model element as a TSDoc comment.
+     * @param {Decorated} decorated - the model element
+     * @param {number} indent - the indentation of the comment
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    writeDescription(decorated, indent, parameters) {
+        const description = decorated.getDescription();
+        if (description) {
+            parameters.fileWriter.writeLine(indent, '/**');
+            description.split('\n').forEach((line) => {
+                parameters.fileWriter.writeLine(indent, line ? ' * ' + line : ' *');
+            });
+            parameters.fileWriter.writeLine(indent, ' */');
+        }
+    }
+
     /**
      * Converts a Concerto type to a Typescript  type. Primitive types are converted
      * everything else is passed through unchanged.
@@ -244,6 +368,11 @@ class TypescriptVisitor {
         switch (type) {
         case 'DateTime':
             return 'Date';
+        case 'Date':
+        case 'Time':
+        case 'Duration':
+            // encoded as ISO 8601 strings, as a Date would add a time of day and a UTC offset
+            return 'string';
         case 'Boolean':
             return 'boolean';
         case 'String':
@@ -252,6 +381,8 @@ class TypescriptVisitor {
             return 'number';
         case 'Long':
             return 'number';
+        case 'Decimal':
+            return 'string';
         case 'Integer':
             return 'number';
         default:
@@ -109,10 +109,28 @@ class XmlSchemaVisitor {
             }
         }
 
+        parameters.namespace = modelFile.getNamespace();
+        parameters.expandedTypes = {};
         modelFile.getAllDeclarations().forEach((decl) => {
             decl.accept(this, parameters);
         });
 
+        // XML Schema has no generic types, so a generic type is expanded for each of the
+        // combinations of type arguments it is used with in this namespace. Writing an
+        // expanded type may use further combinations, which are written in turn
+        const written = new Set();
+        let pending = Object.keys(parameters.expandedTypes);
+        while(pending.length > 0) {
+            pending.forEach((typeName) => {
+                written.add(typeName);
+                const expandedType = parameters.expandedTypes[typeName];
+                expandedType.classDeclaration.accept(this, Object.assign({}, parameters, {
+                    typeName, typeArguments: expandedType.typeArguments
+                }));
+            });
+            pending = Object.keys(parameters.expandedTypes).filter((typeName) => !written.has(typeName));
+        }
+
         parameters.fileWriter.writeLine(0, '</xs:schema>');
         parameters.fileWriter.closeFile();
 
@@ -139,6 +157,7 @@ class XmlSchemaVisitor {
         }
 
         parameters.fileWriter.writeLine(0, `<xs:simpleType name="${typeName}">` );
+        this.writeDocumentation(classDeclaration, 1, parameters);
         parameters.fileWriter.writeLine(1, '<xs:restriction base="xs:string">' );
 
         classDeclaration.getOwnProperties().forEach((property) => {
@@ -171,8 +190,16 @@ class XmlSchemaVisitor {
      * @private
      */
     visitClassDeclaration(classDeclaration, parameters) {
+        // a generic class is only written as the types expanded from it
+        if(classDeclaration.isGeneric() && !parameters.typeArguments) {
+            return null;
+        }
+
+        const typeName = parameters.typeName ? parameters.typeName : classDeclaration.getName();
+        const namespace = parameters.typeName ? parameters.namespace : classDeclaration.getNamespace();
 
-        parameters.fileWriter.writeLine(0, `<xs:complexType name="${classDeclaration.getName()}">` );
+        parameters.fileWriter.writeLine(0, `<xs:complexType name="${typeName}">` );
+        this.writeDocumentation(classDeclaration, 1, parameters);
 
         if(classDeclaration.getSuperType()) {
             const superClass = classDeclaration.getModelFile().getModelManager().getType(classDeclaration.getSuperType());
@@ -196,7 +223,7 @@ class XmlSchemaVisitor {
         parameters.fileWriter.writeLine(0, '</xs:complexType>' );
 
         // declare the element
-        parameters.fileWriter.writeLine(0, `<xs:element name="${classDeclaration.getName()}" type="${classDeclaration.getNamespace()}:${classDeclaration.getName()}"/>` );
+        parameters.fileWriter.writeLine(0, `<xs:element name="${typeName}" type="${namespace}:${typeName}"/>` );
 
         return null;
     }
@@ -209,13 +236,52 @@ class XmlSchemaVisitor {
      * @private
      */
     visitField(field, parameters) {
+        // a type parameter is generated as the type bound to it, and a named scalar as its primitive type
+        field = field.getResolvedField(parameters.typeArguments);
+
+        // a generic type is referred to by the type expanded in this namespace for the type arguments of the field
+        let type = this.toXsType(field.getFullyQualifiedTypeName());
+        const typeArguments = field.getFullyQualifiedTypeArguments(parameters.typeArguments);
+        if(typeArguments) {
+            const classDeclaration = field.getParent().getModelFile().getType(field.getType());
+            const typeName = [classDeclaration.getName()]
+                .concat(classDeclaration.getTypeParameters().map((typeParameter) => ModelUtil.getShortName(typeArguments[typeParameter])))
+                .join('_');
+            parameters.expandedTypes[typeName] = { classDeclaration, typeArguments };
+            type = `${parameters.namespace}:${typeName}`;
+        }
+
         let array = '';
 
         if(field.isArray()) {
-            array = ' minOccurs="0" maxOccurs="unbounded"';
+            array = this.toOccurs(field);
         }
 
-        parameters.fileWriter.writeLine(2, `<xs:element name="${field.getName()}" type="${this.toXsType(field.getFullyQualifiedTypeName())}"${array}/>`);
+        // a String length is expressed as facets restricting xs:string
+        const lengthValidator = field.getLengthValidator();
+        if(lengthValidator) {
+            parameters.fileWriter.writeLine(2, `<xs:element name="${field.getName()}"${array}>`);
+            this.writeDocumentation(field, 3, parameters);
+            parameters.fileWriter.writeLine(3, '<xs:simpleType>');
+            parameters.fileWriter.writeLine(4, `<xs:restriction base="${type}">`);
+            if(lengthValidator.getMinLength() !== null) {
+                parameters.fileWriter.writeLine(5, `<xs:minLength value="${lengthValidator.getMinLength()}"/>`);
+            }
+            if(lengthValidator.getMaxLength() !== null) {
+                parameters.fileWriter.writeLine(5, `<xs:maxLength value="${lengthValidator.getMaxLength()}"/>`);
+            }
+            parameters.fileWriter.writeLine(4, '</xs:restriction>');
+            parameters.fileWriter.writeLine(3, '</xs:simpleType>');
+            parameters.fileWriter.writeLine(2, '</xs:element>');
+        }
+        else if(field.getDescription()) {
+            parameters.fileWriter.writeLine(2, `<xs:element name="${field.getName()}" type="${type}"${array}>`);
+            this.writeDocumentation(field, 3, parameters);
+            parameters.fileWriter.writeLine(2, '</xs:element>');
+        }
+        else {
+            parameters.fileWriter.writeLine(2, `<xs:element name="${field.getName()}" type="${type}"${array}/>`);
+        }
 
         return null;
     }
@@ -228,7 +294,14 @@ class XmlSchemaVisitor {
      * @private
      */
     visitEnumValueDeclaration(enumValueDeclaration, parameters) {
-        parameters.fileWriter.writeLine(2, `<xs:enumeration value="${enumValueDeclaration.getName()}"/>`);
+        if(enumValueDeclaration.getDescription()) {
+            parameters.fileWriter.writeLine(2, `<xs:enumeration value="${enumValueDeclaration.getName()}">`);
+            this.writeDocumentation(enumValueDeclaration, 3, parameters);
+            parameters.fileWriter.writeLine(2, '</xs:enumeration>');
+        }
+        else {
+            parameters.fileWriter.writeLine(2, `<xs:enumeration value="${enumValueDeclaration.getName()}"/>`);
+        }
         return null;
     }
 
@@ -243,13 +316,51 @@ class XmlSchemaVisitor {
         let array = '';
 
         if(relationship.isArray()) {
-            array = ' minOccurs="0" maxOccurs="unbounded"';
+            array = this.toOccurs(relationship);
         }
 
-        parameters.fileWriter.writeLine(2, `<xs:element name="${relationship.getName()}" type="${this.toXsType(relationship.getFullyQualifiedTypeName())}"${array}/>`);
+        if(relationship.getDescription()) {
+            parameters.fileWriter.writeLine(2, `<xs:element name="${relationship.getName()}" type="${this.toXsType(relationship.getFullyQualifiedTypeName())}"${array}>`);
+            this.writeDocumentation(relationship, 3, parameters);
+            parameters.fileWriter.writeLine(2, '</xs:element>');
+        }
+        else {
+            parameters.fileWriter.writeLine(2, `<xs:element name="${relationship.getName()}" type="${this.toXsType(relationship.getFullyQualifiedTypeName())}"${array}/>`);
+        }
         return null;
     }
 
+    /**
+     * Writes the description of a documented model element as an annotation,
+     * which must be the first child of the element that it documents.
+     * @param {Decorated} decorated - the model element
+     * @param {number} indent - the indentation of the annotation
+     * @param {Object} parameters  - the parameter
+     * @private
+     */
+    writeDocumentation(decorated, indent, parameters) {
+        const description = decorated.getDescription();
+        if(description) {
+            const text = description.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            parameters.fileWriter.writeLine(indent, '<xs:annotation>');
+            parameters.fileWriter.writeLine(indent + 1, `<xs:documentation>${text}</xs:documentation>`);
+            parameters.fileWriter.writeLine(indent, '</xs:annotation>');
+        }
+    }
+
+    /**
+     * Returns the minOccurs and maxOccurs attributes of the element for an array property,
+     * bounded by the minimum and maximum number of items of the property, if any.
+     * @param {Property} property - the array property
+     * @return {string} the minOccurs and maxOccurs attributes
+     * @private
+     */
+    toOccurs(property) {
+        const minOccurs = typeof property.getMinItems() === 'number' ? property.getMinItems() : 0;
+        const maxOccurs = typeof property.getMaxItems() === 'number' ? property.getMaxItems() : 'unbounded';
+        return ` minOccurs="${minOccurs}" maxOccurs="${maxOccurs}"`;
+    }
+
     /**
      * Converts a Concerto type to a XML Schema type. Primitive types are converted
      * everything else is passed through unchanged.
@@ -261,6 +372,12 @@ class XmlSchemaVisitor {
         switch(type) {
         case 'DateTime':
             return 'xs:dateTime';
+        case 'Date':
+            return 'xs:date';
+        case 'Time':
+            return 'xs:time';
+        case 'Duration':
+            return 'xs:duration';
         case 'Boolean':
             return 'xs:boolean';
         case 'String':
@@ -269,6 +386,8 @@ class XmlSchemaVisitor {
             return 'xs:double';
         case 'Long':
             return 'xs:long';
+        case 'Decimal':
+            return 'xs:decimal';
         case 'Integer':
             return 'xs:integer';
         default:
@@ -127,6 +127,23 @@ concept Root {
         }).should.throw('\'additionalProperties\' are not supported in Concerto');
     });
 
+    it('should generate temporal types for date, time and duration formats', async () => {
+        const cto = inferModel('org.acme', 'Root', {
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            type: 'object',
+            properties: {
+                created: { type: 'string', format: 'date-time' },
+                birthDate: { type: 'string', format: 'date' },
+                openingTime: { type: 'string', format: 'time' },
+                notice: { type: 'string', format: 'duration' }
+            }
+        });
+        cto.should.contain('o DateTime created optional');
+        cto.should.contain('o Date birthDate optional');
+        cto.should.contain('o Time openingTime optional');
+        cto.should.contain('o Duration notice optional');
+    });
+
     it('should not generate when unsupported formats are used', async () => {
         (function () {
             inferModel('org.acme', 'Root', {
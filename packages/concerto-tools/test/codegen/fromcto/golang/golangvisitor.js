@@ -268,6 +268,47 @@ describe('GoLangVisitor', function () {
             param.fileWriter.writeLine.getCall(2).args.should.deep.equal([0, ')']);
             acceptSpy.withArgs(goVisit, param).calledTwice.should.be.ok;
         });
+
+        it('should write a string type for an enum with string codes', () => {
+            let acceptSpy = sinon.spy();
+            let mockEnumDeclaration = sinon.createStubInstance(EnumDeclaration);
+            mockEnumDeclaration._isEnumDeclaration = true;
+            mockEnumDeclaration.getName.returns('Bob');
+            mockEnumDeclaration.hasCodes.returns(true);
+            mockEnumDeclaration.getOwnProperties.returns([{
+                accept: acceptSpy,
+                hasCode: () => true,
+                getCode: () => 'A'
+            },
+            {
+                accept: acceptSpy,
+                hasCode: () => true,
+                getCode: () => 9
+            }]);
+
+            goVisit.visitEnumDeclaration(mockEnumDeclaration, param);
+
+            param.fileWriter.writeLine.getCall(0).args.should.deep.equal([0, 'type Bob string']);
+            acceptSpy.withArgs(goVisit, { fileWriter: mockFileWriter, enumCodeType: 'string' }).calledTwice.should.be.ok;
+        });
+
+        it('should write an int type for an enum with numeric codes', () => {
+            let acceptSpy = sinon.spy();
+            let mockEnumDeclaration = sinon.createStubInstance(EnumDeclaration);
+            mockEnumDeclaration._isEnumDeclaration = true;
+            mockEnumDeclaration.getName.returns('Bob');
+            mockEnumDeclaration.hasCodes.returns(true);
+            mockEnumDeclaration.getOwnProperties.returns([{
+                accept: acceptSpy,
+                hasCode: () => true,
+                getCode: () => 1
+            }]);
+
+            goVisit.visitEnumDeclaration(mockEnumDeclaration, param);
+
+            param.fileWriter.writeLine.getCall(0).args.should.deep.equal([0, 'type Bob int']);
+            acceptSpy.withArgs(goVisit, { fileWriter: mockFileWriter, enumCodeType: 'int' }).calledOnce.should.be.ok;
+        });
     });
 
     describe('visitClassDeclaration', () => {
@@ -299,6 +340,24 @@ describe('GoLangVisitor', function () {
             acceptSpy.withArgs(goVisit, param).calledTwice.should.be.ok;
         });
 
+        it('should write the description of a documented type as a comment', () => {
+            let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+            mockClassDeclaration._isClassDeclaration = true;
+            mockClassDeclaration.getName.returns('Bob');
+            mockClassDeclaration.getOwnProperties.returns([]);
+            mockClassDeclaration.getDescription.returns('A person.\n\nKnown as Bob.');
+
+            goVisit.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [0, '// A person.'],
+                [0, '//'],
+                [0, '// Known as Bob.'],
+                [0, 'type Bob struct {'],
+                [0, '}']
+            ]);
+        });
+
         it('should write lines defining type and call accept for each property embedding the super type as necessary', () => {
             let acceptSpy = sinon.spy();
             let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
@@ -332,6 +391,7 @@ describe('GoLangVisitor', function () {
 
         it('should write a line defining a field', () => {
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.isArray.returns(false);
             mockField.getName.returns('bob');
@@ -343,8 +403,71 @@ describe('GoLangVisitor', function () {
             param.fileWriter.writeLine.withArgs(1, 'Bob string `json:"bob"`').calledOnce.should.be.ok;
         });
 
+        it('should write a line defining a field of a type imported with an alias', () => {
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.isArray.returns(false);
+            mockField.getName.returns('bob');
+            mockField.getType.returns('VendorAddress');
+            mockField.isTypeAliased.returns(true);
+            mockField.getFullyQualifiedTypeName.returns('org.vendor.Address');
+
+            goVisit.visitField(mockField, param);
+
+            param.fileWriter.writeLine.withArgs(1, 'Bob Address `json:"bob"`').calledOnce.should.be.ok;
+        });
+
+        it('should write the description of a documented field as a comment', () => {
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.isArray.returns(false);
+            mockField.getName.returns('bob');
+            mockField.getType.returns('String');
+            mockField.getDescription.returns('The name of the person');
+
+            goVisit.visitField(mockField, param);
+
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [1, '// The name of the person'],
+                [1, 'Bob string `json:"bob"`']
+            ]);
+        });
+
+        it('should write a line defining a field declared with a scalar type', () => {
+            let mockScalarField = sinon.createStubInstance(Field);
+            mockScalarField._isField = true;
+            mockScalarField.isArray.returns(false);
+            mockScalarField.getName.returns('email');
+            mockScalarField.getType.returns('String');
+            let mockField = sinon.createStubInstance(Field);
+            mockField._isField = true;
+            mockField.getResolvedField.returns(mockScalarField);
+
+            goVisit.visitField(mockField, param);
+
+            param.fileWriter.writeLine.withArgs(1, 'Email string `json:"email"`').calledOnce.should.be.ok;
+        });
+
+        it('should write a line defining a field and add map[string] if a map', () => {
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.isArray.returns(false);
+            mockField.isMap.returns(true);
+            mockField.getName.returns('bob');
+            let mockGoType = sinon.stub(goVisit, 'toGoType');
+            mockGoType.returns('float64');
+
+            goVisit.visitField(mockField, param);
+
+            param.fileWriter.writeLine.withArgs(1, 'Bob map[string]float64 `json:"bob"`').calledOnce.should.be.ok;
+        });
+
         it('should write a line defining a field and add [] if an array', () => {
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.isArray.returns(true);
             mockField.getName.returns('bob');
@@ -409,6 +532,41 @@ describe('GoLangVisitor', function () {
 
             param.fileWriter.writeLine.withArgs(1, 'Bob Bob = 1 + iota').calledOnce.should.be.ok;
         });
+
+        it('should write a line giving the code of the enum value', () => {
+            let mockEnumValueDeclaration = sinon.createStubInstance(EnumValueDeclaration);
+            mockEnumValueDeclaration._isEnumValueDeclaration = true;
+            mockEnumValueDeclaration.getParent.returns({
+                getName: () => {
+                    return 'Status';
+                }
+            });
+            mockEnumValueDeclaration.getName.returns('closed');
+            mockEnumValueDeclaration.hasCode.returns(true);
+            mockEnumValueDeclaration.getCode.returns(9);
+
+            goVisit.visitEnumValueDeclaration(mockEnumValueDeclaration, Object.assign({}, param, { enumCodeType: 'int' }));
+            goVisit.visitEnumValueDeclaration(mockEnumValueDeclaration, Object.assign({}, param, { enumCodeType: 'string' }));
+
+            param.fileWriter.writeLine.withArgs(1, 'Closed Status = 9').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'Closed Status = "9"').calledOnce.should.be.ok;
+        });
+
+        it('should write a line giving the name of an enum value without a code', () => {
+            let mockEnumValueDeclaration = sinon.createStubInstance(EnumValueDeclaration);
+            mockEnumValueDeclaration._isEnumValueDeclaration = true;
+            mockEnumValueDeclaration.getParent.returns({
+                getName: () => {
+                    return 'Status';
+                }
+            });
+            mockEnumValueDeclaration.getName.returns('PENDING');
+            mockEnumValueDeclaration.hasCode.returns(false);
+
+            goVisit.visitEnumValueDeclaration(mockEnumValueDeclaration, Object.assign({}, param, { enumCodeType: 'string' }));
+
+            param.fileWriter.writeLine.withArgs(1, 'PENDING Status = "PENDING"').calledOnce.should.be.ok;
+        });
     });
 
     describe('visitRelationship', () => {
@@ -502,6 +660,16 @@ describe('GoLangVisitor', function () {
             goVisit.toGoType('Long').should.deep.equal('int64');
         });
 
+        it('should return string for Decimal', () => {
+            goVisit.toGoType('Decimal').should.deep.equal('string');
+        });
+
+        it('should return string for Date, Time and Duration', () => {
+            goVisit.toGoType('Date').should.deep.equal('string');
+            goVisit.toGoType('Time').should.deep.equal('string');
+            goVisit.toGoType('Duration').should.deep.equal('string');
+        });
+
         it('should return int32 for Integer', () => {
             goVisit.toGoType('Integer').should.deep.equal('int32');
         });
@@ -516,4 +684,57 @@ describe('GoLangVisitor', function () {
             goVisit.toGoPackageName('some.dotted.sequence').should.deep.equal('somedotted.sequence');
         });
     });
+
+    describe('generics', () => {
+        it('should write the type arguments of fields', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.other
+            concept Money {
+                o Double amount
+            }`);
+            modelManager.addModelFile(`namespace org.acme
+            import org.other.Money
+            concept Page<T> {
+                o T[] items
+                o Integer total
+            }
+            concept Pair<K, V> {
+                o K key
+                o V value
+                o Page<V> more optional
+            }
+            concept Order {
+                o String ref
+            }
+            scalar Email extends String
+            asset Shop identified by id {
+                o String id
+                o Page<Order> orders
+                o Pair<String, Money> price
+                o Page<Email> contacts
+            }`);
+            goVisit.visit(modelManager, param);
+            param.fileWriter.writeLine.withArgs(1, 'Orders Page[Order] `json:"orders"`').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'Price Pair[string, Money] `json:"price"`').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'Contacts Page[string] `json:"contacts"`').calledOnce.should.be.ok;
+        });
+
+        it('should declare the type parameters of a generic struct', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            concept Pair<K, V> {
+                o K key
+                o V value
+            }`);
+            goVisit.visitClassDeclaration(modelManager.getType('org.acme.Pair'), param);
+            param.fileWriter.writeLine.withArgs(0, 'type Pair[K, V any] struct {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'Key K `json:"key"`').calledOnce.should.be.ok;
+        });
+    });
 });
\ No newline at end of file
@@ -52,6 +52,18 @@ asset Vehicle {
 }
 `;
 
+const MODEL_WITH_STRUCTURED_DECORATORS = `
+namespace test
+
+concept Address {
+}
+
+asset Vehicle {
+  @form( "tags", ["a", "b"], "sizes", [1, 2], "empty", [], "layout", { width: 10, label: "Make", ref: Address[], "min-width": 5, "2x": true } )
+  o String make
+}
+`;
+
 describe('GraphQLVisitor', function () {
     let graphQLVisitor;
     let mockFileWriter;
@@ -160,7 +172,8 @@ describe('GraphQLVisitor', function () {
 
             graphQLVisitor.visitModelManager(mockModelManagerDefinition, param);
             param.fileWriter.openFile.withArgs('model.gql').calledOnce.should.be.ok;
-            param.fileWriter.writeLine.callCount.should.deep.equal(1);
+            param.fileWriter.writeLine.callCount.should.deep.equal(4);
+            param.fileWriter.writeLine.withArgs(0, 'scalar Date').calledOnce.should.be.ok;
             param.fileWriter.closeFile.calledOnce.should.be.ok;
             acceptSpy.withArgs(graphQLVisitor, param).calledTwice.should.be.ok;
         });
@@ -202,6 +215,7 @@ describe('GraphQLVisitor', function () {
 
             let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
             mockClassDeclaration._isClassDeclaration = true;
+            mockClassDeclaration.getAllSuperTypeDeclarations.returns([]);
             mockClassDeclaration.getName.returns('Person');
             mockClassDeclaration.getFullyQualifiedName.returns('org.acme.Person');
             mockClassDeclaration.getProperties.returns([{
@@ -220,6 +234,34 @@ describe('GraphQLVisitor', function () {
             acceptSpy.withArgs(graphQLVisitor, param).calledTwice.should.be.ok;
         });
 
+        it('should write the description of a documented class before the type', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+            mockClassDeclaration._isClassDeclaration = true;
+            mockClassDeclaration.getAllSuperTypeDeclarations.returns([]);
+            mockClassDeclaration.getName.returns('Person');
+            mockClassDeclaration.getFullyQualifiedName.returns('org.acme.Person');
+            mockClassDeclaration.getProperties.returns([{
+                accept: sinon.spy()
+            }]);
+            mockClassDeclaration.getDescription.returns('A person.\n\nQuoted as """Bob""".');
+
+            graphQLVisitor.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [0, '"""'],
+                [0, 'A person.'],
+                [0, ''],
+                [0, 'Quoted as \\"""Bob\\""".'],
+                [0, '"""'],
+                [0, 'type Person {'],
+                [0, '}']
+            ]);
+        });
+
         it('should write the class declaration for an enum', () => {
             let acceptSpy = sinon.spy();
 
@@ -229,6 +271,7 @@ describe('GraphQLVisitor', function () {
 
             let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
             mockClassDeclaration._isClassDeclaration = true;
+            mockClassDeclaration.getAllSuperTypeDeclarations.returns([]);
             mockClassDeclaration.getName.returns('Size');
             mockClassDeclaration.isEnum.returns(true);
             mockClassDeclaration.getFullyQualifiedName.returns('org.acme.Size');
@@ -257,6 +300,7 @@ describe('GraphQLVisitor', function () {
 
             let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
             mockClassDeclaration._isClassDeclaration = true;
+            mockClassDeclaration.getAllSuperTypeDeclarations.returns([]);
             mockClassDeclaration.getName.returns('Person');
             mockClassDeclaration.getFullyQualifiedName.returns('org.acme.Person');
             mockClassDeclaration.getProperties.returns([{
@@ -284,6 +328,7 @@ describe('GraphQLVisitor', function () {
             };
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getType.returns('string');
             mockField.getName.returns('Bob');
@@ -292,12 +337,62 @@ describe('GraphQLVisitor', function () {
             param.fileWriter.writeLine.withArgs(1, 'Bob: string!').calledOnce.should.be.ok;
         });
 
+        it('should write a line for a field of a type imported with an alias', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.getType.returns('VendorAddress');
+            mockField.isTypeAliased.returns(true);
+            mockField.getFullyQualifiedTypeName.returns('org.vendor.Address');
+            mockField.getName.returns('Bob');
+
+            graphQLVisitor.visitField(mockField, param);
+            param.fileWriter.writeLine.withArgs(1, 'Bob: Address!').calledOnce.should.be.ok;
+        });
+
+        it('should write a line for a field declared with a scalar type', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockScalarField = sinon.createStubInstance(Field);
+            mockScalarField._isField = true;
+            mockScalarField.getType.returns('Double');
+            mockScalarField.getName.returns('Bob');
+            let mockField = sinon.createStubInstance(Field);
+            mockField._isField = true;
+            mockField.getResolvedField.returns(mockScalarField);
+
+            graphQLVisitor.visitField(mockField, param);
+            param.fileWriter.writeLine.withArgs(1, 'Bob: Float!').calledOnce.should.be.ok;
+        });
+
+        it('should write a line for a Decimal field as a String, to keep its precision', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.getType.returns('Decimal');
+            mockField.getName.returns('Bob');
+
+            graphQLVisitor.visitField(mockField, param);
+            param.fileWriter.writeLine.withArgs(1, 'Bob: String!').calledOnce.should.be.ok;
+        });
+
         it('should write a line for a field (namespaces)', () => {
             let param = {
                 fileWriter: mockFileWriter
             };
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getType.returns('org.acme.Person');
             mockField.getName.returns('Bob');
@@ -314,6 +409,7 @@ describe('GraphQLVisitor', function () {
             };
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getType.returns('string');
             mockField.getName.returns('Bob');
@@ -322,6 +418,27 @@ describe('GraphQLVisitor', function () {
             graphQLVisitor.visitField(mockField, param);
             param.fileWriter.writeLine.withArgs(1, 'Bob: [string]!').calledOnce.should.be.ok;
         });
+
+        it('should write the description of a documented field before the field', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.getType.returns('string');
+            mockField.getName.returns('Bob');
+            mockField.getDescription.returns('The name of the person');
+
+            graphQLVisitor.visitField(mockField, param);
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [1, '"""'],
+                [1, 'The name of the person'],
+                [1, '"""'],
+                [1, 'Bob: string!']
+            ]);
+        });
     });
 
     describe('visitEnumValueDeclaration', () => {
@@ -337,6 +454,25 @@ describe('GraphQLVisitor', function () {
             graphQLVisitor.visitEnumValueDeclaration(mockEnumValueDecl, param);
             param.fileWriter.writeLine.withArgs(1, 'Bob').calledOnce.should.be.ok;
         });
+
+        it('should write the description of a documented enum value', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockEnumValueDecl = sinon.createStubInstance(EnumValueDeclaration);
+            mockEnumValueDecl._isEnumValueDeclaration = true;
+            mockEnumValueDecl.getName.returns('Bob');
+            mockEnumValueDecl.getDescription.returns('Bob is a value');
+
+            graphQLVisitor.visitEnumValueDeclaration(mockEnumValueDecl, param);
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [1, '"""'],
+                [1, 'Bob is a value'],
+                [1, '"""'],
+                [1, 'Bob']
+            ]);
+        });
     });
 
     describe('visitRelationship', () => {
@@ -355,6 +491,23 @@ describe('GraphQLVisitor', function () {
             param.fileWriter.writeLine.withArgs(1, '+ string Bob');
         });
 
+        it('should write a line for a relationship to a type imported with an alias', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockRelationship = sinon.createStubInstance(RelationshipDeclaration);
+            mockRelationship._isRelationshipDeclaration = true;
+            mockRelationship.getType.returns('VendorAddress');
+            mockRelationship.isTypeAliased.returns(true);
+            mockRelationship.getFullyQualifiedTypeName.returns('org.vendor.Address');
+            mockRelationship.getName.returns('Bob');
+
+            graphQLVisitor.visitRelationship(mockRelationship, param);
+
+            param.fileWriter.writeLine.withArgs(1, 'Bob: ID! # Address').calledOnce.should.be.ok;
+        });
+
         it('should write a line for a relationship thats an array', () => {
             let param = {
                 fileWriter: mockFileWriter
@@ -372,6 +525,32 @@ describe('GraphQLVisitor', function () {
         });
     });
 
+    describe('mixins', () => {
+        it('should write the mixins as interfaces, implemented by the types that mix them in', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            concept Tracked {
+                o String trackingId
+            }
+            concept Auditable with Tracked {
+                o String createdBy
+            }
+            concept Person with Auditable {
+                o String name
+            }
+            concept Employee extends Person {
+            }`);
+            graphQLVisitor.visit(modelManager, param);
+            param.fileWriter.writeLine.withArgs(0, 'interface Tracked {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, 'interface Auditable implements Tracked {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, 'type Person implements Auditable & Tracked {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, 'type Employee implements Auditable & Tracked {').calledOnce.should.be.ok;
+        });
+    });
+
     describe('decorators', () => {
         it('should create directives for decorators', () => {
             let param = {
@@ -388,5 +567,105 @@ float: Float
 ref: String
 arrayRef: String) on OBJECT | FIELD_DEFINITION`]);
         });
+
+        it('should write array and object arguments of decorators as lists and input objects', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(MODEL_WITH_STRUCTURED_DECORATORS);
+            graphQLVisitor.visit(modelManager, param);
+            param.fileWriter.writeBeforeLine.getCall(0).args.should.deep.equal([0, `directive @form(tags: [String]
+sizes: [Int]
+empty: [String]
+layout: String) on OBJECT | FIELD_DEFINITION`]);
+            param.fileWriter.writeLine.withArgs(1, 'make: String! @form(tags: ["a", "b"],sizes: [1, 2],empty: [],layout: {width: 10, label: "Make", ref: "Address[]", min_width: 5, _2x: true})').calledOnce.should.be.ok;
+        });
+    });
+
+    describe('generics', () => {
+        it('should write a type for each set of type arguments of a generic concept', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.other
+            concept Money {
+                o Double amount
+            }`);
+            modelManager.addModelFile(`namespace org.acme
+            import org.other.Money
+            concept Page<T> {
+                o T[] items
+                o Integer total
+            }
+            concept Pair<K, V> {
+                o K key
+                o V value
+                o Page<V> more optional
+            }
+            concept Order {
+                o String ref
+            }
+            asset Shop identified by id {
+                o String id
+                o Page<Order> orders
+                o Pair<String, Money> price
+            }`);
+            graphQLVisitor.visit(modelManager, param);
+            param.fileWriter.writeLine.withArgs(0, 'type Page_Order {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, 'type Pair_String_Money {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, 'type Page_Money {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'orders: Page_Order!').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'price: Pair_String_Money!').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'more: Page_Money').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, 'type Page {').called.should.be.false;
+        });
+
+        it('should write the types expanded from generic concepts with their namespaces', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            graphQLVisitor = new GraphQLVisitor(true);
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            concept Page<T> {
+                o T[] items
+            }
+            concept Order {
+                o String ref
+            }
+            asset Shop identified by id {
+                o String id
+                o Page<Order> orders
+            }`);
+            graphQLVisitor.visit(modelManager, param);
+            param.fileWriter.writeLine.withArgs(0, 'type org_acme_Page_org_acme_Order {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'orders: org_acme_Page_org_acme_Order!').calledOnce.should.be.ok;
+        });
+    });
+
+    describe('inverse relationships', () => {
+        it('should write the inverse of a relationship as a directive', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            participant Customer identified by id {
+                o String id
+                --> Order[] orders optional
+            }
+            asset Order identified by orderId {
+                o String orderId
+                --> Customer customer inverse orders
+                --> Order[] related
+            }`);
+            graphQLVisitor.visit(modelManager, param);
+            param.fileWriter.writeLine.withArgs(1, 'orders: [ID] @inverse(field: "customer") # Order').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'customer: ID! @inverse(field: "orders") # Customer').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'related: [ID]! # Order').calledOnce.should.be.ok;
+            param.fileWriter.writeBeforeLine.withArgs(0, 'directive @inverse(field: String!) on FIELD_DEFINITION').calledOnce.should.be.ok;
+        });
     });
 });
\ No newline at end of file
@@ -98,6 +98,12 @@ describe('JavaMissingPlugin', function () {
             mockClassDeclaration.getModelFile.returns({
                 getImports: () => {
                     return ['oranges', 'apples'];
+                },
+                getType: () => {
+                    return null;
+                },
+                getImportAliases: () => {
+                    return {};
                 }
             });
             mockClassDeclaration.getOwnProperties.returns([{
@@ -109,7 +115,7 @@ describe('JavaMissingPlugin', function () {
             mockClassDeclaration.isConcept.returns(false);
             mockClassDeclaration.isAbstract.returns(false);
             mockClassDeclaration.getSuperType.returns(false);
-            mockClassDeclaration.getIdentifierFieldName.returns(false);
+            mockClassDeclaration.getIdentifierFieldNames.returns([]);
 
             sinon.stub(javaVisit, 'startClassFile');
             sinon.stub(javaVisit, 'endClassFile');
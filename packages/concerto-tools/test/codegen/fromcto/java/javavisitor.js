@@ -27,6 +27,7 @@ const Field = require('@accordproject/concerto-core').Field;
 const ModelFile = require('@accordproject/concerto-core').ModelFile;
 const ModelManager = require('@accordproject/concerto-core').ModelManager;
 const RelationshipDeclaration = require('@accordproject/concerto-core').RelationshipDeclaration;
+const ScalarDeclaration = require('@accordproject/concerto-core').ScalarDeclaration;
 const fileWriter = require('../../../../lib/filewriter');
 
 describe('JavaVisitor', function () {
@@ -262,6 +263,70 @@ describe('JavaVisitor', function () {
             param.fileWriter.writeLine.getCall(3).args.should.deep.equal([0, '}']);
             mockEndClassFile.withArgs(mockEnumDeclaration, param).calledOnce.should.be.ok;
         });
+
+        it('should write a constructor and an accessor for the codes of an enum with codes', () => {
+            let acceptSpy = sinon.spy();
+
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockEnumDeclaration = sinon.createStubInstance(EnumDeclaration);
+            mockEnumDeclaration._isEnumDeclaration = true;
+            mockEnumDeclaration.getName.returns('Bob');
+            mockEnumDeclaration.hasCodes.returns(true);
+            mockEnumDeclaration.getOwnProperties.returns([{
+                accept: acceptSpy,
+                hasCode: () => true,
+                getCode: () => 'A'
+            },
+            {
+                accept: acceptSpy,
+                hasCode: () => false
+            }]);
+
+            sinon.stub(javaVisit, 'startClassFile');
+            sinon.stub(javaVisit, 'endClassFile');
+
+            javaVisit.visitEnumDeclaration(mockEnumDeclaration, param);
+
+            acceptSpy.withArgs(javaVisit, { fileWriter: mockFileWriter, enumCodeType: 'String' }).calledTwice.should.be.ok;
+            param.fileWriter.writeLine.getCalls().map(call => call.args).slice(3).should.deep.equal([
+                [1, ';'],
+                [1, 'private final String code;'],
+                [1, 'private Bob(String code) {'],
+                [2, 'this.code = code;'],
+                [1, '}'],
+                [1, 'public String getCode() {'],
+                [2, 'return this.code;'],
+                [1, '}'],
+                [0, '}']
+            ]);
+        });
+
+        it('should use an int code for an enum with numeric codes', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockEnumDeclaration = sinon.createStubInstance(EnumDeclaration);
+            mockEnumDeclaration._isEnumDeclaration = true;
+            mockEnumDeclaration.getName.returns('Bob');
+            mockEnumDeclaration.hasCodes.returns(true);
+            mockEnumDeclaration.getOwnProperties.returns([{
+                accept: sinon.spy(),
+                hasCode: () => true,
+                getCode: () => 1
+            }]);
+
+            sinon.stub(javaVisit, 'startClassFile');
+            sinon.stub(javaVisit, 'endClassFile');
+
+            javaVisit.visitEnumDeclaration(mockEnumDeclaration, param);
+
+            param.fileWriter.writeLine.withArgs(1, 'private final int code;').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'public int getCode() {').calledOnce.should.be.ok;
+        });
     });
 
     describe('visitClassDeclaration', () => {
@@ -283,6 +348,12 @@ describe('JavaVisitor', function () {
             mockClassDeclaration.getModelFile.returns({
                 getImports: () => {
                     return ['oranges', 'apples'];
+                },
+                getType: () => {
+                    return null;
+                },
+                getImportAliases: () => {
+                    return {};
                 }
             });
             mockClassDeclaration.getOwnProperties.returns([{
@@ -294,7 +365,7 @@ describe('JavaVisitor', function () {
             mockClassDeclaration.isConcept.returns(false);
             mockClassDeclaration.isAbstract.returns(false);
             mockClassDeclaration.getSuperType.returns(false);
-            mockClassDeclaration.getIdentifierFieldName.returns(false);
+            mockClassDeclaration.getIdentifierFieldNames.returns([]);
 
             mockStartClassFile = sinon.stub(javaVisit, 'startClassFile');
             mockEndClassFile = sinon.stub(javaVisit, 'endClassFile');
@@ -315,6 +386,28 @@ describe('JavaVisitor', function () {
             mockEndClassFile.withArgs(mockClassDeclaration, param).calledOnce.should.be.ok;
         });
 
+        it('should not write imports for scalar types', () => {
+            const mockScalarDeclaration = sinon.createStubInstance(ScalarDeclaration);
+            mockScalarDeclaration._isScalarDeclaration = true;
+            mockClassDeclaration.getModelFile.returns({
+                getImports: () => {
+                    return ['org.acme.Person', 'org.acme.Email'];
+                },
+                getType: (type) => {
+                    return type === 'Email' ? mockScalarDeclaration : null;
+                },
+                getImportAliases: () => {
+                    return {};
+                }
+            });
+
+            javaVisit.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.callCount.should.deep.equal(3);
+            param.fileWriter.writeLine.getCall(0).args.should.deep.equal([0, 'import org.acme.Person;']);
+            param.fileWriter.writeLine.getCall(1).args.should.deep.equal([0, 'public class Bob {']);
+        });
+
         it('should write a concept class declaration and call accept on each property', () => {
             mockClassDeclaration.isConcept.returns(true);
 
@@ -335,6 +428,24 @@ describe('JavaVisitor', function () {
             mockEndClassFile.withArgs(mockClassDeclaration, param).calledOnce.should.be.ok;
         });
 
+        it('should write the Javadoc of a documented concept before its annotations', () => {
+            mockClassDeclaration.isConcept.returns(true);
+            mockClassDeclaration.getDescription.returns('A person.\n\nKnown as Bob.');
+
+            javaVisit.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.getCalls().map(call => call.args).slice(3, 11).should.deep.equal([
+                [0, ''],
+                [0, '/**'],
+                [0, ' * A person.'],
+                [0, ' *'],
+                [0, ' * Known as Bob.'],
+                [0, ' */'],
+                [0, '@JsonIgnoreProperties({"$class"})'],
+                [0, 'public class Bob {']
+            ]);
+        });
+
         it('should write an abstract class declaration and call accept on each property', () => {
             mockClassDeclaration.isAbstract.returns(true);
 
@@ -385,8 +496,29 @@ describe('JavaVisitor', function () {
             mockEndClassFile.withArgs(mockClassDeclaration, param).calledOnce.should.be.ok;
         });
 
+        it('should refer to the types imported with an alias by their fully qualified names', () => {
+            mockClassDeclaration.getSuperType.returns('org.vendor.Party');
+            mockClassDeclaration.getModelFile.returns({
+                getImports: () => {
+                    return ['org.vendor.Party', 'org.vendor.Address', 'org.acme.Address'];
+                },
+                getType: () => {
+                    return null;
+                },
+                getImportAliases: () => {
+                    return { VendorParty: 'org.vendor.Party', VendorAddress: 'org.vendor.Address' };
+                }
+            });
+
+            javaVisit.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.callCount.should.deep.equal(3);
+            param.fileWriter.writeLine.getCall(0).args.should.deep.equal([0, 'import org.acme.Address;']);
+            param.fileWriter.writeLine.getCall(1).args.should.deep.equal([0, 'public class Bob extends org.vendor.Party {']);
+        });
+
         it('should write a class declaration, including a function to access the id field and call accept on each property', () => {
-            mockClassDeclaration.getIdentifierFieldName.returns('employeeID');
+            mockClassDeclaration.getIdentifierFieldNames.returns(['employeeID']);
             javaVisit.visitClassDeclaration(mockClassDeclaration, param);
 
             mockStartClassFile.withArgs(mockClassDeclaration, param).calledOnce.should.be.ok;
@@ -406,6 +538,133 @@ describe('JavaVisitor', function () {
             acceptSpy.withArgs(javaVisit, Object.assign({},param,{mode:'setter'})).calledTwice.should.be.ok;
             mockEndClassFile.withArgs(mockClassDeclaration, param).calledOnce.should.be.ok;
         });
+
+        it('should write a function to access a composite identifier, joining the values of the id fields', () => {
+            mockClassDeclaration.getIdentifierFieldNames.returns(['region', 'accountNumber']);
+            javaVisit.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.getCall(3).args.should.deep.equal([1, `
+   // the accessor for the identifying fields, separated by commas
+   public String getID() {
+      return java.util.stream.Stream.of(this.getRegion(), this.getAccountNumber())
+         .map((value) -> value.replace("%", "%25").replace(",", "%2C"))
+         .collect(java.util.stream.Collectors.joining(","));
+   }
+`]);
+        });
+
+        it('should implement the interfaces of the mixins and declare the properties they mix in', () => {
+            const inheritedAcceptSpy = sinon.spy();
+            const inherited = { accept: inheritedAcceptSpy };
+            const mixinAcceptSpy = sinon.spy();
+            mockClassDeclaration.getNamespace.returns('org.acme');
+            mockClassDeclaration.hasMixins.returns(true);
+            mockClassDeclaration.getMixinDeclarations.returns([
+                { getName: () => 'Auditable', getNamespace: () => 'org.acme' },
+                { getName: () => 'Addressable', getNamespace: () => 'org.other' }
+            ]);
+            mockClassDeclaration.getSuperTypeDeclaration.returns({ getProperties: () => [inherited] });
+            mockClassDeclaration.getMixinProperties.returns([inherited, { accept: mixinAcceptSpy }]);
+
+            javaVisit.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.getCall(2).args.should.deep.equal([0, 'public class Bob implements IAuditable, org.other.IAddressable {']);
+            acceptSpy.callCount.should.equal(6);
+            mixinAcceptSpy.withArgs(javaVisit, Object.assign({},param,{mode:'field'})).calledOnce.should.be.ok;
+            mixinAcceptSpy.withArgs(javaVisit, Object.assign({},param,{mode:'getter'})).calledOnce.should.be.ok;
+            mixinAcceptSpy.withArgs(javaVisit, Object.assign({},param,{mode:'setter'})).calledOnce.should.be.ok;
+            inheritedAcceptSpy.called.should.be.false;
+        });
+
+        it('should declare all the properties mixed in by a class that has no super type', () => {
+            const mixinAcceptSpy = sinon.spy();
+            mockClassDeclaration.getNamespace.returns('org.acme');
+            mockClassDeclaration.hasMixins.returns(true);
+            mockClassDeclaration.getMixinDeclarations.returns([
+                { getName: () => 'Auditable', getNamespace: () => 'org.acme' }
+            ]);
+            mockClassDeclaration.getSuperTypeDeclaration.returns(null);
+            mockClassDeclaration.getMixinProperties.returns([{ accept: mixinAcceptSpy }]);
+
+            javaVisit.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.getCall(2).args.should.deep.equal([0, 'public class Bob implements IAuditable {']);
+            mixinAcceptSpy.withArgs(javaVisit, Object.assign({},param,{mode:'field'})).calledOnce.should.be.ok;
+        });
+
+        it('should implement its own interface and write it if other classes mix it in', () => {
+            const mockWriteMixinInterface = sinon.stub(javaVisit, 'writeMixinInterface');
+            mockClassDeclaration.getNamespace.returns('org.acme');
+            mockClassDeclaration.isMixedIn.returns(true);
+
+            javaVisit.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.getCall(2).args.should.deep.equal([0, 'public class Bob implements IBob {']);
+            mockWriteMixinInterface.withArgs(mockClassDeclaration, param).calledOnce.should.be.ok;
+        });
+    });
+
+    describe('writeMixinInterface', () => {
+        it('should write the interface of a mixin, extending the interfaces of its own mixins', () => {
+            const param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            concept Tracked {
+                o String trackingId
+            }
+            /** Audited by a participant */
+            concept Auditable with Tracked {
+                o DateTime createdAt
+                --> Person createdBy
+            }
+            participant Person identified by id with Auditable {
+                o String id
+            }`);
+
+            javaVisit.writeMixinInterface(modelManager.getType('org.acme.Auditable'), param);
+
+            param.fileWriter.openFile.withArgs('org/acme/IAuditable.java').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.getCalls().map(call => call.args).slice(4).should.deep.equal([
+                [0, 'import concerto.Concept;'],
+                [0, 'import concerto.Asset;'],
+                [0, 'import concerto.Transaction;'],
+                [0, 'import concerto.Participant;'],
+                [0, 'import concerto.Event;'],
+                [0, '/**'],
+                [0, ' * Audited by a participant'],
+                [0, ' */'],
+                [0, 'public interface IAuditable extends ITracked {'],
+                [1, 'public java.util.Date getCreatedAt();'],
+                [1, 'public void setCreatedAt(java.util.Date createdAt);'],
+                [1, 'public Person getCreatedBy();'],
+                [1, 'public void setCreatedBy(Person createdBy);'],
+                [1, 'public String getTrackingId();'],
+                [1, 'public void setTrackingId(String trackingId);'],
+                [0, '}']
+            ]);
+            param.fileWriter.closeFile.calledOnce.should.be.ok;
+        });
+
+        it('should write the interface of a mixin that has no mixins', () => {
+            const param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            concept Tracked {
+                o String trackingId
+            }
+            concept Parcel with Tracked {
+                o Double weight
+            }`);
+
+            javaVisit.writeMixinInterface(modelManager.getType('org.acme.Tracked'), param);
+
+            param.fileWriter.writeLine.withArgs(0, 'public interface ITracked {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'public String getTrackingId();').calledOnce.should.be.ok;
+        });
     });
 
     describe('visitField', () => {
@@ -419,6 +678,7 @@ describe('JavaVisitor', function () {
 
         it('should default to write a line defining a field', () => {
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.isArray.returns(false);
             mockField.getName.returns('Bob');
@@ -430,8 +690,23 @@ describe('JavaVisitor', function () {
             param.fileWriter.writeLine.withArgs(1, 'private JavaType Bob;').calledOnce.should.be.ok;
         });
 
+        it('should write a line defining a field declared with a scalar type', () => {
+            let mockScalarField = sinon.createStubInstance(Field);
+            mockScalarField._isField = true;
+            mockScalarField.isArray.returns(false);
+            mockScalarField.getName.returns('Bob');
+            mockScalarField.getType.returns('Double');
+            let mockField = sinon.createStubInstance(Field);
+            mockField._isField = true;
+            mockField.getResolvedField.returns(mockScalarField);
+
+            javaVisit.visitField(mockField, param);
+            param.fileWriter.writeLine.withArgs(1, 'private double Bob;').calledOnce.should.be.ok;
+        });
+
         it('should default to write a line defining a field and add [] if an array', () => {
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.isArray.returns(true);
             mockField.getName.returns('Bob');
@@ -443,8 +718,52 @@ describe('JavaVisitor', function () {
             param.fileWriter.writeLine.withArgs(1, 'private JavaType[] Bob;').calledOnce.should.be.ok;
         });
 
+        it('should write a line defining a field of a type imported with an alias', () => {
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.isArray.returns(false);
+            mockField.getName.returns('Bob');
+            mockField.getType.returns('VendorAddress');
+            mockField.isTypeAliased.returns(true);
+            mockField.getFullyQualifiedTypeName.returns('org.vendor.Address');
+
+            javaVisit.visitField(mockField, param);
+            param.fileWriter.writeLine.withArgs(1, 'private org.vendor.Address Bob;').calledOnce.should.be.ok;
+        });
+
+        it('should default to write a line defining a map field', () => {
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.isArray.returns(false);
+            mockField.isMap.returns(true);
+            mockField.getMapKeyType.returns('Currency');
+            mockField.getName.returns('Bob');
+            mockField.getType.returns('Double');
+
+            javaVisit.visitField(mockField, param);
+            param.fileWriter.writeLine.withArgs(1, 'private java.util.Map<Currency, Double> Bob;').calledOnce.should.be.ok;
+        });
+
+        it('should write a line defining a map field keyed by a scalar', () => {
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.isArray.returns(false);
+            mockField.isMap.returns(true);
+            mockField.isMapKeyTypeScalar.returns(true);
+            mockField.getMapKeyType.returns('Sku');
+            mockField.getName.returns('Bob');
+            mockField.getType.returns('Integer');
+
+            javaVisit.visitField(mockField, param);
+            param.fileWriter.writeLine.withArgs(1, 'private java.util.Map<String, Integer> Bob;').calledOnce.should.be.ok;
+        });
+
         it('should write a line defining a field', () => {
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.isArray.returns(false);
             mockField.getName.returns('Bob');
@@ -458,6 +777,7 @@ describe('JavaVisitor', function () {
 
         it('should write a line defining a field and add [] if an array', () => {
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.isArray.returns(true);
             mockField.getName.returns('Bob');
@@ -469,8 +789,41 @@ describe('JavaVisitor', function () {
             param.fileWriter.writeLine.withArgs(1, 'private JavaType[] Bob;').calledOnce.should.be.ok;
         });
 
+        it('should write the Javadoc of a documented field before its definition', () => {
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.isArray.returns(false);
+            mockField.getName.returns('Bob');
+            mockField.getType.returns('String');
+            mockField.getDescription.returns('The name of the person');
+
+            javaVisit.visitField(mockField, Object.assign({},param,{mode:'field'}));
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [1, '/**'],
+                [1, ' * The name of the person'],
+                [1, ' */'],
+                [1, 'private String Bob;']
+            ]);
+        });
+
+        it('should not write the Javadoc of a documented field before its getter', () => {
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.isArray.returns(false);
+            mockField.getName.returns('Bob');
+            mockField.getType.returns('String');
+            mockField.getDescription.returns('The name of the person');
+
+            javaVisit.visitField(mockField, Object.assign({},param,{mode:'getter'}));
+            param.fileWriter.writeLine.callCount.should.deep.equal(3);
+            param.fileWriter.writeLine.getCall(0).args.should.deep.equal([1, 'public String getBob() {']);
+        });
+
         it('should write a line setting a field', () => {
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.isArray.returns(false);
             mockField.getName.returns('Bob');
@@ -487,6 +840,7 @@ describe('JavaVisitor', function () {
 
         it('should write a line setting a field and add [] if an array', () => {
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.isArray.returns(true);
             mockField.getName.returns('Bob');
@@ -503,6 +857,7 @@ describe('JavaVisitor', function () {
 
         it('should write a line getting a field', () => {
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.isArray.returns(false);
             mockField.getName.returns('Bob');
@@ -519,6 +874,7 @@ describe('JavaVisitor', function () {
 
         it('should write a line getting a field and add [] if an array', () => {
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.isArray.returns(true);
             mockField.getName.returns('Bob');
@@ -547,6 +903,57 @@ describe('JavaVisitor', function () {
             javaVisit.visitEnumValueDeclaration(mockEnumValueDeclaration, param);
             param.fileWriter.writeLine.withArgs(1, 'Bob,').calledOnce.should.be.ok;
         });
+
+        it('should write a line with the enum value and its code', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockEnumValueDeclaration = sinon.createStubInstance(EnumValueDeclaration);
+            mockEnumValueDeclaration._isEnumValueDeclaration = true;
+            mockEnumValueDeclaration.getName.returns('CLOSED');
+            mockEnumValueDeclaration.hasCode.returns(true);
+            mockEnumValueDeclaration.getCode.returns(9);
+
+            javaVisit.visitEnumValueDeclaration(mockEnumValueDeclaration, Object.assign({}, param, { enumCodeType: 'int' }));
+            javaVisit.visitEnumValueDeclaration(mockEnumValueDeclaration, Object.assign({}, param, { enumCodeType: 'String' }));
+            param.fileWriter.writeLine.withArgs(1, 'CLOSED(9),').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'CLOSED("9"),').calledOnce.should.be.ok;
+        });
+
+        it('should write a line with the enum value and its name as the code when it does not declare one', () => {
+            let param = {
+                fileWriter: mockFileWriter,
+                enumCodeType: 'String'
+            };
+
+            let mockEnumValueDeclaration = sinon.createStubInstance(EnumValueDeclaration);
+            mockEnumValueDeclaration._isEnumValueDeclaration = true;
+            mockEnumValueDeclaration.getName.returns('PENDING');
+            mockEnumValueDeclaration.hasCode.returns(false);
+
+            javaVisit.visitEnumValueDeclaration(mockEnumValueDeclaration, param);
+            param.fileWriter.writeLine.withArgs(1, 'PENDING("PENDING"),').calledOnce.should.be.ok;
+        });
+
+        it('should write the Javadoc of a documented enum value', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockEnumValueDeclaration = sinon.createStubInstance(EnumValueDeclaration);
+            mockEnumValueDeclaration._isEnumValueDeclaration = true;
+            mockEnumValueDeclaration.getName.returns('Bob');
+            mockEnumValueDeclaration.getDescription.returns('Bob is a value');
+
+            javaVisit.visitEnumValueDeclaration(mockEnumValueDeclaration, param);
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [1, '/**'],
+                [1, ' * Bob is a value'],
+                [1, ' */'],
+                [1, 'Bob,']
+            ]);
+        });
     });
 
     describe('visitRelationship', () => {
@@ -571,6 +978,36 @@ describe('JavaVisitor', function () {
             param.fileWriter.writeLine.withArgs(1, 'private JavaType Bob;').calledOnce.should.be.ok;
         });
 
+        it('should write a line defining a relationship to a type imported with an alias', () => {
+            let mockRelationship = sinon.createStubInstance(RelationshipDeclaration);
+            mockRelationship._isRelationshipDeclaration = true;
+            mockRelationship.isArray.returns(true);
+            mockRelationship.getName.returns('Bob');
+            mockRelationship.getType.returns('VendorAddress');
+            mockRelationship.isTypeAliased.returns(true);
+            mockRelationship.getFullyQualifiedTypeName.returns('org.vendor.Address');
+
+            javaVisit.visitRelationship(mockRelationship, param);
+            param.fileWriter.writeLine.withArgs(1, 'private org.vendor.Address[] Bob;').calledOnce.should.be.ok;
+        });
+
+        it('should write the Javadoc of a documented relationship before its definition', () => {
+            let mockRelationship = sinon.createStubInstance(RelationshipDeclaration);
+            mockRelationship._isRelationshipDeclaration = true;
+            mockRelationship.isArray.returns(false);
+            mockRelationship.getName.returns('Bob');
+            mockRelationship.getType.returns('Person');
+            mockRelationship.getDescription.returns('The owner');
+
+            javaVisit.visitRelationship(mockRelationship, Object.assign({},param,{mode:'field'}));
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [1, '/**'],
+                [1, ' * The owner'],
+                [1, ' */'],
+                [1, 'private Person Bob;']
+            ]);
+        });
+
         it('should default to write a line defining a field and add [] if an array', () => {
             let mockRelationship = sinon.createStubInstance(RelationshipDeclaration);
             mockRelationship._isRelationshipDeclaration = true;
@@ -695,6 +1132,16 @@ describe('JavaVisitor', function () {
             javaVisit.toJavaType('Long').should.deep.equal('long');
         });
 
+        it('should return java.math.BigDecimal for Decimal', () => {
+            javaVisit.toJavaType('Decimal').should.deep.equal('java.math.BigDecimal');
+        });
+
+        it('should return java.time types for Date, Time and Duration', () => {
+            javaVisit.toJavaType('Date').should.deep.equal('java.time.LocalDate');
+            javaVisit.toJavaType('Time').should.deep.equal('java.time.LocalTime');
+            javaVisit.toJavaType('Duration').should.deep.equal('java.time.Duration');
+        });
+
         it('should return int for Integer', () => {
             javaVisit.toJavaType('Integer').should.deep.equal('int');
         });
@@ -703,4 +1150,91 @@ describe('JavaVisitor', function () {
             javaVisit.toJavaType('Penguin').should.deep.equal('Penguin');
         });
     });
+
+    describe('toJavaObjectType', () => {
+        it('should return Boolean for Boolean', () => {
+            javaVisit.toJavaObjectType('Boolean').should.deep.equal('Boolean');
+        });
+
+        it('should return Double for Double', () => {
+            javaVisit.toJavaObjectType('Double').should.deep.equal('Double');
+        });
+
+        it('should return Long for Long', () => {
+            javaVisit.toJavaObjectType('Long').should.deep.equal('Long');
+        });
+
+        it('should return Integer for Integer', () => {
+            javaVisit.toJavaObjectType('Integer').should.deep.equal('Integer');
+        });
+
+        it('should return the Java type otherwise', () => {
+            javaVisit.toJavaObjectType('DateTime').should.deep.equal('java.util.Date');
+            javaVisit.toJavaObjectType('Penguin').should.deep.equal('Penguin');
+        });
+    });
+
+    describe('generics', () => {
+        it('should write generic classes and the type arguments of their fields', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.other
+            concept Money {
+                o Double amount
+            }`);
+            modelManager.addModelFile(`namespace org.acme
+            import org.other.Money
+            concept Page<T> {
+                o T[] items
+                o Integer total
+            }
+            concept Pair<K, V> {
+                o K key
+                o V value
+                o Page<V> more optional
+            }
+            concept Order {
+                o String ref
+            }
+            asset Shop identified by id {
+                o String id
+                o Page<Order> orders
+                o Pair<String, Money> price
+            }`);
+            javaVisit.visit(modelManager, param);
+            param.fileWriter.writeLine.withArgs(0, 'public class Page<T> extends Concept {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, 'public class Pair<K, V> extends Concept {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'private Page<V> more;').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'private Page<Order> orders;').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'public Pair<String, Money> getPrice() {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'public void setOrders(Page<Order> orders) {').calledOnce.should.be.ok;
+        });
+
+        it('should write the type arguments of scalar types and of types imported with an alias', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.other
+            concept Money {
+                o Double amount
+            }`);
+            modelManager.addModelFile(`namespace org.acme
+            import org.other.{Money as Cash}
+            concept Page<T> {
+                o T[] items
+            }
+            scalar Email extends String
+            asset Shop identified by id {
+                o String id
+                o Page<Email> contacts
+                o Page<Cash> prices
+            }`);
+            javaVisit.visit(modelManager, param);
+            param.fileWriter.writeLine.withArgs(1, 'private Page<String> contacts;').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'private Page<org.other.Money> prices;').calledOnce.should.be.ok;
+        });
+    });
 });
\ No newline at end of file
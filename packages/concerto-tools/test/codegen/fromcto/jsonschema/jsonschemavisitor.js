@@ -29,8 +29,15 @@ const RecursionDetectionVisitor = require('../../../../lib/codegen/fromcto/jsons
 const MODEL_BOUNDS = `
 namespace test
 
+participant Person identified by id {
+  o String id
+}
+
 concept Test {
   o String myString regex=/abc.*/
+  o String myCode regex=/[A-Z]+/ length=[2,4]
+  o String myMinLength length=[1,]
+  o String myMaxLength length=[,255]
   o Integer intLowerUpper range=[-1,1]
   o Integer intLower range=[-1,]
   o Integer intUpper range=[,1]
@@ -40,6 +47,40 @@ concept Test {
   o Double doubleLowerUpper range=[-1.2,1.2]
   o Double doubleLower range=[-1.2,]
   o Double doubleUpper range=[,1.2]
+  o Decimal price
+  o Decimal discount scale=2
+  o Decimal units scale=0
+  o Date birthDate
+  o Time openingTime
+  o Duration notice
+  o String[1..3] tags
+  o Integer[..5] scores
+  --> Person[1..] owners
+}
+`;
+
+const MODEL_DOCUMENTED = `
+namespace test
+
+/** A person known to us */
+participant Person identified by id {
+  o String id
+  /** The name of the person */
+  o String name
+  /**
+   * The colour of the person.
+   * Unknown if omitted.
+   */
+  o Colour colour optional
+  /** The friends of the person */
+  --> Person[] friends optional
+}
+
+/** The colours */
+enum Colour {
+  /** The colour red */
+  o RED
+  o GREEN
 }
 `;
 
@@ -70,6 +111,76 @@ transaction MyRequest extends Base {
 }
 `;
 
+const MODEL_MAP = `
+namespace test
+
+enum Currency {
+  o USD
+  o EUR
+}
+
+concept Rate {
+  o Double value
+}
+
+scalar Sku extends String regex=/[A-Z]+-[0-9]+/ length=[3,8]
+scalar Code extends String length=[,4]
+scalar Label extends String
+
+concept PriceList {
+  o Map<String, Rate> rates
+  o Map<Currency, Double> totals
+  o Map<Sku, Integer> stock optional
+  o Map<Code, Integer> byCode optional
+  o Map<Label, Integer> byLabel optional
+}
+`;
+
+const MODEL_ENUM_CODES = `
+namespace test
+
+enum Status {
+  o ACTIVE = "A"
+  o CLOSED = 9
+  o PENDING
+}
+
+concept Account {
+  o Status status
+}
+`;
+
+const MODEL_SCALAR = `
+namespace test
+
+scalar Email extends String regex=/^[^@]+@[^@]+$/
+scalar Percentage extends Double default=10.0 range=[0.0,100.0]
+
+concept Contact {
+  o Email email
+  o Email[] others optional
+  o Percentage discount
+}
+`;
+
+const MODEL_GENERIC = `
+namespace test
+
+concept Page<T> {
+  o T[] items
+  o Integer total
+}
+
+concept Order {
+  o String ref
+}
+
+concept Catalog {
+  o Page<Order> orders
+  o Page<Integer> counts optional
+}
+`;
+
 const MODEL_SIMPLE_2 = `
 namespace test2
 
@@ -159,6 +270,31 @@ concept Person {
 }
 `;
 
+const MODEL_INVERSE = `
+namespace test
+
+participant Customer identified by id {
+  o String id
+  --> Order[] orders optional
+}
+
+asset Order identified by orderId {
+  o String orderId
+  --> Customer customer inverse orders
+  --> Order[] related optional
+}
+`;
+
+const MODEL_COMPOSITE = `
+namespace test
+
+asset Account identified by region, accountNumber {
+  o String region
+  o String accountNumber
+  o Double balance
+}
+`;
+
 describe('JSONSchema (samples)', function () {
 
     describe('samples', () => {
@@ -218,6 +354,261 @@ describe('JSONSchema (samples)', function () {
             expect(schema.properties.myString.pattern).equal('^abc.*$');
         });
 
+        it('should generate string lengths', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_BOUNDS );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.Test'});
+            expect(schema.properties.myCode).to.deep.equal({
+                type: 'string',
+                pattern: '^[A-Z]+$',
+                minLength: 2,
+                maxLength: 4
+            });
+            expect(schema.properties.myMinLength).to.deep.equal({ type: 'string', minLength: 1 });
+            expect(schema.properties.myMaxLength).to.deep.equal({ type: 'string', maxLength: 255 });
+
+            const ajv = new Ajv({ strict: false });
+            expect(ajv.validate(schema.properties.myCode, 'ABC')).equals(true);
+            expect(ajv.validate(schema.properties.myCode, 'ABCDE')).equals(false);
+            expect(ajv.validate(schema.properties.myMinLength, '')).equals(false);
+        });
+
+        it('should generate strings for decimals and large longs', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_BOUNDS );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.Test'});
+            expect(schema.properties.price).to.deep.equal({
+                type: 'string',
+                pattern: '^[+-]?\\d+(\\.\\d+)?$'
+            });
+            expect(schema.properties.longLower.type).to.deep.equal(['integer', 'string']);
+
+            const ajv = new Ajv({ strict: false });
+            expect(ajv.validate(schema.properties.price, '1234.50')).equals(true);
+            expect(ajv.validate(schema.properties.price, 1.5)).equals(false);
+            expect(ajv.validate(schema.properties.longLower, '9007199254740993')).equals(true);
+            expect(ajv.validate(schema.properties.longLower, '12.5')).equals(false);
+        });
+
+        it('should limit the fractional digits of decimals with a scale', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_BOUNDS );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.Test'});
+            expect(schema.properties.discount.pattern).equal('^[+-]?\\d+(\\.\\d{1,2}0*)?$');
+            expect(schema.properties.units.pattern).equal('^[+-]?\\d+(\\.0+)?$');
+
+            const ajv = new Ajv({ strict: false });
+            expect(ajv.validate(schema.properties.discount, '12.5')).equals(true);
+            expect(ajv.validate(schema.properties.discount, '12.500')).equals(true);
+            expect(ajv.validate(schema.properties.discount, '12.505')).equals(false);
+            expect(ajv.validate(schema.properties.units, '12')).equals(true);
+            expect(ajv.validate(schema.properties.units, '12.5')).equals(false);
+        });
+
+        it('should generate formats for dates, times and durations', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_BOUNDS );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.Test'});
+            expect(schema.properties.birthDate).to.deep.equal({ type: 'string', format: 'date' });
+            expect(schema.properties.openingTime).to.deep.equal({ type: 'string', format: 'time' });
+            expect(schema.properties.notice).to.deep.equal({ type: 'string', format: 'duration' });
+        });
+
+        it('should generate bounds on the number of items of arrays', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_BOUNDS );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.Test'});
+            expect(schema.properties.tags).to.deep.equal({
+                type: 'array',
+                items: { type: 'string' },
+                minItems: 1,
+                maxItems: 3
+            });
+            expect(schema.properties.scores.maxItems).to.equal(5);
+            expect(schema.properties.scores).to.not.have.property('minItems');
+            expect(schema.properties.owners.minItems).to.equal(1);
+
+            const ajv = new Ajv({ strict: false });
+            expect(ajv.validate(schema.properties.tags, ['a'])).equals(true);
+            expect(ajv.validate(schema.properties.tags, [])).equals(false);
+            expect(ajv.validate(schema.properties.tags, ['a', 'b', 'c', 'd'])).equals(false);
+        });
+
+        it('should generate the inverse of relationships', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_INVERSE );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.Order'});
+            expect(schema.properties.customer).to.deep.equal({
+                type: 'string',
+                description: 'The identifier of an instance of test.Customer',
+                $inverse: 'orders'
+            });
+            expect(schema.properties.related).to.not.have.property('$inverse');
+            expect(schema.definitions['test.Customer'].properties.orders.$inverse).to.equal('customer');
+        });
+
+        it('should describe each field of a composite identifier', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_COMPOSITE );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.Account'});
+            expect(schema.properties.region.description).to.equal('The instance identifier for this type');
+            expect(schema.properties.accountNumber.description).to.equal('The instance identifier for this type');
+            expect(schema.properties.balance).to.not.have.property('description');
+        });
+
+        it('should generate descriptions from documentation comments', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_DOCUMENTED );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.Person'});
+            expect(schema.description).to.equal('A person known to us');
+            expect(schema.properties.id.description).to.equal('The instance identifier for this type');
+            expect(schema.properties.name).to.deep.equal({ type: 'string', description: 'The name of the person' });
+            expect(schema.properties.colour).to.deep.equal({
+                $ref: '#/definitions/test.Colour',
+                description: 'The colour of the person.\nUnknown if omitted.'
+            });
+            expect(schema.properties.friends.description).to.equal('The friends of the person');
+            expect(schema.definitions['test.Colour'].description).to.equal('The colours');
+        });
+
+        it('should generate objects for map fields', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_MAP );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.PriceList'});
+            expect(schema.properties.rates).to.deep.equal({
+                type: 'object',
+                additionalProperties: { $ref: '#/definitions/test.Rate' }
+            });
+            expect(schema.properties.totals).to.deep.equal({
+                type: 'object',
+                additionalProperties: { type: 'number' },
+                propertyNames: { $ref: '#/definitions/test.Currency' }
+            });
+
+            const ajv = new Ajv({ strict: false });
+            expect(ajv.validate(schema, {
+                $class: 'test.PriceList',
+                rates: { spot: { $class: 'test.Rate', value: 1.2 } },
+                totals: { USD: 10.0 }
+            })).equals(true);
+            expect(ajv.validate(schema, {
+                $class: 'test.PriceList',
+                rates: {},
+                totals: { GBP: 10.0 }
+            })).equals(false);
+        });
+
+        it('should restrict the keys of scalar keyed maps to the regex and length of the scalar', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_MAP );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.PriceList'});
+            expect(schema.properties.stock).to.deep.equal({
+                type: 'object',
+                additionalProperties: { type: 'integer' },
+                propertyNames: { pattern: '^[A-Z]+-[0-9]+$', minLength: 3, maxLength: 8 }
+            });
+            expect(schema.properties.byCode.propertyNames).to.deep.equal({ maxLength: 4 });
+            expect(schema.properties.byLabel.propertyNames).to.be.undefined;
+
+            const ajv = new Ajv({ strict: false });
+            expect(ajv.validate(schema, {
+                $class: 'test.PriceList',
+                rates: {},
+                totals: {},
+                stock: { 'AB-1': 4 }
+            })).equals(true);
+            expect(ajv.validate(schema, {
+                $class: 'test.PriceList',
+                rates: {},
+                totals: {},
+                stock: { 'ab-1': 4 }
+            })).equals(false);
+        });
+
+        it('should inline map key types', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_MAP );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.PriceList', inlineTypes: true});
+            expect(schema.properties.totals.propertyNames.enum).to.deep.equal(['USD', 'EUR']);
+            expect(schema.properties.rates.additionalProperties.title).equal('Rate');
+        });
+
+        it('should accept the codes of enum values as well as their names', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_ENUM_CODES );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.Account'});
+            expect(schema.definitions['test.Status'].enum).to.deep.equal(['ACTIVE', 'CLOSED', 'PENDING', 'A', 9]);
+
+            const ajv = new Ajv({ strict: false });
+            expect(ajv.validate(schema, { $class: 'test.Account', status: 'ACTIVE' })).equals(true);
+            expect(ajv.validate(schema, { $class: 'test.Account', status: 9 })).equals(true);
+            expect(ajv.validate(schema, { $class: 'test.Account', status: 'B' })).equals(false);
+        });
+
+        it('should generate primitive types for scalar fields', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_SCALAR );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.Contact'});
+            expect(schema.properties.email.type).equal('string');
+            expect(schema.properties.others.items.type).equal('string');
+            expect(schema.properties.discount).to.deep.equal({
+                default: '10.0',
+                type: 'number',
+                minimum: 0,
+                maximum: 100
+            });
+            expect(schema.definitions).to.not.have.property('test.Email');
+
+            const ajv = new Ajv({ strict: false });
+            expect(ajv.validate(schema, {
+                $class: 'test.Contact',
+                email: 'alice@example.com',
+                others: ['bob@example.com'],
+                discount: 12.5
+            })).equals(true);
+            expect(ajv.validate(schema, {
+                $class: 'test.Contact',
+                email: 'alice',
+                discount: 12.5
+            })).equals(false);
+        });
+
+        it('should generate a definition for each type argument of a generic concept', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile( MODEL_GENERIC );
+            const visitor = new JSONSchemaVisitor();
+            const schema = modelManager.accept(visitor, { rootType: 'test.Catalog'});
+            expect(schema.properties.orders.$ref).equal('#/definitions/test.Page_Order');
+            expect(schema.properties.counts.$ref).equal('#/definitions/test.Page_Integer');
+            expect(schema.definitions['test.Page_Order'].properties.items.items.$ref).equal('#/definitions/test.Order');
+            expect(schema.definitions['test.Page_Integer'].properties.items.items.type).equal('integer');
+            expect(schema.definitions).to.not.have.property('test.Page');
+
+            const ajv = new Ajv({ strict: false });
+            expect(ajv.validate(schema, {
+                $class: 'test.Catalog',
+                orders: { $class: 'test.Page', items: [{ $class: 'test.Order', ref: 'A1' }], total: 1 },
+                counts: { $class: 'test.Page', items: [1, 2], total: 2 }
+            })).equals(true);
+            expect(ajv.validate(schema, {
+                $class: 'test.Catalog',
+                orders: { $class: 'test.Page', items: [1], total: 1 }
+            })).equals(false);
+        });
+
         it('should inline types for simple model', () => {
             const modelManager = new ModelManager();
             modelManager.addModelFile( MODEL_SIMPLE );
@@ -637,6 +637,7 @@ describe('LoopbackVisitor', () => {
             mockClassDeclaration._isClassDeclaration = true;
             mockClassDeclaration.getName.returns('Person');
             mockClassDeclaration.getFullyQualifiedName.returns('org.acme.Person');
+            mockClassDeclaration.getIdentifierFieldNames.returns([]);
             mockClassDeclaration.getProperties.returns([
                 {
                     getName: () => {
@@ -688,6 +689,7 @@ describe('LoopbackVisitor', () => {
             mockClassDeclaration._isClassDeclaration = true;
             mockClassDeclaration.getName.returns('Person');
             mockClassDeclaration.getFullyQualifiedName.returns('org.acme.Person');
+            mockClassDeclaration.getIdentifierFieldNames.returns([]);
             mockClassDeclaration.getProperties.returns([
                 {
                     getName: () => {
@@ -743,6 +745,7 @@ describe('LoopbackVisitor', () => {
             mockClassDeclaration._isClassDeclaration = true;
             mockClassDeclaration.getName.returns('Person');
             mockClassDeclaration.getFullyQualifiedName.returns('org.acme.Person');
+            mockClassDeclaration.getIdentifierFieldNames.returns([]);
             mockClassDeclaration.getNamespace.returns('org.acme');
             mockClassDeclaration.isAbstract.returns(true);
             mockClassDeclaration.getProperties.returns([
@@ -809,6 +812,7 @@ describe('LoopbackVisitor', () => {
             mockClassDeclaration._isClassDeclaration = true;
             mockClassDeclaration.getName.returns('Person');
             mockClassDeclaration.getFullyQualifiedName.returns('org.acme.Person');
+            mockClassDeclaration.getIdentifierFieldNames.returns([]);
             mockClassDeclaration.getProperties.returns([
                 {
                     getName: () => {
@@ -873,6 +877,7 @@ describe('LoopbackVisitor', () => {
             mockClassDeclaration._isClassDeclaration = true;
             mockClassDeclaration.getName.returns('Person');
             mockClassDeclaration.getFullyQualifiedName.returns('org.acme.Person');
+            mockClassDeclaration.getIdentifierFieldNames.returns([]);
             mockClassDeclaration.getProperties.returns([
                 {
                     getName: () => {
@@ -932,6 +937,7 @@ describe('LoopbackVisitor', () => {
             mockClassDeclaration._isClassDeclaration = true;
             mockClassDeclaration.getName.returns('Person');
             mockClassDeclaration.getFullyQualifiedName.returns('org.acme.Person');
+            mockClassDeclaration.getIdentifierFieldNames.returns([]);
             mockClassDeclaration.getProperties.returns([
                 {
                     getName: () => {
@@ -993,7 +999,7 @@ describe('LoopbackVisitor', () => {
             mockTransactionDeclaration._isTransactionDeclaration = true;
             mockTransactionDeclaration.getName.returns('Person');
             mockTransactionDeclaration.getFullyQualifiedName.returns('org.acme.Person');
-            mockTransactionDeclaration.getIdentifierFieldName.returns('Bob');
+            mockTransactionDeclaration.getIdentifierFieldNames.returns(['Bob']);
             mockTransactionDeclaration.getProperties.returns([
                 {
                     getName: () => {
@@ -1070,6 +1076,16 @@ describe('LoopbackVisitor', () => {
             LoopbackVisitor.toLoopbackType('Long').should.deep.equal('number');
         });
 
+        it('should return string for Decimal', () => {
+            LoopbackVisitor.toLoopbackType('Decimal').should.deep.equal('string');
+        });
+
+        it('should return string for Date, Time and Duration', () => {
+            LoopbackVisitor.toLoopbackType('Date').should.deep.equal('string');
+            LoopbackVisitor.toLoopbackType('Time').should.deep.equal('string');
+            LoopbackVisitor.toLoopbackType('Duration').should.deep.equal('string');
+        });
+
         it('should return number for Integer', () => {
             LoopbackVisitor.toLoopbackType('Integer').should.deep.equal('number');
         });
@@ -1084,13 +1100,14 @@ describe('LoopbackVisitor', () => {
             let param = {};
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getName.returns('Horse');
             mockField.isPrimitive.returns(true);
             mockField.getType.returns('String');
             mockField.getParent.returns({
-                getIdentifierFieldName: () => {
-                    return 'Farmer';
+                getIdentifierFieldNames: () => {
+                    return ['Farmer'];
                 }
             });
             mockField.isOptional.returns(false);
@@ -1101,17 +1118,42 @@ describe('LoopbackVisitor', () => {
             });
         });
 
+        it('should return a JSON schema for a field declared with a scalar type', () => {
+            let param = {};
+
+            let mockScalarField = sinon.createStubInstance(Field);
+            mockScalarField._isField = true;
+            mockScalarField.getName.returns('Horse');
+            mockScalarField.isPrimitive.returns(true);
+            mockScalarField.getType.returns('Integer');
+            mockScalarField.getParent.returns({
+                getIdentifierFieldNames: () => {
+                    return ['Farmer'];
+                }
+            });
+            mockScalarField.isOptional.returns(true);
+            let mockField = sinon.createStubInstance(Field);
+            mockField._isField = true;
+            mockField.getResolvedField.returns(mockScalarField);
+
+            loopbackVisit.visitField(mockField, param).should.deep.equal({
+                type: 'number',
+                required: false
+            });
+        });
+
         it('should return a JSON schema for a primitive with a default value and when it is an identifying field', () => {
             let param = {};
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getName.returns('Farmer');
             mockField.isPrimitive.returns(true);
             mockField.getType.returns('String');
             mockField.getParent.returns({
-                getIdentifierFieldName: () => {
-                    return 'Farmer';
+                getIdentifierFieldNames: () => {
+                    return ['Farmer'];
                 }
             });
             mockField.getDefaultValue.returns('Ploughed');
@@ -1139,6 +1181,7 @@ describe('LoopbackVisitor', () => {
             });
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getName.returns('Horse');
             mockField.isTypeEnum.returns(true);
@@ -1169,6 +1212,7 @@ describe('LoopbackVisitor', () => {
             });
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getName.returns('Horse');
             mockField.isTypeEnum.returns(true);
@@ -1198,6 +1242,7 @@ describe('LoopbackVisitor', () => {
             });
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getName.returns('Horse');
             mockField.getType.returns('Acreage');
@@ -1217,6 +1262,37 @@ describe('LoopbackVisitor', () => {
             mockModelFile.accept.withArgs(loopbackVisit, param).calledOnce.should.be.ok;
         });
 
+        it('should return a JSON schema for a class imported with an alias using its name', () => {
+            let param = {};
+
+            let mockModelFile = sinon.createStubInstance(ModelFile);
+            mockModelFile._isModelFile = true;
+            mockModelFile.getType.withArgs('HorseAcreage').returns({
+                accept: mockModelFile.accept
+            });
+
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.getName.returns('Horse');
+            mockField.getType.returns('HorseAcreage');
+            mockField.isTypeAliased.returns(true);
+            mockField.getFullyQualifiedTypeName.returns('org.acme.Horse.Acreage');
+            mockField.getParent.returns({
+                getModelFile: () => {
+                    return mockModelFile;
+                }
+            });
+            mockField.isOptional.returns(false);
+
+            loopbackVisit.visitField(mockField, param).should.deep.equal({
+                type: 'Acreage',
+                required: true
+            });
+
+            mockModelFile.accept.withArgs(loopbackVisit, param).calledOnce.should.be.ok;
+        });
+
         it('should return a JSON schema for a class using FQN', () => {
             let param = {};
 
@@ -1227,6 +1303,7 @@ describe('LoopbackVisitor', () => {
             });
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getName.returns('Horse');
             mockField.getType.returns('Acreage');
@@ -1260,6 +1337,7 @@ describe('LoopbackVisitor', () => {
             });
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getName.returns('Horse');
             mockField.getType.returns('Acreage');
@@ -1283,13 +1361,14 @@ describe('LoopbackVisitor', () => {
             let param = {};
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getName.returns('Horse');
             mockField.isPrimitive.returns(true);
             mockField.getType.returns('String');
             mockField.getParent.returns({
-                getIdentifierFieldName: () => {
-                    return 'Farmer';
+                getIdentifierFieldNames: () => {
+                    return ['Farmer'];
                 }
             });
             mockField.isOptional.returns(false);
@@ -1364,4 +1443,31 @@ describe('LoopbackVisitor', () => {
             });
         });
     });
+
+    describe('composite identifiers', () => {
+        it('should number the fields of a composite identifier by their position', () => {
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            asset Account identified by region, accountNumber {
+                o String region
+                o String accountNumber
+                o Double balance
+            }
+            transaction Transfer identified by bank, reference {
+                o String bank
+                o String reference
+            }`);
+            const schemas = modelManager.accept(new LoopbackVisitor(false), { fileWriter: sinon.createStubInstance(fileWriter) });
+
+            const account = schemas.find((schema) => schema.name === 'Account');
+            account.properties.region.id.should.equal(1);
+            account.properties.accountNumber.id.should.equal(2);
+            account.properties.balance.should.not.have.property('id');
+
+            const transfer = schemas.find((schema) => schema.name === 'Transfer');
+            transfer.forceId.should.be.true;
+            transfer.properties.bank.should.include({ id: 1, generated: true, required: false });
+            transfer.properties.reference.should.include({ id: 2, generated: true, required: false });
+        });
+    });
 });
\ No newline at end of file
@@ -525,6 +525,23 @@ describe('PlantUMLVisitor', function () {
 
             param.fileWriter.writeLine.withArgs(1, '+ string[] Bob').calledOnce.should.be.ok;
         });
+
+        it('should write a line for a field of a type imported with an alias', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockField = sinon.createStubInstance(Field);
+            mockField._isField = true;
+            mockField.getType.returns('VendorAddress');
+            mockField.isTypeAliased.returns(true);
+            mockField.getFullyQualifiedTypeName.returns('org.vendor.Address');
+            mockField.getName.returns('Bob');
+
+            plantUMLvisitor.visitField(mockField, param);
+
+            param.fileWriter.writeLine.withArgs(1, '+ Address Bob').calledOnce.should.be.ok;
+        });
     });
 
     describe('visitEnumValueDeclaration', () => {
@@ -559,6 +576,23 @@ describe('PlantUMLVisitor', function () {
             param.fileWriter.writeLine.withArgs(1, '+ string Bob');
         });
 
+        it('should write a line for a relationship to a type imported with an alias', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockRelationship = sinon.createStubInstance(RelationshipDeclaration);
+            mockRelationship._isRelationshipDeclaration = true;
+            mockRelationship.getType.returns('VendorAddress');
+            mockRelationship.isTypeAliased.returns(true);
+            mockRelationship.getFullyQualifiedTypeName.returns('org.vendor.Address');
+            mockRelationship.getName.returns('Bob');
+
+            plantUMLvisitor.visitRelationship(mockRelationship, param);
+
+            param.fileWriter.writeLine.withArgs(1, '+ Address Bob').calledOnce.should.be.ok;
+        });
+
         it('should write a line for a relationship thats an array', () => {
             let param = {
                 fileWriter: mockFileWriter
@@ -575,4 +609,94 @@ describe('PlantUMLVisitor', function () {
             param.fileWriter.writeLine.withArgs(1, '+ string Bob');
         });
     });
+
+    describe('generics', () => {
+        it('should write generic classes and the type arguments of their fields', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.other
+            concept Money {
+                o Double amount
+            }`);
+            modelManager.addModelFile(`namespace org.acme
+            import org.other.Money
+            concept Page<T> {
+                o T[] items
+                o Integer total
+            }
+            concept Pair<K, V> {
+                o K key
+                o V value
+                o Page<V> more optional
+            }
+            concept Order {
+                o String ref
+            }
+            asset Shop identified by id {
+                o String id
+                o Page<Order> orders
+                o Pair<String, Money> price
+            }`);
+            plantUMLvisitor.visit(modelManager, param);
+            param.fileWriter.writeLine.withArgs(0, 'class org.acme.Page<T> {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, 'class org.acme.Pair<K, V> {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, '+ Page<V> more').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, '+ Page<Order> orders').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, '+ Pair<String, Money> price').calledOnce.should.be.ok;
+        });
+    });
+
+    describe('inverse relationships', () => {
+        it('should write an association for each pair of inverse relationships', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            participant Customer identified by id {
+                o String id
+                --> Order[1..10] orders
+            }
+            asset Order identified by orderId {
+                o String orderId
+                --> Customer customer inverse orders
+                --> Order previous inverse next optional
+                --> Order next inverse previous optional
+                --> Order[] related
+            }`);
+            plantUMLvisitor.visit(modelManager, param);
+            param.fileWriter.writeLine.withArgs(1, '+ Order[] orders').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, 'org.acme.Customer "1" -- "1..10" org.acme.Order : orders / customer').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, 'org.acme.Order "0..1" -- "0..1" org.acme.Order : next / previous').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, 'org.acme.Order "1" -- "1" org.acme.Customer : customer / orders').called.should.be.false;
+            param.fileWriter.writeLine.withArgs(0, 'org.acme.Order "0..1" -- "0..1" org.acme.Order : previous / next').called.should.be.false;
+            param.fileWriter.writeLine.withArgs(0, sinon.match(/related/)).called.should.be.false;
+        });
+
+        it('should write the multiplicity of arrays from their number of items', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.acme
+            participant Team identified by id {
+                o String id
+                --> Player[2..2] captains
+                --> Player[] players
+                --> Player[..3] coaches
+            }
+            participant Player identified by id {
+                o String id
+                --> Team[1..] captainOf inverse captains
+                --> Team[] playsFor inverse players
+                --> Team coaches inverse coaches
+            }`);
+            plantUMLvisitor.visit(modelManager, param);
+            param.fileWriter.writeLine.withArgs(0, 'org.acme.Player "2" -- "1..*" org.acme.Team : captainOf / captains').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, 'org.acme.Player "*" -- "*" org.acme.Team : playsFor / players').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, 'org.acme.Player "0..3" -- "1" org.acme.Team : coaches / coaches').calledOnce.should.be.ok;
+        });
+    });
 });
\ No newline at end of file
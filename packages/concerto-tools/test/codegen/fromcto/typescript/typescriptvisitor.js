@@ -27,6 +27,7 @@ const Field = require('@accordproject/concerto-core').Field;
 const ModelFile = require('@accordproject/concerto-core').ModelFile;
 const ModelManager = require('@accordproject/concerto-core').ModelManager;
 const RelationshipDeclaration = require('@accordproject/concerto-core').RelationshipDeclaration;
+const ScalarDeclaration = require('@accordproject/concerto-core').ScalarDeclaration;
 const FileWriter = require('../../../../lib/filewriter');
 
 describe('TypescriptVisitor', function () {
@@ -122,6 +123,17 @@ describe('TypescriptVisitor', function () {
             mockSpecialVisit.calledWith(thing, param).should.be.ok;
         });
 
+        it('should return visitScalarDeclaration for a ScalarDeclaration', () => {
+            let thing = sinon.createStubInstance(ScalarDeclaration);
+            thing._isScalarDeclaration = true;
+            let mockSpecialVisit = sinon.stub(typescriptVisitor, 'visitScalarDeclaration');
+            mockSpecialVisit.returns('Goose');
+
+            typescriptVisitor.visit(thing, param).should.deep.equal('Goose');
+
+            mockSpecialVisit.calledWith(thing, param).should.be.ok;
+        });
+
         it('should throw an error when an unrecognised type is supplied', () => {
             let thing = 'Something of unrecognised type';
 
@@ -171,6 +183,15 @@ describe('TypescriptVisitor', function () {
                 isPrimitive: () => {
                     return false;
                 },
+                isTypeParameter: () => {
+                    return false;
+                },
+                hasTypeArguments: () => {
+                    return false;
+                },
+                isTypeAliased: () => {
+                    return false;
+                },
                 getFullyQualifiedTypeName: () => {
                     return 'org.org1.Property1';
                 }
@@ -180,6 +201,15 @@ describe('TypescriptVisitor', function () {
                 isPrimitive: () => {
                     return false;
                 },
+                isTypeParameter: () => {
+                    return false;
+                },
+                hasTypeArguments: () => {
+                    return false;
+                },
+                isTypeAliased: () => {
+                    return false;
+                },
                 getFullyQualifiedTypeName: () => {
                     return 'org.acme.Property2';
                 }
@@ -189,6 +219,12 @@ describe('TypescriptVisitor', function () {
                 isPrimitive: () => {
                     return true;
                 },
+                isTypeParameter: () => {
+                    return false;
+                },
+                hasTypeArguments: () => {
+                    return false;
+                },
                 getFullyQualifiedTypeName: () => {
                     return 'org.org2.Property3';
                 }
@@ -206,6 +242,7 @@ describe('TypescriptVisitor', function () {
                 mockEnum,
                 mockClassDeclaration
             ]);
+            mockModelFile.getScalarDeclarations.returns([]);
             mockModelFile.getImports.returns([
                 'org.org1.Import1',
                 'org.org1.Import2',
@@ -224,6 +261,88 @@ describe('TypescriptVisitor', function () {
             acceptSpy.withArgs(typescriptVisitor, param).calledTwice.should.be.ok;
         });
 
+        it('should import the types imported with an alias under their alias', () => {
+            let property1 = {
+                isPrimitive: () => {
+                    return false;
+                },
+                isTypeParameter: () => {
+                    return false;
+                },
+                hasTypeArguments: () => {
+                    return false;
+                },
+                isTypeAliased: () => {
+                    return true;
+                },
+                getType: () => {
+                    return 'VendorAddress';
+                },
+                getFullyQualifiedTypeName: () => {
+                    return 'org.vendor.Address';
+                }
+            };
+
+            let property2 = {
+                isPrimitive: () => {
+                    return false;
+                },
+                isTypeParameter: () => {
+                    return false;
+                },
+                hasTypeArguments: () => {
+                    return false;
+                },
+                isTypeAliased: () => {
+                    return false;
+                },
+                getFullyQualifiedTypeName: () => {
+                    return 'org.vendor.Party';
+                }
+            };
+
+            let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+            mockClassDeclaration._isClassDeclaration = true;
+            mockClassDeclaration.getProperties.returns([property1, property2]);
+
+            let mockModelFile = sinon.createStubInstance(ModelFile);
+            mockModelFile._isModelFile = true;
+            mockModelFile.getNamespace.returns('org.acme');
+            mockModelFile.getAllDeclarations.returns([mockClassDeclaration]);
+            mockModelFile.getScalarDeclarations.returns([]);
+            mockModelFile.getImports.returns([
+                'org.vendor.Address',
+                'org.vendor.Party'
+            ]);
+
+            typescriptVisitor.visitModelFile(mockModelFile, param);
+
+            param.fileWriter.writeLine.getCall(0).args.should.deep.equal([0, 'import {Address as VendorAddress,Party} from \'./org.vendor\';']);
+        });
+
+        it('should import the mixins that are imported from other namespaces', () => {
+            let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+            mockClassDeclaration._isClassDeclaration = true;
+            mockClassDeclaration.getProperties.returns([]);
+            mockClassDeclaration.hasMixins.returns(true);
+            mockClassDeclaration.getMixins.returns(['org.vendor.Auditable', 'org.vendor.Address']);
+
+            let mockModelFile = sinon.createStubInstance(ModelFile);
+            mockModelFile._isModelFile = true;
+            mockModelFile.getNamespace.returns('org.acme');
+            mockModelFile.getAllDeclarations.returns([mockClassDeclaration]);
+            mockModelFile.getScalarDeclarations.returns([]);
+            mockModelFile.getImportAliases.returns({ VendorAddress: 'org.vendor.Address' });
+            mockModelFile.getImports.returns([
+                'org.vendor.Auditable',
+                'org.vendor.Address'
+            ]);
+
+            typescriptVisitor.visitModelFile(mockModelFile, param);
+
+            param.fileWriter.writeLine.getCall(0).args.should.deep.equal([0, 'import {Auditable,Address as VendorAddress} from \'./org.vendor\';']);
+        });
+
         it('should write lines for the imports that are not in own namespace ignoring primitives and write lines for importing system type', () => {
             let acceptSpy = sinon.spy();
             let mockEnum = sinon.createStubInstance(EnumDeclaration);
@@ -235,6 +354,15 @@ describe('TypescriptVisitor', function () {
                 isPrimitive: () => {
                     return false;
                 },
+                isTypeParameter: () => {
+                    return false;
+                },
+                hasTypeArguments: () => {
+                    return false;
+                },
+                isTypeAliased: () => {
+                    return false;
+                },
                 getFullyQualifiedTypeName: () => {
                     return 'org.org1.Property1';
                 }
@@ -244,6 +372,15 @@ describe('TypescriptVisitor', function () {
                 isPrimitive: () => {
                     return false;
                 },
+                isTypeParameter: () => {
+                    return false;
+                },
+                hasTypeArguments: () => {
+                    return false;
+                },
+                isTypeAliased: () => {
+                    return false;
+                },
                 getFullyQualifiedTypeName: () => {
                     return 'org.acme.Property2';
                 }
@@ -253,6 +390,15 @@ describe('TypescriptVisitor', function () {
                 isPrimitive: () => {
                     return false;
                 },
+                isTypeParameter: () => {
+                    return false;
+                },
+                hasTypeArguments: () => {
+                    return false;
+                },
+                isTypeAliased: () => {
+                    return false;
+                },
                 getFullyQualifiedTypeName: () => {
                     return 'org.org1.Property3';
                 }
@@ -273,6 +419,7 @@ describe('TypescriptVisitor', function () {
                 mockEnum,
                 mockClassDeclaration
             ]);
+            mockModelFile.getScalarDeclarations.returns([]);
             mockModelFile.getImports.returns([
                 'org.org1.Import1',
                 'org.org1.Import2',
@@ -291,6 +438,49 @@ describe('TypescriptVisitor', function () {
 
             acceptSpy.withArgs(typescriptVisitor, param).calledTwice.should.be.ok;
         });
+
+        it('should call accept on each scalar declaration before the class declarations', () => {
+            let scalarAcceptSpy = sinon.spy();
+            let mockScalarDeclaration = sinon.createStubInstance(ScalarDeclaration);
+            mockScalarDeclaration._isScalarDeclaration = true;
+            mockScalarDeclaration.accept = scalarAcceptSpy;
+
+            let classAcceptSpy = sinon.spy();
+            let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+            mockClassDeclaration._isClassDeclaration = true;
+            mockClassDeclaration.getProperties.returns([]);
+            mockClassDeclaration.accept = classAcceptSpy;
+
+            let mockModelFile = sinon.createStubInstance(ModelFile);
+            mockModelFile._isModelFile = true;
+            mockModelFile.getNamespace.returns('org.acme.Person');
+            mockModelFile.getAllDeclarations.returns([mockClassDeclaration]);
+            mockModelFile.getScalarDeclarations.returns([mockScalarDeclaration]);
+            mockModelFile.getImports.returns([]);
+
+            typescriptVisitor.visitModelFile(mockModelFile, param);
+
+            scalarAcceptSpy.withArgs(typescriptVisitor, param).calledOnce.should.be.ok;
+            classAcceptSpy.withArgs(typescriptVisitor, param).calledOnce.should.be.ok;
+            scalarAcceptSpy.calledBefore(classAcceptSpy).should.be.ok;
+        });
+    });
+
+    describe('visitScalarDeclaration', () => {
+        it('should write a type alias for the primitive type', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockScalarDeclaration = sinon.createStubInstance(ScalarDeclaration);
+            mockScalarDeclaration._isScalarDeclaration = true;
+            mockScalarDeclaration.getName.returns('Percentage');
+            mockScalarDeclaration.getType.returns('Double');
+
+            typescriptVisitor.visitScalarDeclaration(mockScalarDeclaration, param);
+
+            param.fileWriter.writeLine.withArgs(1, 'export type Percentage = number;').calledOnce.should.be.ok;
+        });
     });
 
     describe('visitEnumDeclaration', () => {
@@ -319,6 +509,26 @@ describe('TypescriptVisitor', function () {
 
             acceptSpy.withArgs(typescriptVisitor, param).calledTwice.should.be.ok;
         });
+
+        it('should ask the values to write an initializer when a value declares a code', () => {
+            let acceptSpy = sinon.spy();
+
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockEnumDeclaration = sinon.createStubInstance(EnumDeclaration);
+            mockEnumDeclaration._isEnumDeclaration = true;
+            mockEnumDeclaration.getName.returns('Bob');
+            mockEnumDeclaration.hasCodes.returns(true);
+            mockEnumDeclaration.getOwnProperties.returns([{
+                accept: acceptSpy
+            }]);
+
+            typescriptVisitor.visitEnumDeclaration(mockEnumDeclaration, param);
+
+            acceptSpy.withArgs(typescriptVisitor, { fileWriter: mockFileWriter, enumCodes: true }).calledOnce.should.be.ok;
+        });
     });
 
     describe('visitClassDeclaration', () => {
@@ -362,6 +572,9 @@ describe('TypescriptVisitor', function () {
             mockClassDeclaration.getName.returns('Bob');
             mockClassDeclaration.isAbstract.returns(true);
             mockClassDeclaration.getSuperType.returns('org.acme.Person');
+            let mockModelFile = sinon.createStubInstance(ModelFile);
+            mockModelFile.getImportAliases.returns({});
+            mockClassDeclaration.getModelFile.returns(mockModelFile);
 
             typescriptVisitor.visitClassDeclaration(mockClassDeclaration, param);
 
@@ -370,6 +583,81 @@ describe('TypescriptVisitor', function () {
             param.fileWriter.writeLine.withArgs(1, '}').calledOnce.should.be.ok;
             acceptSpy.withArgs(typescriptVisitor, param).calledTwice.should.be.ok;
         });
+        it('should write a class that extends a super type imported with an alias', () => {
+            let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+            mockClassDeclaration._isClassDeclaration = true;
+            mockClassDeclaration.getOwnProperties.returns([]);
+            mockClassDeclaration.getName.returns('Bob');
+            mockClassDeclaration.getSuperType.returns('org.vendor.Person');
+            let mockModelFile = sinon.createStubInstance(ModelFile);
+            mockModelFile.getImportAliases.returns({ VendorPerson: 'org.vendor.Person' });
+            mockClassDeclaration.getModelFile.returns(mockModelFile);
+
+            typescriptVisitor.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.withArgs(1, 'export class Bob extends VendorPerson {').calledOnce.should.be.ok;
+        });
+        it('should write a class that implements its mixins and declares the properties they mix in', () => {
+            let acceptSpy = sinon.spy();
+            let inheritedAcceptSpy = sinon.spy();
+            const inherited = { accept: inheritedAcceptSpy };
+            let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+            mockClassDeclaration._isClassDeclaration = true;
+            mockClassDeclaration.getOwnProperties.returns([]);
+            mockClassDeclaration.getName.returns('Bob');
+            mockClassDeclaration.getSuperType.returns('org.acme.Person');
+            mockClassDeclaration.getSuperTypeDeclaration.returns({ getProperties: () => [inherited] });
+            mockClassDeclaration.hasMixins.returns(true);
+            mockClassDeclaration.getMixins.returns(['org.acme.Auditable', 'org.vendor.Address']);
+            mockClassDeclaration.getMixinProperties.returns([inherited, { accept: acceptSpy }]);
+            let mockModelFile = sinon.createStubInstance(ModelFile);
+            mockModelFile.getImportAliases.returns({ VendorAddress: 'org.vendor.Address' });
+            mockClassDeclaration.getModelFile.returns(mockModelFile);
+
+            typescriptVisitor.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.withArgs(1, 'export class Bob extends Person implements Auditable, VendorAddress {').calledOnce.should.be.ok;
+            acceptSpy.withArgs(typescriptVisitor, param).calledOnce.should.be.ok;
+            inheritedAcceptSpy.called.should.be.false;
+        });
+        it('should declare all the properties mixed in by a class that has no super type', () => {
+            let acceptSpy = sinon.spy();
+            let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+            mockClassDeclaration._isClassDeclaration = true;
+            mockClassDeclaration.getOwnProperties.returns([]);
+            mockClassDeclaration.getName.returns('Bob');
+            mockClassDeclaration.getSuperTypeDeclaration.returns(null);
+            mockClassDeclaration.hasMixins.returns(true);
+            mockClassDeclaration.getMixins.returns(['org.acme.Auditable']);
+            mockClassDeclaration.getMixinProperties.returns([{ accept: acceptSpy }]);
+            let mockModelFile = sinon.createStubInstance(ModelFile);
+            mockModelFile.getImportAliases.returns({});
+            mockClassDeclaration.getModelFile.returns(mockModelFile);
+
+            typescriptVisitor.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.withArgs(1, 'export class Bob implements Auditable {').calledOnce.should.be.ok;
+            acceptSpy.withArgs(typescriptVisitor, param).calledOnce.should.be.ok;
+        });
+        it('should write the description of a documented class before the class', () => {
+            let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+            mockClassDeclaration._isClassDeclaration = true;
+            mockClassDeclaration.getOwnProperties.returns([]);
+            mockClassDeclaration.getName.returns('Bob');
+            mockClassDeclaration.getDescription.returns('A person.\n\nKnown as Bob.');
+
+            typescriptVisitor.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [1, '/**'],
+                [1, ' * A person.'],
+                [1, ' *'],
+                [1, ' * Known as Bob.'],
+                [1, ' */'],
+                [1, 'export class Bob {'],
+                [1, '}']
+            ]);
+        });
     });
 
     describe('visitField', () => {
@@ -407,6 +695,39 @@ describe('TypescriptVisitor', function () {
 
             param.fileWriter.writeLine.withArgs(2, 'Bob: Human[];').calledOnce.should.be.ok;
         });
+
+        it('should write a line for field name and type thats a map', () => {
+            let mockField = sinon.createStubInstance(Field);
+            mockField._isField = true;
+            mockField.getName.returns('Bob');
+            mockField.getType.returns('Person');
+            mockField.isMap.returns(true);
+            mockField.getMapKeyType.returns('String');
+
+            let mockToType = sinon.stub(typescriptVisitor, 'toTsType');
+            mockToType.withArgs('Person').returns('Human');
+
+            typescriptVisitor.visitField(mockField, param);
+
+            param.fileWriter.writeLine.withArgs(2, 'Bob: { [key: string]: Human };').calledOnce.should.be.ok;
+        });
+
+        it('should write the description of a documented field before the field', () => {
+            let mockField = sinon.createStubInstance(Field);
+            mockField._isField = true;
+            mockField.getName.returns('Bob');
+            mockField.getType.returns('String');
+            mockField.getDescription.returns('The name of the person');
+
+            typescriptVisitor.visitField(mockField, param);
+
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [2, '/**'],
+                [2, ' * The name of the person'],
+                [2, ' */'],
+                [2, 'Bob: string;']
+            ]);
+        });
     });
 
     describe('visitEnumValueDeclaration', () => {
@@ -423,6 +744,62 @@ describe('TypescriptVisitor', function () {
 
             param.fileWriter.writeLine.withArgs(2, 'Bob,').calledOnce.should.be.ok;
         });
+
+        it('should write the description of a documented enum value', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockEnumValueDeclaration = sinon.createStubInstance(EnumValueDeclaration);
+            mockEnumValueDeclaration._isEnumValueDeclaration = true;
+            mockEnumValueDeclaration.getName.returns('Bob');
+            mockEnumValueDeclaration.getDescription.returns('Bob is a value');
+
+            typescriptVisitor.visitEnumValueDeclaration(mockEnumValueDeclaration, param);
+
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [2, '/**'],
+                [2, ' * Bob is a value'],
+                [2, ' */'],
+                [2, 'Bob,']
+            ]);
+        });
+
+        it('should write the code of an enum value as its initializer', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockEnumValueDeclaration = sinon.createStubInstance(EnumValueDeclaration);
+            mockEnumValueDeclaration._isEnumValueDeclaration = true;
+            mockEnumValueDeclaration.getName.returns('ACTIVE');
+            mockEnumValueDeclaration.hasCode.returns(true);
+            mockEnumValueDeclaration.getCode.returns('A');
+            typescriptVisitor.visitEnumValueDeclaration(mockEnumValueDeclaration, param);
+
+            mockEnumValueDeclaration.getName.returns('CLOSED');
+            mockEnumValueDeclaration.getCode.returns(9);
+            typescriptVisitor.visitEnumValueDeclaration(mockEnumValueDeclaration, param);
+
+            param.fileWriter.writeLine.withArgs(2, 'ACTIVE = "A",').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(2, 'CLOSED = 9,').calledOnce.should.be.ok;
+        });
+
+        it('should write the name of an enum value without a code as its initializer in an enum with codes', () => {
+            let param = {
+                fileWriter: mockFileWriter,
+                enumCodes: true
+            };
+
+            let mockEnumValueDeclaration = sinon.createStubInstance(EnumValueDeclaration);
+            mockEnumValueDeclaration._isEnumValueDeclaration = true;
+            mockEnumValueDeclaration.getName.returns('PENDING');
+            mockEnumValueDeclaration.hasCode.returns(false);
+
+            typescriptVisitor.visitEnumValueDeclaration(mockEnumValueDeclaration, param);
+
+            param.fileWriter.writeLine.withArgs(2, 'PENDING = "PENDING",').calledOnce.should.be.ok;
+        });
     });
 
     describe('visitRelationship', () => {
@@ -478,6 +855,14 @@ describe('TypescriptVisitor', function () {
         it('should return number for Long', () => {
             typescriptVisitor.toTsType('Long').should.deep.equal('number');
         });
+        it('should return string for Decimal', () => {
+            typescriptVisitor.toTsType('Decimal').should.deep.equal('string');
+        });
+        it('should return string for Date, Time and Duration', () => {
+            typescriptVisitor.toTsType('Date').should.deep.equal('string');
+            typescriptVisitor.toTsType('Time').should.deep.equal('string');
+            typescriptVisitor.toTsType('Duration').should.deep.equal('string');
+        });
         it('should return number for Integer', () => {
             typescriptVisitor.toTsType('Integer').should.deep.equal('number');
         });
@@ -485,5 +870,66 @@ describe('TypescriptVisitor', function () {
             typescriptVisitor.toTsType('Penguin').should.deep.equal('Penguin');
         });
     });
+
+    describe('generics', () => {
+        it('should write generic classes and the type arguments of their fields', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.other
+            concept Money {
+                o Double amount
+            }`);
+            modelManager.addModelFile(`namespace org.acme
+            import org.other.Money
+            concept Page<T> {
+                o T[] items
+                o Integer total
+            }
+            concept Pair<K, V> {
+                o K key
+                o V value
+                o Page<V> more optional
+            }
+            concept Order {
+                o String ref
+            }
+            asset Shop identified by id {
+                o String id
+                o Page<Order> orders
+                o Pair<String, Money> price
+            }`);
+            typescriptVisitor.visit(modelManager, param);
+            param.fileWriter.writeLine.withArgs(1, 'export class Page<T> extends Concept {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(1, 'export class Pair<K, V> extends Concept {').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(2, 'more: Page<V>;').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(2, 'orders: Page<Order>;').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(2, 'price: Pair<string, Money>;').calledOnce.should.be.ok;
+        });
+
+        it('should import the type arguments imported with an alias under their alias', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.other
+            concept Money {
+                o Double amount
+            }`);
+            modelManager.addModelFile(`namespace org.acme
+            import org.other.{Money as Cash}
+            concept Page<T> {
+                o T[] items
+            }
+            asset Shop identified by id {
+                o String id
+                o Page<Cash> prices
+            }`);
+            typescriptVisitor.visit(modelManager, param);
+            param.fileWriter.writeLine.withArgs(0, 'import {Money as Cash} from \'./org.other\';').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(2, 'prices: Page<Cash>;').calledOnce.should.be.ok;
+        });
+    });
 });
 
@@ -375,6 +375,26 @@ describe('XmlSchemaVisitor', function () {
             acceptSpy.withArgs(xmlSchemaVisitor, param).calledTwice.should.be.ok;
         });
 
+        it('should write the documentation of a documented class as its first child', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockClassDeclaration = sinon.createStubInstance(ClassDeclaration);
+            mockClassDeclaration._isClassDeclaration = true;
+            mockClassDeclaration.getName.returns('Person');
+            mockClassDeclaration.getOwnProperties.returns([]);
+            mockClassDeclaration.getDescription.returns('A person & <friend>');
+
+            xmlSchemaVisitor.visitClassDeclaration(mockClassDeclaration, param);
+
+            param.fileWriter.writeLine.getCall(0).args.should.deep.equal([0, '<xs:complexType name="Person">']);
+            param.fileWriter.writeLine.getCall(1).args.should.deep.equal([1, '<xs:annotation>']);
+            param.fileWriter.writeLine.getCall(2).args.should.deep.equal([2, '<xs:documentation>A person &amp; &lt;friend&gt;</xs:documentation>']);
+            param.fileWriter.writeLine.getCall(3).args.should.deep.equal([1, '</xs:annotation>']);
+            param.fileWriter.writeLine.getCall(4).args.should.deep.equal([1, '<xs:sequence>']);
+        });
+
         it('should write the class declaration for a class with a super type', () => {
             let acceptSpy = sinon.spy();
 
@@ -429,6 +449,7 @@ describe('XmlSchemaVisitor', function () {
             };
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getFullyQualifiedTypeName.returns('String');
             mockField.getName.returns('Bob');
@@ -437,12 +458,122 @@ describe('XmlSchemaVisitor', function () {
             param.fileWriter.writeLine.withArgs(2, '<xs:element name="Bob" type="xs:string"/>').calledOnce.should.be.ok;
         });
 
+        it('should write facets for a String field with a length', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.getFullyQualifiedTypeName.returns('String');
+            mockField.getName.returns('Bob');
+            mockField.isArray.returns(true);
+            mockField.getLengthValidator.returns({
+                getMinLength: () => 1,
+                getMaxLength: () => 255
+            });
+
+            xmlSchemaVisitor.visitField(mockField, param);
+            param.fileWriter.writeLine.getCall(0).args.should.deep.equal([2, '<xs:element name="Bob" minOccurs="0" maxOccurs="unbounded">']);
+            param.fileWriter.writeLine.getCall(1).args.should.deep.equal([3, '<xs:simpleType>']);
+            param.fileWriter.writeLine.getCall(2).args.should.deep.equal([4, '<xs:restriction base="xs:string">']);
+            param.fileWriter.writeLine.getCall(3).args.should.deep.equal([5, '<xs:minLength value="1"/>']);
+            param.fileWriter.writeLine.getCall(4).args.should.deep.equal([5, '<xs:maxLength value="255"/>']);
+            param.fileWriter.writeLine.getCall(5).args.should.deep.equal([4, '</xs:restriction>']);
+            param.fileWriter.writeLine.getCall(6).args.should.deep.equal([3, '</xs:simpleType>']);
+            param.fileWriter.writeLine.getCall(7).args.should.deep.equal([2, '</xs:element>']);
+        });
+
+        it('should write the documentation of a documented field', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.getFullyQualifiedTypeName.returns('String');
+            mockField.getName.returns('Bob');
+            mockField.getDescription.returns('The name of the person');
+
+            xmlSchemaVisitor.visitField(mockField, param);
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [2, '<xs:element name="Bob" type="xs:string">'],
+                [3, '<xs:annotation>'],
+                [4, '<xs:documentation>The name of the person</xs:documentation>'],
+                [3, '</xs:annotation>'],
+                [2, '</xs:element>']
+            ]);
+        });
+
+        it('should write the documentation of a documented field with a length before its type', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.getFullyQualifiedTypeName.returns('String');
+            mockField.getName.returns('Bob');
+            mockField.getDescription.returns('The name of the person');
+            mockField.getLengthValidator.returns({
+                getMinLength: () => 1,
+                getMaxLength: () => null
+            });
+
+            xmlSchemaVisitor.visitField(mockField, param);
+            param.fileWriter.writeLine.getCall(0).args.should.deep.equal([2, '<xs:element name="Bob">']);
+            param.fileWriter.writeLine.getCall(1).args.should.deep.equal([3, '<xs:annotation>']);
+            param.fileWriter.writeLine.getCall(4).args.should.deep.equal([3, '<xs:simpleType>']);
+        });
+
+        it('should only write the facets of the bounds of a length', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.getFullyQualifiedTypeName.returns('String');
+            mockField.getName.returns('Bob');
+            mockField.getLengthValidator.returns({
+                getMinLength: () => null,
+                getMaxLength: () => 10
+            });
+
+            xmlSchemaVisitor.visitField(mockField, param);
+            param.fileWriter.writeLine.withArgs(2, '<xs:element name="Bob">').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(5, '<xs:maxLength value="10"/>').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.callCount.should.equal(7);
+        });
+
+        it('should write a line for a field declared with a scalar type', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockScalarField = sinon.createStubInstance(Field);
+            mockScalarField._isField = true;
+            mockScalarField.getFullyQualifiedTypeName.returns('String');
+            mockScalarField.getName.returns('Bob');
+            let mockField = sinon.createStubInstance(Field);
+            mockField._isField = true;
+            mockField.getResolvedField.returns(mockScalarField);
+
+            xmlSchemaVisitor.visitField(mockField, param);
+            param.fileWriter.writeLine.withArgs(2, '<xs:element name="Bob" type="xs:string"/>').calledOnce.should.be.ok;
+        });
+
         it('should write a line for a Long field', () => {
             let param = {
                 fileWriter: mockFileWriter
             };
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getFullyQualifiedTypeName.returns('Long');
             mockField.getName.returns('Bob');
@@ -451,12 +582,47 @@ describe('XmlSchemaVisitor', function () {
             param.fileWriter.writeLine.withArgs(2, '<xs:element name="Bob" type="xs:long"/>').calledOnce.should.be.ok;
         });
 
+        it('should write a line for a Decimal field', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.getFullyQualifiedTypeName.returns('Decimal');
+            mockField.getName.returns('Bob');
+
+            xmlSchemaVisitor.visitField(mockField, param);
+            param.fileWriter.writeLine.withArgs(2, '<xs:element name="Bob" type="xs:decimal"/>').calledOnce.should.be.ok;
+        });
+
+        it('should write lines for Date, Time and Duration fields', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            ['Date', 'Time', 'Duration'].forEach((type) => {
+                let mockField = sinon.createStubInstance(Field);
+                mockField.getResolvedField.returns(mockField);
+                mockField._isField = true;
+                mockField.getFullyQualifiedTypeName.returns(type);
+                mockField.getName.returns(`my${type}`);
+                xmlSchemaVisitor.visitField(mockField, param);
+            });
+
+            param.fileWriter.writeLine.withArgs(2, '<xs:element name="myDate" type="xs:date"/>').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(2, '<xs:element name="myTime" type="xs:time"/>').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(2, '<xs:element name="myDuration" type="xs:duration"/>').calledOnce.should.be.ok;
+        });
+
         it('should write a line for a Double field', () => {
             let param = {
                 fileWriter: mockFileWriter
             };
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getFullyQualifiedTypeName.returns('Double');
             mockField.getName.returns('Bob');
@@ -471,6 +637,7 @@ describe('XmlSchemaVisitor', function () {
             };
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getFullyQualifiedTypeName.returns('DateTime');
             mockField.getName.returns('Bob');
@@ -485,6 +652,7 @@ describe('XmlSchemaVisitor', function () {
             };
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getFullyQualifiedTypeName.returns('Boolean');
             mockField.getName.returns('Bob');
@@ -499,6 +667,7 @@ describe('XmlSchemaVisitor', function () {
             };
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getFullyQualifiedTypeName.returns('Integer');
             mockField.getName.returns('Bob');
@@ -513,6 +682,7 @@ describe('XmlSchemaVisitor', function () {
             };
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getFullyQualifiedTypeName.returns('org.acme.Foo');
             mockField.getName.returns('Bob');
@@ -527,6 +697,7 @@ describe('XmlSchemaVisitor', function () {
             };
 
             let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
             mockField._isField = true;
             mockField.getFullyQualifiedTypeName.returns('String');
             mockField.getName.returns('Bob');
@@ -535,6 +706,24 @@ describe('XmlSchemaVisitor', function () {
             xmlSchemaVisitor.visitField(mockField, param);
             param.fileWriter.writeLine.withArgs(2, '<xs:element name="Bob" type="xs:string" minOccurs="0" maxOccurs="unbounded"/>').calledOnce.should.be.ok;
         });
+
+        it('should write a line for a field thats an array with bounds on the number of items', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockField = sinon.createStubInstance(Field);
+            mockField.getResolvedField.returns(mockField);
+            mockField._isField = true;
+            mockField.getFullyQualifiedTypeName.returns('String');
+            mockField.getName.returns('Bob');
+            mockField.isArray.returns(true);
+            mockField.getMinItems.returns(1);
+            mockField.getMaxItems.returns(10);
+
+            xmlSchemaVisitor.visitField(mockField, param);
+            param.fileWriter.writeLine.withArgs(2, '<xs:element name="Bob" type="xs:string" minOccurs="1" maxOccurs="10"/>').calledOnce.should.be.ok;
+        });
     });
 
     describe('visitEnumValueDeclaration', () => {
@@ -551,6 +740,27 @@ describe('XmlSchemaVisitor', function () {
 
             param.fileWriter.writeLine.withArgs(2, '<xs:enumeration value="Bob"/>').calledOnce.should.be.ok;
         });
+
+        it('should write the documentation of a documented enum value', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockEnumValueDecl = sinon.createStubInstance(EnumValueDeclaration);
+            mockEnumValueDecl._isEnumValueDeclaration = true;
+            mockEnumValueDecl.getName.returns('Bob');
+            mockEnumValueDecl.getDescription.returns('Bob is a value');
+
+            xmlSchemaVisitor.visitEnumValueDeclaration(mockEnumValueDecl, param);
+
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [2, '<xs:enumeration value="Bob">'],
+                [3, '<xs:annotation>'],
+                [4, '<xs:documentation>Bob is a value</xs:documentation>'],
+                [3, '</xs:annotation>'],
+                [2, '</xs:enumeration>']
+            ]);
+        });
     });
 
     describe('visitRelationship', () => {
@@ -583,5 +793,84 @@ describe('XmlSchemaVisitor', function () {
 
             param.fileWriter.writeLine.withArgs(1, '+ string Bob');
         });
+
+        it('should write a line for a relationship thats an array with a minimum number of items', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockRelationship = sinon.createStubInstance(RelationshipDeclaration);
+            mockRelationship._isRelationshipDeclaration = true;
+            mockRelationship.getFullyQualifiedTypeName.returns('org.acme.Person');
+            mockRelationship.getName.returns('Bob');
+            mockRelationship.isArray.returns(true);
+            mockRelationship.getMinItems.returns(1);
+            mockRelationship.getMaxItems.returns(null);
+
+            xmlSchemaVisitor.visitRelationship(mockRelationship, param);
+
+            param.fileWriter.writeLine.withArgs(2, '<xs:element name="Bob" type="org.acme:Person" minOccurs="1" maxOccurs="unbounded"/>').calledOnce.should.be.ok;
+        });
+
+        it('should write the documentation of a documented relationship', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+
+            let mockRelationship = sinon.createStubInstance(RelationshipDeclaration);
+            mockRelationship._isRelationshipDeclaration = true;
+            mockRelationship.getFullyQualifiedTypeName.returns('org.acme.Person');
+            mockRelationship.getName.returns('Bob');
+            mockRelationship.getDescription.returns('The owner');
+
+            xmlSchemaVisitor.visitRelationship(mockRelationship, param);
+
+            param.fileWriter.writeLine.getCalls().map(call => call.args).should.deep.equal([
+                [2, '<xs:element name="Bob" type="org.acme:Person">'],
+                [3, '<xs:annotation>'],
+                [4, '<xs:documentation>The owner</xs:documentation>'],
+                [3, '</xs:annotation>'],
+                [2, '</xs:element>']
+            ]);
+        });
+    });
+
+    describe('generics', () => {
+        it('should write a complex type for each set of type arguments of a generic concept', () => {
+            let param = {
+                fileWriter: mockFileWriter
+            };
+            const modelManager = new ModelManager();
+            modelManager.addModelFile(`namespace org.other
+            concept Money {
+                o Double amount
+            }`);
+            modelManager.addModelFile(`namespace org.acme
+            import org.other.Money
+            concept Page<T> {
+                o T[] items
+                o Integer total
+            }
+            concept Pair<K, V> {
+                o K key
+                o V value
+                o Page<V> more optional
+            }
+            concept Order {
+                o String ref
+            }
+            asset Shop identified by id {
+                o String id
+                o Page<Order> orders
+                o Pair<String, Money> price
+            }`);
+            xmlSchemaVisitor.visit(modelManager, param);
+            param.fileWriter.writeLine.withArgs(2, '<xs:element name="orders" type="org.acme:Page_Order"/>').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(2, '<xs:element name="price" type="org.acme:Pair_String_Money"/>').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, '<xs:complexType name="Page_Order">').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, '<xs:complexType name="Pair_String_Money">').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(2, '<xs:element name="more" type="org.acme:Page_Money"/>').calledOnce.should.be.ok;
+            param.fileWriter.writeLine.withArgs(0, '<xs:complexType name="Page_Money">').calledOnce.should.be.ok;
+        });
     });
 });
\ No newline at end of file